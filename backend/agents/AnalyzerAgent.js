@@ -1,27 +1,67 @@
 /**
  * Analyzer Agent
- * Uses LangChain + Gemini for AI-powered root cause analysis
+ * Uses the configured LLM provider for AI-powered root cause analysis
  */
 
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 
-class AnalyzerAgent {
-  constructor(apiKey) {
-    if (!apiKey) {
-      console.warn('[AnalyzerAgent] No API key provided - AI analysis will be disabled');
-      this.model = null;
-      return;
+const ERROR_TYPES = [
+  'database_timeout', 'network_error', 'null_pointer', 'memory_leak', 'auth_failure',
+  'rate_limit', 'connection_pool_exhaustion', 'validation_error', 'other'
+];
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Output contract for the analysis prompt below
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['rootCause', 'originService', 'errorType', 'severity', 'failingComponent', 'technicalDetails', 'immediateActions'],
+  properties: {
+    rootCause: { type: 'string', minLength: 1 },
+    originService: { type: 'string' },
+    errorType: { type: 'string', enum: ERROR_TYPES },
+    severity: { type: 'string', enum: SEVERITIES },
+    failingComponent: {
+      type: 'object',
+      required: ['service'],
+      properties: {
+        service: { type: 'string' },
+        file: { type: ['string', 'null'] },
+        function: { type: ['string', 'null'] },
+        line: { type: ['string', 'integer', 'null'] }
+      }
+    },
+    propagationPath: stringList,
+    affectedServices: stringList,
+    affectedEndpoints: stringList,
+    technicalDetails: { type: 'string', minLength: 1 },
+    immediateActions: { ...stringList, minItems: 1 },
+    longTermFixes: stringList,
+    relatedErrorPatterns: stringList,
+    estimatedImpact: {
+      type: 'object',
+      properties: {
+        usersAffected: { type: 'string', enum: ['none', 'few', 'some', 'many', 'all'] },
+        dataAtRisk: { type: 'string', enum: ['none', 'low', 'medium', 'high'] },
+        serviceAvailability: { type: 'string' }
+      }
     }
+  }
+};
 
-    this.model = new ChatGoogleGenerativeAI({
-      apiKey: apiKey,
-      model: 'gemini-2.5-flash',  // Use Flash for faster responses
-      temperature: 0.2,
-      maxOutputTokens: 4096  // Increased to prevent JSON truncation
-    });
+class AnalyzerAgent {
+  /**
+   * @param {LLMManager} llmManager - Provider registry; AI is off for this agent without one
+   */
+  constructor(llmManager) {
+    this.llm = llmManager
+      ? llmManager.forAgent('analyzer', { timeoutMs: 60000, temperature: 0.2, maxTokens: 4096 })
+      : null;
 
-    this.timeout = 60000; // 60 second timeout (Gemini can be slow)
+    if (!this.llm || !this.llm.isEnabled()) {
+      console.warn('[AnalyzerAgent] No LLM provider configured - AI analysis will be disabled');
+    }
 
     this.promptTemplate = PromptTemplate.fromTemplate(`
 You are a senior DevOps engineer and expert at analyzing microservice failures.
@@ -101,26 +141,29 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
 }}
 `);
 
-    console.log('[AnalyzerAgent] Initialized with Gemini model');
+    console.log(`[AnalyzerAgent] Initialized (LLM: ${this.llm ? this.llm.describe() : 'disabled'})`);
   }
 
   /**
    * Analyze error using AI
    * @param {object} correlatedData - Data from CorrelatorAgent
+   * @param {object} options - { signal } to cancel the LLM request
    * @returns {Promise<object>} Analysis result
    */
-  async analyzeError(correlatedData) {
+  async analyzeError(correlatedData, { signal } = {}) {
     console.log('[AnalyzerAgent] Starting error analysis');
 
     // If no model, return a basic analysis
-    if (!this.model) {
+    if (!this.llm || !this.llm.isEnabled()) {
       console.log('[AnalyzerAgent] No AI model - returning basic analysis');
       return this.basicAnalysis(correlatedData);
     }
 
     try {
       // Format logs for the prompt
-      const logsText = this.formatLogsForPrompt(correlatedData.logChain);
+      const logsText = this.formatLogsForPrompt(correlatedData.logChain) +
+        this.formatTraceForPrompt(correlatedData.trace) +
+        this.formatCorrelationForPrompt(correlatedData);
 
       // Create the prompt
       const prompt = await this.promptTemplate.format({
@@ -131,44 +174,37 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
         errorMessages: correlatedData.errorDetails.errorMessages.slice(0, 5).join('\n')
       });
 
-      console.log('[AnalyzerAgent] Sending request to Gemini (timeout: 60s)');
-
-      // Invoke the model with timeout
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Analysis timeout')), this.timeout)
-      );
-      const response = await Promise.race([
-        this.model.invoke(prompt),
-        timeoutPromise
-      ]);
-
-      // Parse the response
-      const analysis = this.parseResponse(response.content);
+      console.log(`[AnalyzerAgent] Sending request to ${this.llm.describe()} (timeout: ${this.llm.timeoutMs / 1000}s)`);
 
-      // Fix originService if parsing failed or returned Unknown
-      if (!analysis.originService || analysis.originService === 'Unknown' || analysis.originService.toLowerCase() === 'unknown') {
-        analysis.originService = correlatedData.originService || 'USER-SERVICE';
-      }
+      const response = await this.llm.completeJson(prompt, ANALYSIS_SCHEMA, { signal });
+      const analysis = this.normalizeAnalysis(response.data, correlatedData);
 
       console.log('[AnalyzerAgent] Analysis complete:', {
         rootCause: analysis.rootCause?.substring(0, 50),
         severity: analysis.severity,
-        originService: analysis.originService
+        originService: analysis.originService,
+        source: response.source
       });
 
       return {
         ...analysis,
         correlationId: correlatedData.errorId,
         timestamp: new Date().toISOString(),
-        confidence: analysis.parseError ? 'low' : 'high'
+        confidence: response.source === 'model' ? 'high' : 'medium',
+        outputSource: response.source,
+        outputRepairs: response.repairs,
+        llm: { provider: response.provider, model: response.model, reprompts: response.reprompts }
       };
     } catch (error) {
+      // A cancelled job wants no fallback
+      if (error.cancelled) throw error;
       console.error('[AnalyzerAgent] Analysis failed:', error.message);
 
       // Fall back to basic analysis
       return {
         ...this.basicAnalysis(correlatedData),
         error: error.message,
+        validationErrors: error.validationErrors,
         confidence: 'low'
       };
     }
@@ -181,116 +217,92 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
    */
   formatLogsForPrompt(logChain) {
     return logChain
-      .map(log => `[${log.timestamp}] [${log.service}] ${log.level}: ${log.message}`)
+      .map(log => {
+        const line = `[${log.timestamp}] [${log.service}] ${log.level}: ${log.message}`;
+        if (!log.stackTrace) return line;
+
+        // Keep the top frames - enough to locate the failing function without flooding the prompt
+        const frames = log.stackTrace.split('\n').slice(0, 15).join('\n');
+        return `${line}\n${frames}`;
+      })
       .join('\n');
   }
 
   /**
-   * Parse AI response to JSON
-   * @param {string} content - AI response content
-   * @returns {object} Parsed analysis
+   * Describe how the logs were correlated, so the model knows how much to trust their grouping
+   * @param {object} correlatedData - Data from CorrelatorAgent
+   * @returns {string} Formatted correlation note, or '' when unknown
    */
-  parseResponse(content) {
-    try {
-      // Remove any markdown code blocks if present
-      let jsonStr = content;
-
-      // Remove ```json and ``` markers
-      jsonStr = jsonStr.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-
-      // Find JSON object in response
-      const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-
-        // Normalize origin service - never return "Unknown"
-        if (!parsed.originService || parsed.originService.toLowerCase() === 'unknown') {
-          // Try to infer from affected services
-          const knownServices = ['API-GATEWAY', 'USER-SERVICE', 'DB-SERVICE', 'AUTH-SERVICE', 'ORDER-SERVICE'];
-          const found = parsed.affectedServices?.find(s =>
-            knownServices.some(k => s.toUpperCase().includes(k.replace('-', '')))
-          );
-          parsed.originService = found || 'USER-SERVICE';
-        }
+  formatCorrelationForPrompt(correlatedData) {
+    if (!correlatedData.strategy) return '';
+
+    const ids = (correlatedData.correlationIds || [])
+      .filter(id => id.matches > 0)
+      .map(id => `${id.type} ID ${id.value}`);
+    const basis = {
+      'trace': 'the distributed trace',
+      'correlation-id': `shared identifiers (${ids.join(', ')})`,
+      'time-window': 'time proximity only - some logs may be unrelated',
+      'recent-errors': 'recent errors only - logs may be unrelated'
+    }[correlatedData.strategy] || correlatedData.strategy;
+
+    return `\n\nLogs correlated by ${basis} (confidence ${correlatedData.confidence})`;
+  }
 
-        // Ensure all required fields have defaults
-        parsed.failingComponent = parsed.failingComponent || {
-          service: parsed.originService,
-          file: 'unknown',
-          function: 'unknown',
-          line: null
-        };
-
-        parsed.estimatedImpact = parsed.estimatedImpact || {
-          usersAffected: 'unknown',
-          dataAtRisk: 'none',
-          serviceAvailability: '100%'
-        };
-
-        parsed.relatedErrorPatterns = parsed.relatedErrorPatterns || [];
-        parsed.immediateActions = parsed.immediateActions || [];
-        parsed.longTermFixes = parsed.longTermFixes || [];
-
-        return parsed;
-      }
+  /**
+   * Format the distributed trace summary (when the error carried a trace ID) for the prompt
+   * @param {object|null} trace - Trace summary from the correlator
+   * @returns {string} Formatted trace section, or '' without a trace
+   */
+  formatTraceForPrompt(trace) {
+    if (!trace) return '';
 
-      throw new Error('No JSON found in response');
-    } catch (error) {
-      console.error('[AnalyzerAgent] Failed to parse response:', error.message);
-      console.error('[AnalyzerAgent] Raw content:', content.substring(0, 500));
+    const lines = [
+      '',
+      `Distributed trace ${trace.traceId}: ${trace.spanCount} spans across ${trace.services.join(' -> ')} (${trace.durationMs}ms)`,
+      `Entry point: ${trace.rootSpan.service} ${trace.rootSpan.name}`
+    ];
 
-      // Try to extract partial data from truncated JSON
-      let partialRootCause = 'Unable to parse AI response';
-      let partialService = null;
+    for (const span of trace.errorSpans.slice(0, 10)) {
+      lines.push(`Failed span: [${span.service}] ${span.name} (${span.durationMs}ms)${span.statusMessage ? ` - ${span.statusMessage}` : ''}`);
+    }
 
-      // Try to extract rootCause from truncated response
-      const rootCauseMatch = content.match(/"rootCause"\s*:\s*"([^"]+)/);
-      if (rootCauseMatch) {
-        partialRootCause = rootCauseMatch[1];
-      }
+    return lines.join('\n');
+  }
 
-      // Try to extract originService from truncated response
-      const serviceMatch = content.match(/"originService"\s*:\s*"([^"]+)/);
-      if (serviceMatch) {
-        partialService = serviceMatch[1];
-      }
+  /**
+   * Fill in optional fields of a validated analysis
+   * @param {object} analysis - Output that passed ANALYSIS_SCHEMA
+   * @param {object} correlatedData - Correlated log data
+   * @returns {object} Analysis
+   */
+  normalizeAnalysis(analysis, correlatedData) {
+    // Never report "Unknown" when the correlator found an origin
+    if (!analysis.originService || analysis.originService.toLowerCase() === 'unknown') {
+      analysis.originService = correlatedData.originService || analysis.affectedServices?.[0] || 'UNKNOWN';
+    }
 
-      // Try to extract errorType
-      let partialErrorType = 'other';
-      const errorTypeMatch = content.match(/"errorType"\s*:\s*"([^"]+)/);
-      if (errorTypeMatch) {
-        partialErrorType = errorTypeMatch[1];
-      }
+    analysis.failingComponent = {
+      file: 'unknown',
+      function: 'unknown',
+      line: null,
+      ...analysis.failingComponent
+    };
 
-      // Try to extract severity
-      let partialSeverity = 'MEDIUM';
-      const severityMatch = content.match(/"severity"\s*:\s*"([^"]+)/);
-      if (severityMatch) {
-        partialSeverity = severityMatch[1];
-      }
+    analysis.estimatedImpact = {
+      usersAffected: 'some',
+      dataAtRisk: 'none',
+      serviceAvailability: 'unknown',
+      ...analysis.estimatedImpact
+    };
 
-      // Try to extract technicalDetails
-      let partialTechnicalDetails = `Error analysis detected a ${partialErrorType} issue in ${partialService || 'the service'}. ${partialRootCause}`;
-      const technicalMatch = content.match(/"technicalDetails"\s*:\s*"([^"]+)/);
-      if (technicalMatch) {
-        partialTechnicalDetails = technicalMatch[1];
-      }
+    analysis.propagationPath = analysis.propagationPath || [];
+    analysis.affectedServices = analysis.affectedServices || [analysis.originService];
+    analysis.affectedEndpoints = analysis.affectedEndpoints || [];
+    analysis.relatedErrorPatterns = analysis.relatedErrorPatterns || [];
+    analysis.longTermFixes = analysis.longTermFixes || [];
 
-      // Return a structured error response (originService will be fixed by caller)
-      return {
-        rootCause: partialRootCause,
-        originService: partialService, // null means caller should use correlation data
-        errorType: partialErrorType,
-        severity: partialSeverity,
-        propagationPath: [],
-        affectedServices: partialService ? [partialService] : [],
-        affectedEndpoints: [],
-        technicalDetails: partialTechnicalDetails,
-        failingComponent: { service: partialService || 'unknown', file: 'unknown', function: 'unknown', line: null },
-        estimatedImpact: { usersAffected: 'unknown', dataAtRisk: 'none', serviceAvailability: 'unknown' },
-        parseError: error.message
-      };
-    }
+    return analysis;
   }
 
   /**
@@ -399,7 +411,8 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
       longTermFixes: longTermFixes,
       relatedErrorPatterns: this.findRelatedPatterns(errorType),
       estimatedImpact: estimatedImpact,
-      confidence: 'medium'
+      confidence: 'medium',
+      outputSource: 'fallback'
     };
   }
 
@@ -566,4 +579,6 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
   }
 }
 
+AnalyzerAgent.ANALYSIS_SCHEMA = ANALYSIS_SCHEMA;
+
 module.exports = AnalyzerAgent;
@@ -3,28 +3,57 @@
  * Reads actual source code and generates targeted fixes
  */
 
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const fs = require('fs').promises;
 const path = require('path');
 const sourceCodeManager = require('../services/SourceCodeManager');
 
-class CodeFixAgent {
-  constructor(apiKey) {
-    if (!apiKey) {
-      console.warn('[CodeFixAgent] No API key provided - AI code fixing will be disabled');
-      this.model = null;
-      return;
+// Output contract for the analyze prompt below: either a located fix or a reason it could not be found
+const CODE_FIX_SCHEMA = {
+  anyOf: [
+    {
+      type: 'object',
+      required: ['found', 'oldCode', 'newCode', 'explanation', 'confidence'],
+      properties: {
+        found: { const: true },
+        problemLocation: {
+          type: 'object',
+          properties: {
+            startLine: { type: ['integer', 'null'] },
+            endLine: { type: ['integer', 'null'] },
+            description: { type: 'string' }
+          }
+        },
+        oldCode: { type: 'string', minLength: 1 },
+        newCode: { type: 'string' },
+        explanation: { type: 'string', minLength: 1 },
+        confidence: { type: 'string', enum: ['high', 'medium', 'low'] }
+      }
+    },
+    {
+      type: 'object',
+      required: ['found', 'reason'],
+      properties: {
+        found: { const: false },
+        reason: { type: 'string' },
+        suggestion: { type: 'string' }
+      }
     }
+  ]
+};
 
-    this.model = new ChatGoogleGenerativeAI({
-      apiKey: apiKey,
-      model: 'gemini-2.5-flash',
-      temperature: 0.1, // Low temperature for precise code generation
-      maxOutputTokens: 8192  // Increased to prevent JSON truncation
-    });
+class CodeFixAgent {
+  /**
+   * @param {LLMManager} llmManager - Provider registry; AI is off for this agent without one
+   */
+  constructor(llmManager) {
+    this.llm = llmManager
+      ? llmManager.forAgent('codeFix', { timeoutMs: 90000, temperature: 0.1, maxTokens: 8192 })
+      : null;
 
-    this.timeout = 90000; // 90 second timeout for code analysis (Gemini can be slow)
+    if (!this.llm || !this.llm.isEnabled()) {
+      console.warn('[CodeFixAgent] No LLM provider configured - AI code fixing will be disabled');
+    }
 
     // Prompt for analyzing code and generating fixes
     this.analyzePrompt = PromptTemplate.fromTemplate(`
@@ -76,7 +105,7 @@ If you cannot identify the exact problematic code, respond with:
 }}
 `);
 
-    console.log('[CodeFixAgent] Initialized with Gemini model');
+    console.log(`[CodeFixAgent] Initialized (LLM: ${this.llm ? this.llm.describe() : 'disabled'})`);
   }
 
   /**
@@ -148,7 +177,7 @@ If you cannot identify the exact problematic code, respond with:
   async generateFix(analysis) {
     console.log('[CodeFixAgent] Generating fix for:', analysis.originService);
 
-    if (!this.model) {
+    if (!this.llm || !this.llm.isEnabled()) {
       return this.generateBasicFix(analysis);
     }
 
@@ -183,7 +212,8 @@ If you cannot identify the exact problematic code, respond with:
         newCode: bestFix.newCode,
         explanation: bestFix.explanation,
         problemLocation: bestFix.problemLocation,
-        confidence: bestFix.confidence
+        confidence: bestFix.confidence,
+        outputSource: bestFix.outputSource
       };
     }
 
@@ -207,77 +237,62 @@ If you cannot identify the exact problematic code, respond with:
 
       console.log('[CodeFixAgent] Sending code to AI for analysis...');
 
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Analysis timeout')), this.timeout)
-      );
-
-      const response = await Promise.race([
-        this.model.invoke(prompt),
-        timeoutPromise
-      ]);
+      const response = await this.llm.completeJson(prompt, CODE_FIX_SCHEMA);
 
-      return this.parseResponse(response.content, sourceCode);
+      return {
+        ...this.checkFix(response.data, sourceCode),
+        outputSource: response.source,
+        outputRepairs: response.repairs
+      };
     } catch (error) {
       console.error('[CodeFixAgent] AI analysis failed:', error.message);
-      return { found: false, reason: error.message };
+      return { found: false, reason: error.message, validationErrors: error.validationErrors };
     }
   }
 
   /**
-   * Parse AI response
+   * Check a validated fix against the source it is meant to patch
+   * @param {object} parsed - Output that passed CODE_FIX_SCHEMA
+   * @param {string} sourceCode - Source file content
+   * @returns {object} Fix
    */
-  parseResponse(content, sourceCode) {
-    try {
-      // Remove markdown code blocks if present
-      let jsonStr = content.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-
-      const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-
-        // Validate the fix - make sure oldCode exists in source
-        if (parsed.found && parsed.oldCode) {
-          // Normalize whitespace for comparison
-          const normalizedOld = parsed.oldCode.trim();
-          const normalizedSource = sourceCode;
-
-          if (!normalizedSource.includes(normalizedOld)) {
-            console.log('[CodeFixAgent] Warning: oldCode not found exactly in source, attempting fuzzy match');
-
-            // Try to find similar code
-            const lines = normalizedOld.split('\n');
-            const firstLine = lines[0].trim();
-
-            if (normalizedSource.includes(firstLine)) {
-              console.log('[CodeFixAgent] Found partial match, proceeding with fix');
-            } else {
-              parsed.confidence = 'low';
-              parsed.warning = 'Code match is approximate';
-            }
-          }
-
-          // SAFEGUARD: If newCode is empty, comment out the old code instead
-          if (!parsed.newCode || parsed.newCode.trim() === '') {
-            console.log('[CodeFixAgent] newCode is empty, converting to commented code');
-            const commentedLines = parsed.oldCode.split('\n').map(line => {
-              const trimmed = line.trim();
-              if (trimmed === '') return line;
-              // Preserve indentation, add comment
-              const indent = line.match(/^(\s*)/)[1];
-              return indent + '// DISABLED: ' + trimmed;
-            });
-            parsed.newCode = commentedLines.join('\n');
-          }
+  checkFix(parsed, sourceCode) {
+    // Validate the fix - make sure oldCode exists in source
+    if (parsed.found && parsed.oldCode) {
+      // Normalize whitespace for comparison
+      const normalizedOld = parsed.oldCode.trim();
+      const normalizedSource = sourceCode;
+
+      if (!normalizedSource.includes(normalizedOld)) {
+        console.log('[CodeFixAgent] Warning: oldCode not found exactly in source, attempting fuzzy match');
+
+        // Try to find similar code
+        const lines = normalizedOld.split('\n');
+        const firstLine = lines[0].trim();
+
+        if (normalizedSource.includes(firstLine)) {
+          console.log('[CodeFixAgent] Found partial match, proceeding with fix');
+        } else {
+          parsed.confidence = 'low';
+          parsed.warning = 'Code match is approximate';
         }
-
-        return parsed;
       }
 
-      return { found: false, reason: 'Could not parse AI response' };
-    } catch (error) {
-      console.error('[CodeFixAgent] Parse error:', error.message);
-      return { found: false, reason: 'Parse error: ' + error.message };
+      // SAFEGUARD: If newCode is empty, comment out the old code instead
+      if (!parsed.newCode || parsed.newCode.trim() === '') {
+        console.log('[CodeFixAgent] newCode is empty, converting to commented code');
+        const commentedLines = parsed.oldCode.split('\n').map(line => {
+          const trimmed = line.trim();
+          if (trimmed === '') return line;
+          // Preserve indentation, add comment
+          const indent = line.match(/^(\s*)/)[1];
+          return indent + '// DISABLED: ' + trimmed;
+        });
+        parsed.newCode = commentedLines.join('\n');
+      }
     }
+
+    return parsed;
   }
 
   /**
@@ -314,7 +329,8 @@ If you cannot identify the exact problematic code, respond with:
             newCode: fixes.newCode,
             explanation: fixes.explanation,
             confidence: 'medium',
-            isPatternBased: true
+            isPatternBased: true,
+            outputSource: 'fallback'
           };
         }
       } catch (err) {
@@ -694,4 +710,6 @@ If you cannot identify the exact problematic code, respond with:
   }
 }
 
+CodeFixAgent.CODE_FIX_SCHEMA = CODE_FIX_SCHEMA;
+
 module.exports = CodeFixAgent;
@@ -3,26 +3,21 @@
  * Uses AI to find the exact code location causing errors
  */
 
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const sourceCodeManager = require('../services/SourceCodeManager');
 
 class CodeLocatorAgent {
-  constructor(apiKey) {
-    if (!apiKey) {
-      console.warn('[CodeLocatorAgent] No API key provided - code location will be basic');
-      this.model = null;
-      return;
-    }
-
-    this.model = new ChatGoogleGenerativeAI({
-      apiKey: apiKey,
-      model: 'gemini-2.5-flash',  // Use Flash for speed
-      temperature: 0.2,
-      maxOutputTokens: 2048  // Increased to prevent JSON truncation
-    });
+  /**
+   * @param {LLMManager} llmManager - Provider registry; AI is off for this agent without one
+   */
+  constructor(llmManager) {
+    this.llm = llmManager
+      ? llmManager.forAgent('codeLocator', { timeoutMs: 60000, temperature: 0.2, maxTokens: 2048 })
+      : null;
 
-    this.timeout = 60000; // 60 second timeout
+    if (!this.llm || !this.llm.isEnabled()) {
+      console.warn('[CodeLocatorAgent] No LLM provider configured - code location will be basic');
+    }
 
     this.promptTemplate = PromptTemplate.fromTemplate(`
 You are a code analysis expert specializing in Node.js and Express applications.
@@ -63,9 +58,10 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
    * Locate code causing the error
    * @param {object} analysis - Analysis from AnalyzerAgent
    * @param {string} serviceName - Name of the origin service
+   * @param {object} options - { signal } to cancel the LLM request
    * @returns {Promise<object>} Code location details
    */
-  async locateCode(analysis, serviceName) {
+  async locateCode(analysis, serviceName, { signal } = {}) {
     console.log('[CodeLocatorAgent] Locating code in:', serviceName);
 
     // Map service name to directory name using SourceCodeManager
@@ -89,7 +85,7 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
       }
 
       // If no AI model, use pattern matching
-      if (!this.model) {
+      if (!this.llm || !this.llm.isEnabled()) {
         return this.patternBasedLocation(codeFiles, analysis, serviceName);
       }
 
@@ -108,16 +104,9 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
         sourceCode: sourceCodeText
       });
 
-      console.log('[CodeLocatorAgent] Sending request to Gemini (timeout: 60s)');
+      console.log(`[CodeLocatorAgent] Sending request to ${this.llm.describe()} (timeout: ${this.llm.timeoutMs / 1000}s)`);
 
-      // Add timeout
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Code location timeout')), this.timeout)
-      );
-      const response = await Promise.race([
-        this.model.invoke(prompt),
-        timeoutPromise
-      ]);
+      const response = await this.llm.complete(prompt, { signal });
       const location = this.parseResponse(response.content);
 
       console.log('[CodeLocatorAgent] Code located:', {
@@ -133,6 +122,8 @@ Respond ONLY with valid JSON (no markdown code blocks, no backticks):
         timestamp: new Date().toISOString()
       };
     } catch (error) {
+      // A cancelled job wants no fallback
+      if (error.cancelled) throw error;
       console.error('[CodeLocatorAgent] Failed to locate code:', error.message);
       return this.fallbackLocation(serviceName, analysis);
     }
@@ -3,35 +3,126 @@
  * Correlates related logs around an error event (no AI - pure JavaScript)
  */
 
+// Structured field names (lowercased, punctuation stripped) that carry a request-scoped ID
+const ID_FIELD_TYPES = {
+  traceid: 'trace',
+  oteltraceid: 'trace',
+  requestid: 'request',
+  xrequestid: 'request',
+  reqid: 'request',
+  correlationid: 'correlation',
+  xcorrelationid: 'correlation'
+};
+
+// "request_id=abc", "x-request-id: abc", "traceId=\"abc\"" etc. in free-text messages
+const ID_PATTERNS = [
+  { type: 'request', pattern: /\b(?:x-)?req(?:uest)?[-_ .]?id["']?\s*[:=]\s*["']?([\w.-]{6,})/gi },
+  { type: 'correlation', pattern: /\b(?:x-)?correlation[-_ .]?id["']?\s*[:=]\s*["']?([\w.-]{6,})/gi },
+  { type: 'trace', pattern: /\btrace[-_ .]?id["']?\s*[:=]\s*["']?([\w.-]{6,})/gi },
+  { type: 'trace', pattern: /\btraceparent["']?\s*[:=]\s*["']?[0-9a-f]{2}-([0-9a-f]{32})-/gi }
+];
+
+const UUID_PATTERN = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+
+// How much a shared identifier of each type says about two logs belonging together
+const ID_CONFIDENCE = {
+  trace: 0.9,
+  request: 0.9,
+  correlation: 0.85,
+  uuid: 0.6
+};
+
 class CorrelatorAgent {
   constructor(options = {}) {
     this.timeWindowMs = options.timeWindowMs || 30000; // ±30 seconds (increased from 5s)
+    // Source of OpenTelemetry spans ({ getTrace(traceId) } resolving to spans); optional
+    this.spanStore = options.spanStore || null;
+    // Slack around a trace's span range when pulling in untraced logs from its services
+    this.tracePaddingMs = options.tracePaddingMs || 1000;
+    // An identifier shared by more logs than this is an entity ID (user, tenant), not a request
+    this.maxLogsPerId = options.maxLogsPerId || 100;
+    // Learned service topology ({ getServiceNames(), getDependencies(service) }); optional
+    this.dependencyGraph = options.dependencyGraph || null;
     console.log('[CorrelatorAgent] Initialized with time window:', this.timeWindowMs, 'ms');
   }
 
   /**
    * Find logs related to an error
+   * Strategies, best first: the error's stored trace spans ('trace'), logs that
+   * share a request/trace/correlation ID with the error ('correlation-id'), then
+   * everything within the time window ('time-window'). An ID only counts when
+   * some other log carries it too
    * @param {object} errorLog - The error log entry
    * @param {object[]} allLogs - All available logs
-   * @returns {object} Correlated log data
+   * @returns {Promise<object>} Correlated log data, with strategy and confidence (0-1)
    */
-  findRelatedLogs(errorLog, allLogs) {
+  async findRelatedLogs(errorLog, allLogs) {
     const errorTime = new Date(errorLog.timestamp).getTime();
-    const windowStart = errorTime - this.timeWindowMs;
-    const windowEnd = errorTime + this.timeWindowMs;
+    let windowStart = errorTime - this.timeWindowMs;
+    let windowEnd = errorTime + this.timeWindowMs;
 
     console.log('[CorrelatorAgent] Finding related logs around:', errorLog.timestamp);
     console.log('[CorrelatorAgent] Total logs available:', allLogs.length);
 
-    // Filter logs within time window
-    let relatedLogs = allLogs.filter(log => {
-      const logTime = new Date(log.timestamp).getTime();
-      return logTime >= windowStart && logTime <= windowEnd;
-    });
+    const traceSpans = errorLog.traceId && this.spanStore
+      ? await this.spanStore.getTrace(errorLog.traceId)
+      : [];
+    const trace = traceSpans.length > 0 ? this.summarizeTrace(errorLog.traceId, traceSpans) : null;
+
+    const errorIds = this.extractCorrelationIds(errorLog);
+    let relatedLogs;
+    let strategy;
+    let confidence;
+    let correlationIds = errorIds.map(id => ({ ...id, matches: 0 }));
+
+    if (trace) {
+      // The trace says exactly which services took part and when - use it instead of a blind window
+      windowStart = new Date(trace.startTime).getTime() - this.tracePaddingMs;
+      windowEnd = new Date(trace.endTime).getTime() + this.tracePaddingMs;
+      const traceServices = new Set(trace.services);
+
+      relatedLogs = allLogs.filter(log => {
+        if (log.traceId) return log.traceId === errorLog.traceId;
+        const logTime = new Date(log.timestamp).getTime();
+        return traceServices.has(log.service) && logTime >= windowStart && logTime <= windowEnd;
+      });
+
+      strategy = 'trace';
+      confidence = 0.95;
+
+      console.log(`[CorrelatorAgent] Correlating by trace ${errorLog.traceId} (${traceSpans.length} spans, ${trace.services.length} services)`);
+    } else {
+      const byId = this.findLogsSharingIds(errorLog, errorIds, allLogs);
+
+      if (byId) {
+        relatedLogs = byId.logs;
+        strategy = 'correlation-id';
+        confidence = byId.confidence;
+        correlationIds = byId.identifiers;
+
+        const times = relatedLogs.map(log => new Date(log.timestamp).getTime()).filter(t => !isNaN(t));
+        if (times.length > 0) {
+          windowStart = Math.min(...times);
+          windowEnd = Math.max(...times);
+        }
+
+        console.log(`[CorrelatorAgent] Correlating by ${byId.identifiers.map(id => `${id.type} ${id.value}`).join(', ')}`);
+      } else {
+        // No shared identifier - filter logs within time window
+        relatedLogs = allLogs.filter(log => {
+          const logTime = new Date(log.timestamp).getTime();
+          return logTime >= windowStart && logTime <= windowEnd;
+        });
+        strategy = 'time-window';
+        confidence = 0.3;
+      }
+    }
 
     // If no logs found in time window, use recent error logs instead
     if (relatedLogs.length === 0) {
       console.log('[CorrelatorAgent] No logs in time window, using recent error logs');
+      strategy = 'recent-errors';
+      confidence = 0.1;
 
       // Get all error logs from the buffer
       const errorLogs = allLogs.filter(log =>
@@ -59,11 +150,11 @@ class CorrelatorAgent {
     // Find affected services
     const affectedServices = Object.keys(logsByService);
 
-    // Determine origin service (first service to log an error)
-    let originService = this.findOriginService(relatedLogs);
+    // Determine origin service: the deepest failing span, else the failing service furthest down the dependency graph
+    let originService = trace?.originService || this.findOriginService(relatedLogs);
 
     // If still unknown, extract from error log itself
-    if (originService === 'UNKNOWN' || originService === 'USER-SERVICE') {
+    if (originService === 'UNKNOWN') {
       const fromErrorLog = this.extractServiceFromMessage(errorLog.message) ||
                            this.normalizeServiceName(errorLog.service);
       if (fromErrorLog !== 'UNKNOWN') {
@@ -96,12 +187,18 @@ class CorrelatorAgent {
       timeWindow: {
         start: new Date(windowStart).toISOString(),
         end: new Date(windowEnd).toISOString(),
-        durationMs: this.timeWindowMs * 2
+        durationMs: windowEnd - windowStart
       },
+      trace,
+      strategy,
+      confidence,
+      correlationIds,
       totalRelatedLogs: relatedLogs.length
     };
 
     console.log('[CorrelatorAgent] Correlation complete:', {
+      strategy: result.strategy,
+      confidence: result.confidence,
       originService: result.originService,
       affectedServices: result.affectedServices.length,
       totalLogs: result.totalRelatedLogs
@@ -110,6 +207,170 @@ class CorrelatorAgent {
     return result;
   }
 
+  /**
+   * Extract request-scoped identifiers from a log's trace ID, structured fields and message
+   * @param {object} log - Log entry
+   * @returns {object[]} { type: 'trace'|'request'|'correlation'|'uuid', value } (values lowercased, deduplicated)
+   */
+  extractCorrelationIds(log) {
+    const found = new Map();
+    const add = (type, value) => {
+      if (value === undefined || value === null || typeof value === 'object') return;
+      const normalized = String(value).trim().toLowerCase();
+      if (normalized.length < 6) return;
+      // Keep the most specific type when an ID turns up more than once
+      const existing = found.get(normalized);
+      if (!existing || ID_CONFIDENCE[type] > ID_CONFIDENCE[existing]) {
+        found.set(normalized, type);
+      }
+    };
+
+    if (log.traceId) add('trace', log.traceId);
+
+    const visit = (fields, depth) => {
+      for (const [key, value] of Object.entries(fields)) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          if (depth < 2) visit(value, depth + 1);
+          continue;
+        }
+        const type = ID_FIELD_TYPES[key.toLowerCase().replace(/[^a-z]/g, '')];
+        if (type) add(type, value);
+      }
+    };
+    if (log.fields && typeof log.fields === 'object') visit(log.fields, 0);
+
+    const message = log.message || '';
+    for (const { type, pattern } of ID_PATTERNS) {
+      for (const match of message.matchAll(pattern)) {
+        add(type, match[1]);
+      }
+    }
+    for (const match of message.matchAll(UUID_PATTERN)) {
+      add('uuid', match[0]);
+    }
+
+    return Array.from(found, ([value, type]) => ({ type, value }));
+  }
+
+  /**
+   * Collect the logs that share an identifier with the error
+   * Explicit IDs found on those logs (e.g. a gateway line carrying both a request
+   * ID and a trace ID) are followed one hop further, at lower confidence
+   * @param {object} errorLog - The error log entry
+   * @param {object[]} errorIds - Identifiers from extractCorrelationIds(errorLog)
+   * @param {object[]} allLogs - All available logs
+   * @returns {object|null} { logs, identifiers, confidence }, or null if no other log shares an ID
+   */
+  findLogsSharingIds(errorLog, errorIds, allLogs) {
+    if (errorIds.length === 0) return null;
+
+    const idsByLog = new Map(allLogs.map(log => [log, this.extractCorrelationIds(log)]));
+    const matched = new Map();
+    const identifiers = [];
+
+    const follow = (identifier, linked) => {
+      const sharing = allLogs.filter(log =>
+        log.id !== errorLog.id && idsByLog.get(log).some(id => id.value === identifier.value)
+      );
+      if (sharing.length === 0 || sharing.length > this.maxLogsPerId) return false;
+
+      identifiers.push({ ...identifier, matches: sharing.length, ...(linked && { linked: true }) });
+      sharing.forEach(log => matched.set(log.id, log));
+      return true;
+    };
+
+    const direct = errorIds.filter(identifier => follow(identifier, false));
+    if (direct.length === 0) return null;
+
+    const seen = new Set(errorIds.map(id => id.value));
+    for (const log of Array.from(matched.values())) {
+      for (const identifier of idsByLog.get(log)) {
+        if (identifier.type === 'uuid' || seen.has(identifier.value)) continue;
+        seen.add(identifier.value);
+        follow(identifier, true);
+      }
+    }
+
+    matched.set(errorLog.id, errorLog);
+
+    // Several independent IDs agreeing is stronger evidence than one
+    let confidence = Math.max(...direct.map(id => ID_CONFIDENCE[id.type]));
+    if (direct.length > 1) confidence += 0.05;
+    if (identifiers.some(id => id.linked)) confidence -= 0.05;
+
+    return {
+      logs: Array.from(matched.values()),
+      identifiers,
+      confidence: Math.round(Math.min(confidence, 0.99) * 100) / 100
+    };
+  }
+
+  /**
+   * Summarize a trace's spans for correlation and the analysis prompt
+   * @param {string} traceId - Trace ID
+   * @param {object[]} spans - Spans of the trace, ordered by start time
+   * @returns {object} Trace summary
+   */
+  summarizeTrace(traceId, spans) {
+    const spanIds = new Set(spans.map(span => span.spanId));
+    const rootSpan = spans.find(span => !span.parentSpanId || !spanIds.has(span.parentSpanId)) || spans[0];
+    const errorSpans = spans.filter(span => span.status === 'ERROR');
+
+    // A failing span whose children all succeeded is where the failure started
+    const failingParents = new Set(errorSpans.map(span => span.parentSpanId));
+    const deepestError = errorSpans.find(span => !failingParents.has(span.spanId)) || errorSpans[0];
+
+    const start = Math.min(...spans.map(span => new Date(span.startTime).getTime()));
+    const end = Math.max(...spans.map(span => new Date(span.endTime || span.startTime).getTime()));
+
+    return {
+      traceId,
+      spanCount: spans.length,
+      services: [...new Set(spans.map(span => span.service))],
+      rootSpan: { service: rootSpan.service, name: rootSpan.name },
+      errorSpans: errorSpans.map(span => ({
+        service: span.service,
+        name: span.name,
+        statusMessage: span.statusMessage,
+        durationMs: span.durationMs
+      })),
+      originService: deepestError ? deepestError.service : null,
+      startTime: new Date(start).toISOString(),
+      endTime: new Date(end).toISOString(),
+      durationMs: end - start
+    };
+  }
+
+  /**
+   * Service names learned from traffic
+   * @returns {string[]} Known service names (empty without a dependency graph)
+   */
+  getKnownServices() {
+    return this.dependencyGraph ? this.dependencyGraph.getServiceNames() : [];
+  }
+
+  /**
+   * Find the known service a piece of text refers to (container name, message)
+   * Accepts "-", "_", space or nothing between name parts, e.g. "user_service" for USER-SERVICE
+   * @param {string} text - Text to search
+   * @returns {string|null} Earliest-mentioned known service (longest name on ties)
+   */
+  matchKnownService(text) {
+    if (!text) return null;
+
+    let best = null;
+    for (const service of this.getKnownServices()) {
+      const parts = service.split('-').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+      const pattern = new RegExp(`(?<![a-z0-9])${parts.join('[-_ ]?')}(?![a-z0-9])`, 'i');
+      const match = pattern.exec(text);
+      if (match && (!best || match.index < best.index || (match.index === best.index && service.length > best.service.length))) {
+        best = { service, index: match.index };
+      }
+    }
+
+    return best ? best.service : null;
+  }
+
   /**
    * Dynamically extract service names from logs
    */
@@ -129,9 +390,9 @@ class CorrelatorAgent {
         }
       }
     }
-    // Return as array, include common defaults if empty
+    // Return as array, falling back to every service seen so far
     const result = Array.from(services);
-    return result.length > 0 ? result : ['API-GATEWAY', 'USER-SERVICE', 'DB-SERVICE', 'AUTH-SERVICE', 'ORDER-SERVICE'];
+    return result.length > 0 ? result : this.getKnownServices();
   }
 
   /**
@@ -140,26 +401,12 @@ class CorrelatorAgent {
   extractServiceFromMessage(message) {
     if (!message) return null;
 
-    const patterns = [
-      /from\s+([\w-]+)-service/i,
-      /to\s+([\w-]+)-service/i,
-      /in\s+([\w-]+)-service/i,
-      /(api-gateway|user-service|db-service)/i,
-      /\[(API-GATEWAY|USER-SERVICE|DB-SERVICE)\]/i
-    ];
-
-    for (const pattern of patterns) {
-      const match = message.match(pattern);
-      if (match) {
-        const service = match[1].toUpperCase();
-        if (service.includes('USER')) return 'USER-SERVICE';
-        if (service.includes('API') || service.includes('GATEWAY')) return 'API-GATEWAY';
-        if (service.includes('DB')) return 'DB-SERVICE';
-        return service + '-SERVICE';
-      }
-    }
+    const known = this.matchKnownService(message);
+    if (known) return known;
 
-    return null;
+    // Services not seen yet, named the usual way ("from billing-service")
+    const match = message.match(/\b(?:from|to|in)\s+([\w-]+)-service\b/i);
+    return match ? `${match[1].toUpperCase()}-SERVICE` : null;
   }
 
   /**
@@ -182,7 +429,10 @@ class CorrelatorAgent {
   }
 
   /**
-   * Find the origin service (first to report error)
+   * Find the origin service
+   * Among the failing services, the one whose own dependencies (per the learned
+   * graph) are all healthy is where the failure started; without graph edges
+   * between them, the first service to report an error wins
    * @param {object[]} logs - Sorted logs
    * @returns {string} Origin service name
    */
@@ -190,16 +440,28 @@ class CorrelatorAgent {
     // Dynamically build known services from logs instead of hardcoding
     const knownServices = this.extractServicesFromLogs(logs);
 
-    // Find the first ERROR or CRITICAL log with a valid service name
+    // Failing services in the order they first reported an error
+    const failing = [];
     for (const log of logs) {
       if (['ERROR', 'CRITICAL'].includes(log.level)) {
         const serviceName = this.normalizeServiceName(log.service);
-        if (serviceName !== 'UNKNOWN') {
-          return serviceName;
+        if (serviceName !== 'UNKNOWN' && !failing.includes(serviceName)) {
+          failing.push(serviceName);
         }
       }
     }
 
+    if (failing.length > 0) {
+      if (this.dependencyGraph && failing.length > 1) {
+        const root = failing.find(service => {
+          const dependencies = this.dependencyGraph.getDependencies(service);
+          return !failing.some(other => other !== service && dependencies.has(other));
+        });
+        if (root) return root;
+      }
+      return failing[0];
+    }
+
     // Try to find any log with a known service name
     for (const log of logs) {
       const serviceName = this.normalizeServiceName(log.service);
@@ -218,8 +480,8 @@ class CorrelatorAgent {
       }
     }
 
-    // Fallback to first log's service or default
-    return logs.length > 0 ? this.normalizeServiceName(logs[0].service) : 'USER-SERVICE';
+    // Fallback to first log's service
+    return logs.length > 0 ? this.normalizeServiceName(logs[0].service) : 'UNKNOWN';
   }
 
   /**
@@ -230,24 +492,15 @@ class CorrelatorAgent {
   normalizeServiceName(name) {
     if (!name) return 'UNKNOWN';
 
-    const upper = name.toUpperCase().trim();
-
-    // Map variations to standard names
-    if (upper.includes('API') && upper.includes('GATEWAY')) return 'API-GATEWAY';
-    if (upper.includes('USER') && upper.includes('SERVICE')) return 'USER-SERVICE';
-    if (upper.includes('DB') && upper.includes('SERVICE')) return 'DB-SERVICE';
-    if (upper.includes('AUTH') && upper.includes('SERVICE')) return 'AUTH-SERVICE';
-    if (upper.includes('ORDER') && upper.includes('SERVICE')) return 'ORDER-SERVICE';
+    const upper = name.toUpperCase().trim().replace(/[\s_]+/g, '-');
+    if (!upper || upper === 'UNKNOWN') return 'UNKNOWN';
 
-    // Check if it ends with -SERVICE
-    if (upper.endsWith('-SERVICE')) return upper;
+    // Map variations ("api gateway", "user_service") onto the name the service logs under
+    const known = this.getKnownServices();
+    if (known.includes(upper)) return upper;
+    const variant = known.find(service => service.replace(/-/g, '') === upper.replace(/-/g, ''));
 
-    // If contains SERVICE, try to format it
-    if (upper.includes('SERVICE')) {
-      return upper.replace(/\s+/g, '-');
-    }
-
-    return upper === 'UNKNOWN' ? 'UNKNOWN' : upper;
+    return variant || upper;
   }
 
   /**
@@ -258,12 +511,10 @@ class CorrelatorAgent {
   extractServiceFromContainer(containerName) {
     if (!containerName) return 'UNKNOWN';
 
+    const known = this.matchKnownService(containerName);
+    if (known) return known;
+
     const lower = containerName.toLowerCase();
-    if (lower.includes('api-gateway') || lower.includes('apigateway')) return 'API-GATEWAY';
-    if (lower.includes('user-service') || lower.includes('userservice')) return 'USER-SERVICE';
-    if (lower.includes('db-service') || lower.includes('dbservice')) return 'DB-SERVICE';
-    if (lower.includes('auth-service') || lower.includes('authservice')) return 'AUTH-SERVICE';
-    if (lower.includes('order-service') || lower.includes('orderservice')) return 'ORDER-SERVICE';
 
     // Try to extract service name dynamically from container name
     // Pattern: kubewhisper-<service-name> or <service-name>
@@ -297,6 +548,10 @@ class CorrelatorAgent {
         propagatedFrom: null
       };
 
+      if (log.stackTrace) chainEntry.stackTrace = log.stackTrace;
+      if (log.traceId) chainEntry.traceId = log.traceId;
+      if (log.fields) chainEntry.fields = log.fields;
+
       // Check if error propagated from another service
       if (chainEntry.isError && previousService && previousService !== log.service) {
         chainEntry.propagatedFrom = previousService;
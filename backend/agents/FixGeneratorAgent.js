@@ -3,26 +3,34 @@
  * Uses AI to generate code fixes for detected errors
  */
 
-const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const sourceCodeManager = require('../services/SourceCodeManager'); // replaces legacy codeReader
 
-class FixGeneratorAgent {
-  constructor(apiKey) {
-    if (!apiKey) {
-      console.warn('[FixGeneratorAgent] No API key provided - fix generation will be template-based');
-      this.model = null;
-      return;
-    }
+// Output contract for the fix prompt below
+const FIX_SCHEMA = {
+  type: 'object',
+  required: ['fixedCode', 'changes', 'explanation'],
+  properties: {
+    fixedCode: { type: 'string', minLength: 1 },
+    changes: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    explanation: { type: 'string', minLength: 1 },
+    preventionTips: { type: 'string' },
+    testSuggestions: { type: 'array', items: { type: 'string' } }
+  }
+};
 
-    this.model = new ChatGoogleGenerativeAI({
-      apiKey: apiKey,
-      model: 'gemini-2.5-flash',  // Use Flash for speed
-      temperature: 0.3,
-      maxOutputTokens: 2048
-    });
+class FixGeneratorAgent {
+  /**
+   * @param {LLMManager} llmManager - Provider registry; AI is off for this agent without one
+   */
+  constructor(llmManager) {
+    this.llm = llmManager
+      ? llmManager.forAgent('fixGenerator', { timeoutMs: 90000, temperature: 0.3, maxTokens: 2048 })
+      : null;
 
-    this.timeout = 90000; // 90 second timeout for fix generation (needs more time)
+    if (!this.llm || !this.llm.isEnabled()) {
+      console.warn('[FixGeneratorAgent] No LLM provider configured - fix generation will be template-based');
+    }
 
     this.promptTemplate = PromptTemplate.fromTemplate(`
 You are a senior software engineer fixing production bugs in a Node.js/Express microservice.
@@ -94,7 +102,7 @@ Respond with valid JSON (no markdown code blocks, no backticks):
       if (!fullFileContent) throw new Error(`Could not read ${fileName} from ${dirName}`);
 
       // If no AI model, use template-based fix
-      if (!this.model) {
+      if (!this.llm || !this.llm.isEnabled()) {
         return this.templateBasedFix(codeLocation, analysis, fullFileContent);
       }
 
@@ -110,22 +118,18 @@ Respond with valid JSON (no markdown code blocks, no backticks):
         fullFileContent: fullFileContent
       });
 
-      console.log('[FixGeneratorAgent] Sending request to Gemini (timeout: 90s)');
+      console.log(`[FixGeneratorAgent] Sending request to ${this.llm.describe()} (timeout: ${this.llm.timeoutMs / 1000}s)`);
 
-      // Add timeout
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Fix generation timeout')), this.timeout)
-      );
-      const response = await Promise.race([
-        this.model.invoke(prompt),
-        timeoutPromise
-      ]);
-      const fix = this.parseResponse(response.content);
+      const response = await this.llm.completeJson(prompt, FIX_SCHEMA);
+      const fix = response.data;
 
-      console.log('[FixGeneratorAgent] Fix generated with', fix.changes?.length || 0, 'changes');
+      console.log('[FixGeneratorAgent] Fix generated with', fix.changes.length, 'changes', `(${response.source})`);
 
       return {
+        testSuggestions: [],
         ...fix,
+        outputSource: response.source,
+        outputRepairs: response.repairs,
         originalCode: fullFileContent,
         fileName: fileName,
         filePath: codeLocation?.filePath || `${dirName}/${fileName}`,
@@ -154,6 +158,8 @@ Respond with valid JSON (no markdown code blocks, no backticks):
         filePath: codeLocation?.filePath || `${dirName}/${fileName}`,
         serviceName: serviceName,
         templateBased: true,
+        outputSource: 'fallback',
+        validationErrors: error.validationErrors,
         timestamp: new Date().toISOString()
       };
     }
@@ -435,35 +441,6 @@ function handleError(error, context = '') {
     return code.slice(0, insertPos) + errorHandler + code.slice(insertPos);
   }
 
-  /**
-   * Parse AI response
-   * @param {string} content - AI response
-   * @returns {object} Parsed fix
-   */
-  parseResponse(content) {
-    try {
-      let jsonStr = content;
-      jsonStr = jsonStr.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-
-      const jsonMatch = jsonStr.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return parsed;
-      }
-
-      throw new Error('No JSON found in response');
-    } catch (error) {
-      console.error('[FixGeneratorAgent] Parse error:', error.message);
-      return {
-        fixedCode: '// AI-generated fix could not be parsed\n// Please review manually',
-        changes: ['Parse error - manual review required'],
-        explanation: 'Failed to parse AI response: ' + error.message,
-        preventionTips: 'Review error handling patterns',
-        parseError: true
-      };
-    }
-  }
-
   /**
    * Generate template-based fix without AI
    * @param {object} codeLocation - Code location
@@ -496,7 +473,8 @@ function handleError(error, context = '') {
       ],
       fileName: codeLocation.fileName,
       serviceName: codeLocation.serviceName,
-      templateBased: true
+      templateBased: true,
+      outputSource: 'fallback'
     };
   }
 
@@ -750,4 +728,6 @@ function handleError(error, context = '') {
   }
 }
 
+FixGeneratorAgent.FIX_SCHEMA = FIX_SCHEMA;
+
 module.exports = FixGeneratorAgent;
\ No newline at end of file
@@ -9,6 +9,12 @@ const { promisify } = require('util');
 
 const execAsync = promisify(exec);
 
+// Usage (percent) at which a resource turns a service warning / critical
+const THRESHOLDS = {
+  cpu: { warning: 50, critical: 80 },
+  memory: { warning: 70, critical: 90 }
+};
+
 // Database for storing metrics history
 let logDatabase = null;
 try {
@@ -57,14 +63,9 @@ class MonitorAgent {
 
       const memPercent = parseFloat(stats.MemPerc?.replace('%', '') || '0');
 
-      // Parse network I/O
-      const netMatch = stats.NetIO?.match(/([\d.]+)(\w+)\s*\/\s*([\d.]+)(\w+)/);
-      let netIn = '0B';
-      let netOut = '0B';
-      if (netMatch) {
-        netIn = `${memMatch[1]}${memMatch[2]}`;
-        netOut = `${memMatch[3]}${memMatch[4]}`;
-      }
+      // Parse network and block I/O (bytes since the container started)
+      const [networkRxBytes, networkTxBytes] = this.parseIOPair(stats.NetIO);
+      const [blockReadBytes, blockWriteBytes] = this.parseIOPair(stats.BlockIO);
 
       const metrics = {
         service: serviceName,
@@ -77,6 +78,10 @@ class MonitorAgent {
         memoryPercent: memPercent,
         netIO: stats.NetIO || '0B / 0B',
         blockIO: stats.BlockIO || '0B / 0B',
+        networkRxBytes,
+        networkTxBytes,
+        blockReadBytes,
+        blockWriteBytes,
         pids: parseInt(stats.PIDs || '0'),
         status: this.determineStatus(cpuPercent, memPercent),
         timestamp: new Date().toISOString()
@@ -100,6 +105,10 @@ class MonitorAgent {
         memoryPercent: 0,
         netIO: 'N/A',
         blockIO: 'N/A',
+        networkRxBytes: 0,
+        networkTxBytes: 0,
+        blockReadBytes: 0,
+        blockWriteBytes: 0,
         pids: 0,
         status: 'unknown',
         error: error.message,
@@ -128,6 +137,43 @@ class MonitorAgent {
     return value * (units[unit] || 1);
   }
 
+  /**
+   * Parse a docker stats I/O pair such as "1.2MB / 648kB"
+   * @param {string} value - I/O column (NetIO or BlockIO)
+   * @returns {number[]} [in/read bytes, out/write bytes]
+   */
+  parseIOPair(value) {
+    const match = (value || '').match(/([\d.]+)\s*([a-zA-Z]+)\s*\/\s*([\d.]+)\s*([a-zA-Z]+)/);
+    if (!match) return [0, 0];
+    return [
+      this.convertToBytes(parseFloat(match[1]), match[2]),
+      this.convertToBytes(parseFloat(match[3]), match[4])
+    ];
+  }
+
+  /**
+   * Convert a size to bytes (docker stats uses decimal units for I/O)
+   * @param {number} value - Numeric value
+   * @param {string} unit - Unit (B, kB, MB, GiB, etc.)
+   * @returns {number} Bytes
+   */
+  convertToBytes(value, unit) {
+    const units = {
+      'B': 1,
+      'kB': 1e3,
+      'KB': 1e3,
+      'MB': 1e6,
+      'GB': 1e9,
+      'TB': 1e12,
+      'KiB': 1024,
+      'MiB': 1024 ** 2,
+      'GiB': 1024 ** 3,
+      'TiB': 1024 ** 4
+    };
+
+    return Math.round(value * (units[unit] || 1));
+  }
+
   /**
    * Determine service health status
    * @param {number} cpuPercent - CPU usage percentage
@@ -135,15 +181,27 @@ class MonitorAgent {
    * @returns {string} Status (healthy, warning, critical)
    */
   determineStatus(cpuPercent, memPercent) {
-    if (cpuPercent > 80 || memPercent > 90) {
+    if (cpuPercent > THRESHOLDS.cpu.critical || memPercent > THRESHOLDS.memory.critical) {
       return 'critical';
     }
-    if (cpuPercent > 50 || memPercent > 70) {
+    if (cpuPercent > THRESHOLDS.cpu.warning || memPercent > THRESHOLDS.memory.warning) {
       return 'warning';
     }
     return 'healthy';
   }
 
+  /**
+   * Resources of a service that are past their critical threshold
+   * @param {object} metrics - Service metrics
+   * @returns {string[]} Subset of ['cpu', 'memory']
+   */
+  getCriticalResources(metrics) {
+    const critical = [];
+    if (metrics.cpuPercent > THRESHOLDS.cpu.critical) critical.push('cpu');
+    if (metrics.memoryPercent > THRESHOLDS.memory.critical) critical.push('memory');
+    return critical;
+  }
+
   /**
    * Update metrics history for a service
    * @param {string} serviceName - Service name
@@ -175,8 +233,10 @@ class MonitorAgent {
         memory: metrics.memoryPercent,
         memoryUsage: metrics.memoryUsedMB,
         memoryLimit: metrics.memoryTotalMB,
-        networkRx: 0,
-        networkTx: 0,
+        networkRx: metrics.networkRxBytes,
+        networkTx: metrics.networkTxBytes,
+        blockRead: metrics.blockReadBytes,
+        blockWrite: metrics.blockWriteBytes,
         status: metrics.status
       }).catch(() => {
         // Ignore database errors - non-critical
@@ -292,49 +352,8 @@ class MonitorAgent {
 
     return summary;
   }
-
-  /**
-   * Check for anomalies in metrics
-   * @returns {Promise<object[]>} List of detected anomalies
-   */
-  async checkAnomalies() {
-    const metrics = await this.getAllMetrics();
-    const anomalies = [];
-
-    for (const metric of metrics) {
-      const history = this.getHistory(metric.service);
-
-      if (history.length < 5) continue;
-
-      // Calculate recent average
-      const recentHistory = history.slice(-10);
-      const avgCpu = recentHistory.reduce((sum, h) => sum + h.cpu, 0) / recentHistory.length;
-      const avgMem = recentHistory.reduce((sum, h) => sum + h.memory, 0) / recentHistory.length;
-
-      // Detect spikes (>50% above average)
-      if (metric.cpuPercent > avgCpu * 1.5 && metric.cpuPercent > 20) {
-        anomalies.push({
-          service: metric.service,
-          type: 'cpu_spike',
-          current: metric.cpuPercent,
-          average: avgCpu,
-          timestamp: metric.timestamp
-        });
-      }
-
-      if (metric.memoryPercent > avgMem * 1.3 && metric.memoryPercent > 50) {
-        anomalies.push({
-          service: metric.service,
-          type: 'memory_spike',
-          current: metric.memoryPercent,
-          average: avgMem,
-          timestamp: metric.timestamp
-        });
-      }
-    }
-
-    return anomalies;
-  }
 }
 
+MonitorAgent.THRESHOLDS = THRESHOLDS;
+
 module.exports = MonitorAgent;
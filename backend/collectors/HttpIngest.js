@@ -0,0 +1,269 @@
+/**
+ * HTTP Log Ingestion
+ * Validates log events pushed to POST /api/ingest (JSON array or NDJSON)
+ * and feeds accepted ones through LogCollector.addLog
+ */
+
+const crypto = require('crypto');
+const { FIELD_KEYS, getField, normalizeLevel, normalizeTimestamp, mapStructuredRecord } = require('./parsers/fieldMapping');
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/json-lines'];
+
+class HttpIngest {
+  /**
+   * @param {object} options - Options
+   * @param {LogCollector} options.collector - Collector whose addLog receives accepted events
+   * @param {object[]} options.apiKeys - { source, key, service } entries; ingestion is disabled when empty
+   * @param {number} options.maxEvents - Most events accepted in one request
+   * @param {number} options.maxMessageLength - Longest accepted message (characters)
+   */
+  constructor(options = {}) {
+    this.collector = options.collector;
+    this.apiKeys = options.apiKeys || [];
+    this.maxEvents = options.maxEvents || 1000;
+    this.maxMessageLength = options.maxMessageLength || 32 * 1024;
+
+    // source -> counters
+    this.stats = new Map();
+  }
+
+  /**
+   * Check whether any API key is configured
+   * @returns {boolean} True if ingestion is enabled
+   */
+  isEnabled() {
+    return this.apiKeys.length > 0;
+  }
+
+  /**
+   * Resolve the source for a request's API key
+   * Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+   * @param {object} headers - Request headers
+   * @returns {object|null} Matching { source, key, service } entry
+   */
+  authenticate(headers = {}) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    const presented = bearer ? bearer[1].trim() : headers['x-api-key'];
+    if (!presented) return null;
+
+    const presentedBuffer = Buffer.from(String(presented));
+
+    return this.apiKeys.find(entry => {
+      const keyBuffer = Buffer.from(entry.key);
+      return keyBuffer.length === presentedBuffer.length && crypto.timingSafeEqual(keyBuffer, presentedBuffer);
+    }) || null;
+  }
+
+  /**
+   * Split a request body into raw events
+   * JSON bodies may be an array, a single event or { events: [...] }; NDJSON
+   * bodies are split per line so one bad line only rejects that event
+   * @param {string} body - Request body
+   * @param {string} contentType - Content-Type header
+   * @returns {object[]} { event } or { error } per event, in order
+   */
+  splitEvents(body, contentType = '') {
+    const type = contentType.split(';')[0].trim().toLowerCase();
+    const trimmed = body.trim();
+
+    if (!trimmed) {
+      throw this.requestError('Request body is empty');
+    }
+
+    const looksLikeNdjson = NDJSON_TYPES.includes(type) ||
+      (type !== 'application/json' && !trimmed.startsWith('[') && trimmed.includes('\n'));
+
+    if (!looksLikeNdjson) {
+      let parsed;
+      try {
+        parsed = JSON.parse(trimmed);
+      } catch (error) {
+        throw this.requestError(`Invalid JSON body: ${error.message}`);
+      }
+
+      const events = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.events) ? parsed.events : [parsed]);
+      return events.map(event => ({ event }));
+    }
+
+    return trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, lineIndex) => {
+      try {
+        return { event: JSON.parse(line) };
+      } catch (error) {
+        return { error: `Invalid JSON on line ${lineIndex + 1}: ${error.message}` };
+      }
+    });
+  }
+
+  /**
+   * Read the raw value of a well-known field (before normalization)
+   * @param {object} event - Raw event
+   * @param {string} name - Well-known field name
+   * @returns {*} Raw value or undefined
+   */
+  rawField(event, name) {
+    for (const key of FIELD_KEYS[name]) {
+      const value = getField(event, key);
+      if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Validate one event and convert it to a log object
+   * @param {*} event - Raw event
+   * @param {object} source - Authenticated source entry
+   * @returns {object} { log } or { error }
+   */
+  validateEvent(event, source) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      return { error: 'Event must be a JSON object' };
+    }
+
+    const rawLevel = this.rawField(event, 'level');
+    const rawTimestamp = this.rawField(event, 'timestamp');
+    const rawService = this.rawField(event, 'service');
+
+    if (rawLevel !== undefined && !normalizeLevel(rawLevel)) {
+      return { error: `Unknown level "${rawLevel}"` };
+    }
+
+    if (rawTimestamp !== undefined && !normalizeTimestamp(rawTimestamp)) {
+      return { error: `Invalid timestamp "${rawTimestamp}"` };
+    }
+
+    if (rawService !== undefined && (typeof rawService !== 'string' || rawService.length > 128)) {
+      return { error: 'service must be a string of at most 128 characters' };
+    }
+
+    if (event.fields !== undefined && (typeof event.fields !== 'object' || event.fields === null || Array.isArray(event.fields))) {
+      return { error: 'fields must be an object' };
+    }
+
+    const rawMessage = this.rawField(event, 'message');
+    if (rawMessage !== undefined && typeof rawMessage !== 'string') {
+      return { error: 'message must be a string' };
+    }
+
+    const mapped = mapStructuredRecord(event);
+
+    if (!mapped.message || !mapped.message.trim()) {
+      return { error: 'message is required' };
+    }
+
+    if (mapped.message.length > this.maxMessageLength) {
+      return { error: `message exceeds ${this.maxMessageLength} characters` };
+    }
+
+    // Explicit "fields" are merged with any other extra keys
+    const { fields: explicitFields, ...extraFields } = mapped.fields;
+    const fields = { ...extraFields, ...explicitFields };
+
+    const log = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      service: mapped.service || source.service || source.source.toUpperCase(),
+      timestamp: mapped.timestamp || new Date().toISOString(),
+      level: mapped.level || this.collector.detectLevel(mapped.message),
+      message: mapped.message,
+      container: `ingest/${source.source}`,
+      format: 'ingest',
+      source: 'http',
+      raw: JSON.stringify(event)
+    };
+
+    if (mapped.traceId) log.traceId = mapped.traceId;
+    if (mapped.spanId) log.spanId = mapped.spanId;
+    if (mapped.stackTrace) log.stackTrace = mapped.stackTrace;
+    if (Object.keys(fields).length > 0) log.fields = fields;
+
+    return { log };
+  }
+
+  /**
+   * Validate one event, turning an unexpected failure into a rejection
+   * @param {*} event - Raw event
+   * @param {object} source - Authenticated source entry
+   * @returns {object} { log } or { error }
+   */
+  safeValidate(event, source) {
+    try {
+      return this.validateEvent(event, source);
+    } catch (error) {
+      return { error: `Invalid event: ${error.message}` };
+    }
+  }
+
+  /**
+   * Validate a request body and add the accepted events
+   * @param {string} body - Request body
+   * @param {string} contentType - Content-Type header
+   * @param {object} source - Authenticated source entry
+   * @returns {object} { accepted, rejected, results: [{ index, status, id | error }] }
+   */
+  ingest(body, contentType, source) {
+    const entries = this.splitEvents(body, contentType);
+
+    if (entries.length > this.maxEvents) {
+      throw this.requestError(`Batch of ${entries.length} events exceeds the limit of ${this.maxEvents}`, 413);
+    }
+
+    // Validate the whole batch first, so a failure never leaves it half added
+    const validated = entries.map(entry => entry.error ? entry : this.safeValidate(entry.event, source));
+
+    const results = validated.map(({ log, error }, index) => {
+      if (error) {
+        return { index, status: 'rejected', error };
+      }
+
+      this.collector.addLog(log);
+      return { index, status: 'accepted', id: log.id };
+    });
+
+    const accepted = results.filter(r => r.status === 'accepted').length;
+    this.recordStats(source.source, accepted, results.length - accepted);
+
+    return { accepted, rejected: results.length - accepted, results };
+  }
+
+  /**
+   * Track per-source counters
+   * @param {string} sourceName - Source
+   * @param {number} accepted - Accepted events
+   * @param {number} rejected - Rejected events
+   */
+  recordStats(sourceName, accepted, rejected) {
+    const stats = this.stats.get(sourceName) || { accepted: 0, rejected: 0, requests: 0, lastIngestAt: null };
+    stats.accepted += accepted;
+    stats.rejected += rejected;
+    stats.requests++;
+    stats.lastIngestAt = new Date().toISOString();
+    this.stats.set(sourceName, stats);
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Per-source ingestion health (keys are never included)
+   * @returns {object[]} One entry per configured source
+   */
+  getStatus() {
+    return this.apiKeys.map(entry => ({
+      container: `ingest/${entry.source}`,
+      platform: 'http',
+      source: entry.source,
+      service: entry.service || entry.source.toUpperCase(),
+      ...(this.stats.get(entry.source) || { accepted: 0, rejected: 0, requests: 0, lastIngestAt: null })
+    }));
+  }
+}
+
+module.exports = HttpIngest;
@@ -0,0 +1,164 @@
+/**
+ * Line Assembler
+ * Reassembles raw stream chunks into log entries, folding multi-line
+ * stack traces (Node, Java, Python) into the entry that precedes them
+ */
+
+// Lines that continue the previous entry rather than start a new one
+const DEFAULT_CONTINUATION_PATTERNS = [
+  /^\s+at\s/,                       // Node/Java frame: "    at fn (file.js:1:2)"
+  /^\s*Caused by:/,                 // Java cause chain
+  /^\s*Suppressed:/,                // Java suppressed exceptions
+  /^\s*\.\.\. \d+ (more|common frames omitted)/, // Java elided frames
+  /^\s+File ".+", line \d+/,        // Python frame
+  /^[ \t]+\S/                       // Any other indented line
+];
+
+// A non-indented exception line that ends a Python traceback or Java frame list
+const EXCEPTION_HEADER = /^(?:[\w.$]+(?:Error|Exception|Throwable)|Error)(?::\s|$)/;
+
+class LineAssembler {
+  /**
+   * @param {object} options - Options
+   * @param {function} options.onEntry - Called with { line, continuation: string[], meta } per entry
+   * @param {number} options.flushTimeoutMs - Emit a pending entry after this much idle time
+   * @param {number} options.maxContinuationLines - Cap on folded lines per entry
+   * @param {RegExp[]} options.continuationPatterns - Override continuation detection
+   */
+  constructor(options = {}) {
+    this.onEntry = options.onEntry || (() => {});
+    this.flushTimeoutMs = options.flushTimeoutMs || 250;
+    this.maxContinuationLines = options.maxContinuationLines || 200;
+    this.continuationPatterns = options.continuationPatterns || DEFAULT_CONTINUATION_PATTERNS;
+
+    this.partial = '';
+    this.pending = null;
+    this.timer = null;
+  }
+
+  /**
+   * Check whether a line continues the pending entry
+   * @param {string} line - Raw line
+   * @returns {boolean} True if the line should be folded
+   */
+  isContinuation(line) {
+    if (!this.pending) return false;
+
+    if (this.continuationPatterns.some(pattern => pattern.test(line))) {
+      return true;
+    }
+
+    // "ValueError: bad input" closes a Python traceback; only fold it when frames came
+    // first, and only once, so later exceptions logged on their own stay separate
+    return this.pending.continuation.length > 0 && !this.pending.closed && EXCEPTION_HEADER.test(line);
+  }
+
+  /**
+   * Feed a raw chunk from a stream; may contain several lines or a partial line
+   * @param {string|Buffer} chunk - Stream data
+   */
+  write(chunk) {
+    const text = this.partial + chunk.toString();
+    const lines = text.split(/\r?\n/);
+
+    // Last element is an incomplete line (or '' if the chunk ended with a newline)
+    this.partial = lines.pop();
+
+    for (const line of lines) {
+      this.pushLine(line);
+    }
+
+    this.scheduleFlush();
+  }
+
+  /**
+   * Feed one complete line from a source that already splits lines
+   * @param {string} line - Raw line without newline
+   * @param {object} meta - Source metadata kept with the entry's first line (stream, timestamp)
+   */
+  writeLine(line, meta = null) {
+    this.pushLine(line, meta);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Feed one complete line
+   * @param {string} line - Raw line without newline
+   * @param {object} meta - Source metadata for the line
+   */
+  pushLine(line, meta = null) {
+    if (!line.trim()) return;
+
+    if (this.isContinuation(line)) {
+      if (EXCEPTION_HEADER.test(line)) this.pending.closed = true;
+      if (this.pending.continuation.length < this.maxContinuationLines) {
+        this.pending.continuation.push(line);
+      } else {
+        this.pending.truncated++;
+      }
+      return;
+    }
+
+    this.emitPending();
+    this.pending = { line, meta, continuation: [], truncated: 0, closed: false };
+  }
+
+  /**
+   * Restart the idle timer that flushes the pending entry
+   */
+  scheduleFlush() {
+    if (this.timer) clearTimeout(this.timer);
+    if (!this.pending && !this.partial) return;
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.flushTimeoutMs);
+  }
+
+  /**
+   * Emit the pending entry, if any
+   */
+  emitPending() {
+    if (!this.pending) return;
+
+    const entry = this.pending;
+    this.pending = null;
+
+    if (entry.truncated > 0) {
+      entry.continuation.push(`    ... ${entry.truncated} more lines truncated`);
+    }
+
+    this.onEntry({ line: entry.line, continuation: entry.continuation, meta: entry.meta });
+  }
+
+  /**
+   * Emit everything buffered, including an unterminated trailing line
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    if (this.partial) {
+      const line = this.partial;
+      this.partial = '';
+      this.pushLine(line);
+    }
+
+    this.emitPending();
+  }
+
+  /**
+   * Flush and stop the idle timer (call when the stream closes)
+   */
+  destroy() {
+    this.flush();
+  }
+}
+
+LineAssembler.DEFAULT_CONTINUATION_PATTERNS = DEFAULT_CONTINUATION_PATTERNS;
+LineAssembler.EXCEPTION_HEADER = EXCEPTION_HEADER;
+
+module.exports = LineAssembler;
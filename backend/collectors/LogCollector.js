@@ -1,10 +1,17 @@
 /**
  * Log Collector
- * Streams Docker container logs in real-time and detects errors
+ * Streams Docker container and Kubernetes pod logs, tails log files and
+ * receives syslog in real-time, and detects errors
  */
 
-const { spawn } = require('child_process');
 const EventEmitter = require('events');
+const { defaultParsers } = require('./parsers');
+const LineAssembler = require('./LineAssembler');
+const DockerSource = require('./sources/DockerSource');
+const KubernetesSource = require('./sources/KubernetesSource');
+const FileTailSource = require('./sources/FileTailSource');
+const SyslogSource = require('./sources/SyslogSource');
+const { createDockerClient } = require('../utils/dockerHelper');
 
 class LogCollector extends EventEmitter {
   constructor(options = {}) {
@@ -12,10 +19,62 @@ class LogCollector extends EventEmitter {
 
     this.bufferSize = options.bufferSize || 1000;
     this.logs = [];
-    this.processes = new Map();
+    this.assemblers = new Map();
+    this.multilineFlushMs = options.multilineFlushMs || 250;
     this.services = options.services || [];
     this.isRunning = false;
 
+    // Looks up discovery info for a service name (used to route Kubernetes targets)
+    this.resolveService = options.resolveService || (() => null);
+
+    // Docker API log source (one follow stream per container)
+    this.dockerSource = new DockerSource({
+      docker: options.docker || createDockerClient(options.dockerConfig),
+      tail: options.tail || 50,
+      initialBackoffMs: options.initialBackoffMs,
+      maxBackoffMs: options.maxBackoffMs
+    });
+
+    // Kubernetes API log source (one follow stream per pod container)
+    this.kubernetesSource = new KubernetesSource({
+      client: options.kubernetesClient,
+      tailLines: options.kubernetesTailLines,
+      initialBackoffMs: options.initialBackoffMs,
+      maxBackoffMs: options.maxBackoffMs
+    });
+
+    // Sources followed per discovered service
+    this.sources = [this.dockerSource, this.kubernetesSource];
+
+    // Log files outside containers
+    this.fileSource = new FileTailSource(options.fileSources || {});
+
+    // Syslog listeners (UDP/TCP)
+    this.syslogSource = new SyslogSource(options.syslog || {});
+
+    // Sources that run for as long as the collector does, independent of discovery
+    this.inputSources = [this.fileSource, this.syslogSource];
+
+    for (const source of [...this.sources, ...this.inputSources]) {
+      source.on('line', (containerName, line, meta) => {
+        this.getAssembler(containerName, meta.stream).writeLine(line, meta);
+      });
+
+      source.on('stream-error', (info) => {
+        this.emit('stream-error', info);
+      });
+
+      // Emit any half-assembled entry as soon as the stream drops
+      source.on('stream-end', ({ container }) => {
+        for (const [key, assembler] of this.assemblers) {
+          if (key.startsWith(`${container}:`)) assembler.flush();
+        }
+      });
+    }
+
+    // Parser chain - first parser that recognizes a line wins
+    this.parsers = options.parsers || [...defaultParsers];
+
     // Error detection patterns
     this.errorPatterns = [
       /\bERROR\b/i,
@@ -37,39 +96,78 @@ class LogCollector extends EventEmitter {
     console.log('[LogCollector] Initialized with buffer size:', this.bufferSize);
   }
 
+  /**
+   * Register an additional line parser
+   * @param {object} parser - { name, parse(line) } returning a partial log or null
+   * @param {object} options - Options
+   * @param {boolean} options.prepend - Try this parser before the built-in ones
+   */
+  addParser(parser, { prepend = false } = {}) {
+    if (!parser || typeof parser.parse !== 'function') {
+      throw new Error('Parser must implement parse(line)');
+    }
+
+    if (prepend) {
+      this.parsers.unshift(parser);
+    } else {
+      this.parsers.push(parser);
+    }
+  }
+
   /**
    * Parse a log line into structured format
+   * Tries each parser in the chain (bracket, JSON, logfmt by default) and
+   * falls back to level detection on the raw line
    * @param {string} line - Raw log line
    * @param {string} containerName - Source container name
+   * @param {object} meta - Source metadata ({ stream, timestamp, level, ... }) used when the line has none
    * @returns {object} Parsed log object
    */
-  parseLine(line, containerName) {
-    // Expected format: [SERVICE-NAME] TIMESTAMP LEVEL: Message
-    const regex = /^\[([^\]]+)\]\s*(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\s*(\w+):\s*(.+)$/;
-    const match = line.match(regex);
-
-    if (match) {
-      return {
-        id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        service: match[1],
-        timestamp: match[2],
-        level: match[3].toUpperCase(),
-        message: match[4],
-        container: containerName,
-        raw: line
-      };
+  parseLine(line, containerName, meta = null) {
+    let parsed = null;
+    let format = 'text';
+
+    for (const parser of this.parsers) {
+      try {
+        parsed = parser.parse(line);
+      } catch (error) {
+        parsed = null;
+      }
+      if (parsed) {
+        format = parser.name;
+        break;
+      }
     }
 
-    // Fallback parsing for non-standard logs
-    return {
+    const log = {
       id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      service: this.extractServiceName(containerName),
-      timestamp: new Date().toISOString(),
-      level: this.detectLevel(line),
-      message: line.trim(),
+      service: parsed?.service || meta?.service || this.extractServiceName(containerName),
+      timestamp: parsed?.timestamp || meta?.timestamp || new Date().toISOString(),
+      level: parsed?.level || meta?.level || this.detectLevel(parsed?.message || line),
+      message: parsed?.message || line.trim(),
       container: containerName,
+      format,
       raw: line
     };
+
+    if (meta?.stream) log.stream = meta.stream;
+    if (meta?.pod) {
+      log.namespace = meta.namespace;
+      log.pod = meta.pod;
+    }
+    if (meta?.source) log.source = meta.source;
+    if (meta?.host) log.host = meta.host;
+    if (meta?.path) log.file = meta.path;
+
+    // Structured extras are only attached when present
+    if (parsed?.traceId) log.traceId = parsed.traceId;
+    if (parsed?.spanId) log.spanId = parsed.spanId;
+    if (parsed?.stackTrace) log.stackTrace = parsed.stackTrace;
+
+    const fields = { ...meta?.fields, ...parsed?.fields };
+    if (Object.keys(fields).length > 0) log.fields = fields;
+
+    return log;
   }
 
   /**
@@ -163,54 +261,88 @@ class LogCollector extends EventEmitter {
   }
 
   /**
-   * Start streaming logs for a container
-   * @param {string} containerName - Container to stream from
+   * Get (or create) the multi-line assembler for a container stream
+   * @param {string} containerName - Container name
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @returns {LineAssembler} Assembler feeding addLog
    */
-  streamContainer(containerName) {
-    console.log(`[LogCollector] Starting stream for ${containerName}`);
+  getAssembler(containerName, stream) {
+    const key = `${containerName}:${stream}`;
+
+    if (!this.assemblers.has(key)) {
+      this.assemblers.set(key, new LineAssembler({
+        flushTimeoutMs: this.multilineFlushMs,
+        onEntry: ({ line, continuation, meta }) => {
+          const log = this.parseLine(line, containerName, meta);
+          this.attachContinuation(log, continuation);
+          this.addLog(log);
+        }
+      }));
+    }
 
-    const proc = spawn('docker', ['logs', '-f', '--tail', '50', containerName], {
-      stdio: ['ignore', 'pipe', 'pipe']
-    });
+    return this.assemblers.get(key);
+  }
 
-    this.processes.set(containerName, proc);
+  /**
+   * Flush and drop the assemblers for a container
+   * @param {string} containerName - Container name
+   */
+  releaseAssemblers(containerName) {
+    for (const [key, assembler] of this.assemblers) {
+      if (key.startsWith(`${containerName}:`)) {
+        assembler.destroy();
+        this.assemblers.delete(key);
+      }
+    }
+  }
 
-    // Handle stdout
-    proc.stdout.on('data', (data) => {
-      const lines = data.toString().split('\n').filter(line => line.trim());
-      lines.forEach(line => {
-        const log = this.parseLine(line, containerName);
-        this.addLog(log);
-      });
-    });
+  /**
+   * Fold continuation lines (stack frames) into a parsed log as stackTrace
+   * @param {object} log - Parsed log object
+   * @param {string[]} continuation - Lines folded by the assembler
+   */
+  attachContinuation(log, continuation) {
+    if (!continuation || continuation.length === 0) return;
 
-    // Handle stderr (Docker sends logs to stderr by default)
-    proc.stderr.on('data', (data) => {
-      const lines = data.toString().split('\n').filter(line => line.trim());
-      lines.forEach(line => {
-        const log = this.parseLine(line, containerName);
-        this.addLog(log);
-      });
-    });
+    const folded = continuation.join('\n');
+    log.stackTrace = log.stackTrace ? `${log.stackTrace}\n${folded}` : folded;
+    log.raw = `${log.raw}\n${folded}`;
 
-    proc.on('error', (error) => {
-      console.error(`[LogCollector] Stream error for ${containerName}:`, error.message);
-      this.emit('stream-error', { container: containerName, error: error.message });
-    });
+    // Unstructured tracebacks ("Traceback ...", "Exception in thread ...") carry no level of their own
+    const hasException = [log.message, ...continuation].some(line =>
+      LineAssembler.EXCEPTION_HEADER.test(line.trim()) || /^Exception in thread\b|^Traceback \(most recent call last\)/.test(line)
+    );
+    if (log.format === 'text' && ['INFO', 'DEBUG'].includes(log.level) && hasException) {
+      log.level = 'ERROR';
+    }
+  }
 
-    proc.on('close', (code) => {
-      console.log(`[LogCollector] Stream closed for ${containerName} with code ${code}`);
-      this.processes.delete(containerName);
-
-      // Attempt to reconnect after a delay if still running
-      if (this.isRunning) {
-        setTimeout(() => {
-          if (this.isRunning) {
-            this.streamContainer(containerName);
-          }
-        }, 5000);
-      }
-    });
+  /**
+   * Start streaming logs for a container
+   * Safe to call repeatedly - an already followed container is left alone
+   * @param {string} containerName - Container (or namespace/pod/container target) to stream from
+   */
+  streamContainer(containerName) {
+    if (this.sources.some(source => source.isFollowing(containerName))) return;
+
+    const info = this.resolveService(containerName);
+    console.log(`[LogCollector] Starting stream for ${containerName}`);
+
+    if (info?.platform === 'kubernetes') {
+      this.kubernetesSource.follow(info);
+    } else {
+      this.dockerSource.follow(containerName);
+    }
+  }
+
+  /**
+   * Stop streaming logs for a single container
+   * @param {string} containerName - Container to stop
+   */
+  stopContainer(containerName) {
+    console.log(`[LogCollector] Stopping stream for ${containerName}`);
+    this.sources.forEach(source => source.unfollow(containerName));
+    this.releaseAssemblers(containerName);
   }
 
   /**
@@ -234,6 +366,11 @@ class LogCollector extends EventEmitter {
       }
     }
 
+    // Files and syslog are configured statically, not discovered
+    for (const source of this.inputSources) {
+      if (source.isEnabled()) source.start();
+    }
+
     this.emit('started');
   }
 
@@ -244,13 +381,14 @@ class LogCollector extends EventEmitter {
     console.log('[LogCollector] Stopping log collection');
     this.isRunning = false;
 
-    // Kill all streaming processes
-    for (const [containerName, proc] of this.processes) {
-      console.log(`[LogCollector] Killing stream for ${containerName}`);
-      proc.kill('SIGTERM');
-    }
+    this.sources.forEach(source => source.unfollowAll());
+    this.inputSources.forEach(source => source.stop());
 
-    this.processes.clear();
+    // Emit whatever the assemblers still hold
+    for (const assembler of this.assemblers.values()) {
+      assembler.destroy();
+    }
+    this.assemblers.clear();
     this.emit('stopped');
   }
 
@@ -311,12 +449,29 @@ class LogCollector extends EventEmitter {
    * @returns {object} Status information
    */
   getStatus() {
+    const streams = [...this.sources, ...this.inputSources].flatMap(source => source.getStatus());
+
     return {
       isRunning: this.isRunning,
-      activeStreams: this.processes.size,
+      activeStreams: streams.filter(s => s.status === 'streaming').length,
       logCount: this.logs.length,
       bufferSize: this.bufferSize,
-      services: Array.from(this.processes.keys())
+      services: streams.map(s => s.container),
+      streams
+    };
+  }
+
+  /**
+   * Get the non-container sources (tailed files and syslog)
+   * @returns {object} { files, syslog: { listeners, senders } }
+   */
+  getInputSources() {
+    return {
+      files: this.fileSource.getStatus(),
+      syslog: {
+        listeners: this.syslogSource.getListeners(),
+        senders: this.syslogSource.getStatus()
+      }
     };
   }
 }
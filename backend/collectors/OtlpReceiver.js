@@ -0,0 +1,380 @@
+/**
+ * OTLP Receiver
+ * Accepts OpenTelemetry OTLP/HTTP exports (/v1/logs, /v1/traces) in JSON or
+ * protobuf encoding. Log records become regular log entries (keeping their
+ * trace/span IDs); spans are handed to the span store for trace correlation
+ */
+
+const schema = require('./otlp/schema');
+const { normalizeTimestamp } = require('./parsers/fieldMapping');
+
+// SeverityNumber ranges from the OpenTelemetry logs data model
+const SEVERITY_LEVELS = [
+  { min: 21, level: 'CRITICAL' },
+  { min: 17, level: 'ERROR' },
+  { min: 13, level: 'WARN' },
+  { min: 9, level: 'INFO' },
+  { min: 1, level: 'DEBUG' }
+];
+
+const SPAN_KINDS = ['UNSPECIFIED', 'INTERNAL', 'SERVER', 'CLIENT', 'PRODUCER', 'CONSUMER'];
+const STATUS_CODES = ['UNSET', 'OK', 'ERROR'];
+
+const PROTOBUF_TYPES = ['application/x-protobuf', 'application/protobuf'];
+
+class OtlpReceiver {
+  /**
+   * @param {object} options - Options
+   * @param {LogCollector} options.collector - Collector whose addLog receives log records
+   * @param {object} options.spanStore - Store with storeSpans(spans) and getTrace(traceId) (LogDatabase)
+   * @param {DependencyGraph} options.dependencyGraph - Learns service calls from parent/child spans; optional
+   */
+  constructor(options = {}) {
+    this.collector = options.collector;
+    this.spanStore = options.spanStore;
+    this.dependencyGraph = options.dependencyGraph || null;
+
+    this.stats = {
+      logRecords: 0,
+      rejectedLogRecords: 0,
+      spans: 0,
+      rejectedSpans: 0,
+      lastLogsAt: null,
+      lastTracesAt: null
+    };
+  }
+
+  /**
+   * Check whether a request uses the protobuf encoding
+   * @param {string} contentType - Content-Type header
+   * @returns {boolean} True for application/x-protobuf
+   */
+  isProtobuf(contentType = '') {
+    return PROTOBUF_TYPES.includes(contentType.split(';')[0].trim().toLowerCase());
+  }
+
+  /**
+   * Decode an export request body into a plain object
+   * @param {Buffer} body - Request body
+   * @param {string} contentType - Content-Type header
+   * @param {protobuf.Type} type - Request message type
+   * @returns {object} Request object (camelCase fields)
+   */
+  decode(body, contentType, type) {
+    if (this.isProtobuf(contentType)) {
+      try {
+        return type.toObject(type.decode(body), { longs: String, defaults: false });
+      } catch (error) {
+        throw this.requestError(`Invalid protobuf payload: ${error.message}`);
+      }
+    }
+
+    let request;
+    try {
+      request = JSON.parse(body.toString('utf-8') || '{}');
+    } catch (error) {
+      throw this.requestError(`Invalid JSON payload: ${error.message}`);
+    }
+
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      throw this.requestError('Invalid JSON payload: expected an object');
+    }
+    return request;
+  }
+
+  /**
+   * Encode an export response in the request's encoding
+   * @param {object} response - Response object ({ partialSuccess })
+   * @param {string} contentType - Request Content-Type
+   * @param {protobuf.Type} type - Response message type
+   * @returns {object} { contentType, body }
+   */
+  encodeResponse(response, contentType, type) {
+    if (this.isProtobuf(contentType)) {
+      return {
+        contentType: 'application/x-protobuf',
+        body: Buffer.from(type.encode(type.fromObject(response)).finish())
+      };
+    }
+
+    return { contentType: 'application/json', body: JSON.stringify(response) };
+  }
+
+  /**
+   * Handle an ExportLogsServiceRequest
+   * @param {Buffer} body - Request body
+   * @param {string} contentType - Content-Type header
+   * @returns {object} { contentType, body } export response
+   */
+  receiveLogs(body, contentType) {
+    const request = this.decode(body, contentType, schema.ExportLogsServiceRequest);
+    let accepted = 0;
+    let rejected = 0;
+
+    for (const resourceLogs of request.resourceLogs || []) {
+      const resource = this.attributesToObject(resourceLogs.resource?.attributes);
+
+      for (const scopeLogs of resourceLogs.scopeLogs || []) {
+        for (const record of scopeLogs.logRecords || []) {
+          const log = this.toLog(record, resource, scopeLogs.scope);
+          if (!log) {
+            rejected++;
+            continue;
+          }
+
+          this.collector.addLog(log);
+          accepted++;
+        }
+      }
+    }
+
+    this.stats.logRecords += accepted;
+    this.stats.rejectedLogRecords += rejected;
+    this.stats.lastLogsAt = new Date().toISOString();
+
+    const response = rejected > 0
+      ? { partialSuccess: { rejectedLogRecords: rejected, errorMessage: 'Log records without a body were rejected' } }
+      : {};
+    return this.encodeResponse(response, contentType, schema.ExportLogsServiceResponse);
+  }
+
+  /**
+   * Handle an ExportTraceServiceRequest
+   * @param {Buffer} body - Request body
+   * @param {string} contentType - Content-Type header
+   * @returns {Promise<object>} { contentType, body } export response
+   */
+  async receiveTraces(body, contentType) {
+    const request = this.decode(body, contentType, schema.ExportTraceServiceRequest);
+    const spans = [];
+    let rejected = 0;
+
+    for (const resourceSpans of request.resourceSpans || []) {
+      const resource = this.attributesToObject(resourceSpans.resource?.attributes);
+
+      for (const scopeSpans of resourceSpans.scopeSpans || []) {
+        for (const span of scopeSpans.spans || []) {
+          const converted = this.toSpan(span, resource);
+          if (converted) {
+            spans.push(converted);
+          } else {
+            rejected++;
+          }
+        }
+      }
+    }
+
+    if (spans.length > 0) {
+      await this.spanStore.storeSpans(spans);
+      if (this.dependencyGraph) {
+        // Parents may have arrived in an earlier export
+        const traces = new Map();
+        for (const traceId of new Set(spans.map(span => span.traceId))) {
+          traces.set(traceId, await this.spanStore.getTrace(traceId));
+        }
+        this.dependencyGraph.observeSpans(spans, (traceId) => traces.get(traceId) || []);
+      }
+    }
+
+    this.stats.spans += spans.length;
+    this.stats.rejectedSpans += rejected;
+    this.stats.lastTracesAt = new Date().toISOString();
+
+    const response = rejected > 0
+      ? { partialSuccess: { rejectedSpans: rejected, errorMessage: 'Spans without a valid traceId/spanId were rejected' } }
+      : {};
+    return this.encodeResponse(response, contentType, schema.ExportTraceServiceResponse);
+  }
+
+  /**
+   * Convert an OTLP LogRecord to a log entry
+   * @param {object} record - LogRecord
+   * @param {object} resource - Flattened resource attributes
+   * @param {object} scope - InstrumentationScope
+   * @returns {object|null} Log entry, or null if the record has nothing to show
+   */
+  toLog(record, resource, scope) {
+    const attributes = this.attributesToObject(record.attributes);
+    const body = this.anyValue(record.body);
+
+    let message = typeof body === 'string' ? body : (body !== undefined && body !== null ? JSON.stringify(body) : '');
+    if (!message && attributes['exception.message']) {
+      message = String(attributes['exception.message']);
+    }
+    if (!message && record.eventName) {
+      message = record.eventName;
+    }
+    if (!message.trim()) return null;
+
+    const severityNumber = Number(record.severityNumber) || 0;
+    const level = severityNumber > 0
+      ? SEVERITY_LEVELS.find(s => severityNumber >= s.min).level
+      : this.collector.detectLevel(`${record.severityText || ''} ${message}`);
+
+    const stackTrace = attributes['exception.stacktrace'];
+    delete attributes['exception.stacktrace'];
+
+    const service = resource['service.name'] || 'OTEL';
+
+    const log = {
+      id: `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      service: String(service).toUpperCase(),
+      timestamp: this.nanosToIso(record.timeUnixNano) || this.nanosToIso(record.observedTimeUnixNano) || new Date().toISOString(),
+      level,
+      message,
+      container: `otlp/${service}`,
+      format: 'otlp',
+      source: 'otlp',
+      raw: message
+    };
+
+    const traceId = this.toHex(record.traceId);
+    const spanId = this.toHex(record.spanId);
+    if (traceId) log.traceId = traceId;
+    if (spanId) log.spanId = spanId;
+    if (stackTrace) log.stackTrace = String(stackTrace);
+
+    const fields = { ...attributes };
+    if (scope?.name) fields['otel.scope'] = scope.name;
+    for (const key of ['service.namespace', 'service.version', 'service.instance.id', 'host.name', 'k8s.pod.name', 'k8s.namespace.name']) {
+      if (resource[key] !== undefined) fields[key] = resource[key];
+    }
+    if (Object.keys(fields).length > 0) log.fields = fields;
+
+    return log;
+  }
+
+  /**
+   * Convert an OTLP Span to the stored span shape
+   * @param {object} span - Span
+   * @param {object} resource - Flattened resource attributes
+   * @returns {object|null} Span, or null without valid IDs
+   */
+  toSpan(span, resource) {
+    const traceId = this.toHex(span.traceId);
+    const spanId = this.toHex(span.spanId);
+    if (!traceId || !spanId) return null;
+
+    const startTime = this.nanosToIso(span.startTimeUnixNano);
+    const endTime = this.nanosToIso(span.endTimeUnixNano) || startTime;
+    const statusCode = STATUS_CODES[Number(span.status?.code) || 0] || 'UNSET';
+
+    return {
+      traceId,
+      spanId,
+      parentSpanId: this.toHex(span.parentSpanId),
+      service: String(resource['service.name'] || 'OTEL').toUpperCase(),
+      name: span.name || '',
+      kind: SPAN_KINDS[Number(span.kind) || 0] || 'UNSPECIFIED',
+      startTime,
+      endTime,
+      durationMs: startTime && endTime ? new Date(endTime).getTime() - new Date(startTime).getTime() : 0,
+      status: statusCode,
+      statusMessage: span.status?.message || null,
+      attributes: this.attributesToObject(span.attributes),
+      events: (span.events || []).map(event => ({
+        name: event.name,
+        timestamp: this.nanosToIso(event.timeUnixNano),
+        attributes: this.attributesToObject(event.attributes)
+      }))
+    };
+  }
+
+  /**
+   * Flatten OTLP KeyValue attributes into a plain object
+   * @param {object[]} attributes - KeyValue list
+   * @returns {object} key -> value
+   */
+  attributesToObject(attributes) {
+    const result = {};
+    for (const attribute of attributes || []) {
+      if (attribute && attribute.key) {
+        result[attribute.key] = this.anyValue(attribute.value);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Unwrap an OTLP AnyValue
+   * @param {object} value - AnyValue
+   * @returns {*} JavaScript value
+   */
+  anyValue(value) {
+    if (!value || typeof value !== 'object') return value;
+
+    if (value.stringValue !== undefined) return value.stringValue;
+    if (value.boolValue !== undefined) return value.boolValue;
+    if (value.intValue !== undefined) return Number(value.intValue);
+    if (value.doubleValue !== undefined) return Number(value.doubleValue);
+    if (value.arrayValue !== undefined) return (value.arrayValue.values || []).map(v => this.anyValue(v));
+    if (value.kvlistValue !== undefined) return this.attributesToObject(value.kvlistValue.values);
+    if (value.bytesValue !== undefined) {
+      // JSON encoding carries bytes as base64
+      return typeof value.bytesValue === 'string'
+        ? Buffer.from(value.bytesValue, 'base64').toString('hex')
+        : Buffer.from(value.bytesValue).toString('hex');
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize a trace/span ID to lowercase hex
+   * OTLP/JSON carries hex strings (some exporters send base64), protobuf carries bytes
+   * @param {Buffer|Uint8Array|string} id - Raw ID
+   * @returns {string|null} Hex ID, or null when empty/all zeros
+   */
+  toHex(id) {
+    if (!id) return null;
+
+    let hex;
+    if (typeof id !== 'string') {
+      hex = Buffer.from(id).toString('hex');
+    } else if (/^[0-9a-f]+$/i.test(id)) {
+      hex = id.toLowerCase();
+    } else {
+      hex = Buffer.from(id, 'base64').toString('hex');
+    }
+
+    return hex && /[1-9a-f]/.test(hex) ? hex : null;
+  }
+
+  /**
+   * Convert a fixed64 nanosecond epoch (string or number) to ISO
+   * @param {string|number} nanos - Unix nanoseconds
+   * @returns {string|null} ISO timestamp
+   */
+  nanosToIso(nanos) {
+    if (nanos === undefined || nanos === null || nanos === '' || nanos === '0' || nanos === 0) return null;
+
+    try {
+      // BigInt keeps precision past 2^53 before we drop to milliseconds
+      return normalizeTimestamp(Number(BigInt(String(nanos)) / 1000000n));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Receiver counters
+   * @returns {object} Stats
+   */
+  getStatus() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = OtlpReceiver;
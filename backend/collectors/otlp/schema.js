@@ -0,0 +1,249 @@
+/**
+ * OTLP Protobuf Schema
+ * The subset of opentelemetry-proto (v1) needed to decode OTLP/HTTP log and
+ * trace export requests, as a protobufjs JSON descriptor so no .proto files
+ * have to be shipped or parsed at runtime
+ */
+
+const protobuf = require('protobufjs');
+
+const descriptor = {
+  nested: {
+    opentelemetry: {
+      nested: {
+        proto: {
+          nested: {
+            common: {
+              nested: {
+                v1: {
+                  nested: {
+                    AnyValue: {
+                      oneofs: {
+                        value: {
+                          oneof: ['stringValue', 'boolValue', 'intValue', 'doubleValue', 'arrayValue', 'kvlistValue', 'bytesValue']
+                        }
+                      },
+                      fields: {
+                        stringValue: { type: 'string', id: 1 },
+                        boolValue: { type: 'bool', id: 2 },
+                        intValue: { type: 'int64', id: 3 },
+                        doubleValue: { type: 'double', id: 4 },
+                        arrayValue: { type: 'ArrayValue', id: 5 },
+                        kvlistValue: { type: 'KeyValueList', id: 6 },
+                        bytesValue: { type: 'bytes', id: 7 }
+                      }
+                    },
+                    ArrayValue: {
+                      fields: {
+                        values: { rule: 'repeated', type: 'AnyValue', id: 1 }
+                      }
+                    },
+                    KeyValueList: {
+                      fields: {
+                        values: { rule: 'repeated', type: 'KeyValue', id: 1 }
+                      }
+                    },
+                    KeyValue: {
+                      fields: {
+                        key: { type: 'string', id: 1 },
+                        value: { type: 'AnyValue', id: 2 }
+                      }
+                    },
+                    InstrumentationScope: {
+                      fields: {
+                        name: { type: 'string', id: 1 },
+                        version: { type: 'string', id: 2 },
+                        attributes: { rule: 'repeated', type: 'KeyValue', id: 3 },
+                        droppedAttributesCount: { type: 'uint32', id: 4 }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            resource: {
+              nested: {
+                v1: {
+                  nested: {
+                    Resource: {
+                      fields: {
+                        attributes: { rule: 'repeated', type: 'opentelemetry.proto.common.v1.KeyValue', id: 1 },
+                        droppedAttributesCount: { type: 'uint32', id: 2 }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            logs: {
+              nested: {
+                v1: {
+                  nested: {
+                    ResourceLogs: {
+                      fields: {
+                        resource: { type: 'opentelemetry.proto.resource.v1.Resource', id: 1 },
+                        scopeLogs: { rule: 'repeated', type: 'ScopeLogs', id: 2 },
+                        schemaUrl: { type: 'string', id: 3 }
+                      }
+                    },
+                    ScopeLogs: {
+                      fields: {
+                        scope: { type: 'opentelemetry.proto.common.v1.InstrumentationScope', id: 1 },
+                        logRecords: { rule: 'repeated', type: 'LogRecord', id: 2 },
+                        schemaUrl: { type: 'string', id: 3 }
+                      }
+                    },
+                    LogRecord: {
+                      fields: {
+                        timeUnixNano: { type: 'fixed64', id: 1 },
+                        observedTimeUnixNano: { type: 'fixed64', id: 11 },
+                        severityNumber: { type: 'int32', id: 2 },
+                        severityText: { type: 'string', id: 3 },
+                        body: { type: 'opentelemetry.proto.common.v1.AnyValue', id: 5 },
+                        attributes: { rule: 'repeated', type: 'opentelemetry.proto.common.v1.KeyValue', id: 6 },
+                        droppedAttributesCount: { type: 'uint32', id: 7 },
+                        flags: { type: 'fixed32', id: 8 },
+                        traceId: { type: 'bytes', id: 9 },
+                        spanId: { type: 'bytes', id: 10 },
+                        eventName: { type: 'string', id: 12 }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            trace: {
+              nested: {
+                v1: {
+                  nested: {
+                    ResourceSpans: {
+                      fields: {
+                        resource: { type: 'opentelemetry.proto.resource.v1.Resource', id: 1 },
+                        scopeSpans: { rule: 'repeated', type: 'ScopeSpans', id: 2 },
+                        schemaUrl: { type: 'string', id: 3 }
+                      }
+                    },
+                    ScopeSpans: {
+                      fields: {
+                        scope: { type: 'opentelemetry.proto.common.v1.InstrumentationScope', id: 1 },
+                        spans: { rule: 'repeated', type: 'Span', id: 2 },
+                        schemaUrl: { type: 'string', id: 3 }
+                      }
+                    },
+                    Span: {
+                      fields: {
+                        traceId: { type: 'bytes', id: 1 },
+                        spanId: { type: 'bytes', id: 2 },
+                        traceState: { type: 'string', id: 3 },
+                        parentSpanId: { type: 'bytes', id: 4 },
+                        flags: { type: 'fixed32', id: 16 },
+                        name: { type: 'string', id: 5 },
+                        kind: { type: 'int32', id: 6 },
+                        startTimeUnixNano: { type: 'fixed64', id: 7 },
+                        endTimeUnixNano: { type: 'fixed64', id: 8 },
+                        attributes: { rule: 'repeated', type: 'opentelemetry.proto.common.v1.KeyValue', id: 9 },
+                        droppedAttributesCount: { type: 'uint32', id: 10 },
+                        events: { rule: 'repeated', type: 'Event', id: 11 },
+                        droppedEventsCount: { type: 'uint32', id: 12 },
+                        links: { rule: 'repeated', type: 'Link', id: 13 },
+                        droppedLinksCount: { type: 'uint32', id: 14 },
+                        status: { type: 'Status', id: 15 }
+                      },
+                      nested: {
+                        Event: {
+                          fields: {
+                            timeUnixNano: { type: 'fixed64', id: 1 },
+                            name: { type: 'string', id: 2 },
+                            attributes: { rule: 'repeated', type: 'opentelemetry.proto.common.v1.KeyValue', id: 3 },
+                            droppedAttributesCount: { type: 'uint32', id: 4 }
+                          }
+                        },
+                        Link: {
+                          fields: {
+                            traceId: { type: 'bytes', id: 1 },
+                            spanId: { type: 'bytes', id: 2 },
+                            traceState: { type: 'string', id: 3 },
+                            attributes: { rule: 'repeated', type: 'opentelemetry.proto.common.v1.KeyValue', id: 4 },
+                            droppedAttributesCount: { type: 'uint32', id: 5 },
+                            flags: { type: 'fixed32', id: 6 }
+                          }
+                        }
+                      }
+                    },
+                    Status: {
+                      fields: {
+                        message: { type: 'string', id: 2 },
+                        code: { type: 'int32', id: 3 }
+                      }
+                    }
+                  }
+                }
+              }
+            },
+            collector: {
+              nested: {
+                logs: {
+                  nested: {
+                    v1: {
+                      nested: {
+                        ExportLogsServiceRequest: {
+                          fields: {
+                            resourceLogs: { rule: 'repeated', type: 'opentelemetry.proto.logs.v1.ResourceLogs', id: 1 }
+                          }
+                        },
+                        ExportLogsServiceResponse: {
+                          fields: {
+                            partialSuccess: { type: 'ExportLogsPartialSuccess', id: 1 }
+                          }
+                        },
+                        ExportLogsPartialSuccess: {
+                          fields: {
+                            rejectedLogRecords: { type: 'int64', id: 1 },
+                            errorMessage: { type: 'string', id: 2 }
+                          }
+                        }
+                      }
+                    }
+                  }
+                },
+                trace: {
+                  nested: {
+                    v1: {
+                      nested: {
+                        ExportTraceServiceRequest: {
+                          fields: {
+                            resourceSpans: { rule: 'repeated', type: 'opentelemetry.proto.trace.v1.ResourceSpans', id: 1 }
+                          }
+                        },
+                        ExportTraceServiceResponse: {
+                          fields: {
+                            partialSuccess: { type: 'ExportTracePartialSuccess', id: 1 }
+                          }
+                        },
+                        ExportTracePartialSuccess: {
+                          fields: {
+                            rejectedSpans: { type: 'int64', id: 1 },
+                            errorMessage: { type: 'string', id: 2 }
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const root = protobuf.Root.fromJSON(descriptor);
+
+module.exports = {
+  ExportLogsServiceRequest: root.lookupType('opentelemetry.proto.collector.logs.v1.ExportLogsServiceRequest'),
+  ExportLogsServiceResponse: root.lookupType('opentelemetry.proto.collector.logs.v1.ExportLogsServiceResponse'),
+  ExportTraceServiceRequest: root.lookupType('opentelemetry.proto.collector.trace.v1.ExportTraceServiceRequest'),
+  ExportTraceServiceResponse: root.lookupType('opentelemetry.proto.collector.trace.v1.ExportTraceServiceResponse')
+};
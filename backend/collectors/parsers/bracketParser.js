@@ -0,0 +1,26 @@
+/**
+ * Bracket Log Parser
+ * Parses the LogLens native format: [SERVICE-NAME] TIMESTAMP LEVEL: Message
+ */
+
+const BRACKET_REGEX = /^\[([^\]]+)\]\s*(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\s*(\w+):\s*(.+)$/;
+
+module.exports = {
+  name: 'bracket',
+
+  /**
+   * @param {string} line - Raw log line
+   * @returns {object|null} Partial log or null if the line does not match
+   */
+  parse(line) {
+    const match = line.match(BRACKET_REGEX);
+    if (!match) return null;
+
+    return {
+      service: match[1],
+      timestamp: match[2],
+      level: match[3].toUpperCase(),
+      message: match[4]
+    };
+  }
+};
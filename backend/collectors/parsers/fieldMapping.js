@@ -0,0 +1,195 @@
+/**
+ * Structured Log Field Mapping
+ * Maps common JSON/logfmt field names (pino, winston, bunyan, logfmt) onto the log object
+ */
+
+// Candidate keys for each well-known field, checked in order
+const FIELD_KEYS = {
+  level: ['level', 'severity', 'lvl', 'log.level', 'loglevel'],
+  message: ['msg', 'message', 'event'],
+  timestamp: ['time', 'ts', 'timestamp', '@timestamp', 't'],
+  service: ['service', 'service.name', 'serviceName', 'app'],
+  traceId: ['traceId', 'trace_id', 'traceid', 'trace.id', 'dd.trace_id'],
+  spanId: ['spanId', 'span_id', 'spanid', 'span.id', 'dd.span_id'],
+  stackTrace: ['stack', 'stack_trace', 'stacktrace', 'err.stack', 'error.stack', 'exception.stacktrace']
+};
+
+// pino/bunyan numeric levels
+const NUMERIC_LEVELS = [
+  { min: 60, level: 'CRITICAL' },
+  { min: 50, level: 'ERROR' },
+  { min: 40, level: 'WARN' },
+  { min: 30, level: 'INFO' },
+  { min: 0, level: 'DEBUG' }
+];
+
+const LEVEL_ALIASES = {
+  FATAL: 'CRITICAL',
+  CRIT: 'CRITICAL',
+  CRITICAL: 'CRITICAL',
+  EMERG: 'CRITICAL',
+  EMERGENCY: 'CRITICAL',
+  ALERT: 'CRITICAL',
+  PANIC: 'CRITICAL',
+  ERR: 'ERROR',
+  ERROR: 'ERROR',
+  WARN: 'WARN',
+  WARNING: 'WARN',
+  NOTICE: 'INFO',
+  INFO: 'INFO',
+  INFORMATION: 'INFO',
+  DEBUG: 'DEBUG',
+  TRACE: 'DEBUG',
+  VERBOSE: 'DEBUG',
+  SILLY: 'DEBUG'
+};
+
+/**
+ * Read a possibly dotted key from an object, trying the flat key first
+ * @param {object} obj - Source object
+ * @param {string} key - Key such as "err.stack"
+ * @returns {*} Value or undefined
+ */
+function getField(obj, key) {
+  if (obj[key] !== undefined) return obj[key];
+  if (!key.includes('.')) return undefined;
+
+  let current = obj;
+  for (const part of key.split('.')) {
+    if (current === null || typeof current !== 'object') return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+/**
+ * Remove a possibly dotted key from an object, pruning empty parents
+ * @param {object} obj - Object to mutate
+ * @param {string} key - Key to delete
+ */
+function deleteField(obj, key) {
+  if (obj[key] !== undefined) {
+    delete obj[key];
+    return;
+  }
+
+  const parts = key.split('.');
+  const parents = [];
+  let current = obj;
+  for (const part of parts.slice(0, -1)) {
+    if (current === null || typeof current !== 'object') return;
+    parents.push([current, part]);
+    current = current[part];
+  }
+  if (current && typeof current === 'object') {
+    delete current[parts[parts.length - 1]];
+  }
+
+  // Drop parent objects that are now empty (e.g. "err": {})
+  for (let i = parents.length - 1; i >= 0; i--) {
+    const [parent, part] = parents[i];
+    const child = parent[part];
+    if (child && typeof child === 'object' && Object.keys(child).length === 0) {
+      delete parent[part];
+    }
+  }
+}
+
+/**
+ * Take the first present candidate for a well-known field and remove it
+ * @param {object} obj - Remaining fields (mutated)
+ * @param {string} name - Well-known field name
+ * @returns {*} Value or undefined
+ */
+function takeField(obj, name) {
+  for (const key of FIELD_KEYS[name]) {
+    const value = getField(obj, key);
+    if (value !== undefined && value !== null && value !== '') {
+      deleteField(obj, key);
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Normalize a level value to LogLens levels
+ * @param {string|number} value - Raw level
+ * @returns {string|null} CRITICAL | ERROR | WARN | INFO | DEBUG, or null if unknown
+ */
+function normalizeLevel(value) {
+  if (value === undefined || value === null) return null;
+
+  const numeric = typeof value === 'number' ? value : (/^\d+$/.test(String(value)) ? parseInt(value) : NaN);
+  if (!isNaN(numeric)) {
+    const match = NUMERIC_LEVELS.find(l => numeric >= l.min);
+    return match ? match.level : null;
+  }
+
+  return LEVEL_ALIASES[String(value).trim().toUpperCase()] || null;
+}
+
+/**
+ * Normalize a timestamp value to ISO 8601
+ * Accepts ISO strings, epoch milliseconds and epoch seconds (with fraction)
+ * @param {string|number} value - Raw timestamp
+ * @returns {string|null} ISO timestamp or null if unparseable
+ */
+function normalizeTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let date;
+  const numeric = typeof value === 'number' ? value : (/^\d+(\.\d+)?$/.test(String(value)) ? parseFloat(value) : NaN);
+
+  if (!isNaN(numeric)) {
+    // Heuristic: values below 1e12 are epoch seconds
+    date = new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Map a structured record onto the log object shape
+ * @param {object} record - Parsed JSON/logfmt record
+ * @returns {object} Partial log ({ level, message, timestamp, service, traceId, spanId, stackTrace, fields })
+ */
+function mapStructuredRecord(record) {
+  // Work on a copy so callers can keep the original
+  const fields = JSON.parse(JSON.stringify(record));
+
+  const rawLevel = takeField(fields, 'level');
+  let message = takeField(fields, 'message');
+  const timestamp = takeField(fields, 'timestamp');
+  const service = takeField(fields, 'service');
+  const traceId = takeField(fields, 'traceId');
+  const spanId = takeField(fields, 'spanId');
+  const stackTrace = takeField(fields, 'stackTrace');
+
+  // Fall back to the error message when there is no top-level message
+  if (message === undefined) {
+    const errMessage = getField(fields, 'err.message') || getField(fields, 'error.message');
+    if (errMessage) message = errMessage;
+  }
+
+  return {
+    level: normalizeLevel(rawLevel),
+    message: message !== undefined ? String(message) : null,
+    timestamp: normalizeTimestamp(timestamp),
+    service: service ? String(service).toUpperCase() : null,
+    traceId: traceId ? String(traceId) : null,
+    spanId: spanId ? String(spanId) : null,
+    stackTrace: stackTrace ? String(stackTrace) : null,
+    fields
+  };
+}
+
+module.exports = {
+  FIELD_KEYS,
+  getField,
+  normalizeLevel,
+  normalizeTimestamp,
+  mapStructuredRecord
+};
@@ -0,0 +1,18 @@
+/**
+ * Log Parser Chain
+ * Each parser exposes { name, parse(line) } and returns a partial log object or null.
+ * Parsers are tried in order; the first non-null result wins.
+ */
+
+const bracketParser = require('./bracketParser');
+const jsonParser = require('./jsonParser');
+const logfmtParser = require('./logfmtParser');
+
+const defaultParsers = [bracketParser, jsonParser, logfmtParser];
+
+module.exports = {
+  defaultParsers,
+  bracketParser,
+  jsonParser,
+  logfmtParser
+};
@@ -0,0 +1,30 @@
+/**
+ * JSON Log Parser
+ * Parses single-line JSON logs as emitted by pino, winston and bunyan
+ */
+
+const { mapStructuredRecord } = require('./fieldMapping');
+
+module.exports = {
+  name: 'json',
+
+  /**
+   * @param {string} line - Raw log line
+   * @returns {object|null} Partial log or null if the line is not a JSON object
+   */
+  parse(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return null;
+
+    let record;
+    try {
+      record = JSON.parse(trimmed);
+    } catch (e) {
+      return null;
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+    return mapStructuredRecord(record);
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * logfmt Log Parser
+ * Parses key=value lines, e.g. level=info msg="request done" duration=12ms
+ */
+
+const { mapStructuredRecord } = require('./fieldMapping');
+
+// key=value, key="quoted value", or a bare key
+const PAIR_REGEX = /([\w.@/-]+)(?:=("(?:[^"\\]|\\.)*"|[^\s]*))?/g;
+
+/**
+ * Split a logfmt line into a flat record
+ * @param {string} line - Raw log line
+ * @returns {object|null} Record, or null if the line is not logfmt
+ */
+function parseLogfmt(line) {
+  const record = {};
+  let pairs = 0;
+  let consumed = 0;
+  let match;
+
+  PAIR_REGEX.lastIndex = 0;
+  while ((match = PAIR_REGEX.exec(line)) !== null) {
+    if (match[0] === '') {
+      PAIR_REGEX.lastIndex++;
+      continue;
+    }
+
+    const [token, key, rawValue] = match;
+    consumed += token.length;
+
+    if (rawValue === undefined) {
+      record[key] = true;
+      continue;
+    }
+
+    pairs++;
+    record[key] = rawValue.startsWith('"')
+      ? rawValue.slice(1, -1).replace(/\\(.)/g, '$1')
+      : rawValue;
+  }
+
+  // Require at least two key=value pairs and that almost the whole line is pairs,
+  // so prose containing a stray "=" is not treated as logfmt
+  const nonSpace = line.replace(/\s/g, '').length;
+  if (pairs < 2 || consumed < nonSpace * 0.9) return null;
+
+  return record;
+}
+
+module.exports = {
+  name: 'logfmt',
+  parseLogfmt,
+
+  /**
+   * @param {string} line - Raw log line
+   * @returns {object|null} Partial log or null if the line is not logfmt
+   */
+  parse(line) {
+    const record = parseLogfmt(line.trim());
+    if (!record) return null;
+
+    // Bare words only make sense as flags when there is a message; otherwise treat as prose
+    const mapped = mapStructuredRecord(record);
+    if (!mapped.message && !mapped.level) return null;
+
+    return mapped;
+  }
+};
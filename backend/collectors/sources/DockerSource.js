@@ -0,0 +1,100 @@
+/**
+ * Docker Log Source
+ * Follows container logs through the Docker API (Dockerode), demultiplexes
+ * stdout/stderr and resumes from the last seen timestamp after a disconnect
+ */
+
+const { Writable } = require('stream');
+const FollowSource = require('./FollowSource');
+
+class DockerSource extends FollowSource {
+  /**
+   * @param {object} options - Options
+   * @param {Docker} options.docker - Dockerode client
+   * @param {number} options.tail - Lines to read on the first connection
+   * @param {number} options.initialBackoffMs - First reconnect delay
+   * @param {number} options.maxBackoffMs - Reconnect delay ceiling
+   * @param {number} options.backoffFactor - Delay multiplier per failed attempt
+   */
+  constructor(options = {}) {
+    super({ ...options, name: 'DockerSource' });
+
+    this.docker = options.docker;
+    this.tail = options.tail || 50;
+  }
+
+  /**
+   * Start following a container (no-op if already followed)
+   * @param {string} containerName - Container name or ID
+   */
+  follow(containerName) {
+    this.followKey(containerName, { tty: false });
+  }
+
+  /**
+   * Open the log stream for a container
+   * @param {object} state - Stream state
+   */
+  async connect(state) {
+    state.status = 'connecting';
+
+    try {
+      const container = this.docker.getContainer(state.key);
+      const info = await container.inspect();
+      state.tty = !!info.Config?.Tty;
+
+      const options = { follow: true, stdout: true, stderr: true, timestamps: true };
+
+      // Resume exactly where we stopped instead of re-reading the tail
+      if (state.lastTimestamp) {
+        options.since = `${state.lastTimestamp.seconds}.${String(state.lastTimestamp.nanos).padStart(9, '0')}`;
+      } else {
+        options.tail = this.tail;
+      }
+
+      const stream = await container.logs(options);
+
+      if (!state.active) {
+        if (typeof stream.destroy === 'function') stream.destroy();
+        return;
+      }
+
+      this.attachStream(state, stream);
+
+      if (state.tty) {
+        // TTY containers have a single raw stream
+        stream.on('data', chunk => this.handleChunk(state, 'stdout', chunk));
+      } else {
+        this.docker.modem.demuxStream(stream, this.createSink(state, 'stdout'), this.createSink(state, 'stderr'));
+      }
+
+      console.log(`[DockerSource] Streaming ${state.key}${options.since ? ` since ${options.since}` : ''}`);
+    } catch (error) {
+      this.handleDisconnect(state, error);
+    }
+  }
+
+  /**
+   * Writable that forwards demultiplexed frames for one stream
+   * @param {object} state - Stream state
+   * @param {string} streamName - 'stdout' or 'stderr'
+   */
+  createSink(state, streamName) {
+    return new Writable({
+      write: (chunk, encoding, callback) => {
+        this.handleChunk(state, streamName, chunk);
+        callback();
+      }
+    });
+  }
+
+  /**
+   * @param {object} state - Stream state
+   * @returns {object} Docker-specific health fields
+   */
+  describe(state) {
+    return { platform: 'docker', tty: state.tty };
+  }
+}
+
+module.exports = DockerSource;
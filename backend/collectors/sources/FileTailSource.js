@@ -0,0 +1,395 @@
+/**
+ * File Tail Source
+ * Follows log files written by workloads outside containers. Survives
+ * rename-style rotation and copytruncate, and persists read offsets so a
+ * restart resumes where it stopped instead of re-reading or skipping lines
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+class FileTailSource extends EventEmitter {
+  /**
+   * @param {object} options - Options
+   * @param {object[]} options.files - Files to follow: { path, service }
+   * @param {string} options.offsetsPath - JSON file holding read offsets (not persisted when unset)
+   * @param {number} options.pollIntervalMs - How often files are checked for new data
+   * @param {string} options.startAt - 'end' or 'start' for files without a saved offset
+   * @param {number} options.maxReadBytes - Cap on bytes read per file per poll
+   */
+  constructor(options = {}) {
+    super();
+
+    this.files = options.files || [];
+    this.offsetsPath = options.offsetsPath || null;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.startAt = options.startAt || 'end';
+    this.maxReadBytes = options.maxReadBytes || 1024 * 1024;
+
+    // key -> file state
+    this.streams = new Map();
+    // Offsets read at startup (consumed on first open) and the ones to persist
+    this.savedOffsets = null;
+    this.persisted = {};
+    this.offsetsDirty = false;
+    this.timer = null;
+  }
+
+  /**
+   * Check whether any file is configured
+   * @returns {boolean} True if there is something to tail
+   */
+  isEnabled() {
+    return this.files.length > 0;
+  }
+
+  /**
+   * Start following the configured files
+   */
+  start() {
+    if (this.timer) return;
+
+    this.savedOffsets = this.loadOffsets();
+    this.files.forEach(file => this.follow(file));
+
+    this.timer = setInterval(() => this.pollAll(), this.pollIntervalMs);
+    this.pollAll();
+  }
+
+  /**
+   * Stop following all files and persist their offsets
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    for (const key of Array.from(this.streams.keys())) {
+      this.unfollow(key);
+    }
+  }
+
+  /**
+   * Start following a file (no-op if already followed)
+   * @param {object} file - File to follow
+   * @param {string} file.path - Path to the log file
+   * @param {string} file.service - LogLens service name (defaults to the file name)
+   */
+  follow(file) {
+    const filePath = path.resolve(file.path);
+    const key = `file:${filePath}`;
+    if (this.streams.has(key)) return;
+
+    this.streams.set(key, {
+      key,
+      path: filePath,
+      service: file.service || path.basename(filePath).replace(/\.[^.]*$/, '').toUpperCase(),
+      handle: null,
+      ino: null,
+      offset: 0,
+      size: 0,
+      partial: Buffer.alloc(0),
+      active: true,
+      polling: false,
+      status: 'waiting',
+      rotations: 0,
+      truncations: 0,
+      linesReceived: 0,
+      lastLogAt: null,
+      lastError: null
+    });
+  }
+
+  /**
+   * Stop following a file
+   * @param {string} key - Stream key (file:<absolute path>)
+   */
+  unfollow(key) {
+    const state = this.streams.get(key);
+    if (!state) return;
+
+    this.recordOffset(state);
+    this.saveOffsets();
+
+    // A poll in flight sees this and stops before reading or recording more
+    state.active = false;
+    if (state.handle) {
+      state.handle.close().catch(() => {});
+      state.handle = null;
+    }
+
+    state.status = 'stopped';
+    this.streams.delete(key);
+  }
+
+  /**
+   * Check whether a file is followed
+   * @param {string} key - Stream key
+   */
+  isFollowing(key) {
+    return this.streams.has(key);
+  }
+
+  /**
+   * Poll every followed file, then persist offsets once
+   */
+  async pollAll() {
+    await Promise.all(Array.from(this.streams.values()).map(state => this.poll(state)));
+    this.saveOffsets();
+  }
+
+  /**
+   * Read new data from a file and detect rotation or truncation
+   * @param {object} state - File state
+   */
+  async poll(state) {
+    if (state.polling) return;
+    state.polling = true;
+
+    try {
+      const stat = await this.statPath(state.path);
+      if (!state.active) return;
+
+      if (!state.handle) {
+        if (!stat) {
+          state.status = 'waiting';
+          return;
+        }
+        await this.open(state, stat, false);
+        if (!state.active) return;
+      }
+
+      // Drain the open descriptor first - after a rename it still points at the old file
+      await this.readNew(state);
+
+      if (!stat) {
+        // Renamed away and the writer has not created the new file yet
+        state.status = 'rotating';
+      } else if (stat.ino !== state.ino) {
+        this.flushPartial(state);
+        await state.handle.close();
+        state.handle = null;
+        state.rotations++;
+        console.log(`[FileTailSource] ${state.path} rotated`);
+
+        await this.open(state, stat, true);
+        if (!state.active) return;
+        await this.readNew(state);
+      } else if (state.size < state.offset) {
+        // copytruncate: same file, shorter than what we already read. The size
+        // is the one readNew saw; the stat above predates data it may have read
+        state.partial = Buffer.alloc(0);
+        state.offset = 0;
+        state.truncations++;
+        console.log(`[FileTailSource] ${state.path} truncated`);
+
+        await this.readNew(state);
+      }
+
+      if (state.active) this.recordOffset(state);
+    } catch (error) {
+      // unfollow() closed the handle mid-read
+      if (!this.streams.has(state.key)) return;
+
+      state.status = 'error';
+      state.lastError = error.message;
+      console.error(`[FileTailSource] Error reading ${state.path}:`, error.message);
+      this.emit('stream-error', { container: state.key, error: error.message });
+    } finally {
+      state.polling = false;
+    }
+  }
+
+  /**
+   * Stat a path, treating a missing file as null
+   * @param {string} filePath - Path
+   * @returns {Promise<fs.Stats|null>} Stats or null
+   */
+  async statPath(filePath) {
+    try {
+      return await fs.promises.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Open a file and choose where to start reading
+   * @param {object} state - File state
+   * @param {fs.Stats} stat - Stats of the path
+   * @param {boolean} fromStart - Read from the beginning (a freshly rotated file)
+   */
+  async open(state, stat, fromStart) {
+    const handle = await fs.promises.open(state.path, 'r');
+    if (!state.active) {
+      // Unfollowed while opening
+      await handle.close();
+      return;
+    }
+
+    state.handle = handle;
+    state.ino = stat.ino;
+    state.partial = Buffer.alloc(0);
+    state.status = 'tailing';
+    state.lastError = null;
+
+    const saved = this.savedOffsets?.[state.path];
+
+    if (fromStart) {
+      state.offset = 0;
+    } else if (saved && saved.ino === stat.ino && saved.offset <= stat.size) {
+      state.offset = saved.offset;
+    } else if (saved) {
+      // Rotated while we were down - the file at this path is new
+      state.offset = 0;
+    } else {
+      state.offset = this.startAt === 'start' ? 0 : stat.size;
+    }
+
+    // The saved offset only applies to the first open
+    if (this.savedOffsets) delete this.savedOffsets[state.path];
+  }
+
+  /**
+   * Read everything appended since the last poll
+   * @param {object} state - File state
+   */
+  async readNew(state) {
+    const { size } = await state.handle.stat();
+    state.size = size;
+
+    let remaining = Math.min(size - state.offset, this.maxReadBytes);
+
+    while (remaining > 0) {
+      const buffer = Buffer.alloc(Math.min(remaining, 64 * 1024));
+      const { bytesRead } = await state.handle.read(buffer, 0, buffer.length, state.offset);
+      if (bytesRead === 0 || !state.active) break;
+
+      state.offset += bytesRead;
+      remaining -= bytesRead;
+      this.handleChunk(state, buffer.subarray(0, bytesRead));
+    }
+  }
+
+  /**
+   * Split a chunk into lines on byte boundaries (keeps multi-byte characters intact)
+   * @param {object} state - File state
+   * @param {Buffer} chunk - Raw bytes
+   */
+  handleChunk(state, chunk) {
+    let data = state.partial.length > 0 ? Buffer.concat([state.partial, chunk]) : chunk;
+
+    let newline;
+    while ((newline = data.indexOf(0x0a)) !== -1) {
+      this.emitLine(state, data.subarray(0, newline).toString('utf-8').replace(/\r$/, ''));
+      data = data.subarray(newline + 1);
+    }
+
+    state.partial = Buffer.from(data);
+  }
+
+  /**
+   * Emit an unterminated last line (the file it belongs to is going away)
+   * @param {object} state - File state
+   */
+  flushPartial(state) {
+    if (state.partial.length > 0) {
+      this.emitLine(state, state.partial.toString('utf-8'));
+      state.partial = Buffer.alloc(0);
+    }
+  }
+
+  /**
+   * Emit one line
+   * @param {object} state - File state
+   * @param {string} line - Line text
+   */
+  emitLine(state, line) {
+    state.linesReceived++;
+    state.lastLogAt = new Date().toISOString();
+
+    this.emit('line', state.key, line, {
+      service: state.service,
+      source: 'file',
+      path: state.path,
+      stream: 'file'
+    });
+  }
+
+  /**
+   * Remember a file's resume point; a buffered partial line is re-read after restart
+   * @param {object} state - File state
+   */
+  recordOffset(state) {
+    if (!this.offsetsPath || state.ino === null) return;
+
+    const offset = state.offset - state.partial.length;
+    const current = this.persisted[state.path];
+    if (current && current.ino === state.ino && current.offset === offset) return;
+
+    this.persisted[state.path] = { ino: state.ino, offset };
+    this.offsetsDirty = true;
+  }
+
+  /**
+   * Load persisted offsets
+   * @returns {object} path -> { ino, offset }
+   */
+  loadOffsets() {
+    this.persisted = {};
+    if (!this.offsetsPath) return {};
+
+    try {
+      this.persisted = JSON.parse(fs.readFileSync(this.offsetsPath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[FileTailSource] Ignoring unreadable offsets file:', error.message);
+      }
+    }
+
+    return { ...this.persisted };
+  }
+
+  /**
+   * Write offsets to disk if any changed (write + rename so a crash never leaves half a file)
+   */
+  saveOffsets() {
+    if (!this.offsetsPath || !this.offsetsDirty) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.offsetsPath), { recursive: true });
+      const tmpPath = `${this.offsetsPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.persisted, null, 2));
+      fs.renameSync(tmpPath, this.offsetsPath);
+      this.offsetsDirty = false;
+    } catch (error) {
+      console.error('[FileTailSource] Failed to save offsets:', error.message);
+    }
+  }
+
+  /**
+   * Per-file health, in the same shape as container streams
+   * @returns {object[]} Health entries
+   */
+  getStatus() {
+    return Array.from(this.streams.values()).map(state => ({
+      container: state.key,
+      platform: 'file',
+      path: state.path,
+      service: state.service,
+      status: state.status,
+      offset: state.offset,
+      size: state.size,
+      rotations: state.rotations,
+      truncations: state.truncations,
+      linesReceived: state.linesReceived,
+      lastLogAt: state.lastLogAt,
+      lastError: state.lastError
+    }));
+  }
+}
+
+module.exports = FileTailSource;
@@ -0,0 +1,286 @@
+/**
+ * Follow Source
+ * Base class for sources that follow timestamped log streams (Docker, Kubernetes).
+ * Handles line splitting, resume de-duplication, exponential backoff and health.
+ * Subclasses implement connect(state) and call attachStream / handleDisconnect.
+ */
+
+const EventEmitter = require('events');
+const { splitTimestamp, compareTimestamps, formatTimestamp } = require('./timestamps');
+
+class FollowSource extends EventEmitter {
+  /**
+   * @param {object} options - Options
+   * @param {string} options.name - Log prefix (e.g. DockerSource)
+   * @param {number} options.initialBackoffMs - First reconnect delay
+   * @param {number} options.maxBackoffMs - Reconnect delay ceiling
+   * @param {number} options.backoffFactor - Delay multiplier per failed attempt
+   */
+  constructor(options = {}) {
+    super();
+
+    this.name = options.name || 'FollowSource';
+    this.initialBackoffMs = options.initialBackoffMs || 1000;
+    this.maxBackoffMs = options.maxBackoffMs || 60000;
+    this.backoffFactor = options.backoffFactor || 2;
+
+    // key -> stream state
+    this.streams = new Map();
+  }
+
+  /**
+   * Start following a target (no-op if already followed)
+   * @param {string} key - Unique stream key (container name, namespace/pod/container)
+   * @param {object} extra - Subclass-specific state
+   */
+  followKey(key, extra = {}) {
+    if (this.streams.has(key)) return;
+
+    const state = {
+      key,
+      active: true,
+      status: 'connecting',
+      stream: null,
+      partial: {},
+      lastTimestamp: null,
+      linesAtLastTimestamp: new Set(),
+      attempt: 0,
+      reconnects: 0,
+      retryTimer: null,
+      nextRetryAt: null,
+      connectedAt: null,
+      lastLogAt: null,
+      lastError: null,
+      linesReceived: 0,
+      duplicatesSkipped: 0,
+      ...extra
+    };
+
+    this.streams.set(key, state);
+    this.connect(state);
+  }
+
+  /**
+   * Open the stream for a target - implemented by subclasses
+   * @param {object} state - Stream state
+   */
+  async connect(state) {
+    throw new Error(`${this.name}.connect not implemented`);
+  }
+
+  /**
+   * Stop following a target
+   * @param {string} key - Stream key
+   */
+  unfollow(key) {
+    const state = this.streams.get(key);
+    if (!state) return;
+
+    state.active = false;
+    state.status = 'stopped';
+
+    if (state.retryTimer) {
+      clearTimeout(state.retryTimer);
+      state.retryTimer = null;
+    }
+
+    this.detachStream(state);
+    if (state.stream && typeof state.stream.destroy === 'function') state.stream.destroy();
+    state.stream = null;
+
+    this.streams.delete(key);
+  }
+
+  /**
+   * Stop following every target
+   */
+  unfollowAll() {
+    for (const key of Array.from(this.streams.keys())) {
+      this.unfollow(key);
+    }
+  }
+
+  /**
+   * Check whether a target is followed
+   * @param {string} key - Stream key
+   */
+  isFollowing(key) {
+    return this.streams.has(key);
+  }
+
+  /**
+   * Mark a stream as connected and wire its end/error events
+   * @param {object} state - Stream state
+   * @param {Stream} stream - Readable log stream
+   */
+  attachStream(state, stream) {
+    state.stream = stream;
+    state.status = 'streaming';
+    state.connectedAt = new Date().toISOString();
+    state.lastError = null;
+
+    stream.on('end', () => this.handleDisconnect(state, null));
+    stream.on('close', () => this.handleDisconnect(state, null));
+    stream.on('error', (error) => this.handleDisconnect(state, error));
+  }
+
+  /**
+   * Drop listeners from the current stream
+   * @param {object} state - Stream state
+   */
+  detachStream(state) {
+    if (state.stream) {
+      state.stream.removeAllListeners();
+    }
+  }
+
+  /**
+   * Split a chunk into lines and forward complete ones
+   * @param {object} state - Stream state
+   * @param {string} streamName - Stream tag (stdout, stderr, combined)
+   * @param {Buffer|string} chunk - Raw data
+   * @param {object} meta - Extra metadata for every line in the chunk
+   */
+  handleChunk(state, streamName, chunk, meta = {}) {
+    if (!state.active) return;
+
+    const text = (state.partial[streamName] || '') + chunk.toString();
+    const lines = text.split(/\r?\n/);
+    state.partial[streamName] = lines.pop();
+
+    for (const line of lines) {
+      this.handleLine(state, streamName, line, meta);
+    }
+  }
+
+  /**
+   * Emit a single line unless it was already delivered before a reconnect
+   * @param {object} state - Stream state
+   * @param {string} streamName - Stream tag
+   * @param {string} line - Line with RFC3339Nano timestamp prefix
+   * @param {object} meta - Extra metadata
+   */
+  handleLine(state, streamName, line, meta = {}) {
+    const stamped = splitTimestamp(line);
+    const text = stamped ? stamped.text : line;
+
+    if (stamped) {
+      const order = state.lastTimestamp ? compareTimestamps(stamped, state.lastTimestamp) : 1;
+
+      // Resume points are inclusive, so a resumed stream replays the last instant
+      if (order < 0 || (order === 0 && state.linesAtLastTimestamp.has(`${streamName}:${text}`))) {
+        state.duplicatesSkipped++;
+        return;
+      }
+
+      if (order > 0) {
+        state.lastTimestamp = { seconds: stamped.seconds, nanos: stamped.nanos };
+        state.linesAtLastTimestamp = new Set();
+      }
+      state.linesAtLastTimestamp.add(`${streamName}:${text}`);
+    }
+
+    // A healthy stream resets the backoff
+    state.attempt = 0;
+    state.linesReceived++;
+    state.lastLogAt = new Date().toISOString();
+
+    this.emit('line', state.key, text, {
+      ...this.lineMeta(state),
+      ...meta,
+      stream: streamName,
+      timestamp: stamped ? stamped.iso : null
+    });
+  }
+
+  /**
+   * Metadata attached to every emitted line - overridden by subclasses
+   * @param {object} state - Stream state
+   * @returns {object} Metadata
+   */
+  lineMeta(state) {
+    return {};
+  }
+
+  /**
+   * Flush partial lines left in the buffers
+   * @param {object} state - Stream state
+   */
+  flushPartial(state) {
+    for (const streamName of Object.keys(state.partial)) {
+      if (state.partial[streamName]) {
+        const line = state.partial[streamName];
+        state.partial[streamName] = '';
+        this.handleLine(state, streamName, line);
+      }
+    }
+  }
+
+  /**
+   * Handle end of stream or connection failure and schedule a reconnect
+   * @param {object} state - Stream state
+   * @param {Error|null} error - Failure, or null on a clean end
+   */
+  handleDisconnect(state, error) {
+    // end and close both fire for one disconnect
+    if (!state.active || state.status === 'backoff') return;
+
+    this.flushPartial(state);
+    this.detachStream(state);
+    state.stream = null;
+
+    if (error) {
+      state.lastError = error.message;
+      console.error(`[${this.name}] Stream error for ${state.key}:`, error.message);
+      this.emit('stream-error', { container: state.key, error: error.message });
+    }
+
+    this.emit('stream-end', { container: state.key });
+
+    const delay = Math.min(
+      this.maxBackoffMs,
+      this.initialBackoffMs * Math.pow(this.backoffFactor, state.attempt)
+    );
+    state.attempt++;
+    state.reconnects++;
+    state.status = 'backoff';
+    state.nextRetryAt = new Date(Date.now() + delay).toISOString();
+
+    state.retryTimer = setTimeout(() => {
+      state.retryTimer = null;
+      state.nextRetryAt = null;
+      if (state.active) this.connect(state);
+    }, delay);
+  }
+
+  /**
+   * Subclass-specific health fields
+   * @param {object} state - Stream state
+   * @returns {object} Extra health fields
+   */
+  describe(state) {
+    return {};
+  }
+
+  /**
+   * Per-stream health
+   * @returns {object[]} Health entries
+   */
+  getStatus() {
+    return Array.from(this.streams.values()).map(state => ({
+      container: state.key,
+      ...this.describe(state),
+      status: state.status,
+      connectedAt: state.connectedAt,
+      lastLogAt: state.lastLogAt,
+      lastTimestamp: state.lastTimestamp ? formatTimestamp(state.lastTimestamp) : null,
+      linesReceived: state.linesReceived,
+      duplicatesSkipped: state.duplicatesSkipped,
+      reconnects: state.reconnects,
+      nextRetryAt: state.nextRetryAt,
+      lastError: state.lastError
+    }));
+  }
+}
+
+module.exports = FollowSource;
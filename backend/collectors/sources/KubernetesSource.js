@@ -0,0 +1,167 @@
+/**
+ * Kubernetes Log Source
+ * Follows pod container logs through the Kubernetes API and, after a
+ * container restart, reads the previous instance's logs before resuming
+ */
+
+const FollowSource = require('./FollowSource');
+
+/**
+ * Format a { seconds } timestamp as RFC3339 with second precision (sinceTime format)
+ * @param {object} ts - Timestamp
+ * @returns {string} RFC3339 timestamp
+ */
+function toSinceTime(ts) {
+  return new Date(ts.seconds * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+class KubernetesSource extends FollowSource {
+  /**
+   * @param {object} options - Options
+   * @param {KubernetesClient} options.client - Kubernetes API client
+   * @param {number} options.tailLines - Lines to read on the first connection
+   * @param {number} options.initialBackoffMs - First reconnect delay
+   * @param {number} options.maxBackoffMs - Reconnect delay ceiling
+   */
+  constructor(options = {}) {
+    super({ ...options, name: 'KubernetesSource' });
+
+    this.client = options.client;
+    this.tailLines = options.tailLines || 50;
+  }
+
+  /**
+   * Start following a pod container (no-op if already followed)
+   * @param {object} target - Discovered target from ServiceDiscovery
+   * @param {string} target.name - Stream key (namespace/pod/container)
+   * @param {string} target.namespace - Namespace
+   * @param {string} target.pod - Pod name
+   * @param {string} target.container - Container name
+   * @param {string} target.serviceName - LogLens service name (from the owning workload)
+   */
+  follow(target) {
+    this.followKey(target.name, {
+      namespace: target.namespace,
+      pod: target.pod,
+      containerName: target.container,
+      serviceName: target.serviceName,
+      workload: target.workload || null,
+      restartCount: null,
+      previousLinesRead: 0
+    });
+  }
+
+  /**
+   * Open the log stream for a pod container
+   * @param {object} state - Stream state
+   */
+  async connect(state) {
+    state.status = 'connecting';
+
+    try {
+      const pod = await this.client.getPod(state.namespace, state.pod);
+      const containerStatus = (pod.status?.containerStatuses || [])
+        .find(c => c.name === state.containerName);
+      const restartCount = containerStatus?.restartCount || 0;
+      const isRunning = !!containerStatus?.state?.running;
+
+      // The container restarted since we last looked (or is crash-looping on first sight):
+      // the crash output only exists in the previous instance's logs
+      const restarted = state.restartCount !== null && restartCount > state.restartCount;
+      const crashLooping = state.restartCount === null && !isRunning && restartCount > 0;
+      if (restarted || crashLooping) {
+        await this.readPrevious(state);
+      }
+      state.restartCount = restartCount;
+
+      if (!isRunning) {
+        const reason = containerStatus?.state?.waiting?.reason || pod.status?.phase || 'not running';
+        throw new Error(`Container ${state.containerName} is ${reason}`);
+      }
+
+      const stream = await this.client.streamPodLogs(state.namespace, state.pod, {
+        container: state.containerName,
+        follow: true,
+        ...(state.lastTimestamp
+          ? { sinceTime: toSinceTime(state.lastTimestamp) }
+          : { tailLines: this.tailLines })
+      });
+
+      if (!state.active) {
+        stream.destroy();
+        return;
+      }
+
+      this.attachStream(state, stream);
+      stream.on('data', chunk => this.handleChunk(state, 'combined', chunk));
+
+      console.log(`[KubernetesSource] Streaming ${state.key}`);
+    } catch (error) {
+      this.handleDisconnect(state, error);
+    }
+  }
+
+  /**
+   * Read the logs of the previous (terminated) container instance
+   * @param {object} state - Stream state
+   */
+  async readPrevious(state) {
+    try {
+      const stream = await this.client.streamPodLogs(state.namespace, state.pod, {
+        container: state.containerName,
+        previous: true,
+        ...(state.lastTimestamp
+          ? { sinceTime: toSinceTime(state.lastTimestamp) }
+          : { tailLines: this.tailLines })
+      });
+
+      const before = state.linesReceived;
+
+      // Same stream tag as the live stream: the resume point is inclusive, so the
+      // last lines read before the crash come again and must be recognized
+      await new Promise((resolve, reject) => {
+        stream.on('data', chunk => this.handleChunk(state, 'combined', chunk, { previous: true }));
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+
+      this.flushPartial(state);
+      state.previousLinesRead += state.linesReceived - before;
+
+      console.log(`[KubernetesSource] Read ${state.linesReceived - before} lines from previous instance of ${state.key}`);
+    } catch (error) {
+      // No previous instance (or it was garbage collected) - not fatal
+      console.warn(`[KubernetesSource] No previous logs for ${state.key}:`, error.message);
+    }
+  }
+
+  /**
+   * @param {object} state - Stream state
+   * @returns {object} Metadata on every line from this pod
+   */
+  lineMeta(state) {
+    return {
+      service: state.serviceName,
+      namespace: state.namespace,
+      pod: state.pod
+    };
+  }
+
+  /**
+   * @param {object} state - Stream state
+   * @returns {object} Kubernetes-specific health fields
+   */
+  describe(state) {
+    return {
+      platform: 'kubernetes',
+      namespace: state.namespace,
+      pod: state.pod,
+      containerName: state.containerName,
+      service: state.serviceName,
+      restartCount: state.restartCount,
+      previousLinesRead: state.previousLinesRead
+    };
+  }
+}
+
+module.exports = KubernetesSource;
@@ -0,0 +1,280 @@
+/**
+ * Syslog Source
+ * Listens for RFC 5424 / RFC 3164 syslog over UDP and TCP (octet-counted or
+ * newline-framed, RFC 6587) and emits one line per message line
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const EventEmitter = require('events');
+const { parseSyslog } = require('./syslog');
+
+class SyslogSource extends EventEmitter {
+  /**
+   * @param {object} options - Options
+   * @param {number} options.udpPort - UDP port (disabled when unset)
+   * @param {number} options.tcpPort - TCP port (disabled when unset)
+   * @param {string} options.host - Bind address
+   * @param {number} options.maxMessageSize - Largest accepted TCP frame (bytes)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.udpPort = options.udpPort || null;
+    this.tcpPort = options.tcpPort || null;
+    this.host = options.host || '0.0.0.0';
+    this.maxMessageSize = options.maxMessageSize || 64 * 1024;
+
+    this.udpSocket = null;
+    this.tcpServer = null;
+    this.connections = new Set();
+
+    // protocol -> listener health
+    this.listeners = new Map();
+
+    // "syslog/host/app" -> sender health
+    this.senders = new Map();
+  }
+
+  /**
+   * Check whether any listener is configured
+   * @returns {boolean} True if a UDP or TCP port is set
+   */
+  isEnabled() {
+    return !!(this.udpPort || this.tcpPort);
+  }
+
+  /**
+   * Start the configured listeners
+   */
+  start() {
+    if (this.udpPort && !this.udpSocket) this.startUdp();
+    if (this.tcpPort && !this.tcpServer) this.startTcp();
+  }
+
+  /**
+   * Listen for one message per UDP datagram
+   */
+  startUdp() {
+    const listener = this.createListener('udp', this.udpPort);
+
+    this.udpSocket = dgram.createSocket('udp4');
+    this.udpSocket.on('message', (msg, rinfo) => {
+      this.handleMessage(msg.toString('utf-8'), 'udp', rinfo.address);
+    });
+    this.udpSocket.on('error', (error) => this.handleListenerError(listener, error));
+    this.udpSocket.bind(this.udpPort, this.host, () => {
+      listener.status = 'listening';
+      console.log(`[SyslogSource] Listening on udp://${this.host}:${this.udpPort}`);
+    });
+  }
+
+  /**
+   * Listen for framed messages over TCP
+   */
+  startTcp() {
+    const listener = this.createListener('tcp', this.tcpPort);
+
+    this.tcpServer = net.createServer((socket) => {
+      this.connections.add(socket);
+      listener.connections = this.connections.size;
+
+      let buffer = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        buffer = this.readFrames(Buffer.concat([buffer, chunk]), socket.remoteAddress);
+
+        if (buffer.length > this.maxMessageSize) {
+          // Dropped, not flushed as a message on close
+          buffer = Buffer.alloc(0);
+          listener.rejected++;
+          socket.destroy(new Error(`Syslog frame exceeds ${this.maxMessageSize} bytes`));
+        }
+      });
+      socket.on('error', (error) => {
+        listener.lastError = error.message;
+      });
+      socket.on('close', () => {
+        // A sender may close without a trailing newline
+        if (buffer.length > 0) this.handleMessage(buffer.toString('utf-8'), 'tcp', socket.remoteAddress);
+        this.connections.delete(socket);
+        listener.connections = this.connections.size;
+      });
+    });
+
+    this.tcpServer.on('error', (error) => this.handleListenerError(listener, error));
+    this.tcpServer.listen(this.tcpPort, this.host, () => {
+      listener.status = 'listening';
+      console.log(`[SyslogSource] Listening on tcp://${this.host}:${this.tcpPort}`);
+    });
+  }
+
+  /**
+   * Consume complete frames from a TCP buffer
+   * "123 <34>..." is octet-counted; anything else is newline-delimited
+   * @param {Buffer} buffer - Unconsumed bytes
+   * @param {string} address - Sender address
+   * @returns {Buffer} Bytes left for the next chunk
+   */
+  readFrames(buffer, address) {
+    let offset = 0;
+
+    while (offset < buffer.length) {
+      const rest = buffer.subarray(offset);
+      const counted = /^(\d{1,6}) </.exec(rest.subarray(0, 8).toString('latin1'));
+
+      if (counted) {
+        const length = Number(counted[1]);
+        const start = counted[1].length + 1;
+        if (rest.length < start + length) break;
+
+        this.handleMessage(rest.subarray(start, start + length).toString('utf-8'), 'tcp', address);
+        offset += start + length;
+        continue;
+      }
+
+      const newline = rest.indexOf(0x0a);
+      if (newline === -1) break;
+
+      this.handleMessage(rest.subarray(0, newline).toString('utf-8'), 'tcp', address);
+      offset += newline + 1;
+    }
+
+    return buffer.subarray(offset);
+  }
+
+  /**
+   * Parse one syslog message and emit its lines
+   * @param {string} raw - Message without framing
+   * @param {string} protocol - 'udp' or 'tcp'
+   * @param {string} address - Sender address
+   */
+  handleMessage(raw, protocol, address) {
+    if (!raw.trim()) return;
+
+    const listener = this.listeners.get(protocol);
+    const parsed = parseSyslog(raw);
+
+    if (!parsed) {
+      listener.rejected++;
+      return;
+    }
+
+    const host = parsed.hostname || address || 'unknown';
+    const app = parsed.appName || 'syslog';
+    const key = `syslog/${host}/${app}`;
+
+    let sender = this.senders.get(key);
+    if (!sender) {
+      sender = { key, host, app, protocol, linesReceived: 0, lastLogAt: null };
+      this.senders.set(key, sender);
+    }
+
+    listener.messagesReceived++;
+
+    const meta = {
+      service: app.toUpperCase(),
+      source: 'syslog',
+      host,
+      stream: 'syslog',
+      timestamp: parsed.timestamp,
+      level: parsed.level,
+      fields: {
+        ...parsed.fields,
+        'syslog.facility': parsed.facility,
+        'syslog.severity': parsed.severity,
+        ...(parsed.procId ? { 'syslog.procId': parsed.procId } : {}),
+        ...(parsed.msgId ? { 'syslog.msgId': parsed.msgId } : {})
+      }
+    };
+
+    // TCP frames may carry a whole stack trace; the assembler folds the lines back together
+    for (const line of parsed.message.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      sender.linesReceived++;
+      sender.lastLogAt = new Date().toISOString();
+      this.emit('line', key, line, meta);
+    }
+  }
+
+  /**
+   * Create the health record for a listener
+   * @param {string} protocol - 'udp' or 'tcp'
+   * @param {number} port - Port
+   * @returns {object} Listener health
+   */
+  createListener(protocol, port) {
+    const listener = {
+      protocol,
+      host: this.host,
+      port,
+      status: 'starting',
+      connections: 0,
+      messagesReceived: 0,
+      rejected: 0,
+      lastError: null
+    };
+    this.listeners.set(protocol, listener);
+    return listener;
+  }
+
+  /**
+   * Record a listener failure (e.g. port in use)
+   * @param {object} listener - Listener health
+   * @param {Error} error - Failure
+   */
+  handleListenerError(listener, error) {
+    listener.status = 'error';
+    listener.lastError = error.message;
+    console.error(`[SyslogSource] ${listener.protocol.toUpperCase()} listener error:`, error.message);
+    this.emit('stream-error', { container: `syslog:${listener.protocol}`, error: error.message });
+  }
+
+  /**
+   * Close all listeners and connections
+   */
+  stop() {
+    if (this.udpSocket) {
+      this.udpSocket.close();
+      this.udpSocket = null;
+    }
+
+    if (this.tcpServer) {
+      this.connections.forEach(socket => socket.destroy());
+      this.connections.clear();
+      this.tcpServer.close();
+      this.tcpServer = null;
+    }
+
+    for (const listener of this.listeners.values()) {
+      listener.status = 'stopped';
+      listener.connections = 0;
+    }
+  }
+
+  /**
+   * Listener health
+   * @returns {object[]} One entry per protocol
+   */
+  getListeners() {
+    return Array.from(this.listeners.values()).map(listener => ({ ...listener }));
+  }
+
+  /**
+   * Per-sender health, in the same shape as container streams
+   * @returns {object[]} One entry per host/app seen
+   */
+  getStatus() {
+    return Array.from(this.senders.values()).map(sender => ({
+      container: sender.key,
+      platform: 'syslog',
+      host: sender.host,
+      service: sender.app.toUpperCase(),
+      protocol: sender.protocol,
+      status: 'receiving',
+      linesReceived: sender.linesReceived,
+      lastLogAt: sender.lastLogAt
+    }));
+  }
+}
+
+module.exports = SyslogSource;
@@ -0,0 +1,172 @@
+/**
+ * Syslog message parsing (RFC 5424 and RFC 3164)
+ */
+
+// Severity (PRI % 8) -> LogLens level
+const SEVERITY_LEVELS = ['CRITICAL', 'CRITICAL', 'CRITICAL', 'ERROR', 'WARN', 'INFO', 'INFO', 'DEBUG'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+const RFC5424 = /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) ([\s\S]*)$/;
+
+// <PRI>Mmm dd hh:mm:ss HOSTNAME TAG: MSG
+const RFC3164 = /^<(\d{1,3})>([A-Z][a-z]{2}) +(\d{1,2}) (\d{2}):(\d{2}):(\d{2}) (\S+) ([\s\S]*)$/;
+
+// TAG[pid]: message
+const RFC3164_TAG = /^([^\s:[\]]{1,48})(?:\[([^\]]*)\])?: ?([\s\S]*)$/;
+
+/**
+ * Treat the RFC 5424 NILVALUE as missing
+ * @param {string} value - Header field
+ * @returns {string|null} Value or null
+ */
+function nil(value) {
+  return value === '-' ? null : value;
+}
+
+/**
+ * Parse RFC 5424 STRUCTURED-DATA into { 'sdId.param': value } fields
+ * @param {string} text - Text starting at STRUCTURED-DATA
+ * @returns {object} { fields, rest } where rest is the text after the structured data
+ */
+function parseStructuredData(text) {
+  const fields = {};
+
+  if (text.startsWith('-')) {
+    return { fields, rest: text.slice(1).replace(/^ /, '') };
+  }
+
+  let i = 0;
+  while (text[i] === '[') {
+    const idMatch = /^\[([^\s\]=]+)/.exec(text.slice(i));
+    if (!idMatch) break;
+
+    const sdId = idMatch[1];
+    i += idMatch[0].length;
+
+    // PARAM-NAME="value" pairs; \" \\ and \] are escaped inside values
+    while (text[i] === ' ') {
+      const nameMatch = /^ ([^\s=\]"]+)="/.exec(text.slice(i));
+      if (!nameMatch) break;
+      i += nameMatch[0].length;
+
+      let value = '';
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && ['"', '\\', ']'].includes(text[i + 1])) i++;
+        value += text[i++];
+      }
+      i++;
+
+      fields[`${sdId}.${nameMatch[1]}`] = value;
+    }
+
+    if (text[i] !== ']') break;
+    i++;
+  }
+
+  return { fields, rest: text.slice(i).replace(/^ /, '') };
+}
+
+/**
+ * Resolve an RFC 3164 timestamp, which has no year, to the most recent matching date
+ * @param {string} month - Abbreviated month (Jan..Dec)
+ * @param {string} day - Day of month
+ * @param {string} hours - Hours
+ * @param {string} minutes - Minutes
+ * @param {string} seconds - Seconds
+ * @param {Date} now - Reference time
+ * @returns {string|null} ISO timestamp
+ */
+function resolveBsdTimestamp(month, day, hours, minutes, seconds, now = new Date()) {
+  const monthIndex = MONTHS.indexOf(month);
+  if (monthIndex === -1) return null;
+
+  const date = new Date(now.getFullYear(), monthIndex, Number(day), Number(hours), Number(minutes), Number(seconds));
+
+  // A December message received in January belongs to last year
+  if (date.getTime() - now.getTime() > 24 * 60 * 60 * 1000) {
+    date.setFullYear(date.getFullYear() - 1);
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Parse a syslog message
+ * @param {string} raw - One syslog message (without framing)
+ * @returns {object|null} { format, facility, severity, level, timestamp, hostname, appName, procId, msgId, fields, message }
+ */
+function parseSyslog(raw) {
+  const text = raw.replace(/[\r\n]+$/, '');
+
+  let match = RFC5424.exec(text);
+  if (match) {
+    const pri = Number(match[1]);
+    const timestamp = nil(match[3]);
+    const { fields, rest } = parseStructuredData(match[8]);
+    const parsedTime = timestamp ? new Date(timestamp) : null;
+
+    return {
+      format: 'rfc5424',
+      facility: pri >> 3,
+      severity: pri & 7,
+      level: SEVERITY_LEVELS[pri & 7],
+      timestamp: parsedTime && !isNaN(parsedTime) ? parsedTime.toISOString() : null,
+      hostname: nil(match[4]),
+      appName: nil(match[5]),
+      procId: nil(match[6]),
+      msgId: nil(match[7]),
+      fields,
+      // Strip the UTF-8 byte order mark RFC 5424 allows before MSG
+      message: rest.replace(/^\uFEFF/, '')
+    };
+  }
+
+  match = RFC3164.exec(text);
+  if (match) {
+    const pri = Number(match[1]);
+    const tag = RFC3164_TAG.exec(match[8]);
+
+    return {
+      format: 'rfc3164',
+      facility: pri >> 3,
+      severity: pri & 7,
+      level: SEVERITY_LEVELS[pri & 7],
+      timestamp: resolveBsdTimestamp(match[2], match[3], match[4], match[5], match[6]),
+      hostname: match[7],
+      appName: tag ? tag[1] : null,
+      procId: tag ? tag[2] || null : null,
+      msgId: null,
+      fields: {},
+      message: tag ? tag[3] : match[8]
+    };
+  }
+
+  // Bare "<PRI>message" from minimal senders
+  match = /^<(\d{1,3})>([\s\S]*)$/.exec(text);
+  if (match) {
+    const pri = Number(match[1]);
+    return {
+      format: 'rfc3164',
+      facility: pri >> 3,
+      severity: pri & 7,
+      level: SEVERITY_LEVELS[pri & 7],
+      timestamp: null,
+      hostname: null,
+      appName: null,
+      procId: null,
+      msgId: null,
+      fields: {},
+      message: match[2]
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  parseSyslog,
+  parseStructuredData
+};
@@ -0,0 +1,49 @@
+/**
+ * Stream Timestamp Helpers
+ * Docker and Kubernetes prefix each log line with an RFC3339Nano timestamp
+ * when timestamps are requested; these helpers split and compare them
+ */
+
+const TIMESTAMP_PREFIX = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:\d{2}) ?(.*)$/;
+
+/**
+ * Parse a timestamp prefix into a comparable { seconds, nanos } pair
+ * The fraction has its trailing zeros trimmed, so string comparison is not safe
+ * @param {string} line - Raw line with timestamp prefix
+ * @returns {object|null} { seconds, nanos, iso, text } or null if the line has no prefix
+ */
+function splitTimestamp(line) {
+  const match = line.match(TIMESTAMP_PREFIX);
+  if (!match) return null;
+
+  const [, base, fraction = '', zone, text] = match;
+  const seconds = Math.floor(Date.parse(`${base}${zone}`) / 1000);
+  if (isNaN(seconds)) return null;
+
+  const nanos = parseInt(fraction.padEnd(9, '0').substring(0, 9));
+
+  return { seconds, nanos, iso: formatTimestamp({ seconds, nanos }), text };
+}
+
+/**
+ * Compare two { seconds, nanos } timestamps
+ * @returns {number} Negative, zero or positive
+ */
+function compareTimestamps(a, b) {
+  return a.seconds !== b.seconds ? a.seconds - b.seconds : a.nanos - b.nanos;
+}
+
+/**
+ * Format a { seconds, nanos } timestamp as an ISO string (millisecond precision)
+ * @param {object} ts - Timestamp
+ * @returns {string} ISO timestamp
+ */
+function formatTimestamp(ts) {
+  return new Date(ts.seconds * 1000 + Math.floor(ts.nanos / 1e6)).toISOString();
+}
+
+module.exports = {
+  splitTimestamp,
+  compareTimestamps,
+  formatTimestamp
+};
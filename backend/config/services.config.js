@@ -3,8 +3,10 @@
  * Users can configure which containers/services to monitor
  */
 
+const path = require('path');
+
 module.exports = {
-  // Discovery mode: 'manual' | 'auto' | 'pattern'
+  // Discovery mode: 'manual' | 'auto' | 'pattern' | 'kubernetes'
   discoveryMode: process.env.DISCOVERY_MODE || 'auto',
 
   // Manual: List specific container names to monitor
@@ -45,6 +47,260 @@ module.exports = {
     certPath: process.env.DOCKER_CERT_PATH || null
   },
 
+  // Kubernetes connection and discovery settings (discoveryMode: 'kubernetes')
+  kubernetes: {
+    // API server URL; leave empty to use in-cluster service account config.
+    // Works with `kubectl proxy` (http://127.0.0.1:8001) or a fake API server for local testing
+    apiServer: process.env.KUBE_API_SERVER || null,
+    token: process.env.KUBE_TOKEN || null,
+    tokenPath: process.env.KUBE_TOKEN_PATH || null,
+    caPath: process.env.KUBE_CA_PATH || null,
+    insecureSkipTlsVerify: process.env.KUBE_INSECURE_SKIP_TLS_VERIFY === 'true',
+    // Namespaces to watch ('*' for all)
+    namespaces: (process.env.KUBE_NAMESPACES || 'default').split(',').map(n => n.trim()).filter(Boolean),
+    // Label selector applied when listing pods (e.g. "app.kubernetes.io/part-of=shop")
+    labelSelector: process.env.KUBE_LABEL_SELECTOR || '',
+    // Lines to read from each container when a stream first opens
+    tailLines: parseInt(process.env.KUBE_TAIL_LINES) || 50
+  },
+
+  // Log files written outside containers
+  fileSources: {
+    // Comma-separated "path=SERVICE" entries; SERVICE defaults to the file name
+    // e.g. FILE_SOURCES=/var/log/billing/app.log=BILLING,/var/log/cron.log
+    files: (process.env.FILE_SOURCES || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [filePath, service] = entry.split('=');
+      return { path: filePath.trim(), service: service ? service.trim().toUpperCase() : null };
+    }),
+    // Where read offsets are persisted across restarts
+    offsetsPath: process.env.FILE_OFFSETS_PATH || path.join(__dirname, '..', 'data', 'file-offsets.json'),
+    pollIntervalMs: parseInt(process.env.FILE_POLL_INTERVAL) || 1000,
+    // 'end' (like tail -f) or 'start' for files seen for the first time
+    startAt: process.env.FILE_START_AT || 'end'
+  },
+
+  // Syslog listeners (RFC 5424 / RFC 3164); a protocol is disabled when its port is unset
+  syslog: {
+    udpPort: parseInt(process.env.SYSLOG_UDP_PORT) || null,
+    tcpPort: parseInt(process.env.SYSLOG_TCP_PORT) || null,
+    host: process.env.SYSLOG_HOST || '0.0.0.0'
+  },
+
+  // HTTP ingestion (POST /api/ingest); disabled until at least one key is set
+  ingest: {
+    // Comma-separated "source:key" or "source:key:SERVICE" entries, one key per shipper
+    // e.g. INGEST_API_KEYS=billing-vector:7f3c...,edge-fluentbit:91ab...:EDGE
+    apiKeys: (process.env.INGEST_API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [source, key, service] = entry.split(':');
+      return { source, key, service: service ? service.toUpperCase() : null };
+    }).filter(entry => entry.source && entry.key),
+    // Largest accepted request body (bytes or a size string such as '5mb')
+    maxBodySize: process.env.INGEST_MAX_BODY_SIZE || '5mb',
+    maxEvents: parseInt(process.env.INGEST_MAX_EVENTS) || 1000,
+    maxMessageLength: parseInt(process.env.INGEST_MAX_MESSAGE_LENGTH) || 32768
+  },
+
+  // Where LogDatabase persists: 'memory' (nothing survives a restart), 'supabase' or 'sqlite'.
+  // Defaults to Supabase when its credentials are set
+  storage: {
+    backend: process.env.STORAGE_BACKEND ||
+      (process.env.SUPABASE_URL && process.env.SUPABASE_KEY ? 'supabase' : 'memory'),
+    sqlitePath: process.env.SQLITE_PATH || path.join(__dirname, '..', 'data', 'loglens.db')
+  },
+
+  // Retention tiers applied by the RetentionScheduler. Log, error and metric counts are
+  // kept as hourly and daily rollups, so trends and metric history outlive the raw rows
+  retention: {
+    intervalMs: parseInt(process.env.RETENTION_INTERVAL) || 60 * 60 * 1000,
+    // How often counts gathered at ingest are written to the rollups
+    rollupFlushIntervalMs: parseInt(process.env.ROLLUP_FLUSH_INTERVAL) || 60 * 1000,
+    // Logs, spans and log volume buckets
+    logsDays: parseInt(process.env.RETENTION_LOGS_DAYS) || parseInt(process.env.LOG_RETENTION_DAYS) || 7,
+    // Errors not seen since
+    errorsDays: parseInt(process.env.RETENTION_ERRORS_DAYS) || 30,
+    // Metrics history and anomalies
+    metricsDays: parseInt(process.env.RETENTION_METRICS_DAYS) || 7,
+    // Settled (confirmed, expired, dismissed) predictions
+    predictionsDays: parseInt(process.env.RETENTION_PREDICTIONS_DAYS) || 30,
+    hourlyRollupDays: parseInt(process.env.RETENTION_HOURLY_ROLLUP_DAYS) || 90,
+    dailyRollupDays: parseInt(process.env.RETENTION_DAILY_ROLLUP_DAYS) || 730
+  },
+
+  // Saved log searches (query language, see database/logQuery.js)
+  search: {
+    persistPath: process.env.SAVED_SEARCHES_PATH || path.join(__dirname, '..', 'data', 'saved-searches.json'),
+    maxSavedSearches: parseInt(process.env.MAX_SAVED_SEARCHES) || 100
+  },
+
+  // Error fingerprints (see database/Fingerprinter.js) and the grouping rules that override them
+  fingerprint: {
+    persistPath: process.env.FINGERPRINT_RULES_PATH || path.join(__dirname, '..', 'data', 'fingerprint-rules.json'),
+    maxRules: parseInt(process.env.MAX_FINGERPRINT_RULES) || 100,
+    // In-app stack frames that identify an error
+    frames: parseInt(process.env.FINGERPRINT_FRAMES) || 3,
+    // Frames whose file or function contains one of these are library code, on top of the built-in list
+    excludeFrames: (process.env.FINGERPRINT_EXCLUDE_FRAMES || '').split(',').map(p => p.trim()).filter(Boolean)
+  },
+
+  // Live tail: logs pushed to each Socket.io client matching its subscription
+  liveTail: {
+    batchIntervalMs: parseInt(process.env.LIVE_TAIL_BATCH_INTERVAL) || 100,
+    maxBatch: parseInt(process.env.LIVE_TAIL_MAX_BATCH) || 200,
+    // Logs queued per client while it has not acknowledged the previous batch; the oldest are dropped beyond this
+    maxQueue: parseInt(process.env.LIVE_TAIL_MAX_QUEUE) || 1000,
+    ackTimeoutMs: parseInt(process.env.LIVE_TAIL_ACK_TIMEOUT) || 10000,
+    // Buffered logs sent back when a client subscribes
+    recentLogs: parseInt(process.env.LIVE_TAIL_RECENT_LOGS) || 200
+  },
+
+  // LLM providers for the analysis agents; each agent can use a different one
+  llm: {
+    providers: {
+      gemini: {
+        type: 'gemini',
+        apiKey: process.env.GEMINI_API_KEY,
+        model: process.env.GEMINI_MODEL || 'gemini-2.5-flash'
+      },
+      openai: {
+        type: 'openai',
+        baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+      },
+      ollama: {
+        type: 'ollama',
+        baseUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+        model: process.env.OLLAMA_MODEL || 'llama3.1'
+      },
+      // llama.cpp's llama-server speaks the OpenAI API
+      llamacpp: {
+        type: 'openai',
+        baseUrl: process.env.LLAMACPP_URL || 'http://localhost:8080/v1',
+        model: process.env.LLAMACPP_MODEL || 'local'
+      },
+      mock: {
+        type: 'mock',
+        responsesPath: process.env.LLM_MOCK_RESPONSES
+      }
+    },
+    // Provider for agents without their own; Gemini when its key is set, else AI is off
+    defaultProvider: process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : null),
+    // Per-agent overrides, e.g. LLM_CODEFIX_PROVIDER=openai LLM_CODEFIX_MODEL=gpt-4o
+    agents: {
+      analyzer: { provider: process.env.LLM_ANALYZER_PROVIDER, model: process.env.LLM_ANALYZER_MODEL },
+      codeLocator: { provider: process.env.LLM_CODELOCATOR_PROVIDER, model: process.env.LLM_CODELOCATOR_MODEL },
+      fixGenerator: { provider: process.env.LLM_FIXGENERATOR_PROVIDER, model: process.env.LLM_FIXGENERATOR_MODEL },
+      codeFix: { provider: process.env.LLM_CODEFIX_PROVIDER, model: process.env.LLM_CODEFIX_MODEL }
+    },
+    retries: process.env.LLM_RETRIES !== undefined ? parseInt(process.env.LLM_RETRIES) : 2,
+    retryDelayMs: parseInt(process.env.LLM_RETRY_DELAY) || 1000,
+    // Extra attempts when output fails schema validation even after repair
+    maxReprompts: process.env.LLM_MAX_REPROMPTS !== undefined ? parseInt(process.env.LLM_MAX_REPROMPTS) : 1,
+    // Provider choices made in Settings
+    settingsPath: process.env.LLM_SETTINGS_PATH || path.join(__dirname, '..', 'data', 'llm-settings.json')
+  },
+
+  // Service dependency graph learned from traffic (GET /api/topology)
+  topology: {
+    persistPath: process.env.TOPOLOGY_PATH || path.join(__dirname, '..', 'data', 'topology.json'),
+    // Errors in two services this close together count as propagation evidence
+    errorWindowMs: parseInt(process.env.TOPOLOGY_ERROR_WINDOW) || 5000,
+    // Evidence weight an edge needs before it is shown and used for root cause
+    minEdgeWeight: parseFloat(process.env.TOPOLOGY_MIN_EDGE_WEIGHT) || 1
+  },
+
+  // Analysis job queue (POST /api/analyze-error, trigger-analysis)
+  analysis: {
+    // Errors analyzed at the same time; each one makes several LLM calls
+    concurrency: parseInt(process.env.ANALYSIS_CONCURRENCY) || 2,
+    // Finished jobs kept, with their results
+    maxJobs: parseInt(process.env.ANALYSIS_MAX_JOBS) || 100,
+    persistPath: process.env.ANALYSIS_JOBS_PATH || path.join(__dirname, '..', 'data', 'analysis-jobs.json')
+  },
+
+  // Grouping of detected errors into incidents
+  incidents: {
+    // An error this close to an open incident's latest error joins it
+    clusterWindowMs: parseInt(process.env.INCIDENT_CLUSTER_WINDOW) || 30000,
+    // How long a trace/request/correlation ID keeps pointing at its incident
+    correlationTtlMs: parseInt(process.env.INCIDENT_CORRELATION_TTL) || 600000
+  },
+
+  // Alert rules and notification channels
+  alerts: {
+    persistPath: process.env.ALERTS_PATH || path.join(__dirname, '..', 'data', 'alerts.json'),
+    maxHistory: parseInt(process.env.ALERT_HISTORY_MAX) || 500,
+    // Cooldown of rules that do not set their own
+    defaultCooldownMs: parseInt(process.env.ALERT_DEFAULT_COOLDOWN) || 15 * 60 * 1000,
+    timeoutMs: parseInt(process.env.ALERT_NOTIFY_TIMEOUT) || 10000,
+    // Outgoing mail for email channels
+    smtp: {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT) || null,
+      // true = TLS from the start (port 465); otherwise STARTTLS is used when offered
+      secure: process.env.SMTP_SECURE === 'true',
+      // Send SMTP_USER/SMTP_PASS even when the server offers no TLS
+      allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null,
+      from: process.env.ALERT_EMAIL_FROM || 'LogLens <loglens@localhost>'
+    }
+  },
+
+  // Statistical anomaly detection on metrics, log volume and error rate
+  anomalies: {
+    // Detectors to run: zscore, ewma, seasonal
+    methods: (process.env.ANOMALY_METHODS || 'zscore,ewma,seasonal').split(',').map(m => m.trim()).filter(Boolean),
+    // Deviations (in standard deviations) that count as anomalous
+    threshold: parseFloat(process.env.ANOMALY_THRESHOLD) || 3,
+    // Samples in the rolling z-score window, and needed before anything is flagged
+    windowSize: parseInt(process.env.ANOMALY_WINDOW) || 60,
+    minSamples: parseInt(process.env.ANOMALY_MIN_SAMPLES) || 20,
+    ewmaAlpha: parseFloat(process.env.ANOMALY_EWMA_ALPHA) || 0.1,
+    // Previous days compared for the seasonal baseline (same time of day), and how many must have data
+    seasonalDays: parseInt(process.env.ANOMALY_SEASONAL_DAYS) || 7,
+    seasonalMinDays: parseInt(process.env.ANOMALY_SEASONAL_MIN_DAYS) || 3,
+    // Log volume and error rate are counted per bucket
+    logBucketMs: parseInt(process.env.ANOMALY_LOG_BUCKET) || 60000,
+    // The same service and metric is reported again only after this long
+    cooldownMs: parseInt(process.env.ANOMALY_COOLDOWN) || 5 * 60 * 1000
+  },
+
+  // Forecast-based predictions (memory/CPU projections, error spikes) and their calibration
+  forecasting: {
+    intervalMs: parseInt(process.env.FORECAST_INTERVAL) || 15 * 60 * 1000,
+    // Metrics history fitted, and how far ahead memory and CPU are projected
+    resourceWindowHours: parseFloat(process.env.FORECAST_RESOURCE_WINDOW_HOURS) || 2,
+    horizonHours: parseFloat(process.env.FORECAST_HORIZON_HOURS) || 6,
+    // Error history fitted (two days or more enables the daily Holt-Winters season), and the forecast horizon
+    errorHistoryHours: parseFloat(process.env.FORECAST_ERROR_HISTORY_HOURS) || 72,
+    errorHorizonMs: parseInt(process.env.FORECAST_ERROR_HORIZON) || 60 * 60 * 1000,
+    // A spike is this many times the usual error count, and at least minErrors
+    errorSpikeFactor: parseFloat(process.env.FORECAST_ERROR_SPIKE_FACTOR) || 2,
+    minErrors: parseInt(process.env.FORECAST_MIN_ERRORS) || 5,
+    // Calibrated confidence a forecast needs to become a prediction
+    minConfidence: parseFloat(process.env.FORECAST_MIN_CONFIDENCE) || 0.5,
+    persistPath: process.env.FORECAST_STATE_PATH || path.join(__dirname, '..', 'data', 'forecasts.json')
+  },
+
+  // Prediction lifecycle: verification against later metrics and errors, and accuracy
+  predictions: {
+    verifyIntervalMs: parseInt(process.env.PREDICTION_VERIFY_INTERVAL) || 60 * 1000,
+    // One memory/CPU/error spike event per service and type within this window
+    eventCooldownMs: parseInt(process.env.PREDICTION_EVENT_COOLDOWN) || 30 * 60 * 1000,
+    // Verdicts and missed events older than this no longer count towards accuracy
+    retentionDays: parseInt(process.env.PREDICTION_RETENTION_DAYS) || 30,
+    persistPath: process.env.PREDICTION_STATE_PATH || path.join(__dirname, '..', 'data', 'predictions.json')
+  },
+
+  // OpenTelemetry OTLP/HTTP receiver (POST /v1/logs, /v1/traces)
+  otlp: {
+    enabled: process.env.OTLP_ENABLED !== 'false',
+    // Require one of the ingest API keys (like an OTLP exporter "headers" setting)
+    requireApiKey: process.env.OTLP_REQUIRE_API_KEY === 'true',
+    maxBodySize: process.env.OTLP_MAX_BODY_SIZE || '10mb'
+  },
+
   // Service code paths (for fix generation)
   codePaths: {
     // Base path where service source code is located
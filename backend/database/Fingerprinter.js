@@ -0,0 +1,407 @@
+/**
+ * Error Fingerprinter
+ * Decides which error occurrences are the same error: the errors table
+ * (error_hash), incident clustering and recurring-error alerts all key on
+ * the fingerprint. It is the MD5 of the service and either
+ *
+ *   - the exception type (or the normalized message) and the top in-app
+ *     stack frames, as function and file without line numbers, when the
+ *     error has a stack trace with frames outside libraries, or
+ *   - the normalized message: URLs keep their host and path without IDs or
+ *     query, then emails, UUIDs, IPs, quoted values, hex runs and numbers
+ *     are replaced by tokens (<email>, <uuid>, ...)
+ *
+ * Grouping rules override this. Each picks errors with a log query (see
+ * database/logQuery.js) and the first matching rule wins: a merge rule gives
+ * every error it matches the fingerprint of its group, a split rule adds a
+ * value (level, raw message, full stack or a structured field) so those
+ * errors are told apart by it. Rules are kept in a JSON file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseLogQuery, matchesLogQuery } = require('./logQuery');
+
+const RULE_ACTIONS = ['merge', 'split'];
+// What a split rule can tell errors apart by, besides fields.<path>
+const SPLIT_BY = ['level', 'message', 'stack'];
+
+// Frames in files containing one of these are library or runtime code
+const LIBRARY_PATHS = [
+  'node_modules', 'node:', 'internal/', '<anonymous>',
+  'site-packages', 'dist-packages', '<frozen ', '/lib/python',
+  '/gems/', '/rubygems/', '/lib/ruby/'
+];
+// Frames of functions in these packages are library code (JVM)
+const LIBRARY_PACKAGES = ['java.', 'javax.', 'jdk.', 'sun.', 'kotlin.', 'scala.', 'org.springframework.', 'org.apache.', 'io.netty.'];
+
+// Exception type at the start of a message or stack line
+const EXCEPTION_TYPE = /^(?:Caused by:\s*|Uncaught |Unhandled )?([\w.$]+(?:Error|Exception|Throwable))(?::|\s|$)/;
+
+// Stack frame formats, most specific first: line -> { fn, file } (null when the line is not a frame)
+const FRAME_FORMATS = [
+  // Java: at com.acme.Foo.bar(Foo.java:12), without the module prefix (java.base/)
+  {
+    pattern: /^\s*at ([\w$.<>/@-]+)\(([^()]*?)(?::\d+)?\)$/,
+    frame: ([, fn, file]) => ({ fn: fn.replace(/^[\w.@-]+\//, ''), file })
+  },
+  // Python: File "app/db.py", line 12, in connect (innermost frame last)
+  {
+    pattern: /^\s*File "(.+?)", line \d+(?:, in (.+))?$/,
+    frame: ([, file, fn]) => ({ fn, file }),
+    innermostLast: true
+  },
+  // Ruby: app/models/user.rb:12:in `save'
+  {
+    pattern: /^\s*(?:from )?(.+?):\d+:in [`'](.+)'$/,
+    frame: ([, file, fn]) => ({ fn, file })
+  },
+  // Node: at fn (file:line:col), at file:line:col
+  {
+    pattern: /^\s*at (?:(.+?) \()?(.+?):\d+(?::\d+)?\)?$/,
+    frame: ([, fn, file]) => ({ fn, file })
+  }
+];
+
+// Variable parts of a message, replaced in order (earlier ones may contain later ones)
+const MESSAGE_TOKENS = [
+  [/\b[a-z][a-z\d+.-]*:\/\/[^\s"'<>]+/gi, url => normalizeUrl(url)],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, '<email>'],
+  [/\b[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}\b/gi, '<uuid>'],
+  [/\b(?:\d{1,3}\.){3}\d{1,3}(?::\d+)?\b/g, '<ip>'],
+  [/(?<![\w:])(?:(?:[\da-f]{1,4}:){7}[\da-f]{1,4}|(?:[\da-f]{1,4}:)*:(?::?[\da-f]{1,4})+)(?![\w:])/gi, '<ip>'],
+  [/"[^"\n]*"|(?<!\w)'[^'\n]*'(?!\w)|`[^`\n]*`/g, '<str>'],
+  [/\b(?:0x[\da-f]+|(?=[a-f]*\d)[\da-f]{8,})\b/gi, '<hex>'],
+  [/\d+(?:\.\d+)*/g, '<num>']
+];
+
+// Normalized message length that counts towards the fingerprint
+const MAX_MESSAGE_LENGTH = 500;
+
+class Fingerprinter {
+  /**
+   * @param {object} options - Options (see config.fingerprint)
+   * @param {string} options.persistPath - JSON file holding the grouping rules (not persisted when unset)
+   * @param {number} options.maxRules - Most grouping rules kept
+   * @param {number} options.frames - In-app stack frames that identify an error
+   * @param {string[]} options.excludeFrames - More library paths or packages
+   */
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.maxRules = options.maxRules || 100;
+    this.frames = options.frames || 3;
+    this.excludeFrames = options.excludeFrames || [];
+
+    // id -> { id, name, action, query, group, splitBy, createdAt, updatedAt }, in the order they are applied
+    this.rules = new Map();
+    // id -> parsed query terms
+    this.terms = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Fingerprint an error
+   * @param {object} log - Error log ({ service, level, message, stackTrace, traceId, fields })
+   * @returns {object} { hash, type, message (normalized), frames, rule: { id, name, action } | null }
+   */
+  fingerprint(log) {
+    const message = normalizeMessage(log.message);
+    const allFrames = this.inAppFrames(log.stackTrace);
+    const frames = allFrames.slice(0, this.frames);
+    const type = exceptionType(log);
+    const rule = this.matchRule(log);
+
+    let parts;
+    if (rule?.action === 'merge') {
+      parts = ['group', rule.group];
+    } else {
+      parts = frames.length > 0
+        ? [log.service, type || message, ...frames]
+        : [log.service, message];
+      if (rule) parts.push(`${rule.splitBy}=${splitValue(log, rule.splitBy, allFrames)}`);
+    }
+
+    return {
+      hash: crypto.createHash('md5').update(parts.join('|')).digest('hex'),
+      type,
+      message,
+      frames,
+      rule: rule ? { id: rule.id, name: rule.name, action: rule.action } : null
+    };
+  }
+
+  /**
+   * In-app frames of a stack trace, innermost first
+   * @param {string} stackTrace - Stack trace
+   * @returns {string[]} "function file" per frame, files as their last two path segments
+   */
+  inAppFrames(stackTrace) {
+    return parseStackFrames(stackTrace)
+      .filter(({ fn, file }) => this.isInApp(fn, file))
+      .map(({ fn, file }) => `${fn} ${file.split(/[\\/]/).slice(-2).join('/')}`);
+  }
+
+  isInApp(fn, file) {
+    if (LIBRARY_PATHS.some(p => file.includes(p))) return false;
+    if (LIBRARY_PACKAGES.some(p => fn.startsWith(p))) return false;
+    return !this.excludeFrames.some(p => file.includes(p) || fn.includes(p));
+  }
+
+  /**
+   * First grouping rule whose query matches an error
+   * @param {object} log - Error log
+   * @returns {object|null} Rule
+   */
+  matchRule(log) {
+    if (this.rules.size === 0) return null;
+
+    // The matcher reads logs in their stored shape
+    const stored = { ...log, trace_id: log.traceId || log.trace_id };
+    for (const rule of this.rules.values()) {
+      if (matchesLogQuery(stored, this.terms.get(rule.id))) return rule;
+    }
+    return null;
+  }
+
+  /**
+   * Grouping rules in the order they are applied
+   * @returns {object[]} Rules
+   */
+  listRules() {
+    return [...this.rules.values()];
+  }
+
+  /**
+   * Add a grouping rule after the existing ones. It applies to errors seen
+   * from now on; errors already stored keep their fingerprint
+   * @param {object} data - { name, action, query, group (merge), splitBy (split) }
+   * @returns {object} The rule
+   * @throws {Error} 400 when the rule is malformed, 409 when there are too many
+   */
+  createRule(data = {}) {
+    if (this.rules.size >= this.maxRules) {
+      throw this.requestError(`At most ${this.maxRules} grouping rules can be kept`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const rule = { id: crypto.randomUUID(), ...this.validateRule(data), createdAt: now, updatedAt: now };
+    this.setRule(rule);
+    this.save();
+    return rule;
+  }
+
+  /**
+   * Change a grouping rule
+   * @param {string} id - Rule ID
+   * @param {object} changes - Fields to change
+   * @returns {object} The rule
+   * @throws {Error} 404 when unknown, 400 when the result is malformed
+   */
+  updateRule(id, changes = {}) {
+    const rule = this.requireRule(id);
+    const { group, splitBy, ...kept } = rule;
+    const updated = { ...kept, ...this.validateRule({ ...rule, ...changes }), updatedAt: new Date().toISOString() };
+    this.setRule(updated);
+    this.save();
+    return updated;
+  }
+
+  /**
+   * Delete a grouping rule
+   * @param {string} id - Rule ID
+   * @returns {object} The deleted rule
+   * @throws {Error} 404 when unknown
+   */
+  deleteRule(id) {
+    const rule = this.requireRule(id);
+    this.rules.delete(id);
+    this.terms.delete(id);
+    this.save();
+    return rule;
+  }
+
+  requireRule(id) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw this.requestError(`Grouping rule ${id} not found`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Check a rule and keep only its known fields
+   * @param {object} data - { name, action, query, group, splitBy }
+   * @returns {object} { name, action, query, group } or { name, action, query, splitBy }
+   * @throws {Error} 400 when a field is missing or invalid
+   */
+  validateRule({ name, action, query, group, splitBy }) {
+    const trimmed = String(name || '').trim().substring(0, 100);
+    if (!trimmed) {
+      throw this.requestError('Rule name is required');
+    }
+    if (!RULE_ACTIONS.includes(action)) {
+      throw this.requestError(`action must be one of ${RULE_ACTIONS.join(', ')}`);
+    }
+    if (!query || !String(query).trim()) {
+      throw this.requestError('Rule query is required: without one a rule would match every error');
+    }
+
+    const parsed = parseLogQuery(String(query));
+    if (parsed.startDate || parsed.endDate) {
+      throw this.requestError('Grouping rules cannot use time ranges (last:, since:, until:)');
+    }
+
+    if (action === 'merge') {
+      return { name: trimmed, action, query: String(query).trim(), group: String(group || '').trim().substring(0, 100) || trimmed };
+    }
+
+    if (!SPLIT_BY.includes(splitBy) && !/^fields\.[\w.-]+$/.test(splitBy || '')) {
+      throw this.requestError(`splitBy must be one of ${SPLIT_BY.join(', ')} or fields.<path>`);
+    }
+    return { name: trimmed, action, query: String(query).trim(), splitBy };
+  }
+
+  setRule(rule) {
+    this.rules.set(rule.id, rule);
+    this.terms.set(rule.id, parseLogQuery(rule.query).terms);
+  }
+
+  load() {
+    if (!this.persistPath) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf-8'));
+      for (const rule of data.rules || []) {
+        try {
+          this.setRule(rule);
+        } catch (error) {
+          console.warn(`[Fingerprinter] Skipping grouping rule "${rule.name}":`, error.message);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Fingerprinter] Ignoring unreadable grouping rules file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the rules to disk (write + rename so a crash never leaves half a file)
+   */
+  save() {
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ rules: this.listRules() }));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error('[Fingerprinter] Failed to save grouping rules:', error.message);
+    }
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+/**
+ * Replace the variable parts of a message with tokens
+ * @param {string} message - Message
+ * @returns {string} Normalized message
+ */
+function normalizeMessage(message) {
+  let normalized = String(message || '');
+  for (const [pattern, replacement] of MESSAGE_TOKENS) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+  return normalized.replace(/\s+/g, ' ').trim().substring(0, MAX_MESSAGE_LENGTH);
+}
+
+/**
+ * A URL without query, fragment or path segments that look like IDs
+ * @param {string} url - URL, possibly followed by punctuation
+ * @returns {string} e.g. https://api.example.com/users/<id>/orders
+ */
+function normalizeUrl(url) {
+  const [, body, trailing] = url.match(/^(.*?)([.,;:!)\]}]*)$/);
+  const [, origin, pathname = ''] = body.split(/[?#]/)[0].match(/^([^:]+:\/\/[^/]*)(.*)$/) || [null, body];
+  const segments = pathname.split('/').map(segment => (isIdSegment(segment) ? '<id>' : segment));
+  return `${origin}${segments.join('/')}${trailing}`;
+}
+
+// A number, or a longer segment with digits in it (an ID or slug, not v1 or oauth2)
+const isIdSegment = (segment) =>
+  /^\d+$/.test(segment) || (/\d/.test(segment) && segment.length >= 6) || segment.length > 32;
+
+/**
+ * Stack frames of a trace, innermost first
+ * @param {string} stackTrace - Node, Python, Java or Ruby stack trace
+ * @returns {object[]} [{ fn, file }]
+ */
+function parseStackFrames(stackTrace) {
+  if (!stackTrace) return [];
+
+  const frames = [];
+  let innermostLast = false;
+  for (const line of String(stackTrace).split('\n')) {
+    for (const format of FRAME_FORMATS) {
+      const match = line.match(format.pattern);
+      if (!match) continue;
+
+      const { fn, file } = format.frame(match);
+      frames.push({ fn: (fn || '<anonymous>').replace(/^(?:async|new) /, ''), file: file.replace(/^file:\/\//, '') });
+      innermostLast = innermostLast || Boolean(format.innermostLast);
+      break;
+    }
+  }
+  return innermostLast ? frames.reverse() : frames;
+}
+
+/**
+ * Exception type named by the message or stack trace (TypeError, java.io.IOException)
+ * @param {object} log - Error log
+ * @returns {string|null} Type
+ */
+function exceptionType(log) {
+  const lines = [log.message, ...String(log.stackTrace || '').split('\n')];
+  for (const line of lines) {
+    const match = String(line || '').trim().match(EXCEPTION_TYPE);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Value a split rule adds to the fingerprint
+ * @param {object} log - Error log
+ * @param {string} splitBy - level, message, stack or fields.<path>
+ * @param {string[]} frames - All in-app frames
+ * @returns {string} Value
+ */
+function splitValue(log, splitBy, frames) {
+  if (splitBy === 'level') return log.level || '';
+  if (splitBy === 'message') return log.message || '';
+  if (splitBy === 'stack') return frames.join(',');
+
+  const value = splitBy.slice('fields.'.length).split('.')
+    .reduce((obj, part) => (obj == null ? undefined : obj[part]), log.fields || {});
+  return value === undefined ? '' : JSON.stringify(value);
+}
+
+module.exports = Fingerprinter;
+module.exports.normalizeMessage = normalizeMessage;
+module.exports.parseStackFrames = parseStackFrames;
+module.exports.RULE_ACTIONS = RULE_ACTIONS;
+module.exports.SPLIT_BY = SPLIT_BY;
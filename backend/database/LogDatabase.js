@@ -1,53 +1,125 @@
 /**
  * Log Database Manager
- * Uses Supabase (PostgreSQL) for persistence with in-memory fallback
+ * Facade over a storage adapter (memory, Supabase or SQLite, see
+ * config.storage and ./adapters). Deduplication hashes, error fingerprints
+ * (./Fingerprinter), incident and prediction rules live here; rows are kept
+ * by the adapter.
+ *
+ * Log counts by level, error counts by fingerprint and metric averages and
+ * maximums are also counted as they arrive, per hour and per day, and
+ * flushed to the rollups table (flushRollups). Raw rows are deleted per
+ * retention tier (config.retention), but the rollups are kept far longer,
+ * so error trends and metric history reach back past the raw data
  */
 
 const crypto = require('crypto');
-const { initializeSupabase, testConnection, getClient, getConnectionStatus } = require('./supabase');
-
-class LogDatabase {
-  constructor() {
-    this.isReady = false;
-    this.useSupabase = false;
-    this.retentionDays = parseInt(process.env.LOG_RETENTION_DAYS) || 7;
-
-    // In-memory storage (always available as fallback)
-    this.logs = [];
-    this.errors = [];
-    this.predictions = [];
-    this.errorResolutions = [];
-    this.metricsHistory = [];
-    this.hashSet = new Set();
-    this.errorHashSet = new Set();
-
-    // Initialize Supabase
-    this.initialize();
+const EventEmitter = require('events');
+const { storage: storageConfig, retention: retentionConfig, fingerprint: fingerprintConfig } = require('../config/services.config');
+const { createAdapter, assertAdapter, MemoryAdapter } = require('./adapters');
+const { logMetadata } = require('./adapters/rows');
+const { parseLogQuery } = require('./logQuery');
+const Fingerprinter = require('./Fingerprinter');
+const { normalizeMessage } = Fingerprinter;
+
+const INCIDENT_STATUSES = ['open', 'investigating', 'mitigated', 'resolved'];
+const INCIDENT_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Allowed status changes; anything short of resolved can move either way, a resolved incident can only be reopened
+const INCIDENT_TRANSITIONS = {
+  open: ['investigating', 'mitigated', 'resolved'],
+  investigating: ['open', 'mitigated', 'resolved'],
+  mitigated: ['open', 'investigating', 'resolved'],
+  resolved: ['open']
+};
+
+// Link kind -> incident list it is appended to
+const INCIDENT_LINKS = {
+  fix: 'fixes',
+  modification: 'modifications',
+  resolution: 'resolutions'
+};
+
+// Used for predictions whose timeHorizon cannot be parsed
+const DEFAULT_PREDICTION_HORIZON_MS = 2 * 60 * 60 * 1000;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Rollup bucket sizes
+const ROLLUP_RESOLUTIONS = { hour: HOUR, day: DAY };
+// Metrics columns kept as rollups (average and max)
+const ROLLUP_METRICS = ['cpu_percent', 'memory_percent', 'memory_usage_mb'];
+// Most rollup rows read for one chart
+const ROLLUP_READ_LIMIT = 100000;
+// Longest window error trends are broken down by hour; longer ones also get byDay
+const HOURLY_TRENDS_MAX_HOURS = 48;
+// Most logs in one page of searchLogPage
+const MAX_LOG_PAGE = 1000;
+// Most frequent errors compared by findSimilarErrors
+const SIMILAR_ERRORS_SCAN = 500;
+
+class LogDatabase extends EventEmitter {
+  /**
+   * @param {object} options - Options
+   * @param {object} options.store - Storage adapter (default: in memory until initialize() connects the configured one)
+   * @param {object} options.retention - Retention tiers in days (see config.retention)
+   * @param {object} options.fingerprinter - Error fingerprinter (default: config.fingerprint with its grouping rules)
+   */
+  constructor(options = {}) {
+    super();
+    this.store = assertAdapter(options.store || new MemoryAdapter());
+    this.isReady = Boolean(options.store);
+    this.retention = { ...retentionConfig, ...options.retention };
+    this.fingerprinter = options.fingerprinter || new Fingerprinter(fingerprintConfig);
+
+    // "resolution|bucket_start|kind|service|key" -> rollup row not yet flushed to the store
+    this.pendingRollups = new Map();
   }
 
   /**
-   * Initialize database connection
+   * Connect the configured storage adapter. When it cannot be reached the
+   * data stays in memory, which the startup log and getStats() report
    */
   async initialize() {
-    try {
-      const client = initializeSupabase();
-      if (client) {
-        const connected = await testConnection();
-        this.useSupabase = connected;
-        if (connected) {
-          console.log('[LogDatabase] Using Supabase for persistence');
+    const backend = storageConfig.backend;
+
+    if (backend !== 'memory') {
+      try {
+        const adapter = createAdapter(backend, storageConfig);
+        if (await adapter.connect()) {
+          this.store = adapter;
+          console.log(`[LogDatabase] Using ${backend} for persistence`);
+        } else {
+          console.warn(`[LogDatabase] ${backend} is not configured, keeping data in memory`);
         }
+      } catch (error) {
+        console.error(`[LogDatabase] ${backend} not available, keeping data in memory:`, error.message);
       }
-    } catch (error) {
-      console.log('[LogDatabase] Supabase not available:', error.message);
     }
 
     this.isReady = true;
-    console.log('[LogDatabase] Ready (mode: ' + (this.useSupabase ? 'Supabase' : 'in-memory') + ')');
+    console.log(`[LogDatabase] Ready (mode: ${this.mode})`);
+  }
+
+  /**
+   * Storage backend in use: memory is reported as in-memory
+   * @returns {string} in-memory, supabase or sqlite
+   */
+  get mode() {
+    return this.store.name === 'memory' ? 'in-memory' : this.store.name;
+  }
+
+  /**
+   * Close the storage adapter (on shutdown)
+   */
+  close() {
+    if (this.store.close) {
+      this.store.close();
+    }
   }
 
   /**
-   * Generate hash for log deduplication
+   * Generate hash for log deduplication; errors are grouped by errorFingerprint
    */
   generateLogHash(log) {
     const normalizedMessage = (log.message || '')
@@ -59,111 +131,50 @@ class LogDatabase {
     return crypto.createHash('md5').update(hashInput).digest('hex');
   }
 
+  /**
+   * Fingerprint of an error, shared by its occurrences (see Fingerprinter)
+   * @param {object} log - Error log
+   * @returns {string} Fingerprint (errors.error_hash)
+   */
+  errorFingerprint(log) {
+    return this.fingerprinter.fingerprint(log).hash;
+  }
+
   /**
    * Insert a log entry
-   * @returns {boolean} true if new log, false if duplicate
+   * @returns {Promise<boolean>} true if new log, false if duplicate
    */
   async insertLog(log) {
     if (!log || !log.service) return false;
 
-    const hash = this.generateLogHash(log);
-
-    // Check in-memory hash set first (fast deduplication)
-    if (this.hashSet.has(hash)) {
-      // Update duplicate count
-      if (this.useSupabase) {
-        try {
-          const supabase = getClient();
-          await supabase
-            .from('logs')
-            .update({ duplicate_count: supabase.sql`duplicate_count + 1` })
-            .eq('hash', hash);
-        } catch (e) {
-          // Ignore update errors
-        }
-      }
-      return false;
-    }
+    const timestamp = log.timestamp || new Date().toISOString();
+    // Duplicates are counted too: the stored log only keeps a running total
+    this.countRollup('logs', log.service, log.level || 'INFO', timestamp);
 
-    // Add to in-memory
-    this.hashSet.add(hash);
-    const logEntry = {
-      id: this.logs.length + 1,
-      hash,
-      timestamp: log.timestamp || new Date().toISOString(),
+    return this.store.insertLog({
+      hash: this.generateLogHash(log),
+      timestamp,
       service: log.service,
       level: log.level || 'INFO',
       message: log.message,
-      duplicate_count: 1
-    };
-    this.logs.push(logEntry);
-
-    // Keep in-memory size manageable
-    if (this.logs.length > 5000) {
-      const removed = this.logs.shift();
-      this.hashSet.delete(removed.hash);
-    }
-
-    // Persist to Supabase
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        await supabase.from('logs').insert({
-          hash,
-          timestamp: logEntry.timestamp,
-          service: log.service,
-          level: logEntry.level,
-          message: log.message,
-          duplicate_count: 1
-        });
-      } catch (e) {
-        // Log already exists or other error - ignore
-      }
-    }
-
-    return true;
+      trace_id: log.traceId || null,
+      metadata: logMetadata(log)
+    });
   }
 
   /**
-   * Track an error for correlation
+   * Track an error for correlation, counting repeat occurrences
+   * @returns {Promise<object|undefined>} The error with its occurrence count
    */
   async trackError(log) {
     if (!log || !log.service) return;
 
-    const hash = this.generateLogHash(log);
     const now = new Date().toISOString();
+    const errorHash = this.errorFingerprint(log);
+    this.countRollup('errors', log.service, errorHash, now);
 
-    if (this.errorHashSet.has(hash)) {
-      // Update occurrence count
-      const existing = this.errors.find(e => e.hash === hash);
-      if (existing) {
-        existing.occurrence_count++;
-        existing.last_seen = now;
-      }
-
-      // Update in Supabase
-      if (this.useSupabase) {
-        try {
-          const supabase = getClient();
-          await supabase
-            .from('errors')
-            .update({
-              occurrence_count: existing?.occurrence_count || 1,
-              last_seen: now
-            })
-            .eq('error_hash', hash);
-        } catch (e) {
-          // Ignore update errors
-        }
-      }
-      return;
-    }
-
-    this.errorHashSet.add(hash);
-    const errorEntry = {
-      id: this.errors.length + 1,
-      hash,
-      error_hash: hash,
+    return this.store.recordError({
+      error_hash: errorHash,
       first_seen: now,
       last_seen: now,
       service: log.service,
@@ -171,33 +182,7 @@ class LogDatabase {
       stack_trace: log.stackTrace || null,
       occurrence_count: 1,
       status: 'new'
-    };
-    this.errors.push(errorEntry);
-
-    // Keep errors manageable
-    if (this.errors.length > 500) {
-      const removed = this.errors.shift();
-      this.errorHashSet.delete(removed.hash);
-    }
-
-    // Persist to Supabase
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        await supabase.from('errors').insert({
-          error_hash: hash,
-          first_seen: now,
-          last_seen: now,
-          service: log.service,
-          message: log.message,
-          stack_trace: log.stackTrace || null,
-          occurrence_count: 1,
-          status: 'new'
-        });
-      } catch (e) {
-        // Error already exists or other error - ignore
-      }
-    }
+    });
   }
 
   /**
@@ -205,7 +190,6 @@ class LogDatabase {
    */
   async storeErrorResolution(resolution) {
     const entry = {
-      id: this.errorResolutions.length + 1,
       error_hash: resolution.errorHash,
       error_message: resolution.errorMessage,
       root_cause: resolution.rootCause,
@@ -219,43 +203,23 @@ class LogDatabase {
       created_at: new Date().toISOString()
     };
 
-    this.errorResolutions.push(entry);
-
-    // Keep in-memory manageable
-    if (this.errorResolutions.length > 200) {
-      this.errorResolutions.shift();
-    }
-
-    // Persist to Supabase
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        await supabase.from('error_resolutions').insert(entry);
-      } catch (e) {
-        console.error('[LogDatabase] Failed to store resolution:', e.message);
-      }
-    }
-
+    await this.store.insertResolution(entry);
     return entry;
   }
 
   /**
-   * Get similar past resolutions for an error
+   * Get similar past resolutions for an error: those sharing the most words
+   * with it, topped up with the latest successful fixes for the service
    */
   async getSimilarResolutions(errorMessage, service, limit = 5) {
-    // In-memory search
-    let results = [...this.errorResolutions];
-
-    if (service) {
-      results = results.filter(r => r.service === service);
-    }
+    const recent = await this.store.getResolutions({ service, limit: 200 });
 
     // Simple similarity - check if error messages have common words
     const errorWords = new Set(
       errorMessage.toLowerCase().split(/\s+/).filter(w => w.length > 3)
     );
 
-    results = results
+    let results = recent
       .map(r => {
         const rWords = new Set(
           (r.error_message || '').toLowerCase().split(/\s+/).filter(w => w.length > 3)
@@ -267,24 +231,10 @@ class LogDatabase {
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, limit);
 
-    // If Supabase available, also query from database
-    if (this.useSupabase && results.length < limit) {
-      try {
-        const supabase = getClient();
-        const { data } = await supabase
-          .from('error_resolutions')
-          .select('*')
-          .eq('service', service)
-          .eq('was_successful', true)
-          .order('created_at', { ascending: false })
-          .limit(limit);
-
-        if (data) {
-          results = [...results, ...data].slice(0, limit);
-        }
-      } catch (e) {
-        // Ignore query errors
-      }
+    if (results.length < limit) {
+      const included = new Set(results.map(r => r.id));
+      const successful = recent.filter(r => r.was_successful && !included.has(r.id));
+      results = [...results, ...successful].slice(0, limit);
     }
 
     return results;
@@ -295,7 +245,6 @@ class LogDatabase {
    */
   async storeMetrics(metrics) {
     const entry = {
-      id: this.metricsHistory.length + 1,
       timestamp: new Date().toISOString(),
       service: metrics.service,
       cpu_percent: metrics.cpu,
@@ -304,445 +253,887 @@ class LogDatabase {
       memory_limit_mb: metrics.memoryLimit,
       network_rx_bytes: metrics.networkRx,
       network_tx_bytes: metrics.networkTx,
+      block_read_bytes: metrics.blockRead || 0,
+      block_write_bytes: metrics.blockWrite || 0,
       container_status: metrics.status
     };
 
-    this.metricsHistory.push(entry);
-
-    // Keep last 1000 metrics per service in memory
-    if (this.metricsHistory.length > 5000) {
-      this.metricsHistory.shift();
-    }
-
-    // Persist to Supabase
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        await supabase.from('metrics_history').insert(entry);
-      } catch (e) {
-        // Ignore insert errors
+    for (const metric of ROLLUP_METRICS) {
+      if (Number.isFinite(entry[metric])) {
+        this.countRollup('metrics', entry.service, metric, entry.timestamp, entry[metric]);
       }
     }
 
+    await this.store.insertMetrics(entry);
     return entry;
   }
 
   /**
-   * Get metrics history for a service
+   * Get metrics history for a service. The part of the window older than the
+   * raw metrics retention comes from the rollups: one row per hour (or per
+   * day, past the hourly rollups) with averages, *_max columns and a rollup
+   * field naming the resolution
+   * @param {string|null} service - Service name (null for all services)
+   * @param {number} hours - Window length
+   * @returns {Promise<object[]>} Metrics rows, oldest first
    */
   async getMetricsHistory(service, hours = 24) {
-    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const now = Date.now();
+    const start = now - hours * HOUR;
+    const rawStart = now - this.retention.metricsDays * DAY;
+
+    const raw = await this.store.getMetrics({ service, start: new Date(Math.max(start, rawStart)).toISOString(), limit: 1000 });
+    if (start >= rawStart) return raw;
+
+    const resolution = start >= now - this.retention.hourlyRollupDays * DAY ? 'hour' : 'day';
+    const rollups = await this.store.getRollups({
+      kind: 'metrics',
+      resolution,
+      service,
+      start: new Date(bucketStart(start, resolution)).toISOString(),
+      end: new Date(rawStart).toISOString(),
+      limit: ROLLUP_READ_LIMIT
+    });
 
-    // In-memory results
-    let results = this.metricsHistory.filter(m => {
-      if (service && m.service !== service) return false;
-      return new Date(m.timestamp) >= cutoff;
+    return [...metricsFromRollups(rollups, resolution), ...raw];
+  }
+
+  /**
+   * Get metrics of a service within a time range (seasonal baselines)
+   * @param {string} service - Service name
+   * @param {Date|string} start - Range start
+   * @param {Date|string} end - Range end
+   * @returns {Promise<object[]>} Metrics rows, oldest first
+   */
+  async getMetricsBetween(service, start, end) {
+    return this.store.getMetrics({
+      service,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      limit: 1000
     });
+  }
 
-    // Query Supabase if available
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        let query = supabase
-          .from('metrics_history')
-          .select('*')
-          .gte('timestamp', cutoff.toISOString())
-          .order('timestamp', { ascending: true });
-
-        if (service) {
-          query = query.eq('service', service);
-        }
+  /**
+   * Store per-service log counts for one time bucket
+   * @param {object} volume - { service, bucketStart, bucketMs, logs, errors }
+   */
+  async storeLogVolume(volume) {
+    const entry = {
+      service: volume.service,
+      bucket_start: volume.bucketStart,
+      bucket_ms: volume.bucketMs,
+      log_count: volume.logs,
+      error_count: volume.errors
+    };
 
-        const { data } = await query.limit(1000);
-        if (data && data.length > 0) {
-          results = data;
-        }
-      } catch (e) {
-        // Use in-memory results
-      }
-    }
+    await this.store.insertLogVolume(entry);
+    return entry;
+  }
 
-    return results;
+  /**
+   * Get log count buckets within a time range
+   * @param {string|null} service - Service name (null for all services)
+   * @param {Date|string} start - Range start
+   * @param {Date|string} end - Range end
+   * @param {number} limit - Most rows returned
+   * @returns {Promise<object[]>} Buckets, oldest first
+   */
+  async getLogVolumeBetween(service, start, end, limit = 1000) {
+    return this.store.getLogVolume({
+      service,
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      limit
+    });
+  }
+
+  /**
+   * Store a detected anomaly
+   * @param {object} anomaly - Anomaly from the AnomalyDetector
+   * @returns {Promise<object>} Stored row
+   */
+  async storeAnomaly(anomaly) {
+    const entry = {
+      id: anomaly.id,
+      service: anomaly.service,
+      metric: anomaly.metric,
+      value: anomaly.value,
+      expected: anomaly.expected,
+      score: anomaly.score,
+      direction: anomaly.direction,
+      severity: anomaly.severity,
+      methods: anomaly.methods,
+      message: anomaly.message,
+      detected_at: anomaly.timestamp
+    };
+
+    await this.store.insertAnomaly(entry);
+    return entry;
+  }
+
+  /**
+   * Get detected anomalies, newest first
+   * @param {object} options - { service, metric, hours, limit }
+   * @returns {Promise<object[]>} Anomalies
+   */
+  async getAnomalies(options = {}) {
+    const { service, metric, hours = 24, limit = 100 } = options;
+    const cutoff = new Date(Date.now() - hours * HOUR);
+    return this.store.getAnomalies({ service, metric, since: cutoff.toISOString(), limit });
   }
 
   /**
-   * Store a prediction
+   * Store trace spans (from the OTLP receiver)
+   * @param {object[]} spans - Spans ({ traceId, spanId, parentSpanId, service, name, startTime, endTime, status, ... })
+   */
+  async storeSpans(spans) {
+    await this.store.insertSpans(spans);
+  }
+
+  /**
+   * Get a trace's spans
+   * @param {string} traceId - Trace ID (hex)
+   * @returns {Promise<object[]>} Spans ordered by start time
+   */
+  async getTrace(traceId) {
+    return this.store.getTraceSpans(traceId);
+  }
+
+  /**
+   * Store a prediction. It stays active until the predicted event is seen
+   * (confirmed), its horizon passes (expired) or a user dismisses it
+   * @param {object} prediction - { type, service, issue, confidence, timeHorizon, expiresAt?, basedOn }
    */
   async storePrediction(prediction) {
+    const createdAt = Date.now();
+    const expiresAt = prediction.expiresAt
+      ? new Date(prediction.expiresAt).getTime()
+      : createdAt + (parseHorizon(prediction.timeHorizon) || DEFAULT_PREDICTION_HORIZON_MS);
+
     const entry = {
-      id: this.predictions.length + 1,
+      id: crypto.randomUUID(),
       prediction_type: prediction.type,
       service: prediction.service,
       predicted_issue: prediction.issue,
       confidence: prediction.confidence,
       time_horizon: prediction.timeHorizon,
       based_on_data: JSON.stringify(prediction.basedOn || {}),
-      created_at: new Date().toISOString(),
+      created_at: new Date(createdAt).toISOString(),
+      expires_at: new Date(expiresAt).toISOString(),
       status: 'active'
     };
 
-    this.predictions.push(entry);
+    await this.store.insertPrediction(entry);
+    this.emit('prediction-stored', entry);
+    return entry;
+  }
 
-    // Keep predictions manageable
-    if (this.predictions.length > 100) {
-      this.predictions.shift();
-    }
+  /**
+   * Update a stored prediction (e.g. its status once verified)
+   * @param {string} id - Prediction ID
+   * @param {object} changes - Columns to set
+   * @returns {Promise<object|null>} Updated prediction (null when unknown)
+   */
+  async updatePrediction(id, changes) {
+    return this.store.updatePrediction(id, changes);
+  }
 
-    // Persist to Supabase
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        await supabase.from('predictions').insert(entry);
-      } catch (e) {
-        // Ignore insert errors
-      }
+  /**
+   * Get a prediction by ID
+   * @param {string} id - Prediction ID
+   * @returns {Promise<object>} Prediction
+   * @throws {Error} 404 when unknown
+   */
+  async requirePrediction(id) {
+    const prediction = await this.store.getPrediction(id);
+    if (!prediction) {
+      throw this.requestError(`Prediction ${id} not found`, 404);
     }
-
-    return entry;
+    return prediction;
   }
 
   /**
-   * Get active predictions
+   * Get active predictions whose horizon has not passed yet, the most recent
+   * one per type and service
    */
   async getActivePredictions(service = null) {
-    // Expire in-memory predictions older than 2 hours
-    const twoHoursAgo = Date.now() - 2 * 60 * 60 * 1000;
-    this.predictions = this.predictions.filter(p =>
-      p.status !== 'active' || new Date(p.created_at).getTime() > twoHoursAgo
-    );
+    const active = await this.store.getPredictions({ status: 'active', service, limit: 100 });
+    const now = Date.now();
+    const seen = new Set();
 
-    // Deduplicate: keep only the most recent prediction per type+service combo
-    const seen = new Map();
-    const deduped = [];
-    for (let i = this.predictions.length - 1; i >= 0; i--) {
-      const p = this.predictions[i];
+    // Newest first, so the first per type+service is the one kept
+    return active.filter(p => {
       const key = `${p.prediction_type}|${p.service}`;
-      if (!seen.has(key)) {
-        seen.set(key, true);
-        deduped.unshift(p);
-      }
-    }
-    this.predictions = deduped;
-
-    let results = this.predictions.filter(p => p.status === 'active');
-
-    if (service) {
-      results = results.filter(p => p.service === service);
-    }
-
-    // Query Supabase if available
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        let query = supabase
-          .from('predictions')
-          .select('*')
-          .eq('status', 'active')
-          .order('created_at', { ascending: false });
-
-        if (service) {
-          query = query.eq('service', service);
-        }
-
-        const { data } = await query.limit(50);
-        if (data && data.length > 0) {
-          results = data;
-        }
-      } catch (e) {
-        // Use in-memory results
-      }
-    }
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return !p.expires_at || new Date(p.expires_at).getTime() > now;
+    });
+  }
 
-    return results;
+  /**
+   * Get predictions in any status, newest first
+   * @param {object} options - { status, service, hours, limit }
+   * @returns {Promise<object[]>} Predictions
+   */
+  async getPredictions({ status = null, service = null, hours = null, limit = 100 } = {}) {
+    const since = hours ? new Date(Date.now() - hours * HOUR).toISOString() : null;
+    return this.store.getPredictions({ status, service, since, limit });
   }
 
   /**
    * Search logs
+   * @param {object} options - { q, query, service, level, traceId, fields, startDate, endDate, limit, offset };
+   *   q is the query language (see logQuery.js) and is combined with the other filters
+   * @returns {Promise<object[]>} The newest matching page (offset counts back from the newest), oldest first
+   * @throws {Error} 400 when q does not parse
    */
   async searchLogs(options = {}) {
-    const { query, service, level, startDate, endDate, limit = 100, offset = 0 } = options;
-
-    // In-memory search first
-    let results = [...this.logs];
+    const { limit, offset, ...rest } = options;
+    const results = await this.store.searchLogs({ limit: limit || 100, offset: offset || 0, ...this.logFilters(rest) });
+    return results.reverse();
+  }
 
-    if (query) {
-      const q = query.toLowerCase();
-      results = results.filter(l =>
-        l.message?.toLowerCase().includes(q) ||
-        l.service?.toLowerCase().includes(q)
-      );
+  /**
+   * One page of a log search. Pages walk back from the newest log by
+   * (timestamp, id), so logs arriving in the meantime neither shift nor repeat
+   * rows, and relative ranges in q (last:15m) stay where the first page put them
+   * @param {object} options - searchLogs filters (no offset), plus limit, cursor (nextCursor of the
+   *   previous page) or before (ISO time the first page starts before, e.g. the oldest log a client has)
+   * @returns {Promise<object>} { logs (oldest first), nextCursor (null on the last page), total, totalExact };
+   *   total is counted for the first page only (null with a cursor)
+   * @throws {Error} 400 when q, cursor or before is malformed
+   */
+  async searchLogPage({ cursor, before, limit, ...options } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LOG_PAGE);
+
+    let start = null;
+    let now = Date.now();
+    if (cursor) {
+      ({ start, now } = this.decodeLogCursor(cursor));
+    } else if (before) {
+      if (Number.isNaN(new Date(before).getTime())) {
+        throw this.requestError(`Invalid before time "${before}"`);
+      }
+      start = { timestamp: new Date(before).toISOString(), id: null };
     }
 
-    if (service) {
-      results = results.filter(l => l.service === service);
-    }
+    const filters = this.logFilters(options, now);
+    const [rows, count] = await Promise.all([
+      this.store.searchLogs({ ...filters, before: start, limit: pageSize + 1, offset: 0 }),
+      cursor ? null : this.store.countLogs(filters)
+    ]);
 
-    if (level) {
-      results = results.filter(l => l.level === level);
-    }
+    const page = rows.slice(0, pageSize);
+    const last = page[page.length - 1];
+    return {
+      logs: page.reverse(),
+      nextCursor: rows.length > pageSize ? encodeLogCursor(last, now) : null,
+      total: count ? count.total : null,
+      totalExact: count ? count.exact : null
+    };
+  }
 
-    if (startDate) {
-      results = results.filter(l => new Date(l.timestamp) >= new Date(startDate));
+  /**
+   * Store filters for a search: q is parsed into terms, and its time range
+   * narrows startDate and endDate
+   * @param {object} options - searchLogs filters
+   * @param {number} now - Time relative ranges in q count back from (ms)
+   * @returns {object} Adapter filters
+   */
+  logFilters(options, now = Date.now()) {
+    const { q, ...filters } = options;
+    if (!q) return filters;
+
+    const parsed = parseLogQuery(q, { now });
+    filters.terms = parsed.terms;
+    if (parsed.startDate && (!filters.startDate || new Date(parsed.startDate) > new Date(filters.startDate))) {
+      filters.startDate = parsed.startDate;
+    }
+    if (parsed.endDate && (!filters.endDate || new Date(parsed.endDate) < new Date(filters.endDate))) {
+      filters.endDate = parsed.endDate;
     }
+    return filters;
+  }
 
-    if (endDate) {
-      results = results.filter(l => new Date(l.timestamp) <= new Date(endDate));
+  decodeLogCursor(cursor) {
+    try {
+      const [timestamp, id, now] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+      if (Number.isNaN(new Date(timestamp).getTime()) || !Number.isFinite(now)) throw new Error();
+      return { start: { timestamp, id }, now };
+    } catch {
+      throw this.requestError('Invalid cursor');
     }
+  }
 
-    // Query Supabase for more results if available
-    if (this.useSupabase && results.length < limit) {
-      try {
-        const supabase = getClient();
-        let dbQuery = supabase
-          .from('logs')
-          .select('*')
-          .order('timestamp', { ascending: false })
-          .range(offset, offset + limit - 1);
-
-        if (service) {
-          dbQuery = dbQuery.eq('service', service);
-        }
+  /**
+   * Find errors like a message among the most frequent ones: those with its
+   * fingerprint first, then by the share of normalized message words they
+   * have in common
+   * @param {string} message - Error message
+   * @param {string} service - Only errors of this service (optional)
+   * @param {number} limit - Most errors returned
+   * @param {object} options - Options
+   * @param {object} options.log - The error log itself (service, level, stackTrace, fields), fingerprinted
+   *   as trackError did, so level and field grouping rules apply; without it the message is
+   *   fingerprinted as an ERROR of each candidate's service
+   * @returns {Promise<object[]>} Errors with similarity (0-1) and sameFingerprint, most similar first
+   */
+  async findSimilarErrors(message, service, limit = 10, { log = null } = {}) {
+    const errors = await this.store.getErrors({ service, orderBy: 'occurrence_count', limit: SIMILAR_ERRORS_SCAN });
+    const words = messageWords(message);
+    const logHash = log ? this.errorFingerprint(log) : null;
+
+    return errors
+      .map(error => {
+        const hash = logHash || this.errorFingerprint({ service: error.service, level: 'ERROR', message });
+        const sameFingerprint = hash === error.error_hash;
+        const errorWords = messageWords(error.message);
+        const shared = [...words].filter(word => errorWords.has(word)).length;
+        const similarity = sameFingerprint ? 1 : shared / (new Set([...words, ...errorWords]).size || 1);
+        return { ...error, similarity: Math.round(similarity * 100) / 100, sameFingerprint };
+      })
+      .filter(error => error.similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity || (b.occurrence_count || 0) - (a.occurrence_count || 0))
+      .slice(0, limit);
+  }
 
-        if (level) {
-          dbQuery = dbQuery.eq('level', level);
-        }
+  /**
+   * Get error trends from the error rollups: occurrences in each clock hour
+   * of the window (the last one is the current hour), per service over the
+   * whole window and, for windows longer than two days, per day
+   * @param {number} hours - Window length
+   * @returns {Promise<object>} { byHour: [{ hour, count }], byService: { [service]: { count, trend } }, byDay? }
+   */
+  async getErrorTrends(hours = 24) {
+    await this.flushRollups();
 
-        if (query) {
-          dbQuery = dbQuery.ilike('message', `%${query}%`);
-        }
+    const now = Date.now();
+    const start = now - hours * HOUR;
+    const firstHour = bucketStart(now, 'hour') - (hours - 1) * HOUR;
+    const hourly = await this.store.getRollups({
+      kind: 'errors',
+      resolution: 'hour',
+      start: new Date(firstHour).toISOString(),
+      limit: ROLLUP_READ_LIMIT
+    });
 
-        if (startDate) {
-          dbQuery = dbQuery.gte('timestamp', startDate);
-        }
+    const byHour = countBuckets(hourly, firstHour, hours, HOUR)
+      .map(({ start: hourStart, count }) => ({ hour: new Date(hourStart).toISOString(), count }));
 
-        if (endDate) {
-          dbQuery = dbQuery.lte('timestamp', endDate);
-        }
+    // Hourly rollups are dropped first, so long windows are counted by day
+    const daily = hours > HOURLY_TRENDS_MAX_HOURS
+      ? await this.store.getRollups({
+        kind: 'errors',
+        resolution: 'day',
+        start: new Date(bucketStart(start, 'day')).toISOString(),
+        limit: ROLLUP_READ_LIMIT
+      })
+      : null;
 
-        const { data } = await dbQuery;
-        if (data && data.length > 0) {
-          results = data;
-        }
-      } catch (e) {
-        // Use in-memory results
+    const byService = {};
+    for (const rollup of daily || hourly) {
+      if (!byService[rollup.service]) {
+        byService[rollup.service] = { count: 0, trend: 'stable' };
       }
+      byService[rollup.service].count += rollup.count;
     }
 
-    return results.slice(offset, offset + limit).reverse();
+    if (!daily) return { byHour, byService };
+
+    const firstDay = bucketStart(start, 'day');
+    const byDay = countBuckets(daily, firstDay, Math.round((bucketStart(now, 'day') - firstDay) / DAY) + 1, DAY)
+      .map(({ start: dayStart, count }) => ({ day: new Date(dayStart).toISOString(), count }));
+
+    return { byHour, byDay, byService };
   }
 
   /**
-   * Find similar errors
+   * Count an occurrence (and a value, for metrics) in the hourly and daily
+   * rollups. Counts are kept in memory until the next flushRollups()
+   * @param {string} kind - logs (key: level), errors (key: error hash) or metrics (key: column)
+   * @param {string} service - Service name
+   * @param {string} key - What is counted
+   * @param {Date|string|number} time - When it happened (now when unparseable)
+   * @param {number|null} value - Metric value
    */
-  async findSimilarErrors(message, service, limit = 10) {
-    let results = [...this.errors];
-
-    if (service) {
-      results = results.filter(e => e.service === service);
+  countRollup(kind, service, key, time = Date.now(), value = null) {
+    const at = Number.isNaN(new Date(time).getTime()) ? Date.now() : new Date(time).getTime();
+
+    for (const resolution of Object.keys(ROLLUP_RESOLUTIONS)) {
+      this.mergePendingRollup({
+        resolution,
+        bucket_start: new Date(bucketStart(at, resolution)).toISOString(),
+        kind,
+        service,
+        key,
+        count: 1,
+        sum: value,
+        max: value
+      });
     }
+  }
 
-    // Query Supabase if available
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        let query = supabase
-          .from('errors')
-          .select('*')
-          .order('occurrence_count', { ascending: false })
-          .limit(limit);
-
-        if (service) {
-          query = query.eq('service', service);
-        }
+  mergePendingRollup(row) {
+    const id = `${row.resolution}|${row.bucket_start}|${row.kind}|${row.service}|${row.key}`;
+    const pending = this.pendingRollups.get(id);
+    if (!pending) {
+      this.pendingRollups.set(id, { ...row });
+      return;
+    }
 
-        const { data } = await query;
-        if (data && data.length > 0) {
-          results = data;
-        }
-      } catch (e) {
-        // Use in-memory results
-      }
+    pending.count += row.count;
+    if (row.sum !== null) {
+      pending.sum = (pending.sum ?? 0) + row.sum;
+      pending.max = pending.max === null ? row.max : Math.max(pending.max, row.max);
     }
+  }
 
-    return results
-      .sort((a, b) => b.occurrence_count - a.occurrence_count)
-      .slice(0, limit);
+  /**
+   * Write the counts gathered since the last flush to the rollups. When the
+   * store fails they are kept for the next flush
+   * @returns {Promise<number>} Rollup rows written
+   */
+  async flushRollups() {
+    if (this.pendingRollups.size === 0) return 0;
+
+    const rows = [...this.pendingRollups.values()];
+    this.pendingRollups = new Map();
+
+    try {
+      await this.store.addRollups(rows);
+    } catch (error) {
+      rows.forEach(row => this.mergePendingRollup(row));
+      throw error;
+    }
+    return rows.length;
   }
 
   /**
-   * Get error trends by hour
+   * Get all errors for export
    */
-  async getErrorTrends(hours = 24) {
-    const now = Date.now();
-    const hourMs = 60 * 60 * 1000;
+  async getAllErrors(options = {}) {
+    const { startDate, endDate, service, status, limit = 1000 } = options;
+    return this.store.getErrors({ startDate, endDate, service, status, limit });
+  }
 
-    const byHour = [];
-    for (let i = hours - 1; i >= 0; i--) {
-      const hourStart = now - (i + 1) * hourMs;
-      const hourEnd = now - i * hourMs;
+  /**
+   * Get database statistics
+   */
+  async getStats() {
+    return {
+      ...(await this.store.getCounts()),
+      mode: this.mode,
+      ...this.store.describe(),
+      ready: this.isReady,
+      retention: this.retention
+    };
+  }
 
-      const count = this.errors.filter(e => {
-        const ts = new Date(e.last_seen).getTime();
-        return ts >= hourStart && ts < hourEnd;
-      }).length;
+  /**
+   * Update error status
+   */
+  async updateErrorStatus(errorHash, status) {
+    await this.store.updateError(errorHash, { status });
+  }
 
-      byHour.push({
-        hour: new Date(hourEnd).toISOString(),
-        count
-      });
+  /**
+   * Create an incident
+   * @param {object} data - { title, severity, service, firstSeenService, services, errorHashes, errorCount, status, firstSeen, lastSeen, lastErrorId }
+   * @returns {Promise<object>} Incident
+   */
+  async createIncident(data = {}) {
+    const status = data.status || 'open';
+    if (!INCIDENT_STATUSES.includes(status)) {
+      throw this.requestError(`Invalid incident status "${status}"`);
+    }
+    const severity = data.severity || 'medium';
+    if (!INCIDENT_SEVERITIES.includes(severity)) {
+      throw this.requestError(`Invalid incident severity "${severity}"`);
+    }
+    if (!data.title) {
+      throw this.requestError('Incident title is required');
     }
 
-    // Service breakdown
-    const byService = {};
-    this.errors.forEach(e => {
-      if (!byService[e.service]) {
-        byService[e.service] = { count: 0, trend: 'stable' };
-      }
-      byService[e.service].count++;
-    });
+    const now = new Date().toISOString();
+    const services = [...new Set([data.service, ...(data.services || [])].filter(Boolean))];
+    const incident = {
+      id: crypto.randomUUID(),
+      title: String(data.title).substring(0, 300),
+      status,
+      severity,
+      service: data.service || services[0] || null,
+      first_seen_service: data.firstSeenService || data.service || services[0] || null,
+      services,
+      error_hashes: [...new Set(data.errorHashes || [])],
+      error_count: data.errorCount || (data.errorHashes || []).length,
+      first_seen: data.firstSeen || now,
+      last_seen: data.lastSeen || now,
+      last_error_id: data.lastErrorId || null,
+      correlation: null,
+      analysis: null,
+      code_location: null,
+      analysis_job_ids: [],
+      fixes: [],
+      modifications: [],
+      resolutions: [],
+      status_history: [{ from: null, to: status, at: now, note: data.note || null }],
+      opened_at: now,
+      investigating_at: status === 'investigating' ? now : null,
+      mitigated_at: status === 'mitigated' ? now : null,
+      resolved_at: status === 'resolved' ? now : null,
+      created_at: now,
+      updated_at: now
+    };
 
-    return { byHour, byService };
+    await this.saveIncident(incident);
+    return incident;
   }
 
   /**
-   * Get all errors for export
+   * Get an incident
+   * @param {string} id - Incident ID
+   * @returns {Promise<object|null>} Incident
    */
-  async getAllErrors(options = {}) {
-    const { startDate, endDate, service, status, limit = 1000 } = options;
+  async getIncident(id) {
+    return this.store.getIncident(id);
+  }
+
+  /**
+   * List incidents, most recently active first
+   * @param {object} options - { status, service, limit, offset }
+   * @returns {Promise<object>} { incidents, total }
+   */
+  async listIncidents(options = {}) {
+    const { status, service, limit = 50, offset = 0 } = options;
+    return this.store.listIncidents({ status, service, limit, offset });
+  }
+
+  /**
+   * List unresolved incidents, most recently active first
+   * @param {number} limit - Most incidents returned
+   * @returns {Promise<object[]>} Incidents
+   */
+  async getUnresolvedIncidents(limit = 50) {
+    const { incidents } = await this.store.listIncidents({ unresolved: true, limit });
+    return incidents;
+  }
+
+  /**
+   * Find the unresolved incident an error hash belongs to
+   * @param {string} errorHash - Error hash
+   * @returns {Promise<object|null>} Incident
+   */
+  async findIncidentByErrorHash(errorHash) {
+    const { incidents } = await this.store.listIncidents({ errorHash, unresolved: true, limit: 1 });
+    return incidents[0] || null;
+  }
 
-    let results = [...this.errors];
+  /**
+   * Update an incident's title, severity and/or status
+   * @param {string} id - Incident ID
+   * @param {object} changes - { title, severity, status, note }
+   * @returns {Promise<object>} Incident
+   */
+  async updateIncident(id, changes = {}) {
+    const incident = await this.requireIncident(id);
 
-    if (service) {
-      results = results.filter(e => e.service === service);
+    if (changes.severity !== undefined && !INCIDENT_SEVERITIES.includes(changes.severity)) {
+      throw this.requestError(`Invalid incident severity "${changes.severity}"`);
     }
+    if (changes.title !== undefined && !changes.title) {
+      throw this.requestError('Incident title is required');
+    }
+
+    if (changes.title !== undefined) incident.title = String(changes.title).substring(0, 300);
+    if (changes.severity !== undefined) incident.severity = changes.severity;
 
-    if (status) {
-      results = results.filter(e => e.status === status);
+    if (changes.status !== undefined && changes.status !== incident.status) {
+      return this.transitionIncident(id, changes.status, changes.note);
     }
 
-    if (startDate) {
-      results = results.filter(e => new Date(e.first_seen) >= new Date(startDate));
+    incident.updated_at = new Date().toISOString();
+    await this.saveIncident(incident);
+    return incident;
+  }
+
+  /**
+   * Move an incident to another status, recording when and why
+   * @param {string} id - Incident ID
+   * @param {string} status - open, investigating, mitigated or resolved
+   * @param {string} note - Optional reason shown in the status history
+   * @returns {Promise<object>} Incident
+   */
+  async transitionIncident(id, status, note = null) {
+    const incident = await this.requireIncident(id);
+
+    if (!INCIDENT_STATUSES.includes(status)) {
+      throw this.requestError(`Invalid incident status "${status}"`);
+    }
+    if (!INCIDENT_TRANSITIONS[incident.status].includes(status)) {
+      throw this.requestError(`Cannot move incident from ${incident.status} to ${status}`, 409);
     }
 
-    if (endDate) {
-      results = results.filter(e => new Date(e.first_seen) <= new Date(endDate));
+    const now = new Date().toISOString();
+    incident.status_history.push({ from: incident.status, to: status, at: now, note: note || null });
+    incident.status = status;
+    incident[`${status === 'open' ? 'opened' : status}_at`] = now;
+    if (status === 'open') {
+      // Reopened: earlier progress no longer applies
+      incident.investigating_at = null;
+      incident.mitigated_at = null;
+      incident.resolved_at = null;
     }
+    incident.updated_at = now;
 
-    // Query Supabase for comprehensive results
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        let query = supabase
-          .from('errors')
-          .select('*')
-          .order('last_seen', { ascending: false })
-          .limit(limit);
-
-        if (service) {
-          query = query.eq('service', service);
-        }
+    await this.saveIncident(incident);
+    return incident;
+  }
 
-        if (status) {
-          query = query.eq('status', status);
-        }
+  /**
+   * Add error hashes to an incident
+   * @param {string} id - Incident ID
+   * @param {object} error - { errorHash, service, errorId, timestamp }
+   * @returns {Promise<object>} Incident
+   */
+  async addErrorToIncident(id, { errorHash, service, errorId, timestamp } = {}) {
+    const incident = await this.requireIncident(id);
+    if (!errorHash) {
+      throw this.requestError('errorHash is required');
+    }
 
-        if (startDate) {
-          query = query.gte('first_seen', startDate);
-        }
+    if (!incident.error_hashes.includes(errorHash)) {
+      incident.error_hashes.push(errorHash);
+    }
+    if (service && !incident.services.includes(service)) {
+      incident.services.push(service);
+    }
+    incident.error_count++;
+    if (errorId) incident.last_error_id = errorId;
+    const seen = timestamp || new Date().toISOString();
+    if (new Date(seen) > new Date(incident.last_seen)) incident.last_seen = seen;
+    incident.updated_at = new Date().toISOString();
+
+    await this.saveIncident(incident);
+    return incident;
+  }
 
-        if (endDate) {
-          query = query.lte('first_seen', endDate);
-        }
+  /**
+   * Attach an analysis result (correlation, root cause and code location) to an incident.
+   * The latest analysis replaces the previous one
+   * @param {string} id - Incident ID
+   * @param {object} result - Analysis result ({ jobId, correlation, analysis, codeLocation })
+   * @returns {Promise<object>} Incident
+   */
+  async linkAnalysisToIncident(id, result) {
+    const incident = await this.requireIncident(id);
+    const correlation = result.correlation || {};
+
+    incident.correlation = {
+      strategy: correlation.strategy || null,
+      confidence: correlation.confidence || null,
+      affectedServices: correlation.affectedServices || [],
+      totalRelatedLogs: correlation.totalRelatedLogs || 0,
+      traceId: correlation.traceId || null
+    };
+    incident.analysis = result.analysis || null;
+    incident.code_location = result.codeLocation || null;
+    if (result.jobId && !incident.analysis_job_ids.includes(result.jobId)) {
+      incident.analysis_job_ids.push(result.jobId);
+    }
+    for (const service of incident.correlation.affectedServices) {
+      if (!incident.services.includes(service)) incident.services.push(service);
+    }
+    incident.updated_at = new Date().toISOString();
 
-        const { data } = await query;
-        if (data && data.length > 0) {
-          results = data;
-        }
-      } catch (e) {
-        // Use in-memory results
-      }
+    await this.saveIncident(incident);
+    return incident;
+  }
+
+  /**
+   * Append a generated fix, applied modification or resolution to an incident
+   * @param {string} id - Incident ID
+   * @param {string} kind - fix, modification or resolution
+   * @param {object} item - What to record
+   * @returns {Promise<object>} Incident
+   */
+  async linkToIncident(id, kind, item) {
+    const incident = await this.requireIncident(id);
+    const list = INCIDENT_LINKS[kind];
+    if (!list) {
+      throw this.requestError(`Unknown incident link "${kind}"`);
     }
 
-    return results.slice(0, limit);
+    incident[list].push({ ...item, linked_at: new Date().toISOString() });
+    incident.updated_at = new Date().toISOString();
+
+    await this.saveIncident(incident);
+    return incident;
   }
 
   /**
-   * Get database statistics
+   * Delete an incident
+   * @param {string} id - Incident ID
+   * @returns {Promise<object>} The deleted incident
    */
-  getStats() {
-    const connStatus = getConnectionStatus();
+  async deleteIncident(id) {
+    const incident = await this.requireIncident(id);
+    await this.store.deleteIncident(id);
 
-    return {
-      totalLogs: this.logs.length,
-      errorCount: this.errors.length,
-      uniquePatterns: this.hashSet.size,
-      resolutions: this.errorResolutions.length,
-      predictions: this.predictions.length,
-      metricsDataPoints: this.metricsHistory.length,
-      mode: this.useSupabase ? 'supabase' : 'in-memory',
-      supabase: connStatus,
-      ready: this.isReady,
-      retentionDays: this.retentionDays
-    };
+    return incident;
   }
 
   /**
-   * Update error status
+   * Get an incident or throw a 404
+   * @param {string} id - Incident ID
+   * @returns {Promise<object>} Incident
    */
-  async updateErrorStatus(errorHash, status) {
-    const error = this.errors.find(e => e.hash === errorHash || e.error_hash === errorHash);
-    if (error) {
-      error.status = status;
+  async requireIncident(id) {
+    const incident = await this.getIncident(id);
+    if (!incident) {
+      throw this.requestError(`Incident ${id} not found`, 404);
     }
+    return incident;
+  }
 
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
-        await supabase
-          .from('errors')
-          .update({ status })
-          .eq('error_hash', errorHash);
-      } catch (e) {
-        // Ignore update errors
-      }
-    }
+  /**
+   * Write an incident to the store
+   * @param {object} incident - Incident
+   */
+  async saveIncident(incident) {
+    await this.store.saveIncident(incident);
   }
 
   /**
-   * Manual cleanup
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
    */
-  async cleanup() {
-    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
-    const cutoffDate = new Date(cutoff).toISOString();
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
 
-    // Clean in-memory
-    this.logs = this.logs.filter(l => new Date(l.timestamp).getTime() > cutoff);
-    this.hashSet = new Set(this.logs.map(l => l.hash));
+  /**
+   * Apply the retention tiers: logs (with spans and log volume), errors not
+   * seen since, metrics (with anomalies), settled predictions, and hourly and
+   * daily rollups each keep their own number of days. Pending rollup counts
+   * are flushed first, so nothing is deleted before it has been rolled up
+   * @param {number} now - Time the cutoffs are counted back from (ms)
+   * @returns {Promise<object>} { cutoffs, removed } (rows removed per table)
+   */
+  async cleanup(now = Date.now()) {
+    await this.flushRollups();
+
+    const cutoff = (days) => new Date(now - days * DAY).toISOString();
+    const cutoffs = {
+      logs: cutoff(this.retention.logsDays),
+      errors: cutoff(this.retention.errorsDays),
+      metrics: cutoff(this.retention.metricsDays),
+      predictions: cutoff(this.retention.predictionsDays),
+      hourlyRollups: cutoff(this.retention.hourlyRollupDays),
+      dailyRollups: cutoff(this.retention.dailyRollupDays)
+    };
 
-    this.errors = this.errors.filter(e => new Date(e.last_seen).getTime() > cutoff);
-    this.errorHashSet = new Set(this.errors.map(e => e.hash || e.error_hash));
+    const removed = await this.store.cleanup(cutoffs);
+    const summary = Object.entries(removed).map(([table, count]) => `${count} ${table}`).join(', ');
+    console.log(`[LogDatabase] Cleanup complete: removed ${summary || 'nothing'}`);
 
-    this.metricsHistory = this.metricsHistory.filter(m => new Date(m.timestamp).getTime() > cutoff);
+    return { cutoffs, removed };
+  }
+}
 
-    // Clean Supabase
-    if (this.useSupabase) {
-      try {
-        const supabase = getClient();
+/**
+ * Opaque cursor for the page after a log (see searchLogPage)
+ * @param {object} log - Last log of a page
+ * @param {number} now - Time the search's relative ranges count back from (ms)
+ * @returns {string} base64url cursor
+ */
+function encodeLogCursor(log, now) {
+  return Buffer.from(JSON.stringify([log.timestamp, log.id, now])).toString('base64url');
+}
 
-        await supabase.from('logs').delete().lt('timestamp', cutoffDate);
-        await supabase.from('metrics_history').delete().lt('timestamp', cutoffDate);
+/**
+ * Length of a prediction's time horizon
+ * @param {string} horizon - e.g. "45 minutes", "3.5 hours", "2-4 hours" (upper bound), "1 day"
+ * @returns {number|null} Milliseconds, or null when not understood
+ */
+function parseHorizon(horizon) {
+  const match = /(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?)\s*)?(min|minute|hour|hr|h|day|d)s?\b/i.exec(horizon || '');
+  if (!match) return null;
+
+  const value = parseFloat(match[2] || match[1]);
+  const unit = match[3].toLowerCase();
+  const unitMs = unit.startsWith('min') ? 60 * 1000 : unit.startsWith('d') ? 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+  return value * unitMs;
+}
 
-        console.log('[LogDatabase] Supabase cleanup complete');
-      } catch (e) {
-        console.error('[LogDatabase] Supabase cleanup error:', e.message);
-      }
+/**
+ * Start of the rollup bucket a time falls in (UTC hours and days)
+ * @param {number} time - Time (ms)
+ * @param {string} resolution - hour or day
+ * @returns {number} Bucket start (ms)
+ */
+function bucketStart(time, resolution) {
+  const size = ROLLUP_RESOLUTIONS[resolution];
+  return Math.floor(time / size) * size;
+}
+
+/**
+ * Sum rollup counts into consecutive buckets
+ * @param {object[]} rollups - Rollup rows
+ * @param {number} first - First bucket start (ms)
+ * @param {number} buckets - Number of buckets
+ * @param {number} size - Bucket length (ms)
+ * @returns {object[]} [{ start, count }]
+ */
+function countBuckets(rollups, first, buckets, size) {
+  const counts = Array.from({ length: buckets }, (_, i) => ({ start: first + i * size, count: 0 }));
+
+  for (const rollup of rollups) {
+    const index = Math.floor((new Date(rollup.bucket_start).getTime() - first) / size);
+    if (index >= 0 && index < buckets) counts[index].count += rollup.count;
+  }
+  return counts;
+}
+
+/**
+ * Words of a normalized message (tokens such as <uuid> count as words)
+ * @param {string} message - Message
+ * @returns {Set<string>} Lowercase words
+ */
+function messageWords(message) {
+  return new Set(normalizeMessage(message).toLowerCase().split(/[^\w<>]+/).filter(Boolean));
+}
+
+/**
+ * Turn metrics rollups into metrics history rows, one per bucket and service
+ * @param {object[]} rollups - Metrics rollups, oldest first
+ * @param {string} resolution - hour or day
+ * @returns {object[]} { timestamp, service, rollup, samples, cpu_percent, cpu_percent_max, ... }
+ */
+function metricsFromRollups(rollups, resolution) {
+  const rows = new Map();
+
+  for (const rollup of rollups) {
+    const id = `${rollup.bucket_start}|${rollup.service}`;
+    if (!rows.has(id)) {
+      rows.set(id, { timestamp: new Date(rollup.bucket_start).toISOString(), service: rollup.service, rollup: resolution, samples: 0 });
     }
 
-    console.log(`[LogDatabase] Cleanup complete: ${this.logs.length} logs, ${this.errors.length} errors`);
+    const row = rows.get(id);
+    row.samples = Math.max(row.samples, rollup.count);
+    row[rollup.key] = rollup.count > 0 && rollup.sum !== null ? rollup.sum / rollup.count : null;
+    row[`${rollup.key}_max`] = rollup.max;
   }
+  return [...rows.values()];
 }
 
-// Singleton instance
+// Singleton instance, connected to the configured backend
 const logDatabase = new LogDatabase();
+logDatabase.initialize();
 
-module.exports = logDatabase;
\ No newline at end of file
+module.exports = logDatabase;
+module.exports.LogDatabase = LogDatabase;
@@ -0,0 +1,499 @@
+/**
+ * Memory Storage Adapter
+ * Keeps LogDatabase tables in process memory. Nothing survives a restart and
+ * every table is capped, oldest rows first
+ */
+
+const { fromLogRow, fromErrorRow } = require('./rows');
+const { matchesLogQuery } = require('../logQuery');
+
+// Most rows kept per table
+const DEFAULT_LIMITS = {
+  logs: 5000,
+  errors: 500,
+  resolutions: 200,
+  metrics: 5000,
+  logVolume: 20000,
+  anomalies: 500,
+  spans: 20000,
+  predictions: 500,
+  incidents: 500,
+  rollups: 50000
+};
+
+// Columns errors can be ordered by (getErrors orderBy)
+const ERROR_ORDER = ['last_seen', 'occurrence_count', 'first_seen'];
+
+class MemoryAdapter {
+  /**
+   * @param {object} options - Options
+   * @param {object} options.limits - Per-table row caps (see DEFAULT_LIMITS)
+   */
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+
+    this.logs = [];
+    this.logsByHash = new Map();
+    this.errors = [];
+    this.resolutions = [];
+    this.metrics = [];
+    this.logVolume = [];
+    this.anomalies = [];
+    this.spans = [];
+    this.spansByTrace = new Map();
+    this.predictions = [];
+    this.incidents = [];
+    // "resolution|bucket_start|kind|service|key" -> rollup row, oldest bucket first
+    this.rollups = new Map();
+    this.nextId = 1;
+  }
+
+  async connect() {
+    return true;
+  }
+
+  describe() {
+    return {};
+  }
+
+  async getCounts() {
+    return {
+      totalLogs: this.logs.length,
+      uniquePatterns: this.logsByHash.size,
+      errorCount: this.errors.length,
+      resolutions: this.resolutions.length,
+      predictions: this.predictions.length,
+      metricsDataPoints: this.metrics.length,
+      anomalies: this.anomalies.length,
+      spans: this.spans.length,
+      traces: this.spansByTrace.size,
+      incidents: this.incidents.length,
+      rollups: this.rollups.size
+    };
+  }
+
+  // ---- Logs ----
+
+  async insertLog(row) {
+    const existing = this.logsByHash.get(row.hash);
+    if (existing) {
+      existing.duplicate_count++;
+      return false;
+    }
+
+    const entry = fromLogRow({ id: this.nextId++, ...row, duplicate_count: row.duplicate_count || 1 });
+    this.logs.push(entry);
+    this.logsByHash.set(entry.hash, entry);
+
+    if (this.logs.length > this.limits.logs) {
+      this.logsByHash.delete(this.logs.shift().hash);
+    }
+    return true;
+  }
+
+  async searchLogs({ before, limit = 100, offset = 0, ...filters }) {
+    const matches = logFilter(filters);
+    const cursor = before ? { time: new Date(before.timestamp).getTime(), id: before.id } : null;
+
+    return this.logs
+      .filter(l => matches(l) && (!cursor || isBefore(l, cursor)))
+      .sort(byNewestLog)
+      .slice(offset, offset + limit)
+      .map(l => ({ ...l }));
+  }
+
+  async countLogs(filters) {
+    const matches = logFilter(filters);
+    return { total: this.logs.filter(matches).length, exact: true };
+  }
+
+  // ---- Errors ----
+
+  async recordError(row) {
+    const existing = this.errors.find(e => e.error_hash === row.error_hash);
+    if (existing) {
+      existing.occurrence_count++;
+      existing.last_seen = row.last_seen;
+      return { ...existing };
+    }
+
+    const entry = fromErrorRow({ ...row, occurrence_count: row.occurrence_count || 1 });
+    this.errors.push(entry);
+    cap(this.errors, this.limits.errors);
+    return { ...entry };
+  }
+
+  async updateError(errorHash, changes) {
+    const error = this.errors.find(e => e.error_hash === errorHash);
+    if (error) Object.assign(error, changes);
+  }
+
+  async getErrors({ service, status, startDate, endDate, seenSince, orderBy = 'last_seen', limit = 1000 }) {
+    const order = ERROR_ORDER.includes(orderBy) ? orderBy : 'last_seen';
+
+    const results = this.errors.filter(e =>
+      (!service || e.service === service) &&
+      (!status || e.status === status) &&
+      (!startDate || new Date(e.first_seen) >= new Date(startDate)) &&
+      (!endDate || new Date(e.first_seen) <= new Date(endDate)) &&
+      (!seenSince || new Date(e.last_seen) >= new Date(seenSince))
+    );
+
+    return newestFirst(results, order).slice(0, limit).map(e => ({ ...e }));
+  }
+
+  // ---- Resolutions ----
+
+  async insertResolution(row) {
+    this.resolutions.push({ id: this.nextId++, ...row });
+    cap(this.resolutions, this.limits.resolutions);
+  }
+
+  async getResolutions({ service, successful, limit = 5 }) {
+    const results = this.resolutions.filter(r =>
+      (!service || r.service === service) &&
+      (successful === undefined || r.was_successful === successful)
+    );
+    return newestFirst(results, 'created_at').slice(0, limit).map(r => ({ ...r }));
+  }
+
+  // ---- Metrics and log volume ----
+
+  async insertMetrics(row) {
+    this.metrics.push({ id: this.nextId++, ...row });
+    cap(this.metrics, this.limits.metrics);
+  }
+
+  async getMetrics({ service, start, end, limit = 1000 }) {
+    return inRange(this.metrics, 'timestamp', start, end)
+      .filter(m => !service || m.service === service)
+      .slice(0, limit);
+  }
+
+  async insertLogVolume(row) {
+    this.logVolume.push({ id: this.nextId++, ...row });
+    cap(this.logVolume, this.limits.logVolume);
+  }
+
+  async getLogVolume({ service, start, end, limit = 1000 }) {
+    return inRange(this.logVolume, 'bucket_start', start, end)
+      .filter(v => !service || v.service === service)
+      .slice(0, limit);
+  }
+
+  // ---- Anomalies ----
+
+  async insertAnomaly(row) {
+    this.anomalies.push({ ...row });
+    cap(this.anomalies, this.limits.anomalies);
+  }
+
+  async getAnomalies({ service, metric, since, limit = 100 }) {
+    const results = inRange(this.anomalies, 'detected_at', since, null)
+      .filter(a => (!service || a.service === service) && (!metric || a.metric === metric));
+    return results.reverse().slice(0, limit);
+  }
+
+  // ---- Spans ----
+
+  async insertSpans(spans) {
+    for (const span of spans) {
+      this.spans.push(span);
+
+      if (!this.spansByTrace.has(span.traceId)) {
+        this.spansByTrace.set(span.traceId, []);
+      }
+      this.spansByTrace.get(span.traceId).push(span);
+    }
+
+    while (this.spans.length > this.limits.spans) {
+      this.forgetSpan(this.spans.shift());
+    }
+  }
+
+  async getTraceSpans(traceId) {
+    const spans = this.spansByTrace.get(traceId) || [];
+    return [...spans].sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  }
+
+  forgetSpan(span) {
+    const traceSpans = this.spansByTrace.get(span.traceId);
+    if (!traceSpans) return;
+
+    traceSpans.splice(traceSpans.indexOf(span), 1);
+    if (traceSpans.length === 0) this.spansByTrace.delete(span.traceId);
+  }
+
+  // ---- Predictions ----
+
+  async insertPrediction(row) {
+    this.predictions.push({ ...row });
+
+    // Drop settled predictions before active ones
+    if (this.predictions.length > this.limits.predictions) {
+      const settled = this.predictions.findIndex(p => p.status !== 'active');
+      this.predictions.splice(settled >= 0 ? settled : 0, 1);
+    }
+  }
+
+  async updatePrediction(id, changes) {
+    const prediction = this.predictions.find(p => p.id === id);
+    if (!prediction) return null;
+
+    Object.assign(prediction, changes);
+    return { ...prediction };
+  }
+
+  async getPrediction(id) {
+    const prediction = this.predictions.find(p => p.id === id);
+    return prediction ? { ...prediction } : null;
+  }
+
+  async getPredictions({ status, service, since, limit = 100 }) {
+    const results = this.predictions.filter(p =>
+      (!status || p.status === status) &&
+      (!service || p.service === service) &&
+      (!since || new Date(p.created_at) >= new Date(since))
+    );
+    return newestFirst(results, 'created_at').slice(0, limit).map(p => ({ ...p }));
+  }
+
+  // ---- Incidents ----
+
+  // Incidents are nested objects the facade edits and saves back, so they are copied both ways
+
+  async saveIncident(incident) {
+    const index = this.incidents.findIndex(i => i.id === incident.id);
+    if (index >= 0) {
+      this.incidents[index] = structuredClone(incident);
+      return;
+    }
+
+    this.incidents.push(structuredClone(incident));
+
+    // Drop resolved incidents before open ones
+    if (this.incidents.length > this.limits.incidents) {
+      const resolved = this.incidents.findIndex(i => i.status === 'resolved');
+      this.incidents.splice(resolved >= 0 ? resolved : 0, 1);
+    }
+  }
+
+  async getIncident(id) {
+    const incident = this.incidents.find(i => i.id === id);
+    return incident ? structuredClone(incident) : null;
+  }
+
+  async listIncidents({ status, service, errorHash, unresolved, limit = 50, offset = 0 }) {
+    const results = this.incidents.filter(i =>
+      (!status || i.status === status) &&
+      (!unresolved || i.status !== 'resolved') &&
+      (!service || i.services.includes(service)) &&
+      (!errorHash || i.error_hashes.includes(errorHash))
+    );
+
+    return {
+      incidents: newestFirst(results, 'last_seen').slice(offset, offset + limit).map(i => structuredClone(i)),
+      total: results.length
+    };
+  }
+
+  async deleteIncident(id) {
+    this.incidents = this.incidents.filter(i => i.id !== id);
+  }
+
+  // ---- Rollups ----
+
+  async addRollups(rows) {
+    for (const row of rows) {
+      const id = [row.resolution, new Date(row.bucket_start).toISOString(), row.kind, row.service, row.key].join('|');
+      const existing = this.rollups.get(id);
+
+      if (existing) {
+        existing.count += row.count;
+        existing.sum = sumOf(existing.sum, row.sum);
+        existing.max = maxOf(existing.max, row.max);
+      } else {
+        this.rollups.set(id, { sum: null, max: null, ...row, bucket_start: new Date(row.bucket_start).toISOString() });
+      }
+    }
+
+    for (const id of this.rollups.keys()) {
+      if (this.rollups.size <= this.limits.rollups) break;
+      this.rollups.delete(id);
+    }
+  }
+
+  async getRollups({ kind, resolution, service, key, start, end, limit = 10000 }) {
+    const rows = [...this.rollups.values()].filter(r =>
+      r.kind === kind &&
+      r.resolution === resolution &&
+      (!service || r.service === service) &&
+      (!key || r.key === key) &&
+      (!end || new Date(r.bucket_start) < new Date(end))
+    );
+    return inRange(rows, 'bucket_start', start, null).slice(0, limit);
+  }
+
+  // ---- Retention ----
+
+  async cleanup(cutoffs) {
+    const removed = {};
+    const prune = (name, rows, field, cutoff, where = () => true) => {
+      if (!cutoff) return rows;
+      const before = new Date(cutoff).getTime();
+      const kept = rows.filter(row => !where(row) || new Date(row[field]).getTime() >= before);
+      removed[name] = rows.length - kept.length;
+      return kept;
+    };
+
+    this.logs = prune('logs', this.logs, 'timestamp', cutoffs.logs);
+    this.logsByHash = new Map(this.logs.map(l => [l.hash, l]));
+    this.logVolume = prune('logVolume', this.logVolume, 'bucket_start', cutoffs.logs);
+
+    const spans = prune('spans', this.spans, 'startTime', cutoffs.logs);
+    const keptSpans = new Set(spans);
+    for (const span of this.spans.filter(s => !keptSpans.has(s))) {
+      this.forgetSpan(span);
+    }
+    this.spans = spans;
+
+    this.metrics = prune('metrics', this.metrics, 'timestamp', cutoffs.metrics);
+    this.anomalies = prune('anomalies', this.anomalies, 'detected_at', cutoffs.metrics);
+    this.errors = prune('errors', this.errors, 'last_seen', cutoffs.errors);
+    this.predictions = prune('predictions', this.predictions, 'created_at', cutoffs.predictions, p => p.status !== 'active');
+
+    for (const [resolution, name] of [['hour', 'hourlyRollups'], ['day', 'dailyRollups']]) {
+      if (!cutoffs[name]) continue;
+      const before = new Date(cutoffs[name]).getTime();
+      removed[name] = 0;
+
+      for (const [id, row] of this.rollups) {
+        if (row.resolution === resolution && new Date(row.bucket_start).getTime() < before) {
+          this.rollups.delete(id);
+          removed[name]++;
+        }
+      }
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * Check whether a log's structured fields match all requested field filters
+ * @param {object} log - Stored log entry
+ * @param {object} fieldFilters - Map of field name (dots for nesting) to expected value
+ */
+/**
+ * Predicate for the searchLogs / countLogs filters
+ * @param {object} filters - { query, terms, service, level, traceId, fields, startDate, endDate }
+ * @returns {Function} log -> boolean
+ */
+function logFilter({ query, terms, service, level, traceId, fields, startDate, endDate }) {
+  const q = query ? query.toLowerCase() : null;
+  const services = service ? [].concat(service) : null;
+  const levels = level ? [].concat(level) : null;
+  const from = startDate ? new Date(startDate).getTime() : null;
+  const to = endDate ? new Date(endDate).getTime() : null;
+
+  return (l) => {
+    if (q && !(
+      l.message?.toLowerCase().includes(q) ||
+      l.service?.toLowerCase().includes(q) ||
+      l.trace_id?.toLowerCase().includes(q) ||
+      (l.fields && JSON.stringify(l.fields).toLowerCase().includes(q))
+    )) return false;
+    if (services && !services.includes(l.service)) return false;
+    if (levels && !levels.includes(l.level)) return false;
+    if (traceId && l.trace_id !== traceId) return false;
+    if (fields && !matchesFields(l, fields)) return false;
+    if (terms && !matchesLogQuery(l, terms)) return false;
+
+    const time = new Date(l.timestamp).getTime();
+    return (from === null || time >= from) && (to === null || time <= to);
+  };
+}
+
+// Newest first; ids increase with insertion, so they order logs sharing a timestamp
+function byNewestLog(a, b) {
+  return new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime() || b.id - a.id;
+}
+
+// Whether a log is listed after the cursor ({ time, id }) newest first
+function isBefore(log, cursor) {
+  const time = new Date(log.timestamp).getTime();
+  if (time !== cursor.time) return time < cursor.time;
+  return cursor.id !== null && cursor.id !== undefined && log.id < cursor.id;
+}
+
+function matchesFields(log, fieldFilters) {
+  const fields = log.fields || {};
+
+  return Object.entries(fieldFilters).every(([key, expected]) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), fields);
+    return value !== undefined && String(value) === String(expected);
+  });
+}
+
+/**
+ * Sort rows by a column, newest (largest) first; ties keep the latest inserted first
+ * @param {object[]} rows - Rows in insertion order
+ * @param {string} column - Timestamp or number column
+ * @returns {object[]} Sorted copy
+ */
+function newestFirst(rows, column) {
+  const value = (row) => (typeof row[column] === 'number' ? row[column] : new Date(row[column]).getTime());
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => value(b.row) - value(a.row) || b.index - a.index)
+    .map(({ row }) => row);
+}
+
+/**
+ * Rows whose timestamp column falls within [start, end], oldest first
+ * @param {object[]} rows - Rows
+ * @param {string} column - Timestamp column
+ * @param {*} start - Range start
+ * @param {*} end - Range end (null for open-ended)
+ * @returns {object[]} Matching copies
+ */
+function inRange(rows, column, start, end) {
+  const from = start ? new Date(start).getTime() : -Infinity;
+  const to = end ? new Date(end).getTime() : Infinity;
+
+  return rows
+    .filter(row => {
+      const time = new Date(row[column]).getTime();
+      return time >= from && time <= to;
+    })
+    .sort((a, b) => new Date(a[column]) - new Date(b[column]))
+    .map(row => ({ ...row }));
+}
+
+/**
+ * Add two rollup sums, either of which may be missing
+ */
+function sumOf(a, b) {
+  return a === null || a === undefined ? (b ?? null) : b === null || b === undefined ? a : a + b;
+}
+
+/**
+ * Larger of two rollup maximums, either of which may be missing
+ */
+function maxOf(a, b) {
+  return a === null || a === undefined ? (b ?? null) : b === null || b === undefined ? a : Math.max(a, b);
+}
+
+/**
+ * Drop the oldest rows beyond a cap
+ * @param {object[]} rows - Rows in insertion order (mutated)
+ * @param {number} limit - Cap
+ */
+function cap(rows, limit) {
+  if (rows.length > limit) {
+    rows.splice(0, rows.length - limit);
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,760 @@
+/**
+ * SQLite Storage Adapter
+ * Persists LogDatabase tables to a local SQLite file (better-sqlite3), so a
+ * single-node install keeps its history across restarts without Supabase.
+ * The schema is created and upgraded by sqliteMigrations; log messages are
+ * searchable through an FTS5 index
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MIGRATIONS = require('./sqliteMigrations');
+const { fromLogRow, fromErrorRow, toSpanRow, fromSpanRow } = require('./rows');
+const { fieldPath, numericValue } = require('../logQuery');
+
+// Columns holding JSON, per table
+const JSON_COLUMNS = {
+  logs: ['metadata'],
+  anomalies: ['methods'],
+  spans: ['attributes', 'events']
+};
+
+// Columns errors can be ordered by (getErrors orderBy)
+const ERROR_ORDER = ['last_seen', 'occurrence_count', 'first_seen'];
+
+// Query language fields stored as log columns
+const LOG_COLUMNS = { service: 'service', level: 'level', traceId: 'trace_id', message: 'message' };
+
+class SqliteAdapter {
+  /**
+   * @param {object} options - Options
+   * @param {string} options.path - Database file (':memory:' for a throwaway database)
+   */
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.path = options.path || path.join(__dirname, '..', '..', 'data', 'loglens.db');
+    this.db = null;
+  }
+
+  /**
+   * Open the database and bring its schema up to date
+   * @returns {Promise<boolean>} Connected
+   */
+  async connect() {
+    // Loaded here so installs that never select SQLite don't need the native module
+    const Database = require('better-sqlite3');
+
+    if (this.path !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    }
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.registerFunctions();
+    this.migrate();
+    return true;
+  }
+
+  /**
+   * Apply migrations newer than the database's user_version, each in a transaction
+   * @returns {number[]} Versions applied
+   */
+  migrate() {
+    const current = this.db.pragma('user_version', { simple: true });
+    const applied = [];
+
+    for (const migration of MIGRATIONS) {
+      if (migration.version <= current) continue;
+
+      this.db.transaction(() => {
+        this.db.exec(migration.up);
+        this.db.pragma(`user_version = ${migration.version}`);
+      })();
+      applied.push(migration.version);
+      console.log(`[SqliteAdapter] Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return applied;
+  }
+
+  /**
+   * SQL functions the query language compiles to
+   */
+  registerFunctions() {
+    const regexes = new Map();
+    this.db.function('regexp_test', { deterministic: true }, (pattern, flags, value) => {
+      if (value === null) return 0;
+      const id = `${flags}/${pattern}`;
+      if (!regexes.has(id)) {
+        if (regexes.size >= 100) regexes.clear();
+        regexes.set(id, new RegExp(pattern, flags));
+      }
+      return regexes.get(id).test(String(value)) ? 1 : 0;
+    });
+    // Whether a text value compares as a number (the memory adapter's rule)
+    this.db.function('numeric_text', { deterministic: true }, (value) => (numericValue(value) === null ? 0 : 1));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * File location, size and schema version for getStats
+   * @returns {object} { dbPath, dbSize, schemaVersion }
+   */
+  describe() {
+    let dbSize = null;
+    if (this.path !== ':memory:') {
+      dbSize = [this.path, `${this.path}-wal`]
+        .filter(file => fs.existsSync(file))
+        .reduce((sum, file) => sum + fs.statSync(file).size, 0);
+    }
+
+    return {
+      dbPath: this.path,
+      dbSize,
+      schemaVersion: this.db.pragma('user_version', { simple: true })
+    };
+  }
+
+  async getCounts() {
+    const count = (sql) => this.db.prepare(sql).get().n;
+
+    return {
+      totalLogs: count('SELECT COUNT(*) AS n FROM logs'),
+      uniquePatterns: count('SELECT COUNT(*) AS n FROM logs'),
+      errorCount: count('SELECT COUNT(*) AS n FROM errors'),
+      resolutions: count('SELECT COUNT(*) AS n FROM error_resolutions'),
+      predictions: count('SELECT COUNT(*) AS n FROM predictions'),
+      metricsDataPoints: count('SELECT COUNT(*) AS n FROM metrics_history'),
+      anomalies: count('SELECT COUNT(*) AS n FROM anomalies'),
+      spans: count('SELECT COUNT(*) AS n FROM spans'),
+      traces: count('SELECT COUNT(DISTINCT trace_id) AS n FROM spans'),
+      incidents: count('SELECT COUNT(*) AS n FROM incidents'),
+      rollups: count('SELECT COUNT(*) AS n FROM rollups')
+    };
+  }
+
+  // ---- Logs ----
+
+  async insertLog(row) {
+    const stored = this.db.prepare(`
+      INSERT INTO logs (hash, timestamp, service, level, message, trace_id, metadata, duplicate_count)
+      VALUES (@hash, @timestamp, @service, @level, @message, @trace_id, @metadata, 1)
+      ON CONFLICT (hash) DO UPDATE SET duplicate_count = duplicate_count + 1
+      RETURNING duplicate_count
+    `).get({
+      hash: row.hash,
+      timestamp: toIso(row.timestamp),
+      service: row.service,
+      level: row.level,
+      message: row.message ?? null,
+      trace_id: row.trace_id || row.metadata?.traceId || null,
+      metadata: toJson(row.metadata)
+    });
+    return stored.duplicate_count === 1;
+  }
+
+  async searchLogs({ before, limit = 100, offset = 0, ...filters }) {
+    const { where, params } = logFilterSql(filters);
+
+    if (before) {
+      if (before.id === null || before.id === undefined) {
+        where.push('timestamp < ?');
+        params.push(toIso(before.timestamp));
+      } else {
+        where.push('(timestamp < ? OR (timestamp = ? AND id < ?))');
+        params.push(toIso(before.timestamp), toIso(before.timestamp), before.id);
+      }
+    }
+
+    const rows = this.db.prepare(`
+      SELECT * FROM logs
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return rows.map(row => fromLogRow(parseRow('logs', row)));
+  }
+
+  async countLogs(filters) {
+    const { where, params } = logFilterSql(filters);
+    const { total } = this.db.prepare(`
+      SELECT COUNT(*) AS total FROM logs
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    `).get(...params);
+
+    return { total, exact: true };
+  }
+
+  // ---- Errors ----
+
+  async recordError(row) {
+    const stored = this.db.prepare(`
+      INSERT INTO errors (error_hash, first_seen, last_seen, service, message, stack_trace, occurrence_count, status)
+      VALUES (@error_hash, @first_seen, @last_seen, @service, @message, @stack_trace, @occurrence_count, @status)
+      ON CONFLICT (error_hash) DO UPDATE SET
+        occurrence_count = occurrence_count + 1,
+        last_seen = excluded.last_seen
+      RETURNING *
+    `).get({
+      error_hash: row.error_hash,
+      first_seen: toIso(row.first_seen),
+      last_seen: toIso(row.last_seen),
+      service: row.service,
+      message: row.message ?? null,
+      stack_trace: row.stack_trace ?? null,
+      occurrence_count: row.occurrence_count || 1,
+      status: row.status || 'new'
+    });
+    return fromErrorRow(stored);
+  }
+
+  async updateError(errorHash, changes) {
+    this.update('errors', 'error_hash', errorHash, changes);
+  }
+
+  async getErrors({ service, status, startDate, endDate, seenSince, orderBy = 'last_seen', limit = 1000 }) {
+    const where = [];
+    const params = [];
+
+    if (service) {
+      where.push('service = ?');
+      params.push(service);
+    }
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (startDate) {
+      where.push('first_seen >= ?');
+      params.push(toIso(startDate));
+    }
+    if (endDate) {
+      where.push('first_seen <= ?');
+      params.push(toIso(endDate));
+    }
+    if (seenSince) {
+      where.push('last_seen >= ?');
+      params.push(toIso(seenSince));
+    }
+    const order = ERROR_ORDER.includes(orderBy) ? orderBy : 'last_seen';
+
+    return this.db.prepare(`
+      SELECT * FROM errors
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY ${order} DESC
+      LIMIT ?
+    `).all(...params, limit).map(fromErrorRow);
+  }
+
+  // ---- Resolutions ----
+
+  async insertResolution(row) {
+    const { id, ...columns } = row;
+    this.insert('error_resolutions', { ...columns, was_successful: columns.was_successful ? 1 : 0 });
+  }
+
+  async getResolutions({ service, successful, limit = 5 }) {
+    const where = [];
+    const params = [];
+
+    if (service) {
+      where.push('service = ?');
+      params.push(service);
+    }
+    if (successful !== undefined) {
+      where.push('was_successful = ?');
+      params.push(successful ? 1 : 0);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM error_resolutions
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(...params, limit).map(row => ({ ...row, was_successful: row.was_successful === 1 }));
+  }
+
+  // ---- Metrics and log volume ----
+
+  async insertMetrics(row) {
+    const { id, ...columns } = row;
+    this.insert('metrics_history', { ...columns, timestamp: toIso(columns.timestamp) });
+  }
+
+  async getMetrics({ service, start, end, limit = 1000 }) {
+    const where = ['timestamp >= ?'];
+    const params = [toIso(start)];
+
+    if (end) {
+      where.push('timestamp <= ?');
+      params.push(toIso(end));
+    }
+    if (service) {
+      where.push('service = ?');
+      params.push(service);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM metrics_history WHERE ${where.join(' AND ')}
+      ORDER BY timestamp ASC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  async insertLogVolume(row) {
+    this.insert('log_volume', { ...row, bucket_start: toIso(row.bucket_start) });
+  }
+
+  async getLogVolume({ service, start, end, limit = 1000 }) {
+    const where = ['bucket_start >= ?', 'bucket_start <= ?'];
+    const params = [toIso(start), toIso(end)];
+
+    if (service) {
+      where.push('service = ?');
+      params.push(service);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM log_volume WHERE ${where.join(' AND ')}
+      ORDER BY bucket_start ASC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  // ---- Anomalies ----
+
+  async insertAnomaly(row) {
+    this.insert('anomalies', { ...row, detected_at: toIso(row.detected_at) });
+  }
+
+  async getAnomalies({ service, metric, since, limit = 100 }) {
+    const where = ['detected_at >= ?'];
+    const params = [toIso(since)];
+
+    if (service) {
+      where.push('service = ?');
+      params.push(service);
+    }
+    if (metric) {
+      where.push('metric = ?');
+      params.push(metric);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM anomalies WHERE ${where.join(' AND ')}
+      ORDER BY detected_at DESC
+      LIMIT ?
+    `).all(...params, limit).map(row => parseRow('anomalies', row));
+  }
+
+  // ---- Spans ----
+
+  async insertSpans(spans) {
+    this.db.transaction(() => {
+      for (const span of spans) {
+        this.insert('spans', toSpanRow(span));
+      }
+    })();
+  }
+
+  async getTraceSpans(traceId) {
+    return this.db.prepare('SELECT * FROM spans WHERE trace_id = ? ORDER BY start_time ASC')
+      .all(traceId)
+      .map(row => fromSpanRow(parseRow('spans', row)));
+  }
+
+  // ---- Predictions ----
+
+  async insertPrediction(row) {
+    this.insert('predictions', row);
+  }
+
+  async updatePrediction(id, changes) {
+    this.update('predictions', 'id', id, changes);
+    return this.getPrediction(id);
+  }
+
+  async getPrediction(id) {
+    return this.db.prepare('SELECT * FROM predictions WHERE id = ?').get(id) || null;
+  }
+
+  async getPredictions({ status, service, since, limit = 100 }) {
+    const where = [];
+    const params = [];
+
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (service) {
+      where.push('service = ?');
+      params.push(service);
+    }
+    if (since) {
+      where.push('created_at >= ?');
+      params.push(toIso(since));
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM predictions
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  // ---- Incidents ----
+
+  async saveIncident(incident) {
+    this.db.prepare(`
+      INSERT INTO incidents (id, status, service, services, last_seen, data)
+      VALUES (@id, @status, @service, @services, @last_seen, @data)
+      ON CONFLICT (id) DO UPDATE SET
+        status = excluded.status,
+        service = excluded.service,
+        services = excluded.services,
+        last_seen = excluded.last_seen,
+        data = excluded.data
+    `).run({
+      id: incident.id,
+      status: incident.status,
+      service: incident.service,
+      services: JSON.stringify(incident.services || []),
+      last_seen: toIso(incident.last_seen),
+      data: JSON.stringify(incident)
+    });
+  }
+
+  async getIncident(id) {
+    const row = this.db.prepare('SELECT data FROM incidents WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async listIncidents({ status, service, errorHash, unresolved, limit = 50, offset = 0 }) {
+    const where = [];
+    const params = [];
+
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (unresolved) {
+      where.push(`status != 'resolved'`);
+    }
+    if (service) {
+      where.push('EXISTS (SELECT 1 FROM json_each(incidents.services) WHERE value = ?)');
+      params.push(service);
+    }
+    if (errorHash) {
+      where.push(`EXISTS (SELECT 1 FROM json_each(incidents.data, '$.error_hashes') WHERE value = ?)`);
+      params.push(errorHash);
+    }
+    const filter = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    const rows = this.db.prepare(`
+      SELECT data FROM incidents ${filter}
+      ORDER BY last_seen DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+
+    return {
+      incidents: rows.map(row => JSON.parse(row.data)),
+      total: this.db.prepare(`SELECT COUNT(*) AS n FROM incidents ${filter}`).get(...params).n
+    };
+  }
+
+  async deleteIncident(id) {
+    this.db.prepare('DELETE FROM incidents WHERE id = ?').run(id);
+  }
+
+  // ---- Rollups ----
+
+  async addRollups(rows) {
+    const add = this.db.prepare(`
+      INSERT INTO rollups (resolution, bucket_start, kind, service, key, count, sum, max)
+      VALUES (@resolution, @bucket_start, @kind, @service, @key, @count, @sum, @max)
+      ON CONFLICT (resolution, bucket_start, kind, service, key) DO UPDATE SET
+        count = count + excluded.count,
+        sum = coalesce(rollups.sum + excluded.sum, rollups.sum, excluded.sum),
+        max = coalesce(max(rollups.max, excluded.max), rollups.max, excluded.max)
+    `);
+
+    this.db.transaction(() => {
+      for (const row of rows) {
+        add.run({ ...row, bucket_start: toIso(row.bucket_start), sum: row.sum ?? null, max: row.max ?? null });
+      }
+    })();
+  }
+
+  async getRollups({ kind, resolution, service, key, start, end, limit = 10000 }) {
+    const where = ['kind = ?', 'resolution = ?'];
+    const params = [kind, resolution];
+
+    if (service) {
+      where.push('service = ?');
+      params.push(service);
+    }
+    if (key) {
+      where.push('key = ?');
+      params.push(key);
+    }
+    if (start) {
+      where.push('bucket_start >= ?');
+      params.push(toIso(start));
+    }
+    if (end) {
+      where.push('bucket_start < ?');
+      params.push(toIso(end));
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM rollups WHERE ${where.join(' AND ')}
+      ORDER BY bucket_start ASC
+      LIMIT ?
+    `).all(...params, limit);
+  }
+
+  // ---- Retention ----
+
+  /**
+   * Delete rows older than each tier's cutoff; tiers without a cutoff are kept
+   * @param {object} cutoffs - ISO timestamps ({ logs, errors, metrics, predictions, hourlyRollups, dailyRollups })
+   * @returns {Promise<object>} Rows removed per table
+   */
+  async cleanup(cutoffs) {
+    const removed = {};
+    const remove = (name, sql, cutoff) => {
+      if (cutoff) removed[name] = this.db.prepare(sql).run(toIso(cutoff)).changes;
+    };
+
+    this.db.transaction(() => {
+      remove('logs', 'DELETE FROM logs WHERE timestamp < ?', cutoffs.logs);
+      remove('spans', 'DELETE FROM spans WHERE start_time < ?', cutoffs.logs);
+      remove('logVolume', 'DELETE FROM log_volume WHERE bucket_start < ?', cutoffs.logs);
+      remove('metrics', 'DELETE FROM metrics_history WHERE timestamp < ?', cutoffs.metrics);
+      remove('anomalies', 'DELETE FROM anomalies WHERE detected_at < ?', cutoffs.metrics);
+      remove('errors', 'DELETE FROM errors WHERE last_seen < ?', cutoffs.errors);
+      remove('predictions', `DELETE FROM predictions WHERE status != 'active' AND created_at < ?`, cutoffs.predictions);
+      remove('hourlyRollups', `DELETE FROM rollups WHERE resolution = 'hour' AND bucket_start < ?`, cutoffs.hourlyRollups);
+      remove('dailyRollups', `DELETE FROM rollups WHERE resolution = 'day' AND bucket_start < ?`, cutoffs.dailyRollups);
+    })();
+
+    return removed;
+  }
+
+  // ---- Helpers ----
+
+  /**
+   * Insert a row, serializing JSON columns
+   * @param {string} table - Table name
+   * @param {object} row - Column values
+   */
+  insert(table, row) {
+    const values = serializeRow(table, row);
+    const columns = Object.keys(values);
+    this.db.prepare(`
+      INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map(column => `@${column}`).join(', ')})
+    `).run(values);
+  }
+
+  /**
+   * Update columns of one row
+   * @param {string} table - Table name
+   * @param {string} key - Key column
+   * @param {*} id - Key value
+   * @param {object} changes - Column values
+   */
+  update(table, key, id, changes) {
+    const values = serializeRow(table, changes);
+    const columns = Object.keys(values);
+    if (columns.length === 0) return;
+
+    this.db.prepare(`
+      UPDATE ${table} SET ${columns.map(column => `${column} = @${column}`).join(', ')}
+      WHERE ${key} = @__key
+    `).run({ ...values, __key: id });
+  }
+}
+
+/**
+ * Turn search text into an FTS5 query: every word must appear, as a prefix
+ * @param {string} text - Search text
+ * @returns {string|null} MATCH expression (null when the text has no words)
+ */
+function ftsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words.map(word => `"${word}"*`).join(' ');
+}
+
+/**
+ * WHERE conditions for the searchLogs / countLogs filters
+ * @param {object} filters - { query, terms, service, level, traceId, fields, startDate, endDate }
+ * @returns {object} { where: string[], params: any[] }
+ */
+function logFilterSql({ query, terms, service, level, traceId, fields, startDate, endDate }) {
+  const where = [];
+  const params = [];
+
+  if (query) {
+    const like = `%${query}%`;
+    const match = ftsQuery(query);
+    where.push(`(${match ? 'id IN (SELECT rowid FROM logs_fts WHERE logs_fts MATCH ?)' : 'message LIKE ?'}
+      OR service LIKE ? OR trace_id LIKE ? OR metadata LIKE ?)`);
+    params.push(match || like, like, like, like);
+  }
+  for (const [column, value] of [['service', service], ['level', level]]) {
+    if (!value) continue;
+    const values = [].concat(value);
+    where.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  }
+  if (traceId) {
+    where.push('trace_id = ?');
+    params.push(traceId);
+  }
+  for (const [key, value] of Object.entries(fields || {})) {
+    where.push('CAST(json_extract(metadata, ?) AS TEXT) = ?');
+    params.push(jsonFieldPath(key.split('.')), String(value));
+  }
+  for (const term of terms || []) {
+    const clause = termSql(term);
+    where.push(term.negate ? `NOT coalesce(${clause.sql}, 0)` : clause.sql);
+    params.push(...clause.params);
+  }
+  if (startDate) {
+    where.push('timestamp >= ?');
+    params.push(toIso(startDate));
+  }
+  if (endDate) {
+    where.push('timestamp <= ?');
+    params.push(toIso(endDate));
+  }
+
+  return { where, params };
+}
+
+/**
+ * Compile a query language term (logQuery.js) to SQL
+ * @param {object} term - { field, op, value, flags }
+ * @returns {object} { sql, params }
+ */
+function termSql(term) {
+  if (term.field === null) {
+    const like = likePattern(term.value);
+    return {
+      sql: `(message LIKE ? ESCAPE '\\' OR service LIKE ? ESCAPE '\\' OR trace_id LIKE ? ESCAPE '\\'
+        OR json_extract(metadata, '$.fields') LIKE ? ESCAPE '\\')`,
+      params: [like, like, like, like]
+    };
+  }
+
+  const path = fieldPath(term.field);
+  const column = path ? 'json_extract(metadata, ?)' : LOG_COLUMNS[term.field];
+  const columnParams = path ? [jsonFieldPath(path)] : [];
+
+  switch (term.op) {
+    case 'contains':
+      return { sql: `(${column} LIKE ? ESCAPE '\\')`, params: [...columnParams, likePattern(term.value)] };
+    case '=':
+      return { sql: path ? `(CAST(${column} AS TEXT) = ?)` : `(${column} = ?)`, params: [...columnParams, term.value] };
+    case 'in':
+      return { sql: `(${column} IN (${term.value.map(() => '?').join(', ')}))`, params: [...columnParams, ...term.value] };
+    case 'regex':
+      return { sql: `regexp_test(?, ?, ${column})`, params: [term.value, term.flags || '', ...columnParams] };
+    default:
+      // Numeric comparisons match numbers and numeric strings (logfmt values are stored as text)
+      return {
+        sql: `(CASE json_type(metadata, ?) WHEN 'integer' THEN 1 WHEN 'real' THEN 1 WHEN 'text' THEN numeric_text(${column}) ELSE 0 END
+          AND CAST(${column} AS REAL) ${term.op} ?)`,
+        params: [jsonFieldPath(path), ...columnParams, ...columnParams, term.value]
+      };
+  }
+}
+
+/**
+ * JSON path of a structured field in the metadata column
+ * @param {string[]} path - Field path (['err', 'code'])
+ * @returns {string} e.g. $.fields."err"."code"
+ */
+function jsonFieldPath(path) {
+  return `$.fields.${path.map(part => `"${part.replace(/"/g, '')}"`).join('.')}`;
+}
+
+/**
+ * LIKE pattern matching text anywhere, with % and _ taken literally
+ * @param {string} text - Text
+ * @returns {string} Pattern (escape character \)
+ */
+function likePattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+/**
+ * Timestamps are stored as ISO strings so they sort and compare as text
+ * @param {*} value - Date, ISO string or time in ms
+ * @returns {string|null} ISO string (unparseable strings are kept as they are)
+ */
+function toIso(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+function toJson(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Serialize JSON columns and drop undefined values (better-sqlite3 binds only
+ * numbers, strings, bigints, buffers and null)
+ * @param {string} table - Table name
+ * @param {object} row - Column values
+ * @returns {object} Bindable values
+ */
+function serializeRow(table, row) {
+  const jsonColumns = JSON_COLUMNS[table] || [];
+  const values = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (value === undefined) continue;
+    if (jsonColumns.includes(column)) {
+      values[column] = toJson(value);
+    } else if (typeof value === 'boolean') {
+      values[column] = value ? 1 : 0;
+    } else if (value !== null && typeof value === 'object') {
+      values[column] = JSON.stringify(value);
+    } else {
+      values[column] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a row's JSON columns
+ * @param {string} table - Table name
+ * @param {object} row - Row as read
+ * @returns {object} Row
+ */
+function parseRow(table, row) {
+  for (const column of JSON_COLUMNS[table] || []) {
+    if (typeof row[column] === 'string') {
+      try {
+        row[column] = JSON.parse(row[column]);
+      } catch (e) {
+        // Keep the raw text
+      }
+    }
+  }
+  return row;
+}
+
+module.exports = SqliteAdapter;
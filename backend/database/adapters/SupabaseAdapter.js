@@ -0,0 +1,487 @@
+/**
+ * Supabase Storage Adapter
+ * Persists LogDatabase tables to Supabase (PostgreSQL). The schema is
+ * described in ARCHITECTURE.md; tables are created in the Supabase project
+ */
+
+const { initializeSupabase, testConnection, getClient, getConnectionStatus } = require('../supabase');
+const { fromLogRow, fromErrorRow, toSpanRow, fromSpanRow } = require('./rows');
+const { fieldPath } = require('../logQuery');
+
+// PostgreSQL error code for a duplicate key
+const UNIQUE_VIOLATION = '23505';
+
+// Columns a plain query language word is looked for in
+const TEXT_COLUMNS = ['message', 'service', 'metadata->>traceId', 'metadata->>fields'];
+const COMPARISON_FILTERS = { '=': 'eq', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+class SupabaseAdapter {
+  constructor() {
+    this.name = 'supabase';
+  }
+
+  /**
+   * Connect with SUPABASE_URL / SUPABASE_KEY
+   * @returns {Promise<boolean>} Connected
+   */
+  async connect() {
+    const client = initializeSupabase();
+    if (!client) return false;
+    return testConnection();
+  }
+
+  /**
+   * Connection details for getStats
+   * @returns {object} { supabase }
+   */
+  describe() {
+    return { supabase: getConnectionStatus() };
+  }
+
+  async getCounts() {
+    const count = async (table) => {
+      const { count: rows, error } = await this.client.from(table).select('*', { count: 'exact', head: true });
+      if (error) throw new Error(error.message);
+      return rows || 0;
+    };
+
+    const [totalLogs, errorCount, resolutions, predictions, metricsDataPoints, anomalies, spans, incidents, rollups] =
+      await Promise.all(['logs', 'errors', 'error_resolutions', 'predictions', 'metrics_history', 'anomalies', 'spans', 'incidents', 'rollups'].map(count));
+
+    return {
+      totalLogs,
+      uniquePatterns: totalLogs,
+      errorCount,
+      resolutions,
+      predictions,
+      metricsDataPoints,
+      anomalies,
+      spans,
+      // PostgREST cannot count distinct values
+      traces: null,
+      incidents,
+      rollups
+    };
+  }
+
+  get client() {
+    return getClient();
+  }
+
+  // ---- Logs ----
+
+  async insertLog(row) {
+    const { trace_id, ...columns } = row;
+    const { error } = await this.client.from('logs').insert({ ...columns, duplicate_count: 1 });
+    if (!error) return true;
+    if (error.code !== UNIQUE_VIOLATION) throw new Error(error.message);
+
+    const existing = unwrap(await this.client.from('logs').select('duplicate_count').eq('hash', row.hash).limit(1));
+    if (existing.length > 0) {
+      unwrap(await this.client.from('logs').update({ duplicate_count: (existing[0].duplicate_count || 1) + 1 }).eq('hash', row.hash));
+    }
+    return false;
+  }
+
+  async searchLogs({ before, limit = 100, offset = 0, ...filters }) {
+    let dbQuery = applyLogFilters(this.client.from('logs').select('*'), filters)
+      .order('timestamp', { ascending: false })
+      .order('id', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (before) {
+      const timestamp = new Date(before.timestamp).toISOString();
+      dbQuery = before.id === null || before.id === undefined
+        ? dbQuery.lt('timestamp', timestamp)
+        : dbQuery.or(`timestamp.lt.${quote(timestamp)},and(timestamp.eq.${quote(timestamp)},id.lt.${quote(before.id)})`);
+    }
+
+    // numeric_fields is generated for comparisons and not part of the log
+    return unwrap(await dbQuery).map(({ numeric_fields, ...row }) => fromLogRow(row));
+  }
+
+  // PostgREST's estimated count is exact up to its max-rows setting and the
+  // query planner's guess beyond, which saves counting large filtered tables
+  async countLogs(filters) {
+    const { count, error } = await applyLogFilters(this.client.from('logs').select('id', { count: 'estimated', head: true }), filters);
+    if (error) throw new Error(error.message);
+    return { total: count || 0, exact: false };
+  }
+
+  // ---- Errors ----
+
+  async recordError(row) {
+    const existing = unwrap(await this.client.from('errors').select('*').eq('error_hash', row.error_hash).limit(1));
+    if (existing.length > 0) {
+      const changes = { occurrence_count: (existing[0].occurrence_count || 1) + 1, last_seen: row.last_seen };
+      unwrap(await this.client.from('errors').update(changes).eq('error_hash', row.error_hash));
+      return fromErrorRow({ ...existing[0], ...changes });
+    }
+
+    const entry = { ...row, occurrence_count: row.occurrence_count || 1 };
+    unwrap(await this.client.from('errors').insert(entry));
+    return fromErrorRow(entry);
+  }
+
+  async updateError(errorHash, changes) {
+    unwrap(await this.client.from('errors').update(changes).eq('error_hash', errorHash));
+  }
+
+  async getErrors({ service, status, startDate, endDate, seenSince, orderBy = 'last_seen', limit = 1000 }) {
+    let query = this.client
+      .from('errors')
+      .select('*')
+      .order(orderBy, { ascending: false })
+      .limit(limit);
+
+    if (service) query = query.eq('service', service);
+    if (status) query = query.eq('status', status);
+    if (startDate) query = query.gte('first_seen', startDate);
+    if (endDate) query = query.lte('first_seen', endDate);
+    if (seenSince) query = query.gte('last_seen', seenSince);
+
+    return unwrap(await query).map(fromErrorRow);
+  }
+
+  // ---- Resolutions ----
+
+  async insertResolution(row) {
+    const { id, ...columns } = row;
+    unwrap(await this.client.from('error_resolutions').insert(columns));
+  }
+
+  async getResolutions({ service, successful, limit = 5 }) {
+    let query = this.client
+      .from('error_resolutions')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (service) query = query.eq('service', service);
+    if (successful !== undefined) query = query.eq('was_successful', successful);
+
+    return unwrap(await query);
+  }
+
+  // ---- Metrics and log volume ----
+
+  async insertMetrics(row) {
+    const { id, ...columns } = row;
+    unwrap(await this.client.from('metrics_history').insert(columns));
+  }
+
+  async getMetrics({ service, start, end, limit = 1000 }) {
+    let query = this.client
+      .from('metrics_history')
+      .select('*')
+      .gte('timestamp', start)
+      .order('timestamp', { ascending: true });
+
+    if (end) query = query.lte('timestamp', end);
+    if (service) query = query.eq('service', service);
+
+    return unwrap(await query.limit(limit));
+  }
+
+  async insertLogVolume(row) {
+    unwrap(await this.client.from('log_volume').insert(row));
+  }
+
+  async getLogVolume({ service, start, end, limit = 1000 }) {
+    let query = this.client
+      .from('log_volume')
+      .select('*')
+      .gte('bucket_start', start)
+      .lte('bucket_start', end)
+      .order('bucket_start', { ascending: true });
+
+    if (service) query = query.eq('service', service);
+
+    return unwrap(await query.limit(limit));
+  }
+
+  // ---- Anomalies ----
+
+  async insertAnomaly(row) {
+    unwrap(await this.client.from('anomalies').insert(row));
+  }
+
+  async getAnomalies({ service, metric, since, limit = 100 }) {
+    let query = this.client
+      .from('anomalies')
+      .select('*')
+      .gte('detected_at', since)
+      .order('detected_at', { ascending: false });
+
+    if (service) query = query.eq('service', service);
+    if (metric) query = query.eq('metric', metric);
+
+    return unwrap(await query.limit(limit));
+  }
+
+  // ---- Spans ----
+
+  async insertSpans(spans) {
+    unwrap(await this.client.from('spans').insert(spans.map(toSpanRow)));
+  }
+
+  async getTraceSpans(traceId) {
+    const data = unwrap(await this.client
+      .from('spans')
+      .select('*')
+      .eq('trace_id', traceId)
+      .order('start_time', { ascending: true }));
+    return data.map(fromSpanRow);
+  }
+
+  // ---- Predictions ----
+
+  async insertPrediction(row) {
+    unwrap(await this.client.from('predictions').insert(row));
+  }
+
+  async updatePrediction(id, changes) {
+    const rows = unwrap(await this.client.from('predictions').update(changes).eq('id', id).select());
+    return rows[0] || null;
+  }
+
+  async getPrediction(id) {
+    const { data, error } = await this.client.from('predictions').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(error.message);
+    return data || null;
+  }
+
+  async getPredictions({ status, service, since, limit = 100 }) {
+    let query = this.client
+      .from('predictions')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (status) query = query.eq('status', status);
+    if (service) query = query.eq('service', service);
+    if (since) query = query.gte('created_at', since);
+
+    return unwrap(await query.limit(limit));
+  }
+
+  // ---- Incidents ----
+
+  async saveIncident(incident) {
+    unwrap(await this.client.from('incidents').upsert(incident));
+  }
+
+  async getIncident(id) {
+    const { data, error } = await this.client.from('incidents').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(error.message);
+    return data || null;
+  }
+
+  async listIncidents({ status, service, errorHash, unresolved, limit = 50, offset = 0 }) {
+    let query = this.client
+      .from('incidents')
+      .select('*', { count: 'exact' })
+      .order('last_seen', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (unresolved) query = query.neq('status', 'resolved');
+    if (service) query = query.contains('services', [service]);
+    if (errorHash) query = query.contains('error_hashes', [errorHash]);
+
+    const response = await query;
+    return { incidents: unwrap(response), total: response.count || 0 };
+  }
+
+  async deleteIncident(id) {
+    unwrap(await this.client.from('incidents').delete().eq('id', id));
+  }
+
+  // ---- Rollups ----
+
+  /**
+   * PostgREST upserts replace rows, so each bucket's existing counters are
+   * read and added to first
+   */
+  async addRollups(rows) {
+    const buckets = new Map();
+    for (const row of rows) {
+      const bucket = `${row.resolution}|${new Date(row.bucket_start).toISOString()}|${row.kind}`;
+      if (!buckets.has(bucket)) buckets.set(bucket, []);
+      buckets.get(bucket).push(row);
+    }
+
+    for (const bucketRows of buckets.values()) {
+      const { resolution, bucket_start, kind } = bucketRows[0];
+      const existing = unwrap(await this.client
+        .from('rollups')
+        .select('*')
+        .eq('resolution', resolution)
+        .eq('bucket_start', new Date(bucket_start).toISOString())
+        .eq('kind', kind)
+        .in('service', [...new Set(bucketRows.map(r => r.service))]));
+
+      const merged = bucketRows.map(row => {
+        const current = existing.find(e => e.service === row.service && e.key === row.key);
+        return {
+          ...row,
+          bucket_start: new Date(bucket_start).toISOString(),
+          count: row.count + (current?.count || 0),
+          sum: current?.sum == null ? (row.sum ?? null) : row.sum == null ? current.sum : current.sum + row.sum,
+          max: current?.max == null ? (row.max ?? null) : row.max == null ? current.max : Math.max(current.max, row.max)
+        };
+      });
+
+      unwrap(await this.client.from('rollups').upsert(merged, { onConflict: 'resolution,bucket_start,kind,service,key' }));
+    }
+  }
+
+  async getRollups({ kind, resolution, service, key, start, end, limit = 10000 }) {
+    let query = this.client
+      .from('rollups')
+      .select('*')
+      .eq('kind', kind)
+      .eq('resolution', resolution)
+      .order('bucket_start', { ascending: true });
+
+    if (service) query = query.eq('service', service);
+    if (key) query = query.eq('key', key);
+    if (start) query = query.gte('bucket_start', start);
+    if (end) query = query.lt('bucket_start', end);
+
+    return unwrap(await query.limit(limit));
+  }
+
+  // ---- Retention ----
+
+  /**
+   * Delete rows older than each tier's cutoff; tiers without a cutoff are kept
+   * @param {object} cutoffs - ISO timestamps ({ logs, errors, metrics, predictions, hourlyRollups, dailyRollups })
+   * @returns {Promise<object>} Rows removed per table
+   */
+  async cleanup(cutoffs) {
+    const removed = {};
+    const remove = async (name, table, column, cutoff, filter = (query) => query) => {
+      if (!cutoff) return;
+      const { count, error } = await filter(this.client.from(table).delete({ count: 'exact' }).lt(column, cutoff));
+      if (error) throw new Error(error.message);
+      removed[name] = count || 0;
+    };
+
+    await remove('logs', 'logs', 'timestamp', cutoffs.logs);
+    await remove('spans', 'spans', 'start_time', cutoffs.logs);
+    await remove('logVolume', 'log_volume', 'bucket_start', cutoffs.logs);
+    await remove('metrics', 'metrics_history', 'timestamp', cutoffs.metrics);
+    await remove('anomalies', 'anomalies', 'detected_at', cutoffs.metrics);
+    await remove('errors', 'errors', 'last_seen', cutoffs.errors);
+    await remove('predictions', 'predictions', 'created_at', cutoffs.predictions, q => q.neq('status', 'active'));
+    await remove('hourlyRollups', 'rollups', 'bucket_start', cutoffs.hourlyRollups, q => q.eq('resolution', 'hour'));
+    await remove('dailyRollups', 'rollups', 'bucket_start', cutoffs.dailyRollups, q => q.eq('resolution', 'day'));
+
+    return removed;
+  }
+}
+
+/**
+ * Apply the searchLogs / countLogs filters to a logs query
+ * @param {object} dbQuery - PostgREST query builder
+ * @param {object} filters - { query, terms, service, level, traceId, fields, startDate, endDate }
+ * @returns {object} The query builder
+ */
+function applyLogFilters(dbQuery, { query, terms, service, level, traceId, fields, startDate, endDate }) {
+  if (service) dbQuery = dbQuery.in('service', [].concat(service));
+  if (level) dbQuery = dbQuery.in('level', [].concat(level));
+  if (query) {
+    // Quoted so commas and parentheses in the text don't break the or() filter
+    const pattern = `"%${query.replace(/["\\]/g, '')}%"`;
+    dbQuery = dbQuery.or(`message.ilike.${pattern},service.ilike.${pattern},metadata->>traceId.ilike.${pattern}`);
+  }
+  if (traceId) dbQuery = dbQuery.eq('metadata->>traceId', traceId);
+
+  if (fields) {
+    for (const [key, value] of Object.entries(fields)) {
+      // Nested keys (err.code) become JSON paths: metadata->fields->err->>code
+      const path = ['fields', ...key.split('.')];
+      const column = `metadata->${path.slice(0, -1).join('->')}->>${path[path.length - 1]}`;
+      dbQuery = dbQuery.eq(column, String(value));
+    }
+  }
+
+  for (const term of terms || []) {
+    dbQuery = applyTerm(dbQuery, term);
+  }
+
+  if (startDate) dbQuery = dbQuery.gte('timestamp', startDate);
+  if (endDate) dbQuery = dbQuery.lte('timestamp', endDate);
+
+  return dbQuery;
+}
+
+/**
+ * Add a query language term (logQuery.js) to a PostgREST query. Negated
+ * terms also match logs without the column, as they do in the other adapters
+ * @param {object} dbQuery - Supabase query builder
+ * @param {object} term - { field, op, value, flags, negate }
+ * @returns {object} Query builder
+ */
+function applyTerm(dbQuery, term) {
+  if (term.field === null) {
+    const pattern = quote(`%${term.value}%`);
+    if (!term.negate) {
+      return dbQuery.or(TEXT_COLUMNS.map(column => `${column}.ilike.${pattern}`).join(','));
+    }
+    return TEXT_COLUMNS.reduce((query, column) => query.or(`${column}.is.null,${column}.not.ilike.${pattern}`), dbQuery);
+  }
+
+  const { column, operator, value } = termFilter(term);
+  if (!term.negate) return dbQuery.filter(column, operator, value);
+  return dbQuery.or(`${column}.is.null,${column}.not.${operator}.${operator === 'in' ? value : quote(value)}`);
+}
+
+/**
+ * PostgREST column, operator and value for a term
+ * @param {object} term - Query language term
+ * @returns {object} { column, operator, value }
+ */
+function termFilter(term) {
+  const path = fieldPath(term.field);
+  // Comparisons read the generated numeric_fields column, which holds only the
+  // numbers and numeric strings of metadata.fields as JSON numbers
+  const numeric = ['>', '>=', '<', '<='].includes(term.op);
+  const column = !path
+    ? term.field === 'traceId' ? 'metadata->>traceId' : term.field
+    : numeric
+      ? ['numeric_fields', ...path].join('->')
+      : `metadata->${['fields', ...path.slice(0, -1)].join('->')}->>${path[path.length - 1]}`;
+
+  switch (term.op) {
+    case 'contains':
+      return { column, operator: 'ilike', value: `%${term.value}%` };
+    case 'in':
+      return { column, operator: 'in', value: `(${term.value.join(',')})` };
+    case 'regex':
+      return { column, operator: term.flags.includes('i') ? 'imatch' : 'match', value: term.value };
+    default:
+      return { column, operator: COMPARISON_FILTERS[term.op], value: term.value };
+  }
+}
+
+/**
+ * Quote a value for or() filters, so commas and parentheses in it don't break the filter
+ * @param {*} value - Value
+ * @returns {string} Double-quoted value
+ */
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Supabase reports failures in the response instead of throwing
+ * @param {object} response - { data, error }
+ * @returns {*} data ([] when empty)
+ */
+function unwrap({ data, error }) {
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+module.exports = SupabaseAdapter;
@@ -0,0 +1,94 @@
+/**
+ * Storage Adapters
+ * Persistence backends behind the LogDatabase facade, selected with
+ * STORAGE_BACKEND (config.storage.backend). Every adapter implements
+ * ADAPTER_METHODS and passes the contract suite in test/storage
+ */
+
+const MemoryAdapter = require('./MemoryAdapter');
+const SupabaseAdapter = require('./SupabaseAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+
+const ADAPTERS = {
+  memory: (options) => new MemoryAdapter(options),
+  supabase: (options) => new SupabaseAdapter(options),
+  sqlite: (options) => new SqliteAdapter({ path: options.sqlitePath })
+};
+
+/**
+ * The adapter interface. Everything but describe() is async.
+ *
+ * connect()                      -> boolean, false when the backend is not configured
+ * describe()                     -> backend details for getStats (file, connection)
+ * getCounts()                    -> { totalLogs, uniquePatterns, errorCount, ..., incidents }
+ * insertLog(row)                 -> true when new; a known hash bumps duplicate_count and returns false
+ * searchLogs(filters)            -> logs, newest first, ties by id ({ query, terms, service, level, traceId, fields, startDate, endDate,
+ *                                   before, limit, offset }); terms are parsed query language terms (logQuery.js) the adapter
+ *                                   compiles, service and level may be lists, and before ({ timestamp, id }) keeps the logs
+ *                                   listed after that one (with a null id, only older timestamps)
+ * countLogs(filters)             -> { total, exact } for the same filters; exact is false when the backend only estimates
+ * recordError(row)               -> the error; a known error_hash bumps occurrence_count and last_seen
+ * updateError(hash, changes)
+ * getErrors(filters)             -> errors, newest (or most frequent, orderBy) first
+ * insertResolution / getResolutions
+ * insertMetrics / getMetrics     -> oldest first
+ * insertLogVolume / getLogVolume -> oldest first
+ * insertAnomaly / getAnomalies   -> newest first
+ * insertSpans / getTraceSpans    -> spans by start time
+ * insertPrediction / updatePrediction / getPrediction / getPredictions
+ * saveIncident / getIncident / listIncidents / deleteIncident
+ * addRollups(rows)               -> adds count and sum, keeps the larger max, per (resolution, bucket_start, kind, service, key)
+ * getRollups(filters)            -> rollups, oldest first ({ kind, resolution, service, key, start, end, limit })
+ * cleanup(cutoffs)               -> deletes rows older than each tier's cutoff, returns rows removed per table
+ *
+ * Failures are thrown, never swallowed; close() is optional.
+ */
+const ADAPTER_METHODS = [
+  'connect', 'describe', 'getCounts',
+  'insertLog', 'searchLogs', 'countLogs',
+  'recordError', 'updateError', 'getErrors',
+  'insertResolution', 'getResolutions',
+  'insertMetrics', 'getMetrics',
+  'insertLogVolume', 'getLogVolume',
+  'insertAnomaly', 'getAnomalies',
+  'insertSpans', 'getTraceSpans',
+  'insertPrediction', 'updatePrediction', 'getPrediction', 'getPredictions',
+  'saveIncident', 'getIncident', 'listIncidents', 'deleteIncident',
+  'addRollups', 'getRollups',
+  'cleanup'
+];
+
+/**
+ * Create the adapter for a backend
+ * @param {string} backend - memory, supabase or sqlite
+ * @param {object} options - config.storage
+ * @returns {object} Adapter (call connect() before use)
+ */
+function createAdapter(backend, options = {}) {
+  const create = ADAPTERS[backend];
+  if (!create) {
+    throw new Error(`Unknown storage backend "${backend}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  return assertAdapter(create(options));
+}
+
+/**
+ * Check that an object implements the adapter interface
+ * @param {object} adapter - Adapter
+ * @returns {object} The adapter
+ */
+function assertAdapter(adapter) {
+  const missing = ADAPTER_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage adapter ${adapter.name || ''} must implement ${missing.join(', ')}`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  BACKENDS: Object.keys(ADAPTERS),
+  ADAPTER_METHODS,
+  MemoryAdapter,
+  createAdapter,
+  assertAdapter
+};
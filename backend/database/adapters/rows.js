@@ -0,0 +1,94 @@
+/**
+ * Row Mapping
+ * Conversions shared by the storage adapters between LogDatabase entries and
+ * table rows
+ */
+
+/**
+ * JSONB metadata stored alongside a log (structured fields and trace context)
+ * @param {object} log - Log entry
+ * @returns {object|null} Metadata
+ */
+function logMetadata(log) {
+  if (!log.fields && !log.traceId && !log.spanId) return null;
+
+  return {
+    fields: log.fields || {},
+    traceId: log.traceId || null,
+    spanId: log.spanId || null
+  };
+}
+
+/**
+ * Give a stored log row the in-memory shape as well (trace_id, fields)
+ * @param {object} row - logs row
+ * @returns {object} Log
+ */
+function fromLogRow(row) {
+  return {
+    ...row,
+    trace_id: row.trace_id || row.metadata?.traceId || null,
+    fields: row.fields || row.metadata?.fields || null
+  };
+}
+
+/**
+ * Give a stored error row the in-memory shape as well (hash)
+ * @param {object} row - errors row
+ * @returns {object} Error
+ */
+function fromErrorRow(row) {
+  return { ...row, hash: row.hash || row.error_hash };
+}
+
+/**
+ * @param {object} span - Span from the OTLP receiver
+ * @returns {object} spans row
+ */
+function toSpanRow(span) {
+  return {
+    trace_id: span.traceId,
+    span_id: span.spanId,
+    parent_span_id: span.parentSpanId,
+    service: span.service,
+    name: span.name,
+    kind: span.kind,
+    start_time: span.startTime,
+    end_time: span.endTime,
+    duration_ms: span.durationMs,
+    status: span.status,
+    status_message: span.statusMessage,
+    attributes: span.attributes,
+    events: span.events
+  };
+}
+
+/**
+ * @param {object} row - spans row
+ * @returns {object} Span
+ */
+function fromSpanRow(row) {
+  return {
+    traceId: row.trace_id,
+    spanId: row.span_id,
+    parentSpanId: row.parent_span_id,
+    service: row.service,
+    name: row.name,
+    kind: row.kind,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    durationMs: row.duration_ms,
+    status: row.status,
+    statusMessage: row.status_message,
+    attributes: row.attributes || {},
+    events: row.events || []
+  };
+}
+
+module.exports = {
+  logMetadata,
+  fromLogRow,
+  fromErrorRow,
+  toSpanRow,
+  fromSpanRow
+};
@@ -0,0 +1,188 @@
+/**
+ * SQLite Schema Migrations
+ * Applied in order by the SqliteAdapter; the schema version is kept in
+ * PRAGMA user_version. Never edit a released migration, add a new one
+ */
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        hash TEXT NOT NULL UNIQUE,
+        timestamp TEXT NOT NULL,
+        service TEXT NOT NULL,
+        level TEXT NOT NULL,
+        message TEXT,
+        trace_id TEXT,
+        metadata TEXT,
+        duplicate_count INTEGER NOT NULL DEFAULT 1
+      );
+      CREATE INDEX idx_logs_timestamp ON logs (timestamp);
+      CREATE INDEX idx_logs_service_timestamp ON logs (service, timestamp);
+      CREATE INDEX idx_logs_level_timestamp ON logs (level, timestamp);
+      CREATE INDEX idx_logs_trace_id ON logs (trace_id);
+
+      CREATE TABLE errors (
+        error_hash TEXT PRIMARY KEY,
+        first_seen TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        service TEXT NOT NULL,
+        message TEXT,
+        stack_trace TEXT,
+        occurrence_count INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'new'
+      );
+      CREATE INDEX idx_errors_last_seen ON errors (last_seen);
+      CREATE INDEX idx_errors_service ON errors (service, last_seen);
+
+      CREATE TABLE error_resolutions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        error_hash TEXT,
+        error_message TEXT,
+        root_cause TEXT,
+        fix_applied TEXT,
+        fix_description TEXT,
+        service TEXT,
+        file_path TEXT,
+        resolution_time_seconds INTEGER,
+        was_successful INTEGER NOT NULL DEFAULT 1,
+        resolved_by TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_error_resolutions_service ON error_resolutions (service, created_at);
+
+      CREATE TABLE metrics_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        service TEXT NOT NULL,
+        cpu_percent REAL,
+        memory_percent REAL,
+        memory_usage_mb REAL,
+        memory_limit_mb REAL,
+        network_rx_bytes REAL,
+        network_tx_bytes REAL,
+        block_read_bytes REAL,
+        block_write_bytes REAL,
+        container_status TEXT
+      );
+      CREATE INDEX idx_metrics_timestamp ON metrics_history (timestamp);
+      CREATE INDEX idx_metrics_service_timestamp ON metrics_history (service, timestamp);
+
+      CREATE TABLE log_volume (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        service TEXT NOT NULL,
+        bucket_start TEXT NOT NULL,
+        bucket_ms INTEGER NOT NULL,
+        log_count INTEGER NOT NULL,
+        error_count INTEGER NOT NULL
+      );
+      CREATE INDEX idx_log_volume_bucket ON log_volume (bucket_start);
+      CREATE INDEX idx_log_volume_service_bucket ON log_volume (service, bucket_start);
+
+      CREATE TABLE anomalies (
+        id TEXT PRIMARY KEY,
+        service TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        value REAL,
+        expected REAL,
+        score REAL,
+        direction TEXT,
+        severity TEXT,
+        methods TEXT,
+        message TEXT,
+        detected_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_anomalies_detected_at ON anomalies (detected_at);
+      CREATE INDEX idx_anomalies_service_metric ON anomalies (service, metric, detected_at);
+
+      CREATE TABLE spans (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trace_id TEXT NOT NULL,
+        span_id TEXT NOT NULL,
+        parent_span_id TEXT,
+        service TEXT,
+        name TEXT,
+        kind TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        duration_ms REAL,
+        status TEXT,
+        status_message TEXT,
+        attributes TEXT,
+        events TEXT
+      );
+      CREATE INDEX idx_spans_trace_id ON spans (trace_id, start_time);
+      CREATE INDEX idx_spans_start_time ON spans (start_time);
+
+      CREATE TABLE predictions (
+        id TEXT PRIMARY KEY,
+        prediction_type TEXT NOT NULL,
+        service TEXT,
+        predicted_issue TEXT,
+        confidence REAL,
+        time_horizon TEXT,
+        based_on_data TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        status_source TEXT,
+        evidence TEXT,
+        verified_at TEXT
+      );
+      CREATE INDEX idx_predictions_status_created ON predictions (status, created_at);
+      CREATE INDEX idx_predictions_service ON predictions (service, created_at);
+
+      -- The whole incident is kept as JSON; the columns are what it is filtered and sorted by
+      CREATE TABLE incidents (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        service TEXT,
+        services TEXT NOT NULL,
+        last_seen TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_incidents_status_last_seen ON incidents (status, last_seen);
+    `
+  },
+  {
+    version: 2,
+    name: 'full-text search on log messages',
+    up: `
+      CREATE VIRTUAL TABLE logs_fts USING fts5 (message, content = 'logs', content_rowid = 'id');
+      INSERT INTO logs_fts (rowid, message) SELECT id, message FROM logs;
+
+      CREATE TRIGGER logs_fts_insert AFTER INSERT ON logs BEGIN
+        INSERT INTO logs_fts (rowid, message) VALUES (new.id, new.message);
+      END;
+      CREATE TRIGGER logs_fts_delete AFTER DELETE ON logs BEGIN
+        INSERT INTO logs_fts (logs_fts, rowid, message) VALUES ('delete', old.id, old.message);
+      END;
+      CREATE TRIGGER logs_fts_update AFTER UPDATE OF message ON logs BEGIN
+        INSERT INTO logs_fts (logs_fts, rowid, message) VALUES ('delete', old.id, old.message);
+        INSERT INTO logs_fts (rowid, message) VALUES (new.id, new.message);
+      END;
+    `
+  },
+  {
+    version: 3,
+    name: 'hourly and daily rollups',
+    up: `
+      -- Additive counters: count, sum and max of what was seen in the bucket
+      CREATE TABLE rollups (
+        resolution TEXT NOT NULL,
+        bucket_start TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        service TEXT NOT NULL,
+        key TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        sum REAL,
+        max REAL,
+        PRIMARY KEY (resolution, bucket_start, kind, service, key)
+      );
+      CREATE INDEX idx_rollups_kind_bucket ON rollups (kind, resolution, bucket_start);
+    `
+  }
+];
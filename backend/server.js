@@ -13,6 +13,8 @@ const cors = require('cors');
 
 // Import collectors and agents
 const LogCollector = require('./collectors/LogCollector');
+const HttpIngest = require('./collectors/HttpIngest');
+const OtlpReceiver = require('./collectors/OtlpReceiver');
 const CorrelatorAgent = require('./agents/CorrelatorAgent');
 const AnalyzerAgent = require('./agents/AnalyzerAgent');
 const CodeLocatorAgent = require('./agents/CodeLocatorAgent');
@@ -20,6 +22,18 @@ const FixGeneratorAgent = require('./agents/FixGeneratorAgent');
 const CodeFixAgent = require('./agents/CodeFixAgent');
 const MonitorAgent = require('./agents/MonitorAgent');
 const ServiceDiscovery = require('./services/ServiceDiscovery');
+const KubernetesClient = require('./services/KubernetesClient');
+const DependencyGraph = require('./services/DependencyGraph');
+const AnalysisQueue = require('./services/AnalysisQueue');
+const IncidentClusterer = require('./services/IncidentClusterer');
+const AlertEngine = require('./services/alerts/AlertEngine');
+const AnomalyDetector = require('./services/AnomalyDetector');
+const Forecaster = require('./services/forecasting/Forecaster');
+const PredictionTracker = require('./services/forecasting/PredictionTracker');
+const RetentionScheduler = require('./services/RetentionScheduler');
+const SavedSearches = require('./services/SavedSearches');
+const LiveTail = require('./services/LiveTail');
+const LLMManager = require('./services/llm/LLMManager');
 const servicesConfig = require('./config/services.config');
 
 // Import new services
@@ -29,7 +43,9 @@ const logDatabase = require('./database/LogDatabase');
 // Configuration
 const PORT = process.env.PORT || 4000;
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
+
+// Kubernetes API client (only contacted in 'kubernetes' discovery mode)
+const kubernetesClient = new KubernetesClient(servicesConfig.kubernetes);
 
 // Dynamic service discovery configuration
 const discoveryConfig = {
@@ -38,7 +54,10 @@ const discoveryConfig = {
   servicePatterns: servicesConfig.servicePatterns,
   excludePatterns: servicesConfig.autoDiscovery.excludePatterns,
   requiredLabels: servicesConfig.autoDiscovery.requiredLabels,
-  refreshInterval: servicesConfig.autoDiscovery.refreshInterval
+  refreshInterval: servicesConfig.autoDiscovery.refreshInterval,
+  kubernetesClient,
+  namespaces: servicesConfig.kubernetes.namespaces,
+  labelSelector: servicesConfig.kubernetes.labelSelector
 };
 
 // Initialize Express app
@@ -59,6 +78,49 @@ app.use(cors({
   origin: [FRONTEND_URL, 'http://localhost:5173', 'http://127.0.0.1:5173'],
   credentials: true
 }));
+
+// Ingestion authenticates before reading the body and takes raw JSON/NDJSON up to its own size limit
+app.use('/api/ingest', (req, res, next) => {
+  if (!httpIngest.isEnabled()) {
+    return res.status(503).json({ error: 'HTTP ingestion is disabled (set INGEST_API_KEYS)' });
+  }
+
+  req.ingestSource = httpIngest.authenticate(req.headers);
+  if (!req.ingestSource) {
+    return res.status(401).json({ error: 'Missing or invalid API key' });
+  }
+
+  ingestBodyParser(req, res, (err) => {
+    if (err) {
+      const message = err.type === 'entity.too.large'
+        ? `Payload exceeds ${servicesConfig.ingest.maxBodySize}`
+        : err.message;
+      return res.status(err.status || 400).json({ error: message });
+    }
+    next();
+  });
+});
+
+// OTLP/HTTP exporters send protobuf or JSON, often gzipped (raw() inflates it)
+app.use(['/v1/logs', '/v1/traces'], (req, res, next) => {
+  if (!servicesConfig.otlp.enabled) {
+    return res.status(404).json({ error: 'OTLP receiver is disabled' });
+  }
+
+  if (servicesConfig.otlp.requireApiKey && !httpIngest.authenticate(req.headers)) {
+    return res.status(401).json({ error: 'Missing or invalid API key' });
+  }
+
+  otlpBodyParser(req, res, (err) => {
+    if (err) {
+      const message = err.type === 'entity.too.large'
+        ? `Payload exceeds ${servicesConfig.otlp.maxBodySize}`
+        : err.message;
+      return res.status(err.status || 400).json({ error: message });
+    }
+    next();
+  });
+});
 app.use(express.json());
 
 // Initialize agents
@@ -69,23 +131,107 @@ const serviceDiscovery = new ServiceDiscovery(discoveryConfig);
 
 const logCollector = new LogCollector({
   services: [], // Will be populated by service discovery
-  bufferSize: 1000
+  bufferSize: 1000,
+  dockerConfig: servicesConfig.docker,
+  kubernetesClient,
+  kubernetesTailLines: servicesConfig.kubernetes.tailLines,
+  resolveService: (name) => serviceDiscovery.getService(name),
+  fileSources: servicesConfig.fileSources,
+  syslog: servicesConfig.syslog
+});
+
+const httpIngest = new HttpIngest({
+  collector: logCollector,
+  apiKeys: servicesConfig.ingest.apiKeys,
+  maxEvents: servicesConfig.ingest.maxEvents,
+  maxMessageLength: servicesConfig.ingest.maxMessageLength
+});
+const ingestBodyParser = express.raw({ type: () => true, limit: servicesConfig.ingest.maxBodySize });
+
+const dependencyGraph = new DependencyGraph({
+  persistPath: servicesConfig.topology.persistPath,
+  errorWindowMs: servicesConfig.topology.errorWindowMs,
+  minEdgeWeight: servicesConfig.topology.minEdgeWeight,
+  extractIds: (log) => correlatorAgent.extractCorrelationIds(log)
+});
+
+const incidentClusterer = new IncidentClusterer({
+  database: logDatabase,
+  windowMs: servicesConfig.incidents.clusterWindowMs,
+  idTtlMs: servicesConfig.incidents.correlationTtlMs,
+  extractIds: (log) => correlatorAgent.extractCorrelationIds(log)
+});
+
+const otlpReceiver = new OtlpReceiver({
+  collector: logCollector,
+  spanStore: logDatabase,
+  dependencyGraph
 });
+const otlpBodyParser = express.raw({ type: () => true, limit: servicesConfig.otlp.maxBodySize });
 
 const correlatorAgent = new CorrelatorAgent({
-  timeWindowMs: 30000
+  timeWindowMs: 30000,
+  spanStore: logDatabase,
+  dependencyGraph
 });
 
-const analyzerAgent = new AnalyzerAgent(GEMINI_API_KEY);
-const codeLocatorAgent = new CodeLocatorAgent(GEMINI_API_KEY);
-const fixGeneratorAgent = new FixGeneratorAgent(GEMINI_API_KEY);
-const codeFixAgent = new CodeFixAgent(GEMINI_API_KEY);
+const llmManager = new LLMManager(servicesConfig.llm);
+
+const analyzerAgent = new AnalyzerAgent(llmManager);
+const codeLocatorAgent = new CodeLocatorAgent(llmManager);
+const fixGeneratorAgent = new FixGeneratorAgent(llmManager);
+const codeFixAgent = new CodeFixAgent(llmManager);
 
 const monitorAgent = new MonitorAgent({
   services: [], // Will be populated by service discovery
   pollInterval: 5000
 });
 
+const alertEngine = new AlertEngine({
+  ...servicesConfig.alerts,
+  criticalResources: (metrics) => monitorAgent.getCriticalResources(metrics)
+});
+
+const anomalyDetector = new AnomalyDetector({
+  ...servicesConfig.anomalies,
+  database: logDatabase
+});
+anomalyDetector.start();
+
+const forecaster = new Forecaster({
+  ...servicesConfig.forecasting,
+  database: logDatabase,
+  thresholds: MonitorAgent.THRESHOLDS
+});
+forecaster.start();
+
+const predictionTracker = new PredictionTracker({
+  ...servicesConfig.predictions,
+  database: logDatabase,
+  thresholds: MonitorAgent.THRESHOLDS
+});
+predictionTracker.start();
+
+const retentionScheduler = new RetentionScheduler({
+  ...servicesConfig.retention,
+  database: logDatabase
+});
+retentionScheduler.start();
+
+const savedSearches = new SavedSearches(servicesConfig.search);
+
+const liveTail = new LiveTail({
+  ...servicesConfig.liveTail,
+  io,
+  getRecentLogs: (count) => logCollector.getRecentLogs(count)
+});
+liveTail.start();
+
+// docker stats only works for containers, so Kubernetes targets are not polled
+function monitorableNames(services) {
+  return services.filter(s => s.platform !== 'kubernetes').map(s => s.name);
+}
+
 // Service discovery event handlers
 serviceDiscovery.on('services-added', (services) => {
   const names = services.map(s => s.name);
@@ -93,7 +239,7 @@ serviceDiscovery.on('services-added', (services) => {
 
   // Update collectors with new services
   logCollector.services = [...logCollector.services, ...names];
-  monitorAgent.services = [...monitorAgent.services, ...names];
+  monitorAgent.services = [...monitorAgent.services, ...monitorableNames(services)];
 
   // Start streaming logs for new services
   for (const name of names) {
@@ -116,6 +262,10 @@ serviceDiscovery.on('services-removed', (services) => {
   logCollector.services = logCollector.services.filter(s => !names.includes(s));
   monitorAgent.services = monitorAgent.services.filter(s => !names.includes(s));
 
+  for (const name of names) {
+    logCollector.stopContainer(name);
+  }
+
   // Notify connected clients
   io.emit('services-updated', {
     action: 'removed',
@@ -129,43 +279,37 @@ serviceDiscovery.on('discovery-complete', (services) => {
 });
 
 // State management
-let currentAnalysis = null;
-let isAnalyzing = false;
-let analysisLocked = false;  // When true, don't allow new analysis until user dismisses
 let connectedClients = 0;
 
-// Log batching for WebSocket
-let logBatch = [];
-const LOG_BATCH_INTERVAL = 100; // ms
-
-// Batch log emissions
-setInterval(() => {
-  if (logBatch.length > 0 && connectedClients > 0) {
-    io.emit('logs-batch', logBatch);
-    logBatch = [];
-  }
-}, LOG_BATCH_INTERVAL);
-
 // LogCollector event handlers
 logCollector.on('log', (log) => {
-  logBatch.push(log);
-
-  // Persist to database (non-blocking)
-  try {
-    const isNew = logDatabase.insertLog(log);
-    if (isNew && ['ERROR', 'CRITICAL'].includes(log.level)) {
-      // Track error for correlation
-      logDatabase.trackError(log);
-    }
-  } catch (err) {
-    // Don't let database errors affect log streaming
-    console.error('[Server] Database insert error:', err.message);
-  }
+  liveTail.push(log);
+  dependencyGraph.observe(log);
+  anomalyDetector.observeLog(log);
+
+  // Persist to database (non-blocking); errors are tracked on every occurrence so they are counted
+  logDatabase.insertLog(log)
+    .then(() => (['ERROR', 'CRITICAL'].includes(log.level) ? logDatabase.trackError(log) : null))
+    .catch(error => reportStorageError('insert log', error));
 });
 
+// Last failure per storage action, so a database that is down is reported once instead of for every log line
+const storageFailures = new Map();
+
+function reportStorageError(action, error) {
+  if (storageFailures.get(action) === error.message) return;
+  storageFailures.set(action, error.message);
+  console.error(`[Server] Database ${action} failed:`, error.message);
+}
+
 logCollector.on('error-detected', async (errorLog) => {
   console.log('[Server] Error detected:', errorLog.message.substring(0, 100));
 
+  alertEngine.observeError(errorLog, logDatabase.errorFingerprint(errorLog));
+
+  // Group into an incident first so clients can tell a new incident from another occurrence
+  const cluster = await incidentClusterer.add(errorLog);
+
   // Emit error notification only - NO auto-analysis
   // User must click on error to trigger analysis
   io.emit('error-detected', {
@@ -173,10 +317,17 @@ logCollector.on('error-detected', async (errorLog) => {
     service: errorLog.service,
     message: errorLog.message,
     timestamp: errorLog.timestamp,
-    level: errorLog.level
+    level: errorLog.level,
+    stackTrace: errorLog.stackTrace || null,
+    incidentId: cluster?.incident.id || null,
+    newIncident: cluster ? cluster.created : true
   });
 });
 
+incidentClusterer.on('incident-updated', (incident) => {
+  io.emit('incident-updated', incident);
+});
+
 logCollector.on('stream-error', ({ container, error }) => {
   console.error(`[Server] Stream error for ${container}:`, error);
   io.emit('stream-error', { container, error });
@@ -184,108 +335,231 @@ logCollector.on('stream-error', ({ container, error }) => {
 
 // Monitor event handling
 monitorAgent.startMonitoring((metrics) => {
+  alertEngine.observeMetrics(metrics);
+  anomalyDetector.observeMetrics(metrics);
+  predictionTracker.observeMetrics(metrics)
+    .catch(error => console.error('[Server] Prediction event check failed:', error.message));
+
   if (connectedClients > 0) {
     io.emit('metrics-update', metrics);
   }
 });
 
-/**
- * Perform full error analysis pipeline
- * @param {object} errorLog - Error log entry
- * @param {boolean} force - Force analysis even if locked (when user explicitly clicks)
- */
-async function performAnalysis(errorLog, force = false) {
-  // Check if analysis is locked (user hasn't dismissed previous analysis)
-  if (analysisLocked && !force) {
-    console.log('[Server] Analysis locked - user must dismiss current analysis first');
-    io.emit('analysis-blocked', {
-      reason: 'Please dismiss or resolve the current analysis before analyzing a new error'
-    });
-    return null;
-  }
-
-  if (isAnalyzing) {
-    console.log('[Server] Analysis already in progress');
-    return null;
-  }
+logDatabase.on('prediction-stored', (prediction) => {
+  alertEngine.observePrediction(prediction);
+});
 
-  isAnalyzing = true;
-  analysisLocked = true;  // Lock immediately when starting
-  io.emit('analysis-started', { errorId: errorLog.id });
+anomalyDetector.on('anomaly-detected', (anomaly) => {
+  console.log(`[Server] Anomaly: ${anomaly.message}`);
+  io.emit('anomaly-detected', anomaly);
+  predictionTracker.observeAnomaly(anomaly)
+    .catch(error => console.error('[Server] Prediction event check failed:', error.message));
+});
 
-  try {
-    console.log('[Server] Starting analysis pipeline...');
+forecaster.on('prediction-created', (prediction) => {
+  io.emit('prediction-created', prediction);
+});
 
-    // Step 1: Correlate logs
-    const allLogs = logCollector.getRecentLogs(200);
-    const correlatedData = correlatorAgent.findRelatedLogs(errorLog, allLogs);
+predictionTracker.on('prediction-verified', (result) => {
+  console.log(`[Server] Prediction ${result.type} for ${result.service}: ${result.status} (${result.source})`);
+  forecaster.recordOutcome(result.prediction, result.status, result.previousStatus);
+  io.emit('prediction-verified', result);
+});
 
-    io.emit('correlation-complete', {
-      errorId: errorLog.id,
-      affectedServices: correlatedData.affectedServices,
-      logCount: correlatedData.totalRelatedLogs
-    });
+alertEngine.on('alert-fired', (alert) => {
+  console.log(`[Server] Alert "${alert.ruleName}" fired: ${alert.title}`);
+  io.emit('alert-fired', alert);
+});
 
-    // Step 2: AI Analysis
-    const analysis = await analyzerAgent.analyzeError(correlatedData);
+/**
+ * Full error analysis pipeline for one queued job
+ * @param {object} job - Analysis job (job.errorLog is the error to analyze)
+ * @param {object} context - Queue context: progress(step, message, percent), signal (aborted on
+ *   cancel, which also aborts the LLM requests) and throwIfCancelled()
+ * @returns {Promise<object>} Analysis result
+ */
+async function runAnalysis(job, { progress, signal, throwIfCancelled }) {
+  const { errorLog } = job;
+  console.log(`[Server] Starting analysis pipeline for ${job.id}...`);
+
+  // Step 1: Correlate logs
+  const allLogs = logCollector.getRecentLogs(200);
+  const correlatedData = await correlatorAgent.findRelatedLogs(errorLog, allLogs);
+
+  io.to(analysisRoom(job.id)).emit('correlation-complete', {
+    jobId: job.id,
+    errorId: errorLog.id,
+    affectedServices: correlatedData.affectedServices,
+    logCount: correlatedData.totalRelatedLogs,
+    strategy: correlatedData.strategy,
+    confidence: correlatedData.confidence
+  });
+  progress('correlation', `Found ${correlatedData.totalRelatedLogs} related logs`, 25);
+  throwIfCancelled();
+
+  // Step 2: AI Analysis
+  const analysis = await analyzerAgent.analyzeError(correlatedData, { signal });
+  throwIfCancelled();
+  progress('analysis', 'Root cause identified', 70);
+
+  // Step 3: Locate code
+  const codeLocation = await codeLocatorAgent.locateCode(
+    analysis,
+    analysis.originService,
+    { signal }
+  );
+  throwIfCancelled();
+  progress('location', 'Code location identified', 95);
+
+  const result = {
+    id: errorLog.id,
+    jobId: job.id,
+    timestamp: new Date().toISOString(),
+    errorLog: errorLog,
+    correlation: correlatedData,
+    analysis: analysis,
+    codeLocation: codeLocation
+  };
 
-    io.emit('analysis-progress', {
-      step: 'analysis',
-      message: 'Root cause identified'
-    });
+  const incident = await recordAnalysisIncident(result);
+  result.incidentId = incident?.id || null;
 
-    // Step 3: Locate code
-    const codeLocation = await codeLocatorAgent.locateCode(
-      analysis,
-      analysis.originService
-    );
+  return result;
+}
 
-    io.emit('analysis-progress', {
-      step: 'location',
-      message: 'Code location identified'
-    });
+/**
+ * File an analysis under the incident of its error, opening one when the error has none yet
+ * @param {object} result - Analysis result
+ * @returns {Promise<object|null>} Incident (null if it could not be recorded)
+ */
+async function recordAnalysisIncident(result) {
+  const { errorLog, analysis } = result;
+  const errorHash = logDatabase.errorFingerprint(errorLog);
 
-    // Combine results
-    currentAnalysis = {
-      id: errorLog.id,
-      timestamp: new Date().toISOString(),
-      errorLog: errorLog,
-      correlation: correlatedData,
-      analysis: analysis,
-      codeLocation: codeLocation
-    };
+  try {
+    let incident = await logDatabase.findIncidentByErrorHash(errorHash);
+    if (!incident) {
+      incident = await logDatabase.createIncident({
+        title: analysis?.rootCause || errorLog.message,
+        severity: (analysis?.severity || 'MEDIUM').toLowerCase(),
+        service: analysis?.originService || errorLog.service,
+        firstSeenService: errorLog.service,
+        services: [errorLog.service],
+        errorHashes: [errorHash],
+        errorCount: 1,
+        firstSeen: errorLog.timestamp,
+        lastSeen: errorLog.timestamp,
+        lastErrorId: errorLog.id
+      });
+    }
 
-    // Emit complete analysis - analysis stays LOCKED until user dismisses
-    io.emit('analysis-complete', currentAnalysis);
+    incident = await logDatabase.linkAnalysisToIncident(incident.id, result);
+    if (incident.status === 'open') {
+      incident = await logDatabase.transitionIncident(incident.id, 'investigating', 'Root cause analysis completed');
+    }
+    return incident;
+  } catch (error) {
+    console.error('[Server] Failed to record incident:', error.message);
+    return null;
+  }
+}
 
-    console.log('[Server] Analysis complete for:', errorLog.id);
-    console.log('[Server] Analysis is now LOCKED until user dismisses');
+/**
+ * Record a fix, modification or resolution on an incident. Failures are logged, never thrown,
+ * so incident bookkeeping cannot break the action itself
+ * @param {string} incidentId - Incident ID (nothing is recorded when unset)
+ * @param {string} kind - fix, modification or resolution
+ * @param {object} item - What to record
+ * @param {object} options - { mitigate: move an open or investigating incident to mitigated }
+ */
+async function linkIncident(incidentId, kind, item, { mitigate = false } = {}) {
+  if (!incidentId) return;
 
-    return currentAnalysis;
+  try {
+    const incident = await logDatabase.linkToIncident(incidentId, kind, item);
+    if (mitigate && ['open', 'investigating'].includes(incident.status)) {
+      await logDatabase.transitionIncident(incidentId, 'mitigated', `${kind === 'resolution' ? 'Resolution' : 'Fix'} applied`);
+    }
   } catch (error) {
-    console.error('[Server] Analysis failed:', error.message);
-    analysisLocked = false;  // Unlock on error so user can try again
+    console.error(`[Server] Failed to link ${kind} to incident ${incidentId}:`, error.message);
+  }
+}
 
-    io.emit('analysis-error', {
-      errorId: errorLog.id,
-      error: error.message
-    });
+/**
+ * Summary of a generated fix kept on its incident
+ * @param {object} fix - Fix from FixGeneratorAgent or CodeFixAgent
+ * @param {string} type - generated or targeted
+ * @param {string} jobId - Analysis job the fix was generated from
+ * @returns {object} Fix summary
+ */
+function summarizeFix(fix, type, jobId) {
+  return {
+    type,
+    jobId,
+    fileName: fix.fileName || null,
+    filePath: fix.filePath || null,
+    explanation: fix.explanation || null,
+    confidence: fix.confidence || null,
+    outputSource: fix.outputSource || null
+  };
+}
 
-    return null;
-  } finally {
-    isAnalyzing = false;
-  }
+/**
+ * Socket.io room of the clients following an analysis job
+ * @param {string} jobId - Job ID
+ * @returns {string} Room name
+ */
+function analysisRoom(jobId) {
+  return `analysis:${jobId}`;
 }
 
 /**
- * Unlock analysis - called when user dismisses the panel
+ * Result of a completed analysis job
+ * @param {string} jobId - Job ID (latest completed job when omitted)
+ * @returns {object|null} Analysis result
  */
-function unlockAnalysis() {
-  console.log('[Server] Analysis unlocked');
-  analysisLocked = false;
-  currentAnalysis = null;
+function getAnalysisResult(jobId) {
+  const job = jobId ? analysisQueue.getJob(jobId) : analysisQueue.getLatestCompleted();
+  return job && job.status === 'completed' ? job.result : null;
 }
 
+const analysisQueue = new AnalysisQueue({
+  ...servicesConfig.analysis,
+  run: runAnalysis
+});
+
+// Job events go to the clients following the job; queue counters go to everyone
+analysisQueue.on('job-queued', ({ job, position }) => {
+  io.emit('analysis-queue-updated', analysisQueue.getStatus());
+  console.log(`[Server] Analysis ${job.id} queued for ${job.errorId} (position ${position})`);
+});
+
+analysisQueue.on('job-started', (job) => {
+  io.to(analysisRoom(job.id)).emit('analysis-started', { jobId: job.id, errorId: job.errorId });
+  io.emit('analysis-queue-updated', analysisQueue.getStatus());
+});
+
+analysisQueue.on('job-progress', (progress) => {
+  io.to(analysisRoom(progress.jobId)).emit('analysis-progress', progress);
+});
+
+analysisQueue.on('job-completed', (job) => {
+  io.to(analysisRoom(job.id)).emit('analysis-complete', job.result);
+  io.emit('analysis-queue-updated', analysisQueue.getStatus());
+  console.log('[Server] Analysis complete for:', job.errorId);
+});
+
+analysisQueue.on('job-failed', (job) => {
+  console.error(`[Server] Analysis ${job.id} failed:`, job.error);
+  io.to(analysisRoom(job.id)).emit('analysis-error', { jobId: job.id, errorId: job.errorId, error: job.error });
+  io.emit('analysis-queue-updated', analysisQueue.getStatus());
+});
+
+analysisQueue.on('job-cancelled', (job) => {
+  io.to(analysisRoom(job.id)).emit('analysis-cancelled', { jobId: job.id, errorId: job.errorId });
+  io.emit('analysis-queue-updated', analysisQueue.getStatus());
+});
+
 // REST API Endpoints
 
 // Health check
@@ -308,6 +582,106 @@ app.get('/api/logs', (req, res) => {
   res.json(logs);
 });
 
+// Live tail subscriptions and clients that fell behind
+app.get('/api/live-tail', (req, res) => {
+  res.json(liveTail.getStatus());
+});
+
+// Ingest pushed log events (JSON array or NDJSON); responds per event so shippers retry only rejects
+app.post('/api/ingest', (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body.toString('utf-8') : '';
+    const result = httpIngest.ingest(body, req.headers['content-type'], req.ingestSource);
+
+    // 207: some events were rejected, 400: none were accepted
+    const status = result.rejected === 0 ? 200 : (result.accepted > 0 ? 207 : 400);
+    res.status(status).json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// OTLP/HTTP log export
+app.post('/v1/logs', (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const response = otlpReceiver.receiveLogs(body, req.headers['content-type']);
+    res.status(200).type(response.contentType).send(response.body);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// OTLP/HTTP trace export
+app.post('/v1/traces', async (req, res) => {
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const response = await otlpReceiver.receiveTraces(body, req.headers['content-type']);
+    res.status(200).type(response.contentType).send(response.body);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get the spans and logs of a trace
+app.get('/api/traces/:traceId', async (req, res) => {
+  try {
+    const traceId = req.params.traceId.toLowerCase();
+    const spans = await logDatabase.getTrace(traceId);
+    const logs = logCollector.getRecentLogs(logCollector.bufferSize).filter(log => log.traceId === traceId);
+
+    if (spans.length === 0 && logs.length === 0) {
+      return res.status(404).json({ error: 'Trace not found' });
+    }
+
+    res.json({
+      traceId,
+      summary: spans.length > 0 ? correlatorAgent.summarizeTrace(traceId, spans) : null,
+      spans,
+      logs
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get LLM providers, per-agent assignments and token usage
+app.get('/api/llm/config', (req, res) => {
+  res.json(llmManager.getConfig());
+});
+
+// Change the provider/model an agent uses
+app.put('/api/llm/agents/:agent', (req, res) => {
+  try {
+    const { provider, model } = req.body;
+    const assignment = llmManager.setAssignment(req.params.agent, { provider, model });
+    console.log(`[Server] ${req.params.agent} now uses ${assignment.provider || 'no provider'}${assignment.model ? `/${assignment.model}` : ''}`);
+    res.json({ success: true, agent: req.params.agent, ...assignment });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get the service dependency graph learned from traffic
+app.get('/api/topology', (req, res) => {
+  try {
+    const minWeight = req.query.minWeight !== undefined ? parseFloat(req.query.minWeight) : undefined;
+    if (minWeight !== undefined && isNaN(minWeight)) {
+      return res.status(400).json({ error: 'minWeight must be a number' });
+    }
+
+    res.json(dependencyGraph.getTopology({ minWeight }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Forget the learned topology
+app.delete('/api/topology', (req, res) => {
+  dependencyGraph.reset();
+  res.json({ success: true });
+});
+
 // Get error logs only (MUST be before :service route to avoid matching "errors" as a service name)
 app.get('/api/logs/errors', (req, res) => {
   const errors = logCollector.getErrorLogs();
@@ -359,27 +733,54 @@ app.post('/api/analyze-error', async (req, res) => {
     return res.status(404).json({ error: 'No error log found to analyze' });
   }
 
+  const job = analysisQueue.enqueue(errorLog);
+  res.status(202).json({
+    jobId: job.id,
+    errorId: job.errorId,
+    status: job.status,
+    position: analysisQueue.getPosition(job.id)
+  });
+});
+
+// List analysis jobs (newest first, without results)
+app.get('/api/analysis/jobs', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  res.json({
+    jobs: analysisQueue.listJobs({ status: req.query.status || null, limit }),
+    queue: analysisQueue.getStatus()
+  });
+});
+
+// Get one analysis job, including its result once completed
+app.get('/api/analysis/jobs/:jobId', (req, res) => {
+  const job = analysisQueue.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Analysis job ${req.params.jobId} not found` });
+  }
+  res.json({ ...analysisQueue.summarize(job), result: job.result });
+});
+
+// Cancel a queued or running analysis job
+app.delete('/api/analysis/jobs/:jobId', (req, res) => {
   try {
-    const result = await performAnalysis(errorLog);
-    if (result) {
-      res.json(result);
-    } else {
-      res.status(500).json({ error: 'Analysis failed' });
-    }
+    const job = analysisQueue.cancel(req.params.jobId);
+    res.json(analysisQueue.summarize(job));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Generate code fix
 app.post('/api/generate-fix', async (req, res) => {
+  const currentAnalysis = getAnalysisResult(req.body?.jobId);
   if (!currentAnalysis) {
     return res.status(400).json({ error: 'No analysis available. Analyze an error first.' });
   }
 
   try {
-    io.emit('fix-generation-started', {
-      analysisId: currentAnalysis.id
+    io.to(analysisRoom(currentAnalysis.jobId)).emit('fix-generation-started', {
+      analysisId: currentAnalysis.id,
+      jobId: currentAnalysis.jobId
     });
 
     const fix = await fixGeneratorAgent.generateFix(
@@ -387,7 +788,8 @@ app.post('/api/generate-fix', async (req, res) => {
       currentAnalysis.analysis
     );
 
-    io.emit('fix-generated', fix);
+    io.to(analysisRoom(currentAnalysis.jobId)).emit('fix-generated', { ...fix, jobId: currentAnalysis.jobId });
+    await linkIncident(currentAnalysis.incidentId, 'fix', summarizeFix(fix, 'generated', currentAnalysis.jobId));
 
     res.json(fix);
   } catch (error) {
@@ -398,14 +800,16 @@ app.post('/api/generate-fix', async (req, res) => {
 
 // Generate targeted fix by reading actual source code
 app.post('/api/generate-targeted-fix', async (req, res) => {
+  const currentAnalysis = getAnalysisResult(req.body?.jobId);
   if (!currentAnalysis) {
     return res.status(400).json({ error: 'No analysis available. Analyze an error first.' });
   }
 
   try {
     console.log('[Server] Generating targeted fix...');
-    io.emit('fix-generation-started', {
+    io.to(analysisRoom(currentAnalysis.jobId)).emit('fix-generation-started', {
       analysisId: currentAnalysis.id,
+      jobId: currentAnalysis.jobId,
       type: 'targeted'
     });
 
@@ -418,10 +822,12 @@ app.post('/api/generate-targeted-fix', async (req, res) => {
         confidence: fix.confidence
       });
 
-      io.emit('targeted-fix-generated', {
+      io.to(analysisRoom(currentAnalysis.jobId)).emit('targeted-fix-generated', {
         ...fix,
-        analysisId: currentAnalysis.id
+        analysisId: currentAnalysis.id,
+        jobId: currentAnalysis.jobId
       });
+      await linkIncident(currentAnalysis.incidentId, 'fix', summarizeFix(fix, 'targeted', currentAnalysis.jobId));
 
       res.json(fix);
     } else {
@@ -439,7 +845,7 @@ app.post('/api/generate-targeted-fix', async (req, res) => {
 
 // Apply targeted fix to source code
 app.post('/api/apply-targeted-fix', async (req, res) => {
-  const { filePath, oldCode, newCode } = req.body;
+  const { filePath, oldCode, newCode, incidentId } = req.body;
 
   if (!filePath || !oldCode || !newCode) {
     return res.status(400).json({
@@ -458,6 +864,11 @@ app.post('/api/apply-targeted-fix', async (req, res) => {
         backup: result.backup,
         timestamp: new Date().toISOString()
       });
+      await linkIncident(incidentId, 'modification', {
+        type: 'targeted-fix',
+        filePath,
+        backup: result.backup
+      }, { mitigate: true });
 
       res.json({
         success: true,
@@ -476,8 +887,9 @@ app.post('/api/apply-targeted-fix', async (req, res) => {
   }
 });
 
-// Get current analysis
+// Get the latest completed analysis
 app.get('/api/analysis', (req, res) => {
+  const currentAnalysis = getAnalysisResult();
   if (currentAnalysis) {
     res.json(currentAnalysis);
   } else {
@@ -491,12 +903,7 @@ app.get('/api/status', (req, res) => {
     logCollector: logCollector.getStatus(),
     monitoring: monitorAgent.isMonitoring,
     connectedClients,
-    currentAnalysis: currentAnalysis ? {
-      id: currentAnalysis.id,
-      timestamp: currentAnalysis.timestamp
-    } : null,
-    isAnalyzing,
-    analysisLocked  // Shows if analysis is locked (waiting for user to dismiss)
+    analysisQueue: analysisQueue.getStatus()
   });
 });
 
@@ -505,19 +912,37 @@ io.on('connection', (socket) => {
   connectedClients++;
   console.log(`[Server] Client connected. Total: ${connectedClients}`);
 
+  liveTail.addClient(socket);
+
   // Send current state to new client
   socket.emit('initial-state', {
     logs: logCollector.getRecentLogs(50),
-    currentAnalysis,
     status: {
-      isAnalyzing,
+      analysisQueue: analysisQueue.getStatus(),
       services: serviceDiscovery.getServiceNames()
     }
   });
 
   // Handle client requests
   socket.on('request-logs', (count) => {
-    socket.emit('logs-batch', logCollector.getRecentLogs(count || 100));
+    socket.emit('logs-batch', liveTail.recentLogsFor(socket, count || 100));
+  });
+
+  // Tail only the logs matching a filter ({ services, minLevel, levels, query });
+  // the ack callback receives the buffered logs that match it
+  socket.on('subscribe-logs', (filter, ack) => {
+    try {
+      const subscription = liveTail.subscribe(socket, filter);
+      if (typeof ack === 'function') ack(subscription);
+    } catch (error) {
+      if (typeof ack === 'function') ack({ error: error.message, position: error.position });
+    }
+  });
+
+  // Back to every log
+  socket.on('unsubscribe-logs', (ack) => {
+    const subscription = liveTail.subscribe(socket, {});
+    if (typeof ack === 'function') ack(subscription);
   });
 
   socket.on('request-metrics', async () => {
@@ -529,34 +954,52 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('trigger-analysis', async (errorId) => {
+  // Queue an analysis and follow it; the ack callback receives the job ID
+  socket.on('trigger-analysis', (errorId, ack) => {
     console.log('[Server] Analysis triggered by user for:', errorId || 'latest error');
 
-    // User explicitly clicked, so force=true to override lock
     const logs = logCollector.getRecentLogs(500);
     const errorLog = logs.find(log => log.id === errorId) ||
       logs.find(log => ['ERROR', 'CRITICAL'].includes(log.level));
 
-    if (errorLog) {
-      console.log('[Server] Found error log:', errorLog.message.substring(0, 50));
-      // Force=true because user explicitly requested this analysis
-      await performAnalysis(errorLog, true);
-    } else {
+    if (!errorLog) {
       console.log('[Server] No error log found, total logs:', logs.length);
-      io.emit('analysis-error', { errorId: null, error: 'No error logs found to analyze' });
+      socket.emit('analysis-error', { jobId: null, errorId: null, error: 'No error logs found to analyze' });
+      if (typeof ack === 'function') ack({ error: 'No error logs found to analyze' });
+      return;
     }
+
+    console.log('[Server] Found error log:', errorLog.message.substring(0, 50));
+    const job = analysisQueue.enqueue(errorLog, { requestedBy: socket.id });
+    socket.join(analysisRoom(job.id));
+
+    const queued = {
+      jobId: job.id,
+      errorId: job.errorId,
+      status: job.status,
+      position: analysisQueue.getPosition(job.id)
+    };
+    if (typeof ack === 'function') ack(queued);
+    socket.emit('analysis-queued', queued);
+  });
+
+  // Stop following a job (the analysis panel was closed)
+  socket.on('dismiss-analysis', (jobId) => {
+    if (jobId) socket.leave(analysisRoom(jobId));
   });
 
-  // User dismissed the analysis panel - unlock for new analysis
-  socket.on('dismiss-analysis', () => {
-    console.log('[Server] User dismissed analysis');
-    unlockAnalysis();
-    io.emit('analysis-dismissed');
+  socket.on('cancel-analysis', (jobId) => {
+    try {
+      analysisQueue.cancel(jobId);
+    } catch (error) {
+      socket.emit('analysis-error', { jobId, error: error.message });
+    }
   });
 
-  socket.on('generate-fix', async () => {
+  socket.on('generate-fix', async (options = {}) => {
     console.log('[Server] Generate fix requested');
 
+    const currentAnalysis = getAnalysisResult(options?.jobId);
     if (!currentAnalysis) {
       console.log('[Server] No current analysis for fix generation');
       socket.emit('fix-error', { error: 'No analysis available. Analyze an error first.' });
@@ -564,7 +1007,7 @@ io.on('connection', (socket) => {
     }
 
     try {
-      io.emit('fix-generation-started', { analysisId: currentAnalysis.id });
+      socket.emit('fix-generation-started', { analysisId: currentAnalysis.id, jobId: currentAnalysis.jobId });
 
       console.log('[Server] Generating fix for:', currentAnalysis.analysis?.originService);
       const fix = await fixGeneratorAgent.generateFix(
@@ -573,7 +1016,8 @@ io.on('connection', (socket) => {
       );
 
       console.log('[Server] Fix generated successfully');
-      io.emit('fix-generated', fix);
+      socket.emit('fix-generated', { ...fix, jobId: currentAnalysis.jobId });
+      await linkIncident(currentAnalysis.incidentId, 'fix', summarizeFix(fix, 'generated', currentAnalysis.jobId));
     } catch (error) {
       console.error('[Server] Fix generation failed:', error.message);
       socket.emit('fix-error', { error: error.message });
@@ -581,6 +1025,7 @@ io.on('connection', (socket) => {
   });
 
   socket.on('disconnect', () => {
+    liveTail.removeClient(socket);
     connectedClients--;
     console.log(`[Server] Client disconnected. Total: ${connectedClients}`);
   });
@@ -598,7 +1043,7 @@ async function startLogCollection() {
     if (services.length > 0) {
       console.log('[Server] Discovered services:', services);
       logCollector.services = services;
-      monitorAgent.services = services;
+      monitorAgent.services = monitorableNames(serviceDiscovery.getStatus().services);
     } else {
       console.log('[Server] No services discovered yet. Waiting for containers...');
     }
@@ -630,12 +1075,13 @@ app.post('/api/config/services', (req, res) => {
     // Re-discover services
     serviceDiscovery.discover().then(discoveredServices => {
       const names = discoveredServices.map(s => s.name);
+      const previous = logCollector.services;
       logCollector.services = names;
-      monitorAgent.services = names;
+      monitorAgent.services = monitorableNames(discoveredServices);
 
-      // Restart log collection for new services
-      logCollector.stop();
-      logCollector.start();
+      // Only touch streams that changed so existing ones keep their resume position
+      previous.filter(name => !names.includes(name)).forEach(name => logCollector.stopContainer(name));
+      names.forEach(name => logCollector.streamContainer(name));
 
       res.json({
         success: true,
@@ -654,7 +1100,12 @@ app.get('/api/config/services', (req, res) => {
     mode: serviceDiscovery.discoveryMode,
     manualServices: serviceDiscovery.manualServices,
     servicePatterns: serviceDiscovery.servicePatterns,
-    discoveredServices: serviceDiscovery.getStatus().services
+    discoveredServices: serviceDiscovery.getStatus().services,
+    sources: {
+      ...logCollector.getInputSources(),
+      ingest: httpIngest.getStatus(),
+      otlp: servicesConfig.otlp.enabled ? otlpReceiver.getStatus() : null
+    }
   });
 });
 
@@ -719,6 +1170,7 @@ app.post('/api/config/services/remove', (req, res) => {
     // Remove from collectors
     logCollector.services = logCollector.services.filter(s => s !== containerName);
     monitorAgent.services = monitorAgent.services.filter(s => s !== containerName);
+    logCollector.stopContainer(containerName);
 
     res.json({
       success: true,
@@ -944,6 +1396,13 @@ app.post('/api/source-code/confirm-modification/:id', async (req, res) => {
       status: result.status,
       appliedAt: result.appliedAt
     });
+    await linkIncident(req.body?.incidentId, 'modification', {
+      type: 'modification',
+      modificationId: result.id,
+      fileName: result.fileName,
+      serviceName: result.serviceName,
+      appliedAt: result.appliedAt
+    }, { mitigate: true });
 
     res.json(result);
   } catch (error) {
@@ -967,37 +1426,205 @@ app.post('/api/source-code/reject-modification/:id', (req, res) => {
   }
 });
 
+// ============================================
+// ALERTING API ENDPOINTS
+// ============================================
+
+// List alert rules, with the choices the rules editor offers
+app.get('/api/alerts/rules', (req, res) => {
+  res.json({ rules: alertEngine.listRules(), options: alertEngine.getOptions() });
+});
+
+// Create an alert rule
+app.post('/api/alerts/rules', (req, res) => {
+  try {
+    res.status(201).json(alertEngine.createRule(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update an alert rule
+app.put('/api/alerts/rules/:id', (req, res) => {
+  try {
+    res.json(alertEngine.updateRule(req.params.id, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete an alert rule
+app.delete('/api/alerts/rules/:id', (req, res) => {
+  try {
+    const rule = alertEngine.deleteRule(req.params.id);
+    res.json({ success: true, id: rule.id });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Send a test notification through a rule's channels
+app.post('/api/alerts/rules/:id/test', async (req, res) => {
+  try {
+    res.json(await alertEngine.testRule(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Fired alerts, newest first
+app.get('/api/alerts/history', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  res.json({ alerts: alertEngine.listHistory({ ruleId: req.query.ruleId || null, limit }) });
+});
+
+// ============================================
+// INCIDENT API ENDPOINTS
+// ============================================
+
+// List incidents (most recently active first)
+app.get('/api/incidents', async (req, res) => {
+  const { status, service } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const offset = parseInt(req.query.offset) || 0;
+
+  try {
+    res.json(await logDatabase.listIncidents({ status, service, limit, offset }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Open an incident by hand
+app.post('/api/incidents', async (req, res) => {
+  const { title, severity, service, services, errorHashes, status, note } = req.body;
+
+  try {
+    const incident = await logDatabase.createIncident({ title, severity, service, services, errorHashes, status, note });
+    res.status(201).json(incident);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get an incident with its analysis, fixes, modifications, resolutions and status history
+app.get('/api/incidents/:id', async (req, res) => {
+  try {
+    res.json(await logDatabase.requireIncident(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Update title, severity or status ({ status, note } records a transition)
+app.patch('/api/incidents/:id', async (req, res) => {
+  const { title, severity, status, note } = req.body;
+
+  try {
+    res.json(await logDatabase.updateIncident(req.params.id, { title, severity, status, note }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Group another error under an incident
+app.post('/api/incidents/:id/errors', async (req, res) => {
+  const { errorHash, service, errorId, timestamp } = req.body;
+
+  try {
+    res.json(await logDatabase.addErrorToIncident(req.params.id, { errorHash, service, errorId, timestamp }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Delete an incident
+app.delete('/api/incidents/:id', async (req, res) => {
+  try {
+    const incident = await logDatabase.deleteIncident(req.params.id);
+    res.json({ success: true, id: incident.id });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ============================================
 // LOG DATABASE API ENDPOINTS
 // ============================================
 
 // Get database statistics
-app.get('/api/database/stats', (req, res) => {
-  res.json(logDatabase.getStats());
+app.get('/api/database/stats', async (req, res) => {
+  try {
+    res.json(await logDatabase.getStats());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Search logs in database
-app.get('/api/database/search', (req, res) => {
-  const { query, service, level, startDate, endDate, limit, offset } = req.query;
+// Search logs in database, a page at a time (pass nextCursor back as cursor for older logs)
+// q takes the log query language (database/logQuery.js); service and level take
+// comma-separated lists; structured fields can also be matched with
+// field.<name>=<value> (e.g. field.userId=42)
+app.get('/api/database/search', async (req, res) => {
+  const { q, query, service, level, traceId, startDate, endDate, limit, cursor, before } = req.query;
+  const list = (value) => {
+    const values = String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+    return values.length > 0 ? values : undefined;
+  };
+
+  const fields = {};
+  for (const [key, value] of Object.entries(req.query)) {
+    if (key.startsWith('field.') && key.length > 6) {
+      fields[key.slice(6)] = value;
+    }
+  }
 
   try {
-    const results = logDatabase.searchLogs({
+    const page = await logDatabase.searchLogPage({
+      q,
       query,
-      service,
-      level,
+      service: list(service),
+      level: list(level),
+      traceId,
+      fields,
       startDate,
       endDate,
-      limit: parseInt(limit) || 100,
-      offset: parseInt(offset) || 0
+      limit,
+      cursor,
+      before
     });
-    res.json(results);
+    res.json(page);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message, position: error.position });
+  }
+});
+
+// Saved searches, by name
+app.get('/api/searches', (req, res) => {
+  res.json({ searches: savedSearches.listSearches() });
+});
+
+// Save a search (an existing name is replaced)
+app.post('/api/searches', (req, res) => {
+  try {
+    res.status(201).json(savedSearches.saveSearch(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, position: error.position });
+  }
+});
+
+// Delete a saved search
+app.delete('/api/searches/:id', (req, res) => {
+  try {
+    const search = savedSearches.deleteSearch(req.params.id);
+    res.json({ success: true, id: search.id });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 // Find similar errors
-app.get('/api/database/similar-errors', (req, res) => {
+app.get('/api/database/similar-errors', async (req, res) => {
   const { service, message, limit } = req.query;
 
   if (!message) {
@@ -1005,42 +1632,97 @@ app.get('/api/database/similar-errors', (req, res) => {
   }
 
   try {
-    const similar = logDatabase.findSimilarErrors(message, service, parseInt(limit) || 10);
+    const similar = await logDatabase.findSimilarErrors(message, service, parseInt(limit) || 10);
     res.json(similar);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Error grouping rules, in the order they are applied
+app.get('/api/fingerprints/rules', (req, res) => {
+  res.json({ rules: logDatabase.fingerprinter.listRules() });
+});
+
+// Add a grouping rule ({name, action: merge|split, query, group | splitBy})
+app.post('/api/fingerprints/rules', (req, res) => {
+  try {
+    res.status(201).json(logDatabase.fingerprinter.createRule(req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, position: error.position });
+  }
+});
+
+// Change a grouping rule
+app.put('/api/fingerprints/rules/:id', (req, res) => {
+  try {
+    res.json(logDatabase.fingerprinter.updateRule(req.params.id, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, position: error.position });
+  }
+});
+
+// Delete a grouping rule
+app.delete('/api/fingerprints/rules/:id', (req, res) => {
+  try {
+    const rule = logDatabase.fingerprinter.deleteRule(req.params.id);
+    res.json({ success: true, id: rule.id });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Fingerprint an error without storing it ({service, level, message, stackTrace, fields})
+app.post('/api/fingerprints/preview', (req, res) => {
+  const { service, level, message, stackTrace, fields } = req.body || {};
+
+  if (!message) {
+    return res.status(400).json({ error: 'message is required' });
+  }
+
+  res.json(logDatabase.fingerprinter.fingerprint({
+    service: service ? String(service).toUpperCase() : service,
+    level: level || 'ERROR',
+    message,
+    stackTrace,
+    fields
+  }));
+});
+
 // Get error trends
-app.get('/api/database/error-trends', (req, res) => {
+app.get('/api/database/error-trends', async (req, res) => {
   const { hours } = req.query;
 
   try {
-    const trends = logDatabase.getErrorTrends(parseInt(hours) || 24);
+    const trends = await logDatabase.getErrorTrends(parseInt(hours) || 24);
     res.json(trends);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Run manual cleanup
-app.post('/api/database/cleanup', (req, res) => {
+// Run a retention pass now
+app.post('/api/database/cleanup', async (req, res) => {
   try {
-    logDatabase.cleanup();
-    res.json({ success: true, message: 'Cleanup completed' });
+    const result = await retentionScheduler.run();
+    res.json({ success: true, message: 'Cleanup completed', ...result });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Retention tiers and the last scheduled pass
+app.get('/api/database/retention', (req, res) => {
+  res.json(retentionScheduler.getStatus());
+});
+
 // ============================================
 // ERROR RESOLUTION LEARNING API ENDPOINTS
 // ============================================
 
 // Store a successful error resolution
 app.post('/api/resolutions', async (req, res) => {
-  const { errorHash, errorMessage, rootCause, fixApplied, fixDescription, service, filePath, resolutionTime, wasSuccessful } = req.body;
+  const { errorHash, errorMessage, rootCause, fixApplied, fixDescription, service, filePath, resolutionTime, wasSuccessful, incidentId } = req.body;
 
   if (!errorMessage || !fixApplied) {
     return res.status(400).json({ error: 'errorMessage and fixApplied are required' });
@@ -1048,7 +1730,7 @@ app.post('/api/resolutions', async (req, res) => {
 
   try {
     const resolution = await logDatabase.storeErrorResolution({
-      errorHash: errorHash || logDatabase.generateLogHash({ service, message: errorMessage, level: 'ERROR' }),
+      errorHash: errorHash || logDatabase.errorFingerprint({ service, message: errorMessage, level: 'ERROR' }),
       errorMessage,
       rootCause,
       fixApplied,
@@ -1064,6 +1746,13 @@ app.post('/api/resolutions', async (req, res) => {
       service,
       errorMessage: errorMessage.substring(0, 100)
     });
+    await linkIncident(incidentId, 'resolution', {
+      resolutionId: resolution.id,
+      errorHash: resolution.error_hash,
+      fixDescription: resolution.fix_description,
+      filePath: resolution.file_path,
+      wasSuccessful: resolution.was_successful
+    }, { mitigate: resolution.was_successful });
 
     res.json({ success: true, resolution });
   } catch (error) {
@@ -1120,103 +1809,83 @@ app.post('/api/predictions', async (req, res) => {
   }
 });
 
-// Get active predictions
+// Get active predictions (?status=confirmed|expired|dismissed|all for settled ones, newest first)
 app.get('/api/predictions', async (req, res) => {
-  const { service } = req.query;
+  const { service, status = 'active', hours } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+  if (status !== 'all' && !PredictionTracker.STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be all or one of ${PredictionTracker.STATUSES.join(', ')}` });
+  }
 
   try {
-    const predictions = await logDatabase.getActivePredictions(service);
+    const predictions = status === 'active'
+      ? await logDatabase.getActivePredictions(service)
+      : await logDatabase.getPredictions({
+        status: status === 'all' ? null : status,
+        service,
+        hours: parseFloat(hours) || null,
+        limit
+      });
     res.json(predictions);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Generate predictive insights based on historical data
+// Forecast now (also runs every FORECAST_INTERVAL): settles due predictions, then stores new ones
 app.get('/api/predictions/generate', async (req, res) => {
   const { service } = req.query;
 
   try {
-    // Get error trends
-    const trends = await logDatabase.getErrorTrends(24);
-    const metricsHistory = await logDatabase.getMetricsHistory(service, 24);
-
-    const predictions = [];
-
-    // Analyze error rate trends
-    const recentHours = trends.byHour.slice(-6);
-    const olderHours = trends.byHour.slice(-12, -6);
-
-    const recentAvg = recentHours.reduce((sum, h) => sum + h.count, 0) / 6;
-    const olderAvg = olderHours.reduce((sum, h) => sum + h.count, 0) / 6;
-
-    if (recentAvg > olderAvg * 1.5 && recentAvg > 2) {
-      const prediction = await logDatabase.storePrediction({
-        type: 'error_spike',
-        service: service || 'all',
-        issue: `Error rate increasing: ${recentAvg.toFixed(1)} errors/hour vs ${olderAvg.toFixed(1)} previously`,
-        confidence: Math.min(0.9, 0.5 + (recentAvg - olderAvg) / 10),
-        timeHorizon: '1-2 hours',
-        basedOn: { recentAvg, olderAvg, trend: 'increasing' }
-      });
-      predictions.push(prediction);
-    }
+    const verified = await predictionTracker.verify();
+    const result = await forecaster.run({ service });
+    res.json({ ...result, verified });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Analyze resource usage
-    if (metricsHistory.length > 10) {
-      const recentMetrics = metricsHistory.slice(-10);
-      const avgCpu = recentMetrics.reduce((sum, m) => sum + (m.cpu_percent || 0), 0) / 10;
-      const avgMemory = recentMetrics.reduce((sum, m) => sum + (m.memory_percent || 0), 0) / 10;
-
-      if (avgCpu > 70) {
-        const prediction = await logDatabase.storePrediction({
-          type: 'resource_exhaustion',
-          service: service || recentMetrics[0]?.service,
-          issue: `High CPU usage: ${avgCpu.toFixed(1)}% average over recent samples`,
-          confidence: Math.min(0.9, avgCpu / 100),
-          timeHorizon: '30 minutes',
-          basedOn: { avgCpu, samples: 10 }
-        });
-        predictions.push(prediction);
-      }
+// Precision and recall per prediction type (?hours=168&service=)
+app.get('/api/predictions/accuracy', (req, res) => {
+  const { service } = req.query;
+  const hours = parseFloat(req.query.hours) || 7 * 24;
 
-      if (avgMemory > 80) {
-        const prediction = await logDatabase.storePrediction({
-          type: 'memory_pressure',
-          service: service || recentMetrics[0]?.service,
-          issue: `High memory usage: ${avgMemory.toFixed(1)}% - potential OOM risk`,
-          confidence: Math.min(0.95, avgMemory / 100),
-          timeHorizon: '15-30 minutes',
-          basedOn: { avgMemory, samples: 10 }
-        });
-        predictions.push(prediction);
-      }
-    }
+  res.json(predictionTracker.getAccuracy({ hours, service }));
+});
 
-    // Check for recurring error patterns
-    for (const [svc, data] of Object.entries(trends.byService)) {
-      if (data.count > 5) {
-        const prediction = await logDatabase.storePrediction({
-          type: 'recurring_error',
-          service: svc,
-          issue: `${data.count} recurring errors detected - pattern may continue`,
-          confidence: Math.min(0.85, 0.5 + data.count / 20),
-          timeHorizon: 'ongoing',
-          basedOn: { errorCount: data.count }
-        });
-        predictions.push(prediction);
-      }
-    }
+// Override a prediction's status: { status: confirmed|expired|dismissed, note }
+app.patch('/api/predictions/:id', async (req, res) => {
+  const { status, note } = req.body;
 
-    res.json({
-      generated: predictions.length,
-      predictions,
-      basedOn: {
-        errorTrends: trends.byHour.length,
-        metricsHistory: metricsHistory.length,
-        services: Object.keys(trends.byService)
-      }
+  try {
+    res.json(await predictionTracker.override(req.params.id, status, note));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Forecaster schedule and calibration
+app.get('/api/predictions/forecaster', (req, res) => {
+  res.json(forecaster.getStatus());
+});
+
+// Get detected metric, log volume and error rate anomalies (newest first)
+app.get('/api/anomalies', async (req, res) => {
+  const { service, metric, hours, limit } = req.query;
+
+  if (metric && !AnomalyDetector.METRICS.includes(metric)) {
+    return res.status(400).json({ error: `metric must be one of ${AnomalyDetector.METRICS.join(', ')}` });
+  }
+
+  try {
+    const anomalies = await logDatabase.getAnomalies({
+      service,
+      metric,
+      hours: parseFloat(hours) || 24,
+      limit: Math.min(parseInt(limit) || 100, 500)
     });
+    res.json(anomalies);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1228,7 +1897,7 @@ app.get('/api/predictions/generate', async (req, res) => {
 
 // Store metrics snapshot
 app.post('/api/metrics/store', async (req, res) => {
-  const { service, cpu, memory, memoryUsage, memoryLimit, networkRx, networkTx, status } = req.body;
+  const { service, cpu, memory, memoryUsage, memoryLimit, networkRx, networkTx, blockRead, blockWrite, status } = req.body;
 
   if (!service) {
     return res.status(400).json({ error: 'service is required' });
@@ -1243,6 +1912,8 @@ app.post('/api/metrics/store', async (req, res) => {
       memoryLimit: memoryLimit || 0,
       networkRx: networkRx || 0,
       networkTx: networkTx || 0,
+      blockRead: blockRead || 0,
+      blockWrite: blockWrite || 0,
       status: status || 'unknown'
     });
     res.json({ success: true, entry });
@@ -1382,7 +2053,7 @@ app.patch('/api/errors/:errorHash/status', async (req, res) => {
 
 // Apply generated fix to source code
 app.post('/api/apply-fix', async (req, res) => {
-  const { fixedCode, serviceName, fileName } = req.body;
+  const { fixedCode, serviceName, fileName, incidentId } = req.body;
 
   if (!fixedCode || !serviceName || !fileName) {
     return res.status(400).json({
@@ -1422,6 +2093,13 @@ app.post('/api/apply-fix', async (req, res) => {
       backupPath,
       timestamp: new Date().toISOString()
     });
+    await linkIncident(incidentId, 'modification', {
+      type: 'generated-fix',
+      serviceName,
+      fileName,
+      filePath,
+      backup: backupPath
+    }, { mitigate: true });
 
     res.json({
       success: true,
@@ -1489,8 +2167,7 @@ app.post('/api/rebuild-service', async (req, res) => {
 
 // Start server
 server.listen(PORT, () => {
-  const dbStats = logDatabase.getStats();
-  const dbStatus = dbStats.mode === 'supabase' ? 'Supabase ✓' : 'In-Memory';
+  const dbStatus = { supabase: 'Supabase ✓', sqlite: 'SQLite ✓' }[logDatabase.mode] || 'In-Memory';
 
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
@@ -1502,7 +2179,7 @@ server.listen(PORT, () => {
 ║   WebSocket: ws://localhost:${PORT}                         ║
 ║   Frontend:  ${FRONTEND_URL}                    ║
 ║                                                           ║
-║   AI:        ${GEMINI_API_KEY ? 'Gemini Enabled ✓' : 'Disabled (No API Key)'}                        ║
+║   AI:        ${llmManager.isEnabled() ? 'Enabled ✓' : 'Disabled (No Provider)'}                               ║
 ║   Database:  ${dbStatus}                             ║
 ║   Source:    ${sourceCodeManager.mode} mode                         ║
 ║                                                           ║
@@ -1511,6 +2188,7 @@ server.listen(PORT, () => {
 
   // Start log collection
   startLogCollection();
+  dependencyGraph.start();
 });
 
 // Graceful shutdown
@@ -1518,8 +2196,17 @@ process.on('SIGTERM', () => {
   console.log('[Server] Received SIGTERM, shutting down...');
   serviceDiscovery.stop();
   logCollector.stop();
+  dependencyGraph.stop();
   monitorAgent.stopMonitoring();
-  server.close(() => {
+  alertEngine.stop();
+  anomalyDetector.stop();
+  forecaster.stop();
+  predictionTracker.stop();
+  retentionScheduler.stop();
+  liveTail.stop();
+  server.close(async () => {
+    await logDatabase.flushRollups().catch(error => console.error('[Server] Rollup flush failed:', error.message));
+    logDatabase.close();
     console.log('[Server] Server closed');
     process.exit(0);
   });
@@ -1529,8 +2216,17 @@ process.on('SIGINT', () => {
   console.log('[Server] Received SIGINT, shutting down...');
   serviceDiscovery.stop();
   logCollector.stop();
+  dependencyGraph.stop();
   monitorAgent.stopMonitoring();
-  server.close(() => {
+  alertEngine.stop();
+  anomalyDetector.stop();
+  forecaster.stop();
+  predictionTracker.stop();
+  retentionScheduler.stop();
+  liveTail.stop();
+  server.close(async () => {
+    await logDatabase.flushRollups().catch(error => console.error('[Server] Rollup flush failed:', error.message));
+    logDatabase.close();
     console.log('[Server] Server closed');
     process.exit(0);
   });
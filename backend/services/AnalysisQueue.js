@@ -0,0 +1,318 @@
+/**
+ * Analysis Queue
+ * Runs error analyses as jobs so several incidents can be investigated at
+ * once: a concurrency limit, per-job progress, cancellation, and finished
+ * jobs persisted so results survive a restart
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+class AnalysisQueue extends EventEmitter {
+  /**
+   * @param {object} options - Options
+   * @param {Function} options.run - async (job, context) => result; context has progress(step, message, percent), signal and throwIfCancelled()
+   * @param {number} options.concurrency - Jobs analyzed at the same time
+   * @param {number} options.maxJobs - Finished jobs kept
+   * @param {string} options.persistPath - JSON file holding jobs (not persisted when unset)
+   */
+  constructor(options = {}) {
+    super();
+    this.run = options.run;
+    this.concurrency = Math.max(1, options.concurrency || 2);
+    this.maxJobs = options.maxJobs || 100;
+    this.persistPath = options.persistPath || null;
+
+    // jobId -> job, in creation order
+    this.jobs = new Map();
+    // jobIds waiting for a slot
+    this.pending = [];
+    // jobId -> AbortController of running jobs
+    this.controllers = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Queue an analysis. An error that is already queued or running returns the existing job
+   * @param {object} errorLog - Error log to analyze
+   * @param {object} options - { requestedBy }
+   * @returns {object} Job
+   */
+  enqueue(errorLog, { requestedBy = null } = {}) {
+    const existing = Array.from(this.jobs.values())
+      .find(job => job.errorId === errorLog.id && ACTIVE_STATUSES.includes(job.status));
+    if (existing) return existing;
+
+    const job = {
+      id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      errorId: errorLog.id,
+      service: errorLog.service,
+      message: (errorLog.message || '').substring(0, 200),
+      errorLog,
+      status: 'queued',
+      progress: { step: 'queued', message: 'Waiting for a free analysis slot', percent: 0 },
+      requestedBy,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.emit('job-queued', { job: this.summarize(job), position: this.pending.length });
+    this.prune();
+    this.save();
+
+    // Start on the next tick so the caller can subscribe to the job's events first
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  /**
+   * Start queued jobs while slots are free
+   */
+  drain() {
+    while (this.controllers.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.status === 'queued') {
+        this.execute(job);
+      }
+    }
+  }
+
+  /**
+   * Run one job to completion, failure or cancellation
+   * @param {object} job - Job
+   */
+  async execute(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit('job-started', this.summarize(job));
+    this.updateProgress(job, 'started', 'Analysis started', 5);
+
+    const context = {
+      signal: controller.signal,
+      progress: (step, message, percent) => {
+        if (!controller.signal.aborted) this.updateProgress(job, step, message, percent);
+      },
+      throwIfCancelled: () => {
+        if (controller.signal.aborted) {
+          const error = new Error('Analysis cancelled');
+          error.cancelled = true;
+          throw error;
+        }
+      }
+    };
+
+    try {
+      const result = await this.run(job, context);
+      context.throwIfCancelled();
+
+      job.status = 'completed';
+      job.result = result;
+      job.finishedAt = new Date().toISOString();
+      this.updateProgress(job, 'complete', 'Analysis complete', 100);
+      this.emit('job-completed', job);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        // cancel() already recorded the outcome
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        job.finishedAt = new Date().toISOString();
+        this.emit('job-failed', job);
+      }
+    } finally {
+      this.controllers.delete(job.id);
+      this.save();
+      this.drain();
+    }
+  }
+
+  /**
+   * Record and announce a job's progress
+   * @param {object} job - Job
+   * @param {string} step - Step name
+   * @param {string} message - Human-readable progress
+   * @param {number} percent - 0-100
+   */
+  updateProgress(job, step, message, percent) {
+    job.progress = { step, message, percent };
+    this.emit('job-progress', { jobId: job.id, errorId: job.errorId, ...job.progress });
+  }
+
+  /**
+   * Cancel a queued or running job. A running job is aborted (its LLM requests
+   * through context.signal) and keeps its slot until run() settles, so
+   * cancelling never lets more than `concurrency` analyses run at once
+   * @param {string} jobId - Job ID
+   * @returns {object} Job
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw this.requestError(`Analysis job ${jobId} not found`, 404);
+    }
+    if (!ACTIVE_STATUSES.includes(job.status)) {
+      throw this.requestError(`Analysis job ${jobId} is already ${job.status}`, 409);
+    }
+
+    this.pending = this.pending.filter(id => id !== jobId);
+    // execute() frees the slot and starts the next job once run() settles
+    this.controllers.get(jobId)?.abort();
+
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    this.emit('job-cancelled', this.summarize(job));
+    this.save();
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {object|null} Job
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * The most recently finished successful job
+   * @returns {object|null} Job
+   */
+  getLatestCompleted() {
+    const jobs = Array.from(this.jobs.values()).filter(job => job.status === 'completed');
+    return jobs.length > 0 ? jobs[jobs.length - 1] : null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {object} options - { status, limit }
+   * @returns {object[]} Job summaries (without results)
+   */
+  listJobs({ status = null, limit = 50 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => !status || job.status === status)
+      .reverse()
+      .slice(0, limit)
+      .map(job => this.summarize(job));
+  }
+
+  /**
+   * Queue position of a job (1 = next to start)
+   * @param {string} jobId - Job ID
+   * @returns {number|null} Position, or null when not waiting
+   */
+  getPosition(jobId) {
+    const index = this.pending.indexOf(jobId);
+    return index === -1 ? null : index + 1;
+  }
+
+  /**
+   * Job without the (large) error log and result
+   * @param {object} job - Job
+   * @returns {object} Summary
+   */
+  summarize(job) {
+    const { errorLog, result, ...summary } = job;
+    return {
+      ...summary,
+      position: this.getPosition(job.id),
+      rootCause: result?.analysis?.rootCause || null
+    };
+  }
+
+  /**
+   * Queue counters
+   * @returns {object} { concurrency, running, queued, total }
+   */
+  getStatus() {
+    return {
+      concurrency: this.concurrency,
+      running: this.controllers.size,
+      queued: this.pending.length,
+      total: this.jobs.size
+    };
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond maxJobs
+   */
+  prune() {
+    let excess = this.jobs.size - this.maxJobs;
+    if (excess <= 0) return;
+
+    for (const [jobId, job] of this.jobs) {
+      if (excess <= 0) break;
+      if (!ACTIVE_STATUSES.includes(job.status)) {
+        this.jobs.delete(jobId);
+        excess--;
+      }
+    }
+  }
+
+  /**
+   * Load persisted jobs. Jobs that were still active when the server stopped are marked failed
+   */
+  load() {
+    if (!this.persistPath) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf-8'));
+      for (const job of data.jobs || []) {
+        if (ACTIVE_STATUSES.includes(job.status)) {
+          job.status = 'failed';
+          job.error = 'Interrupted by server restart';
+          job.finishedAt = job.finishedAt || new Date().toISOString();
+        }
+        this.jobs.set(job.id, job);
+      }
+      console.log(`[AnalysisQueue] Loaded ${this.jobs.size} analysis jobs`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[AnalysisQueue] Ignoring unreadable jobs file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write jobs to disk (write + rename so a crash never leaves half a file)
+   */
+  save() {
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ jobs: Array.from(this.jobs.values()) }));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error('[AnalysisQueue] Failed to save jobs:', error.message);
+    }
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = AnalysisQueue;
@@ -0,0 +1,437 @@
+/**
+ * Anomaly Detector
+ * Flags unusual values of service metrics (CPU, memory, network and block
+ * I/O rates) and of per-service log volume and error rate. Each sample is
+ * compared with three baselines:
+ * - zscore: mean and standard deviation of a rolling window of recent samples
+ * - ewma: exponentially weighted moving average and variance, which adapts to drift
+ * - seasonal: the same time of day on previous days, from LogDatabase history
+ * A sample is anomalous when any enabled baseline puts it `threshold` standard
+ * deviations away
+ */
+
+const EventEmitter = require('events');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Seasonal baselines cover this much of the day on each previous day
+const SEASONAL_SLOT_MS = 15 * 60 * 1000;
+
+const METHODS = ['zscore', 'ewma', 'seasonal'];
+
+/**
+ * Detected series. `field` is read from MonitorAgent metrics and `column` from
+ * metrics_history rows; counters are cumulative bytes turned into per-second
+ * rates. Log series are counted per bucket and reported per minute.
+ * minStd keeps near-constant series from flagging tiny changes
+ */
+const METRICS = {
+  cpu: { field: 'cpuPercent', column: 'cpu_percent', minStd: 2 },
+  memory: { field: 'memoryPercent', column: 'memory_percent', minStd: 1 },
+  network_rx: { field: 'networkRxBytes', column: 'network_rx_bytes', counter: true, minStd: 10 * 1024 },
+  network_tx: { field: 'networkTxBytes', column: 'network_tx_bytes', counter: true, minStd: 10 * 1024 },
+  block_read: { field: 'blockReadBytes', column: 'block_read_bytes', counter: true, minStd: 100 * 1024 },
+  block_write: { field: 'blockWriteBytes', column: 'block_write_bytes', counter: true, minStd: 100 * 1024 },
+  log_volume: { column: 'log_count', logs: true, minStd: 2 },
+  error_rate: { column: 'error_count', logs: true, minStd: 1 }
+};
+
+const LABELS = {
+  cpu: 'CPU',
+  memory: 'Memory',
+  network_rx: 'Network in',
+  network_tx: 'Network out',
+  block_read: 'Disk read',
+  block_write: 'Disk write',
+  log_volume: 'Log volume',
+  error_rate: 'Error rate'
+};
+
+class AnomalyDetector extends EventEmitter {
+  /**
+   * @param {object} options - Options (see config.anomalies)
+   * @param {object} options.database - LogDatabase (history for seasonal baselines, anomaly storage)
+   * @param {string[]} options.methods - Enabled baselines: zscore, ewma, seasonal
+   * @param {number} options.threshold - Standard deviations that count as anomalous
+   * @param {number} options.windowSize - Samples in the rolling z-score window
+   * @param {number} options.minSamples - Samples needed before zscore/ewma flag anything
+   * @param {number} options.ewmaAlpha - Weight of the newest sample in the EWMA
+   * @param {number} options.seasonalDays - Previous days compared
+   * @param {number} options.seasonalMinDays - Days with data needed for a seasonal baseline
+   * @param {number} options.logBucketMs - Log counting bucket
+   * @param {number} options.cooldownMs - Quiet period per service and metric after a report
+   */
+  constructor(options = {}) {
+    super();
+    this.database = options.database;
+    this.methods = (options.methods || METHODS).filter(method => METHODS.includes(method));
+    this.threshold = options.threshold || 3;
+    this.windowSize = options.windowSize || 60;
+    this.minSamples = options.minSamples || 20;
+    this.ewmaAlpha = options.ewmaAlpha || 0.1;
+    this.seasonalDays = options.seasonalDays || 7;
+    this.seasonalMinDays = options.seasonalMinDays || 3;
+    this.logBucketMs = options.logBucketMs || 60000;
+    this.cooldownMs = options.cooldownMs ?? 5 * 60 * 1000;
+
+    // "service|metric" -> { values, mean, variance, count }
+    this.series = new Map();
+    // service -> { time, bytes by metric } (previous counter readings)
+    this.counters = new Map();
+    // service -> { logs, errors } in the current bucket
+    this.logCounts = new Map();
+    this.bucketStart = Date.now();
+    // "service|source|slot" -> { ready, baselines }
+    this.seasonal = new Map();
+    // "service|metric" -> last report time
+    this.lastReported = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Start closing log buckets
+   */
+  start() {
+    if (this.timer) return;
+    this.bucketStart = Date.now();
+    this.timer = setInterval(() => this.flushLogBucket(), this.logBucketMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check a MonitorAgent poll
+   * @param {object[]} metrics - Service metrics
+   */
+  observeMetrics(metrics) {
+    for (const sample of metrics) {
+      if (sample.error) continue;
+      const time = new Date(sample.timestamp).getTime();
+      const rates = this.counterRates(sample, time);
+
+      for (const [metric, definition] of Object.entries(METRICS)) {
+        if (definition.logs) continue;
+
+        const value = definition.counter ? rates[metric] : sample[definition.field];
+        if (typeof value === 'number' && Number.isFinite(value)) {
+          this.evaluate(sample.service, metric, value, time);
+        }
+      }
+    }
+  }
+
+  /**
+   * Count a log towards its service's volume and error rate
+   * @param {object} log - Log entry
+   */
+  observeLog(log) {
+    if (!log.service) return;
+
+    const counts = this.logCounts.get(log.service) || { logs: 0, errors: 0 };
+    counts.logs++;
+    if (['ERROR', 'CRITICAL'].includes(log.level)) counts.errors++;
+    this.logCounts.set(log.service, counts);
+  }
+
+  /**
+   * Close the current log bucket: store the counts and check every service
+   * that has logged (a silent service counts as zero)
+   */
+  flushLogBucket() {
+    const bucketStart = this.bucketStart;
+    const time = Date.now();
+    this.bucketStart = time;
+
+    const perMinute = 60000 / (time - bucketStart || this.logBucketMs);
+
+    for (const [service, counts] of this.logCounts) {
+      this.database.storeLogVolume({
+        service,
+        bucketStart: new Date(bucketStart).toISOString(),
+        bucketMs: time - bucketStart,
+        logs: counts.logs,
+        errors: counts.errors
+      }).catch(() => {});
+
+      this.evaluate(service, 'log_volume', counts.logs * perMinute, time);
+      this.evaluate(service, 'error_rate', counts.errors * perMinute, time);
+
+      // Keep the service so the next bucket checks it even if it goes quiet
+      this.logCounts.set(service, { logs: 0, errors: 0 });
+    }
+  }
+
+  /**
+   * Per-second rates of the cumulative byte counters since the previous poll
+   * (none for the first poll of a service or after a counter reset)
+   * @param {object} sample - Service metrics
+   * @param {number} time - Sample time (ms)
+   * @returns {object} metric -> bytes per second
+   */
+  counterRates(sample, time) {
+    const previous = this.counters.get(sample.service);
+    const elapsed = previous ? (time - previous.time) / 1000 : 0;
+    const bytes = {};
+    const rates = {};
+
+    for (const [metric, definition] of Object.entries(METRICS)) {
+      const current = sample[definition.field];
+      if (!definition.counter || typeof current !== 'number') continue;
+
+      bytes[metric] = current;
+      const last = previous?.bytes[metric];
+      if (last !== undefined && elapsed > 0 && current >= last) {
+        rates[metric] = (current - last) / elapsed;
+      }
+    }
+
+    this.counters.set(sample.service, { time, bytes });
+    return rates;
+  }
+
+  /**
+   * Score one sample against the enabled baselines, then add it to them
+   * @param {string} service - Service name
+   * @param {string} metric - Metric key
+   * @param {number} value - Sample value
+   * @param {number} time - Sample time (ms)
+   * @returns {object|null} Anomaly (reported asynchronously), or null
+   */
+  evaluate(service, metric, value, time) {
+    const key = `${service}|${metric}`;
+    const { minStd } = METRICS[metric];
+    const state = this.series.get(key) || { values: [], mean: null, variance: 0, count: 0 };
+    const checks = [];
+
+    if (state.count >= this.minSamples) {
+      if (this.methods.includes('zscore')) {
+        const { mean, std } = this.stats(state.values);
+        checks.push(this.score('zscore', value, mean, std, minStd));
+      }
+      if (this.methods.includes('ewma')) {
+        checks.push(this.score('ewma', value, state.mean, Math.sqrt(state.variance), minStd));
+      }
+    }
+
+    if (this.methods.includes('seasonal')) {
+      const baseline = this.seasonalBaseline(service, metric, time);
+      if (baseline && baseline.days >= this.seasonalMinDays) {
+        checks.push(this.score('seasonal', value, baseline.mean, baseline.std, minStd));
+      }
+    }
+
+    this.update(key, state, value);
+
+    const flagged = checks.filter(check => check.score >= this.threshold);
+    if (flagged.length === 0) return null;
+
+    const lastReported = this.lastReported.get(key);
+    if (lastReported && time - lastReported < this.cooldownMs) return null;
+    this.lastReported.set(key, time);
+
+    const strongest = flagged.reduce((a, b) => (b.score > a.score ? b : a));
+    const anomaly = {
+      id: `anomaly-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      service,
+      metric,
+      value: round(value),
+      expected: round(strongest.expected),
+      score: round(strongest.score),
+      direction: value >= strongest.expected ? 'up' : 'down',
+      severity: strongest.score >= this.threshold * 2 ? 'critical' : 'warning',
+      methods: flagged.map(check => ({ ...check, expected: round(check.expected), score: round(check.score) })),
+      message: `${LABELS[metric]} of ${service} is ${formatValue(metric, value)} (expected about ${formatValue(metric, strongest.expected)})`,
+      timestamp: new Date(time).toISOString()
+    };
+
+    this.report(anomaly);
+    return anomaly;
+  }
+
+  /**
+   * Deviation of a value from a baseline, in standard deviations
+   * @returns {object} { method, expected, score }
+   */
+  score(method, value, expected, std, minStd) {
+    return { method, expected, score: Math.abs(value - expected) / Math.max(std, minStd) };
+  }
+
+  /**
+   * Add a sample to the rolling window and the EWMA
+   */
+  update(key, state, value) {
+    state.values.push(value);
+    if (state.values.length > this.windowSize) state.values.shift();
+
+    if (state.mean === null) {
+      state.mean = value;
+    } else {
+      const diff = value - state.mean;
+      state.mean += this.ewmaAlpha * diff;
+      state.variance = (1 - this.ewmaAlpha) * (state.variance + this.ewmaAlpha * diff * diff);
+    }
+    state.count++;
+
+    this.series.set(key, state);
+  }
+
+  /**
+   * Mean and sample standard deviation
+   * @param {number[]} values - Values
+   * @returns {object} { mean, std }
+   */
+  stats(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.length > 1
+      ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+      : 0;
+    return { mean, std: Math.sqrt(variance) };
+  }
+
+  /**
+   * Seasonal baseline for the sample's time of day. Loaded in the background
+   * once per service and slot; until then the seasonal check is skipped
+   * @returns {object|null} { mean, std, days }
+   */
+  seasonalBaseline(service, metric, time) {
+    const source = METRICS[metric].logs ? 'logs' : 'metrics';
+    const slot = Math.floor(time / SEASONAL_SLOT_MS);
+    const key = `${service}|${source}|${slot}`;
+
+    const entry = this.seasonal.get(key);
+    if (entry) {
+      return entry.ready ? entry.baselines[metric] || null : null;
+    }
+
+    // Baselines of earlier slots are no longer needed
+    for (const cached of this.seasonal.keys()) {
+      if (cached.startsWith(`${service}|${source}|`)) this.seasonal.delete(cached);
+    }
+
+    const loading = { ready: false, baselines: {} };
+    this.seasonal.set(key, loading);
+    this.loadSeasonal(service, source, slot * SEASONAL_SLOT_MS)
+      .then(baselines => {
+        loading.baselines = baselines;
+        loading.ready = true;
+      })
+      .catch(error => {
+        console.error(`[AnomalyDetector] Failed to load seasonal baseline for ${service}:`, error.message);
+        loading.ready = true;
+      });
+
+    return null;
+  }
+
+  /**
+   * Average each metric over the same slot on previous days
+   * @param {string} service - Service name
+   * @param {string} source - 'metrics' (metrics_history) or 'logs' (log_volume)
+   * @param {number} slotStart - Slot start (ms)
+   * @returns {Promise<object>} metric -> { mean, std, days }
+   */
+  async loadSeasonal(service, source, slotStart) {
+    const metrics = Object.keys(METRICS).filter(metric => !!METRICS[metric].logs === (source === 'logs'));
+    const daily = Object.fromEntries(metrics.map(metric => [metric, []]));
+
+    for (let day = 1; day <= this.seasonalDays; day++) {
+      const start = new Date(slotStart - day * DAY);
+      const end = new Date(slotStart - day * DAY + SEASONAL_SLOT_MS);
+      const rows = source === 'logs'
+        ? await this.database.getLogVolumeBetween(service, start, end)
+        : await this.database.getMetricsBetween(service, start, end);
+
+      for (const metric of metrics) {
+        const values = this.historyValues(metric, rows);
+        if (values.length > 0) {
+          daily[metric].push(values.reduce((sum, v) => sum + v, 0) / values.length);
+        }
+      }
+    }
+
+    const baselines = {};
+    for (const [metric, means] of Object.entries(daily)) {
+      if (means.length === 0) continue;
+      baselines[metric] = { ...this.stats(means), days: means.length };
+    }
+    return baselines;
+  }
+
+  /**
+   * Values of one metric from stored rows, in the units the live samples use
+   * @param {string} metric - Metric key
+   * @param {object[]} rows - metrics_history or log_volume rows, oldest first
+   * @returns {number[]} Values
+   */
+  historyValues(metric, rows) {
+    const { column, counter, logs } = METRICS[metric];
+
+    if (logs) {
+      return rows.map(row => row[column] * 60000 / (row.bucket_ms || this.logBucketMs));
+    }
+
+    if (!counter) {
+      return rows.map(row => row[column]).filter(value => typeof value === 'number');
+    }
+
+    const rates = [];
+    for (let i = 1; i < rows.length; i++) {
+      const elapsed = (new Date(rows[i].timestamp) - new Date(rows[i - 1].timestamp)) / 1000;
+      const delta = rows[i][column] - rows[i - 1][column];
+      if (elapsed > 0 && delta >= 0) rates.push(delta / elapsed);
+    }
+    return rates;
+  }
+
+  /**
+   * Persist an anomaly and announce the stored row
+   * @param {object} anomaly - Anomaly
+   */
+  async report(anomaly) {
+    try {
+      const stored = await this.database.storeAnomaly(anomaly);
+      this.emit('anomaly-detected', stored);
+    } catch (error) {
+      console.error('[AnomalyDetector] Failed to store anomaly:', error.message);
+    }
+  }
+}
+
+/**
+ * Round for storage and display
+ * @param {number} value - Value
+ * @returns {number} Value with at most two decimals
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Human-readable metric value
+ * @param {string} metric - Metric key
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(metric, value) {
+  if (metric === 'cpu' || metric === 'memory') return `${value.toFixed(1)}%`;
+  if (metric === 'log_volume') return `${value.toFixed(1)} logs/min`;
+  if (metric === 'error_rate') return `${value.toFixed(1)} errors/min`;
+
+  const units = ['B/s', 'kB/s', 'MB/s', 'GB/s'];
+  let scaled = value;
+  let unit = 0;
+  while (scaled >= 1000 && unit < units.length - 1) {
+    scaled /= 1000;
+    unit++;
+  }
+  return `${scaled.toFixed(1)} ${units[unit]}`;
+}
+
+AnomalyDetector.METRICS = Object.keys(METRICS);
+AnomalyDetector.LABELS = LABELS;
+
+module.exports = AnomalyDetector;
@@ -0,0 +1,380 @@
+/**
+ * Dependency Graph
+ * Learns which services call which from live traffic instead of hard-coded
+ * names: trace spans, outbound-call messages, request IDs shared across
+ * services and the order in which services start failing. Edges point from
+ * caller to callee and are persisted so the topology survives restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// How much one observation of each kind of evidence adds to an edge
+const EVIDENCE_WEIGHTS = {
+  span: 1,
+  call: 1,
+  'request-id': 0.5,
+  'error-order': 0.2
+};
+
+// "calling user-service", "request to orders", "fetch from inventory", ...
+const CALL_PATTERN = /\b(?:call(?:ing|ed)?|request(?:ing|ed)?\s+to|sending\s+to|connect(?:ing|ed)?\s+to|forward(?:ing|ed)?\s+to|proxy(?:ing)?\s+to|fetch(?:ing)?\s+from|upstream|downstream|dependency)\s+(?:to\s+|service\s+)?["'`[(]?([a-z][\w.-]*)/gi;
+
+// "user-service returned 503", "orders timed out", ...
+const RESPONSE_PATTERN = /\b([a-z][\w.-]*)\s+(?:returned|responded|timed\s+out|is\s+unavailable|unavailable|refused)/gi;
+
+const URL_PATTERN = /\bhttps?:\/\/([a-z0-9][\w.-]*)(?::\d+)?/gi;
+
+class DependencyGraph {
+  /**
+   * @param {object} options - Options
+   * @param {string} options.persistPath - JSON file holding the learned graph (not persisted when unset)
+   * @param {Function} options.extractIds - (log) => [{ type, value }] correlation identifiers
+   * @param {number} options.errorWindowMs - Errors this close together count as propagation
+   * @param {number} options.requestTtlMs - How long a request ID is remembered
+   * @param {number} options.minEdgeWeight - Weight an edge needs before it is trusted
+   */
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.extractIds = options.extractIds || (() => []);
+    this.errorWindowMs = options.errorWindowMs || 5000;
+    this.requestTtlMs = options.requestTtlMs || 60000;
+    this.minEdgeWeight = options.minEdgeWeight || 1;
+    this.saveIntervalMs = options.saveIntervalMs || 30000;
+    this.maxRequests = options.maxRequests || 10000;
+
+    // service -> { service, logs, errors, firstSeen, lastSeen, lastErrorAt }
+    this.nodes = new Map();
+    // "SOURCE->TARGET" -> { source, target, weight, evidence, firstSeen, lastSeen }
+    this.edges = new Map();
+
+    // request ID -> { services: [], lastSeen } (services in the order they first logged it)
+    this.requests = new Map();
+    // service -> time of its latest error
+    this.recentErrors = new Map();
+
+    this.dirty = false;
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  /**
+   * Start persisting the graph periodically
+   */
+  start() {
+    if (this.saveTimer || !this.persistPath) return;
+
+    this.saveTimer = setInterval(() => this.save(), this.saveIntervalMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Stop the persistence timer and write the graph one last time
+   */
+  stop() {
+    if (this.saveTimer) {
+      clearInterval(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.save();
+  }
+
+  /**
+   * Learn from one log entry
+   * @param {object} log - Log entry
+   */
+  observe(log) {
+    if (!log || !log.service) return;
+
+    const service = String(log.service).toUpperCase();
+    const time = new Date(log.timestamp).getTime() || Date.now();
+    const timestamp = new Date(time).toISOString();
+    const isError = ['ERROR', 'CRITICAL'].includes(log.level);
+
+    const node = this.touchNode(service, timestamp);
+    node.logs++;
+
+    for (const target of this.extractCallTargets(log.message || '', service)) {
+      this.addEvidence(service, target, 'call', timestamp);
+    }
+
+    this.observeRequestIds(log, service, time, timestamp);
+
+    if (isError) {
+      node.errors++;
+      node.lastErrorAt = timestamp;
+
+      // A caller usually fails right after its dependency does
+      for (const [other, errorTime] of this.recentErrors) {
+        if (other !== service && time > errorTime && time - errorTime <= this.errorWindowMs) {
+          this.addEvidence(service, other, 'error-order', timestamp);
+        }
+      }
+      this.recentErrors.set(service, time);
+    }
+
+    this.dirty = true;
+  }
+
+  /**
+   * Learn from trace spans: a child span in another service is a direct call
+   * @param {object[]} spans - Spans ({ traceId, spanId, parentSpanId, service, startTime })
+   * @param {Function} getTraceSpans - Optional (traceId) => spans already stored for the trace
+   */
+  observeSpans(spans, getTraceSpans = null) {
+    const byId = new Map();
+    for (const span of spans) byId.set(span.spanId, span);
+
+    for (const span of spans) {
+      if (!span.parentSpanId || !span.service) continue;
+
+      let parent = byId.get(span.parentSpanId);
+      if (!parent && getTraceSpans) {
+        parent = getTraceSpans(span.traceId).find(s => s.spanId === span.parentSpanId);
+      }
+      if (!parent || !parent.service || parent.service === span.service) continue;
+
+      const timestamp = span.startTime || new Date().toISOString();
+      this.touchNode(parent.service, timestamp);
+      this.touchNode(span.service, timestamp);
+      this.addEvidence(parent.service, span.service, 'span', timestamp);
+    }
+
+    this.dirty = true;
+  }
+
+  /**
+   * Find the services a log message says were called
+   * @param {string} message - Log message
+   * @param {string} service - Service that wrote the message
+   * @returns {string[]} Target service names
+   */
+  extractCallTargets(message, service) {
+    const targets = new Set();
+
+    for (const match of message.matchAll(URL_PATTERN)) {
+      const host = match[1].toLowerCase();
+      // Compose service names and in-cluster DNS (svc.namespace.svc.cluster.local) name a service
+      const name = host.includes('.') ? (/\.svc(\.|$)/.test(host) ? host.split('.')[0] : null) : host;
+      if (name && name !== 'localhost') {
+        targets.add(this.resolveService(name) || name.toUpperCase());
+      }
+    }
+
+    for (const pattern of [CALL_PATTERN, RESPONSE_PATTERN]) {
+      for (const match of message.matchAll(pattern)) {
+        // Free-text names only count once the service is known, so "calling back" is ignored
+        const known = this.resolveService(match[1]);
+        if (known) targets.add(known);
+      }
+    }
+
+    targets.delete(service);
+    return Array.from(targets);
+  }
+
+  /**
+   * Link services that log the same request ID, in the order they first logged it
+   * @param {object} log - Log entry
+   * @param {string} service - Service that wrote the log
+   * @param {number} time - Log time (ms)
+   * @param {string} timestamp - Log time (ISO)
+   */
+  observeRequestIds(log, service, time, timestamp) {
+    for (const { type, value } of this.extractIds(log)) {
+      // Bare UUIDs are as likely to be entity IDs as request IDs
+      if (type === 'uuid') continue;
+
+      let request = this.requests.get(value);
+      if (!request || time - request.lastSeen > this.requestTtlMs) {
+        request = { services: [], lastSeen: time };
+        this.requests.delete(value);
+        this.requests.set(value, request);
+      }
+      request.lastSeen = Math.max(request.lastSeen, time);
+
+      if (!request.services.includes(service)) {
+        const previous = request.services[request.services.length - 1];
+        if (previous) {
+          this.addEvidence(previous, service, 'request-id', timestamp);
+        }
+        request.services.push(service);
+      }
+    }
+
+    // Maps iterate in insertion order, so the oldest requests go first
+    while (this.requests.size > this.maxRequests) {
+      this.requests.delete(this.requests.keys().next().value);
+    }
+  }
+
+  /**
+   * Get or create a node
+   * @param {string} service - Service name
+   * @param {string} timestamp - When the service was seen (ISO)
+   * @returns {object} Node
+   */
+  touchNode(service, timestamp) {
+    let node = this.nodes.get(service);
+    if (!node) {
+      node = { service, logs: 0, errors: 0, firstSeen: timestamp, lastSeen: timestamp, lastErrorAt: null };
+      this.nodes.set(service, node);
+    }
+    if (timestamp > node.lastSeen) node.lastSeen = timestamp;
+    return node;
+  }
+
+  /**
+   * Add one observation of evidence to a caller -> callee edge
+   * @param {string} source - Calling service
+   * @param {string} target - Called service
+   * @param {string} kind - Evidence kind (key of EVIDENCE_WEIGHTS)
+   * @param {string} timestamp - When it was observed (ISO)
+   */
+  addEvidence(source, target, kind, timestamp) {
+    if (source === target) return;
+
+    this.touchNode(source, timestamp);
+    this.touchNode(target, timestamp);
+
+    const key = `${source}->${target}`;
+    let edge = this.edges.get(key);
+    if (!edge) {
+      edge = { source, target, weight: 0, evidence: {}, firstSeen: timestamp, lastSeen: timestamp };
+      this.edges.set(key, edge);
+    }
+
+    edge.evidence[kind] = (edge.evidence[kind] || 0) + 1;
+    edge.weight = Math.round((edge.weight + EVIDENCE_WEIGHTS[kind]) * 100) / 100;
+    if (timestamp > edge.lastSeen) edge.lastSeen = timestamp;
+    this.dirty = true;
+  }
+
+  /**
+   * Match a free-form name (host, container, message token) to a known service
+   * @param {string} name - Candidate name
+   * @returns {string|null} Known service name
+   */
+  resolveService(name) {
+    if (!name) return null;
+
+    const candidate = String(name).toUpperCase().replace(/[\s_.]+/g, '-').replace(/-\d+$/, '');
+    if (this.nodes.has(candidate)) return candidate;
+
+    // "users" -> "USERS-SERVICE", "user-svc" -> "USER-SVC"
+    for (const service of this.nodes.keys()) {
+      if (service.replace(/-(SERVICE|SVC)$/, '') === candidate.replace(/-(SERVICE|SVC)$/, '')) {
+        return service;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * All services seen so far
+   * @returns {string[]} Service names
+   */
+  getServiceNames() {
+    return Array.from(this.nodes.keys());
+  }
+
+  /**
+   * Services a service depends on, directly or transitively, over trusted edges
+   * @param {string} service - Service name
+   * @param {number} minWeight - Weight an edge needs to be followed
+   * @returns {Set<string>} Dependencies
+   */
+  getDependencies(service, minWeight = this.minEdgeWeight) {
+    const dependencies = new Set();
+    const queue = [String(service).toUpperCase()];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const edge of this.edges.values()) {
+        if (edge.source === current && edge.weight >= minWeight && !dependencies.has(edge.target)) {
+          dependencies.add(edge.target);
+          queue.push(edge.target);
+        }
+      }
+    }
+
+    dependencies.delete(String(service).toUpperCase());
+    return dependencies;
+  }
+
+  /**
+   * The learned topology
+   * @param {object} options - Options
+   * @param {number} options.minWeight - Drop edges lighter than this (default: minEdgeWeight)
+   * @returns {object} { nodes, edges, updatedAt }
+   */
+  getTopology(options = {}) {
+    const minWeight = options.minWeight !== undefined ? options.minWeight : this.minEdgeWeight;
+    const edges = Array.from(this.edges.values())
+      .filter(edge => edge.weight >= minWeight)
+      .map(edge => ({ id: `${edge.source}->${edge.target}`, ...edge, evidence: { ...edge.evidence } }));
+
+    const nodes = Array.from(this.nodes.values()).map(node => ({
+      id: node.service,
+      ...node,
+      dependencies: edges.filter(edge => edge.source === node.service).map(edge => edge.target),
+      dependents: edges.filter(edge => edge.target === node.service).map(edge => edge.source)
+    }));
+
+    return { nodes, edges, minWeight, updatedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Forget everything learned
+   */
+  reset() {
+    this.nodes.clear();
+    this.edges.clear();
+    this.requests.clear();
+    this.recentErrors.clear();
+    this.dirty = true;
+    this.save();
+  }
+
+  /**
+   * Read the persisted graph
+   */
+  load() {
+    if (!this.persistPath) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf-8'));
+      for (const node of data.nodes || []) this.nodes.set(node.service, node);
+      for (const edge of data.edges || []) this.edges.set(`${edge.source}->${edge.target}`, edge);
+      console.log(`[DependencyGraph] Loaded ${this.nodes.size} services, ${this.edges.size} edges`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[DependencyGraph] Ignoring unreadable topology file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the graph to disk if it changed (write + rename so a crash never leaves half a file)
+   */
+  save() {
+    if (!this.persistPath || !this.dirty) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        nodes: Array.from(this.nodes.values()),
+        edges: Array.from(this.edges.values())
+      }, null, 2));
+      fs.renameSync(tmpPath, this.persistPath);
+      this.dirty = false;
+    } catch (error) {
+      console.error('[DependencyGraph] Failed to save topology:', error.message);
+    }
+  }
+}
+
+module.exports = DependencyGraph;
@@ -0,0 +1,180 @@
+/**
+ * Incident Clusterer
+ * Groups detected errors into incidents so a cascading failure becomes one
+ * incident instead of dozens of unrelated errors. An error joins an
+ * unresolved incident when it shares a correlation ID with it, has the same
+ * fingerprint (LogDatabase.errorFingerprint), or arrives within the
+ * clustering window of the incident's latest error; otherwise it opens a new one
+ */
+
+const EventEmitter = require('events');
+
+// Identifier types that tie errors to one request; bare UUIDs are often entity IDs
+const CLUSTER_ID_TYPES = ['trace', 'request', 'correlation'];
+
+class IncidentClusterer extends EventEmitter {
+  /**
+   * @param {object} options - Options
+   * @param {object} options.database - LogDatabase holding the incidents
+   * @param {Function} options.extractIds - (log) => [{ type, value }] correlation identifiers
+   * @param {number} options.windowMs - Errors this close to an incident's latest error join it
+   * @param {number} options.idTtlMs - How long a correlation ID keeps pointing at its incident
+   * @param {number} options.maxIds - Correlation IDs remembered
+   */
+  constructor(options = {}) {
+    super();
+    this.database = options.database;
+    this.extractIds = options.extractIds || (() => []);
+    this.windowMs = options.windowMs || 30000;
+    this.idTtlMs = options.idTtlMs || 10 * 60 * 1000;
+    this.maxIds = options.maxIds || 5000;
+
+    // correlation ID -> { incidentId, lastSeen }
+    this.ids = new Map();
+    // Errors are clustered one at a time so a burst cannot open several incidents
+    this.chain = Promise.resolve();
+  }
+
+  /**
+   * File an error under an incident
+   * @param {object} errorLog - Error log
+   * @returns {Promise<object|null>} { incident, created, matchedBy } (null if it could not be clustered)
+   */
+  add(errorLog) {
+    const result = this.chain.then(() => this.cluster(errorLog));
+    this.chain = result.catch(() => {});
+    return result.catch(error => {
+      console.error('[IncidentClusterer] Failed to cluster error:', error.message);
+      return null;
+    });
+  }
+
+  /**
+   * Find or open the incident for one error and record the occurrence
+   * @param {object} errorLog - Error log
+   * @returns {Promise<object>} { incident, created, matchedBy }
+   */
+  async cluster(errorLog) {
+    const errorHash = this.database.errorFingerprint(errorLog);
+    const timestamp = errorLog.timestamp || new Date().toISOString();
+    const ids = this.extractIds(errorLog)
+      .filter(id => CLUSTER_ID_TYPES.includes(id.type))
+      .map(id => id.value);
+
+    const match = await this.findMatch(errorHash, ids, timestamp);
+    let incident;
+
+    if (match) {
+      incident = await this.database.addErrorToIncident(match.incident.id, {
+        errorHash,
+        service: errorLog.service,
+        errorId: errorLog.id,
+        timestamp
+      });
+      if (errorLog.level === 'CRITICAL' && incident.severity !== 'critical') {
+        incident = await this.database.updateIncident(incident.id, { severity: 'critical' });
+      }
+    } else {
+      incident = await this.database.createIncident({
+        title: errorLog.message,
+        severity: errorLog.level === 'CRITICAL' ? 'critical' : 'high',
+        service: errorLog.service,
+        firstSeenService: errorLog.service,
+        errorHashes: [errorHash],
+        errorCount: 1,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+        lastErrorId: errorLog.id
+      });
+    }
+
+    this.rememberIds(ids, incident.id);
+
+    const result = { incident, created: !match, matchedBy: match?.matchedBy || null };
+    this.emit('incident-updated', this.describe(result));
+    return result;
+  }
+
+  /**
+   * Find the unresolved incident an error belongs to
+   * @param {string} errorHash - Error fingerprint
+   * @param {string[]} ids - Correlation IDs of the error
+   * @param {string} timestamp - Error time
+   * @returns {Promise<object|null>} { incident, matchedBy: 'correlation' | 'fingerprint' | 'time' }
+   */
+  async findMatch(errorHash, ids, timestamp) {
+    this.expireIds();
+
+    for (const id of ids) {
+      const entry = this.ids.get(id);
+      const incident = entry && await this.database.getIncident(entry.incidentId);
+      if (incident && incident.status !== 'resolved') {
+        return { incident, matchedBy: 'correlation' };
+      }
+    }
+
+    const byHash = await this.database.findIncidentByErrorHash(errorHash);
+    if (byHash) {
+      return { incident: byHash, matchedBy: 'fingerprint' };
+    }
+
+    // Most recently active incident whose latest error is within the window
+    const time = new Date(timestamp).getTime();
+    const recent = (await this.database.getUnresolvedIncidents())
+      .find(incident => Math.abs(time - new Date(incident.last_seen).getTime()) <= this.windowMs);
+
+    return recent ? { incident: recent, matchedBy: 'time' } : null;
+  }
+
+  /**
+   * Point an error's correlation IDs at its incident
+   * @param {string[]} ids - Correlation IDs
+   * @param {string} incidentId - Incident ID
+   */
+  rememberIds(ids, incidentId) {
+    const now = Date.now();
+    for (const id of ids) {
+      // Re-insert so the Map stays ordered by last use
+      this.ids.delete(id);
+      this.ids.set(id, { incidentId, lastSeen: now });
+    }
+
+    while (this.ids.size > this.maxIds) {
+      this.ids.delete(this.ids.keys().next().value);
+    }
+  }
+
+  /**
+   * Forget correlation IDs not seen within the TTL
+   */
+  expireIds() {
+    const cutoff = Date.now() - this.idTtlMs;
+    for (const [id, entry] of this.ids) {
+      if (entry.lastSeen >= cutoff) break;
+      this.ids.delete(id);
+    }
+  }
+
+  /**
+   * Payload of the incident-updated event
+   * @param {object} result - { incident, created, matchedBy }
+   * @returns {object} Incident summary
+   */
+  describe({ incident, created, matchedBy }) {
+    return {
+      id: incident.id,
+      title: incident.title,
+      status: incident.status,
+      severity: incident.severity,
+      errorCount: incident.error_count,
+      services: incident.services,
+      firstSeenService: incident.first_seen_service,
+      firstSeen: incident.first_seen,
+      lastSeen: incident.last_seen,
+      created,
+      matchedBy
+    };
+  }
+}
+
+module.exports = IncidentClusterer;
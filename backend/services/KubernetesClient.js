@@ -0,0 +1,211 @@
+/**
+ * Kubernetes API Client
+ * Minimal REST client for pod discovery and log streaming.
+ * Works in-cluster (service account), against `kubectl proxy`, or any
+ * API-compatible server given by KUBE_API_SERVER (e.g. a local fake for tests)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// In-cluster service account mount
+const SERVICE_ACCOUNT_DIR = '/var/run/secrets/kubernetes.io/serviceaccount';
+
+class KubernetesClient {
+  /**
+   * @param {object} config - The kubernetes section of services.config.js
+   * @param {string} config.apiServer - API base URL (e.g. http://127.0.0.1:8001)
+   * @param {string} config.token - Bearer token
+   * @param {string} config.tokenPath - File holding the bearer token
+   * @param {string} config.caPath - CA bundle for the API server certificate
+   * @param {boolean} config.insecureSkipTlsVerify - Skip certificate verification
+   * @param {number} config.requestTimeout - Timeout for non-streaming requests (ms)
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.requestTimeout = config.requestTimeout || 10000;
+    this.connection = null;
+  }
+
+  /**
+   * Resolve API server URL and credentials (lazily, so Docker-only setups never touch them)
+   * @returns {object|null} { baseUrl, token, ca } or null when no cluster is configured
+   */
+  resolveConnection() {
+    if (this.connection) return this.connection;
+
+    const readIfExists = (file) => {
+      try {
+        return file && fs.existsSync(file) ? fs.readFileSync(file, 'utf-8').trim() : null;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    let baseUrl = this.config.apiServer;
+    let token = this.config.token || readIfExists(this.config.tokenPath);
+    let ca = readIfExists(this.config.caPath);
+
+    // Fall back to in-cluster configuration
+    if (!baseUrl && process.env.KUBERNETES_SERVICE_HOST) {
+      baseUrl = `https://${process.env.KUBERNETES_SERVICE_HOST}:${process.env.KUBERNETES_SERVICE_PORT || 443}`;
+      token = token || readIfExists(`${SERVICE_ACCOUNT_DIR}/token`);
+      ca = ca || readIfExists(`${SERVICE_ACCOUNT_DIR}/ca.crt`);
+    }
+
+    if (!baseUrl) return null;
+
+    this.connection = { baseUrl: baseUrl.replace(/\/$/, ''), token, ca };
+    return this.connection;
+  }
+
+  /**
+   * Check whether a cluster connection is configured
+   * @returns {boolean} True if an API server is known
+   */
+  isConfigured() {
+    return !!this.resolveConnection();
+  }
+
+  /**
+   * Issue a GET request against the API server
+   * @param {string} path - API path including query string
+   * @param {object} options - Options
+   * @param {boolean} options.stream - Resolve with the response stream instead of parsed JSON
+   * @returns {Promise<object|http.IncomingMessage>} Parsed body or response stream
+   */
+  request(path, { stream = false } = {}) {
+    const connection = this.resolveConnection();
+    if (!connection) {
+      return Promise.reject(new Error('Kubernetes API server not configured (set KUBE_API_SERVER or run in-cluster)'));
+    }
+
+    const url = new URL(connection.baseUrl + path);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    const options = {
+      method: 'GET',
+      headers: { Accept: 'application/json' }
+    };
+
+    if (connection.token) {
+      options.headers.Authorization = `Bearer ${connection.token}`;
+    }
+
+    if (url.protocol === 'https:') {
+      if (connection.ca) options.ca = connection.ca;
+      if (this.config.insecureSkipTlsVerify) options.rejectUnauthorized = false;
+    }
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, options, (res) => {
+        if (res.statusCode >= 400) {
+          let body = '';
+          res.on('data', chunk => { body += chunk; });
+          res.on('end', () => {
+            let message = body;
+            try {
+              message = JSON.parse(body).message || body;
+            } catch (e) {
+              // Plain text error body
+            }
+            const error = new Error(`Kubernetes API ${res.statusCode}: ${message}`);
+            error.statusCode = res.statusCode;
+            reject(error);
+          });
+          return;
+        }
+
+        if (stream) {
+          resolve(res);
+          return;
+        }
+
+        let body = '';
+        res.setEncoding('utf-8');
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(body));
+          } catch (e) {
+            reject(new Error(`Invalid JSON from Kubernetes API: ${e.message}`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+
+      // Log streams stay open indefinitely; only bound regular requests
+      if (!stream) {
+        req.setTimeout(this.requestTimeout, () => {
+          req.destroy(new Error('Kubernetes API request timeout'));
+        });
+      }
+
+      req.end();
+    });
+  }
+
+  /**
+   * List pods in a namespace ('*' for all namespaces)
+   * @param {string} namespace - Namespace
+   * @param {string} labelSelector - Label selector (e.g. "app.kubernetes.io/part-of=shop")
+   * @returns {Promise<object[]>} Pod objects
+   */
+  async listPods(namespace, labelSelector = '') {
+    const base = namespace === '*'
+      ? '/api/v1/pods'
+      : `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods`;
+    const query = labelSelector ? `?labelSelector=${encodeURIComponent(labelSelector)}` : '';
+
+    const list = await this.request(base + query);
+    return list.items || [];
+  }
+
+  /**
+   * Get a single pod
+   * @param {string} namespace - Namespace
+   * @param {string} name - Pod name
+   * @returns {Promise<object>} Pod object
+   */
+  getPod(namespace, name) {
+    return this.request(`/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Get a ReplicaSet (used to resolve a pod's owning Deployment)
+   * @param {string} namespace - Namespace
+   * @param {string} name - ReplicaSet name
+   * @returns {Promise<object>} ReplicaSet object
+   */
+  getReplicaSet(namespace, name) {
+    return this.request(`/apis/apps/v1/namespaces/${encodeURIComponent(namespace)}/replicasets/${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Open a pod log stream
+   * @param {string} namespace - Namespace
+   * @param {string} pod - Pod name
+   * @param {object} options - Log options
+   * @param {string} options.container - Container name
+   * @param {boolean} options.follow - Keep the stream open
+   * @param {boolean} options.previous - Read the previous (crashed) container instance
+   * @param {string} options.sinceTime - RFC3339 start time
+   * @param {number} options.tailLines - Lines to read from the end
+   * @returns {Promise<http.IncomingMessage>} Response stream
+   */
+  streamPodLogs(namespace, pod, options = {}) {
+    const params = new URLSearchParams({ timestamps: 'true' });
+    if (options.container) params.set('container', options.container);
+    if (options.follow) params.set('follow', 'true');
+    if (options.previous) params.set('previous', 'true');
+    if (options.sinceTime) params.set('sinceTime', options.sinceTime);
+    if (options.tailLines) params.set('tailLines', String(options.tailLines));
+
+    const path = `/api/v1/namespaces/${encodeURIComponent(namespace)}/pods/${encodeURIComponent(pod)}/log?${params}`;
+    return this.request(path, { stream: true });
+  }
+}
+
+module.exports = KubernetesClient;
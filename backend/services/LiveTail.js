@@ -0,0 +1,254 @@
+/**
+ * Live Tail
+ * Pushes new logs to Socket.io clients, each through its own subscription
+ * (services, minimum level or levels, query; see database/logQuery.js).
+ * Clients with the same filter share a room, so each log is matched once
+ * per filter rather than once per client.
+ *
+ * Every client has a queue. A batch is sent only once the client has
+ * acknowledged the previous one (or the ack timed out), so a slow browser
+ * falls behind instead of buffering without bound: past maxQueue the oldest
+ * queued logs are dropped, and the next batch starts with a marker
+ * { marker: 'skipped', count } saying how many were lost
+ */
+
+const crypto = require('crypto');
+const { LEVELS, parseLogQuery, matchesLogQuery } = require('../database/logQuery');
+
+// Room of clients without a filter
+const ALL_LOGS = {};
+
+class LiveTail {
+  /**
+   * @param {object} options - Options (see config.liveTail)
+   * @param {object} options.io - Socket.io server
+   * @param {Function} options.getRecentLogs - count -> buffered logs, oldest first
+   * @param {number} options.batchIntervalMs - Time between deliveries
+   * @param {number} options.maxBatch - Most logs sent in one batch
+   * @param {number} options.maxQueue - Most logs queued per client
+   * @param {number} options.ackTimeoutMs - Time a client has to acknowledge a batch
+   * @param {number} options.recentLogs - Buffered logs sent back on subscribe
+   */
+  constructor(options = {}) {
+    this.io = options.io;
+    this.getRecentLogs = options.getRecentLogs || (() => []);
+    this.batchIntervalMs = options.batchIntervalMs || 100;
+    this.maxBatch = options.maxBatch || 200;
+    this.maxQueue = options.maxQueue || 1000;
+    this.ackTimeoutMs = options.ackTimeoutMs || 10000;
+    this.recentLogs = options.recentLogs || 200;
+
+    // Logs received since the last delivery
+    this.pending = [];
+    // room -> { filter, matches }
+    this.rooms = new Map();
+    // socket.id -> { socket, room, queue, skipped, inFlight }
+    this.clients = new Map();
+    this.totalSkipped = 0;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.deliver(), this.batchIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue a new log for delivery
+   * @param {object} log - Collected log
+   */
+  push(log) {
+    if (this.clients.size > 0) this.pending.push(log);
+  }
+
+  /**
+   * Start tailing for a client, with every log until it subscribes
+   * @param {object} socket - Socket.io socket
+   */
+  addClient(socket) {
+    this.clients.set(socket.id, { socket, room: null, queue: [], skipped: 0, inFlight: false });
+    this.subscribe(socket, ALL_LOGS);
+  }
+
+  removeClient(socket) {
+    this.clients.delete(socket.id);
+  }
+
+  /**
+   * Move a client to the room for a filter. Logs already queued for it are
+   * dropped, since they matched the previous filter
+   * @param {object} socket - Socket.io socket
+   * @param {object} filter - { services, minLevel, levels, query }; empty for every log
+   * @returns {object} { filter (normalized), logs (buffered logs matching it, oldest first) }
+   * @throws {Error} 400 when the filter is malformed
+   */
+  subscribe(socket, filter = {}) {
+    const client = this.clients.get(socket.id);
+    if (!client) {
+      throw this.requestError('Not connected', 409);
+    }
+
+    const compiled = this.compileFilter(filter || {});
+    const room = `tail:${crypto.createHash('sha1').update(JSON.stringify(compiled.filter)).digest('hex').slice(0, 16)}`;
+
+    if (!this.rooms.has(room)) this.rooms.set(room, compiled);
+    if (client.room && client.room !== room) socket.leave(client.room);
+    socket.join(room);
+    client.room = room;
+    client.queue = [];
+    client.skipped = 0;
+
+    return { filter: compiled.filter, logs: this.recentLogsFor(socket, this.recentLogs) };
+  }
+
+  /**
+   * Buffered logs matching a client's subscription
+   * @param {object} socket - Socket.io socket
+   * @param {number} count - Most logs returned
+   * @returns {object[]} Logs, oldest first
+   */
+  recentLogsFor(socket, count) {
+    const client = this.clients.get(socket.id);
+    const room = client && this.rooms.get(client.room);
+    if (!room) return [];
+    return this.getRecentLogs(Infinity).filter(room.matches).slice(-count);
+  }
+
+  /**
+   * Normalize a filter and build its matcher. Time ranges in the query are
+   * ignored: every tailed log is new
+   * @param {object} filter - { services, minLevel, levels, query }
+   * @returns {object} { filter, matches: log -> boolean }
+   */
+  compileFilter({ services, minLevel, levels, query }) {
+    const normalized = {
+      services: [].concat(services || []).map(s => String(s).toUpperCase()).sort(),
+      minLevel: minLevel ? String(minLevel).toUpperCase() : null,
+      levels: [].concat(levels || []).map(l => String(l).toUpperCase()).sort(),
+      query: query ? String(query).trim() : ''
+    };
+
+    for (const level of [normalized.minLevel, ...normalized.levels].filter(Boolean)) {
+      if (!LEVELS.includes(level)) {
+        throw this.requestError(`Unknown level "${level}" (expected ${LEVELS.join(', ')})`);
+      }
+    }
+    // Matched against every new log on the event loop, so this rejects the
+    // regexes the search rejects (too long, or nested quantifiers)
+    const { terms } = parseLogQuery(normalized.query);
+
+    const minRank = normalized.minLevel ? LEVELS.indexOf(normalized.minLevel) : -1;
+    const matches = (log) => {
+      if (normalized.services.length > 0 && !normalized.services.includes(log.service)) return false;
+      if (normalized.levels.length > 0 && !normalized.levels.includes(log.level)) return false;
+      if (minRank >= 0 && LEVELS.indexOf(log.level) < minRank) return false;
+      return terms.length === 0 || matchesLogQuery(log, terms);
+    };
+
+    return { filter: normalized, matches };
+  }
+
+  /**
+   * Match the pending logs against each room and send every client what it
+   * can take
+   */
+  deliver() {
+    const logs = this.pending;
+    this.pending = [];
+
+    for (const [room, { matches }] of this.rooms) {
+      const members = this.io.sockets.adapter.rooms.get(room);
+      if (!members || members.size === 0) {
+        this.rooms.delete(room);
+        continue;
+      }
+      if (logs.length === 0) continue;
+
+      const matched = logs.filter(matches);
+      if (matched.length === 0) continue;
+
+      for (const id of members) {
+        const client = this.clients.get(id);
+        if (client) this.enqueue(client, matched);
+      }
+    }
+
+    for (const client of this.clients.values()) {
+      this.send(client);
+    }
+  }
+
+  enqueue(client, logs) {
+    client.queue.push(...logs);
+
+    const overflow = client.queue.length - this.maxQueue;
+    if (overflow > 0) {
+      client.queue.splice(0, overflow);
+      client.skipped += overflow;
+      this.totalSkipped += overflow;
+    }
+  }
+
+  /**
+   * Send the next batch unless the previous one is still unacknowledged
+   * @param {object} client - Client state
+   */
+  send(client) {
+    if (client.inFlight || (client.queue.length === 0 && client.skipped === 0)) return;
+
+    const batch = client.queue.splice(0, this.maxBatch);
+    if (client.skipped > 0) {
+      batch.unshift({
+        id: `skipped-${crypto.randomUUID()}`,
+        marker: 'skipped',
+        count: client.skipped,
+        timestamp: new Date().toISOString()
+      });
+      client.skipped = 0;
+    }
+
+    client.inFlight = true;
+    // Clients without an ack handler time out, which also releases the next batch
+    client.socket.timeout(this.ackTimeoutMs).emit('logs-batch', batch, () => {
+      client.inFlight = false;
+      if (this.clients.get(client.socket.id) === client) this.send(client);
+    });
+  }
+
+  /**
+   * Subscriptions and backpressure counters
+   * @returns {object} { clients, subscriptions: [{ filter, clients }], queued, skipped }
+   */
+  getStatus() {
+    // Rooms left empty are only pruned on the next delivery
+    const subscriptions = [...this.rooms]
+      .map(([room, { filter }]) => ({ filter, clients: this.io.sockets.adapter.rooms.get(room)?.size || 0 }))
+      .filter(subscription => subscription.clients > 0);
+
+    return {
+      clients: this.clients.size,
+      subscriptions,
+      queued: [...this.clients.values()].reduce((sum, client) => sum + client.queue.length, 0),
+      skipped: this.totalSkipped
+    };
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = LiveTail;
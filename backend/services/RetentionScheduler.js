@@ -0,0 +1,107 @@
+/**
+ * Retention Scheduler
+ * Keeps storage bounded without anyone calling the cleanup endpoint:
+ * - every rollupFlushIntervalMs, writes the log, error and metric counts
+ *   gathered at ingest to the hourly and daily rollups
+ * - every intervalMs, applies the retention tiers (LogDatabase.cleanup),
+ *   which flushes the rollups once more before deleting raw rows
+ */
+
+const EventEmitter = require('events');
+
+class RetentionScheduler extends EventEmitter {
+  /**
+   * @param {object} options - Options (see config.retention)
+   * @param {object} options.database - LogDatabase
+   * @param {number} options.intervalMs - Time between retention passes
+   * @param {number} options.rollupFlushIntervalMs - Time between rollup flushes
+   */
+  constructor(options = {}) {
+    super();
+    this.database = options.database;
+    this.intervalMs = options.intervalMs || 60 * 60 * 1000;
+    this.rollupFlushIntervalMs = options.rollupFlushIntervalMs || 60 * 1000;
+
+    this.running = null;
+    this.lastRun = null;
+    this.nextRunAt = null;
+    this.timers = [];
+  }
+
+  /**
+   * Flush rollups and apply retention on a schedule. The first retention pass
+   * runs after one flush interval, so restarts don't put it off indefinitely
+   */
+  start() {
+    if (this.timers.length > 0) return;
+
+    this.timers.push(setInterval(() => {
+      this.database.flushRollups().catch(error => console.error('[RetentionScheduler] Rollup flush failed:', error.message));
+    }, this.rollupFlushIntervalMs));
+
+    this.schedule(this.rollupFlushIntervalMs);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.nextRunAt = null;
+  }
+
+  schedule(delayMs) {
+    this.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    const timer = setTimeout(() => {
+      this.timers = this.timers.filter(t => t !== timer);
+      this.run()
+        .catch(error => console.error('[RetentionScheduler] Retention pass failed:', error.message))
+        .finally(() => {
+          if (this.nextRunAt) this.schedule(this.intervalMs);
+        });
+    }, delayMs);
+    this.timers.push(timer);
+  }
+
+  /**
+   * Apply the retention tiers now. Concurrent calls share one pass
+   * @returns {Promise<object>} { cutoffs, removed, startedAt, durationMs }
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.apply().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async apply() {
+    const startedAt = Date.now();
+    const { cutoffs, removed } = await this.database.cleanup(startedAt);
+
+    this.lastRun = {
+      cutoffs,
+      removed,
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt
+    };
+    this.emit('retention-applied', this.lastRun);
+    return this.lastRun;
+  }
+
+  /**
+   * Retention tiers and the last and next pass
+   * @returns {object} { tiers, intervalMs, rollupFlushIntervalMs, lastRun, nextRunAt, pendingRollups }
+   */
+  getStatus() {
+    return {
+      tiers: this.database.retention,
+      intervalMs: this.intervalMs,
+      rollupFlushIntervalMs: this.rollupFlushIntervalMs,
+      lastRun: this.lastRun,
+      nextRunAt: this.nextRunAt,
+      pendingRollups: this.database.pendingRollups.size
+    };
+  }
+}
+
+module.exports = RetentionScheduler;
@@ -0,0 +1,130 @@
+/**
+ * Saved Searches
+ * Named log queries (query language, see database/logQuery.js) shared by
+ * everyone using the Logs page, kept in a JSON file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseLogQuery } = require('../database/logQuery');
+
+class SavedSearches {
+  /**
+   * @param {object} options - Options (see config.search)
+   * @param {string} options.persistPath - JSON file holding the searches (not persisted when unset)
+   * @param {number} options.maxSavedSearches - Most searches kept
+   */
+  constructor(options = {}) {
+    this.persistPath = options.persistPath || null;
+    this.maxSavedSearches = options.maxSavedSearches || 100;
+
+    // id -> { id, name, query, createdAt, updatedAt }
+    this.searches = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Saved searches by name
+   * @returns {object[]} Searches
+   */
+  listSearches() {
+    return [...this.searches.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a query under a name; saving an existing name replaces its query
+   * @param {object} data - { name, query }
+   * @returns {object} The saved search
+   * @throws {Error} 400 when the name is missing or the query does not parse
+   */
+  saveSearch({ name, query } = {}) {
+    const trimmed = String(name || '').trim().substring(0, 100);
+    if (!trimmed) {
+      throw this.requestError('Search name is required');
+    }
+    if (!query || !String(query).trim()) {
+      throw this.requestError('Search query is required');
+    }
+    parseLogQuery(query);
+
+    const now = new Date().toISOString();
+    const existing = this.listSearches().find(s => s.name.toLowerCase() === trimmed.toLowerCase());
+    if (existing) {
+      Object.assign(existing, { name: trimmed, query: String(query), updatedAt: now });
+      this.save();
+      return existing;
+    }
+
+    if (this.searches.size >= this.maxSavedSearches) {
+      throw this.requestError(`At most ${this.maxSavedSearches} searches can be saved`, 409);
+    }
+
+    const search = { id: crypto.randomUUID(), name: trimmed, query: String(query), createdAt: now, updatedAt: now };
+    this.searches.set(search.id, search);
+    this.save();
+    return search;
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Search ID
+   * @returns {object} The deleted search
+   * @throws {Error} 404 when unknown
+   */
+  deleteSearch(id) {
+    const search = this.searches.get(id);
+    if (!search) {
+      throw this.requestError(`Saved search ${id} not found`, 404);
+    }
+    this.searches.delete(id);
+    this.save();
+    return search;
+  }
+
+  load() {
+    if (!this.persistPath) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf-8'));
+      for (const search of data.searches || []) {
+        this.searches.set(search.id, search);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[SavedSearches] Ignoring unreadable saved searches file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write the searches to disk (write + rename so a crash never leaves half a file)
+   */
+  save() {
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ searches: this.listSearches() }));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error('[SavedSearches] Failed to save searches:', error.message);
+    }
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+module.exports = SavedSearches;
@@ -1,6 +1,6 @@
 /**
  * Service Discovery
- * Automatically discovers and manages Docker containers to monitor
+ * Automatically discovers and manages Docker containers (or Kubernetes pods) to monitor
  */
 
 const { exec } = require('child_process');
@@ -19,6 +19,12 @@ class ServiceDiscovery extends EventEmitter {
     this.requiredLabels = config.requiredLabels || [];
     this.refreshInterval = config.refreshInterval || 30000;
 
+    // Kubernetes mode
+    this.kubernetesClient = config.kubernetesClient || null;
+    this.namespaces = config.namespaces || ['default'];
+    this.labelSelector = config.labelSelector || '';
+    this.workloadCache = new Map();
+
     this.services = new Map();
     this.isRunning = false;
     this.refreshTimer = null;
@@ -38,8 +44,8 @@ class ServiceDiscovery extends EventEmitter {
     // Initial discovery
     await this.discover();
 
-    // Set up periodic refresh for auto mode
-    if (this.discoveryMode === 'auto') {
+    // Set up periodic refresh for modes where targets come and go
+    if (['auto', 'kubernetes'].includes(this.discoveryMode)) {
       this.refreshTimer = setInterval(() => {
         this.discover().catch(err => {
           console.error('[ServiceDiscovery] Refresh error:', err.message);
@@ -77,6 +83,9 @@ class ServiceDiscovery extends EventEmitter {
         case 'pattern':
           containers = await this.discoverByPattern();
           break;
+        case 'kubernetes':
+          containers = await this.discoverKubernetes();
+          break;
         case 'auto':
         default:
           containers = await this.discoverAuto();
@@ -192,6 +201,105 @@ class ServiceDiscovery extends EventEmitter {
     });
   }
 
+  /**
+   * Kubernetes discovery - one target per running pod container in the watched namespaces
+   */
+  async discoverKubernetes() {
+    if (!this.kubernetesClient || !this.kubernetesClient.isConfigured()) {
+      console.warn('[ServiceDiscovery] Kubernetes mode selected but no API server configured');
+      return [];
+    }
+
+    const targets = [];
+
+    for (const namespace of this.namespaces) {
+      const pods = await this.kubernetesClient.listPods(namespace, this.labelSelector);
+
+      for (const pod of pods) {
+        // Completed/failed pods have nothing to follow
+        if (!['Running', 'Pending'].includes(pod.status?.phase)) continue;
+
+        const workload = await this.resolveWorkload(pod);
+        if (this.excludePatterns.some(pattern => pattern.test(workload.name))) continue;
+
+        for (const container of pod.spec?.containers || []) {
+          const status = (pod.status?.containerStatuses || []).find(c => c.name === container.name);
+
+          targets.push({
+            name: `${pod.metadata.namespace}/${pod.metadata.name}/${container.name}`,
+            platform: 'kubernetes',
+            namespace: pod.metadata.namespace,
+            pod: pod.metadata.name,
+            container: container.name,
+            workload,
+            serviceName: this.workloadToServiceName(workload),
+            image: container.image,
+            status: pod.status.phase,
+            restartCount: status?.restartCount || 0,
+            labels: pod.metadata.labels || {},
+            discoveredAt: new Date().toISOString()
+          });
+        }
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Resolve the workload (Deployment, StatefulSet, DaemonSet, Job) that owns a pod
+   * @param {object} pod - Pod object
+   * @returns {Promise<object>} { kind, name }
+   */
+  async resolveWorkload(pod) {
+    const namespace = pod.metadata.namespace;
+    const owners = pod.metadata.ownerReferences || [];
+    const owner = owners.find(o => o.controller) || owners[0];
+
+    if (!owner) {
+      // Bare pod - fall back to the conventional app labels
+      const labels = pod.metadata.labels || {};
+      return { kind: 'Pod', name: labels['app.kubernetes.io/name'] || labels.app || pod.metadata.name };
+    }
+
+    if (owner.kind !== 'ReplicaSet') {
+      return { kind: owner.kind, name: owner.name };
+    }
+
+    // Deployments own pods through a ReplicaSet
+    const cacheKey = `${namespace}/${owner.name}`;
+    if (this.workloadCache.has(cacheKey)) {
+      return this.workloadCache.get(cacheKey);
+    }
+
+    let workload = { kind: 'ReplicaSet', name: owner.name };
+    try {
+      const replicaSet = await this.kubernetesClient.getReplicaSet(namespace, owner.name);
+      const rsOwner = (replicaSet.metadata?.ownerReferences || []).find(o => o.controller);
+      if (rsOwner) {
+        workload = { kind: rsOwner.kind, name: rsOwner.name };
+      }
+    } catch (error) {
+      // Missing RBAC for replicasets - strip the pod-template hash instead
+      const hash = pod.metadata.labels?.['pod-template-hash'];
+      if (hash && owner.name.endsWith(`-${hash}`)) {
+        workload = { kind: 'Deployment', name: owner.name.slice(0, -(hash.length + 1)) };
+      }
+    }
+
+    this.workloadCache.set(cacheKey, workload);
+    return workload;
+  }
+
+  /**
+   * Map a workload to a LogLens service name (e.g. user-service -> USER-SERVICE)
+   * @param {object} workload - { kind, name }
+   * @returns {string} Service name
+   */
+  workloadToServiceName(workload) {
+    return workload.name.toUpperCase();
+  }
+
   /**
    * Get all running containers
    */
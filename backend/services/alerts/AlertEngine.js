@@ -0,0 +1,672 @@
+/**
+ * Alert Engine
+ * User-defined alert rules evaluated against the live error, metrics and
+ * prediction streams. A rule fires once its condition holds within its
+ * evaluation window; the same rule firing for the same subject again within
+ * its cooldown is counted on the first alert instead of notifying again.
+ * Rules and alert history are persisted
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { CHANNEL_TYPES, validateChannel, notify } = require('./notifiers');
+
+const MINUTE = 60 * 1000;
+
+// Rule type -> default conditions
+const RULE_TYPES = {
+  // At least `threshold` errors from a service within the window
+  'error-rate': { threshold: 10, windowMs: 5 * MINUTE },
+  // An error fingerprint seen `threshold` times within the window
+  fingerprint: { threshold: 1, windowMs: 60 * MINUTE },
+  // CPU and/or memory of a service critical for the whole window (0 = immediately)
+  resource: { metric: 'any', windowMs: 0 },
+  // A new prediction at or above `minConfidence`
+  prediction: { minConfidence: 0.7, windowMs: 0 }
+};
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+const RESOURCE_METRICS = ['any', 'cpu', 'memory'];
+
+/**
+ * Ascending event times within a sliding window. Expired times are dropped
+ * from the front and counts use a binary search, so recording and counting
+ * stay cheap however many errors the window holds
+ */
+class TimeWindow {
+  constructor() {
+    this.times = [];
+    this.head = 0;
+  }
+
+  /**
+   * Add a time and drop the times that left the window
+   * @param {number} time - Time (ms)
+   * @param {number} windowMs - Window to keep
+   */
+  add(time, windowMs) {
+    // Keep the times sorted if the clock steps back
+    const last = this.times.length > this.head ? this.times[this.times.length - 1] : -Infinity;
+    this.times.push(Math.max(time, last));
+    this.head = this.indexAfter(time - windowMs);
+
+    // Compact once most of the array is expired
+    if (this.head > 1024 && this.head * 2 > this.times.length) {
+      this.times = this.times.slice(this.head);
+      this.head = 0;
+    }
+  }
+
+  /**
+   * Number of times after a cutoff
+   * @param {number} cutoff - Time (ms)
+   * @returns {number} Count
+   */
+  countAfter(cutoff) {
+    return this.times.length - this.indexAfter(cutoff);
+  }
+
+  /**
+   * Index of the first live time after a cutoff
+   * @param {number} cutoff - Time (ms)
+   * @returns {number} Index
+   */
+  indexAfter(cutoff) {
+    let low = this.head;
+    let high = this.times.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.times[mid] > cutoff) high = mid;
+      else low = mid + 1;
+    }
+    return low;
+  }
+}
+
+class AlertEngine extends EventEmitter {
+  /**
+   * @param {object} options - Options
+   * @param {string} options.persistPath - JSON file holding rules and history (not persisted when unset)
+   * @param {number} options.maxHistory - Alerts kept in history
+   * @param {number} options.defaultCooldownMs - Cooldown of rules that do not set one
+   * @param {Function} options.criticalResources - (serviceMetrics) => ['cpu', 'memory'] past their critical threshold
+   * @param {object} options.smtp - { host, port, secure, user, pass, from } for email channels
+   * @param {number} options.timeoutMs - Timeout of each notification
+   * @param {number} options.saveDelayMs - Delay before duplicate counts are written to disk
+   */
+  constructor(options = {}) {
+    super();
+    this.persistPath = options.persistPath || null;
+    this.maxHistory = options.maxHistory || 500;
+    this.defaultCooldownMs = options.defaultCooldownMs || 15 * MINUTE;
+    this.criticalResources = options.criticalResources || (() => []);
+    this.saveDelayMs = options.saveDelayMs || 5000;
+    this.notifierConfig = {
+      smtp: options.smtp || {},
+      timeoutMs: options.timeoutMs || 10000
+    };
+
+    // ruleId -> rule, in creation order
+    this.rules = new Map();
+    // Fired alerts, oldest first
+    this.history = [];
+    // "ruleId|subject" -> { lastFiredAt, alertId } for cooldowns
+    this.cooldowns = new Map();
+    // "ruleId|service" -> { since, fired } while a resource stays critical
+    this.resourceEpisodes = new Map();
+
+    // service -> TimeWindow of errors, fingerprint -> TimeWindow of errors
+    this.errorTimes = new Map();
+    this.fingerprintTimes = new Map();
+
+    // Set by stop(); nothing fires while shutting down
+    this.stopped = false;
+    // Pending save of duplicate counts (see scheduleSave)
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  /**
+   * Stop firing alerts, so shutdown sends no notifications, and write any
+   * pending duplicate counts to disk
+   */
+  stop() {
+    this.stopped = true;
+    if (this.saveTimer) this.save();
+  }
+
+  /**
+   * List rules
+   * @returns {object[]} Rules
+   */
+  listRules() {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Create a rule
+   * @param {object} data - Rule fields
+   * @returns {object} Rule
+   */
+  createRule(data = {}) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: `rule-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ...this.normalizeRule(data),
+      createdAt: now,
+      updatedAt: now,
+      lastFiredAt: null
+    };
+
+    this.rules.set(rule.id, rule);
+    this.save();
+    return rule;
+  }
+
+  /**
+   * Update a rule (the type cannot change)
+   * @param {string} id - Rule ID
+   * @param {object} changes - Rule fields
+   * @returns {object} Rule
+   */
+  updateRule(id, changes = {}) {
+    const rule = this.requireRule(id);
+    const updated = {
+      ...rule,
+      ...this.normalizeRule({ ...rule, ...changes, type: rule.type }),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.rules.set(id, updated);
+    this.resetRuleState(id);
+    this.save();
+    return updated;
+  }
+
+  /**
+   * Delete a rule (its alerts stay in history)
+   * @param {string} id - Rule ID
+   * @returns {object} Deleted rule
+   */
+  deleteRule(id) {
+    const rule = this.requireRule(id);
+    this.rules.delete(id);
+    this.resetRuleState(id);
+    this.save();
+    return rule;
+  }
+
+  /**
+   * Validate rule fields and fill in defaults
+   * @param {object} data - Rule fields
+   * @returns {object} Normalized fields
+   */
+  normalizeRule(data) {
+    const defaults = RULE_TYPES[data.type];
+    if (!defaults) {
+      throw this.requestError(`Rule type must be one of ${Object.keys(RULE_TYPES).join(', ')}`);
+    }
+    if (!data.name || !String(data.name).trim()) {
+      throw this.requestError('Rule name is required');
+    }
+
+    const severity = data.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+      throw this.requestError(`Severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const number = (value, fallback, name, min = 0) => {
+      const parsed = value === undefined || value === null || value === '' ? fallback : Number(value);
+      if (!Number.isFinite(parsed) || parsed < min) {
+        throw this.requestError(`${name} must be a number of at least ${min}`);
+      }
+      return parsed;
+    };
+
+    if (data.channels !== undefined && data.channels !== null && !Array.isArray(data.channels)) {
+      throw this.requestError('channels must be an array');
+    }
+    const channels = (data.channels || []).map(channel => {
+      const normalized = channel && typeof channel === 'object'
+        ? { type: channel.type, target: String(channel.target || '').trim() }
+        : null;
+      const problem = validateChannel(normalized, this.notifierConfig);
+      if (problem) throw this.requestError(problem);
+      return normalized;
+    });
+
+    const rule = {
+      name: String(data.name).trim().substring(0, 100),
+      type: data.type,
+      enabled: data.enabled !== false,
+      severity,
+      service: String(data.service || '*').trim() || '*',
+      windowMs: number(data.windowMs, defaults.windowMs, 'windowMs'),
+      cooldownMs: number(data.cooldownMs, this.defaultCooldownMs, 'cooldownMs'),
+      channels
+    };
+
+    if (data.type === 'error-rate' || data.type === 'fingerprint') {
+      rule.threshold = number(data.threshold, defaults.threshold, 'threshold', 1);
+      if (rule.windowMs < 1000) {
+        throw this.requestError('windowMs must be at least 1000 for counting rules');
+      }
+    }
+
+    if (data.type === 'fingerprint') {
+      rule.fingerprint = String(data.fingerprint || '').trim();
+      if (!rule.fingerprint) {
+        throw this.requestError('fingerprint is required');
+      }
+      rule.fingerprintLabel = data.fingerprintLabel ? String(data.fingerprintLabel).substring(0, 200) : null;
+    }
+
+    if (data.type === 'resource') {
+      rule.metric = data.metric || defaults.metric;
+      if (!RESOURCE_METRICS.includes(rule.metric)) {
+        throw this.requestError(`metric must be one of ${RESOURCE_METRICS.join(', ')}`);
+      }
+    }
+
+    if (data.type === 'prediction') {
+      rule.minConfidence = number(data.minConfidence, defaults.minConfidence, 'minConfidence');
+      if (rule.minConfidence > 1) {
+        throw this.requestError('minConfidence is a fraction between 0 and 1');
+      }
+      rule.predictionType = data.predictionType || null;
+    }
+
+    return rule;
+  }
+
+  /**
+   * Record a detected error and evaluate error-rate and fingerprint rules
+   * @param {object} errorLog - Error log
+   * @param {string} fingerprint - Normalized error hash
+   */
+  observeError(errorLog, fingerprint) {
+    const now = Date.now();
+    const windowMs = this.longestWindow(['error-rate', 'fingerprint']);
+    const serviceTimes = this.recordTime(this.errorTimes, errorLog.service, now, windowMs);
+    const fingerprintTimes = this.recordTime(this.fingerprintTimes, fingerprint, now, windowMs);
+
+    for (const rule of this.activeRules('error-rate')) {
+      if (!this.matchesService(rule, errorLog.service)) continue;
+
+      const count = serviceTimes.countAfter(now - rule.windowMs);
+      if (count >= rule.threshold) {
+        this.fire(rule, errorLog.service, {
+          service: errorLog.service,
+          title: `${count} errors in ${this.formatWindow(rule.windowMs)} from ${errorLog.service}`,
+          message: `Latest: ${(errorLog.message || '').substring(0, 300)}`,
+          details: { count, threshold: rule.threshold, windowMs: rule.windowMs, errorId: errorLog.id }
+        });
+      }
+    }
+
+    for (const rule of this.activeRules('fingerprint')) {
+      if (rule.fingerprint !== fingerprint || !this.matchesService(rule, errorLog.service)) continue;
+
+      const count = fingerprintTimes.countAfter(now - rule.windowMs);
+      if (count >= rule.threshold) {
+        this.fire(rule, fingerprint, {
+          service: errorLog.service,
+          title: `Error seen again in ${errorLog.service}${count > 1 ? ` (${count}× in ${this.formatWindow(rule.windowMs)})` : ''}`,
+          message: (errorLog.message || '').substring(0, 500),
+          details: { count, threshold: rule.threshold, fingerprint, errorId: errorLog.id }
+        });
+      }
+    }
+  }
+
+  /**
+   * Evaluate resource rules against a round of MonitorAgent metrics
+   * @param {object[]} metrics - Service metrics ({ service, cpuPercent, memoryPercent, status })
+   */
+  observeMetrics(metrics) {
+    const now = Date.now();
+
+    for (const rule of this.activeRules('resource')) {
+      for (const serviceMetrics of metrics) {
+        if (!this.matchesService(rule, serviceMetrics.service)) continue;
+
+        const key = `${rule.id}|${serviceMetrics.service}`;
+        const critical = this.criticalResources(serviceMetrics)
+          .filter(resource => rule.metric === 'any' || resource === rule.metric);
+
+        if (critical.length === 0) {
+          // Recovered: the next critical episode can fire again
+          this.resourceEpisodes.delete(key);
+          continue;
+        }
+
+        const episode = this.resourceEpisodes.get(key) || { since: now, fired: false };
+        this.resourceEpisodes.set(key, episode);
+        if (episode.fired || now - episode.since < rule.windowMs) continue;
+
+        episode.fired = true;
+        const usage = critical.map(resource => resource === 'cpu'
+          ? `CPU ${serviceMetrics.cpuPercent.toFixed(1)}%`
+          : `memory ${serviceMetrics.memoryPercent.toFixed(1)}%`);
+        this.fire(rule, serviceMetrics.service, {
+          service: serviceMetrics.service,
+          title: `${serviceMetrics.service} is critical: ${usage.join(', ')}`,
+          message: rule.windowMs > 0
+            ? `Critical for more than ${this.formatWindow(rule.windowMs)}`
+            : 'Resource usage crossed the critical threshold',
+          details: { resources: critical, cpuPercent: serviceMetrics.cpuPercent, memoryPercent: serviceMetrics.memoryPercent }
+        });
+      }
+    }
+  }
+
+  /**
+   * Evaluate prediction rules against a newly stored prediction
+   * @param {object} prediction - Stored prediction ({ prediction_type, service, predicted_issue, confidence, time_horizon })
+   */
+  observePrediction(prediction) {
+    for (const rule of this.activeRules('prediction')) {
+      if (!this.matchesService(rule, prediction.service)) continue;
+      if (rule.predictionType && rule.predictionType !== prediction.prediction_type) continue;
+      if ((prediction.confidence || 0) < rule.minConfidence) continue;
+
+      this.fire(rule, `${prediction.service}|${prediction.prediction_type}`, {
+        service: prediction.service,
+        title: `Predicted ${String(prediction.prediction_type).replace(/_/g, ' ')} in ${prediction.service} (${Math.round(prediction.confidence * 100)}% confidence)`,
+        message: `${prediction.predicted_issue}${prediction.time_horizon ? ` — expected within ${prediction.time_horizon}` : ''}`,
+        details: { predictionId: prediction.id, type: prediction.prediction_type, confidence: prediction.confidence }
+      });
+    }
+  }
+
+  /**
+   * Raise an alert unless the rule already fired for this subject within its cooldown
+   * @param {object} rule - Rule
+   * @param {string} subject - What the alert is about (service, fingerprint, ...)
+   * @param {object} content - { service, title, message, details }
+   * @returns {object|null} Alert, or null when suppressed or stopped
+   */
+  fire(rule, subject, content) {
+    if (this.stopped) return null;
+
+    const now = Date.now();
+    const key = `${rule.id}|${subject}`;
+    const cooldown = this.cooldowns.get(key);
+
+    if (cooldown && now - cooldown.lastFiredAt < rule.cooldownMs) {
+      const previous = this.history.find(alert => alert.id === cooldown.alertId);
+      if (previous) {
+        previous.duplicates++;
+        previous.lastDuplicateAt = new Date(now).toISOString();
+        this.scheduleSave();
+      }
+      return null;
+    }
+
+    const alert = {
+      id: `alert-${now}-${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      ruleType: rule.type,
+      severity: rule.severity,
+      subject,
+      service: content.service || null,
+      title: content.title,
+      message: content.message,
+      details: content.details || {},
+      firedAt: new Date(now).toISOString(),
+      duplicates: 0,
+      lastDuplicateAt: null,
+      notifications: [],
+      test: false
+    };
+
+    this.cooldowns.set(key, { lastFiredAt: now, alertId: alert.id });
+    rule.lastFiredAt = alert.firedAt;
+    this.record(alert);
+    this.emit('alert-fired', alert);
+    this.dispatch(rule, alert);
+
+    return alert;
+  }
+
+  /**
+   * Send a sample alert through a rule's channels
+   * @param {string} id - Rule ID
+   * @returns {Promise<object>} Test alert with notification results
+   */
+  async testRule(id) {
+    const rule = this.requireRule(id);
+    if (rule.channels.length === 0) {
+      throw this.requestError('Rule has no notification channels');
+    }
+
+    const alert = {
+      id: `alert-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      ruleType: rule.type,
+      severity: rule.severity,
+      subject: 'test',
+      service: rule.service === '*' ? null : rule.service,
+      title: 'Test notification',
+      message: `This is a test of the "${rule.name}" alert rule.`,
+      details: {},
+      firedAt: new Date().toISOString(),
+      duplicates: 0,
+      lastDuplicateAt: null,
+      notifications: [],
+      test: true
+    };
+
+    this.record(alert);
+    await this.dispatch(rule, alert);
+    return alert;
+  }
+
+  /**
+   * Notify every channel of the rule and keep the outcomes on the alert
+   * @param {object} rule - Rule
+   * @param {object} alert - Alert
+   */
+  async dispatch(rule, alert) {
+    if (rule.channels.length === 0) return;
+
+    alert.notifications = await Promise.all(rule.channels.map(channel => notify(channel, alert, this.notifierConfig)));
+    for (const result of alert.notifications.filter(n => !n.ok)) {
+      console.warn(`[AlertEngine] ${result.type} notification for "${rule.name}" failed:`, result.error);
+    }
+
+    this.emit('alert-notified', alert);
+    this.save();
+  }
+
+  /**
+   * List alerts, newest first
+   * @param {object} options - { ruleId, limit }
+   * @returns {object[]} Alerts
+   */
+  listHistory({ ruleId = null, limit = 100 } = {}) {
+    return this.history
+      .filter(alert => !ruleId || alert.ruleId === ruleId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * Rule and channel choices for the rules editor, and whether email can be used
+   * @returns {object} { ruleTypes, severities, resourceMetrics, channelTypes, email }
+   */
+  getOptions() {
+    return {
+      ruleTypes: RULE_TYPES,
+      severities: SEVERITIES,
+      resourceMetrics: RESOURCE_METRICS,
+      channelTypes: CHANNEL_TYPES,
+      email: { configured: !!this.notifierConfig.smtp.host, from: this.notifierConfig.smtp.from || null }
+    };
+  }
+
+  /**
+   * Enabled rules of one type
+   * @param {string} type - Rule type
+   * @returns {object[]} Rules
+   */
+  activeRules(type) {
+    return this.listRules().filter(rule => rule.enabled && rule.type === type);
+  }
+
+  /**
+   * Whether a rule applies to a service ("*" = every service)
+   * @param {object} rule - Rule
+   * @param {string} service - Service name
+   * @returns {boolean} True if it applies
+   */
+  matchesService(rule, service) {
+    return rule.service === '*' || rule.service.toUpperCase() === String(service || '').toUpperCase();
+  }
+
+  /**
+   * Add a time to a series, dropping times older than the window
+   * @param {Map} series - key -> TimeWindow
+   * @param {string} key - Series key
+   * @param {number} time - Time (ms)
+   * @param {number} windowMs - Window to keep
+   * @returns {TimeWindow} Times in the window
+   */
+  recordTime(series, key, time, windowMs) {
+    let times = series.get(key);
+    if (!times) {
+      times = new TimeWindow();
+      series.set(key, times);
+    }
+    times.add(time, windowMs);
+    return times;
+  }
+
+  /**
+   * Longest evaluation window among enabled rules of the given types
+   * @param {string[]} types - Rule types
+   * @returns {number} Window (ms)
+   */
+  longestWindow(types) {
+    return Math.max(MINUTE, ...this.listRules()
+      .filter(rule => rule.enabled && types.includes(rule.type))
+      .map(rule => rule.windowMs));
+  }
+
+  /**
+   * Human-readable window length
+   * @param {number} ms - Window
+   * @returns {string} e.g. "5m", "1h", "30s"
+   */
+  formatWindow(ms) {
+    if (ms >= 60 * MINUTE && ms % (60 * MINUTE) === 0) return `${ms / (60 * MINUTE)}h`;
+    if (ms >= MINUTE && ms % MINUTE === 0) return `${ms / MINUTE}m`;
+    return `${Math.round(ms / 1000)}s`;
+  }
+
+  /**
+   * Forget cooldowns and critical episodes of a rule (after it changes)
+   * @param {string} id - Rule ID
+   */
+  resetRuleState(id) {
+    for (const map of [this.cooldowns, this.resourceEpisodes]) {
+      for (const key of map.keys()) {
+        if (key.startsWith(`${id}|`)) map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Add an alert to history
+   * @param {object} alert - Alert
+   */
+  record(alert) {
+    this.history.push(alert);
+    if (this.history.length > this.maxHistory) {
+      this.history.splice(0, this.history.length - this.maxHistory);
+    }
+    this.save();
+  }
+
+  /**
+   * Get a rule or throw a 404
+   * @param {string} id - Rule ID
+   * @returns {object} Rule
+   */
+  requireRule(id) {
+    const rule = this.rules.get(id);
+    if (!rule) {
+      throw this.requestError(`Alert rule ${id} not found`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Load persisted rules and history
+   */
+  load() {
+    if (!this.persistPath) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf-8'));
+      for (const rule of data.rules || []) {
+        this.rules.set(rule.id, rule);
+      }
+      this.history = (data.history || []).slice(-this.maxHistory);
+      console.log(`[AlertEngine] Loaded ${this.rules.size} alert rules`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[AlertEngine] Ignoring unreadable alerts file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Save after a delay, so a burst of suppressed duplicates costs one write;
+   * any other save, or stop(), writes them sooner
+   */
+  scheduleSave() {
+    if (!this.persistPath || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write rules and history to disk (write + rename so a crash never leaves half a file)
+   */
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ rules: this.listRules(), history: this.history }));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error('[AlertEngine] Failed to save alerts:', error.message);
+    }
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+AlertEngine.RULE_TYPES = RULE_TYPES;
+
+module.exports = AlertEngine;
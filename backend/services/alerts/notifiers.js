@@ -0,0 +1,158 @@
+/**
+ * Alert Notifiers
+ * Deliver a fired alert to one channel: a generic JSON webhook, a
+ * Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat) or email
+ */
+
+const { sendMail } = require('./smtp');
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'email'];
+
+const SEVERITY_COLORS = {
+  critical: '#e5484d',
+  warning: '#f5a524',
+  info: '#3e9bf5'
+};
+
+/**
+ * POST a JSON body
+ * @param {string} url - Target URL
+ * @param {object} body - Payload
+ * @param {number} timeoutMs - Request timeout
+ */
+async function postJson(url, body, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`${response.status} ${text.substring(0, 200)}`.trim());
+  }
+}
+
+/**
+ * Plain-text rendering of an alert (email body, webhook summary)
+ * @param {object} alert - Alert
+ * @returns {string} Text
+ */
+function formatText(alert) {
+  const lines = [
+    `${alert.severity.toUpperCase()}: ${alert.title}`,
+    '',
+    alert.message,
+    '',
+    `Rule: ${alert.ruleName} (${alert.ruleType})`,
+    `Fired: ${alert.firedAt}`
+  ];
+  if (alert.service) lines.push(`Service: ${alert.service}`);
+  return lines.join('\n');
+}
+
+/**
+ * Recipients of an email channel
+ * @param {string} target - Comma or semicolon separated addresses
+ * @returns {string[]} Addresses
+ */
+function recipients(target) {
+  return String(target || '').split(/[,;]/).map(address => address.trim()).filter(Boolean);
+}
+
+const NOTIFIERS = {
+  webhook: (channel, alert, config) => postJson(channel.target, {
+    event: 'alert',
+    text: formatText(alert),
+    alert
+  }, config.timeoutMs),
+
+  slack: (channel, alert, config) => postJson(channel.target, {
+    text: `*[${alert.severity.toUpperCase()}] ${alert.ruleName}*: ${alert.title}`,
+    attachments: [{
+      color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info,
+      text: alert.message,
+      footer: `LogLens${alert.service ? ` · ${alert.service}` : ''}`,
+      ts: Math.floor(new Date(alert.firedAt).getTime() / 1000)
+    }]
+  }, config.timeoutMs),
+
+  email: (channel, alert, config) => sendMail({ ...config.smtp, timeoutMs: config.timeoutMs }, {
+    from: config.smtp.from,
+    to: recipients(channel.target),
+    subject: `[LogLens] [${alert.severity.toUpperCase()}] ${alert.ruleName}: ${alert.title}`,
+    text: formatText(alert)
+  })
+};
+
+/**
+ * Check a channel definition
+ * @param {object} channel - { type, target }
+ * @param {object} config - Notifier config ({ smtp })
+ * @returns {string|null} Problem, or null when valid
+ */
+function validateChannel(channel, config) {
+  if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+    return `Channel type must be one of ${CHANNEL_TYPES.join(', ')}`;
+  }
+
+  if (channel.type === 'email') {
+    if (!config.smtp?.host) return 'Email channels need SMTP_HOST to be configured';
+    const addresses = recipients(channel.target);
+    if (addresses.length === 0 || addresses.some(address => !/^[^\s@<>]+@[^\s@<>]+$/.test(address))) {
+      return 'Email channel needs one or more valid addresses';
+    }
+    return null;
+  }
+
+  try {
+    const url = new URL(channel.target);
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+  } catch {
+    return `${channel.type === 'slack' ? 'Slack' : 'Webhook'} channel needs an http(s) URL`;
+  }
+  return null;
+}
+
+/**
+ * Where a channel delivers, without secrets (incoming webhook URLs embed their token)
+ * @param {object} channel - { type, target }
+ * @returns {string} Display target
+ */
+function describeTarget(channel) {
+  if (channel.type === 'email') return recipients(channel.target).join(', ');
+  try {
+    const url = new URL(channel.target);
+    return url.pathname.length > 1 ? `${url.origin}/…` : url.origin;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Send an alert to one channel. Never throws; the outcome is returned
+ * @param {object} channel - { type, target }
+ * @param {object} alert - Alert
+ * @param {object} config - { smtp, timeoutMs }
+ * @returns {Promise<object>} { type, target, ok, error, sentAt }
+ */
+async function notify(channel, alert, config) {
+  const result = { type: channel.type, target: describeTarget(channel), ok: true, error: null, sentAt: new Date().toISOString() };
+
+  try {
+    await NOTIFIERS[channel.type](channel, alert, config);
+  } catch (error) {
+    result.ok = false;
+    result.error = error.name === 'TimeoutError' ? `Timed out after ${config.timeoutMs}ms` : error.message;
+  }
+
+  return result;
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  validateChannel,
+  describeTarget,
+  notify
+};
@@ -0,0 +1,271 @@
+/**
+ * SMTP
+ * Minimal SMTP client for alert emails: implicit TLS or STARTTLS, AUTH PLAIN
+ * or LOGIN, one plain-text message per connection. Credentials are only sent
+ * over an encrypted connection unless allowInsecureAuth is set
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * One SMTP conversation; replies are read in order
+ */
+class SmtpConnection {
+  /**
+   * @param {net.Socket} socket - Connected socket
+   * @param {number} timeoutMs - Longest wait for a reply
+   */
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    // Lines of the reply being received
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.failure = null;
+    this.attach(socket);
+  }
+
+  /**
+   * Read replies from a socket (called again after STARTTLS)
+   * @param {net.Socket} socket - Socket
+   */
+  attach(socket) {
+    this.detach();
+    this.socket = socket;
+    socket.on('data', chunk => this.receive(chunk.toString('utf-8')));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  /**
+   * Stop reading from the current socket (before it is handed to TLS)
+   */
+  detach() {
+    if (!this.socket) return;
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+  }
+
+  /**
+   * Split incoming data into replies ("250-..." continues a reply, "250 ..." ends it)
+   * @param {string} chunk - Data
+   */
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.substring(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.substring(index + 1);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.substring(0, 3)), lines: this.lines.map(l => l.substring(4)) };
+        this.lines = [];
+        if (this.waiting) {
+          const { resolve } = this.waiting;
+          this.waiting = null;
+          resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  /**
+   * Reject the pending read
+   * @param {Error} error - Failure
+   */
+  fail(error) {
+    this.failure = this.failure || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+
+  /**
+   * Wait for the next reply
+   * @returns {Promise<object>} { code, lines }
+   */
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.failure) return Promise.reject(this.failure);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => this.fail(new Error('SMTP server did not reply in time')), this.timeoutMs);
+      this.waiting = {
+        resolve: reply => { clearTimeout(timer); resolve(reply); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      };
+    });
+  }
+
+  /**
+   * Read a reply and check its code
+   * @param {number[]} codes - Accepted codes
+   * @param {string} step - Command, for the error message
+   * @returns {Promise<object>} Reply
+   */
+  async expect(codes, step) {
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${step} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  /**
+   * Send a command and check the reply
+   * @param {string} line - Command
+   * @param {number[]} codes - Accepted codes
+   * @param {string} step - Name for errors (defaults to the command; keeps credentials out of messages)
+   * @returns {Promise<object>} Reply
+   */
+  async command(line, codes, step = line) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes, step);
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+  }
+}
+
+/**
+ * Open a TCP or TLS connection
+ * @param {object} options - { host, port, secure, timeoutMs }
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(new Error(`Could not connect to SMTP server ${host}:${port}`));
+    }, timeoutMs);
+
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      clearTimeout(timer);
+      socket.removeListener('error', onError);
+      resolve(socket);
+    });
+    const onError = (error) => {
+      clearTimeout(timer);
+      reject(error);
+    };
+    socket.once('error', onError);
+  });
+}
+
+/**
+ * Encode a header value that is not plain ASCII (RFC 2047)
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
+
+/**
+ * Build the message (base64 body, so no line can start with a dot)
+ * @param {object} mail - { from, to, subject, text }
+ * @param {string} domain - Sender domain for the Message-ID
+ * @returns {string} Message
+ */
+function buildMessage({ from, to, subject, text }, domain) {
+  const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * Send one email
+ * @param {object} server - { host, port, secure, startTls, allowInsecureAuth, user, pass, timeoutMs }
+ * @param {object} mail - { from, to: string[], subject, text }
+ * @returns {Promise<object>} { accepted: string[] }
+ */
+async function sendMail(server, mail) {
+  const options = {
+    host: server.host,
+    port: server.port || (server.secure ? 465 : 587),
+    secure: !!server.secure,
+    timeoutMs: server.timeoutMs || 10000
+  };
+  const address = (value) => (value.match(/<([^>]+)>/) || [null, value])[1].trim();
+  const hostname = os.hostname() || 'localhost';
+
+  const connection = new SmtpConnection(await connect(options), options.timeoutMs);
+
+  try {
+    await connection.expect([220], 'greeting');
+    let ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+    let encrypted = options.secure;
+
+    if (!options.secure && server.startTls !== false && ehlo.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      connection.detach();
+      const secureSocket = await new Promise((resolve, reject) => {
+        const socket = tls.connect({ socket: connection.socket, servername: options.host }, () => resolve(socket));
+        socket.once('error', reject);
+      });
+      connection.attach(secureSocket);
+      encrypted = true;
+      ehlo = await connection.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (server.user) {
+      if (!encrypted && !server.allowInsecureAuth) {
+        throw new Error('SMTP server does not offer STARTTLS; refusing to send credentials unencrypted (set SMTP_ALLOW_INSECURE_AUTH=true to allow)');
+      }
+      const methods = (ehlo.lines.find(line => /^AUTH\b/i.test(line)) || '').toUpperCase();
+      if (methods.includes('PLAIN') || !methods.includes('LOGIN')) {
+        const token = Buffer.from(`\0${server.user}\0${server.pass || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      } else {
+        await connection.command('AUTH LOGIN', [334]);
+        await connection.command(Buffer.from(server.user).toString('base64'), [334], 'AUTH LOGIN user');
+        await connection.command(Buffer.from(server.pass || '').toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${address(mail.from)}>`, [250]);
+    const accepted = [];
+    for (const recipient of mail.to) {
+      await connection.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+      accepted.push(recipient);
+    }
+
+    await connection.command('DATA', [354]);
+    await connection.command(`${buildMessage(mail, address(mail.from).split('@')[1] || hostname)}\r\n.`, [250], 'message');
+    await connection.command('QUIT', [221]).catch(() => {});
+
+    return { accepted };
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = {
+  sendMail,
+  buildMessage
+};
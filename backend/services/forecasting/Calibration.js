@@ -0,0 +1,97 @@
+/**
+ * Prediction Calibration
+ * Tracks how often predictions of each type came true, per band of raw model
+ * confidence, and pulls new confidences towards the observed hit rate. With
+ * few outcomes the raw confidence dominates; as outcomes accumulate the
+ * calibrated value converges on the band's hit rate
+ */
+
+const BANDS = 5;
+
+class Calibration {
+  /**
+   * @param {object} options - Options
+   * @param {number} options.priorWeight - Outcomes the raw confidence is worth
+   * @param {object} options.outcomes - Saved state: type -> [{ predictions, hits }] per band
+   */
+  constructor(options = {}) {
+    this.priorWeight = options.priorWeight || 10;
+    this.outcomes = options.outcomes || {};
+  }
+
+  /**
+   * Band of a raw confidence
+   * @param {number} confidence - 0..1
+   * @returns {number} Band index
+   */
+  band(confidence) {
+    return Math.min(BANDS - 1, Math.max(0, Math.floor(confidence * BANDS)));
+  }
+
+  /**
+   * Record whether a prediction came true
+   * @param {string} type - Prediction type
+   * @param {number} rawConfidence - Model confidence before calibration
+   * @param {boolean} hit - true positive
+   */
+  record(type, rawConfidence, hit) {
+    if (!this.outcomes[type]) {
+      this.outcomes[type] = Array.from({ length: BANDS }, () => ({ predictions: 0, hits: 0 }));
+    }
+    const band = this.outcomes[type][this.band(rawConfidence)];
+    band.predictions++;
+    if (hit) band.hits++;
+  }
+
+  /**
+   * Take back an outcome recorded earlier (when a user overrides a verdict)
+   * @param {string} type - Prediction type
+   * @param {number} rawConfidence - Model confidence before calibration
+   * @param {boolean} hit - Outcome that was recorded
+   */
+  remove(type, rawConfidence, hit) {
+    const band = this.outcomes[type]?.[this.band(rawConfidence)];
+    if (!band || band.predictions === 0) return;
+    band.predictions--;
+    if (hit && band.hits > 0) band.hits--;
+  }
+
+  /**
+   * Calibrated confidence
+   * @param {string} type - Prediction type
+   * @param {number} rawConfidence - Model confidence
+   * @returns {object} { confidence, outcomes } (outcomes: predictions verified in this band)
+   */
+  calibrate(type, rawConfidence) {
+    const band = this.outcomes[type]?.[this.band(rawConfidence)];
+    if (!band || band.predictions === 0) {
+      return { confidence: rawConfidence, outcomes: 0 };
+    }
+
+    const confidence = (band.hits + rawConfidence * this.priorWeight) / (band.predictions + this.priorWeight);
+    return { confidence, outcomes: band.predictions };
+  }
+
+  /**
+   * Observed hit rates per type and band
+   * @returns {object} type -> [{ range, predictions, hits, hitRate }]
+   */
+  getSummary() {
+    const summary = {};
+    for (const [type, bands] of Object.entries(this.outcomes)) {
+      summary[type] = bands.map((band, index) => ({
+        range: [index / BANDS, (index + 1) / BANDS],
+        predictions: band.predictions,
+        hits: band.hits,
+        hitRate: band.predictions > 0 ? band.hits / band.predictions : null
+      }));
+    }
+    return summary;
+  }
+
+  toJSON() {
+    return this.outcomes;
+  }
+}
+
+module.exports = Calibration;
@@ -0,0 +1,469 @@
+/**
+ * Forecaster
+ * Generates predictions from forecasts instead of fixed thresholds, on a
+ * schedule and on demand:
+ * - memory_pressure: linear projection of container memory growth to its
+ *   limit (memoryTotalMB), i.e. time to OOM
+ * - resource_exhaustion: linear projection of CPU to the critical threshold
+ * - error_spike: Holt-Winters (two days of history or more) or Holt's linear
+ *   trend forecast of each service's errors over the next horizon
+ * The PredictionTracker confirms or expires each prediction; those outcomes
+ * (recordOutcome) calibrate the confidence of later predictions
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const Calibration = require('./Calibration');
+const {
+  Z_80,
+  normalCdf,
+  resample,
+  linearRegression,
+  holtLinear,
+  holtWinters,
+  forecastTotal
+} = require('./models');
+
+const HOUR = 60 * 60 * 1000;
+// Error counts are forecast in 15-minute steps with a daily season
+const ERROR_BUCKET_MS = 15 * 60 * 1000;
+const ERROR_SEASON = (24 * HOUR) / ERROR_BUCKET_MS;
+// Resource samples are averaged per minute before fitting
+const RESOURCE_BUCKET_MS = 60 * 1000;
+const MIN_RESOURCE_POINTS = 10;
+const MIN_ERROR_BUCKETS = 8;
+
+class Forecaster extends EventEmitter {
+  /**
+   * @param {object} options - Options (see config.forecasting)
+   * @param {object} options.database - LogDatabase (metrics history, log volume, predictions)
+   * @param {object} options.thresholds - MonitorAgent thresholds ({ cpu: { critical } })
+   * @param {number} options.intervalMs - Time between scheduled runs
+   * @param {number} options.resourceWindowHours - Metrics history fitted for resource projections
+   * @param {number} options.horizonHours - How far ahead resources are projected
+   * @param {number} options.errorHistoryHours - Error history the error forecast is fitted on
+   * @param {number} options.errorHorizonMs - Error forecast horizon
+   * @param {number} options.errorSpikeFactor - Errors over the usual rate (times) that make a spike
+   * @param {number} options.minErrors - Fewest errors in the horizon that count as a spike
+   * @param {number} options.minConfidence - Calibrated confidence needed to store a prediction
+   * @param {string} options.persistPath - JSON file holding calibration
+   */
+  constructor(options = {}) {
+    super();
+    this.database = options.database;
+    this.thresholds = options.thresholds || { cpu: { critical: 80 } };
+    this.intervalMs = options.intervalMs || 15 * 60 * 1000;
+    this.resourceWindowHours = options.resourceWindowHours || 2;
+    this.horizonHours = options.horizonHours || 6;
+    this.errorHistoryHours = options.errorHistoryHours || 72;
+    this.errorHorizonMs = options.errorHorizonMs || HOUR;
+    this.errorSpikeFactor = options.errorSpikeFactor || 2;
+    this.minErrors = options.minErrors || 5;
+    this.minConfidence = options.minConfidence ?? 0.5;
+    this.persistPath = options.persistPath || null;
+
+    this.calibration = new Calibration();
+    this.lastRun = null;
+    this.running = null;
+    this.timer = null;
+
+    this.load();
+  }
+
+  /**
+   * Run on a schedule
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('[Forecaster] Scheduled run failed:', error.message));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Forecast and store new predictions. Concurrent calls share one run
+   * @param {object} options - { service } to limit forecasting to one service
+   * @returns {Promise<object>} { generated, predictions, basedOn, calibration }
+   */
+  run(options = {}) {
+    if (!this.running) {
+      this.running = this.execute(options).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async execute({ service = null } = {}) {
+    const resources = await this.forecastResources(service);
+    const errors = await this.forecastErrors(service);
+    const predictions = [];
+
+    for (const forecast of [...resources.forecasts, ...errors.forecasts]) {
+      const prediction = await this.store(forecast);
+      if (prediction) predictions.push(prediction);
+    }
+
+    this.lastRun = {
+      at: new Date().toISOString(),
+      generated: predictions.length
+    };
+    this.save();
+
+    return {
+      generated: predictions.length,
+      predictions,
+      basedOn: {
+        metricsHistory: resources.samples,
+        logVolumeBuckets: errors.buckets,
+        services: [...new Set([...resources.services, ...errors.services])]
+      },
+      calibration: this.calibration.getSummary()
+    };
+  }
+
+  /**
+   * Calibrate and store a forecast as a prediction, unless one of the same
+   * type and service is still active
+   * @param {object} forecast - { type, service, issue, rawConfidence, timeHorizon, deadline, check, basedOn }
+   * @returns {Promise<object|null>} Stored prediction
+   */
+  async store(forecast) {
+    const active = await this.database.getActivePredictions(forecast.service);
+    if (active.some(prediction => prediction.prediction_type === forecast.type)) return null;
+
+    // The models' own uncertainty is only approximate, so no forecast is treated as certain
+    forecast.rawConfidence = Math.min(0.99, Math.max(0.01, forecast.rawConfidence));
+    const { confidence, outcomes } = this.calibration.calibrate(forecast.type, forecast.rawConfidence);
+    if (confidence < this.minConfidence) return null;
+
+    const prediction = await this.database.storePrediction({
+      type: forecast.type,
+      service: forecast.service,
+      issue: forecast.issue,
+      confidence: round(confidence),
+      timeHorizon: forecast.timeHorizon,
+      expiresAt: forecast.deadline,
+      basedOn: {
+        ...forecast.basedOn,
+        // What the PredictionTracker looks for to confirm the prediction
+        check: forecast.check,
+        rawConfidence: forecast.rawConfidence,
+        calibrationOutcomes: outcomes
+      }
+    });
+
+    this.emit('prediction-created', prediction);
+    return prediction;
+  }
+
+  /**
+   * Project memory and CPU of every service with enough recent metrics
+   * @param {string|null} service - Only this service
+   * @returns {Promise<object>} { forecasts, samples, services }
+   */
+  async forecastResources(service) {
+    const rows = await this.database.getMetricsHistory(service, this.resourceWindowHours);
+    const byService = new Map();
+    for (const row of rows) {
+      if (!byService.has(row.service)) byService.set(row.service, []);
+      byService.get(row.service).push(row);
+    }
+
+    const forecasts = [];
+    for (const [name, serviceRows] of byService) {
+      const latestLimit = serviceRows.map(row => row.memory_limit_mb).filter(limit => limit > 0).pop();
+      if (latestLimit) {
+        forecasts.push(this.projectToLimit({
+          type: 'memory_pressure',
+          service: name,
+          rows: serviceRows,
+          column: 'memory_usage_mb',
+          limit: latestLimit,
+          describe: (time, interval) =>
+            `${name} memory is growing towards its ${Math.round(latestLimit)} MB limit; out of memory in about ${time} (80% interval ${interval})`
+        }));
+      }
+
+      const cpuLimit = this.thresholds.cpu.critical;
+      forecasts.push(this.projectToLimit({
+        type: 'resource_exhaustion',
+        service: name,
+        rows: serviceRows,
+        column: 'cpu_percent',
+        limit: cpuLimit,
+        describe: (time, interval) =>
+          `${name} CPU is trending up; critical (${cpuLimit}%) in about ${time} (80% interval ${interval})`
+      }));
+    }
+
+    return {
+      forecasts: forecasts.filter(Boolean),
+      samples: rows.length,
+      services: Array.from(byService.keys())
+    };
+  }
+
+  /**
+   * Linear projection of one resource to a limit
+   * @param {object} options - { type, service, rows, column, limit, describe(time, interval) }
+   * @returns {object|null} Forecast, or null when the resource is not heading for the limit
+   */
+  projectToLimit({ type, service, rows, column, limit, describe }) {
+    const now = Date.now();
+    const points = resample(
+      rows
+        .filter(row => typeof row[column] === 'number')
+        .map(row => ({ t: new Date(row.timestamp).getTime(), value: row[column] })),
+      RESOURCE_BUCKET_MS
+    );
+    if (points.length < MIN_RESOURCE_POINTS) return null;
+
+    // x in hours before now, so the slope is per hour
+    const fit = linearRegression(points.map(p => ({ x: (p.t - now) / HOUR, y: p.value })));
+    if (!fit || fit.slope <= 0) return null;
+
+    const current = Math.max(fit.predict(0), points[points.length - 1].value);
+    const remaining = limit - current;
+    if (remaining <= 0) return null;
+
+    const hoursToLimit = remaining / fit.slope;
+    if (hoursToLimit > this.horizonHours * 2) return null;
+
+    // P(slope is at least what reaching the limit within the horizon needs)
+    const neededSlope = remaining / this.horizonHours;
+    const rawConfidence = fit.slopeStdError > 0
+      ? normalCdf((fit.slope - neededSlope) / fit.slopeStdError)
+      : (fit.slope >= neededSlope ? 0.99 : 0.01);
+
+    const fastSlope = fit.slope + Z_80 * fit.slopeStdError;
+    const slowSlope = fit.slope - Z_80 * fit.slopeStdError;
+    const earliest = remaining / fastSlope;
+    const latest = slowSlope > 0 ? remaining / slowSlope : null;
+
+    return {
+      type,
+      service,
+      rawConfidence,
+      issue: describe(
+        formatDuration(hoursToLimit * HOUR),
+        `${formatDuration(earliest * HOUR)} to ${latest !== null ? formatDuration(latest * HOUR) : 'not reached'}`
+      ),
+      timeHorizon: formatDuration(hoursToLimit * HOUR),
+      deadline: now + this.horizonHours * HOUR,
+      check: { metric: column, threshold: round(limit * (column === 'memory_usage_mb' ? 0.95 : 1)) },
+      basedOn: {
+        model: fit.model,
+        metric: column,
+        current: round(current),
+        limit: round(limit),
+        slopePerHour: round(fit.slope),
+        r2: round(fit.r2),
+        samples: points.length,
+        expectedAt: new Date(now + hoursToLimit * HOUR).toISOString(),
+        interval: {
+          level: 0.8,
+          earliest: new Date(now + earliest * HOUR).toISOString(),
+          latest: latest !== null ? new Date(now + latest * HOUR).toISOString() : null
+        }
+      }
+    };
+  }
+
+  /**
+   * Forecast errors of every service over the error horizon
+   * @param {string|null} service - Only this service
+   * @returns {Promise<object>} { forecasts, buckets, services }
+   */
+  async forecastErrors(service) {
+    const now = Date.now();
+    const rows = await this.database.getLogVolumeBetween(
+      service ? service.toUpperCase() : null,
+      new Date(now - this.errorHistoryHours * HOUR),
+      new Date(now),
+      50000
+    );
+
+    const byService = new Map();
+    for (const row of rows) {
+      if (!byService.has(row.service)) byService.set(row.service, []);
+      byService.get(row.service).push(row);
+    }
+
+    const forecasts = [];
+    const currentBucket = Math.floor(now / ERROR_BUCKET_MS);
+    for (const [name, serviceRows] of byService) {
+      // Errors per 15-minute step, zero-filled, without the unfinished step
+      const counts = new Map();
+      for (const row of serviceRows) {
+        const bucket = Math.floor(new Date(row.bucket_start).getTime() / ERROR_BUCKET_MS);
+        counts.set(bucket, (counts.get(bucket) || 0) + row.error_count);
+      }
+      const first = Math.min(...counts.keys());
+      const values = [];
+      for (let bucket = first; bucket < currentBucket; bucket++) {
+        values.push(counts.get(bucket) || 0);
+      }
+
+      const forecast = this.forecastServiceErrors(name, values, now);
+      if (forecast) forecasts.push(forecast);
+    }
+
+    return { forecasts, buckets: rows.length, services: Array.from(byService.keys()) };
+  }
+
+  /**
+   * Error spike forecast for one service
+   * @param {string} service - Service name
+   * @param {number[]} values - Errors per step, oldest first
+   * @param {number} now - Forecast time (ms)
+   * @returns {object|null} Forecast
+   */
+  forecastServiceErrors(service, values, now) {
+    if (values.length < MIN_ERROR_BUCKETS) return null;
+
+    const model = holtWinters(values, ERROR_SEASON) || holtLinear(values);
+    const steps = Math.max(1, Math.round(this.errorHorizonMs / ERROR_BUCKET_MS));
+    const { total, std } = forecastTotal(model, steps);
+
+    const usual = (values.reduce((sum, v) => sum + v, 0) / values.length) * steps;
+    const threshold = Math.max(this.minErrors, usual * this.errorSpikeFactor);
+    if (total < threshold / 2) return null;
+
+    const spread = Math.max(std, 1);
+    const rawConfidence = normalCdf((total - threshold) / spread);
+    const low = Math.max(0, total - Z_80 * spread);
+    const high = total + Z_80 * spread;
+    const horizon = formatDuration(this.errorHorizonMs);
+
+    return {
+      type: 'error_spike',
+      service,
+      rawConfidence,
+      issue: `${service} is forecast to log about ${Math.round(total)} errors in the next ${horizon} ` +
+        `(80% interval ${Math.round(low)}-${Math.round(high)}), against a usual ${usual.toFixed(1)}`,
+      timeHorizon: horizon,
+      deadline: now + this.errorHorizonMs,
+      check: { metric: 'errors', threshold: Math.ceil(threshold) },
+      basedOn: {
+        model: model.model,
+        forecast: round(total),
+        interval: { level: 0.8, low: round(low), high: round(high) },
+        usual: round(usual),
+        threshold: Math.ceil(threshold),
+        trendPerStep: round(model.trend),
+        history: values.length,
+        stepMinutes: ERROR_BUCKET_MS / 60000
+      }
+    };
+  }
+
+  /**
+   * Feed a verdict on one of our predictions into calibration. Dismissed
+   * predictions say nothing about the model and are left out
+   * @param {object} prediction - Prediction row (based_on_data holds the raw confidence)
+   * @param {string} status - New status: confirmed, expired or dismissed
+   * @param {string} previousStatus - Status before, when a user overrides a verdict
+   */
+  recordOutcome(prediction, status, previousStatus = 'active') {
+    let basedOn;
+    try {
+      basedOn = typeof prediction.based_on_data === 'string'
+        ? JSON.parse(prediction.based_on_data)
+        : prediction.based_on_data || {};
+    } catch (error) {
+      return;
+    }
+    if (typeof basedOn.rawConfidence !== 'number') return;
+
+    const type = prediction.prediction_type;
+    if (previousStatus === 'confirmed' || previousStatus === 'expired') {
+      this.calibration.remove(type, basedOn.rawConfidence, previousStatus === 'confirmed');
+    }
+    if (status === 'confirmed' || status === 'expired') {
+      this.calibration.record(type, basedOn.rawConfidence, status === 'confirmed');
+    }
+    this.save();
+  }
+
+  /**
+   * Scheduling and calibration
+   * @returns {object} Status
+   */
+  getStatus() {
+    return {
+      intervalMs: this.intervalMs,
+      lastRun: this.lastRun,
+      calibration: this.calibration.getSummary()
+    };
+  }
+
+  /**
+   * Load calibration outcomes
+   */
+  load() {
+    if (!this.persistPath) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf-8'));
+      this.calibration = new Calibration({ outcomes: data.calibration });
+      this.lastRun = data.lastRun || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Forecaster] Ignoring unreadable forecast state:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write state to disk (write + rename so a crash never leaves half a file)
+   */
+  save() {
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        calibration: this.calibration.toJSON(),
+        lastRun: this.lastRun
+      }));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error('[Forecaster] Failed to save forecast state:', error.message);
+    }
+  }
+}
+
+/**
+ * Round for storage and display
+ * @param {number} value - Value
+ * @returns {number} Value with at most three decimals
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Human-readable duration
+ * @param {number} ms - Duration
+ * @returns {string} e.g. "45 minutes", "3.5 hours"
+ */
+function formatDuration(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes === 1) return '1 minute';
+  if (minutes < 90) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  if (hours < 48) return `${Math.round(hours * 10) / 10} hours`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+module.exports = Forecaster;
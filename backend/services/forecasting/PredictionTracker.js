@@ -0,0 +1,434 @@
+/**
+ * Prediction Tracker
+ * Follows every stored prediction through its lifecycle:
+ * - active: waiting for the predicted event within its time horizon
+ * - confirmed: the event was seen before the horizon passed
+ * - expired: the horizon passed without the event
+ * - dismissed: a user set it aside (users can also override confirmed/expired)
+ *
+ * Events are seen two ways: live, from container metrics and error rate
+ * anomalies (observeMetrics, observeAnomaly), and on each verify() pass, by
+ * checking metrics history, log volume and anomalies since the prediction was
+ * made. Events that no active prediction foresaw are counted as missed, which
+ * gives recall next to precision in getAccuracy()
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const STATUSES = ['active', 'confirmed', 'expired', 'dismissed'];
+// Statuses a user can set
+const OVERRIDE_STATUSES = ['confirmed', 'expired', 'dismissed'];
+const MAX_LEDGER = 5000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Memory use that counts as the memory pressure a prediction warned about
+const MEMORY_PRESSURE_PERCENT = 95;
+
+class PredictionTracker extends EventEmitter {
+  /**
+   * @param {object} options - Options (see config.predictions)
+   * @param {object} options.database - LogDatabase (predictions, metrics history, log volume, anomalies)
+   * @param {object} options.thresholds - MonitorAgent thresholds ({ cpu: { critical } })
+   * @param {number} options.verifyIntervalMs - Time between verification passes
+   * @param {number} options.eventCooldownMs - One event per type and service within this window
+   * @param {number} options.retentionDays - How long verdicts and missed events count towards accuracy
+   * @param {string} options.persistPath - JSON file holding verdicts and missed events
+   */
+  constructor(options = {}) {
+    super();
+    this.database = options.database;
+    this.thresholds = options.thresholds || { cpu: { critical: 80 } };
+    this.verifyIntervalMs = options.verifyIntervalMs || 60 * 1000;
+    this.eventCooldownMs = options.eventCooldownMs || 30 * 60 * 1000;
+    this.retentionDays = options.retentionDays || 30;
+    this.persistPath = options.persistPath || null;
+
+    // predictionId -> { id, type, service, confidence, status, source, createdAt, settledAt }
+    this.verdicts = new Map();
+    // [{ type, service, at, evidence }] events no active prediction foresaw
+    this.missed = [];
+    // "type|service" -> last event time (ms)
+    this.lastEvent = new Map();
+    this.verifying = null;
+    this.timer = null;
+
+    this.load();
+  }
+
+  /**
+   * Verify on a schedule
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.verify().catch(error => console.error('[PredictionTracker] Verification failed:', error.message));
+    }, this.verifyIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Confirm active predictions whose event has happened and expire those
+   * whose horizon has passed. Concurrent calls share one pass
+   * @returns {Promise<object[]>} [{ id, type, service, status, evidence }]
+   */
+  verify() {
+    if (!this.verifying) {
+      this.verifying = this.verifyActive().finally(() => {
+        this.verifying = null;
+      });
+    }
+    return this.verifying;
+  }
+
+  async verifyActive() {
+    const now = Date.now();
+    const active = await this.database.getPredictions({ status: 'active', limit: 500 });
+    const settled = [];
+
+    for (const prediction of active) {
+      const expiresAt = expiryOf(prediction);
+      const evidence = await this.findEvidence(prediction, new Date(prediction.created_at), new Date(Math.min(now, expiresAt)));
+
+      if (evidence) {
+        settled.push(await this.settle(prediction, 'confirmed', { evidence }));
+      } else if (now >= expiresAt) {
+        settled.push(await this.settle(prediction, 'expired', { evidence: 'Horizon passed without the predicted event' }));
+      }
+    }
+
+    this.prune();
+    if (settled.length > 0) this.save();
+    return settled.map(({ id, type, service, status, evidence }) => ({ id, type, service, status, evidence }));
+  }
+
+  /**
+   * Look for the predicted event between two times
+   * @param {object} prediction - Prediction row
+   * @param {Date} start - Window start (prediction time)
+   * @param {Date} end - Window end
+   * @returns {Promise<string|null>} What was seen, or null
+   */
+  async findEvidence(prediction, start, end) {
+    const check = parseBasedOn(prediction).check;
+    const type = prediction.prediction_type;
+    const service = prediction.service;
+    if (!service) return null;
+
+    // Forecasts say exactly what they expect to see
+    if (check?.metric === 'errors') {
+      const buckets = await this.database.getLogVolumeBetween(service, start, end);
+      const errors = buckets.reduce((sum, bucket) => sum + bucket.error_count, 0);
+      return errors >= check.threshold ? `${errors} errors logged (threshold ${check.threshold})` : null;
+    }
+    if (check?.metric) {
+      const rows = await this.database.getMetricsBetween(service, start, end);
+      const row = rows.find(r => r[check.metric] >= check.threshold);
+      return row ? `${check.metric} reached ${row[check.metric]} (threshold ${check.threshold})` : null;
+    }
+
+    if (type === 'memory_pressure') {
+      const rows = await this.database.getMetricsBetween(service, start, end);
+      const row = rows.find(r => r.memory_percent >= MEMORY_PRESSURE_PERCENT);
+      return row ? `Memory reached ${row.memory_percent.toFixed(1)}%` : null;
+    }
+    if (type === 'resource_exhaustion') {
+      const rows = await this.database.getMetricsBetween(service, start, end);
+      const row = rows.find(r => r.cpu_percent >= this.thresholds.cpu.critical);
+      return row ? `CPU reached ${row.cpu_percent.toFixed(1)}%` : null;
+    }
+    if (type === 'error_spike') {
+      const hours = (Date.now() - start.getTime()) / (60 * 60 * 1000) + 1;
+      const anomalies = await this.database.getAnomalies({ service, metric: 'error_rate', hours, limit: 50 });
+      const spike = anomalies.find(a => {
+        const at = new Date(a.detected_at).getTime();
+        return a.direction === 'up' && at >= start.getTime() && at <= end.getTime();
+      });
+      return spike ? spike.message : null;
+    }
+
+    // Other types have no event to look for; they expire unless confirmed by hand
+    return null;
+  }
+
+  /**
+   * Check live container metrics for memory pressure and CPU exhaustion
+   * @param {object[]} metrics - MonitorAgent samples
+   */
+  async observeMetrics(metrics) {
+    for (const sample of metrics) {
+      if (sample.error) continue;
+      if (sample.memoryPercent >= MEMORY_PRESSURE_PERCENT) {
+        await this.recordEvent('memory_pressure', sample.service, `Memory reached ${sample.memoryPercent.toFixed(1)}%`);
+      }
+      if (sample.cpuPercent >= this.thresholds.cpu.critical) {
+        await this.recordEvent('resource_exhaustion', sample.service, `CPU reached ${sample.cpuPercent.toFixed(1)}%`);
+      }
+    }
+  }
+
+  /**
+   * Treat an upward error rate anomaly as an error spike
+   * @param {object} anomaly - Stored anomaly
+   */
+  async observeAnomaly(anomaly) {
+    if (anomaly.metric === 'error_rate' && anomaly.direction === 'up') {
+      await this.recordEvent('error_spike', anomaly.service, anomaly.message);
+    }
+  }
+
+  /**
+   * A predicted kind of event happened: confirm the active predictions that
+   * foresaw it, or count it as missed
+   * @param {string} type - Prediction type
+   * @param {string} service - Service
+   * @param {string} evidence - What was seen
+   * @returns {Promise<object[]>} Confirmed predictions
+   */
+  async recordEvent(type, service, evidence) {
+    const key = `${type}|${String(service).toUpperCase()}`;
+    const now = Date.now();
+    if (now - (this.lastEvent.get(key) || 0) < this.eventCooldownMs) return [];
+    this.lastEvent.set(key, now);
+
+    const active = await this.database.getPredictions({ status: 'active', limit: 500 });
+    const foreseen = active.filter(p =>
+      p.prediction_type === type &&
+      String(p.service).toUpperCase() === String(service).toUpperCase() &&
+      now < expiryOf(p)
+    );
+
+    const confirmed = [];
+    for (const prediction of foreseen) {
+      confirmed.push(await this.settle(prediction, 'confirmed', { evidence }));
+    }
+
+    // A verify() pass may already have confirmed a prediction from the same event in history
+    const recentlyConfirmed = Array.from(this.verdicts.values()).some(verdict =>
+      verdict.type === type &&
+      verdict.status === 'confirmed' &&
+      String(verdict.service).toUpperCase() === String(service).toUpperCase() &&
+      now - new Date(verdict.settledAt).getTime() < this.eventCooldownMs
+    );
+    if (foreseen.length === 0 && !recentlyConfirmed) {
+      this.missed.push({ type, service, at: new Date(now).toISOString(), evidence });
+    }
+
+    this.prune();
+    this.save();
+    return confirmed;
+  }
+
+  /**
+   * Set a prediction's status by hand
+   * @param {string} id - Prediction ID
+   * @param {string} status - confirmed, expired or dismissed
+   * @param {string} note - Optional reason
+   * @returns {Promise<object>} Updated prediction
+   * @throws {Error} 400 for an invalid status, 404 for an unknown prediction
+   */
+  async override(id, status, note) {
+    if (!OVERRIDE_STATUSES.includes(status)) {
+      throw this.requestError(`status must be one of ${OVERRIDE_STATUSES.join(', ')}`);
+    }
+
+    const prediction = await this.database.requirePrediction(id);
+    const result = await this.settle(prediction, status, {
+      evidence: note ? String(note).substring(0, 500) : 'Set by user',
+      source: 'user'
+    });
+    this.save();
+    return result.prediction;
+  }
+
+  /**
+   * Record a status change in the database and the accuracy ledger
+   * @param {object} prediction - Prediction row
+   * @param {string} status - New status
+   * @param {object} options - { evidence, source: 'auto' | 'user' }
+   * @returns {Promise<object>} { id, type, service, status, previousStatus, evidence, source, prediction }
+   */
+  async settle(prediction, status, { evidence, source = 'auto' }) {
+    const previousStatus = prediction.status;
+    const settledAt = new Date().toISOString();
+    const changes = { status, status_source: source, evidence, verified_at: settledAt };
+    const updated = (await this.database.updatePrediction(prediction.id, changes)) || { ...prediction, ...changes };
+
+    this.verdicts.set(prediction.id, {
+      id: prediction.id,
+      type: prediction.prediction_type,
+      service: prediction.service,
+      confidence: prediction.confidence,
+      status,
+      source,
+      createdAt: prediction.created_at,
+      settledAt
+    });
+
+    const result = {
+      id: prediction.id,
+      type: prediction.prediction_type,
+      service: prediction.service,
+      status,
+      previousStatus,
+      evidence,
+      source,
+      prediction: updated
+    };
+    this.emit('prediction-verified', result);
+    return result;
+  }
+
+  /**
+   * Precision (confirmed / confirmed + expired) and recall (confirmed /
+   * confirmed + missed) per prediction type. Dismissed predictions count in
+   * neither
+   * @param {object} options - { hours (default 7 days), service }
+   * @returns {object} { since, overall, byType: { type: counts and rates } }
+   */
+  getAccuracy({ hours = 7 * 24, service = null } = {}) {
+    const since = Date.now() - hours * 60 * 60 * 1000;
+    const matches = (entryService) => !service || String(entryService).toUpperCase() === String(service).toUpperCase();
+    const byType = {};
+    const overall = emptyCounts();
+    const counts = (type) => {
+      if (!byType[type]) byType[type] = emptyCounts();
+      return byType[type];
+    };
+
+    for (const verdict of this.verdicts.values()) {
+      if (new Date(verdict.createdAt).getTime() < since || !matches(verdict.service)) continue;
+      counts(verdict.type)[verdict.status]++;
+      overall[verdict.status]++;
+    }
+    for (const event of this.missed) {
+      if (new Date(event.at).getTime() < since || !matches(event.service)) continue;
+      counts(event.type).missed++;
+      overall.missed++;
+    }
+
+    for (const entry of [overall, ...Object.values(byType)]) {
+      const verified = entry.confirmed + entry.expired;
+      entry.precision = verified > 0 ? round(entry.confirmed / verified) : null;
+      entry.recall = entry.confirmed + entry.missed > 0 ? round(entry.confirmed / (entry.confirmed + entry.missed)) : null;
+    }
+
+    return { since: new Date(since).toISOString(), hours, overall, byType };
+  }
+
+  /**
+   * Drop ledger entries past retention
+   */
+  prune() {
+    const cutoff = Date.now() - this.retentionDays * DAY;
+    for (const [id, verdict] of this.verdicts) {
+      if (new Date(verdict.settledAt).getTime() < cutoff) this.verdicts.delete(id);
+    }
+    this.missed = this.missed.filter(event => new Date(event.at).getTime() >= cutoff);
+
+    // Maps iterate in insertion order, so the oldest go first
+    while (this.verdicts.size > MAX_LEDGER) {
+      this.verdicts.delete(this.verdicts.keys().next().value);
+    }
+    if (this.missed.length > MAX_LEDGER) {
+      this.missed = this.missed.slice(-MAX_LEDGER);
+    }
+  }
+
+  /**
+   * Error carrying an HTTP status for the route handlers
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Load verdicts and missed events
+   */
+  load() {
+    if (!this.persistPath) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.persistPath, 'utf-8'));
+      for (const verdict of data.verdicts || []) {
+        this.verdicts.set(verdict.id, verdict);
+      }
+      this.missed = data.missed || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[PredictionTracker] Ignoring unreadable prediction state:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write state to disk (write + rename so a crash never leaves half a file)
+   */
+  save() {
+    if (!this.persistPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+      const tmpPath = `${this.persistPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({
+        verdicts: Array.from(this.verdicts.values()),
+        missed: this.missed
+      }));
+      fs.renameSync(tmpPath, this.persistPath);
+    } catch (error) {
+      console.error('[PredictionTracker] Failed to save prediction state:', error.message);
+    }
+  }
+}
+
+function emptyCounts() {
+  return { confirmed: 0, expired: 0, dismissed: 0, missed: 0 };
+}
+
+/**
+ * When a prediction's horizon ends (predictions stored before expires_at
+ * existed get two hours)
+ * @param {object} prediction - Prediction row
+ * @returns {number} Time (ms)
+ */
+function expiryOf(prediction) {
+  return prediction.expires_at
+    ? new Date(prediction.expires_at).getTime()
+    : new Date(prediction.created_at).getTime() + 2 * 60 * 60 * 1000;
+}
+
+/**
+ * based_on_data is stored as a JSON string
+ * @param {object} prediction - Prediction row
+ * @returns {object} Parsed based_on_data ({} when missing or unreadable)
+ */
+function parseBasedOn(prediction) {
+  if (prediction.based_on_data && typeof prediction.based_on_data === 'object') {
+    return prediction.based_on_data;
+  }
+  try {
+    return JSON.parse(prediction.based_on_data || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = PredictionTracker;
+module.exports.STATUSES = STATUSES;
+module.exports.OVERRIDE_STATUSES = OVERRIDE_STATUSES;
@@ -0,0 +1,185 @@
+/**
+ * Forecasting Models
+ * Small time-series models used by the Forecaster: least-squares linear
+ * regression (resource growth), Holt's linear trend and additive Holt-Winters
+ * (error rates), plus the helpers to turn their residuals into intervals
+ */
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26)
+ * @param {number} z - Standard score
+ * @returns {number} P(Z <= z)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Average points into fixed buckets; empty buckets are skipped
+ * @param {object[]} points - [{ t (ms), value }]
+ * @param {number} bucketMs - Bucket size
+ * @returns {object[]} [{ t: bucket start, value: mean }], oldest first
+ */
+function resample(points, bucketMs) {
+  const buckets = new Map();
+  for (const { t, value } of points) {
+    const start = Math.floor(t / bucketMs) * bucketMs;
+    const bucket = buckets.get(start) || { sum: 0, count: 0 };
+    bucket.sum += value;
+    bucket.count++;
+    buckets.set(start, bucket);
+  }
+
+  return Array.from(buckets.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([t, { sum, count }]) => ({ t, value: sum / count }));
+}
+
+/**
+ * Ordinary least-squares fit of value over x
+ * @param {object[]} points - [{ x, y }]
+ * @returns {object|null} { model, slope, intercept, slopeStdError, residualStd, r2, n, predict(x) } (null below 3 points or with no spread in x)
+ */
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 3) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const sse = points.reduce((sum, { x, y }) => sum + (y - (intercept + slope * x)) ** 2, 0);
+  const residualStd = Math.sqrt(sse / (n - 2));
+
+  return {
+    model: 'linear',
+    slope,
+    intercept,
+    slopeStdError: residualStd / Math.sqrt(sxx),
+    residualStd,
+    r2: syy === 0 ? 1 : 1 - sse / syy,
+    n,
+    predict: (x) => intercept + slope * x
+  };
+}
+
+/**
+ * Holt's linear trend (double exponential smoothing)
+ * @param {number[]} values - Evenly spaced values, oldest first
+ * @param {object} options - { alpha (level), beta (trend) }
+ * @returns {object|null} { model, level, trend, residualStd, forecast(h) } (null below 4 values)
+ */
+function holtLinear(values, { alpha = 0.5, beta = 0.3 } = {}) {
+  if (values.length < 4) return null;
+
+  let level = values[0];
+  let trend = values[1] - values[0];
+  const errors = [];
+
+  for (let i = 1; i < values.length; i++) {
+    const predicted = level + trend;
+    errors.push(values[i] - predicted);
+    const previousLevel = level;
+    level = alpha * values[i] + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+  }
+
+  return {
+    model: 'holt',
+    level,
+    trend,
+    residualStd: rootMeanSquare(errors),
+    forecast: (h) => level + h * trend
+  };
+}
+
+/**
+ * Additive Holt-Winters (triple exponential smoothing)
+ * @param {number[]} values - Evenly spaced values, oldest first
+ * @param {number} seasonLength - Values per season
+ * @param {object} options - { alpha (level), beta (trend), gamma (season) }
+ * @returns {object|null} { model, level, trend, seasonal, residualStd, forecast(h) } (null below two seasons)
+ */
+function holtWinters(values, seasonLength, { alpha = 0.3, beta = 0.05, gamma = 0.3 } = {}) {
+  if (values.length < seasonLength * 2) return null;
+
+  // Initial level and trend from the first two seasons, season from the first
+  const firstMean = mean(values.slice(0, seasonLength));
+  const secondMean = mean(values.slice(seasonLength, seasonLength * 2));
+  let level = firstMean;
+  let trend = (secondMean - firstMean) / seasonLength;
+  const seasonal = values.slice(0, seasonLength).map(value => value - firstMean);
+  const errors = [];
+
+  for (let i = seasonLength; i < values.length; i++) {
+    const season = seasonal[i % seasonLength];
+    const predicted = level + trend + season;
+    errors.push(values[i] - predicted);
+
+    const previousLevel = level;
+    level = alpha * (values[i] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonal[i % seasonLength] = gamma * (values[i] - level) + (1 - gamma) * season;
+  }
+
+  const next = values.length;
+  return {
+    model: 'holt-winters',
+    level,
+    trend,
+    seasonal,
+    residualStd: rootMeanSquare(errors),
+    forecast: (h) => level + h * trend + seasonal[(next + h - 1) % seasonLength]
+  };
+}
+
+/**
+ * Sum of the next `steps` forecasts with an approximate standard deviation
+ * (one-step residual spread growing with the square root of the horizon)
+ * @param {object} model - holtLinear or holtWinters result
+ * @param {number} steps - Forecast steps
+ * @returns {object} { total, std }
+ */
+function forecastTotal(model, steps) {
+  let total = 0;
+  let variance = 0;
+  for (let h = 1; h <= steps; h++) {
+    total += Math.max(0, model.forecast(h));
+    variance += model.residualStd ** 2 * h;
+  }
+  return { total, std: Math.sqrt(variance) };
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function rootMeanSquare(values) {
+  return values.length > 0 ? Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length) : 0;
+}
+
+// z for a two-sided 80% interval
+const Z_80 = 1.2816;
+
+module.exports = {
+  Z_80,
+  normalCdf,
+  resample,
+  linearRegression,
+  holtLinear,
+  holtWinters,
+  forecastTotal
+};
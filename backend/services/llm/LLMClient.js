@@ -0,0 +1,258 @@
+/**
+ * LLM Client
+ * What an agent holds: resolves the agent's provider and model on every call
+ * (so Settings changes apply immediately) and owns timeout, retry and token
+ * accounting so the agents only build prompts and parse responses
+ */
+
+const { parseStructured } = require('./structuredOutput');
+
+// Statuses worth another attempt: rate limits and server-side failures
+const RETRYABLE_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504];
+
+class LLMClient {
+  /**
+   * @param {LLMManager} manager - Provider registry and usage tracker
+   * @param {string} agent - Agent name (analyzer, codeLocator, fixGenerator, codeFix)
+   * @param {object} defaults - Per-agent defaults
+   * @param {number} defaults.timeoutMs - Per-attempt timeout
+   * @param {number} defaults.temperature - Sampling temperature
+   * @param {number} defaults.maxTokens - Most output tokens
+   */
+  constructor(manager, agent, defaults = {}) {
+    this.manager = manager;
+    this.agent = agent;
+    this.timeoutMs = defaults.timeoutMs || 60000;
+    this.temperature = defaults.temperature ?? 0.2;
+    this.maxTokens = defaults.maxTokens || 4096;
+  }
+
+  /**
+   * Check whether the agent has a usable provider
+   * @returns {boolean} True if complete() can be called
+   */
+  isEnabled() {
+    return !!this.resolve();
+  }
+
+  /**
+   * The agent's current provider and model
+   * @returns {object|null} { provider, model }, or null when AI is off for this agent
+   */
+  resolve() {
+    const { provider: name, model } = this.manager.getAssignment(this.agent);
+    const provider = name ? this.manager.getProvider(name) : null;
+    if (!provider || !provider.isConfigured()) return null;
+
+    return { provider, model: model || provider.model };
+  }
+
+  /**
+   * Short "provider/model" label for logs
+   * @returns {string} Label
+   */
+  describe() {
+    const resolved = this.resolve();
+    return resolved ? `${resolved.provider.name}/${resolved.model}` : 'disabled';
+  }
+
+  /**
+   * Send a prompt, retrying transient failures
+   * @param {string} prompt - Prompt text
+   * @param {object} options - Overrides: { temperature, maxTokens, timeoutMs }, and signal to cancel
+   * @returns {Promise<object>} { content, provider, model, usage, attempts, latencyMs }
+   * @throws {Error} error.cancelled when the signal aborts
+   */
+  async complete(prompt, options = {}) {
+    const resolved = this.resolve();
+    if (!resolved) {
+      throw new Error(`No LLM provider configured for ${this.agent}`);
+    }
+
+    const { provider, model } = resolved;
+    const timeoutMs = options.timeoutMs || this.timeoutMs;
+    const maxAttempts = this.manager.retries + 1;
+    const started = Date.now();
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        this.throwIfCancelled(options.signal);
+        const response = await this.withTimeout(timeoutMs, options.signal, signal => provider.complete(prompt, {
+          agent: this.agent,
+          model,
+          temperature: options.temperature ?? this.temperature,
+          maxTokens: options.maxTokens || this.maxTokens,
+          signal
+        }));
+
+        // Providers that do not report usage get the usual ~4 characters per token estimate
+        const usage = response.usage || {
+          inputTokens: Math.ceil(prompt.length / 4),
+          outputTokens: Math.ceil((response.content || '').length / 4),
+          estimated: true
+        };
+        const latencyMs = Date.now() - started;
+
+        this.manager.recordUsage(this.agent, provider.name, response.model || model, {
+          ...usage, latencyMs, attempts: attempt, success: true
+        });
+
+        return { content: response.content, provider: provider.name, model: response.model || model, usage, attempts: attempt, latencyMs };
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < maxAttempts && this.isRetryable(error)) {
+          const delay = this.manager.retryDelayMs * Math.pow(2, attempt - 1);
+          console.warn(`[LLMClient] ${this.agent} attempt ${attempt} failed (${error.message}), retrying in ${delay}ms`);
+          try {
+            await this.wait(delay, options.signal);
+          } catch (cancelled) {
+            lastError = cancelled;
+            break;
+          }
+          continue;
+        }
+        break;
+      }
+    }
+
+    this.manager.recordUsage(this.agent, provider.name, model, {
+      inputTokens: 0, outputTokens: 0, latencyMs: Date.now() - started, attempts: maxAttempts, success: false
+    });
+    throw lastError;
+  }
+
+  /**
+   * Send a prompt whose answer must be JSON matching a schema. Invalid JSON is
+   * repaired when possible; output that still fails validation is re-prompted
+   * with the validation errors, up to maxReprompts times
+   * @param {string} prompt - Prompt text
+   * @param {object} schema - Output schema (see structuredOutput)
+   * @param {object} options - complete() overrides and signal, plus { maxReprompts }
+   * @returns {Promise<object>} complete() result plus { data, source: 'model' | 'repaired', repairs, reprompts }
+   */
+  async completeJson(prompt, schema, options = {}) {
+    const maxReprompts = options.maxReprompts ?? this.manager.maxReprompts;
+    let currentPrompt = prompt;
+    let lastErrors = [];
+    let lastContent = null;
+
+    for (let reprompt = 0; reprompt <= maxReprompts; reprompt++) {
+      const response = await this.complete(currentPrompt, options);
+      const result = parseStructured(response.content, schema);
+
+      if (result.errors.length === 0) {
+        if (result.repairs.length > 0) {
+          console.log(`[LLMClient] ${this.agent} output repaired: ${result.repairs.join('; ')}`);
+        }
+        return { ...response, data: result.data, source: result.source, repairs: result.repairs, reprompts: reprompt };
+      }
+
+      lastErrors = result.errors;
+      lastContent = response.content;
+      console.warn(`[LLMClient] ${this.agent} output failed validation (${result.errors.length} errors)${reprompt < maxReprompts ? ', re-prompting' : ''}`);
+
+      currentPrompt = `${prompt}
+
+Your previous response did not match the required JSON format:
+${result.errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object.`;
+    }
+
+    const error = new Error(`${this.agent} returned invalid output: ${lastErrors.slice(0, 3).join('; ')}`);
+    error.validationErrors = lastErrors;
+    error.rawContent = lastContent;
+    throw error;
+  }
+
+  /**
+   * Run a provider call with a deadline; the abort signal lets fetch-based providers cancel the request
+   * @param {number} timeoutMs - Deadline
+   * @param {AbortSignal} cancelSignal - Caller's signal (an analysis job's), which ends the call early
+   * @param {Function} run - (signal) => Promise
+   * @returns {Promise<*>} Result of run
+   */
+  async withTimeout(timeoutMs, cancelSignal, run) {
+    const controller = new AbortController();
+    let timer;
+    let onCancel;
+
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${this.agent} timed out after ${timeoutMs}ms`);
+        error.timeout = true;
+        controller.abort(error);
+        reject(error);
+      }, timeoutMs);
+
+      onCancel = () => {
+        const error = this.cancelledError();
+        controller.abort(error);
+        reject(error);
+      };
+      cancelSignal?.addEventListener('abort', onCancel, { once: true });
+    });
+
+    try {
+      return await Promise.race([run(controller.signal), timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+      cancelSignal?.removeEventListener('abort', onCancel);
+    }
+  }
+
+  /**
+   * Wait between attempts, ending early when the caller cancels
+   * @param {number} ms - Delay
+   * @param {AbortSignal} signal - Caller's signal
+   * @returns {Promise<void>}
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this.cancelledError());
+        return;
+      }
+      const onCancel = () => {
+        clearTimeout(timer);
+        reject(this.cancelledError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onCancel);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onCancel, { once: true });
+    });
+  }
+
+  throwIfCancelled(signal) {
+    if (signal?.aborted) throw this.cancelledError();
+  }
+
+  /**
+   * @returns {Error} Error with .cancelled, as AnalysisQueue's throwIfCancelled() throws
+   */
+  cancelledError() {
+    const error = new Error(`${this.agent} request cancelled`);
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * Decide whether a failed attempt is worth repeating
+   * @param {Error} error - Provider error
+   * @returns {boolean} True for timeouts, network errors, rate limits and 5xx (never for cancellation)
+   */
+  isRetryable(error) {
+    if (error.cancelled) return false;
+    if (error.timeout) return true;
+    if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+    // fetch() network failures surface as "fetch failed" with the socket error as the cause
+    const text = `${error.message || ''} ${error.cause?.code || ''}`;
+    return /ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed/i.test(text);
+  }
+}
+
+module.exports = LLMClient;
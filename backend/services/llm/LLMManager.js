@@ -0,0 +1,242 @@
+/**
+ * LLM Manager
+ * Registry of configured LLM providers, the provider/model each agent uses,
+ * and token/latency accounting per agent and provider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('./providers');
+const LLMClient = require('./LLMClient');
+
+const AGENTS = ['analyzer', 'codeLocator', 'fixGenerator', 'codeFix'];
+
+class LLMManager {
+  /**
+   * @param {object} options - Options
+   * @param {object} options.providers - name -> provider config ({ type, ... })
+   * @param {string} options.defaultProvider - Provider for agents without an assignment (null = AI off)
+   * @param {object} options.agents - agent -> { provider, model } from the environment
+   * @param {number} options.retries - Extra attempts after a transient failure
+   * @param {number} options.retryDelayMs - First retry delay (doubles per attempt)
+   * @param {number} options.maxReprompts - Re-prompts after output that fails schema validation
+   * @param {string} options.settingsPath - JSON file holding assignments made in Settings
+   */
+  constructor(options = {}) {
+    this.retries = options.retries ?? 2;
+    this.retryDelayMs = options.retryDelayMs || 1000;
+    this.maxReprompts = options.maxReprompts ?? 1;
+    this.defaultProvider = options.defaultProvider || null;
+    this.settingsPath = options.settingsPath || null;
+
+    this.providers = new Map();
+    for (const [name, config] of Object.entries(options.providers || {})) {
+      this.providers.set(name, createProvider(name, config));
+    }
+
+    // agent -> { provider, model }; environment first, then saved Settings choices
+    this.assignments = {};
+    for (const agent of AGENTS) {
+      const configured = options.agents?.[agent] || {};
+      this.assignments[agent] = { provider: configured.provider || null, model: configured.model || null };
+    }
+    this.loadSettings();
+
+    // "agent|provider|model" -> counters
+    this.usage = new Map();
+
+    console.log('[LLMManager] Providers:', Array.from(this.providers.values())
+      .map(p => `${p.name}${p.isConfigured() ? '' : ' (not configured)'}`).join(', '));
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {object|null} Provider
+   */
+  getProvider(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Create the client an agent uses for completions
+   * @param {string} agent - Agent name
+   * @param {object} defaults - { timeoutMs, temperature, maxTokens }
+   * @returns {LLMClient} Client
+   */
+  forAgent(agent, defaults = {}) {
+    return new LLMClient(this, agent, defaults);
+  }
+
+  /**
+   * The provider and model an agent uses
+   * @param {string} agent - Agent name
+   * @returns {object} { provider, model } (model null = provider default)
+   */
+  getAssignment(agent) {
+    const assignment = this.assignments[agent] || {};
+    return {
+      provider: assignment.provider || this.defaultProvider,
+      model: assignment.model || null
+    };
+  }
+
+  /**
+   * Change the provider and/or model of an agent
+   * @param {string} agent - Agent name
+   * @param {object} assignment - { provider, model }; provider "none" turns AI off for the agent
+   * @returns {object} The new assignment
+   */
+  setAssignment(agent, { provider, model } = {}) {
+    if (!AGENTS.includes(agent)) {
+      throw this.requestError(`Unknown agent "${agent}"`);
+    }
+    if (provider && provider !== 'none' && !this.providers.has(provider)) {
+      throw this.requestError(`Unknown provider "${provider}"`);
+    }
+
+    const current = this.assignments[agent];
+    this.assignments[agent] = {
+      provider: provider !== undefined ? provider : current.provider,
+      // A model only makes sense for the provider it was chosen with
+      model: model !== undefined ? (model || null) : (provider !== undefined && provider !== current.provider ? null : current.model)
+    };
+    this.saveSettings();
+
+    return this.getAssignment(agent);
+  }
+
+  /**
+   * Add one call to the usage counters
+   * @param {string} agent - Agent name
+   * @param {string} provider - Provider name
+   * @param {string} model - Model
+   * @param {object} call - { inputTokens, outputTokens, latencyMs, attempts, success, estimated }
+   */
+  recordUsage(agent, provider, model, call) {
+    const key = `${agent}|${provider}|${model}`;
+    const stats = this.usage.get(key) || {
+      agent, provider, model,
+      requests: 0, failures: 0, retries: 0,
+      inputTokens: 0, outputTokens: 0, estimatedTokens: false,
+      totalLatencyMs: 0, lastUsedAt: null
+    };
+
+    stats.requests++;
+    if (!call.success) stats.failures++;
+    stats.retries += Math.max(0, (call.attempts || 1) - 1);
+    stats.inputTokens += call.inputTokens || 0;
+    stats.outputTokens += call.outputTokens || 0;
+    stats.estimatedTokens = stats.estimatedTokens || !!call.estimated;
+    stats.totalLatencyMs += call.latencyMs || 0;
+    stats.lastUsedAt = new Date().toISOString();
+
+    this.usage.set(key, stats);
+  }
+
+  /**
+   * Usage counters
+   * @returns {object} { totals, byAgent: [...] }
+   */
+  getUsage() {
+    const byAgent = Array.from(this.usage.values()).map(stats => ({
+      ...stats,
+      avgLatencyMs: stats.requests > 0 ? Math.round(stats.totalLatencyMs / stats.requests) : 0
+    }));
+
+    const totals = byAgent.reduce((sum, stats) => ({
+      requests: sum.requests + stats.requests,
+      failures: sum.failures + stats.failures,
+      inputTokens: sum.inputTokens + stats.inputTokens,
+      outputTokens: sum.outputTokens + stats.outputTokens
+    }), { requests: 0, failures: 0, inputTokens: 0, outputTokens: 0 });
+
+    return { totals, byAgent };
+  }
+
+  /**
+   * Providers, per-agent assignments and usage for the settings UI
+   * @returns {object} Configuration summary
+   */
+  getConfig() {
+    const agents = {};
+    for (const agent of AGENTS) {
+      const assignment = this.getAssignment(agent);
+      const provider = assignment.provider && assignment.provider !== 'none' ? this.getProvider(assignment.provider) : null;
+      agents[agent] = {
+        ...assignment,
+        effectiveModel: provider ? (assignment.model || provider.model) : null,
+        enabled: !!provider && provider.isConfigured()
+      };
+    }
+
+    return {
+      providers: Array.from(this.providers.values()).map(provider => provider.describe()),
+      defaultProvider: this.defaultProvider,
+      agents,
+      retries: this.retries,
+      maxReprompts: this.maxReprompts,
+      usage: this.getUsage()
+    };
+  }
+
+  /**
+   * Whether any agent has a usable provider
+   * @returns {boolean} True if AI features are available
+   */
+  isEnabled() {
+    return AGENTS.some(agent => this.forAgent(agent).isEnabled());
+  }
+
+  /**
+   * Apply assignments saved from Settings
+   */
+  loadSettings() {
+    if (!this.settingsPath) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.settingsPath, 'utf-8'));
+      for (const agent of AGENTS) {
+        if (saved.agents?.[agent]) {
+          this.assignments[agent] = { provider: saved.agents[agent].provider || null, model: saved.agents[agent].model || null };
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[LLMManager] Ignoring unreadable settings file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Persist assignments (write + rename so a crash never leaves half a file)
+   */
+  saveSettings() {
+    if (!this.settingsPath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.settingsPath), { recursive: true });
+      const tmpPath = `${this.settingsPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ agents: this.assignments }, null, 2));
+      fs.renameSync(tmpPath, this.settingsPath);
+    } catch (error) {
+      console.error('[LLMManager] Failed to save settings:', error.message);
+    }
+  }
+
+  /**
+   * Create an error carrying an HTTP status
+   * @param {string} message - Error message
+   * @param {number} status - HTTP status
+   * @returns {Error} Error with .status
+   */
+  requestError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+}
+
+LLMManager.AGENTS = AGENTS;
+
+module.exports = LLMManager;
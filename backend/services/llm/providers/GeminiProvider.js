@@ -0,0 +1,93 @@
+/**
+ * Gemini Provider
+ * Google Gemini through LangChain's ChatGoogleGenerativeAI
+ */
+
+const { ChatGoogleGenerativeAI } = require('@langchain/google-genai');
+
+class GeminiProvider {
+  /**
+   * @param {object} config - Provider config
+   * @param {string} config.name - Provider name
+   * @param {string} config.apiKey - Gemini API key
+   * @param {string} config.model - Default model
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'gemini';
+    this.type = 'gemini';
+    this.apiKey = config.apiKey || null;
+    this.model = config.model || 'gemini-2.5-flash';
+
+    // "model|temperature|maxTokens" -> ChatGoogleGenerativeAI
+    this.clients = new Map();
+  }
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} True when an API key is set
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Get a chat model for a set of generation parameters
+   * @param {string} model - Model name
+   * @param {number} temperature - Sampling temperature
+   * @param {number} maxTokens - Most output tokens
+   * @returns {ChatGoogleGenerativeAI} Chat model
+   */
+  getClient(model, temperature, maxTokens) {
+    const key = `${model}|${temperature}|${maxTokens}`;
+    if (!this.clients.has(key)) {
+      this.clients.set(key, new ChatGoogleGenerativeAI({
+        apiKey: this.apiKey,
+        model,
+        temperature,
+        maxOutputTokens: maxTokens,
+        // LLMClient owns retries
+        maxRetries: 0
+      }));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * Generate a completion
+   * @param {string} prompt - Prompt text
+   * @param {object} options - { model, temperature, maxTokens, signal }
+   * @returns {Promise<object>} { content, model, usage: { inputTokens, outputTokens } | null }
+   */
+  async complete(prompt, options = {}) {
+    const model = options.model || this.model;
+    const client = this.getClient(model, options.temperature, options.maxTokens);
+
+    try {
+      const response = await client.invoke(prompt, { signal: options.signal });
+      const usage = response.usage_metadata;
+
+      return {
+        content: typeof response.content === 'string'
+          ? response.content
+          : (response.content || []).map(part => part.text || '').join(''),
+        model,
+        usage: usage ? { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 } : null
+      };
+    } catch (error) {
+      // The Gemini SDK puts the HTTP status in the message ("[429 Too Many Requests]")
+      const status = error.status || Number((/\[(\d{3})[ \]]/.exec(error.message || '') || [])[1]) || undefined;
+      if (status) error.status = status;
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the provider for the settings UI (never includes the key)
+   * @returns {object} Provider summary
+   */
+  describe() {
+    return { name: this.name, type: this.type, model: this.model, configured: this.isConfigured() };
+  }
+}
+
+module.exports = GeminiProvider;
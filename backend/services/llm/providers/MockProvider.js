@@ -0,0 +1,125 @@
+/**
+ * Mock Provider
+ * Deterministic, offline responses for tests and demos. The same agent and
+ * prompt always produce the same output and token counts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+class MockProvider {
+  /**
+   * @param {object} config - Provider config
+   * @param {string} config.name - Provider name
+   * @param {object} config.responses - agent -> response text ("default" for any agent); an
+   *   array gives one response per call of that agent, the last one repeating
+   * @param {string} config.responsesPath - JSON file with the same shape as responses
+   * @param {object[]} config.failures - Failures of the next calls, in order ({ message, status })
+   * @param {number} config.latencyMs - Simulated latency
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'mock';
+    this.type = 'mock';
+    this.model = config.model || 'mock-1';
+    this.latencyMs = config.latencyMs || 0;
+    this.responses = { ...this.loadResponses(config.responsesPath), ...(config.responses || {}) };
+    this.failures = [...(config.failures || [])];
+    this.calls = [];
+  }
+
+  /**
+   * Read canned responses from disk
+   * @param {string} responsesPath - JSON file path
+   * @returns {object} agent -> response
+   */
+  loadResponses(responsesPath) {
+    if (!responsesPath) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(responsesPath, 'utf-8'));
+    } catch (error) {
+      console.warn('[MockProvider] Ignoring unreadable responses file:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Set the canned response for an agent
+   * @param {string} agent - Agent name, or "default"
+   * @param {string|object} response - Response text (objects are sent as JSON)
+   */
+  setResponse(agent, response) {
+    this.responses[agent] = response;
+  }
+
+  /**
+   * Make the next call fail (after the failures already queued)
+   * @param {object} failure - { message, status } (status as an HTTP provider reports it)
+   */
+  failNext(failure = {}) {
+    this.failures.push(failure);
+  }
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} Always true
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Return the canned response for the calling agent
+   * @param {string} prompt - Prompt text
+   * @param {object} options - { agent, model, signal }
+   * @returns {Promise<object>} { content, model, usage }
+   */
+  async complete(prompt, options = {}) {
+    this.calls.push({ agent: options.agent, prompt, model: options.model || this.model });
+    const call = this.calls.filter(c => c.agent === options.agent).length - 1;
+
+    if (this.latencyMs > 0) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, this.latencyMs);
+        options.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(options.signal.reason || new Error('Aborted'));
+        }, { once: true });
+      });
+    }
+
+    const failure = this.failures.shift();
+    if (failure) {
+      const error = new Error(failure.message || `Mock failure${failure.status ? ` (${failure.status})` : ''}`);
+      error.status = failure.status;
+      throw error;
+    }
+
+    const configured = this.responses[options.agent] ?? this.responses.default;
+    const canned = Array.isArray(configured) ? configured[Math.min(call, configured.length - 1)] : configured;
+    const content = canned === undefined
+      ? JSON.stringify({
+          mock: true,
+          agent: options.agent || null,
+          promptHash: crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 16)
+        })
+      : (typeof canned === 'string' ? canned : JSON.stringify(canned));
+
+    return {
+      content,
+      model: options.model || this.model,
+      // Same rough 4-characters-per-token rule the client uses for estimates
+      usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(content.length / 4) }
+    };
+  }
+
+  /**
+   * Describe the provider for the settings UI
+   * @returns {object} Provider summary
+   */
+  describe() {
+    return { name: this.name, type: this.type, model: this.model, configured: true };
+  }
+}
+
+module.exports = MockProvider;
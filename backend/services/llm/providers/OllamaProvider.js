@@ -0,0 +1,78 @@
+/**
+ * Ollama Provider
+ * A local Ollama server through its native /api/chat endpoint
+ */
+
+class OllamaProvider {
+  /**
+   * @param {object} config - Provider config
+   * @param {string} config.name - Provider name
+   * @param {string} config.baseUrl - Server URL (default http://localhost:11434)
+   * @param {string} config.model - Default model
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'ollama';
+    this.type = 'ollama';
+    this.baseUrl = (config.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = config.model || 'llama3.1';
+  }
+
+  /**
+   * Check whether the provider can be used
+   * A local server needs no credentials; reachability is only known on the first call
+   * @returns {boolean} Always true
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a completion
+   * @param {string} prompt - Prompt text
+   * @param {object} options - { model, temperature, maxTokens, signal }
+   * @returns {Promise<object>} { content, model, usage: { inputTokens, outputTokens } }
+   */
+  async complete(prompt, options = {}) {
+    const model = options.model || this.model;
+
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal: options.signal,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        options: {
+          temperature: options.temperature,
+          num_predict: options.maxTokens
+        }
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`${this.name} returned ${response.status}: ${body.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+
+    return {
+      content: data.message?.content || '',
+      model: data.model || model,
+      usage: { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+    };
+  }
+
+  /**
+   * Describe the provider for the settings UI
+   * @returns {object} Provider summary
+   */
+  describe() {
+    return { name: this.name, type: this.type, model: this.model, baseUrl: this.baseUrl, configured: this.isConfigured() };
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,80 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any server implementing POST /chat/completions: OpenAI, Azure-style proxies,
+ * vLLM, LM Studio or a local llama.cpp server (llama-server)
+ */
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {object} config - Provider config
+   * @param {string} config.name - Provider name
+   * @param {string} config.baseUrl - API base URL including the version path (e.g. https://api.openai.com/v1)
+   * @param {string} config.apiKey - Bearer token; optional for local servers
+   * @param {string} config.model - Default model
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.type = 'openai';
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.model = config.model || 'gpt-4o-mini';
+  }
+
+  /**
+   * Check whether the provider can be used
+   * @returns {boolean} True when a key is set, or the server is not api.openai.com
+   */
+  isConfigured() {
+    return !!this.apiKey || !/api\.openai\.com/.test(this.baseUrl);
+  }
+
+  /**
+   * Generate a completion
+   * @param {string} prompt - Prompt text
+   * @param {object} options - { model, temperature, maxTokens, signal }
+   * @returns {Promise<object>} { content, model, usage: { inputTokens, outputTokens } | null }
+   */
+  async complete(prompt, options = {}) {
+    const model = options.model || this.model;
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      signal: options.signal,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature,
+        max_tokens: options.maxTokens
+      })
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`${this.name} returned ${response.status}: ${body.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const usage = data.usage;
+
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      model: data.model || model,
+      usage: usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null
+    };
+  }
+
+  /**
+   * Describe the provider for the settings UI (never includes the key)
+   * @returns {object} Provider summary
+   */
+  describe() {
+    return { name: this.name, type: this.type, model: this.model, baseUrl: this.baseUrl, configured: this.isConfigured() };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
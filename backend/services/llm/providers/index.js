@@ -0,0 +1,41 @@
+/**
+ * LLM Providers
+ * Each provider exposes { name, type, model, isConfigured(), complete(prompt, options), describe() }.
+ * complete() resolves to { content, model, usage } and throws errors carrying
+ * .status for HTTP failures so the client can decide whether to retry
+ */
+
+const GeminiProvider = require('./GeminiProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const OllamaProvider = require('./OllamaProvider');
+const MockProvider = require('./MockProvider');
+
+const PROVIDER_TYPES = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider from its config
+ * @param {string} name - Provider name
+ * @param {object} config - Provider config ({ type, ... })
+ * @returns {object} Provider instance
+ */
+function createProvider(name, config) {
+  const Provider = PROVIDER_TYPES[config.type];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider type "${config.type}" for "${name}"`);
+  }
+  return new Provider({ ...config, name });
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  createProvider,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  MockProvider
+};
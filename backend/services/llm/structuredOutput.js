@@ -0,0 +1,282 @@
+/**
+ * Structured Output
+ * Turns raw model text into a validated object: extract the JSON, repair
+ * truncated or malformed JSON, and check it against the agent's schema.
+ * Schemas are a small JSON Schema subset: type, enum, const, required,
+ * properties, items, minLength, minItems and anyOf
+ */
+
+// Literals a truncated response may stop in the middle of
+const PARTIAL_LITERALS = { t: 'true', tr: 'true', tru: 'true', f: 'false', fa: 'false', fal: 'false', fals: 'false', n: 'null', nu: 'null', nul: 'null' };
+
+/**
+ * Strip code fences and cut the text down to the outermost JSON object
+ * @param {string} content - Model output
+ * @returns {string} JSON text (possibly still invalid)
+ */
+function extractJson(content) {
+  const text = String(content || '').replace(/```(?:json)?\s*/gi, '').trim();
+  const start = text.indexOf('{');
+  if (start === -1) return text;
+
+  const end = text.lastIndexOf('}');
+  return end > start ? text.substring(start, end + 1) : text.substring(start);
+}
+
+/**
+ * Best-effort repair of JSON a model got almost right: raw newlines inside
+ * strings, trailing commas, prose after the object, and output cut off
+ * mid-string or mid-object (the last incomplete member is dropped)
+ * @param {string} content - Model output
+ * @returns {string} Repaired JSON text
+ */
+function repairJson(content) {
+  const text = String(content || '').replace(/```(?:json)?\s*/gi, '');
+  const start = text.indexOf('{');
+  if (start === -1) return text.trim();
+
+  let out = '';
+  // Each frame: { type: '{' | '[', memberStart: index in out where the current member began }
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+        out += char;
+      } else if (char === '\\') {
+        escaped = true;
+        out += char;
+      } else if (char === '"') {
+        inString = false;
+        out += char;
+      } else if (char === '\n') {
+        out += '\\n';
+      } else if (char === '\r') {
+        out += '\\r';
+      } else if (char === '\t') {
+        out += '\\t';
+      } else {
+        out += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      out += char;
+    } else if (char === '{' || char === '[') {
+      out += char;
+      stack.push({ type: char, memberStart: out.length });
+    } else if (char === '}' || char === ']') {
+      out = out.replace(/,\s*$/, '');
+      out += stack.length > 0 && stack[stack.length - 1].type === '[' ? ']' : '}';
+      stack.pop();
+      if (stack.length === 0) break; // ignore anything after the object
+    } else if (char === ',') {
+      out += char;
+      if (stack.length > 0) stack[stack.length - 1].memberStart = out.length;
+    } else {
+      out += char;
+    }
+  }
+
+  if (stack.length === 0) return out;
+
+  // Truncated: close the open string, then drop the member that was being written
+  if (inString) {
+    if (escaped) out = out.slice(0, -1);
+    out += '"';
+  }
+
+  while (stack.length > 0) {
+    const frame = stack.pop();
+    const member = out.substring(frame.memberStart).trim();
+
+    if (!isCompleteMember(member, frame.type)) {
+      const literal = member.match(/([a-z]+)$/);
+      if (literal && PARTIAL_LITERALS[literal[1]] && isCompleteMember(member.slice(0, -literal[1].length) + PARTIAL_LITERALS[literal[1]], frame.type)) {
+        out = out.slice(0, out.length - literal[1].length) + PARTIAL_LITERALS[literal[1]];
+      } else {
+        out = out.substring(0, frame.memberStart);
+      }
+    }
+
+    out = out.replace(/,\s*$/, '') + (frame.type === '{' ? '}' : ']');
+  }
+
+  return out;
+}
+
+/**
+ * Check whether the text of one object member or array element is complete
+ * @param {string} member - Member text
+ * @param {string} type - '{' or '['
+ * @returns {boolean} True if it parses
+ */
+function isCompleteMember(member, type) {
+  if (member === '') return true;
+  try {
+    JSON.parse(type === '{' ? `{${member}}` : `[${member}]`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Value
+ * @returns {string} object, array, string, number, integer, boolean or null
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema
+ * @param {object} options - Options
+ * @param {boolean} options.coerce - Fix harmless mismatches in place (enum case, numeric strings)
+ * @param {string} path - Path of the value, for messages
+ * @returns {object} { errors: string[], coerced: string[] }
+ */
+function validate(value, schema, options = {}, path = '$') {
+  const errors = [];
+  const coerced = [];
+
+  if (schema.anyOf) {
+    // Report against the branch that came closest
+    let best = null;
+    for (const branch of schema.anyOf) {
+      const copy = value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+      const result = validate(copy, branch, options, path);
+      if (!best || result.errors.length < best.result.errors.length) {
+        best = { result, copy };
+      }
+      if (result.errors.length === 0) break;
+    }
+    if (best.result.errors.length === 0 && best.copy !== value && value && typeof value === 'object') {
+      Object.assign(value, best.copy);
+    }
+    return best.result;
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    return { errors, coerced };
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+
+    if (!matches) {
+      // "42" where a number is expected
+      const number = actual === 'string' && value.trim() !== '' ? Number(value) : NaN;
+      if (options.coerce && Number.isFinite(number) && (types.includes('number') || (types.includes('integer') && Number.isInteger(number)))) {
+        coerced.push(`${path}: "${value}" -> ${number}`);
+        return { errors, coerced, value: number };
+      }
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+      return { errors, coerced };
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const match = typeof value === 'string'
+      ? schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase())
+      : undefined;
+
+    if (match !== undefined && options.coerce) {
+      coerced.push(`${path}: "${value}" -> "${match}"`);
+      return { errors, coerced, value: match };
+    }
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        const result = validate(item, schema.items, options, `${path}[${index}]`);
+        errors.push(...result.errors);
+        coerced.push(...result.coerced);
+        if ('value' in result) value[index] = result.value;
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined) continue;
+
+      const result = validate(value[key], propertySchema, options, `${path}.${key}`);
+      errors.push(...result.errors);
+      coerced.push(...result.coerced);
+      if ('value' in result) value[key] = result.value;
+    }
+  }
+
+  return { errors, coerced };
+}
+
+/**
+ * Parse, repair and validate one model response
+ * @param {string} content - Model output
+ * @param {object} schema - Schema the output must match
+ * @returns {object} { data, source: 'model' | 'repaired' | null, errors, repairs }
+ */
+function parseStructured(content, schema) {
+  const repairs = [];
+  let data;
+  let source = 'model';
+
+  try {
+    data = JSON.parse(extractJson(content));
+  } catch (parseError) {
+    try {
+      data = JSON.parse(repairJson(content));
+      source = 'repaired';
+      repairs.push(`Repaired invalid JSON (${parseError.message})`);
+    } catch {
+      return { data: null, source: null, errors: [`Response is not valid JSON: ${parseError.message}`], repairs };
+    }
+  }
+
+  const { errors, coerced } = validate(data, schema, { coerce: true });
+  if (coerced.length > 0) {
+    source = 'repaired';
+    repairs.push(...coerced);
+  }
+
+  return { data, source: errors.length === 0 ? source : null, errors, repairs };
+}
+
+module.exports = {
+  extractJson,
+  repairJson,
+  validate,
+  parseStructured
+};
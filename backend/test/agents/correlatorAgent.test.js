@@ -0,0 +1,145 @@
+/**
+ * Correlation strategies, best first: the error's trace spans, identifiers it
+ * shares with other logs, the time window around it, then recent errors; and
+ * the origin service from the deepest failing span or the dependency graph
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CorrelatorAgent = require('../../agents/CorrelatorAgent');
+const DependencyGraph = require('../../services/DependencyGraph');
+
+const START = Date.UTC(2024, 4, 1, 10, 0, 0);
+
+/**
+ * @param {number} ms - Offset from START
+ * @returns {string} ISO timestamp
+ */
+const at = (ms) => new Date(START + ms).toISOString();
+
+const messages = (result) => result.logChain.map(entry => entry.message);
+
+describe('CorrelatorAgent', () => {
+  it('extracts identifiers from the trace ID, nested fields and the message', () => {
+    const correlator = new CorrelatorAgent();
+
+    assert.deepEqual(correlator.extractCorrelationIds({
+      traceId: 'ABCDEF123456',
+      fields: { http: { headers: { 'X-Request-ID': 'req-991122' } }, user: 'alice-000001' },
+      message: 'traceparent: 00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01 session 123e4567-e89b-12d3-a456-426614174000 req_id=short'
+    }), [
+      { type: 'trace', value: 'abcdef123456' },
+      { type: 'request', value: 'req-991122' },
+      { type: 'trace', value: '0af7651916cd43dd8448eb211c80319c' },
+      { type: 'uuid', value: '123e4567-e89b-12d3-a456-426614174000' }
+    ]);
+
+    // The same value as a bare UUID keeps its more specific type
+    assert.deepEqual(correlator.extractCorrelationIds({
+      fields: { correlationId: '123E4567-E89B-12D3-A456-426614174000' },
+      message: 'failed for 123e4567-e89b-12d3-a456-426614174000'
+    }), [{ type: 'correlation', value: '123e4567-e89b-12d3-a456-426614174000' }]);
+  });
+
+  it('follows the stored trace: its logs, and untraced logs of its services within its span range', async () => {
+    const spans = [
+      { traceId: 't1', spanId: 'a', parentSpanId: null, service: 'API-GATEWAY', name: 'POST /orders', status: 'ERROR', startTime: at(0), endTime: at(400), durationMs: 400 },
+      { traceId: 't1', spanId: 'b', parentSpanId: 'a', service: 'ORDERS', name: 'createOrder', status: 'ERROR', statusMessage: 'db timeout', startTime: at(50), endTime: at(350), durationMs: 300 },
+      { traceId: 't1', spanId: 'c', parentSpanId: 'b', service: 'POSTGRES', name: 'INSERT', status: 'OK', startTime: at(60), endTime: at(340), durationMs: 280 }
+    ];
+    const correlator = new CorrelatorAgent({ spanStore: { getTrace: async (traceId) => (traceId === 't1' ? spans : []) } });
+
+    const error = { id: 'e1', service: 'API-GATEWAY', level: 'ERROR', message: 'POST /api/orders failed with 500', timestamp: at(400), traceId: 't1' };
+    const result = await correlator.findRelatedLogs(error, [
+      { id: 'l1', service: 'ORDERS', level: 'ERROR', message: 'db timeout', timestamp: at(350), traceId: 't1' },
+      { id: 'l2', service: 'POSTGRES', level: 'WARN', message: 'slow insert', timestamp: at(300) },
+      // Not in the trace: another service, another trace, or after the span range
+      { id: 'l3', service: 'BILLING', level: 'INFO', message: 'invoice sent', timestamp: at(200) },
+      { id: 'l4', service: 'ORDERS', level: 'INFO', message: 'other request', timestamp: at(100), traceId: 't2' },
+      { id: 'l5', service: 'POSTGRES', level: 'INFO', message: 'vacuum', timestamp: at(5000) },
+      error
+    ]);
+
+    assert.deepEqual([result.strategy, result.confidence], ['trace', 0.95]);
+    assert.deepEqual(messages(result), ['slow insert', 'db timeout', 'POST /api/orders failed with 500']);
+    // The deepest failing span, not the gateway that reported it
+    assert.equal(result.originService, 'ORDERS');
+    assert.deepEqual(result.trace.services, ['API-GATEWAY', 'ORDERS', 'POSTGRES']);
+    assert.deepEqual(result.trace.rootSpan, { service: 'API-GATEWAY', name: 'POST /orders' });
+    assert.deepEqual(result.timeWindow, { start: at(-1000), end: at(1400), durationMs: 2400 });
+  });
+
+  it('collects logs sharing an identifier, following explicit IDs one hop at lower confidence', async () => {
+    const correlator = new CorrelatorAgent();
+
+    const error = { id: 'e1', service: 'ORDERS', level: 'ERROR', message: 'Payment failed request_id=req-abc123', timestamp: at(0) };
+    const result = await correlator.findRelatedLogs(error, [
+      // Carries the error's request ID and a trace ID
+      { id: 'g1', service: 'API-GATEWAY', level: 'INFO', message: 'POST /orders', timestamp: at(-20000), fields: { requestId: 'REQ-ABC123', 'trace-id': 'trace-777777' } },
+      // Only the trace ID, and outside the time window
+      { id: 'p1', service: 'PAYMENTS', level: 'ERROR', message: 'card declined traceId=trace-777777', timestamp: at(-60000) },
+      { id: 'n1', service: 'BILLING', level: 'INFO', message: 'unrelated', timestamp: at(1000) },
+      error
+    ]);
+
+    assert.deepEqual([result.strategy, result.confidence], ['correlation-id', 0.85]);
+    assert.deepEqual(messages(result), ['card declined traceId=trace-777777', 'POST /orders', 'Payment failed request_id=req-abc123']);
+    assert.deepEqual(result.correlationIds, [
+      { type: 'request', value: 'req-abc123', matches: 1 },
+      { type: 'trace', value: 'trace-777777', matches: 2, linked: true }
+    ]);
+    assert.deepEqual([result.timeWindow.start, result.timeWindow.end], [at(-60000), at(0)]);
+  });
+
+  it('falls back to the time window when an identifier is shared too widely to be a request', async () => {
+    const correlator = new CorrelatorAgent({ maxLogsPerId: 2 });
+    const user = '4f9c2a1e-1111-4222-8333-944455556666';
+
+    const error = { id: 'e1', service: 'ORDERS', level: 'ERROR', message: `Checkout failed for ${user}`, timestamp: at(0) };
+    const result = await correlator.findRelatedLogs(error, [
+      { id: 'u1', service: 'USERS', level: 'INFO', message: `login ${user}`, timestamp: at(-100000) },
+      { id: 'u2', service: 'USERS', level: 'INFO', message: `profile ${user}`, timestamp: at(-2000) },
+      { id: 'u3', service: 'CART', level: 'INFO', message: `cart of ${user}`, timestamp: at(-1000) },
+      error
+    ]);
+
+    assert.deepEqual([result.strategy, result.confidence], ['time-window', 0.3]);
+    assert.deepEqual(messages(result), [`profile ${user}`, `cart of ${user}`, `Checkout failed for ${user}`]);
+    assert.deepEqual(result.correlationIds, [{ type: 'uuid', value: user, matches: 0 }]);
+  });
+
+  it('uses recent errors when nothing falls in the window', async () => {
+    const correlator = new CorrelatorAgent();
+
+    const result = await correlator.findRelatedLogs(
+      { id: 'e1', service: 'ORDERS', level: 'ERROR', message: 'boom', timestamp: at(0) },
+      [
+        { id: 'o1', service: 'ORDERS', level: 'INFO', message: 'started', timestamp: at(-3600000) },
+        { id: 'o2', service: 'ORDERS', level: 'WARN', message: 'request timeout', timestamp: at(-3500000) }
+      ]
+    );
+
+    assert.deepEqual([result.strategy, result.confidence], ['recent-errors', 0.1]);
+    assert.deepEqual(messages(result), ['request timeout']);
+  });
+
+  it('picks the failing service whose own dependencies are healthy as the origin', async () => {
+    const logs = [
+      { id: 'g1', service: 'API-GATEWAY', level: 'ERROR', message: 'orders returned 503', timestamp: at(0) },
+      { id: 'o1', service: 'ORDERS', level: 'ERROR', message: 'db timeout', timestamp: at(100) }
+    ];
+
+    // Without a graph the first service to fail wins
+    assert.equal((await new CorrelatorAgent().findRelatedLogs(logs[0], logs)).originService, 'API-GATEWAY');
+
+    const graph = new DependencyGraph();
+    graph.addEvidence('API-GATEWAY', 'ORDERS', 'span', at(0));
+    const correlator = new CorrelatorAgent({ dependencyGraph: graph });
+
+    assert.equal((await correlator.findRelatedLogs(logs[0], logs)).originService, 'ORDERS');
+    // Known service names also resolve spelling variants
+    assert.equal(correlator.normalizeServiceName('api_gateway'), 'API-GATEWAY');
+    assert.equal(correlator.normalizeServiceName('apigateway'), 'API-GATEWAY');
+    assert.equal(correlator.extractServiceFromMessage('retrying the call to orders'), 'ORDERS');
+  });
+});
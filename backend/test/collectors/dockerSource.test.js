@@ -0,0 +1,197 @@
+/**
+ * Docker log source against a fake Engine API through Dockerode: stdout and
+ * stderr demultiplexed from framed streams, TTY streams, and resuming with
+ * `since` after a dropped stream without repeating lines
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Docker = require('dockerode');
+const DockerSource = require('../../collectors/sources/DockerSource');
+const { splitTimestamp, compareTimestamps } = require('../../collectors/sources/timestamps');
+
+const STDOUT = 1;
+const STDERR = 2;
+
+/**
+ * One multiplexed frame: stream type, three zero bytes, big-endian size, payload
+ * @param {number} type - 1 stdout, 2 stderr
+ * @param {string} text - Payload
+ * @returns {Buffer} Frame
+ */
+function frame(type, text) {
+  const payload = Buffer.from(text);
+  const header = Buffer.alloc(8);
+  header.writeUInt8(type, 0);
+  header.writeUInt32BE(payload.length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Fake Engine API: containers with their TTY flag and timestamped lines, every
+ * logs request recorded. `since` is inclusive like the real daemon, and each
+ * logs response ends after the lines it has, which drops the follow stream
+ * @returns {object} { server, containers, requests }
+ */
+function fakeDocker() {
+  const fake = { containers: new Map(), requests: [] };
+
+  fake.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://fake');
+    const match = url.pathname.match(/^\/containers\/([^/]+)\/(json|logs)$/);
+    const container = match && fake.containers.get(match[1]);
+    if (!container) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'No such container' }));
+    }
+
+    if (match[2] === 'json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ Id: match[1], Config: { Tty: container.tty } }));
+    }
+
+    const query = Object.fromEntries(url.searchParams);
+    fake.requests.push(query);
+
+    let lines = container.lines;
+    if (query.since) {
+      const [seconds, nanos] = query.since.split('.').map(Number);
+      lines = lines.filter(({ line }) => compareTimestamps(splitTimestamp(line), { seconds, nanos }) >= 0);
+    } else if (query.tail) {
+      lines = lines.slice(-parseInt(query.tail));
+    }
+
+    res.writeHead(200, { 'Content-Type': container.tty ? 'application/vnd.docker.raw-stream' : 'application/vnd.docker.multiplexed-stream' });
+    const body = container.tty
+      ? Buffer.from(lines.map(({ line }) => `${line}\n`).join(''))
+      : Buffer.concat(lines.map(({ type, line }) => frame(type, `${line}\n`)));
+
+    // Split mid-frame, as the network may
+    res.write(body.subarray(0, 5));
+    setTimeout(() => res.end(body.subarray(5)), 5);
+  });
+
+  return fake;
+}
+
+/**
+ * Resolve once the predicate holds, polling briefly
+ * @param {Function} predicate - Condition
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('DockerSource', () => {
+  let fake;
+  let docker;
+  let source;
+  let lines;
+
+  before(async () => {
+    fake = fakeDocker();
+    await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    docker = new Docker({ protocol: 'http', host: '127.0.0.1', port: fake.server.address().port });
+  });
+
+  after(async () => {
+    fake.server.closeAllConnections();
+    await new Promise(resolve => fake.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    fake.containers.clear();
+    fake.requests.length = 0;
+    source = new DockerSource({ docker, tail: 10, initialBackoffMs: 20, maxBackoffMs: 20 });
+    lines = [];
+    source.on('line', (key, text, meta) => lines.push({ key, text, stream: meta.stream, timestamp: meta.timestamp }));
+  });
+
+  afterEach(() => source.unfollowAll());
+
+  it('demultiplexes stdout and stderr and reads the tail on the first connection', async () => {
+    fake.containers.set('api', {
+      tty: false,
+      lines: [
+        { type: STDOUT, line: '2024-05-01T10:00:00.000000001Z skipped by the tail' },
+        { type: STDOUT, line: '2024-05-01T10:00:01.5Z GET /orders 200' },
+        { type: STDERR, line: '2024-05-01T10:00:02.000000000Z Error: connection refused' }
+      ]
+    });
+    source.tail = 2;
+
+    source.follow('api');
+    await waitFor(() => lines.length === 2);
+
+    assert.deepEqual(lines, [
+      { key: 'api', text: 'GET /orders 200', stream: 'stdout', timestamp: '2024-05-01T10:00:01.500Z' },
+      { key: 'api', text: 'Error: connection refused', stream: 'stderr', timestamp: '2024-05-01T10:00:02.000Z' }
+    ]);
+    assert.deepEqual(
+      { follow: fake.requests[0].follow, timestamps: fake.requests[0].timestamps, tail: fake.requests[0].tail },
+      { follow: 'true', timestamps: 'true', tail: '2' }
+    );
+    assert.equal(source.getStatus()[0].tty, false);
+  });
+
+  it('resumes with since from the last timestamp, skipping lines it already delivered', async () => {
+    const api = {
+      tty: false,
+      lines: [
+        { type: STDOUT, line: '2024-05-01T10:00:01.000000007Z first' },
+        { type: STDOUT, line: '2024-05-01T10:00:02.250000000Z second' },
+        { type: STDERR, line: '2024-05-01T10:00:02.250000000Z same instant on stderr' }
+      ]
+    };
+    fake.containers.set('api', api);
+
+    source.follow('api');
+    await waitFor(() => lines.length === 3);
+
+    // Logged while disconnected, at the instant the stream stopped and after it
+    api.lines.push({ type: STDOUT, line: '2024-05-01T10:00:02.250000000Z late at the same instant' });
+    api.lines.push({ type: STDOUT, line: '2024-05-01T10:00:03.000000000Z third' });
+    await waitFor(() => lines.length === 5);
+
+    assert.deepEqual(lines.map(line => line.text), ['first', 'second', 'same instant on stderr', 'late at the same instant', 'third']);
+    assert.equal(fake.requests[1].since, '1714557602.250000000');
+    assert.equal(fake.requests[1].tail, undefined);
+
+    const [status] = source.getStatus();
+    assert.ok(status.reconnects >= 1);
+    assert.ok(status.duplicatesSkipped >= 2);
+    assert.equal(status.lastTimestamp, '2024-05-01T10:00:03.000Z');
+  });
+
+  it('reads a TTY container as one raw stream', async () => {
+    fake.containers.set('shell', {
+      tty: true,
+      lines: [{ line: '2024-05-01T10:00:00Z $ ls' }, { line: '2024-05-01T10:00:01Z README.md' }]
+    });
+
+    source.follow('shell');
+    await waitFor(() => lines.length === 2);
+
+    assert.deepEqual(lines.map(line => [line.text, line.stream]), [['$ ls', 'stdout'], ['README.md', 'stdout']]);
+    assert.equal(source.getStatus()[0].tty, true);
+  });
+
+  it('backs off and reports the error when the container cannot be read', async () => {
+    const errors = [];
+    source.on('stream-error', info => errors.push(info));
+
+    source.follow('missing');
+    await waitFor(() => errors.length === 1);
+
+    const [status] = source.getStatus();
+    assert.equal(status.status, 'backoff');
+    assert.match(status.lastError, /No such container/);
+    assert.equal(errors[0].container, 'missing');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * File tail source on real files in a temporary directory: appends, partial
+ * lines, rename rotation, copytruncate and resuming from saved offsets
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileTailSource = require('../../collectors/sources/FileTailSource');
+
+/**
+ * Resolve once the predicate holds, polling briefly
+ * @param {Function} predicate - Condition
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('FileTailSource', () => {
+  let dir;
+  let logPath;
+  let offsetsPath;
+  let sources;
+  let lines;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loglens-tail-'));
+    logPath = path.join(dir, 'billing-worker.log');
+    offsetsPath = path.join(dir, 'offsets.json');
+    sources = [];
+    lines = [];
+  });
+
+  afterEach(() => {
+    sources.forEach(source => source.stop());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Start a source on the log file, collecting its lines
+   * @param {object} options - FileTailSource options
+   * @returns {FileTailSource} Started source
+   */
+  const tail = (options = {}) => {
+    const source = new FileTailSource({ files: [{ path: logPath }], offsetsPath, pollIntervalMs: 10, ...options });
+    source.on('line', (key, line, meta) => lines.push({ key, line, meta }));
+    source.start();
+    sources.push(source);
+    return source;
+  };
+
+  const texts = () => lines.map(entry => entry.line);
+  const append = (text) => fs.appendFileSync(logPath, text);
+
+  it('starts at the end, follows appends and holds a line until it is complete', async () => {
+    fs.writeFileSync(logPath, 'old line\n');
+    const source = tail();
+    await waitFor(() => source.getStatus()[0].status === 'tailing');
+
+    append('first\r\nsecond with ünïcode\nthi');
+    await waitFor(() => lines.length === 2);
+    append('rd\n');
+    await waitFor(() => lines.length === 3);
+
+    assert.deepEqual(texts(), ['first', 'second with ünïcode', 'third']);
+    assert.deepEqual(lines[0].meta, { service: 'BILLING-WORKER', source: 'file', path: logPath, stream: 'file' });
+    assert.equal(lines[0].key, `file:${logPath}`);
+  });
+
+  it('drains the old file after a rename rotation, then reads the new one from the start', async () => {
+    fs.writeFileSync(logPath, '');
+    const source = tail();
+    await waitFor(() => source.getStatus()[0].status === 'tailing');
+
+    append('before rotation\n');
+    await waitFor(() => lines.length === 1);
+
+    // Written just before the rename, so it is only in the rotated file
+    append('last line of the old file\n');
+    fs.renameSync(logPath, `${logPath}.1`);
+    fs.writeFileSync(logPath, 'first line of the new file\n');
+    await waitFor(() => lines.length === 3);
+
+    assert.deepEqual(texts(), ['before rotation', 'last line of the old file', 'first line of the new file']);
+    assert.equal(source.getStatus()[0].rotations, 1);
+  });
+
+  it('starts over when the file is truncated in place (copytruncate)', async () => {
+    fs.writeFileSync(logPath, '');
+    const source = tail();
+    await waitFor(() => source.getStatus()[0].status === 'tailing');
+
+    append('a fairly long line before the copy\n');
+    await waitFor(() => lines.length === 1);
+
+    fs.truncateSync(logPath, 0);
+    append('after\n');
+    await waitFor(() => lines.length === 2);
+
+    assert.deepEqual(texts(), ['a fairly long line before the copy', 'after']);
+    assert.equal(source.getStatus()[0].truncations, 1);
+  });
+
+  it('resumes at the saved offset after a restart, re-reading an unfinished line', async () => {
+    fs.writeFileSync(logPath, '');
+    const first = tail();
+    await waitFor(() => first.getStatus()[0].status === 'tailing');
+    append('one\ntw');
+    await waitFor(() => lines.length === 1);
+    first.stop();
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(offsetsPath, 'utf-8'))[logPath].offset, 4);
+
+    // Written while stopped
+    append('o\nthree\n');
+    tail();
+    await waitFor(() => lines.length === 3);
+
+    assert.deepEqual(texts(), ['one', 'two', 'three']);
+  });
+
+  it('reads a file rotated while stopped from its start instead of the saved offset', async () => {
+    fs.writeFileSync(logPath, '');
+    const first = tail();
+    await waitFor(() => first.getStatus()[0].status === 'tailing');
+    append('one\ntwo\n');
+    await waitFor(() => lines.length === 2);
+    first.stop();
+
+    fs.renameSync(logPath, `${logPath}.1`);
+    fs.writeFileSync(logPath, 'new\n');
+    tail();
+    await waitFor(() => lines.length === 3);
+
+    assert.deepEqual(texts(), ['one', 'two', 'new']);
+  });
+
+  it('waits for a file that does not exist yet', async () => {
+    const source = tail({ startAt: 'start' });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(source.getStatus()[0].status, 'waiting');
+
+    fs.writeFileSync(logPath, 'hello\n');
+    await waitFor(() => lines.length === 1);
+    assert.deepEqual(texts(), ['hello']);
+  });
+});
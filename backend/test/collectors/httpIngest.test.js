@@ -0,0 +1,145 @@
+/**
+ * HTTP log ingestion: API keys, JSON and NDJSON bodies, per-event validation
+ * and the batch limit
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const HttpIngest = require('../../collectors/HttpIngest');
+const LogCollector = require('../../collectors/LogCollector');
+
+const SOURCE = { source: 'billing', key: 'k-billing-123', service: 'BILLING' };
+
+describe('HttpIngest', () => {
+  let collector;
+  let ingest;
+  let added;
+
+  beforeEach(() => {
+    collector = new LogCollector({ docker: {} });
+    added = [];
+    collector.on('log', log => added.push(log));
+    ingest = new HttpIngest({ collector, apiKeys: [SOURCE, { source: 'cron', key: 'k-cron' }], maxEvents: 3, maxMessageLength: 50 });
+  });
+
+  it('accepts a bearer token or X-API-Key and nothing else', () => {
+    assert.equal(ingest.authenticate({ authorization: 'Bearer k-billing-123' }), SOURCE);
+    assert.equal(ingest.authenticate({ 'x-api-key': 'k-cron' }).source, 'cron');
+    assert.equal(ingest.authenticate({ authorization: 'Bearer k-billing-12' }), null);
+    assert.equal(ingest.authenticate({ authorization: 'Basic k-billing-123' }), null);
+    assert.equal(ingest.authenticate({}), null);
+    assert.equal(new HttpIngest({ collector }).isEnabled(), false);
+  });
+
+  it('takes a JSON array, a single event or { events }', () => {
+    assert.equal(ingest.splitEvents('[{"msg":"a"},{"msg":"b"}]', 'application/json').length, 2);
+    assert.deepEqual(ingest.splitEvents('{"msg":"a"}', 'application/json'), [{ event: { msg: 'a' } }]);
+    assert.equal(ingest.splitEvents('{"events":[{"msg":"a"},{"msg":"b"}]}', 'application/json; charset=utf-8').length, 2);
+
+    assert.throws(() => ingest.splitEvents('  ', 'application/json'), (e) => e.status === 400 && /empty/.test(e.message));
+    assert.throws(() => ingest.splitEvents('{"msg":', 'application/json'), (e) => e.status === 400 && /^Invalid JSON body/.test(e.message));
+  });
+
+  it('splits NDJSON per line, by content type or by shape, so a bad line only rejects itself', () => {
+    const body = '{"msg":"a"}\r\n\n{broken\n{"msg":"c"}\n';
+    const expected = [{ event: { msg: 'a' } }, { error: 'Invalid JSON on line 2: ' }, { event: { msg: 'c' } }];
+    for (const contentType of ['application/x-ndjson', 'text/plain', '']) {
+      const entries = ingest.splitEvents(body, contentType);
+      assert.equal(entries.length, 3, contentType);
+      assert.deepEqual(entries[0], expected[0]);
+      assert.ok(entries[1].error.startsWith(expected[1].error));
+      assert.deepEqual(entries[2], expected[2]);
+    }
+  });
+
+  it('maps events onto logs, defaulting the service to the source and merging fields', () => {
+    const result = ingest.ingest(JSON.stringify([
+      { level: 'warn', message: 'Card retry', ts: 1700000000, trace_id: 't-1', fields: { attempt: 2 }, customer: 'c-9' },
+      { msg: 'Invoice ERROR while rendering', service: 'invoices', stack: 'Error: x\n    at render (/app/pdf.js:1:1)' }
+    ]), 'application/json', SOURCE);
+
+    assert.deepEqual({ accepted: result.accepted, rejected: result.rejected }, { accepted: 2, rejected: 0 });
+    assert.deepEqual(result.results.map(r => r.id), added.map(log => log.id));
+
+    const [retry, invoice] = added;
+    assert.equal(retry.service, 'BILLING');
+    assert.equal(retry.level, 'WARN');
+    assert.equal(retry.timestamp, '2023-11-14T22:13:20.000Z');
+    assert.equal(retry.traceId, 't-1');
+    assert.deepEqual(retry.fields, { customer: 'c-9', attempt: 2 });
+    assert.equal(retry.container, 'ingest/billing');
+    assert.equal(retry.format, 'ingest');
+    assert.equal(retry.source, 'http');
+
+    // Service from the event, level detected from the message
+    assert.equal(invoice.service, 'INVOICES');
+    assert.equal(invoice.level, 'ERROR');
+    assert.match(invoice.stackTrace, /at render/);
+  });
+
+  it('rejects invalid events one by one, with the reason', () => {
+    const lines = [
+      '"just a string"',
+      '{"level":"loud","msg":"x"}',
+      '{"level":-1,"message":"x"}',
+      '{"time":"yesterday","msg":"x"}',
+      '{"service":42,"msg":"x"}',
+      '{"fields":[1],"msg":"x"}',
+      '{"level":"info"}',
+      '{"message":{"text":"x"}}',
+      JSON.stringify({ msg: 'x'.repeat(51) })
+    ];
+    const errors = lines.map(line => ingest.validateEvent(JSON.parse(line), SOURCE).error);
+
+    assert.deepEqual(errors, [
+      'Event must be a JSON object',
+      'Unknown level "loud"',
+      'Unknown level "-1"',
+      'Invalid timestamp "yesterday"',
+      'service must be a string of at most 128 characters',
+      'fields must be an object',
+      'message is required',
+      'message must be a string',
+      'message exceeds 50 characters'
+    ]);
+  });
+
+  it('reports accepted and rejected events in order and counts them per source', () => {
+    const result = ingest.ingest('{"msg":"ok"}\n{"level":"loud","msg":"x"}\nnot json', 'application/x-ndjson', SOURCE);
+
+    assert.equal(result.accepted, 1);
+    assert.equal(result.rejected, 2);
+    assert.deepEqual(result.results.map(r => [r.index, r.status]), [[0, 'accepted'], [1, 'rejected'], [2, 'rejected']]);
+    assert.equal(added.length, 1);
+
+    const [billing, cron] = ingest.getStatus();
+    assert.equal(billing.accepted, 1);
+    assert.equal(billing.rejected, 2);
+    assert.equal(billing.requests, 1);
+    assert.equal(billing.key, undefined);
+    assert.deepEqual({ service: cron.service, requests: cron.requests }, { service: 'CRON', requests: 0 });
+  });
+
+  it('validates the whole batch before adding any of it, rejecting events that throw', () => {
+    const order = [];
+    collector.on('log', log => order.push(`add ${log.message}`));
+    ingest.validateEvent = (event, source) => {
+      order.push(`validate ${event.msg}`);
+      if (event.msg === 'b') throw new TypeError('boom');
+      return HttpIngest.prototype.validateEvent.call(ingest, event, source);
+    };
+
+    const result = ingest.ingest('{"msg":"a"}\n{"msg":"b"}\n{"msg":"c"}', 'application/x-ndjson', SOURCE);
+
+    assert.deepEqual(result.results.map(r => [r.status, r.error]), [['accepted', undefined], ['rejected', 'Invalid event: boom'], ['accepted', undefined]]);
+    assert.deepEqual(order, ['validate a', 'validate b', 'validate c', 'add a', 'add c']);
+  });
+
+  it('refuses a batch over the limit as a whole', () => {
+    assert.throws(
+      () => ingest.ingest('[{"msg":"a"},{"msg":"b"},{"msg":"c"},{"msg":"d"}]', 'application/json', SOURCE),
+      (e) => e.status === 413 && e.message === 'Batch of 4 events exceeds the limit of 3'
+    );
+    assert.equal(added.length, 0);
+  });
+});
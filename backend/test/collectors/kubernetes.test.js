@@ -0,0 +1,295 @@
+/**
+ * Kubernetes client, pod discovery and log source against a fake API server
+ * (the kind KUBE_API_SERVER can point at), including previous-container logs
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const KubernetesClient = require('../../services/KubernetesClient');
+const ServiceDiscovery = require('../../services/ServiceDiscovery');
+const KubernetesSource = require('../../collectors/sources/KubernetesSource');
+
+/**
+ * Pod object as the API returns it
+ * @param {string} name - Pod name
+ * @param {object} options - { namespace, phase, running, restartCount, waiting, owner, labels }
+ * @returns {object} Pod
+ */
+function pod(name, { namespace = 'shop', phase = 'Running', running = true, restartCount = 0, waiting = null, owner = null, labels = {} } = {}) {
+  return {
+    metadata: {
+      name,
+      namespace,
+      labels,
+      ownerReferences: owner ? [{ kind: owner.kind, name: owner.name, controller: true }] : []
+    },
+    spec: { containers: [{ name: 'app', image: 'shop/app:1' }] },
+    status: {
+      phase,
+      containerStatuses: [{
+        name: 'app',
+        restartCount,
+        state: running ? { running: {} } : { waiting: { reason: waiting || 'CrashLoopBackOff' } }
+      }]
+    }
+  };
+}
+
+/**
+ * Fake API server: pods, ReplicaSets and container logs kept in maps, every
+ * request recorded. Log lines carry RFC3339Nano prefixes and honour sinceTime
+ * (inclusive, second precision) like the real server
+ * @returns {object} { server, pods, replicaSets, logs, requests, url }
+ */
+function fakeApiServer() {
+  const fake = { pods: new Map(), replicaSets: new Map(), logs: new Map(), requests: [] };
+
+  fake.server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://fake');
+    fake.requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), authorization: req.headers.authorization });
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const route = (pattern) => url.pathname.match(pattern);
+    let match;
+
+    if (url.pathname === '/api/v1/pods') {
+      return send(200, { items: Array.from(fake.pods.values()) });
+    }
+    if ((match = route(/^\/api\/v1\/namespaces\/([^/]+)\/pods$/))) {
+      return send(200, { items: Array.from(fake.pods.values()).filter(p => p.metadata.namespace === match[1]) });
+    }
+    if ((match = route(/^\/api\/v1\/namespaces\/([^/]+)\/pods\/([^/]+)\/log$/))) {
+      const previous = url.searchParams.get('previous') === 'true';
+      const lines = fake.logs.get(`${match[1]}/${match[2]}/${url.searchParams.get('container')}${previous ? ':previous' : ''}`);
+      if (!lines) {
+        return send(400, { kind: 'Status', message: `previous terminated container "app" in pod "${match[2]}" not found` });
+      }
+
+      const since = url.searchParams.get('sinceTime');
+      const tail = parseInt(url.searchParams.get('tailLines')) || lines.length;
+      const selected = lines.filter(line => !since || line.substring(0, 19) >= since.substring(0, 19)).slice(-tail);
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end(selected.map(line => `${line}\n`).join(''));
+    }
+    if ((match = route(/^\/api\/v1\/namespaces\/([^/]+)\/pods\/([^/]+)$/))) {
+      const found = fake.pods.get(`${match[1]}/${match[2]}`);
+      return found ? send(200, found) : send(404, { kind: 'Status', message: `pods "${match[2]}" not found` });
+    }
+    if ((match = route(/^\/apis\/apps\/v1\/namespaces\/([^/]+)\/replicasets\/([^/]+)$/))) {
+      const replicaSet = fake.replicaSets.get(`${match[1]}/${match[2]}`);
+      return replicaSet ? send(200, replicaSet) : send(403, { kind: 'Status', message: 'replicasets.apps is forbidden' });
+    }
+
+    send(404, { kind: 'Status', message: 'the server could not find the requested resource' });
+  });
+
+  fake.addPod = (p) => fake.pods.set(`${p.metadata.namespace}/${p.metadata.name}`, p);
+  return fake;
+}
+
+/**
+ * Resolve once the predicate holds, polling briefly
+ * @param {Function} predicate - Condition
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('Kubernetes', () => {
+  let fake;
+  let client;
+
+  before(async () => {
+    fake = fakeApiServer();
+    await new Promise(resolve => fake.server.listen(0, '127.0.0.1', resolve));
+    fake.url = `http://127.0.0.1:${fake.server.address().port}/`;
+  });
+
+  after(async () => {
+    fake.server.closeAllConnections();
+    await new Promise(resolve => fake.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    fake.pods.clear();
+    fake.replicaSets.clear();
+    fake.logs.clear();
+    fake.requests.length = 0;
+    client = new KubernetesClient({ apiServer: fake.url, token: 'secret-token' });
+  });
+
+  describe('KubernetesClient', () => {
+    it('lists pods per namespace or across all of them, with the bearer token and label selector', async () => {
+      fake.addPod(pod('orders-1'));
+      fake.addPod(pod('dns-1', { namespace: 'kube-system' }));
+
+      assert.deepEqual((await client.listPods('shop', 'app.kubernetes.io/part-of=shop')).map(p => p.metadata.name), ['orders-1']);
+      assert.equal((await client.listPods('*')).length, 2);
+
+      assert.deepEqual(fake.requests[0], {
+        path: '/api/v1/namespaces/shop/pods',
+        query: { labelSelector: 'app.kubernetes.io/part-of=shop' },
+        authorization: 'Bearer secret-token'
+      });
+      assert.equal(fake.requests[1].path, '/api/v1/pods');
+    });
+
+    it('reports API errors with their status and message', async () => {
+      await assert.rejects(client.getPod('shop', 'gone'), (error) =>
+        error.statusCode === 404 && error.message === 'Kubernetes API 404: pods "gone" not found'
+      );
+    });
+
+    it('streams logs with timestamps and the requested options', async () => {
+      fake.logs.set('shop/orders-1/app', ['2024-05-01T10:00:00.5Z one', '2024-05-01T10:00:01Z two']);
+
+      const stream = await client.streamPodLogs('shop', 'orders-1', { container: 'app', follow: true, tailLines: 1 });
+      let body = '';
+      for await (const chunk of stream) body += chunk;
+
+      assert.equal(body, '2024-05-01T10:00:01Z two\n');
+      assert.deepEqual(fake.requests[0].query, { timestamps: 'true', container: 'app', follow: 'true', tailLines: '1' });
+    });
+
+    it('is not configured without an API server or in-cluster environment', { skip: Boolean(process.env.KUBERNETES_SERVICE_HOST) }, async () => {
+      const unconfigured = new KubernetesClient({});
+      assert.equal(unconfigured.isConfigured(), false);
+      await assert.rejects(unconfigured.listPods('shop'), /not configured/);
+    });
+  });
+
+  describe('ServiceDiscovery', () => {
+    it('finds running pod containers and names them after their Deployment', async () => {
+      fake.addPod(pod('orders-7d9f-abcde', { owner: { kind: 'ReplicaSet', name: 'orders-7d9f' } }));
+      fake.addPod(pod('payments-5c6b-xyz', { owner: { kind: 'ReplicaSet', name: 'payments-5c6b' }, labels: { 'pod-template-hash': '5c6b' } }));
+      fake.addPod(pod('db-0', { owner: { kind: 'StatefulSet', name: 'db' } }));
+      fake.addPod(pod('migrate-abc', { phase: 'Succeeded', running: false }));
+      fake.replicaSets.set('shop/orders-7d9f', {
+        metadata: { name: 'orders-7d9f', ownerReferences: [{ kind: 'Deployment', name: 'orders', controller: true }] }
+      });
+
+      const discovery = new ServiceDiscovery({ discoveryMode: 'kubernetes', kubernetesClient: client, namespaces: ['shop'] });
+      const targets = await discovery.discoverKubernetes();
+
+      assert.deepEqual(targets.map(t => [t.name, t.serviceName, t.workload.kind]), [
+        ['shop/orders-7d9f-abcde/app', 'ORDERS', 'Deployment'],
+        // ReplicaSets the service account may not read: the pod-template hash is stripped instead
+        ['shop/payments-5c6b-xyz/app', 'PAYMENTS', 'Deployment'],
+        ['shop/db-0/app', 'DB', 'StatefulSet']
+      ]);
+    });
+  });
+
+  describe('KubernetesSource', () => {
+    let source;
+    let lines;
+
+    const target = { name: 'shop/orders-1/app', namespace: 'shop', pod: 'orders-1', container: 'app', serviceName: 'ORDERS' };
+
+    beforeEach(() => {
+      source = new KubernetesSource({ client, tailLines: 10, initialBackoffMs: 20, maxBackoffMs: 50 });
+      lines = [];
+      source.on('line', (key, text, meta) => lines.push({ key, text, meta }));
+    });
+
+    afterEach(() => {
+      source.unfollowAll();
+    });
+
+    it('follows a container, tagging lines with the pod and their timestamp', async () => {
+      fake.addPod(pod('orders-1'));
+      fake.logs.set('shop/orders-1/app', ['2024-05-01T10:00:00.123456789Z Order 1 placed', '2024-05-01T10:00:01Z Order 2 placed']);
+
+      source.follow(target);
+      await waitFor(() => lines.length === 2);
+
+      assert.deepEqual(lines[0], {
+        key: 'shop/orders-1/app',
+        text: 'Order 1 placed',
+        meta: { service: 'ORDERS', namespace: 'shop', pod: 'orders-1', stream: 'combined', timestamp: '2024-05-01T10:00:00.123Z' }
+      });
+      const [first] = fake.requests.filter(r => r.path.endsWith('/log'));
+      assert.deepEqual(first.query, { timestamps: 'true', container: 'app', follow: 'true', tailLines: '10' });
+    });
+
+    it('resumes after a dropped stream from the last timestamp without repeating lines', async () => {
+      fake.addPod(pod('orders-1'));
+      fake.logs.set('shop/orders-1/app', ['2024-05-01T10:00:00Z Order 1 placed', '2024-05-01T10:00:01Z Order 2 placed']);
+
+      source.follow(target);
+      await waitFor(() => lines.length === 2);
+      fake.logs.get('shop/orders-1/app').push('2024-05-01T10:00:02Z Order 3 placed');
+      await waitFor(() => lines.length === 3);
+
+      assert.deepEqual(lines.map(l => l.text), ['Order 1 placed', 'Order 2 placed', 'Order 3 placed']);
+      const resumed = fake.requests.filter(r => r.path.endsWith('/log'))[1];
+      assert.equal(resumed.query.sinceTime, '2024-05-01T10:00:01Z');
+      assert.ok(source.getStatus()[0].duplicatesSkipped >= 1);
+    });
+
+    it('reads the previous instance after a restart, before following the new one', async () => {
+      fake.addPod(pod('orders-1'));
+      fake.logs.set('shop/orders-1/app', ['2024-05-01T10:00:00Z Order 1 placed', '2024-05-01T10:00:01Z Order 2 placed']);
+
+      source.follow(target);
+      await waitFor(() => lines.length === 2);
+
+      // The container crashes and comes back before the reconnect
+      fake.addPod(pod('orders-1', { restartCount: 1 }));
+      fake.logs.set('shop/orders-1/app:previous', [
+        '2024-05-01T10:00:01Z Order 2 placed',
+        '2024-05-01T10:00:02Z FATAL: JavaScript heap out of memory'
+      ]);
+      fake.logs.set('shop/orders-1/app', ['2024-05-01T10:00:05Z Listening on 8080']);
+      await waitFor(() => lines.length === 4);
+
+      assert.deepEqual(lines.map(l => l.text), ['Order 1 placed', 'Order 2 placed', 'FATAL: JavaScript heap out of memory', 'Listening on 8080']);
+      assert.equal(lines[2].meta.previous, true);
+      assert.equal(lines[3].meta.previous, undefined);
+
+      const [status] = source.getStatus();
+      assert.equal(status.restartCount, 1);
+      assert.equal(status.previousLinesRead, 1);
+    });
+
+    it('reads the crash output of a container found crash-looping, then backs off', async () => {
+      fake.addPod(pod('orders-1', { running: false, restartCount: 4 }));
+      fake.logs.set('shop/orders-1/app:previous', ['2024-05-01T10:00:00Z Error: config missing']);
+      const errors = [];
+      source.on('stream-error', info => errors.push(info));
+
+      source.follow(target);
+      await waitFor(() => errors.length === 1);
+
+      assert.deepEqual(lines.map(l => l.text), ['Error: config missing']);
+      assert.deepEqual(errors[0], { container: 'shop/orders-1/app', error: 'Container app is CrashLoopBackOff' });
+      const [status] = source.getStatus();
+      assert.equal(status.status, 'backoff');
+      assert.equal(status.lastError, 'Container app is CrashLoopBackOff');
+      assert.equal(status.connectedAt, null);
+    });
+
+    it('treats a missing previous instance as no crash output', async () => {
+      fake.addPod(pod('orders-1', { restartCount: 2 }));
+      fake.logs.set('shop/orders-1/app', ['2024-05-01T10:00:00Z Ready']);
+      source.follow(target);
+      await waitFor(() => lines.length === 1);
+
+      fake.addPod(pod('orders-1', { restartCount: 3 }));
+      await waitFor(() => fake.requests.some(r => r.query.previous === 'true'));
+      await waitFor(() => source.getStatus()[0].restartCount === 3);
+
+      assert.deepEqual(lines.map(l => l.text), ['Ready']);
+      assert.equal(source.getStatus()[0].previousLinesRead, 0);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Line assembler: chunk splitting and folding of Node, Java and Python stack
+ * traces into the entry they belong to
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LineAssembler = require('../../collectors/LineAssembler');
+const LogCollector = require('../../collectors/LogCollector');
+
+/**
+ * Assembler that collects its entries
+ * @param {object} options - LineAssembler options
+ * @returns {object} { assembler, entries }
+ */
+function collect(options = {}) {
+  const entries = [];
+  const assembler = new LineAssembler({ flushTimeoutMs: 20, ...options, onEntry: entry => entries.push(entry) });
+  return { assembler, entries };
+}
+
+describe('LineAssembler', () => {
+  it('joins lines split across chunks and handles CRLF', () => {
+    const { assembler, entries } = collect();
+    assembler.write('first li');
+    assembler.write('ne\r\nsecond line\nthi');
+    assembler.write('rd');
+    assembler.flush();
+
+    assert.deepEqual(entries.map(e => e.line), ['first line', 'second line', 'third']);
+    assert.ok(entries.every(e => e.continuation.length === 0));
+  });
+
+  it('folds Node frames into the error line', () => {
+    const { assembler, entries } = collect();
+    assembler.write([
+      'TypeError: Cannot read properties of undefined',
+      '    at placeOrder (/app/orders.js:42:15)',
+      '    at async Router.handle (/app/router.js:9:3)',
+      'GET /health 200',
+      ''
+    ].join('\n'));
+    assembler.flush();
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].line, 'TypeError: Cannot read properties of undefined');
+    assert.deepEqual(entries[0].continuation, ['    at placeOrder (/app/orders.js:42:15)', '    at async Router.handle (/app/router.js:9:3)']);
+    assert.equal(entries[1].line, 'GET /health 200');
+  });
+
+  it('folds Java causes and elided frames', () => {
+    const { assembler, entries } = collect();
+    for (const line of [
+      'Exception in thread "main" java.lang.IllegalStateException: closed',
+      '\tat com.acme.Pool.get(Pool.java:7)',
+      'Caused by: java.io.IOException: Broken pipe',
+      '\t... 12 more',
+      'Next entry'
+    ]) {
+      assembler.writeLine(line);
+    }
+    assembler.flush();
+
+    assert.equal(entries.length, 2);
+    assert.equal(entries[0].continuation.length, 3);
+    assert.equal(entries[0].continuation[1], 'Caused by: java.io.IOException: Broken pipe');
+  });
+
+  it('folds a Python traceback up to its exception line, but not an exception line on its own', () => {
+    const { assembler, entries } = collect();
+    for (const line of [
+      'Traceback (most recent call last):',
+      '  File "/app/views.py", line 12, in create',
+      '    order = place(data)',
+      'ValueError: bad input',
+      'ValueError: logged without a traceback',
+      'KeyError: also on its own'
+    ]) {
+      assembler.writeLine(line);
+    }
+    assembler.flush();
+
+    assert.deepEqual(entries.map(e => e.line), ['Traceback (most recent call last):', 'ValueError: logged without a traceback', 'KeyError: also on its own']);
+    assert.deepEqual(entries[0].continuation, ['  File "/app/views.py", line 12, in create', '    order = place(data)', 'ValueError: bad input']);
+  });
+
+  it('keeps the metadata of the first line and caps folded lines', () => {
+    const { assembler, entries } = collect({ maxContinuationLines: 2 });
+    assembler.writeLine('Error: deep', { stream: 'stderr', timestamp: '2024-01-01T00:00:00.000Z' });
+    for (let i = 0; i < 5; i++) {
+      assembler.writeLine(`    at f${i} (/app/x.js:${i}:1)`, { stream: 'stderr', timestamp: 'later' });
+    }
+    assembler.flush();
+
+    assert.deepEqual(entries[0].meta, { stream: 'stderr', timestamp: '2024-01-01T00:00:00.000Z' });
+    assert.deepEqual(entries[0].continuation, ['    at f0 (/app/x.js:0:1)', '    at f1 (/app/x.js:1:1)', '    ... 3 more lines truncated']);
+  });
+
+  it('emits a pending entry after the idle timeout', async () => {
+    const { assembler, entries } = collect();
+    assembler.write('Error: waiting\n    at a (/x.js:1:1)\n');
+    assert.equal(entries.length, 0);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].continuation.length, 1);
+  });
+
+  it('becomes one log with a stack trace in LogCollector, raising unstructured tracebacks to ERROR', () => {
+    const collector = new LogCollector({ docker: {}, multilineFlushMs: 20 });
+    const logs = [];
+    collector.on('log', log => logs.push(log));
+
+    const assembler = collector.getAssembler('worker', 'stderr');
+    for (const line of ['Traceback (most recent call last):', '  File "/app/jobs.py", line 3, in run', 'KeyError: \'id\'']) {
+      assembler.writeLine(line, { stream: 'stderr' });
+    }
+    collector.releaseAssemblers('worker');
+
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].level, 'ERROR');
+    assert.equal(logs[0].stackTrace, '  File "/app/jobs.py", line 3, in run\nKeyError: \'id\'');
+    assert.equal(logs[0].raw.split('\n').length, 3);
+    assert.equal(collector.assemblers.size, 0);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * OTLP/HTTP receiver: log and trace export requests in JSON and protobuf,
+ * severity mapping, IDs, attributes and partial success
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OtlpReceiver = require('../../collectors/OtlpReceiver');
+const LogCollector = require('../../collectors/LogCollector');
+const schema = require('../../collectors/otlp/schema');
+
+const TRACE_ID = '5b8efff798038103d269b633813fc60c';
+const SPAN_ID = 'eee19b7ec3c1b174';
+// 2024-05-01T10:00:00.123Z
+const TIME_NANOS = '1714557600123456789';
+
+const resource = (attributes) => ({
+  attributes: Object.entries(attributes).map(([key, value]) => ({ key, value: { stringValue: value } }))
+});
+
+/**
+ * Encode a request object as protobuf
+ * @param {protobuf.Type} type - Message type
+ * @param {object} request - Request object
+ * @returns {Buffer} Encoded message
+ */
+const encode = (type, request) => Buffer.from(type.encode(type.fromObject(request)).finish());
+
+describe('OtlpReceiver', () => {
+  let receiver;
+  let added;
+  let stored;
+  let observed;
+
+  beforeEach(() => {
+    const collector = new LogCollector({ docker: {} });
+    added = [];
+    collector.on('log', log => added.push(log));
+
+    stored = [];
+    observed = [];
+    receiver = new OtlpReceiver({
+      collector,
+      spanStore: {
+        storeSpans: async (spans) => { stored.push(...spans); },
+        getTrace: async (traceId) => stored.filter(span => span.traceId === traceId)
+      },
+      dependencyGraph: { observeSpans: (spans, getTrace) => observed.push({ spans, trace: getTrace(spans[0].traceId) }) }
+    });
+  });
+
+  describe('logs', () => {
+    it('turns JSON log records into logs with their service, level, IDs and attributes', () => {
+      const request = {
+        resourceLogs: [{
+          resource: resource({ 'service.name': 'checkout', 'k8s.pod.name': 'checkout-1', 'cloud.region': 'eu-west-1' }),
+          scopeLogs: [{
+            scope: { name: 'checkout.payments' },
+            logRecords: [{
+              timeUnixNano: TIME_NANOS,
+              severityNumber: 17,
+              severityText: 'ERROR',
+              body: { stringValue: 'Payment declined' },
+              traceId: TRACE_ID,
+              spanId: SPAN_ID,
+              attributes: [
+                { key: 'http.status_code', value: { intValue: '402' } },
+                { key: 'retry', value: { boolValue: false } },
+                { key: 'tags', value: { arrayValue: { values: [{ stringValue: 'card' }, { doubleValue: 1.5 }] } } },
+                { key: 'exception.stacktrace', value: { stringValue: 'Error: declined\n    at charge (pay.js:1:1)' } }
+              ]
+            }]
+          }]
+        }]
+      };
+
+      const response = receiver.receiveLogs(Buffer.from(JSON.stringify(request)), 'application/json');
+      assert.deepEqual(response, { contentType: 'application/json', body: '{}' });
+
+      assert.equal(added.length, 1);
+      const [log] = added;
+      assert.equal(log.service, 'CHECKOUT');
+      assert.equal(log.timestamp, '2024-05-01T10:00:00.123Z');
+      assert.equal(log.level, 'ERROR');
+      assert.equal(log.message, 'Payment declined');
+      assert.equal(log.traceId, TRACE_ID);
+      assert.equal(log.spanId, SPAN_ID);
+      assert.equal(log.stackTrace, 'Error: declined\n    at charge (pay.js:1:1)');
+      assert.equal(log.container, 'otlp/checkout');
+      assert.equal(log.format, 'otlp');
+      // Selected resource attributes only
+      assert.deepEqual(log.fields, {
+        'http.status_code': 402,
+        retry: false,
+        tags: ['card', 1.5],
+        'otel.scope': 'checkout.payments',
+        'k8s.pod.name': 'checkout-1'
+      });
+    });
+
+    it('maps severity numbers, and falls back to the text and message without one', () => {
+      const record = (fields) => ({ body: { stringValue: 'msg' }, ...fields });
+      const request = {
+        resourceLogs: [{
+          scopeLogs: [{
+            logRecords: [
+              record({ severityNumber: 21 }),
+              record({ severityNumber: 13 }),
+              record({ severityNumber: 9 }),
+              record({ severityNumber: 5 }),
+              record({ severityText: 'Warning' }),
+              { body: { kvlistValue: { values: [{ key: 'event', value: { stringValue: 'login' } }] } } },
+              { eventName: 'session.start' },
+              { attributes: [{ key: 'exception.message', value: { stringValue: 'boom' } }] }
+            ]
+          }]
+        }]
+      };
+
+      receiver.receiveLogs(Buffer.from(JSON.stringify(request)), 'application/json');
+      assert.deepEqual(added.map(log => log.level), ['CRITICAL', 'WARN', 'INFO', 'DEBUG', 'WARN', 'INFO', 'INFO', 'INFO']);
+      assert.deepEqual(added.slice(5).map(log => log.message), ['{"event":"login"}', 'session.start', 'boom']);
+      assert.equal(added[0].service, 'OTEL');
+    });
+
+    it('decodes protobuf requests and answers in protobuf, reporting rejected records', () => {
+      const body = encode(schema.ExportLogsServiceRequest, {
+        resourceLogs: [{
+          resource: resource({ 'service.name': 'inventory' }),
+          scopeLogs: [{
+            logRecords: [
+              { timeUnixNano: TIME_NANOS, severityNumber: 13, body: { stringValue: 'Stock low' }, traceId: Buffer.from(TRACE_ID, 'hex'), spanId: Buffer.from(SPAN_ID, 'hex') },
+              { timeUnixNano: TIME_NANOS, body: { stringValue: '   ' } }
+            ]
+          }]
+        }]
+      });
+
+      const response = receiver.receiveLogs(body, 'application/x-protobuf');
+      assert.equal(response.contentType, 'application/x-protobuf');
+      assert.deepEqual(schema.ExportLogsServiceResponse.toObject(schema.ExportLogsServiceResponse.decode(response.body), { longs: Number }), {
+        partialSuccess: { rejectedLogRecords: 1, errorMessage: 'Log records without a body were rejected' }
+      });
+
+      assert.equal(added.length, 1);
+      assert.equal(added[0].service, 'INVENTORY');
+      assert.equal(added[0].level, 'WARN');
+      assert.equal(added[0].timestamp, '2024-05-01T10:00:00.123Z');
+      assert.equal(added[0].traceId, TRACE_ID);
+      assert.equal(added[0].spanId, SPAN_ID);
+      assert.equal(receiver.getStatus().rejectedLogRecords, 1);
+    });
+
+    it('rejects bodies that do not decode', () => {
+      assert.throws(() => receiver.receiveLogs(Buffer.from('{"resourceLogs":'), 'application/json'), (e) => e.status === 400 && /^Invalid JSON payload/.test(e.message));
+      assert.throws(() => receiver.receiveLogs(Buffer.from([0x0a, 0xff, 0xff]), 'application/x-protobuf; charset=binary'), (e) => e.status === 400 && /^Invalid protobuf payload/.test(e.message));
+    });
+
+    it('rejects JSON bodies that are not an object', () => {
+      for (const body of ['null', '[]', '42', '"logs"']) {
+        assert.throws(() => receiver.receiveLogs(Buffer.from(body), 'application/json'), (e) => e.status === 400 && e.message === 'Invalid JSON payload: expected an object', body);
+      }
+    });
+  });
+
+  describe('traces', () => {
+    it('stores spans with their parent, kind, status and duration, and feeds the dependency graph', async () => {
+      const parentId = '0102030405060708';
+      const body = encode(schema.ExportTraceServiceRequest, {
+        resourceSpans: [{
+          resource: resource({ 'service.name': 'api-gateway' }),
+          scopeSpans: [{
+            spans: [
+              {
+                traceId: Buffer.from(TRACE_ID, 'hex'),
+                spanId: Buffer.from(SPAN_ID, 'hex'),
+                parentSpanId: Buffer.from(parentId, 'hex'),
+                name: 'GET /orders',
+                kind: 3,
+                startTimeUnixNano: TIME_NANOS,
+                endTimeUnixNano: '1714557600373456789',
+                status: { code: 2, message: 'upstream timeout' },
+                attributes: [{ key: 'http.method', value: { stringValue: 'GET' } }],
+                events: [{ name: 'retry', timeUnixNano: TIME_NANOS }]
+              },
+              { traceId: Buffer.alloc(16), spanId: Buffer.from(SPAN_ID, 'hex'), name: 'no trace' }
+            ]
+          }]
+        }]
+      });
+
+      const response = await receiver.receiveTraces(body, 'application/x-protobuf');
+      const decoded = schema.ExportTraceServiceResponse.toObject(schema.ExportTraceServiceResponse.decode(response.body), { longs: Number });
+      assert.equal(decoded.partialSuccess.rejectedSpans, 1);
+
+      assert.deepEqual(stored, [{
+        traceId: TRACE_ID,
+        spanId: SPAN_ID,
+        parentSpanId: parentId,
+        service: 'API-GATEWAY',
+        name: 'GET /orders',
+        kind: 'CLIENT',
+        startTime: '2024-05-01T10:00:00.123Z',
+        endTime: '2024-05-01T10:00:00.373Z',
+        durationMs: 250,
+        status: 'ERROR',
+        statusMessage: 'upstream timeout',
+        attributes: { 'http.method': 'GET' },
+        events: [{ name: 'retry', timestamp: '2024-05-01T10:00:00.123Z', attributes: {} }]
+      }]);
+      assert.equal(observed.length, 1);
+      assert.deepEqual(observed[0].trace, stored);
+    });
+
+    it('reads hex and base64 IDs from JSON', async () => {
+      const request = {
+        resourceSpans: [{
+          scopeSpans: [{
+            spans: [
+              { traceId: TRACE_ID.toUpperCase(), spanId: SPAN_ID, name: 'hex' },
+              { traceId: Buffer.from(TRACE_ID, 'hex').toString('base64'), spanId: Buffer.from(SPAN_ID, 'hex').toString('base64'), name: 'base64' }
+            ]
+          }]
+        }]
+      };
+
+      const response = await receiver.receiveTraces(Buffer.from(JSON.stringify(request)), 'application/json');
+      assert.equal(response.body, '{}');
+      assert.deepEqual(stored.map(span => [span.traceId, span.spanId, span.service]), [[TRACE_ID, SPAN_ID, 'OTEL'], [TRACE_ID, SPAN_ID, 'OTEL']]);
+    });
+
+    it('rejects a null JSON body with a 400', async () => {
+      await assert.rejects(receiver.receiveTraces(Buffer.from('null'), 'application/json'), (e) => e.status === 400);
+      assert.equal(stored.length, 0);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Log line parsers: bracket, JSON (pino, winston, bunyan) and logfmt, alone
+ * and as LogCollector's parser chain
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { bracketParser, jsonParser, logfmtParser } = require('../../collectors/parsers');
+const { normalizeLevel, normalizeTimestamp } = require('../../collectors/parsers/fieldMapping');
+const LogCollector = require('../../collectors/LogCollector');
+
+describe('log parsers', () => {
+  describe('bracket', () => {
+    it('reads the native [SERVICE] TIMESTAMP LEVEL: message format', () => {
+      assert.deepEqual(bracketParser.parse('[DB-SERVICE] 2024-01-01T00:00:00.000Z error: Pool exhausted: 10/10'), {
+        service: 'DB-SERVICE',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        level: 'ERROR',
+        message: 'Pool exhausted: 10/10'
+      });
+      assert.equal(bracketParser.parse('[DB-SERVICE] yesterday ERROR: x'), null);
+    });
+  });
+
+  describe('json', () => {
+    it('maps pino records: numeric level, epoch time, nested error stack', () => {
+      const line = JSON.stringify({
+        level: 50,
+        time: 1700000000000,
+        msg: 'Payment failed',
+        service: 'payments',
+        trace_id: 'abc123',
+        span_id: 'def',
+        err: { type: 'Error', stack: 'Error: declined\n    at charge (/app/pay.js:3:9)' },
+        userId: 7
+      });
+
+      assert.deepEqual(jsonParser.parse(line), {
+        level: 'ERROR',
+        message: 'Payment failed',
+        timestamp: '2023-11-14T22:13:20.000Z',
+        service: 'PAYMENTS',
+        traceId: 'abc123',
+        spanId: 'def',
+        stackTrace: 'Error: declined\n    at charge (/app/pay.js:3:9)',
+        fields: { err: { type: 'Error' }, userId: 7 }
+      });
+    });
+
+    it('maps winston and bunyan field names and falls back to the error message', () => {
+      const winston = jsonParser.parse('{"level":"warning","message":"Disk 91% full","timestamp":"2024-05-01T10:00:00Z","service.name":"storage"}');
+      assert.equal(winston.level, 'WARN');
+      assert.equal(winston.message, 'Disk 91% full');
+      assert.equal(winston.timestamp, '2024-05-01T10:00:00.000Z');
+      assert.equal(winston.service, 'STORAGE');
+
+      const bunyan = jsonParser.parse('{"name":"api","level":60,"time":"2024-05-01T10:00:00.000Z","error":{"message":"out of memory"}}');
+      assert.equal(bunyan.level, 'CRITICAL');
+      assert.equal(bunyan.message, 'out of memory');
+    });
+
+    it('ignores lines that are not a JSON object', () => {
+      for (const line of ['plain text', '[1,2,3]', '{"unterminated": ', '{not json}']) {
+        assert.equal(jsonParser.parse(line), null, line);
+      }
+    });
+  });
+
+  describe('logfmt', () => {
+    it('reads quoted, escaped, bare and dotted keys', () => {
+      assert.deepEqual(logfmtParser.parseLogfmt('level=info msg="said \\"hi\\"" retry db.name=orders empty='), {
+        level: 'info',
+        msg: 'said "hi"',
+        retry: true,
+        'db.name': 'orders',
+        empty: ''
+      });
+    });
+
+    it('maps well-known keys and keeps the rest as fields', () => {
+      assert.deepEqual(logfmtParser.parse('ts=1700000000 lvl=err msg="slow query" duration=1200 trace.id=t1'), {
+        level: 'ERROR',
+        message: 'slow query',
+        timestamp: '2023-11-14T22:13:20.000Z',
+        service: null,
+        traceId: 't1',
+        spanId: null,
+        stackTrace: null,
+        fields: { duration: '1200' }
+      });
+    });
+
+    it('does not take prose with a stray "=" for logfmt', () => {
+      assert.equal(logfmtParser.parse('Retrying because x=1 did not work'), null);
+      assert.equal(logfmtParser.parse('a=1 b=2'), null);
+    });
+  });
+
+  describe('field mapping', () => {
+    it('normalizes level names and numbers', () => {
+      assert.equal(normalizeLevel('FATAL'), 'CRITICAL');
+      assert.equal(normalizeLevel(' notice '), 'INFO');
+      assert.equal(normalizeLevel('trace'), 'DEBUG');
+      assert.equal(normalizeLevel('40'), 'WARN');
+      assert.equal(normalizeLevel(10), 'DEBUG');
+      assert.equal(normalizeLevel('loud'), null);
+    });
+
+    it('normalizes ISO, epoch seconds and epoch milliseconds', () => {
+      assert.equal(normalizeTimestamp('2024-05-01T10:00:00+02:00'), '2024-05-01T08:00:00.000Z');
+      assert.equal(normalizeTimestamp('1700000000.5'), '2023-11-14T22:13:20.500Z');
+      assert.equal(normalizeTimestamp(1700000000000), '2023-11-14T22:13:20.000Z');
+      assert.equal(normalizeTimestamp('soon'), null);
+    });
+  });
+
+  describe('LogCollector.parseLine', () => {
+    const collector = new LogCollector({ docker: {} });
+
+    it('uses the first parser that recognizes the line and records its format', () => {
+      const json = collector.parseLine('{"level":"error","msg":"boom","requestId":"r1"}', 'kubewhisper-api-gateway-1');
+      assert.equal(json.format, 'json');
+      assert.equal(json.service, 'API-GATEWAY');
+      assert.equal(json.level, 'ERROR');
+      assert.equal(json.message, 'boom');
+      assert.deepEqual(json.fields, { requestId: 'r1' });
+
+      const bracket = collector.parseLine('[DB-SERVICE] 2024-01-01T00:00:00.000Z WARN: slow', 'other');
+      assert.equal(bracket.format, 'bracket');
+      assert.equal(bracket.service, 'DB-SERVICE');
+
+      const logfmt = collector.parseLine('level=warn msg="slow query" duration=1200', 'kubewhisper_user-service_1', { stream: 'stderr' });
+      assert.equal(logfmt.format, 'logfmt');
+      assert.equal(logfmt.stream, 'stderr');
+      assert.deepEqual(logfmt.fields, { duration: '1200' });
+    });
+
+    it('falls back to the raw line, source metadata and level detection', () => {
+      const log = collector.parseLine('Something ERROR happened', 'my-app', { timestamp: '2024-01-01T00:00:00.000Z', fields: { host: 'n1' } });
+      assert.equal(log.format, 'text');
+      assert.equal(log.service, 'MY-APP');
+      assert.equal(log.level, 'ERROR');
+      assert.equal(log.timestamp, '2024-01-01T00:00:00.000Z');
+      assert.equal(log.message, 'Something ERROR happened');
+      assert.deepEqual(log.fields, { host: 'n1' });
+    });
+
+    it('tries added parsers in order, skipping ones that throw', () => {
+      const custom = new LogCollector({ docker: {} });
+      custom.addParser({ name: 'broken', parse: () => { throw new Error('bug'); } }, { prepend: true });
+      custom.addParser({ name: 'csv', parse: (line) => line.includes(',') ? { message: line.split(',')[1], level: 'DEBUG' } : null });
+
+      const log = custom.parseLine('42,cache warmed', 'worker');
+      assert.equal(log.format, 'csv');
+      assert.equal(log.message, 'cache warmed');
+      assert.throws(() => custom.addParser({ name: 'nothing' }), /must implement parse/);
+    });
+  });
+});
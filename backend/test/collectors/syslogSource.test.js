@@ -0,0 +1,217 @@
+/**
+ * Syslog: RFC 5424 and RFC 3164 parsing, and the TCP and UDP listeners with
+ * octet-counted frames split across TCP chunks
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const net = require('net');
+const { parseSyslog } = require('../../collectors/sources/syslog');
+const SyslogSource = require('../../collectors/sources/SyslogSource');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Resolve once the predicate holds, polling briefly
+ * @param {Function} predicate - Condition
+ * @param {number} timeoutMs - Give up after this long
+ */
+async function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Find a free port (the source treats port 0 as disabled)
+ * @returns {Promise<number>} Port
+ */
+async function freePort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+/**
+ * Prefix a message with its length in bytes (RFC 6587 octet counting)
+ * @param {string} message - Syslog message
+ * @returns {Buffer} Frame
+ */
+function octetCounted(message) {
+  return Buffer.from(`${Buffer.byteLength(message)} ${message}`);
+}
+
+describe('parseSyslog', () => {
+  it('parses an RFC 5424 message with structured data', () => {
+    const parsed = parseSyslog('<165>1 2024-05-01T10:00:00.123+02:00 web-1 checkout 4312 ORDER [meta@1 region="eu \\"west\\"" path="a\\]b"][trace@1 id="abc"] ﻿Payment declined\n');
+
+    assert.deepEqual(parsed, {
+      format: 'rfc5424',
+      facility: 20,
+      severity: 5,
+      level: 'INFO',
+      timestamp: '2024-05-01T08:00:00.123Z',
+      hostname: 'web-1',
+      appName: 'checkout',
+      procId: '4312',
+      msgId: 'ORDER',
+      fields: { 'meta@1.region': 'eu "west"', 'meta@1.path': 'a]b', 'trace@1.id': 'abc' },
+      message: 'Payment declined'
+    });
+  });
+
+  it('treats RFC 5424 nil values as missing', () => {
+    const parsed = parseSyslog('<11>1 - - - - - - disk full');
+
+    assert.equal(parsed.level, 'ERROR');
+    assert.deepEqual(
+      [parsed.timestamp, parsed.hostname, parsed.appName, parsed.procId, parsed.msgId, parsed.fields, parsed.message],
+      [null, null, null, null, null, {}, 'disk full']
+    );
+  });
+
+  it('parses an RFC 3164 message and places its timestamp in the most recent year', () => {
+    const sent = new Date(Date.now() - 60 * 1000);
+    sent.setMilliseconds(0);
+    const pad = (n) => String(n).padStart(2, '0');
+    const header = `${MONTHS[sent.getMonth()]} ${String(sent.getDate()).padStart(2, ' ')} ${pad(sent.getHours())}:${pad(sent.getMinutes())}:${pad(sent.getSeconds())}`;
+
+    const parsed = parseSyslog(`<34>${header} mail-1 postfix[812]: connect from unknown`);
+
+    assert.deepEqual(parsed, {
+      format: 'rfc3164',
+      facility: 4,
+      severity: 2,
+      level: 'CRITICAL',
+      timestamp: sent.toISOString(),
+      hostname: 'mail-1',
+      appName: 'postfix',
+      procId: '812',
+      msgId: null,
+      fields: {},
+      message: 'connect from unknown'
+    });
+  });
+
+  it('accepts a bare priority and rejects text without one', () => {
+    assert.deepEqual(
+      (({ format, level, hostname, message }) => ({ format, level, hostname, message }))(parseSyslog('<12>low battery')),
+      { format: 'rfc3164', level: 'WARN', hostname: null, message: 'low battery' }
+    );
+    assert.equal(parseSyslog('no priority here'), null);
+  });
+});
+
+describe('SyslogSource', () => {
+  let tcpPort;
+  let udpPort;
+  let source;
+  let lines;
+
+  before(async () => {
+    tcpPort = await freePort();
+    udpPort = await freePort();
+    source = new SyslogSource({ tcpPort, udpPort, host: '127.0.0.1', maxMessageSize: 256 });
+    source.start();
+    await waitFor(() => source.getListeners().every(listener => listener.status === 'listening'));
+  });
+
+  after(() => source.stop());
+
+  beforeEach(() => {
+    lines = [];
+    source.removeAllListeners('line');
+    source.on('line', (key, line, meta) => lines.push({ key, line, meta }));
+  });
+
+  /**
+   * Open a TCP connection to the source
+   * @returns {Promise<net.Socket>} Connected socket
+   */
+  const connect = async () => {
+    const socket = net.connect(tcpPort, '127.0.0.1');
+    socket.setNoDelay(true);
+    await new Promise(resolve => socket.once('connect', resolve));
+    return socket;
+  };
+
+  it('reassembles octet-counted frames split across TCP chunks', async () => {
+    const first = '<187>1 2024-05-01T10:00:00Z web-1 checkout - - - Error: payment gateway timed out\n    at charge (billing.js:42)';
+    const second = '<14>1 2024-05-01T10:00:01Z web-1 checkout - - - Retrying in 5s – attempt 2';
+    const stream = Buffer.concat([octetCounted(first), octetCounted(second)]);
+
+    // Split inside the first frame, then inside the multi-byte dash of the second
+    const dash = stream.indexOf(Buffer.from('–'));
+    const socket = await connect();
+    socket.write(stream.subarray(0, 40));
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(lines.length, 0);
+
+    socket.write(stream.subarray(40, dash + 1));
+    await waitFor(() => lines.length === 2);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(lines.length, 2);
+
+    socket.write(stream.subarray(dash + 1));
+    await waitFor(() => lines.length === 3);
+    socket.end();
+
+    assert.deepEqual(lines.map(({ line }) => line), [
+      'Error: payment gateway timed out',
+      '    at charge (billing.js:42)',
+      'Retrying in 5s – attempt 2'
+    ]);
+    assert.equal(lines[0].key, 'syslog/web-1/checkout');
+    assert.deepEqual(
+      (({ service, source: from, host, level, timestamp }) => ({ service, source: from, host, level, timestamp }))(lines[0].meta),
+      { service: 'CHECKOUT', source: 'syslog', host: 'web-1', level: 'ERROR', timestamp: '2024-05-01T10:00:00.000Z' }
+    );
+    assert.deepEqual(lines[0].meta.fields, { 'syslog.facility': 23, 'syslog.severity': 3 });
+    assert.equal(lines[2].meta.level, 'INFO');
+  });
+
+  it('reads newline-framed messages and a last one without a newline on close', async () => {
+    const socket = await connect();
+    socket.write('<13>1 - web-2 cron - - - job started\n<13>1 - web-2 cron - - - job ');
+    await waitFor(() => lines.length === 1);
+
+    socket.end('finished');
+    await waitFor(() => lines.length === 2);
+
+    assert.deepEqual(lines.map(({ line }) => line), ['job started', 'job finished']);
+    assert.equal(lines[1].key, 'syslog/web-2/cron');
+  });
+
+  it('drops a connection whose frame grows past the size limit', async () => {
+    const socket = await connect();
+    const closed = new Promise(resolve => socket.once('close', resolve));
+    socket.on('error', () => {});
+
+    const rejected = source.getListeners().find(listener => listener.protocol === 'tcp').rejected;
+    socket.write(`<13>1 - web-3 app - - - ${'x'.repeat(300)}`);
+    await closed;
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(lines.length, 0);
+    assert.equal(source.getListeners().find(listener => listener.protocol === 'tcp').rejected, rejected + 1);
+  });
+
+  it('takes one message per UDP datagram and counts unparseable ones', async () => {
+    const client = dgram.createSocket('udp4');
+    const send = (text) => new Promise(resolve => client.send(text, udpPort, '127.0.0.1', resolve));
+
+    await send('<30>1 - db-1 postgres 77 - - checkpoint complete');
+    await send('not syslog');
+    await waitFor(() => lines.length === 1 && source.getListeners().find(l => l.protocol === 'udp').rejected === 1);
+    client.close();
+
+    assert.deepEqual([lines[0].key, lines[0].line, lines[0].meta.fields['syslog.procId']], ['syslog/db-1/postgres', 'checkpoint complete', '77']);
+    const sender = source.getStatus().find(status => status.container === 'syslog/db-1/postgres');
+    assert.deepEqual([sender.protocol, sender.linesReceived], ['udp', 1]);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Error fingerprinter: message tokens, stack frames per language, and
+ * merge and split grouping rules
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fingerprinter = require('../../database/Fingerprinter');
+const { normalizeMessage, parseStackFrames } = Fingerprinter;
+
+const NODE_STACK = [
+  'TypeError: Cannot read properties of undefined',
+  '    at placeOrder (/app/src/services/orders.js:42:15)',
+  '    at async Router.handle (/app/node_modules/express/lib/router/index.js:95:5)',
+  '    at /app/src/index.js:10:3',
+  '    at new Cart (file:///app/src/cart.mjs:7:1)',
+  '    at processTicksAndRejections (node:internal/process/task_queues:95:5)'
+].join('\n');
+
+const PYTHON_STACK = [
+  'Traceback (most recent call last):',
+  '  File "/app/api/views.py", line 12, in create',
+  '    order = service.place(data)',
+  '  File "/usr/lib/python3.11/site-packages/django/db/utils.py", line 91, in execute',
+  '  File "/app/db/conn.py", line 40, in connect',
+  'ConnectionError: connection refused'
+].join('\n');
+
+const JAVA_STACK = [
+  'java.io.IOException: Broken pipe',
+  '\tat com.acme.orders.OrderService.place(OrderService.java:42)',
+  '\tat java.base/java.lang.Thread.run(Thread.java:833)',
+  '\tat com.acme.Main.main(Main.java)',
+  'Caused by: java.net.ConnectException: Connection refused',
+  '\tat com.acme.db.Pool.get(Pool.java:7)'
+].join('\n');
+
+const RUBY_STACK = [
+  "app/models/user.rb:12:in `save'",
+  "/usr/lib/ruby/gems/3.0.0/gems/activerecord-7.0/lib/base.rb:3:in `block in run'",
+  "\tfrom app/controllers/users_controller.rb:8:in `create'"
+].join('\n');
+
+const error = (fields) => ({ service: 'ORDERS', level: 'ERROR', message: 'Something failed', ...fields });
+
+describe('Fingerprinter', () => {
+  describe('normalizeMessage', () => {
+    it('replaces UUIDs, emails and IPs with tokens', () => {
+      assert.equal(normalizeMessage('User 0b4e7c2a-1f3d-4e5a-9b8c-7d6e5f4a3b2c not found'), 'User <uuid> not found');
+      assert.equal(normalizeMessage('Mail to ann.lee+orders@example.co.uk bounced'), 'Mail to <email> bounced');
+      assert.equal(normalizeMessage('Connect to 10.0.0.7:5432 refused'), 'Connect to <ip> refused');
+      assert.equal(normalizeMessage('Peer fe80::1 and 2001:db8:0:0:0:0:2:1 unreachable'), 'Peer <ip> and <ip> unreachable');
+    });
+
+    it('replaces quoted values, hex runs and numbers, keeping apostrophes', () => {
+      assert.equal(normalizeMessage('Key "user:42" missing in \'sessions\' and `cache`'), 'Key <str> missing in <str> and <str>');
+      assert.equal(normalizeMessage('Segfault at 0xdeadbeef, commit 3f2a9c1b7e4d'), 'Segfault at <hex>, commit <hex>');
+      assert.equal(normalizeMessage('Took 1500ms at 3.5x load'), 'Took <num>ms at <num>x load');
+      assert.equal(normalizeMessage("Don't retry"), "Don't retry");
+    });
+
+    it('keeps the host and path of URLs, without IDs, query or fragment', () => {
+      assert.equal(
+        normalizeMessage('GET https://api.example.com/users/8123/orders/ord_9f8e7d6c5b?expand=items#top failed.'),
+        'GET https://api.example.com/users/<id>/orders/<id> failed.'
+      );
+      assert.equal(
+        normalizeMessage('GET https://api.example.com/users/8123/orders/ord_9f8e7d6c5b?expand=items#top failed.'),
+        normalizeMessage('GET https://api.example.com/users/77/orders/ord_0a1b2c3d4e failed.')
+      );
+    });
+
+    it('collapses whitespace and caps the length', () => {
+      assert.equal(normalizeMessage('  a \n\t b  '), 'a b');
+      assert.equal(normalizeMessage('x'.repeat(800)).length, 500);
+      assert.equal(normalizeMessage(null), '');
+    });
+  });
+
+  describe('parseStackFrames', () => {
+    it('reads Node frames, innermost first, with and without function names', () => {
+      assert.deepEqual(parseStackFrames(NODE_STACK), [
+        { fn: 'placeOrder', file: '/app/src/services/orders.js' },
+        { fn: 'Router.handle', file: '/app/node_modules/express/lib/router/index.js' },
+        { fn: '<anonymous>', file: '/app/src/index.js' },
+        { fn: 'Cart', file: '/app/src/cart.mjs' },
+        { fn: 'processTicksAndRejections', file: 'node:internal/process/task_queues' }
+      ]);
+    });
+
+    it('reads Python frames and puts the innermost first', () => {
+      assert.deepEqual(parseStackFrames(PYTHON_STACK), [
+        { fn: 'connect', file: '/app/db/conn.py' },
+        { fn: 'execute', file: '/usr/lib/python3.11/site-packages/django/db/utils.py' },
+        { fn: 'create', file: '/app/api/views.py' }
+      ]);
+    });
+
+    it('reads Java frames without the module prefix, including causes', () => {
+      assert.deepEqual(parseStackFrames(JAVA_STACK), [
+        { fn: 'com.acme.orders.OrderService.place', file: 'OrderService.java' },
+        { fn: 'java.lang.Thread.run', file: 'Thread.java' },
+        { fn: 'com.acme.Main.main', file: 'Main.java' },
+        { fn: 'com.acme.db.Pool.get', file: 'Pool.java' }
+      ]);
+    });
+
+    it('reads Ruby frames', () => {
+      assert.deepEqual(parseStackFrames(RUBY_STACK), [
+        { fn: 'save', file: 'app/models/user.rb' },
+        { fn: 'block in run', file: '/usr/lib/ruby/gems/3.0.0/gems/activerecord-7.0/lib/base.rb' },
+        { fn: 'create', file: 'app/controllers/users_controller.rb' }
+      ]);
+    });
+
+    it('ignores text that is not a stack trace', () => {
+      assert.deepEqual(parseStackFrames(''), []);
+      assert.deepEqual(parseStackFrames('Connection refused\nretrying in 5s'), []);
+    });
+  });
+
+  describe('fingerprint', () => {
+    it('uses the exception type and top in-app frames, without line numbers or library frames', () => {
+      const fingerprinter = new Fingerprinter({ frames: 2 });
+      const result = fingerprinter.fingerprint(error({ message: 'TypeError: Cannot read properties of undefined', stackTrace: NODE_STACK }));
+
+      assert.equal(result.type, 'TypeError');
+      assert.deepEqual(result.frames, ['placeOrder services/orders.js', '<anonymous> src/index.js']);
+      assert.equal(result.rule, null);
+
+      const moved = fingerprinter.fingerprint(error({ message: 'TypeError: Cannot read properties of null', stackTrace: NODE_STACK.replace(/:\d+:\d+/g, ':1:1') }));
+      assert.equal(moved.hash, result.hash);
+      assert.deepEqual(new Fingerprinter().inAppFrames(PYTHON_STACK), ['connect db/conn.py', 'create api/views.py']);
+      assert.deepEqual(new Fingerprinter().inAppFrames(RUBY_STACK), ['save models/user.rb', 'create controllers/users_controller.rb']);
+      assert.deepEqual(new Fingerprinter({ excludeFrames: ['com.acme.db'] }).inAppFrames(JAVA_STACK), [
+        'com.acme.orders.OrderService.place OrderService.java',
+        'com.acme.Main.main Main.java'
+      ]);
+    });
+
+    it('falls back to the normalized message without in-app frames, per service', () => {
+      const fingerprinter = new Fingerprinter();
+      const a = fingerprinter.fingerprint(error({ message: 'Timeout after 3000ms for order 81734' }));
+      const b = fingerprinter.fingerprint(error({ message: 'Timeout after 5000ms for order 20051', stackTrace: 'at x (node:internal/timers:1:1)' }));
+
+      assert.equal(a.hash, b.hash);
+      assert.equal(a.message, 'Timeout after <num>ms for order <num>');
+      assert.deepEqual(a.frames, []);
+      assert.notEqual(fingerprinter.fingerprint(error({ service: 'BILLING', message: 'Timeout after 3000ms for order 1' })).hash, a.hash);
+    });
+  });
+
+  describe('grouping rules', () => {
+    it('merges the errors a merge rule matches into its group, across services', () => {
+      const fingerprinter = new Fingerprinter();
+      const rule = fingerprinter.createRule({ name: 'Database down', action: 'merge', query: '/(pool|connection) (exhausted|refused)/i' });
+
+      const pool = fingerprinter.fingerprint(error({ message: 'Connection pool exhausted' }));
+      const refused = fingerprinter.fingerprint(error({ service: 'BILLING', message: 'connection refused', stackTrace: NODE_STACK }));
+      assert.equal(pool.hash, refused.hash);
+      assert.deepEqual(pool.rule, { id: rule.id, name: 'Database down', action: 'merge' });
+      assert.equal(rule.group, 'Database down');
+
+      // Unmatched errors keep their own fingerprint
+      assert.equal(fingerprinter.fingerprint(error({ message: 'Disk full' })).rule, null);
+    });
+
+    it('splits the errors a split rule matches by level, message, stack or field', () => {
+      const fingerprinter = new Fingerprinter();
+      fingerprinter.createRule({ name: 'Quota per tenant', action: 'split', query: 'quota', splitBy: 'fields.tenant.id' });
+      fingerprinter.createRule({ name: 'Replica by level', action: 'split', query: 'replica', splitBy: 'level' });
+
+      const acme = fingerprinter.fingerprint(error({ message: 'Quota exceeded', fields: { tenant: { id: 'acme' } } }));
+      const acmeAgain = fingerprinter.fingerprint(error({ message: 'Quota exceeded', fields: { tenant: { id: 'acme' } } }));
+      const globex = fingerprinter.fingerprint(error({ message: 'Quota exceeded', fields: { tenant: { id: 'globex' } } }));
+      assert.equal(acme.hash, acmeAgain.hash);
+      assert.notEqual(acme.hash, globex.hash);
+      assert.equal(acme.rule.name, 'Quota per tenant');
+
+      const warn = fingerprinter.fingerprint(error({ level: 'WARN', message: 'Replica lag 30s' }));
+      const critical = fingerprinter.fingerprint(error({ level: 'CRITICAL', message: 'Replica lag 45s' }));
+      assert.notEqual(warn.hash, critical.hash);
+      assert.notEqual(warn.hash, new Fingerprinter().fingerprint(error({ level: 'WARN', message: 'Replica lag 30s' })).hash);
+    });
+
+    it('applies the first matching rule', () => {
+      const fingerprinter = new Fingerprinter();
+      fingerprinter.createRule({ name: 'All payment errors', action: 'merge', query: 'payment' });
+      fingerprinter.createRule({ name: 'Payments per gateway', action: 'split', query: 'payment', splitBy: 'fields.gateway' });
+
+      const stripe = fingerprinter.fingerprint(error({ message: 'Payment declined', fields: { gateway: 'stripe' } }));
+      const adyen = fingerprinter.fingerprint(error({ message: 'Payment timeout', fields: { gateway: 'adyen' } }));
+      assert.equal(stripe.hash, adyen.hash);
+      assert.equal(stripe.rule.name, 'All payment errors');
+    });
+
+    it('rejects malformed rules and keeps at most maxRules', () => {
+      const fingerprinter = new Fingerprinter({ maxRules: 1 });
+      const invalid = [
+        {},
+        { name: 'No query', action: 'merge' },
+        { name: 'Bad action', action: 'ignore', query: 'x' },
+        { name: 'Bad split', action: 'split', query: 'x', splitBy: 'host' },
+        { name: 'Time range', action: 'merge', query: 'x last:1h' },
+        { name: 'Bad query', action: 'merge', query: 'level:LOUD' }
+      ];
+      for (const data of invalid) {
+        assert.throws(() => fingerprinter.createRule(data), (e) => e.status === 400, JSON.stringify(data));
+      }
+
+      const rule = fingerprinter.createRule({ name: 'One', action: 'merge', query: 'x' });
+      assert.throws(() => fingerprinter.createRule({ name: 'Two', action: 'merge', query: 'y' }), (e) => e.status === 409);
+      assert.throws(() => fingerprinter.updateRule('missing', {}), (e) => e.status === 404);
+
+      // Switching action drops the field of the old one
+      const updated = fingerprinter.updateRule(rule.id, { action: 'split', splitBy: 'message' });
+      assert.equal(updated.group, undefined);
+      assert.equal(updated.splitBy, 'message');
+      assert.equal(fingerprinter.deleteRule(rule.id).id, rule.id);
+      assert.deepEqual(fingerprinter.listRules(), []);
+    });
+
+    describe('persistence', () => {
+      let dir;
+
+      before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fingerprinter-'));
+      });
+
+      after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it('keeps rules, in order, across restarts', () => {
+        const persistPath = path.join(dir, 'rules.json');
+        const fingerprinter = new Fingerprinter({ persistPath });
+        const first = fingerprinter.createRule({ name: 'First', action: 'merge', query: 'pool' });
+        fingerprinter.createRule({ name: 'Second', action: 'split', query: 'quota', splitBy: 'fields.tenant' });
+
+        const restarted = new Fingerprinter({ persistPath });
+        assert.deepEqual(restarted.listRules().map(rule => rule.name), ['First', 'Second']);
+        assert.equal(
+          restarted.fingerprint(error({ message: 'pool exhausted' })).hash,
+          fingerprinter.fingerprint(error({ message: 'pool exhausted' })).hash
+        );
+        assert.equal(restarted.fingerprint(error({ message: 'pool exhausted' })).rule.id, first.id);
+      });
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Log query language: the parser's guards, and the frontend copy
+ * (frontend/src/utils/logQuery.js), which must parse and match every query
+ * the way the backend does
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const backend = require('../../database/logQuery');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+const QUERIES = [
+  '',
+  'timeout',
+  '"pool exhausted" -healthcheck',
+  'service:user-service level:>=WARN',
+  'level:warning level:<ERROR',
+  'trace:abc-123 message:refused',
+  'user.id:42 fields.err.code:E_CONN',
+  'status:>=500 duration_ms:<100.5',
+  '/time(d)?out/i path:/^\\/api\\/(orders|users)$/',
+  'path:/api/orders -path:"/api/users"',
+  'last:15m since:2026-02-28T00:00:00Z until:1h',
+  '-"quoted \\"escape\\"" 50%'
+];
+
+const MALFORMED = ['level:LOUD', '"unterminated', '/bad(/', '/(a+)+$/', '/(\\w*\\s)*x/', 'status:>=high', 'last:soon', 'service:>3', 'user.id:'];
+
+const LOGS = [
+  { message: 'Request timed out', service: 'USER-SERVICE', level: 'WARN', trace_id: 'abc-123', fields: { status: 504, path: '/api/users' } },
+  { message: 'Connection refused: pool exhausted', service: 'ORDERS', level: 'ERROR', traceId: 'abc-123', fields: { status: '503', path: '/api/orders', err: { code: 'E_CONN' } } },
+  { message: 'GET /healthcheck 200', service: 'GATEWAY', level: 'DEBUG', fields: { status: '200', duration_ms: '12', user: { id: 42 } } },
+  { message: 'quoted "escape" at 50%', service: 'USER-SERVICE', level: 'INFO', fields: null }
+];
+
+const outcome = (parse) => {
+  try {
+    return { query: parse() };
+  } catch (error) {
+    return { error: error.message, position: error.position };
+  }
+};
+
+describe('log query language', () => {
+  let frontend;
+
+  before(async () => {
+    frontend = await import(pathToFileURL(path.join(__dirname, '../../../frontend/src/utils/logQuery.js')).href);
+  });
+
+  it('compiles each regex once and rejects nested quantifiers', () => {
+    const { terms: [term] } = backend.parseLogQuery('/time(d)?out/i');
+    assert.ok(term.pattern instanceof RegExp);
+    assert.equal(backend.matchesLogQuery({ message: 'Timedout' }, [term]), true);
+    // The compiled regex is not part of the term's data
+    assert.deepEqual(Object.keys(term), ['field', 'op', 'value', 'flags', 'negate']);
+
+    for (const q of ['/(a+)+$/', '/(\\w*\\s)*x/', '/((ab)+c){2,}/', 'path:/(x*y)+/']) {
+      assert.throws(() => backend.parseLogQuery(q), (error) => error.status === 400 && /repeats/.test(error.message), q);
+    }
+    // Repeated groups without a repetition inside, and escaped parentheses, are fine
+    for (const q of ['/(?:a|b)+/', '/(a+)?b/', '/\\(a+\\)+/', '/[(+]+/', '/(x+){3}/']) {
+      assert.doesNotThrow(() => backend.parseLogQuery(q), q);
+    }
+  });
+
+  it('compares numbers and numeric strings', () => {
+    assert.equal(backend.numericValue(500), 500);
+    assert.equal(backend.numericValue(' -1.5e2 '), -150);
+    for (const value of ['', ' ', 'n/a', '0x1f', 'Infinity', '5 ms', null, true]) {
+      assert.equal(backend.numericValue(value), null, String(value));
+    }
+  });
+
+  it('tokenizes and parses like the frontend copy', () => {
+    for (const q of [...QUERIES, ...MALFORMED]) {
+      assert.deepEqual(frontend.tokenizeLogQuery(q), backend.tokenizeLogQuery(q), q);
+      assert.deepEqual(
+        outcome(() => frontend.parseLogQuery(q, { now: NOW })),
+        outcome(() => backend.parseLogQuery(q, { now: NOW })),
+        q
+      );
+    }
+  });
+
+  it('matches stored and live logs like the frontend copy', () => {
+    for (const q of QUERIES) {
+      const { terms } = backend.parseLogQuery(q, { now: NOW });
+      const frontendTerms = frontend.parseLogQuery(q, { now: NOW }).terms;
+      for (const log of LOGS) {
+        assert.equal(frontend.matchesLogQuery(log, frontendTerms), backend.matchesLogQuery(log, terms), `${q} on ${log.message}`);
+      }
+    }
+    // Trace IDs are read from either shape
+    const { terms } = backend.parseLogQuery('trace:abc-123');
+    assert.equal(LOGS.filter(log => backend.matchesLogQuery(log, terms)).length, 2);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Alert engine: error-rate, fingerprint and resource rules, cooldowns that
+ * count duplicates instead of notifying, the error window and rule validation
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertEngine = require('../../services/alerts/AlertEngine');
+
+const MINUTE = 60 * 1000;
+
+const error = (service, message = 'Connection refused') => ({ id: `err-${Math.random()}`, service, message });
+
+describe('AlertEngine', () => {
+  let engine;
+  let fired;
+
+  beforeEach(() => {
+    engine = new AlertEngine({
+      criticalResources: (metrics) => (metrics.cpuPercent >= 90 ? ['cpu'] : [])
+    });
+    fired = [];
+    engine.on('alert-fired', alert => fired.push(alert));
+  });
+
+  afterEach(() => engine.stop());
+
+  it('fires an error-rate rule once the threshold is reached within the window', () => {
+    engine.createRule({ type: 'error-rate', name: 'API errors', service: 'api', threshold: 3, windowMs: MINUTE });
+
+    engine.observeError(error('API'), 'fp-1');
+    engine.observeError(error('API'), 'fp-2');
+    engine.observeError(error('WORKER'), 'fp-1');
+    assert.equal(fired.length, 0);
+
+    engine.observeError(error('API'), 'fp-3');
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].title, '3 errors in 1m from API');
+    assert.equal(fired[0].details.count, 3);
+    assert.equal(fired[0].subject, 'API');
+  });
+
+  it('counts repeats within the cooldown on the first alert, per subject, and fires again after it', () => {
+    const rule = engine.createRule({ type: 'error-rate', name: 'Any errors', threshold: 1, windowMs: MINUTE, cooldownMs: 10 * MINUTE });
+
+    for (let i = 0; i < 4; i++) engine.observeError(error('API'), 'fp');
+    engine.observeError(error('WORKER'), 'fp');
+
+    assert.deepEqual(fired.map(alert => alert.subject), ['API', 'WORKER']);
+    assert.equal(fired[0].duplicates, 3);
+    assert.ok(fired[0].lastDuplicateAt);
+    assert.equal(fired[1].duplicates, 0);
+
+    // Cooldown over
+    engine.cooldowns.get(`${rule.id}|API`).lastFiredAt -= 10 * MINUTE;
+    engine.observeError(error('API'), 'fp');
+    assert.equal(fired.length, 3);
+    assert.deepEqual(engine.listHistory().map(alert => alert.subject), ['API', 'WORKER', 'API']);
+  });
+
+  it('fires a fingerprint rule only for its fingerprint', () => {
+    engine.createRule({ type: 'fingerprint', name: 'Pool exhausted', fingerprint: 'fp-pool', threshold: 2, windowMs: MINUTE });
+
+    engine.observeError(error('DB', 'Pool exhausted'), 'fp-pool');
+    engine.observeError(error('DB', 'Other'), 'fp-other');
+    assert.equal(fired.length, 0);
+
+    engine.observeError(error('API', 'Pool exhausted'), 'fp-pool');
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].title, 'Error seen again in API (2× in 1m)');
+  });
+
+  it('drops times that left the window and counts the rest', () => {
+    const series = new Map();
+    for (const time of [1000, 2000, 3000, 60500, 61000]) {
+      engine.recordTime(series, 'API', time, MINUTE);
+    }
+    const times = series.get('API');
+
+    // 1000 has left the window of the newest time (61000)
+    assert.equal(times.countAfter(61000 - MINUTE), 4);
+    assert.equal(times.countAfter(2500), 3);
+    assert.equal(times.countAfter(61000), 0);
+  });
+
+  it('fires a resource rule once per critical episode', () => {
+    engine.createRule({ type: 'resource', name: 'CPU', metric: 'cpu' });
+    const poll = (cpuPercent) => engine.observeMetrics([{ service: 'API', cpuPercent, memoryPercent: 10 }]);
+
+    poll(95);
+    poll(97);
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].title, 'API is critical: CPU 95.0%');
+
+    // Recovered, then critical again: a new episode, but within the cooldown
+    poll(20);
+    poll(95);
+    assert.equal(fired.length, 1);
+    assert.equal(fired[0].duplicates, 1);
+  });
+
+  it('rejects malformed rules with a 400', () => {
+    const invalid = [
+      [{ type: 'nope', name: 'x' }, /^Rule type must be one of/],
+      [{ type: 'error-rate', name: ' ' }, /^Rule name is required/],
+      [{ type: 'error-rate', name: 'x', windowMs: 10 }, /^windowMs must be at least 1000/],
+      [{ type: 'fingerprint', name: 'x' }, /^fingerprint is required/],
+      [{ type: 'error-rate', name: 'x', channels: { type: 'slack' } }, /^channels must be an array/],
+      [{ type: 'error-rate', name: 'x', channels: [null] }, /^Channel type must be one of/],
+      [{ type: 'error-rate', name: 'x', channels: [{ type: 'slack', target: 'ftp://x' }] }, /^Slack channel needs an http\(s\) URL/],
+      [{ type: 'error-rate', name: 'x', channels: [{ type: 'email', target: 'ops@example.com' }] }, /^Email channels need SMTP_HOST/]
+    ];
+
+    for (const [data, message] of invalid) {
+      assert.throws(() => engine.createRule(data), (e) => e.status === 400 && message.test(e.message), JSON.stringify(data));
+    }
+    assert.equal(engine.listRules().length, 0);
+  });
+
+  it('fires nothing once stopped', () => {
+    engine.createRule({ type: 'error-rate', name: 'Any errors', threshold: 1, windowMs: MINUTE });
+    engine.stop();
+    engine.observeError(error('API'), 'fp');
+    assert.equal(fired.length, 0);
+  });
+
+  describe('persistence', () => {
+    let dir;
+    let persistPath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loglens-alerts-'));
+      persistPath = path.join(dir, 'alerts.json');
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const saved = () => JSON.parse(fs.readFileSync(persistPath, 'utf-8'));
+
+    it('saves fired alerts at once, and duplicate counts on a delay or on stop', async () => {
+      const persisted = new AlertEngine({ persistPath, saveDelayMs: 30 });
+      persisted.createRule({ type: 'error-rate', name: 'Any errors', threshold: 1, windowMs: MINUTE });
+
+      persisted.observeError(error('API'), 'fp');
+      assert.equal(saved().history.length, 1);
+
+      persisted.observeError(error('API'), 'fp');
+      persisted.observeError(error('API'), 'fp');
+      assert.equal(saved().history[0].duplicates, 0);
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      assert.equal(saved().history[0].duplicates, 2);
+
+      persisted.observeError(error('API'), 'fp');
+      persisted.stop();
+      assert.equal(saved().history[0].duplicates, 3);
+      assert.equal(persisted.saveTimer, null);
+
+      const reloaded = new AlertEngine({ persistPath });
+      assert.equal(reloaded.listRules().length, 1);
+      assert.equal(reloaded.listHistory()[0].duplicates, 3);
+    });
+  });
+});
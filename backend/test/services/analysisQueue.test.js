@@ -0,0 +1,165 @@
+/**
+ * Analysis queue: concurrency, queue positions, cancellation and jobs
+ * restored after a restart
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalysisQueue = require('../../services/AnalysisQueue');
+
+// Jobs start on the tick after enqueue()
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * A run() the test finishes by hand
+ * @returns {object} { run, started: jobId[], finish(jobId, result), fail(jobId, error), aborted: jobId[] }
+ */
+function controlledRun() {
+  const runs = new Map();
+  const control = {
+    started: [],
+    aborted: [],
+    run: (job, { signal }) => new Promise((resolve, reject) => {
+      control.started.push(job.errorId);
+      runs.set(job.errorId, { resolve, reject });
+      signal.addEventListener('abort', () => control.aborted.push(job.errorId));
+    }),
+    finish: (errorId, result = { analysis: { rootCause: `${errorId} root cause` } }) => runs.get(errorId).resolve(result),
+    fail: (errorId, error = new Error(`${errorId} failed`)) => runs.get(errorId).reject(error)
+  };
+  return control;
+}
+
+const errorLog = (id) => ({ id, service: 'API', message: `Error ${id}` });
+
+describe('AnalysisQueue', () => {
+  it('runs at most `concurrency` jobs and starts the next as one finishes', async () => {
+    const control = controlledRun();
+    const queue = new AnalysisQueue({ run: control.run, concurrency: 2 });
+
+    for (const id of ['a', 'b', 'c', 'd']) queue.enqueue(errorLog(id));
+    await tick();
+
+    assert.deepEqual(control.started, ['a', 'b']);
+    assert.deepEqual(queue.getStatus(), { concurrency: 2, running: 2, queued: 2, total: 4 });
+
+    control.finish('a');
+    await tick();
+    assert.deepEqual(control.started, ['a', 'b', 'c']);
+    assert.equal(queue.getLatestCompleted().errorId, 'a');
+    assert.equal(queue.listJobs({ status: 'completed' })[0].rootCause, 'a root cause');
+
+    control.fail('b');
+    await tick();
+    assert.deepEqual(control.started, ['a', 'b', 'c', 'd']);
+    const failed = queue.listJobs({ status: 'failed' })[0];
+    assert.equal(failed.error, 'b failed');
+  });
+
+  it('reports queue positions and returns the active job for an error already queued', async () => {
+    const control = controlledRun();
+    const queue = new AnalysisQueue({ run: control.run, concurrency: 1 });
+
+    const a = queue.enqueue(errorLog('a'));
+    const b = queue.enqueue(errorLog('b'));
+    const c = queue.enqueue(errorLog('c'));
+    assert.equal(queue.enqueue(errorLog('b')), b);
+
+    await tick();
+    assert.equal(queue.getPosition(a.id), null);
+    assert.equal(queue.getPosition(b.id), 1);
+    assert.equal(queue.summarize(c).position, 2);
+    assert.equal(queue.summarize(c).errorLog, undefined);
+
+    control.finish('a');
+    await tick();
+    assert.equal(queue.getPosition(c.id), 1);
+  });
+
+  it('cancels a queued job without running it', async () => {
+    const control = controlledRun();
+    const queue = new AnalysisQueue({ run: control.run, concurrency: 1 });
+    const events = [];
+    queue.on('job-cancelled', job => events.push(job.id));
+
+    queue.enqueue(errorLog('a'));
+    const b = queue.enqueue(errorLog('b'));
+    const c = queue.enqueue(errorLog('c'));
+    await tick();
+
+    assert.equal(queue.cancel(b.id).status, 'cancelled');
+    assert.deepEqual(events, [b.id]);
+    assert.equal(queue.getPosition(c.id), 1);
+    assert.throws(() => queue.cancel(b.id), (error) => error.status === 409);
+    assert.throws(() => queue.cancel('job-missing'), (error) => error.status === 404);
+
+    control.finish('a');
+    await tick();
+    assert.deepEqual(control.started, ['a', 'c']);
+  });
+
+  it('aborts a running job and starts no other until its run settles', async () => {
+    const control = controlledRun();
+    const queue = new AnalysisQueue({ run: control.run, concurrency: 1 });
+
+    const a = queue.enqueue(errorLog('a'));
+    queue.enqueue(errorLog('b'));
+    await tick();
+
+    queue.cancel(a.id);
+    await tick();
+    assert.deepEqual(control.aborted, ['a']);
+    assert.deepEqual(control.started, ['a']);
+    assert.equal(queue.getStatus().running, 1);
+
+    // A run that ignores the signal and finishes anyway stays cancelled
+    control.finish('a');
+    await tick();
+    assert.deepEqual(control.started, ['a', 'b']);
+    assert.equal(queue.getJob(a.id).status, 'cancelled');
+    assert.equal(queue.getJob(a.id).result, null);
+  });
+
+  describe('persistence', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-queue-'));
+    });
+
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('restores finished jobs after a restart and fails the ones that were interrupted', async () => {
+      const persistPath = path.join(dir, 'jobs.json');
+      const control = controlledRun();
+      const queue = new AnalysisQueue({ run: control.run, concurrency: 1, persistPath });
+
+      const a = queue.enqueue(errorLog('a'));
+      const b = queue.enqueue(errorLog('b'));
+      await tick();
+      control.finish('a');
+      await tick();
+
+      const restarted = new AnalysisQueue({ run: controlledRun().run, persistPath });
+      const restoredA = restarted.getJob(a.id);
+      assert.equal(restoredA.status, 'completed');
+      assert.deepEqual(restoredA.result, { analysis: { rootCause: 'a root cause' } });
+      assert.equal(restarted.getJob(b.id).status, 'failed');
+      assert.equal(restarted.getJob(b.id).error, 'Interrupted by server restart');
+      assert.deepEqual(restarted.getStatus(), { concurrency: 2, running: 0, queued: 0, total: 2 });
+      assert.equal(fs.existsSync(`${persistPath}.tmp`), false);
+    });
+
+    it('starts empty from a missing or unreadable jobs file', () => {
+      const persistPath = path.join(dir, 'broken.json');
+      fs.writeFileSync(persistPath, '{ not json');
+      assert.equal(new AnalysisQueue({ run: async () => ({}), persistPath }).getStatus().total, 0);
+      assert.equal(new AnalysisQueue({ run: async () => ({}), persistPath: path.join(dir, 'missing.json') }).getStatus().total, 0);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Anomaly detection: z-score, EWMA and seasonal baselines scored against a
+ * threshold in standard deviations, counter rates and log buckets
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AnomalyDetector = require('../../services/AnomalyDetector');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2024, 4, 1, 10, 0, 0);
+
+describe('AnomalyDetector', () => {
+  let database;
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    database = {
+      storeAnomaly: async (anomaly) => { stored.push(anomaly); return anomaly; },
+      storeLogVolume: async (volume) => { stored.push(volume); return volume; }
+    };
+  });
+
+  /**
+   * Feed values one minute apart
+   * @param {AnomalyDetector} detector - Detector
+   * @param {number[]} values - CPU values
+   * @returns {object[]} Anomalies, one entry (or null) per value
+   */
+  const feed = (detector, values) => values.map((value, i) => detector.evaluate('API', 'cpu', value, START + i * MINUTE));
+
+  it('flags a spike on a flat series at threshold 3 with the z-score', () => {
+    const spike = (value) => {
+      const detector = new AnomalyDetector({ database, methods: ['zscore'], threshold: 3, minSamples: 20 });
+      const results = feed(detector, [...Array(30).fill(50), value]);
+      assert.ok(results.slice(0, 30).every(result => result === null));
+      return results[30];
+    };
+
+    // A flat series has no spread, so the CPU floor of 2 points stands in for it
+    assert.equal(spike(55), null);
+    const anomaly = spike(56);
+    assert.deepEqual(
+      { value: anomaly.value, expected: anomaly.expected, score: anomaly.score, direction: anomaly.direction, severity: anomaly.severity },
+      { value: 56, expected: 50, score: 3, direction: 'up', severity: 'warning' }
+    );
+    assert.deepEqual(anomaly.methods.map(check => check.method), ['zscore']);
+    assert.equal(anomaly.message, 'CPU of API is 56.0% (expected about 50.0%)');
+    assert.equal(spike(38).direction, 'down');
+  });
+
+  it('flags nothing before enough samples', () => {
+    const detector = new AnomalyDetector({ database, methods: ['zscore', 'ewma'], minSamples: 20 });
+    const results = feed(detector, [...Array(10).fill(50), 95]);
+    assert.ok(results.every(result => result === null));
+  });
+
+  it('scores against the EWMA mean and variance, and rates a large deviation critical', () => {
+    const detector = new AnomalyDetector({ database, methods: ['ewma'], threshold: 3, minSamples: 3, ewmaAlpha: 0.5, cooldownMs: 0 });
+    feed(detector, [40, 60, 40]);
+
+    // mean 40 -> 50 -> 45; variance 0 -> 100 -> 75
+    const state = detector.series.get('API|cpu');
+    assert.equal(state.mean, 45);
+    assert.equal(state.variance, 75);
+
+    const anomaly = detector.evaluate('API', 'cpu', 45 + 7 * Math.sqrt(75), START + 3 * MINUTE);
+    assert.equal(anomaly.methods[0].method, 'ewma');
+    assert.equal(anomaly.score, 7);
+    assert.equal(anomaly.severity, 'critical');
+  });
+
+  it('reports a service and metric once per cooldown', () => {
+    const detector = new AnomalyDetector({ database, methods: ['zscore'], minSamples: 20, cooldownMs: 5 * MINUTE });
+    const results = feed(detector, [...Array(20).fill(50), 90, 90]);
+    assert.notEqual(results[20], null);
+    assert.equal(results[21], null);
+  });
+
+  it('compares with the same time on previous days once the seasonal baseline is loaded', async () => {
+    const days = [];
+    database.getMetricsBetween = async (service, start) => {
+      days.push(start.toISOString());
+      // 19%, 20% and 21% on the three previous days
+      return [{ cpu_percent: 18 + days.length }];
+    };
+    const detector = new AnomalyDetector({ database, methods: ['seasonal'], seasonalDays: 3, seasonalMinDays: 3, cooldownMs: 0 });
+
+    // The first sample of a slot starts loading the baseline
+    assert.equal(detector.evaluate('API', 'cpu', 27, START), null);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(days, ['2024-04-30T10:00:00.000Z', '2024-04-29T10:00:00.000Z', '2024-04-28T10:00:00.000Z']);
+
+    // Mean 20, std 1 (below the floor of 2): (27 - 20) / 2
+    const anomaly = detector.evaluate('API', 'cpu', 27, START + MINUTE);
+    assert.equal(anomaly.score, 3.5);
+    assert.equal(anomaly.expected, 20);
+    assert.equal(detector.evaluate('API', 'cpu', 25, START + 2 * MINUTE), null);
+  });
+
+  it('turns byte counters into per-second rates', () => {
+    const detector = new AnomalyDetector({ database });
+    const first = detector.counterRates({ service: 'API', networkRxBytes: 1000, networkTxBytes: 500 }, START);
+    const second = detector.counterRates({ service: 'API', networkRxBytes: 61000, networkTxBytes: 400 }, START + MINUTE);
+
+    assert.deepEqual(first, {});
+    // Transmit went down: a counter reset, so no rate
+    assert.deepEqual(second, { network_rx: 1000 });
+  });
+
+  it('stores each log bucket and keeps checking services that went quiet', () => {
+    const detector = new AnomalyDetector({ database, logBucketMs: MINUTE });
+    for (const level of ['INFO', 'ERROR', 'CRITICAL']) {
+      detector.observeLog({ service: 'API', level });
+    }
+
+    detector.flushLogBucket();
+    assert.deepEqual(stored.map(({ service, logs, errors }) => ({ service, logs, errors })), [{ service: 'API', logs: 3, errors: 2 }]);
+    assert.deepEqual(detector.logCounts.get('API'), { logs: 0, errors: 0 });
+
+    detector.flushLogBucket();
+    assert.deepEqual(stored.map(volume => volume.logs), [3, 0]);
+  });
+});
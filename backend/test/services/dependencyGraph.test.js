@@ -0,0 +1,155 @@
+/**
+ * Dependency graph: edges learned from outbound calls in messages, trace
+ * spans, shared request IDs and error order; transitive dependencies over
+ * trusted edges, and persistence across restarts
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DependencyGraph = require('../../services/DependencyGraph');
+
+const START = Date.UTC(2024, 4, 1, 10, 0, 0);
+
+/**
+ * @param {number} ms - Offset from START
+ * @returns {string} ISO timestamp
+ */
+const at = (ms) => new Date(START + ms).toISOString();
+
+describe('DependencyGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new DependencyGraph({
+      // Stands in for CorrelatorAgent.extractCorrelationIds
+      extractIds: (log) => (log.fields?.requestId ? [{ type: 'request', value: log.fields.requestId }] : [])
+        .concat(log.fields?.userId ? [{ type: 'uuid', value: log.fields.userId }] : []),
+      requestTtlMs: 60000
+    });
+  });
+
+  const edges = (minWeight = 0) => graph.getTopology({ minWeight }).edges
+    .map(({ id, weight, evidence }) => ({ id, weight, evidence }));
+
+  it('learns calls from URLs, and from free-text names once the service is known', () => {
+    graph.observe({ service: 'orders', message: 'GET http://inventory:8080/stock and http://localhost:9000/health', timestamp: at(0) });
+    graph.observe({ service: 'ORDERS', message: 'POST https://users.prod.svc.cluster.local/api/users via https://api.example.com', timestamp: at(1) });
+    // PAYMENTS has not logged yet, so the name is not trusted
+    graph.observe({ service: 'ORDERS', message: 'calling payments-service', timestamp: at(2) });
+    graph.observe({ service: 'PAYMENTS', message: 'ready', timestamp: at(3) });
+    graph.observe({ service: 'ORDERS', message: 'calling payments-service, calling back later', timestamp: at(4) });
+    graph.observe({ service: 'ORDERS', message: 'inventory timed out', timestamp: at(5) });
+
+    assert.deepEqual(edges(), [
+      { id: 'ORDERS->INVENTORY', weight: 2, evidence: { call: 2 } },
+      { id: 'ORDERS->USERS', weight: 1, evidence: { call: 1 } },
+      { id: 'ORDERS->PAYMENTS', weight: 1, evidence: { call: 1 } }
+    ]);
+    assert.equal(graph.resolveService('inventory-svc'), 'INVENTORY');
+    assert.equal(graph.resolveService('billing'), null);
+    assert.equal(graph.resolveService('orders_2'), 'ORDERS');
+  });
+
+  it('links a child span to its parent in another service, looking up parents stored earlier', () => {
+    const stored = [{ traceId: 't1', spanId: 'a', service: 'API-GATEWAY', startTime: at(0) }];
+    graph.observeSpans([
+      { traceId: 't1', spanId: 'b', parentSpanId: 'a', service: 'ORDERS', startTime: at(10) },
+      { traceId: 't1', spanId: 'c', parentSpanId: 'b', service: 'ORDERS', startTime: at(20) },
+      { traceId: 't1', spanId: 'd', parentSpanId: 'c', service: 'POSTGRES', startTime: at(30) },
+      { traceId: 't1', spanId: 'e', parentSpanId: 'unknown', service: 'CACHE', startTime: at(40) }
+    ], (traceId) => (traceId === 't1' ? stored : []));
+
+    assert.deepEqual(edges(), [
+      { id: 'API-GATEWAY->ORDERS', weight: 1, evidence: { span: 1 } },
+      { id: 'ORDERS->POSTGRES', weight: 1, evidence: { span: 1 } }
+    ]);
+  });
+
+  it('links services logging the same request ID in order, forgetting it after the TTL', () => {
+    const log = (service, ms, fields) => graph.observe({ service, message: 'handled', timestamp: at(ms), fields });
+
+    log('API-GATEWAY', 0, { requestId: 'req-1', userId: 'user-42' });
+    log('ORDERS', 10, { requestId: 'req-1', userId: 'user-42' });
+    log('PAYMENTS', 20, { requestId: 'req-1' });
+    log('ORDERS', 30, { requestId: 'req-1' });
+
+    // Long after: the same ID is a new request, so PAYMENTS starts the sequence
+    log('PAYMENTS', 120000, { requestId: 'req-1' });
+    log('ORDERS', 120010, { requestId: 'req-1' });
+
+    assert.deepEqual(edges(), [
+      { id: 'API-GATEWAY->ORDERS', weight: 0.5, evidence: { 'request-id': 1 } },
+      { id: 'ORDERS->PAYMENTS', weight: 0.5, evidence: { 'request-id': 1 } },
+      { id: 'PAYMENTS->ORDERS', weight: 0.5, evidence: { 'request-id': 1 } }
+    ]);
+  });
+
+  it('points a service that fails right after another at the one that failed first', () => {
+    const error = (service, ms) => graph.observe({ service, level: 'ERROR', message: 'failed', timestamp: at(ms) });
+
+    error('POSTGRES', 0);
+    error('ORDERS', 1000);
+    error('API-GATEWAY', 2000);
+    // Outside the 5 second window of POSTGRES and ORDERS
+    error('BILLING', 9000);
+
+    assert.deepEqual(edges().map(({ id, weight }) => [id, weight]), [
+      ['ORDERS->POSTGRES', 0.2],
+      ['API-GATEWAY->POSTGRES', 0.2],
+      ['API-GATEWAY->ORDERS', 0.2]
+    ]);
+    assert.deepEqual([graph.nodes.get('ORDERS').errors, graph.nodes.get('ORDERS').lastErrorAt], [1, at(1000)]);
+  });
+
+  it('follows dependencies transitively over edges heavy enough to trust', () => {
+    graph.addEvidence('API-GATEWAY', 'ORDERS', 'span', at(0));
+    graph.addEvidence('ORDERS', 'POSTGRES', 'call', at(0));
+    graph.addEvidence('POSTGRES', 'BACKUP', 'request-id', at(0));
+    // A cycle back to the start
+    graph.addEvidence('POSTGRES', 'API-GATEWAY', 'span', at(0));
+
+    assert.deepEqual([...graph.getDependencies('api-gateway')], ['ORDERS', 'POSTGRES']);
+    assert.deepEqual([...graph.getDependencies('API-GATEWAY', 0.5)], ['ORDERS', 'POSTGRES', 'BACKUP']);
+
+    const topology = graph.getTopology();
+    assert.equal(topology.minWeight, 1);
+    assert.equal(topology.edges.some(edge => edge.target === 'BACKUP'), false);
+    const orders = topology.nodes.find(node => node.id === 'ORDERS');
+    assert.deepEqual([orders.dependencies, orders.dependents], [['POSTGRES'], ['API-GATEWAY']]);
+  });
+
+  describe('persistence', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loglens-topology-'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('reloads the learned graph after a restart and forgets it on reset', () => {
+      const persistPath = path.join(dir, 'topology.json');
+      const first = new DependencyGraph({ persistPath });
+      first.addEvidence('API-GATEWAY', 'ORDERS', 'span', at(0));
+      first.stop();
+
+      const second = new DependencyGraph({ persistPath });
+      assert.deepEqual(second.getServiceNames(), ['API-GATEWAY', 'ORDERS']);
+      assert.deepEqual([...second.getDependencies('API-GATEWAY')], ['ORDERS']);
+      assert.equal(fs.existsSync(`${persistPath}.tmp`), false);
+
+      second.reset();
+      assert.deepEqual(new DependencyGraph({ persistPath }).getServiceNames(), []);
+    });
+
+    it('starts empty from an unreadable file', () => {
+      const persistPath = path.join(dir, 'topology.json');
+      fs.writeFileSync(persistPath, '{ not json');
+
+      assert.deepEqual(new DependencyGraph({ persistPath }).getServiceNames(), []);
+    });
+  });
+});
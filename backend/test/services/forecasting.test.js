@@ -0,0 +1,178 @@
+/**
+ * Forecasting: regression and Holt / Holt-Winters models on fixed series,
+ * time-to-limit and error spike forecasts, and confidence calibration from
+ * verified outcomes
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LogDatabase } = require('../../database/LogDatabase');
+const { MemoryAdapter } = require('../../database/adapters');
+const Fingerprinter = require('../../database/Fingerprinter');
+const Forecaster = require('../../services/forecasting/Forecaster');
+const Calibration = require('../../services/forecasting/Calibration');
+const {
+  normalCdf,
+  resample,
+  linearRegression,
+  holtLinear,
+  holtWinters,
+  forecastTotal
+} = require('../../services/forecasting/models');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('forecasting models', () => {
+  it('fits a straight line exactly', () => {
+    const fit = linearRegression([0, 1, 2, 3, 4].map(x => ({ x, y: 2 * x + 1 })));
+
+    assert.equal(fit.slope, 2);
+    assert.equal(fit.intercept, 1);
+    assert.equal(fit.r2, 1);
+    assert.equal(fit.residualStd, 0);
+    assert.equal(fit.slopeStdError, 0);
+    assert.equal(fit.predict(10), 21);
+    assert.equal(linearRegression([{ x: 1, y: 1 }, { x: 1, y: 2 }, { x: 1, y: 3 }]), null);
+  });
+
+  it('continues a linear trend with Holt and sums the forecast', () => {
+    const model = holtLinear([1, 2, 3, 4, 5]);
+
+    assert.equal(model.forecast(1), 6);
+    assert.equal(model.residualStd, 0);
+    assert.deepEqual(forecastTotal(model, 3), { total: 21, std: 0 });
+    assert.equal(holtLinear([1, 2, 3]), null);
+  });
+
+  it('repeats a seasonal pattern with Holt-Winters', () => {
+    const season = [10, 20, 30, 20];
+    const model = holtWinters([...season, ...season, ...season], 4);
+
+    assert.equal(model.trend, 0);
+    assert.equal(model.residualStd, 0);
+    assert.deepEqual([1, 2, 3, 4, 5].map(h => model.forecast(h)), [10, 20, 30, 20, 10]);
+    assert.equal(holtWinters(season, 4), null);
+  });
+
+  it('averages points into buckets and approximates the normal CDF', () => {
+    assert.deepEqual(resample([{ t: 61000, value: 4 }, { t: 5000, value: 1 }, { t: 59000, value: 3 }], MINUTE), [
+      { t: 0, value: 2 },
+      { t: MINUTE, value: 4 }
+    ]);
+    assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-6);
+    assert.ok(Math.abs(normalCdf(1.2816) - 0.9) < 1e-4);
+    assert.ok(Math.abs(normalCdf(-1.96) - 0.025) < 1e-4);
+  });
+});
+
+describe('Calibration', () => {
+  it('keeps the raw confidence without outcomes and pulls it towards the hit rate with them', () => {
+    const calibration = new Calibration({ priorWeight: 10 });
+    assert.deepEqual(calibration.calibrate('error_spike', 0.9), { confidence: 0.9, outcomes: 0 });
+
+    for (let i = 0; i < 10; i++) {
+      calibration.record('error_spike', 0.85, i < 5);
+    }
+
+    // Band 0.8-1.0: (5 hits + 0.9 x 10) / (10 + 10)
+    assert.deepEqual(calibration.calibrate('error_spike', 0.9), { confidence: 0.7, outcomes: 10 });
+    // Other bands and types are unaffected
+    assert.equal(calibration.calibrate('error_spike', 0.5).confidence, 0.5);
+    assert.equal(calibration.calibrate('memory_pressure', 0.9).confidence, 0.9);
+
+    calibration.remove('error_spike', 0.95, true);
+    assert.deepEqual(calibration.getSummary().error_spike[4], { range: [0.8, 1], predictions: 9, hits: 4, hitRate: 4 / 9 });
+  });
+});
+
+describe('Forecaster', () => {
+  let db;
+  let forecaster;
+
+  beforeEach(() => {
+    db = new LogDatabase({ store: new MemoryAdapter(), fingerprinter: new Fingerprinter() });
+    forecaster = new Forecaster({ database: db, horizonHours: 6 });
+  });
+
+  it('projects a linear memory ramp to the time it runs out of memory', async () => {
+    // 2 MB a minute (120 MB/h) for 30 minutes up to 558 MB, under a 1000 MB limit
+    const now = Date.now();
+    for (let i = 0; i < 30; i++) {
+      await db.store.insertMetrics({
+        timestamp: new Date(now - (29 - i) * MINUTE).toISOString(),
+        service: 'API',
+        cpu_percent: 10,
+        memory_usage_mb: 500 + 2 * i,
+        memory_limit_mb: 1000
+      });
+    }
+
+    const result = await forecaster.run();
+
+    // CPU is flat, so only memory is projected
+    assert.equal(result.generated, 1);
+    const [prediction] = result.predictions;
+    const basedOn = JSON.parse(prediction.based_on_data);
+    assert.equal(prediction.prediction_type, 'memory_pressure');
+    assert.equal(basedOn.slopePerHour, 120);
+    assert.equal(basedOn.r2, 1);
+    assert.deepEqual(basedOn.check, { metric: 'memory_usage_mb', threshold: 950 });
+
+    // (1000 - 558) / 120 = 3.68 hours; resampling to whole minutes moves the start by under 2 MB
+    assert.ok(basedOn.current >= 558 && basedOn.current < 560);
+    assert.equal(prediction.time_horizon, '3.7 hours');
+    const hoursToOom = (new Date(basedOn.expectedAt).getTime() - now) / HOUR;
+    assert.ok(Math.abs(hoursToOom - (1000 - basedOn.current) / 120) < 0.001);
+    // An exact fit leaves no doubt it gets there within the horizon
+    assert.equal(prediction.confidence, 0.99);
+
+    // One active prediction per type and service
+    assert.equal((await forecaster.run()).generated, 0);
+  });
+
+  it('does not project a resource that is flat or far from its limit', () => {
+    const now = Date.now();
+    const rows = (value) => Array.from({ length: 20 }, (_, i) => ({
+      timestamp: new Date(now - (19 - i) * MINUTE).toISOString(),
+      memory_usage_mb: value(i)
+    }));
+    const project = (value) => forecaster.projectToLimit({ type: 'memory_pressure', service: 'API', rows: rows(value), column: 'memory_usage_mb', limit: 1000, describe: () => '' });
+
+    assert.equal(project(() => 500), null);
+    // 0.1 MB a minute: 83 hours to go
+    assert.equal(project(i => 500 + i / 10), null);
+  });
+
+  it('forecasts an error spike from a rising error count', () => {
+    // Errors per 15 minutes; Holt continues the trend: 9 + 10 + 11 + 12 in the next hour
+    const forecast = forecaster.forecastServiceErrors('API', [1, 2, 3, 4, 5, 6, 7, 8], Date.now());
+
+    assert.equal(forecast.type, 'error_spike');
+    assert.equal(forecast.basedOn.model, 'holt');
+    assert.equal(forecast.basedOn.forecast, 42);
+    // Usual: a mean of 4.5 per step over 4 steps; a spike is twice that
+    assert.equal(forecast.basedOn.usual, 18);
+    assert.deepEqual(forecast.check, { metric: 'errors', threshold: 36 });
+    assert.ok(forecast.rawConfidence > 0.99);
+
+    // At the usual rate: far below a spike, or not worth a forecast when falling
+    assert.ok(forecaster.forecastServiceErrors('API', Array(8).fill(2), Date.now()).rawConfidence < 0.001);
+    assert.equal(forecaster.forecastServiceErrors('API', [8, 7, 6, 5, 4, 3, 2, 1], Date.now()), null);
+    assert.equal(forecaster.forecastServiceErrors('API', [1, 2, 3], Date.now()), null);
+  });
+
+  it('calibrates from verdicts, and moves an outcome when a user overrides it', () => {
+    const prediction = { prediction_type: 'error_spike', based_on_data: JSON.stringify({ rawConfidence: 0.9 }) };
+    const band = () => forecaster.calibration.getSummary().error_spike[4];
+
+    forecaster.recordOutcome(prediction, 'confirmed');
+    assert.deepEqual([band().predictions, band().hits], [1, 1]);
+
+    forecaster.recordOutcome(prediction, 'expired', 'confirmed');
+    assert.deepEqual([band().predictions, band().hits], [1, 0]);
+
+    forecaster.recordOutcome(prediction, 'dismissed', 'expired');
+    assert.deepEqual([band().predictions, band().hits], [0, 0]);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Incident clustering: an error joins an unresolved incident by correlation
+ * ID first, then by fingerprint, then by time window; otherwise it opens one
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LogDatabase } = require('../../database/LogDatabase');
+const { MemoryAdapter } = require('../../database/adapters');
+const Fingerprinter = require('../../database/Fingerprinter');
+const IncidentClusterer = require('../../services/IncidentClusterer');
+
+const MINUTE = 60 * 1000;
+const BASE = Date.now() - 2 * 60 * MINUTE;
+
+/**
+ * @param {number} ms - Offset from BASE
+ * @returns {string} ISO timestamp
+ */
+const at = (ms) => new Date(BASE + ms).toISOString();
+
+let sequence = 0;
+const error = (service, message, fields = {}) => ({
+  id: `err-${++sequence}`,
+  service,
+  level: 'ERROR',
+  message,
+  timestamp: at(0),
+  ...fields
+});
+
+const POOL = ['DB-SERVICE', 'Connection pool exhausted'];
+const TIMEOUT = ['API-GATEWAY', 'Upstream request timed out'];
+
+describe('IncidentClusterer', () => {
+  let db;
+  let clusterer;
+  let events;
+
+  beforeEach(() => {
+    db = new LogDatabase({ store: new MemoryAdapter(), fingerprinter: new Fingerprinter() });
+    clusterer = new IncidentClusterer({
+      database: db,
+      windowMs: MINUTE,
+      extractIds: (log) => [
+        ...(log.traceId ? [{ type: 'trace', value: log.traceId }] : []),
+        ...(log.userId ? [{ type: 'uuid', value: log.userId }] : [])
+      ]
+    });
+    events = [];
+    clusterer.on('incident-updated', event => events.push(event));
+  });
+
+  /**
+   * Two incidents ten minutes apart, further apart than the window
+   * @returns {Promise<object[]>} [pool incident, timeout incident]
+   */
+  const twoIncidents = async () => {
+    const pool = await clusterer.add(error(...POOL, { traceId: 'trace-aaaaaa' }));
+    const timeout = await clusterer.add(error(...TIMEOUT, { timestamp: at(10 * MINUTE) }));
+    assert.equal(pool.created, true);
+    assert.equal(timeout.created, true);
+    return [pool.incident, timeout.incident];
+  };
+
+  it('opens an incident for an error that matches none', async () => {
+    const result = await clusterer.add(error(...POOL, { level: 'CRITICAL' }));
+
+    assert.equal(result.created, true);
+    assert.equal(result.matchedBy, null);
+    assert.equal(result.incident.title, 'Connection pool exhausted');
+    assert.equal(result.incident.severity, 'critical');
+    assert.equal(result.incident.first_seen_service, 'DB-SERVICE');
+    assert.deepEqual(events.map(e => [e.id, e.created, e.matchedBy, e.errorCount]), [[result.incident.id, true, null, 1]]);
+  });
+
+  it('matches by correlation ID before fingerprint and time', async () => {
+    const [pool, timeout] = await twoIncidents();
+
+    // Same fingerprint as the timeout incident and within its window, but the pool incident's trace
+    const result = await clusterer.add(error(...TIMEOUT, { traceId: 'trace-aaaaaa', timestamp: at(10 * MINUTE) }));
+
+    assert.equal(result.matchedBy, 'correlation');
+    assert.equal(result.incident.id, pool.id);
+    assert.notEqual(result.incident.id, timeout.id);
+    assert.equal(result.incident.error_count, 2);
+    assert.deepEqual([...result.incident.services].sort(), ['API-GATEWAY', 'DB-SERVICE']);
+  });
+
+  it('matches by fingerprint before time', async () => {
+    const [pool, timeout] = await twoIncidents();
+
+    // Within the window of the timeout incident only, but the pool incident's fingerprint
+    const result = await clusterer.add(error(...POOL, { timestamp: at(10 * MINUTE + 5000) }));
+
+    assert.equal(result.matchedBy, 'fingerprint');
+    assert.equal(result.incident.id, pool.id);
+    assert.notEqual(result.incident.id, timeout.id);
+  });
+
+  it('matches the incident active within the window, and opens a new one after it', async () => {
+    const [, timeout] = await twoIncidents();
+
+    const near = await clusterer.add(error('STORAGE', 'Disk full on /var/lib/data', { timestamp: at(10 * MINUTE + 30000) }));
+    assert.equal(near.matchedBy, 'time');
+    assert.equal(near.incident.id, timeout.id);
+
+    const far = await clusterer.add(error('STORAGE', 'Certificate expired', { timestamp: at(30 * MINUTE) }));
+    assert.equal(far.created, true);
+  });
+
+  it('ignores resolved incidents and IDs that are not correlation IDs', async () => {
+    const first = await clusterer.add(error(...POOL, { traceId: 'trace-bbbbbb', userId: 'user-123456' }));
+    const sharingUser = await clusterer.add(error('BILLING', 'Invoice render failed', { userId: 'user-123456', timestamp: at(20 * MINUTE) }));
+    assert.equal(sharingUser.created, true);
+
+    await db.transitionIncident(first.incident.id, 'resolved');
+    const again = await clusterer.add(error(...POOL, { traceId: 'trace-bbbbbb', timestamp: at(40 * MINUTE) }));
+    assert.equal(again.created, true);
+    assert.notEqual(again.incident.id, first.incident.id);
+  });
+
+  it('raises the severity when a critical error joins', async () => {
+    const first = await clusterer.add(error(...POOL));
+    assert.equal(first.incident.severity, 'high');
+
+    const critical = await clusterer.add(error(...POOL, { level: 'CRITICAL', timestamp: at(1000) }));
+    assert.equal(critical.incident.id, first.incident.id);
+    assert.equal(critical.incident.severity, 'critical');
+  });
+
+  it('clusters a burst one error at a time, so it opens a single incident', async () => {
+    const results = await Promise.all(['A', 'B', 'C', 'D'].map((name, i) =>
+      clusterer.add(error(`SERVICE-${name}`, `Failure in ${name} stage`, { timestamp: at(i * 1000) }))
+    ));
+
+    assert.deepEqual(results.map(r => r.created), [true, false, false, false]);
+    assert.equal(new Set(results.map(r => r.incident.id)).size, 1);
+    assert.equal(results[3].incident.error_count, 4);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Live tail: shared rooms per filter, ack-gated batches and drop-oldest
+ * backpressure, against a fake Socket.io server
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LiveTail = require('../../services/LiveTail');
+
+/**
+ * Socket.io server with the room registry LiveTail reads
+ * @returns {object} { sockets: { adapter: { rooms } }, connect(id) -> socket }
+ */
+function fakeIo() {
+  const rooms = new Map();
+  return {
+    sockets: { adapter: { rooms } },
+    connect(id) {
+      const socket = {
+        id,
+        // Batches sent to this socket: [{ event, logs, timeoutMs, ack }]
+        sent: [],
+        join(room) {
+          if (!rooms.has(room)) rooms.set(room, new Set());
+          rooms.get(room).add(id);
+        },
+        leave(room) {
+          rooms.get(room)?.delete(id);
+        },
+        timeout(timeoutMs) {
+          return {
+            emit: (event, logs, ack) => socket.sent.push({ event, logs, timeoutMs, ack })
+          };
+        },
+        // Acknowledge the last batch, as the browser (or Socket.io on timeout, with an error) does
+        ack(error = null) {
+          socket.sent[socket.sent.length - 1].ack(error);
+        }
+      };
+      return socket;
+    }
+  };
+}
+
+const log = (message, fields = {}) => ({ service: 'API', level: 'INFO', message, timestamp: new Date().toISOString(), ...fields });
+const messages = (batch) => batch.logs.map(l => l.marker ? `[skipped ${l.count}]` : l.message);
+
+describe('LiveTail', () => {
+  let io;
+  let tail;
+
+  beforeEach(() => {
+    io = fakeIo();
+    tail = new LiveTail({ io, maxBatch: 2, maxQueue: 3, ackTimeoutMs: 500 });
+  });
+
+  const connect = (id, filter) => {
+    const socket = io.connect(id);
+    tail.addClient(socket);
+    if (filter) tail.subscribe(socket, filter);
+    return socket;
+  };
+
+  it('shares a room between clients with the same filter and matches each log once per room', () => {
+    const a = connect('a', { services: ['api', 'db'], minLevel: 'warn' });
+    const b = connect('b', { services: ['DB', 'API'], minLevel: 'WARN' });
+    const c = connect('c', { query: 'timeout' });
+
+    assert.equal(tail.clients.get('a').room, tail.clients.get('b').room);
+    assert.notEqual(tail.clients.get('a').room, tail.clients.get('c').room);
+    // The room of every log, which each client started in, is empty again
+    assert.deepEqual(tail.getStatus().subscriptions.map(s => s.clients).sort(), [1, 2]);
+
+    let calls = 0;
+    const room = tail.rooms.get(tail.clients.get('a').room);
+    const { matches } = room;
+    room.matches = (l) => {
+      calls++;
+      return matches(l);
+    };
+
+    tail.push(log('Upstream timeout', { level: 'ERROR' }));
+    tail.push(log('Cache warm'));
+    tail.deliver();
+
+    assert.equal(calls, 2);
+    assert.deepEqual(messages(a.sent[0]), ['Upstream timeout']);
+    assert.deepEqual(messages(b.sent[0]), ['Upstream timeout']);
+    assert.deepEqual(messages(c.sent[0]), ['Upstream timeout']);
+    assert.equal(a.sent[0].event, 'logs-batch');
+  });
+
+  it('sends the next batch only once the previous one is acknowledged or timed out', () => {
+    const socket = connect('a');
+
+    tail.push(log('one'));
+    tail.deliver();
+    tail.push(log('two'));
+    tail.deliver();
+    tail.deliver();
+
+    assert.equal(socket.sent.length, 1);
+    assert.equal(socket.sent[0].timeoutMs, 500);
+
+    socket.ack();
+    assert.deepEqual(socket.sent.map(messages), [['one'], ['two']]);
+
+    // A timed-out ack releases the next batch too
+    tail.push(log('three'));
+    tail.deliver();
+    assert.equal(socket.sent.length, 2);
+    socket.ack(new Error('operation has timed out'));
+    assert.deepEqual(messages(socket.sent[2]), ['three']);
+  });
+
+  it('drops the oldest queued logs and leads the next batch with a skipped marker', () => {
+    const socket = connect('a');
+
+    tail.push(log('first'));
+    tail.deliver();
+    for (const n of [1, 2, 3, 4, 5]) tail.push(log(`log ${n}`));
+    tail.deliver();
+
+    assert.equal(tail.getStatus().queued, 3);
+    assert.equal(tail.getStatus().skipped, 2);
+
+    socket.ack();
+    assert.deepEqual(messages(socket.sent[1]), ['[skipped 2]', 'log 3', 'log 4']);
+    socket.ack();
+    assert.deepEqual(messages(socket.sent[2]), ['log 5']);
+    socket.ack();
+    assert.equal(socket.sent.length, 3);
+  });
+
+  it('rejects filters with unknown levels or regexes that backtrack, keeping the old subscription', () => {
+    const socket = connect('a', { services: ['api'] });
+    const room = tail.clients.get('a').room;
+
+    for (const filter of [{ minLevel: 'LOUD' }, { query: '/(a+)+$/' }, { query: '"unterminated' }]) {
+      assert.throws(() => tail.subscribe(socket, filter), (error) => error.status === 400, JSON.stringify(filter));
+    }
+    assert.equal(tail.clients.get('a').room, room);
+    assert.throws(() => tail.subscribe(io.connect('stranger'), {}), (error) => error.status === 409);
+  });
+
+  it('answers a subscription with the buffered logs it matches and drops logs queued for the old filter', () => {
+    const buffered = [log('GET /health 200', { level: 'DEBUG' }), log('Slow query', { level: 'WARN' }), log('Pool exhausted', { level: 'ERROR' })];
+    tail = new LiveTail({ io, getRecentLogs: () => buffered, recentLogs: 1 });
+    const socket = connect('a');
+
+    tail.push(log('queued for every log'));
+    tail.deliver();
+    tail.push(log('still queued'));
+    tail.deliver();
+
+    const subscription = tail.subscribe(socket, { minLevel: 'WARN' });
+    assert.deepEqual(subscription.filter, { services: [], minLevel: 'WARN', levels: [], query: '' });
+    assert.deepEqual(subscription.logs.map(l => l.message), ['Pool exhausted']);
+    assert.equal(tail.getStatus().queued, 0);
+
+    // The room of every log is removed once empty
+    tail.deliver();
+    assert.equal(tail.rooms.size, 1);
+  });
+});
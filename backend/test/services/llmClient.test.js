@@ -0,0 +1,150 @@
+/**
+ * LLM client: retries, timeouts, cancellation and token accounting, driven
+ * by the deterministic mock provider
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LLMManager = require('../../services/llm/LLMManager');
+
+/**
+ * Manager whose every agent uses one mock provider
+ * @param {object} mock - Mock provider config
+ * @param {object} options - LLMManager options
+ * @returns {object} { manager, provider, client }
+ */
+function setup(mock = {}, options = {}) {
+  const manager = new LLMManager({
+    providers: { mock: { type: 'mock', ...mock } },
+    defaultProvider: 'mock',
+    retries: 2,
+    retryDelayMs: 1,
+    ...options
+  });
+  const provider = manager.getProvider('mock');
+  return { manager, provider, client: manager.forAgent('analyzer', { timeoutMs: 1000 }) };
+}
+
+describe('LLMClient', () => {
+  it('answers with the canned response and the provider and model it came from', async () => {
+    const { client, provider } = setup({ responses: { analyzer: 'root cause: pool', default: 'other' } });
+
+    const response = await client.complete('Why?', { temperature: 0 });
+    assert.equal(response.content, 'root cause: pool');
+    assert.equal(response.provider, 'mock');
+    assert.equal(response.model, 'mock-1');
+    assert.equal(response.attempts, 1);
+    assert.deepEqual(provider.calls, [{ agent: 'analyzer', prompt: 'Why?', model: 'mock-1' }]);
+
+    // The same prompt always gives the same answer
+    const { client: other } = setup();
+    assert.equal((await other.complete('same')).content, (await other.complete('same')).content);
+  });
+
+  it('retries rate limits and server errors with backoff', async () => {
+    const { client, provider, manager } = setup({ responses: { default: 'ok' }, failures: [{ status: 429 }, { status: 503 }] });
+
+    const response = await client.complete('Retry me');
+    assert.equal(response.content, 'ok');
+    assert.equal(response.attempts, 3);
+    assert.equal(provider.calls.length, 3);
+
+    const [stats] = manager.getUsage().byAgent;
+    assert.equal(stats.requests, 1);
+    assert.equal(stats.retries, 2);
+    assert.equal(stats.failures, 0);
+  });
+
+  it('gives up after the last retry, and at once on errors not worth repeating', async () => {
+    const { client, provider, manager } = setup();
+
+    for (let i = 0; i < 3; i++) provider.failNext({ status: 500, message: 'upstream down' });
+    await assert.rejects(client.complete('Fail'), /upstream down/);
+    assert.equal(provider.calls.length, 3);
+
+    provider.failNext({ status: 401, message: 'bad key' });
+    await assert.rejects(client.complete('Fail'), (error) => error.status === 401);
+    assert.equal(provider.calls.length, 4);
+
+    assert.deepEqual(manager.getUsage().totals, { requests: 2, failures: 2, inputTokens: 0, outputTokens: 0 });
+  });
+
+  it('times out slow attempts, aborting the provider call, and retries them', async () => {
+    const { manager, provider } = setup({ latencyMs: 200 }, { retries: 1 });
+    const client = manager.forAgent('codeLocator', { timeoutMs: 20 });
+
+    await assert.rejects(client.complete('Slow'), (error) => error.timeout === true && /codeLocator timed out after 20ms/.test(error.message));
+    assert.equal(provider.calls.length, 2);
+
+    // A per-call timeout overrides the agent default
+    const response = await client.complete('Slow', { timeoutMs: 1000 });
+    assert.equal(response.attempts, 1);
+  });
+
+  it('stops at once when the caller cancels, without retrying', async () => {
+    const { client, provider } = setup({ latencyMs: 200 });
+    const controller = new AbortController();
+
+    const started = Date.now();
+    const pending = client.complete('Cancel me', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, (error) => error.cancelled === true);
+    assert.ok(Date.now() - started < 150);
+    assert.equal(provider.calls.length, 1);
+
+    // Cancelled before it starts, or while waiting to retry
+    await assert.rejects(client.complete('Never sent', { signal: controller.signal }), (error) => error.cancelled === true);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  it('cancels during the wait between attempts', async () => {
+    const { client, provider } = setup({ failures: [{ status: 503 }] }, { retryDelayMs: 500 });
+    const controller = new AbortController();
+
+    const pending = client.complete('Backoff', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, (error) => error.cancelled === true);
+    assert.equal(provider.calls.length, 1);
+  });
+
+  it('counts reported tokens per agent, provider and model, and estimates missing ones', async () => {
+    const { manager, client } = setup({ responses: { default: 'x'.repeat(40) } });
+    // A provider that reports no usage, as some OpenAI-compatible servers do
+    manager.providers.set('bare', {
+      name: 'bare',
+      model: 'bare-1',
+      isConfigured: () => true,
+      complete: async () => ({ content: 'y'.repeat(8) })
+    });
+    manager.setAssignment('fixGenerator', { provider: 'bare' });
+
+    await client.complete('p'.repeat(100));
+    await client.complete('p'.repeat(20));
+    const bare = await manager.forAgent('fixGenerator').complete('q'.repeat(10));
+
+    assert.deepEqual(bare.usage, { inputTokens: 3, outputTokens: 2, estimated: true });
+
+    const { totals, byAgent } = manager.getUsage();
+    const analyzer = byAgent.find(stats => stats.agent === 'analyzer');
+    assert.equal(analyzer.provider, 'mock');
+    assert.equal(analyzer.model, 'mock-1');
+    assert.equal(analyzer.requests, 2);
+    assert.equal(analyzer.inputTokens, 25 + 5);
+    assert.equal(analyzer.outputTokens, 10 + 10);
+    assert.equal(analyzer.estimatedTokens, false);
+    assert.equal(byAgent.find(stats => stats.agent === 'fixGenerator').estimatedTokens, true);
+    assert.deepEqual(totals, { requests: 3, failures: 0, inputTokens: 33, outputTokens: 22 });
+  });
+
+  it('is disabled for agents without a configured provider', async () => {
+    const { manager } = setup();
+    manager.setAssignment('codeFix', { provider: 'none' });
+
+    const client = manager.forAgent('codeFix');
+    assert.equal(client.isEnabled(), false);
+    assert.equal(client.describe(), 'disabled');
+    await assert.rejects(client.complete('Hi'), /No LLM provider configured for codeFix/);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Prediction verification: live events confirm the predictions that foresaw
+ * them or count as missed, verify() confirms from history or expires, and
+ * precision and recall follow from confirmed, expired and missed
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { LogDatabase } = require('../../database/LogDatabase');
+const { MemoryAdapter } = require('../../database/adapters');
+const Fingerprinter = require('../../database/Fingerprinter');
+const PredictionTracker = require('../../services/forecasting/PredictionTracker');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('PredictionTracker', () => {
+  let db;
+  let tracker;
+  let verified;
+
+  beforeEach(() => {
+    db = new LogDatabase({ store: new MemoryAdapter(), fingerprinter: new Fingerprinter() });
+    tracker = new PredictionTracker({ database: db, thresholds: { cpu: { critical: 80 } } });
+    verified = [];
+    tracker.on('prediction-verified', result => verified.push(result));
+  });
+
+  const predict = (type, service, fields = {}) => db.storePrediction({
+    type,
+    service,
+    issue: `${type} in ${service}`,
+    confidence: 0.8,
+    timeHorizon: '1 hour',
+    expiresAt: Date.now() + HOUR,
+    basedOn: {},
+    ...fields
+  });
+
+  it('gives recall 0.5 for one confirmed prediction and one missed event', async () => {
+    const prediction = await predict('memory_pressure', 'API');
+
+    // Foreseen: confirms the prediction
+    await tracker.observeMetrics([{ service: 'api', memoryPercent: 97, cpuPercent: 10 }]);
+    // Not foreseen: missed
+    await tracker.observeMetrics([{ service: 'WORKER', memoryPercent: 96, cpuPercent: 10 }]);
+
+    assert.deepEqual(verified.map(v => [v.id, v.status, v.evidence]), [[prediction.id, 'confirmed', 'Memory reached 97.0%']]);
+    assert.equal((await db.requirePrediction(prediction.id)).status, 'confirmed');
+
+    const { overall, byType } = tracker.getAccuracy();
+    assert.deepEqual(
+      { confirmed: overall.confirmed, expired: overall.expired, missed: overall.missed, precision: overall.precision, recall: overall.recall },
+      { confirmed: 1, expired: 0, missed: 1, precision: 1, recall: 0.5 }
+    );
+    assert.equal(byType.memory_pressure.recall, 0.5);
+    assert.equal(tracker.getAccuracy({ service: 'worker' }).overall.recall, 0);
+  });
+
+  it('counts one event per type and service within the cooldown', async () => {
+    await tracker.observeMetrics([{ service: 'API', memoryPercent: 50, cpuPercent: 95 }]);
+    await tracker.observeMetrics([{ service: 'API', memoryPercent: 50, cpuPercent: 99 }]);
+    await tracker.observeAnomaly({ service: 'API', metric: 'error_rate', direction: 'up', message: 'Error rate of API is 30/min' });
+    await tracker.observeAnomaly({ service: 'API', metric: 'error_rate', direction: 'down', message: 'quiet' });
+
+    assert.deepEqual(tracker.missed.map(event => event.type), ['resource_exhaustion', 'error_spike']);
+  });
+
+  it('confirms from history or expires on verify(), for precision 0.5', async () => {
+    const check = { metric: 'memory_usage_mb', threshold: 950 };
+    const seen = await predict('memory_pressure', 'API', { basedOn: { check } });
+    const notSeen = await predict('memory_pressure', 'WORKER', { basedOn: { check }, expiresAt: Date.now() + 50 });
+
+    await db.storeMetrics({ service: 'API', cpu: 5, memory: 96, memoryUsage: 960, memoryLimit: 1000 });
+    await db.storeMetrics({ service: 'WORKER', cpu: 5, memory: 50, memoryUsage: 500, memoryLimit: 1000 });
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    const settled = await tracker.verify();
+    const byStatus = settled.map(s => [s.status, s.id, s.evidence]).sort();
+    assert.deepEqual(byStatus, [
+      ['confirmed', seen.id, 'memory_usage_mb reached 960 (threshold 950)'],
+      ['expired', notSeen.id, 'Horizon passed without the predicted event']
+    ]);
+
+    const { overall } = tracker.getAccuracy();
+    assert.deepEqual([overall.confirmed, overall.expired, overall.precision, overall.recall], [1, 1, 0.5, 1]);
+    assert.deepEqual(await tracker.verify(), []);
+  });
+
+  it('lets a user override a verdict, and leaves dismissed predictions out of both rates', async () => {
+    const prediction = await predict('error_spike', 'API');
+
+    const updated = await tracker.override(prediction.id, 'dismissed', 'Deploy window');
+    assert.equal(updated.status, 'dismissed');
+    assert.equal(updated.status_source, 'user');
+    assert.equal(updated.evidence, 'Deploy window');
+
+    const { overall } = tracker.getAccuracy();
+    assert.deepEqual([overall.dismissed, overall.precision, overall.recall], [1, null, null]);
+
+    await assert.rejects(tracker.override(prediction.id, 'active'), (e) => e.status === 400);
+    await assert.rejects(tracker.override('missing', 'confirmed'), (e) => e.status === 404);
+  });
+});
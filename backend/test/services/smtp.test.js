@@ -0,0 +1,79 @@
+/**
+ * SMTP client: the conversation with a plain TCP server, and credentials kept
+ * off connections that are not encrypted
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { sendMail } = require('../../services/alerts/smtp');
+
+const MAIL = { from: 'LogLens <alerts@example.com>', to: ['ops@example.com'], subject: 'Disk full', text: 'on /var' };
+
+describe('smtp', () => {
+  let server;
+  let port;
+  let commands;
+
+  before(async () => {
+    // Answers every command, offers AUTH but no STARTTLS
+    server = net.createServer(socket => {
+      let buffer = '';
+      let inData = false;
+      socket.write('220 fake ESMTP\r\n');
+      socket.on('data', chunk => {
+        buffer += chunk.toString('utf-8');
+        let index;
+        while ((index = buffer.indexOf('\r\n')) !== -1) {
+          const line = buffer.substring(0, index);
+          buffer = buffer.substring(index + 2);
+          if (inData) {
+            if (line === '.') {
+              inData = false;
+              socket.write('250 queued\r\n');
+            }
+            continue;
+          }
+
+          commands.push(line);
+          if (line.startsWith('EHLO')) socket.write('250-fake\r\n250 AUTH PLAIN LOGIN\r\n');
+          else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+          else if (line === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+          else if (line === 'QUIT') socket.end('221 bye\r\n');
+          else socket.write('250 ok\r\n');
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    commands = [];
+  });
+
+  it('sends a message without credentials over plain TCP', async () => {
+    const result = await sendMail({ host: '127.0.0.1', port, timeoutMs: 2000 }, MAIL);
+
+    assert.deepEqual(result, { accepted: ['ops@example.com'] });
+    assert.deepEqual(commands.map(c => c.split(' ')[0]), ['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+    assert.equal(commands[1], 'MAIL FROM:<alerts@example.com>');
+  });
+
+  it('refuses to authenticate without TLS', async () => {
+    await assert.rejects(
+      sendMail({ host: '127.0.0.1', port, user: 'bot', pass: 'secret', timeoutMs: 2000 }, MAIL),
+      /refusing to send credentials unencrypted/
+    );
+    assert.ok(!commands.some(c => c.startsWith('AUTH')));
+    assert.ok(!commands.some(c => c.startsWith('MAIL')));
+  });
+
+  it('authenticates without TLS when explicitly allowed', async () => {
+    await sendMail({ host: '127.0.0.1', port, user: 'bot', pass: 'secret', allowInsecureAuth: true, timeoutMs: 2000 }, MAIL);
+
+    assert.equal(commands[1], `AUTH PLAIN ${Buffer.from('\0bot\0secret').toString('base64')}`);
+  });
+});
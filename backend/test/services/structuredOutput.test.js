@@ -0,0 +1,160 @@
+/**
+ * Structured output: JSON extraction and repair, schema validation, and the
+ * client's re-prompting on output that fails it (through the mock provider)
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractJson, repairJson, validate, parseStructured } = require('../../services/llm/structuredOutput');
+const LLMManager = require('../../services/llm/LLMManager');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['rootCause', 'severity', 'steps'],
+  properties: {
+    rootCause: { type: 'string', minLength: 1 },
+    severity: { type: 'string', enum: ['LOW', 'MEDIUM', 'HIGH'] },
+    steps: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    line: { type: ['integer', 'null'] },
+    location: { anyOf: [{ type: 'string' }, { type: 'object', required: ['file'], properties: { file: { type: 'string' } } }] }
+  }
+};
+
+const VALID = { rootCause: 'Pool exhausted', severity: 'HIGH', steps: ['Raise the pool size'] };
+
+describe('structured output', () => {
+  describe('extractJson', () => {
+    it('strips code fences and prose around the object', () => {
+      assert.equal(extractJson('Here you go:\n```json\n{"a":1}\n```\nHope that helps'), '{"a":1}');
+      assert.equal(extractJson('```\n{"a":{"b":[1]}}\n```'), '{"a":{"b":[1]}}');
+      assert.equal(extractJson('no json here'), 'no json here');
+    });
+  });
+
+  describe('repairJson', () => {
+    it('fixes trailing commas, raw newlines in strings and prose after the object', () => {
+      assert.equal(repairJson('{"a":1,"b":[1,2,],}'), '{"a":1,"b":[1,2]}');
+      assert.deepEqual(JSON.parse(repairJson('{"a":"line1\nline2\ttab"}')), { a: 'line1\nline2\ttab' });
+      assert.equal(repairJson('{"a":1} and {"x":2}'), '{"a":1}');
+    });
+
+    it('closes output cut off mid-string, mid-literal or mid-object', () => {
+      assert.deepEqual(JSON.parse(repairJson('{"a":"ok","b":"trunc')), { a: 'ok', b: 'trunc' });
+      assert.deepEqual(JSON.parse(repairJson('{"a":tru')), { a: true });
+      assert.deepEqual(JSON.parse(repairJson('{"a":{"b":1},"c":[1,2')), { a: { b: 1 }, c: [1, 2] });
+      assert.deepEqual(JSON.parse(repairJson('{"a":"esc\\')), { a: 'esc' });
+      // A member without its value is dropped
+      assert.deepEqual(JSON.parse(repairJson('{"a":1,"b":')), { a: 1 });
+    });
+  });
+
+  describe('validate', () => {
+    it('reports missing, mistyped, empty and out-of-enum values by path', () => {
+      const { errors } = validate({ severity: 'SEVERE', steps: [''], line: 4.5, location: 7 }, SCHEMA);
+      assert.deepEqual(errors, [
+        '$.rootCause: is required',
+        '$.severity: must be one of LOW, MEDIUM, HIGH (got "SEVERE")',
+        '$.steps[0]: must not be empty',
+        '$.line: expected integer or null, got number',
+        '$.location: expected string, got integer'
+      ]);
+      assert.deepEqual(validate({ ...VALID, steps: [] }, SCHEMA).errors, ['$.steps: needs at least 1 item']);
+    });
+
+    it('coerces enum case and numeric strings only when asked', () => {
+      const value = { ...VALID, severity: ' high ', line: '42' };
+      assert.equal(validate({ ...value }, SCHEMA).errors.length, 2);
+
+      const { errors, coerced } = validate(value, SCHEMA, { coerce: true });
+      assert.deepEqual(errors, []);
+      assert.deepEqual(coerced, ['$.severity: " high " -> "HIGH"', '$.line: "42" -> 42']);
+      assert.equal(value.severity, 'HIGH');
+      assert.equal(value.line, 42);
+      // "4.5" is not an integer
+      assert.equal(validate({ ...VALID, line: '4.5' }, SCHEMA, { coerce: true }).errors.length, 1);
+    });
+
+    it('accepts any branch of anyOf', () => {
+      assert.deepEqual(validate({ ...VALID, location: 'orders.js' }, SCHEMA).errors, []);
+      assert.deepEqual(validate({ ...VALID, location: { file: 'orders.js' } }, SCHEMA).errors, []);
+    });
+  });
+
+  describe('parseStructured', () => {
+    it('takes valid and fenced JSON as the model gave it', () => {
+      assert.deepEqual(parseStructured(JSON.stringify(VALID), SCHEMA), { data: VALID, source: 'model', errors: [], repairs: [] });
+      assert.equal(parseStructured(`\`\`\`json\n${JSON.stringify(VALID)}\n\`\`\``, SCHEMA).source, 'model');
+    });
+
+    it('marks malformed JSON it could repair, and coerced values, as repaired', () => {
+      const truncated = parseStructured('```json\n{"rootCause":"Pool exhausted","severity":"HIGH","steps":["Raise the pool size",],"note":"cut of', SCHEMA);
+      assert.equal(truncated.source, 'repaired');
+      assert.deepEqual(truncated.data, { ...VALID, note: 'cut of' });
+      assert.match(truncated.repairs[0], /^Repaired invalid JSON/);
+
+      const coerced = parseStructured(JSON.stringify({ ...VALID, severity: 'medium' }), SCHEMA);
+      assert.equal(coerced.source, 'repaired');
+      assert.equal(coerced.data.severity, 'MEDIUM');
+    });
+
+    it('returns the errors of output that is not JSON or breaks the schema', () => {
+      const prose = parseStructured('I could not find the root cause.', SCHEMA);
+      assert.equal(prose.data, null);
+      assert.equal(prose.source, null);
+      assert.match(prose.errors[0], /^Response is not valid JSON/);
+
+      const invalid = parseStructured(JSON.stringify({ rootCause: '', severity: 'HIGH', steps: ['x'] }), SCHEMA);
+      assert.equal(invalid.source, null);
+      assert.deepEqual(invalid.errors, ['$.rootCause: must not be empty']);
+    });
+  });
+
+  describe('LLMClient.completeJson', () => {
+    const client = (responses, maxReprompts = 1) => {
+      const manager = new LLMManager({ providers: { mock: { type: 'mock', responses: { analyzer: responses } } }, defaultProvider: 'mock', maxReprompts });
+      return { client: manager.forAgent('analyzer'), provider: manager.getProvider('mock') };
+    };
+
+    it('repairs malformed output without re-prompting', async () => {
+      const { client: llm, provider } = client(['```json\n{"rootCause":"Pool exhausted","severity":"high","steps":["Raise the pool size",],}\n```']);
+
+      const response = await llm.completeJson('Analyze', SCHEMA);
+      assert.deepEqual(response.data, VALID);
+      assert.equal(response.source, 'repaired');
+      assert.equal(response.reprompts, 0);
+      assert.equal(response.repairs.length, 2);
+      assert.equal(provider.calls.length, 1);
+    });
+
+    it('re-prompts with the validation errors and takes the corrected answer', async () => {
+      const { client: llm, provider } = client([JSON.stringify({ rootCause: 'Pool exhausted', severity: 'SEVERE' }), JSON.stringify(VALID)]);
+
+      const response = await llm.completeJson('Analyze', SCHEMA);
+      assert.deepEqual(response.data, VALID);
+      assert.equal(response.source, 'model');
+      assert.equal(response.reprompts, 1);
+
+      const reprompt = provider.calls[1].prompt;
+      assert.ok(reprompt.startsWith('Analyze\n'));
+      assert.match(reprompt, /- \$\.severity: must be one of LOW, MEDIUM, HIGH \(got "SEVERE"\)/);
+      assert.match(reprompt, /- \$\.steps: is required/);
+    });
+
+    it('fails with the last validation errors and raw output once the re-prompts run out', async () => {
+      const { client: llm, provider } = client(['not json', JSON.stringify({ severity: 'HIGH' })], 1);
+
+      await assert.rejects(llm.completeJson('Analyze', SCHEMA), (error) => {
+        assert.match(error.message, /^analyzer returned invalid output: \$\.rootCause: is required; \$\.steps: is required$/);
+        assert.deepEqual(error.validationErrors, ['$.rootCause: is required', '$.steps: is required']);
+        assert.equal(error.rawContent, '{"severity":"HIGH"}');
+        return true;
+      });
+      assert.equal(provider.calls.length, 2);
+
+      // Without re-prompts the first invalid answer is final
+      const single = client(['not json'], 0);
+      await assert.rejects(single.client.completeJson('Analyze', SCHEMA), /Response is not valid JSON/);
+      assert.equal(single.provider.calls.length, 1);
+    });
+  });
+});
@@ -0,0 +1,634 @@
+/**
+ * Storage Adapter Contract
+ * Behaviour every storage adapter must share, checked through the
+ * LogDatabase facade. Each adapter has a *.test.js file that runs this suite
+ * with a factory for fresh, connected adapters
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { LogDatabase } = require('../../database/LogDatabase');
+const Fingerprinter = require('../../database/Fingerprinter');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * @param {number} hours - How long ago
+ * @returns {string} ISO timestamp
+ */
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * HOUR).toISOString();
+}
+
+/**
+ * Run the contract against an adapter
+ * @param {string} name - Adapter name (test title)
+ * @param {Function} createStore - async () => connected adapter
+ * @param {object} options - Options
+ * @param {boolean|string} options.skip - Skip the suite (reason)
+ */
+function storageContract(name, createStore, { skip = false } = {}) {
+  describe(`${name} storage adapter`, { skip }, () => {
+    let store;
+    let db;
+    let service;
+
+    before(async () => {
+      store = await createStore();
+      // Without the grouping rules of config.fingerprint
+      db = new LogDatabase({ store, fingerprinter: new Fingerprinter() });
+    });
+
+    after(() => {
+      if (store && store.close) store.close();
+    });
+
+    // Stores may be shared between tests (a Supabase project), so each test logs under its own service
+    const nextService = () => {
+      service = `SVC-${crypto.randomUUID().slice(0, 8)}`.toUpperCase();
+      return service;
+    };
+
+    const log = (fields) => ({ service, level: 'INFO', timestamp: new Date().toISOString(), ...fields });
+
+    describe('deduplication', () => {
+      it('stores a log once and counts its duplicates', async () => {
+        nextService();
+
+        assert.equal(await db.insertLog(log({ message: 'User 42 logged in' })), true);
+        // Numbers and hex IDs are normalized, so this is the same log
+        assert.equal(await db.insertLog(log({ message: 'User 7 logged in' })), false);
+        assert.equal(await db.insertLog(log({ message: 'User 9 logged in' })), false);
+        assert.equal(await db.insertLog(log({ message: 'User 9 logged out' })), true);
+
+        const logs = await db.searchLogs({ service });
+        assert.equal(logs.length, 2);
+        assert.equal(logs.find(l => l.message === 'User 42 logged in').duplicate_count, 3);
+      });
+
+      it('treats the same message at another level or service as a new log', async () => {
+        nextService();
+
+        assert.equal(await db.insertLog(log({ message: 'Cache miss' })), true);
+        assert.equal(await db.insertLog(log({ message: 'Cache miss', level: 'WARN' })), true);
+        assert.equal(await db.insertLog(log({ message: 'Cache miss', service: `${service}-2` })), true);
+      });
+
+      it('ignores logs without a service', async () => {
+        assert.equal(await db.insertLog({ message: 'orphan' }), false);
+      });
+    });
+
+    describe('occurrence counting', () => {
+      it('counts repeats of an error and keeps its first sighting', async () => {
+        nextService();
+
+        const first = await db.trackError(log({ level: 'ERROR', message: 'Timeout after 3000ms' }));
+        await db.trackError(log({ level: 'ERROR', message: 'Timeout after 5000ms' }));
+        const third = await db.trackError(log({ level: 'ERROR', message: 'Timeout after 100ms' }));
+        await db.trackError(log({ level: 'ERROR', message: 'Connection reset' }));
+
+        assert.equal(first.occurrence_count, 1);
+        assert.equal(third.occurrence_count, 3);
+        assert.equal(third.first_seen, first.first_seen);
+        assert.ok(third.last_seen >= first.last_seen);
+
+        const errors = await db.getAllErrors({ service });
+        assert.equal(errors.length, 2);
+        assert.equal(errors.find(e => e.message.startsWith('Timeout')).occurrence_count, 3);
+
+        const [mostFrequent] = await db.findSimilarErrors('Timeout', service, 1);
+        assert.equal(mostFrequent.occurrence_count, 3);
+        assert.equal(mostFrequent.hash, mostFrequent.error_hash);
+      });
+
+      it('updates an error status', async () => {
+        nextService();
+
+        const error = await db.trackError(log({ level: 'ERROR', message: 'Disk full' }));
+        await db.updateErrorStatus(error.error_hash, 'resolved');
+
+        assert.equal((await db.getAllErrors({ service, status: 'resolved' })).length, 1);
+        assert.equal((await db.getAllErrors({ service, status: 'new' })).length, 0);
+      });
+    });
+
+    describe('fingerprinting', () => {
+      const stack = (fn) => [
+        `    at ${fn} (/app/src/services/orders.js:42:15)`,
+        '    at Layer.handle (/app/node_modules/express/lib/router/layer.js:95:5)',
+        '    at processTicksAndRejections (node:internal/process/task_queues:95:5)'
+      ].join('\n');
+
+      it('counts errors differing only in IDs, emails, IPs, URLs and quoted values as one', async () => {
+        nextService();
+
+        await db.trackError(log({ level: 'ERROR', message: "Order 0b4e7c2a-1f3d-4e5a-9b8c-7d6e5f4a3b2c for ann@example.com from 10.0.0.7 failed: GET https://pay.example.com/charges/ch_81734?retry=1 returned 'declined'" }));
+        const second = await db.trackError(log({ level: 'ERROR', message: "Order 9f8e7d6c-5b4a-4392-8170-6f5e4d3c2b1a for bob@example.org from 192.168.1.20 failed: GET https://pay.example.com/charges/ch_20051 returned 'expired'" }));
+
+        assert.equal(second.occurrence_count, 2);
+        assert.equal((await db.getAllErrors({ service })).length, 1);
+      });
+
+      it('tells errors with the same message apart by their in-app stack frames', async () => {
+        nextService();
+
+        const placeOrder = await db.trackError(log({ level: 'ERROR', message: 'TypeError: Cannot read properties of undefined', stackTrace: stack('placeOrder') }));
+        // Line numbers and library frames do not count
+        const again = await db.trackError(log({ level: 'ERROR', message: 'TypeError: Cannot read properties of null', stackTrace: stack('placeOrder').replace(':42:15', ':57:3').replace('layer.js', 'route.js') }));
+        const cancelOrder = await db.trackError(log({ level: 'ERROR', message: 'TypeError: Cannot read properties of undefined', stackTrace: stack('cancelOrder') }));
+
+        assert.equal(again.error_hash, placeOrder.error_hash);
+        assert.equal(again.occurrence_count, 2);
+        assert.notEqual(cancelOrder.error_hash, placeOrder.error_hash);
+      });
+
+      it('merges and splits fingerprints by grouping rules', async () => {
+        nextService();
+        const grouped = new LogDatabase({ store, fingerprinter: new Fingerprinter() });
+        grouped.fingerprinter.createRule({ name: 'Pool', action: 'merge', query: `service:${service} pool` });
+        grouped.fingerprinter.createRule({ name: 'Per tenant', action: 'split', query: `service:${service} quota`, splitBy: 'fields.tenant' });
+
+        const exhausted = await grouped.trackError(log({ level: 'ERROR', message: 'Connection pool exhausted' }));
+        const timedOut = await grouped.trackError(log({ level: 'ERROR', message: 'Timed out waiting for pool' }));
+        const acme = await grouped.trackError(log({ level: 'ERROR', message: 'Quota exceeded', fields: { tenant: 'acme' } }));
+        const globex = await grouped.trackError(log({ level: 'ERROR', message: 'Quota exceeded', fields: { tenant: 'globex' } }));
+
+        assert.equal(timedOut.error_hash, exhausted.error_hash);
+        assert.notEqual(globex.error_hash, acme.error_hash);
+        assert.equal(timedOut.occurrence_count, 2);
+        // Rules belong to their fingerprinter
+        assert.notEqual(db.errorFingerprint(log({ message: 'Connection pool exhausted' })), exhausted.error_hash);
+      });
+
+      it('fingerprints the error itself, with its level and fields, when looking for similar ones', async () => {
+        nextService();
+        const grouped = new LogDatabase({ store, fingerprinter: new Fingerprinter() });
+        grouped.fingerprinter.createRule({ name: 'By level', action: 'split', query: `service:${service} replica`, splitBy: 'level' });
+        grouped.fingerprinter.createRule({ name: 'By region', action: 'split', query: `service:${service} quota`, splitBy: 'fields.region' });
+
+        const lagging = log({ level: 'CRITICAL', message: 'Replica lag above 30s' });
+        const quota = log({ level: 'ERROR', message: 'Quota exceeded', fields: { region: 'eu-west-1' } });
+        await grouped.trackError(lagging);
+        await grouped.trackError(quota);
+
+        const [self] = await grouped.findSimilarErrors(lagging.message, service, 1, { log: lagging });
+        assert.equal(self.sameFingerprint, true);
+        const [quotaSelf] = await grouped.findSimilarErrors(quota.message, service, 1, { log: quota });
+        assert.equal(quotaSelf.sameFingerprint, true);
+        // Another region is another error with the same words
+        const [otherRegion] = await grouped.findSimilarErrors(quota.message, service, 1, { log: { ...quota, fields: { region: 'us-east-1' } } });
+        assert.equal(otherRegion.sameFingerprint, false);
+        assert.equal(otherRegion.similarity, 1);
+      });
+
+      it('finds errors with the same fingerprint first, then by shared words', async () => {
+        nextService();
+
+        await db.trackError(log({ level: 'ERROR', message: 'Payment gateway timeout after 30s' }));
+        await db.trackError(log({ level: 'ERROR', message: 'Payment declined by gateway' }));
+        await db.trackError(log({ level: 'ERROR', message: 'Payment declined by gateway' }));
+        await db.trackError(log({ level: 'ERROR', message: 'Disk full' }));
+
+        const similar = await db.findSimilarErrors('Payment gateway timeout after 45s', service);
+        assert.deepEqual(similar.map(e => e.message), ['Payment gateway timeout after 30s', 'Payment declined by gateway']);
+        assert.equal(similar[0].sameFingerprint, true);
+        assert.equal(similar[0].similarity, 1);
+        assert.ok(similar[1].similarity > 0 && similar[1].similarity < 1);
+      });
+    });
+
+    describe('search filters', () => {
+      before(async () => {
+        nextService();
+        await db.insertLog(log({ message: 'Payment accepted for order', timestamp: hoursAgo(3) }));
+        await db.insertLog(log({ level: 'ERROR', message: 'Payment declined by gateway', timestamp: hoursAgo(2), traceId: 'trace-a', fields: { err: { code: 'CARD_DECLINED' }, status: 402 } }));
+        await db.insertLog(log({ level: 'WARN', message: 'Gateway slow to respond', timestamp: hoursAgo(1), fields: { status: 200 } }));
+      });
+
+      it('matches message words case-insensitively', async () => {
+        const logs = await db.searchLogs({ service, query: 'PAYMENT' });
+        assert.deepEqual(logs.map(l => l.message), ['Payment accepted for order', 'Payment declined by gateway']);
+
+        assert.equal((await db.searchLogs({ service, query: 'gateway' })).length, 2);
+        assert.equal((await db.searchLogs({ service, query: 'refund' })).length, 0);
+      });
+
+      it('filters by service, level and trace ID', async () => {
+        assert.equal((await db.searchLogs({ service })).length, 3);
+        assert.equal((await db.searchLogs({ service: `${service}-NONE` })).length, 0);
+
+        const errors = await db.searchLogs({ service, level: 'ERROR' });
+        assert.deepEqual(errors.map(l => l.message), ['Payment declined by gateway']);
+
+        const traced = await db.searchLogs({ service, traceId: 'trace-a' });
+        assert.equal(traced.length, 1);
+        assert.equal(traced[0].trace_id, 'trace-a');
+      });
+
+      it('filters by structured fields, including nested ones', async () => {
+        const declined = await db.searchLogs({ service, fields: { 'err.code': 'CARD_DECLINED' } });
+        assert.deepEqual(declined.map(l => l.message), ['Payment declined by gateway']);
+        assert.deepEqual(declined[0].fields, { err: { code: 'CARD_DECLINED' }, status: 402 });
+
+        // Values compare as text
+        assert.equal((await db.searchLogs({ service, fields: { status: 200 } })).length, 1);
+        assert.equal((await db.searchLogs({ service, fields: { status: '200' } })).length, 1);
+        assert.equal((await db.searchLogs({ service, fields: { missing: 'x' } })).length, 0);
+      });
+
+      it('filters by time range', async () => {
+        const logs = await db.searchLogs({ service, startDate: hoursAgo(2.5), endDate: hoursAgo(0.5) });
+        assert.deepEqual(logs.map(l => l.message), ['Payment declined by gateway', 'Gateway slow to respond']);
+      });
+    });
+
+    describe('query language', () => {
+      const messages = (logs) => logs.map(l => l.message);
+      let other;
+
+      before(async () => {
+        nextService();
+        other = `${service}-B`;
+        await db.insertLog(log({ level: 'DEBUG', message: 'GET /healthcheck 200', timestamp: hoursAgo(3), fields: { path: '/healthcheck', status: 200 } }));
+        await db.insertLog(log({ message: 'Connection pool exhausted, waiting', timestamp: hoursAgo(2), fields: { pool: { size: 10 } } }));
+        await db.insertLog(log({ level: 'WARN', message: 'Connection pool exhausted after 30s', timestamp: hoursAgo(1), traceId: 'trace-q', fields: { path: '/api/orders', status: 503 } }));
+        await db.insertLog(log({ level: 'ERROR', message: 'Request timed out (50% of budget)', timestamp: hoursAgo(0.5), fields: { path: '/api/users', status: '504' } }));
+        await db.insertLog(log({ service: other, level: 'ERROR', message: 'Connection pool exhausted on replica', timestamp: hoursAgo(0.25) }));
+      });
+
+      it('combines services, level comparisons, phrases and negated words', async () => {
+        const logs = await db.searchLogs({ q: `service:${service.toLowerCase()} level:>=WARN "pool exhausted" -healthcheck` });
+        assert.deepEqual(messages(logs), ['Connection pool exhausted after 30s']);
+
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'level:<INFO' })), ['GET /healthcheck 200']);
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'level:warning' })), ['Connection pool exhausted after 30s']);
+        assert.equal((await db.searchLogs({ q: `"pool exhausted" -service:${service} service:${other}` })).length, 1);
+      });
+
+      it('matches words in any column, and % and _ literally', async () => {
+        assert.equal((await db.searchLogs({ service, q: 'POOL' })).length, 2);
+        assert.deepEqual(messages(await db.searchLogs({ service, q: '50%' })), ['Request timed out (50% of budget)']);
+        assert.equal((await db.searchLogs({ service, q: '0_' })).length, 0);
+        // Words are also looked for in structured field values and trace IDs
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'orders' })), ['Connection pool exhausted after 30s']);
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'trace-q' })), ['Connection pool exhausted after 30s']);
+      });
+
+      it('matches structured fields exactly, numerically and by regex', async () => {
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'path:/api/orders' })), ['Connection pool exhausted after 30s']);
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'pool.size:10' })), ['Connection pool exhausted, waiting']);
+        // "504" is a numeric string, and compares as a number
+        assert.deepEqual(
+          messages(await db.searchLogs({ service, q: 'status:>=500' })),
+          ['Connection pool exhausted after 30s', 'Request timed out (50% of budget)']
+        );
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'status:<300' })), ['GET /healthcheck 200']);
+        assert.deepEqual(
+          messages(await db.searchLogs({ service, q: 'path:/^\\/api\\/(orders|users)$/' })),
+          ['Connection pool exhausted after 30s', 'Request timed out (50% of budget)']
+        );
+        // Negated field terms match logs without the field
+        assert.deepEqual(
+          messages(await db.searchLogs({ service, q: '-path:/api/' })),
+          ['GET /healthcheck 200', 'Connection pool exhausted, waiting']
+        );
+        assert.equal((await db.searchLogs({ service, q: '-path:"/api/orders"' })).length, 3);
+      });
+
+      it('matches message regexes and traces', async () => {
+        assert.deepEqual(messages(await db.searchLogs({ service, q: '/after \\d+s$/' })), ['Connection pool exhausted after 30s']);
+        assert.equal((await db.searchLogs({ service, q: '/CONNECTION/' })).length, 0);
+        assert.equal((await db.searchLogs({ service, q: '/CONNECTION/i' })).length, 2);
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'trace:trace-q' })), ['Connection pool exhausted after 30s']);
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'message:waiting' })), ['Connection pool exhausted, waiting']);
+      });
+
+      it('limits by time ranges', async () => {
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'last:45m' })), ['Request timed out (50% of budget)']);
+        assert.deepEqual(
+          messages(await db.searchLogs({ service, q: `since:${hoursAgo(2.5)} until:40m` })),
+          ['Connection pool exhausted, waiting', 'Connection pool exhausted after 30s']
+        );
+        // The narrower of q and the startDate/endDate options applies
+        assert.equal((await db.searchLogs({ service, q: 'last:4h', startDate: hoursAgo(1.5) })).length, 2);
+      });
+
+      it('rejects malformed queries with a 400', async () => {
+        for (const q of ['level:LOUD', '"unterminated', '/bad(/', '/(a+)+$/', 'status:>=high', 'last:soon', 'service:>3']) {
+          await assert.rejects(db.searchLogs({ q }), (error) => error.status === 400 && error.position !== undefined, q);
+        }
+      });
+
+      it('compares logfmt string values numerically', async () => {
+        nextService();
+        // The logfmt parser keeps every value as a string
+        await db.insertLog(log({ message: 'request done', timestamp: hoursAgo(3), fields: { status: '502', duration_ms: '87.5' } }));
+        await db.insertLog(log({ message: 'request ok', timestamp: hoursAgo(2), fields: { status: '200', duration_ms: '1200' } }));
+        await db.insertLog(log({ message: 'request odd', timestamp: hoursAgo(1), fields: { status: 'n/a', duration_ms: '' } }));
+
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'status:>=500' })), ['request done']);
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'duration_ms:>100' })), ['request ok']);
+        // Compared as numbers, not text ("87.5" > "1200" as strings)
+        assert.deepEqual(messages(await db.searchLogs({ service, q: 'duration_ms:<100' })), ['request done']);
+        assert.deepEqual(
+          messages(await db.searchLogs({ service, q: '-status:>=500' })),
+          ['request ok', 'request odd']
+        );
+      });
+    });
+
+    describe('pagination', () => {
+      it('pages back from the newest log, each page oldest first', async () => {
+        nextService();
+        for (let i = 1; i <= 5; i++) {
+          await db.insertLog(log({ message: `Step ${'abcde'[i - 1]} done`, timestamp: hoursAgo(6 - i) }));
+        }
+
+        const first = await db.searchLogs({ service, limit: 2 });
+        const second = await db.searchLogs({ service, limit: 2, offset: 2 });
+        const last = await db.searchLogs({ service, limit: 2, offset: 4 });
+
+        assert.deepEqual(first.map(l => l.message), ['Step d done', 'Step e done']);
+        assert.deepEqual(second.map(l => l.message), ['Step b done', 'Step c done']);
+        assert.deepEqual(last.map(l => l.message), ['Step a done']);
+        assert.equal((await db.searchLogs({ service, limit: 2, offset: 6 })).length, 0);
+      });
+
+      it('walks cursor pages without repeating or skipping logs that share a timestamp', async () => {
+        nextService();
+        const tied = hoursAgo(2);
+        await db.insertLog(log({ message: 'Step a done', timestamp: hoursAgo(3) }));
+        await db.insertLog(log({ message: 'Step b done', timestamp: tied }));
+        await db.insertLog(log({ message: 'Step c done', timestamp: tied }));
+        await db.insertLog(log({ message: 'Step d done', timestamp: tied }));
+        await db.insertLog(log({ message: 'Step e done', timestamp: hoursAgo(1) }));
+
+        const first = await db.searchLogPage({ service, limit: 2 });
+        assert.equal(first.total, 5);
+        assert.equal(typeof first.totalExact, 'boolean');
+        assert.deepEqual(first.logs.map(l => l.message), ['Step d done', 'Step e done']);
+
+        // A newer log arriving between pages doesn't shift the next one
+        await db.insertLog(log({ message: 'Step f done' }));
+
+        const seen = [...first.logs];
+        let cursor = first.nextCursor;
+        while (cursor) {
+          const page = await db.searchLogPage({ service, limit: 2, cursor });
+          assert.equal(page.total, null);
+          seen.unshift(...page.logs);
+          cursor = page.nextCursor;
+        }
+        assert.deepEqual(seen.map(l => l.message), ['Step a done', 'Step b done', 'Step c done', 'Step d done', 'Step e done']);
+      });
+
+      it('starts before a time and counts the filtered logs', async () => {
+        nextService();
+        await db.insertLog(log({ message: 'Step a done', timestamp: hoursAgo(3) }));
+        await db.insertLog(log({ level: 'ERROR', message: 'Step b failed', timestamp: hoursAgo(2) }));
+        const oldestKept = hoursAgo(1);
+        await db.insertLog(log({ level: 'WARN', message: 'Step c slow', timestamp: oldestKept }));
+
+        // Strictly before: a client already has the logs at that time
+        const page = await db.searchLogPage({ service, before: oldestKept, limit: 10 });
+        assert.deepEqual(page.logs.map(l => l.message), ['Step a done', 'Step b failed']);
+        assert.equal(page.nextCursor, null);
+
+        const levels = await db.searchLogPage({ service: [service, `${service}-B`], level: ['WARN', 'ERROR'], q: '-failed' });
+        assert.deepEqual(levels.logs.map(l => l.message), ['Step c slow']);
+        assert.equal(levels.total, 1);
+      });
+
+      it('rejects malformed cursors with a 400', async () => {
+        await assert.rejects(db.searchLogPage({ cursor: 'not-a-cursor' }), { status: 400 });
+        await assert.rejects(db.searchLogPage({ before: 'yesterday-ish' }), { status: 400 });
+      });
+    });
+
+    describe('trends', () => {
+      it('counts error occurrences per clock hour and per service from the rollups', async () => {
+        nextService();
+        const other = `${service}-B`;
+        const thisHour = Math.floor(Date.now() / HOUR) * HOUR;
+        const at = (hours) => new Date(thisHour - hours * HOUR).toISOString();
+
+        db.countRollup('errors', service, 'timeout', at(0));
+        db.countRollup('errors', service, 'timeout', at(0));
+        db.countRollup('errors', other, 'refused', at(0));
+        db.countRollup('errors', service, 'timeout', at(1));
+        db.countRollup('errors', service, 'too old', at(5));
+
+        const { byHour, byDay, byService } = await db.getErrorTrends(3);
+
+        assert.deepEqual(byHour.map(h => h.hour), [at(2), at(1), at(0)]);
+        // Other tests' errors may land in the current hour, but not in the earlier ones
+        assert.ok(byHour[2].count >= 3);
+        assert.equal(byHour[1].count, 1);
+        assert.equal(byHour[0].count, 0);
+        assert.equal(byDay, undefined);
+
+        assert.equal(byService[service].count, 3);
+        assert.equal(byService[other].count, 1);
+      });
+
+      it('counts every tracked occurrence, and keeps counting by day after the raw errors expire', async () => {
+        nextService();
+        const tracked = new LogDatabase({ store, retention: { errorsDays: 30 } });
+        const oldError = { error_hash: crypto.randomUUID(), service, message: 'Disk full', stack_trace: null, occurrence_count: 1, status: 'new' };
+
+        await tracked.trackError(log({ level: 'ERROR', message: 'Disk full' }));
+        await tracked.trackError(log({ level: 'ERROR', message: 'Disk full' }));
+        tracked.countRollup('errors', service, oldError.error_hash, hoursAgo(40 * 24));
+        await store.recordError({ ...oldError, first_seen: hoursAgo(40 * 24), last_seen: hoursAgo(40 * 24) });
+
+        await tracked.cleanup();
+
+        assert.deepEqual((await tracked.getAllErrors({ service })).map(e => e.occurrence_count), [2]);
+        assert.equal((await tracked.getErrorTrends(24)).byService[service].count, 2);
+
+        const { byDay, byService } = await tracked.getErrorTrends(45 * 24);
+        assert.equal(byService[service].count, 3);
+        assert.equal(byDay.filter(d => d.count > 0 && d.day < hoursAgo(30 * 24)).length, 1);
+      });
+    });
+
+    describe('rollups', () => {
+      it('counts logs by level, duplicates included', async () => {
+        nextService();
+
+        await db.insertLog(log({ message: 'Request served' }));
+        await db.insertLog(log({ message: 'Request served' }));
+        await db.insertLog(log({ message: 'Slow request', level: 'WARN' }));
+        await db.flushRollups();
+        // A second flush adds to the same buckets
+        await db.insertLog(log({ message: 'Request served' }));
+        await db.flushRollups();
+
+        for (const resolution of ['hour', 'day']) {
+          const rollups = await store.getRollups({ kind: 'logs', resolution, service });
+          assert.deepEqual(
+            Object.fromEntries(rollups.map(r => [r.key, r.count])),
+            { INFO: 3, WARN: 1 }
+          );
+        }
+      });
+
+      it('serves metric history from the rollups once the raw metrics have expired', async () => {
+        nextService();
+        const retention = new LogDatabase({ store, retention: { metricsDays: 1 } });
+        const hourStart = Math.floor(Date.now() / HOUR) * HOUR - 72 * HOUR;
+
+        for (const [minutes, cpu] of [[0, 20], [30, 60]]) {
+          const timestamp = new Date(hourStart + minutes * 60 * 1000).toISOString();
+          retention.countRollup('metrics', service, 'cpu_percent', timestamp, cpu);
+          await store.insertMetrics({ timestamp, service, cpu_percent: cpu });
+        }
+        await retention.storeMetrics({ service, cpu: 35, memory: 50 });
+
+        await retention.cleanup();
+
+        const history = await retention.getMetricsHistory(service, 96);
+        assert.equal(history.length, 2);
+        assert.deepEqual(
+          { timestamp: history[0].timestamp, rollup: history[0].rollup, cpu: history[0].cpu_percent, max: history[0].cpu_percent_max },
+          { timestamp: new Date(hourStart).toISOString(), rollup: 'hour', cpu: 40, max: 60 }
+        );
+        assert.equal(history[1].cpu_percent, 35);
+        // Windows within the raw retention only read raw rows
+        assert.deepEqual((await retention.getMetricsHistory(service, 12)).map(m => m.cpu_percent), [35]);
+      });
+
+      it('keeps pending counts when the store fails', async () => {
+        nextService();
+        const failing = new LogDatabase({ store });
+        failing.countRollup('logs', service, 'INFO');
+
+        const addRollups = store.addRollups;
+        store.addRollups = async () => { throw new Error('unavailable'); };
+        try {
+          await assert.rejects(failing.flushRollups(), /unavailable/);
+        } finally {
+          store.addRollups = addRollups;
+        }
+
+        assert.equal(await failing.flushRollups(), 2);
+        assert.equal((await store.getRollups({ kind: 'logs', resolution: 'hour', service }))[0].count, 1);
+      });
+    });
+
+    describe('retention', () => {
+      it('deletes rows older than each tier', async () => {
+        nextService();
+        const traceId = crypto.randomUUID().replace(/-/g, '');
+        const prediction = (id, status) => store.insertPrediction({
+          id, prediction_type: 'memory_pressure', service, predicted_issue: 'OOM', confidence: 0.5,
+          time_horizon: '1 hour', based_on_data: '{}', created_at: hoursAgo(48), expires_at: hoursAgo(47), status
+        });
+        const error = (message, lastSeen) => store.recordError({
+          error_hash: crypto.randomUUID(), first_seen: lastSeen, last_seen: lastSeen,
+          service, message, stack_trace: null, occurrence_count: 1, status: 'new'
+        });
+
+        await db.insertLog(log({ message: 'old log', timestamp: hoursAgo(48) }));
+        await db.insertLog(log({ message: 'new log', timestamp: hoursAgo(1) }));
+        await store.insertMetrics({ timestamp: hoursAgo(96), service, cpu_percent: 10, memory_percent: 10 });
+        await store.insertMetrics({ timestamp: hoursAgo(48), service, cpu_percent: 15, memory_percent: 15 });
+        await db.storeMetrics({ service, cpu: 20, memory: 20 });
+        await db.storeLogVolume({ service, bucketStart: hoursAgo(48), bucketMs: 60000, logs: 5, errors: 1 });
+        await db.storeLogVolume({ service, bucketStart: hoursAgo(1), bucketMs: 60000, logs: 7, errors: 0 });
+        await db.storeAnomaly({ id: crypto.randomUUID(), service, metric: 'cpu', value: 99, timestamp: hoursAgo(96) });
+        await db.storeAnomaly({ id: crypto.randomUUID(), service, metric: 'cpu', value: 98, timestamp: hoursAgo(1) });
+        await db.storeSpans([
+          { traceId, spanId: 'a1', service, name: 'old', startTime: hoursAgo(48) },
+          { traceId, spanId: 'b2', parentSpanId: 'a1', service, name: 'new', startTime: hoursAgo(1) }
+        ]);
+        await error('old error', hoursAgo(96));
+        await error('recent error', hoursAgo(48));
+        await prediction(crypto.randomUUID(), 'expired');
+        const active = crypto.randomUUID();
+        await prediction(active, 'active');
+
+        const retention = new LogDatabase({
+          store,
+          retention: { logsDays: 1, metricsDays: 3, errorsDays: 3, predictionsDays: 1 }
+        });
+        const { removed } = await retention.cleanup();
+
+        assert.ok(removed.logs >= 1 && removed.metrics >= 1 && removed.errors >= 1 && removed.predictions >= 1);
+        assert.deepEqual((await db.searchLogs({ service })).map(l => l.message), ['new log']);
+        assert.deepEqual((await db.getLogVolumeBetween(service, hoursAgo(72), hoursAgo(0))).map(v => v.log_count), [7]);
+        assert.deepEqual((await db.getTrace(traceId)).map(s => s.name), ['new']);
+        assert.deepEqual((await db.getMetricsHistory(service, 72)).map(m => m.cpu_percent), [15, 20]);
+        assert.deepEqual((await db.getAnomalies({ service, hours: 120 })).map(a => a.value), [98]);
+        assert.deepEqual((await db.getAllErrors({ service })).map(e => e.message), ['recent error']);
+        // Active predictions are kept however old
+        assert.deepEqual((await db.getPredictions({ service })).map(p => p.id), [active]);
+      });
+
+      it('drops hourly rollups before daily ones', async () => {
+        nextService();
+        db.countRollup('logs', service, 'INFO', hoursAgo(10 * 24));
+        await db.flushRollups();
+
+        await new LogDatabase({ store, retention: { hourlyRollupDays: 7 } }).cleanup();
+
+        assert.equal((await store.getRollups({ kind: 'logs', resolution: 'hour', service })).length, 0);
+        assert.equal((await store.getRollups({ kind: 'logs', resolution: 'day', service })).length, 1);
+      });
+    });
+
+    describe('predictions', () => {
+      it('stores, updates and lists predictions newest first', async () => {
+        nextService();
+
+        const older = await db.storePrediction({ type: 'memory_pressure', service, issue: 'OOM', confidence: 0.6, timeHorizon: '1 hour' });
+        const newer = await db.storePrediction({ type: 'memory_pressure', service, issue: 'OOM soon', confidence: 0.8, timeHorizon: '1 hour' });
+
+        // Only the most recent active prediction per type and service counts
+        assert.deepEqual((await db.getActivePredictions(service)).map(p => p.id), [newer.id]);
+
+        const updated = await db.updatePrediction(older.id, { status: 'expired' });
+        assert.equal(updated.status, 'expired');
+        assert.equal((await db.requirePrediction(older.id)).status, 'expired');
+        assert.deepEqual((await db.getPredictions({ service })).map(p => p.id), [newer.id, older.id]);
+        assert.deepEqual((await db.getPredictions({ service, status: 'expired' })).map(p => p.id), [older.id]);
+
+        assert.equal(await db.updatePrediction(crypto.randomUUID(), { status: 'expired' }), null);
+        await assert.rejects(db.requirePrediction(crypto.randomUUID()), { status: 404 });
+      });
+    });
+
+    describe('incidents', () => {
+      it('finds, pages and deletes incidents', async () => {
+        nextService();
+        const errorHash = crypto.randomUUID();
+
+        const open = await db.createIncident({ title: 'Checkout failing', service, errorHashes: [errorHash], lastSeen: hoursAgo(1) });
+        const resolved = await db.createIncident({ title: 'Old outage', service, status: 'resolved', lastSeen: hoursAgo(2) });
+
+        assert.equal((await db.findIncidentByErrorHash(errorHash)).id, open.id);
+
+        await db.addErrorToIncident(open.id, { errorHash: 'other', service: `${service}-B` });
+        const stored = await db.getIncident(open.id);
+        assert.deepEqual(stored.error_hashes, [errorHash, 'other']);
+        assert.deepEqual(stored.services, [service, `${service}-B`]);
+
+        const page = await db.listIncidents({ service, limit: 1 });
+        assert.equal(page.total, 2);
+        assert.deepEqual(page.incidents.map(i => i.id), [open.id]);
+        assert.deepEqual((await db.listIncidents({ service, status: 'resolved' })).incidents.map(i => i.id), [resolved.id]);
+
+        await db.transitionIncident(open.id, 'resolved');
+        assert.equal(await db.findIncidentByErrorHash(errorHash), null);
+
+        await db.deleteIncident(open.id);
+        assert.equal(await db.getIncident(open.id), null);
+        await assert.rejects(db.requireIncident(open.id), { status: 404 });
+      });
+    });
+  });
+}
+
+module.exports = { storageContract, hoursAgo };
@@ -0,0 +1,4 @@
+const { storageContract } = require('./contract');
+const { MemoryAdapter } = require('../../database/adapters');
+
+storageContract('memory', async () => new MemoryAdapter());
@@ -0,0 +1,8 @@
+const { storageContract } = require('./contract');
+const { createAdapter } = require('../../database/adapters');
+
+storageContract('sqlite', async () => {
+  const adapter = createAdapter('sqlite', { sqlitePath: ':memory:' });
+  await adapter.connect();
+  return adapter;
+});
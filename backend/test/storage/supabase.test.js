@@ -0,0 +1,11 @@
+const { storageContract } = require('./contract');
+const { createAdapter } = require('../../database/adapters');
+
+// Writes to and deletes from the project in SUPABASE_URL, so it only runs against a throwaway one
+storageContract('supabase', async () => {
+  const adapter = createAdapter('supabase');
+  if (!(await adapter.connect())) {
+    throw new Error('Could not connect to SUPABASE_URL');
+  }
+  return adapter;
+}, { skip: process.env.SUPABASE_CONTRACT_TESTS === '1' ? false : 'set SUPABASE_CONTRACT_TESTS=1 to run against a throwaway Supabase project' });
@@ -3,11 +3,55 @@
  * Provides functions for interacting with Docker containers
  */
 
+const fs = require('fs');
+const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const Docker = require('dockerode');
 
 const execAsync = promisify(exec);
 
+/**
+ * Create a Dockerode client from the docker section of services.config.js
+ * @param {object} config - Docker connection settings
+ * @param {string} config.socketPath - Unix socket path
+ * @param {string} config.windowsSocketPath - Named pipe on Windows
+ * @param {string} config.host - Remote host (DOCKER_HOST, e.g. tcp://10.0.0.5:2376)
+ * @param {number} config.port - Remote port when host has none
+ * @param {boolean} config.useTLS - Use TLS for remote connections
+ * @param {string} config.certPath - Directory holding ca.pem, cert.pem and key.pem
+ * @returns {Docker} Dockerode instance
+ */
+function createDockerClient(config = {}) {
+  if (config.host) {
+    // Accept both "tcp://host:port" and a bare hostname
+    if (config.host.startsWith('unix://')) {
+      return new Docker({ socketPath: config.host.replace('unix://', '') });
+    }
+
+    const url = new URL(config.host.includes('://') ? config.host : `tcp://${config.host}`);
+    const options = {
+      host: url.hostname,
+      port: parseInt(url.port) || config.port || 2375,
+      protocol: config.useTLS ? 'https' : 'http'
+    };
+
+    if (config.useTLS && config.certPath) {
+      options.ca = fs.readFileSync(path.join(config.certPath, 'ca.pem'));
+      options.cert = fs.readFileSync(path.join(config.certPath, 'cert.pem'));
+      options.key = fs.readFileSync(path.join(config.certPath, 'key.pem'));
+    }
+
+    return new Docker(options);
+  }
+
+  const socketPath = process.platform === 'win32'
+    ? (config.windowsSocketPath || '//./pipe/docker_engine')
+    : (config.socketPath || '/var/run/docker.sock');
+
+  return new Docker({ socketPath });
+}
+
 /**
  * Get list of running container names
  * @returns {Promise<string[]>} Array of container names
@@ -137,6 +181,7 @@ async function filterContainers(pattern) {
 }
 
 module.exports = {
+  createDockerClient,
   getContainerNames,
   getContainerLogs,
   getContainerStats,
@@ -8,6 +8,7 @@ import Dashboard from './pages/Dashboard';
 import LogsView from './pages/LogsView';
 import InsightsPage from './pages/InsightsPage';
 import ServiceHealthPage from './pages/ServiceHealthPage';
+import TopologyPage from './pages/TopologyPage';
 import IncidentsPage from './pages/IncidentsPage';
 import ExportPage from './pages/ExportPage';
 import SettingsPage from './pages/SettingsPage';
@@ -50,11 +51,17 @@ function App() {
     generatedFix,
     isAnalyzing,
     isGeneratingFix,
+    analysisJob,
     notification,
+    incidentUpdate,
+    latestAlert,
+    latestAnomaly,
     triggerAnalysis,
     generateFix,
+    cancelAnalysis,
     clearNotification,
-    clearAnalysis
+    clearAnalysis,
+    subscribeLogs
   } = useSocket();
 
   const [metricsHistory, setMetricsHistory] = useState({});
@@ -116,9 +123,14 @@ function App() {
     generatedFix,
     isAnalyzing,
     isGeneratingFix,
+    analysisJob,
+    incidentUpdate,
+    latestAnomaly,
     triggerAnalysis,
     generateFix,
-    clearAnalysis
+    cancelAnalysis,
+    clearAnalysis,
+    subscribeLogs
   };
 
   return (
@@ -129,9 +141,10 @@ function App() {
           <Route path="/logs" element={<LogsView {...sharedProps} />} />
           <Route path="/insights" element={<InsightsPage {...sharedProps} />} />
           <Route path="/services" element={<ServiceHealthPage {...sharedProps} />} />
+          <Route path="/topology" element={<TopologyPage {...sharedProps} />} />
           <Route path="/incidents" element={<IncidentsPage {...sharedProps} />} />
           <Route path="/export" element={<ExportPage {...sharedProps} />} />
-          <Route path="/settings" element={<SettingsPage />} />
+          <Route path="/settings" element={<SettingsPage latestAlert={latestAlert} />} />
         </Routes>
       </AppShell>
     </BrowserRouter>
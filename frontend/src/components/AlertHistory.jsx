@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { History, RefreshCw, CheckCircle, XCircle, ChevronDown, ChevronRight } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+const SEVERITY_BADGES = {
+  critical: 'badge-error',
+  warning: 'badge-warning',
+  info: 'badge-info'
+};
+
+export default function AlertHistory({ refreshKey, latestAlert }) {
+  const [alerts, setAlerts] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [refreshKey, latestAlert?.id]);
+
+  const fetchHistory = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${API_URL}/api/alerts/history?limit=100`);
+      const data = await response.json();
+      setAlerts(data.alerts || []);
+    } catch (error) {
+      console.error('Failed to fetch alert history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <History className="w-5 h-5 text-cyan-500" />
+          Alert History
+        </h2>
+        <button onClick={fetchHistory} className="text-slate-400 hover:text-white" title="Refresh">
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {alerts.length === 0 ? (
+        <p className="text-sm text-slate-500 text-center py-4">No alerts have fired yet</p>
+      ) : (
+        <div className="space-y-2 max-h-96 overflow-y-auto">
+          {alerts.map(alert => {
+            const expanded = expandedId === alert.id;
+            const failed = alert.notifications.filter(n => !n.ok).length;
+
+            return (
+              <div key={alert.id} className="p-3 bg-white/5 rounded-lg">
+                <button
+                  onClick={() => setExpandedId(expanded ? null : alert.id)}
+                  className="w-full flex items-start gap-2 text-left"
+                >
+                  {expanded
+                    ? <ChevronDown className="w-4 h-4 text-slate-400 mt-0.5" />
+                    : <ChevronRight className="w-4 h-4 text-slate-400 mt-0.5" />}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className={`badge ${SEVERITY_BADGES[alert.severity] || 'badge-info'}`}>{alert.severity}</span>
+                      <p className="text-sm text-white truncate">{alert.title}</p>
+                      {alert.test && <span className="badge badge-info">test</span>}
+                    </div>
+                    <p className="text-xs text-slate-500 mt-1">
+                      {alert.ruleName} · {new Date(alert.firedAt).toLocaleString()}
+                      {alert.duplicates > 0 && ` · suppressed ${alert.duplicates} more`}
+                      {alert.notifications.length > 0 && (failed > 0
+                        ? ` · ${failed} of ${alert.notifications.length} deliveries failed`
+                        : ` · delivered to ${alert.notifications.length}`)}
+                    </p>
+                  </div>
+                </button>
+
+                {expanded && (
+                  <div className="mt-3 pl-6 space-y-2 text-xs">
+                    <p className="text-slate-300 whitespace-pre-wrap">{alert.message}</p>
+                    {alert.duplicates > 0 && (
+                      <p className="text-slate-500">
+                        Last suppressed at {new Date(alert.lastDuplicateAt).toLocaleString()} (within the rule's cooldown)
+                      </p>
+                    )}
+                    {alert.notifications.length === 0 ? (
+                      <p className="text-slate-500">No channels configured; shown on the dashboard only</p>
+                    ) : (
+                      alert.notifications.map((notification, index) => (
+                        <div key={index} className="flex items-center gap-2">
+                          {notification.ok
+                            ? <CheckCircle className="w-3 h-3 text-cyber-green" />
+                            : <XCircle className="w-3 h-3 text-cyber-red" />}
+                          <span className="text-slate-300">{notification.type}</span>
+                          <span className="text-slate-500 font-mono truncate">{notification.target}</span>
+                          {notification.error && <span className="text-cyber-red truncate">{notification.error}</span>}
+                        </div>
+                      ))
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
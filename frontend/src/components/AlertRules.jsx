@@ -0,0 +1,519 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, Check, AlertCircle, RefreshCw, Plus, Trash2, Send, Edit2, X } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+const TYPE_LABELS = {
+  'error-rate': { name: 'Error rate', description: 'Errors from a service within the window reach the threshold' },
+  fingerprint: { name: 'Recurring error', description: 'A specific error fingerprint shows up again' },
+  resource: { name: 'Resource critical', description: 'CPU or memory of a service goes critical' },
+  prediction: { name: 'Prediction', description: 'A new prediction reaches the confidence level' }
+};
+
+const CHANNEL_LABELS = {
+  webhook: { name: 'Webhook', placeholder: 'https://example.com/hooks/loglens' },
+  slack: { name: 'Slack', placeholder: 'https://hooks.slack.com/services/…' },
+  email: { name: 'Email', placeholder: 'oncall@example.com, dev@example.com' }
+};
+
+const SEVERITY_BADGES = {
+  critical: 'badge-error',
+  warning: 'badge-warning',
+  info: 'badge-info'
+};
+
+const MINUTE = 60 * 1000;
+
+const emptyRule = (type = 'error-rate') => ({
+  name: '',
+  type,
+  severity: 'warning',
+  service: '*',
+  threshold: '',
+  windowMinutes: '',
+  cooldownMinutes: '',
+  fingerprint: '',
+  metric: 'any',
+  minConfidence: '',
+  channels: []
+});
+
+// Form state (minutes, strings) from a stored rule
+const toForm = (rule) => ({
+  ...emptyRule(rule.type),
+  ...rule,
+  threshold: rule.threshold ?? '',
+  windowMinutes: rule.windowMs / MINUTE,
+  cooldownMinutes: rule.cooldownMs / MINUTE,
+  fingerprint: rule.fingerprint || '',
+  minConfidence: rule.minConfidence !== undefined ? Math.round(rule.minConfidence * 100) : '',
+  channels: rule.channels.map(channel => ({ ...channel }))
+});
+
+const formatMinutes = (ms) => {
+  if (!ms) return 'immediately';
+  const minutes = ms / MINUTE;
+  return minutes >= 60 && minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+};
+
+const describeRule = (rule) => {
+  const service = rule.service === '*' ? 'any service' : rule.service;
+  switch (rule.type) {
+    case 'error-rate':
+      return `≥ ${rule.threshold} errors from ${service} in ${formatMinutes(rule.windowMs)}`;
+    case 'fingerprint':
+      return `"${rule.fingerprintLabel || rule.fingerprint}" seen ${rule.threshold}× in ${formatMinutes(rule.windowMs)}`;
+    case 'resource':
+      return `${rule.metric === 'any' ? 'CPU or memory' : rule.metric.toUpperCase()} critical on ${service}${rule.windowMs ? ` for ${formatMinutes(rule.windowMs)}` : ''}`;
+    case 'prediction':
+      return `Predictions for ${service} at ≥ ${Math.round(rule.minConfidence * 100)}% confidence`;
+    default:
+      return rule.type;
+  }
+};
+
+export default function AlertRules({ onHistoryChange }) {
+  const [rules, setRules] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [fingerprints, setFingerprints] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/alerts/rules`);
+      const data = await response.json();
+      setRules(data.rules || []);
+      setOptions(data.options || null);
+    } catch (error) {
+      console.error('Failed to fetch alert rules:', error);
+    }
+  };
+
+  const fetchFingerprints = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/export/errors`);
+      const data = await response.json();
+      setFingerprints((data.errors || [])
+        .sort((a, b) => (b.occurrence_count || 0) - (a.occurrence_count || 0))
+        .slice(0, 100));
+    } catch (error) {
+      console.error('Failed to fetch error fingerprints:', error);
+    }
+  };
+
+  const openForm = (rule = null) => {
+    setMessage(null);
+    setEditingId(rule?.id || null);
+    setForm(rule ? toForm(rule) : emptyRule());
+    fetchFingerprints();
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const updateChannel = (index, changes) => {
+    setForm(prev => ({
+      ...prev,
+      channels: prev.channels.map((channel, i) => (i === index ? { ...channel, ...changes } : channel))
+    }));
+  };
+
+  // Request body from the form; blank fields fall back to the server defaults
+  const toRule = () => {
+    const number = (value, scale = 1) => (value === '' || value === null ? undefined : Number(value) * scale);
+    const fingerprint = fingerprints.find(error => error.error_hash === form.fingerprint);
+
+    return {
+      name: form.name,
+      type: form.type,
+      severity: form.severity,
+      service: form.service,
+      windowMs: number(form.windowMinutes, MINUTE),
+      cooldownMs: number(form.cooldownMinutes, MINUTE),
+      threshold: number(form.threshold),
+      fingerprint: form.fingerprint,
+      fingerprintLabel: fingerprint ? `${fingerprint.service}: ${fingerprint.message}` : form.fingerprintLabel,
+      metric: form.metric,
+      minConfidence: number(form.minConfidence, 0.01),
+      channels: form.channels
+    };
+  };
+
+  const request = async (path, method, body) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+  };
+
+  const saveRule = async () => {
+    setBusyId('form');
+    setMessage(null);
+
+    try {
+      const rule = editingId
+        ? await request(`/api/alerts/rules/${editingId}`, 'PUT', toRule())
+        : await request('/api/alerts/rules', 'POST', toRule());
+      setMessage({ type: 'success', text: `Rule "${rule.name}" saved` });
+      closeForm();
+      await fetchRules();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleRule = async (rule) => {
+    setBusyId(rule.id);
+    try {
+      await request(`/api/alerts/rules/${rule.id}`, 'PUT', { enabled: !rule.enabled });
+      await fetchRules();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!confirm(`Delete alert rule "${rule.name}"?`)) return;
+
+    setBusyId(rule.id);
+    try {
+      await request(`/api/alerts/rules/${rule.id}`, 'DELETE');
+      if (editingId === rule.id) closeForm();
+      await fetchRules();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const testRule = async (rule) => {
+    setBusyId(rule.id);
+    setMessage(null);
+
+    try {
+      const alert = await request(`/api/alerts/rules/${rule.id}/test`, 'POST');
+      const failed = alert.notifications.filter(n => !n.ok);
+      setMessage(failed.length === 0
+        ? { type: 'success', text: `Test alert delivered to ${alert.notifications.length} channel${alert.notifications.length === 1 ? '' : 's'}` }
+        : { type: 'error', text: failed.map(n => `${CHANNEL_LABELS[n.type]?.name || n.type}: ${n.error}`).join(' · ') });
+      onHistoryChange?.();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!options) {
+    return (
+      <div className="glass-card p-6 text-center text-slate-400">
+        <Bell className="w-10 h-10 mx-auto mb-2 opacity-50" />
+        <p>Alert rules not available</p>
+      </div>
+    );
+  }
+
+  const defaults = form ? options.ruleTypes[form.type] : null;
+  const counting = form && (form.type === 'error-rate' || form.type === 'fingerprint');
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <Bell className="w-5 h-5 text-cyan-500" />
+          Alert Rules
+        </h2>
+        <div className="flex items-center gap-3">
+          <button onClick={fetchRules} className="text-slate-400 hover:text-white" title="Refresh">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          {!form && (
+            <button onClick={() => openForm()} className="btn-glass text-sm flex items-center gap-1">
+              <Plus className="w-4 h-4" />
+              New Rule
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center gap-2 text-sm ${
+          message.type === 'success' ? 'bg-cyber-green/20 text-cyber-green' : 'bg-cyber-red/20 text-cyber-red'
+        }`}>
+          {message.type === 'success' ? <Check className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      {/* Rule editor */}
+      {form && (
+        <div className="p-4 bg-white/5 rounded-lg mb-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-white">{editingId ? 'Edit Rule' : 'New Rule'}</p>
+            <button onClick={closeForm} className="text-slate-400 hover:text-white" title="Cancel">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              placeholder="Rule name"
+              onChange={(e) => updateForm({ name: e.target.value })}
+              className="input-glass text-sm"
+            />
+            <select
+              value={form.type}
+              disabled={!!editingId}
+              onChange={(e) => updateForm({ type: e.target.value })}
+              className="select-glass text-sm"
+            >
+              {Object.keys(options.ruleTypes).map(type => (
+                <option key={type} value={type}>{TYPE_LABELS[type]?.name || type}</option>
+              ))}
+            </select>
+            <select
+              value={form.severity}
+              onChange={(e) => updateForm({ severity: e.target.value })}
+              className="select-glass text-sm"
+            >
+              {options.severities.map(severity => (
+                <option key={severity} value={severity}>{severity}</option>
+              ))}
+            </select>
+          </div>
+          <p className="text-xs text-slate-500">{TYPE_LABELS[form.type]?.description}</p>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {form.type !== 'fingerprint' && (
+              <label className="text-xs text-slate-400">
+                Service
+                <input
+                  type="text"
+                  value={form.service}
+                  placeholder="* for any"
+                  onChange={(e) => updateForm({ service: e.target.value })}
+                  className="input-glass text-sm w-full mt-1"
+                />
+              </label>
+            )}
+            {counting && (
+              <label className="text-xs text-slate-400">
+                Threshold (errors)
+                <input
+                  type="number"
+                  min="1"
+                  value={form.threshold}
+                  placeholder={String(defaults.threshold)}
+                  onChange={(e) => updateForm({ threshold: e.target.value })}
+                  className="input-glass text-sm w-full mt-1"
+                />
+              </label>
+            )}
+            {form.type === 'resource' && (
+              <label className="text-xs text-slate-400">
+                Metric
+                <select
+                  value={form.metric}
+                  onChange={(e) => updateForm({ metric: e.target.value })}
+                  className="select-glass text-sm w-full mt-1"
+                >
+                  {options.resourceMetrics.map(metric => (
+                    <option key={metric} value={metric}>{metric === 'any' ? 'CPU or memory' : metric.toUpperCase()}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {form.type === 'prediction' && (
+              <label className="text-xs text-slate-400">
+                Min. confidence (%)
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={form.minConfidence}
+                  placeholder={String(Math.round(defaults.minConfidence * 100))}
+                  onChange={(e) => updateForm({ minConfidence: e.target.value })}
+                  className="input-glass text-sm w-full mt-1"
+                />
+              </label>
+            )}
+            {form.type !== 'prediction' && (
+              <label className="text-xs text-slate-400">
+                {counting ? 'Window (min)' : 'Critical for (min)'}
+                <input
+                  type="number"
+                  min="0"
+                  value={form.windowMinutes}
+                  placeholder={String(defaults.windowMs / MINUTE)}
+                  onChange={(e) => updateForm({ windowMinutes: e.target.value })}
+                  className="input-glass text-sm w-full mt-1"
+                />
+              </label>
+            )}
+            <label className="text-xs text-slate-400">
+              Cooldown (min)
+              <input
+                type="number"
+                min="0"
+                value={form.cooldownMinutes}
+                placeholder="default"
+                onChange={(e) => updateForm({ cooldownMinutes: e.target.value })}
+                className="input-glass text-sm w-full mt-1"
+              />
+            </label>
+          </div>
+
+          {form.type === 'fingerprint' && (
+            <select
+              value={form.fingerprint}
+              onChange={(e) => updateForm({ fingerprint: e.target.value })}
+              className="select-glass text-sm w-full"
+            >
+              <option value="">Select an error…</option>
+              {form.fingerprint && !fingerprints.some(error => error.error_hash === form.fingerprint) && (
+                <option value={form.fingerprint}>{form.fingerprintLabel || form.fingerprint}</option>
+              )}
+              {fingerprints.map(error => (
+                <option key={error.error_hash} value={error.error_hash}>
+                  {error.service}: {error.message?.substring(0, 80)} ({error.occurrence_count || 1}×)
+                </option>
+              ))}
+            </select>
+          )}
+
+          {/* Channels */}
+          <div className="space-y-2">
+            <p className="text-xs text-slate-400">Notify</p>
+            {form.channels.map((channel, index) => (
+              <div key={index} className="flex items-center gap-2">
+                <select
+                  value={channel.type}
+                  onChange={(e) => updateChannel(index, { type: e.target.value })}
+                  className="select-glass text-sm w-32"
+                >
+                  {options.channelTypes.map(type => (
+                    <option key={type} value={type} disabled={type === 'email' && !options.email.configured}>
+                      {CHANNEL_LABELS[type]?.name || type}{type === 'email' && !options.email.configured ? ' (no SMTP)' : ''}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={channel.target}
+                  placeholder={CHANNEL_LABELS[channel.type]?.placeholder}
+                  onChange={(e) => updateChannel(index, { target: e.target.value })}
+                  className="input-glass text-sm flex-1"
+                />
+                <button
+                  onClick={() => updateForm({ channels: form.channels.filter((_, i) => i !== index) })}
+                  className="text-slate-400 hover:text-cyber-red"
+                  title="Remove channel"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => updateForm({ channels: [...form.channels, { type: 'webhook', target: '' }] })}
+              className="text-xs text-cyan-400 hover:text-cyan-300 flex items-center gap-1"
+            >
+              <Plus className="w-3 h-3" />
+              Add channel
+            </button>
+            {form.channels.length === 0 && (
+              <p className="text-xs text-slate-500">Without channels, alerts are only recorded in the history and shown on the dashboard.</p>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button onClick={closeForm} className="btn-glass text-sm">Cancel</button>
+            <button
+              onClick={saveRule}
+              disabled={busyId === 'form'}
+              className="btn-glass text-sm flex items-center gap-1 text-cyber-green"
+            >
+              <Check className="w-4 h-4" />
+              {editingId ? 'Save Rule' : 'Create Rule'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rule list */}
+      {rules.length === 0 && !form ? (
+        <p className="text-sm text-slate-500 text-center py-4">
+          No alert rules yet. Alerts appear on the dashboard only while someone is watching it.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {rules.map(rule => (
+            <div key={rule.id} className={`p-3 bg-white/5 rounded-lg flex items-center gap-3 ${rule.enabled ? '' : 'opacity-50'}`}>
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                disabled={busyId === rule.id}
+                onChange={() => toggleRule(rule)}
+                title={rule.enabled ? 'Disable rule' : 'Enable rule'}
+              />
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <p className="text-sm font-medium text-white truncate">{rule.name}</p>
+                  <span className={`badge ${SEVERITY_BADGES[rule.severity] || 'badge-info'}`}>{rule.severity}</span>
+                </div>
+                <p className="text-xs text-slate-400 truncate">{describeRule(rule)}</p>
+                <p className="text-xs text-slate-500">
+                  {rule.channels.length > 0
+                    ? rule.channels.map(channel => CHANNEL_LABELS[channel.type]?.name || channel.type).join(', ')
+                    : 'Dashboard only'}
+                  {` · cooldown ${formatMinutes(rule.cooldownMs)}`}
+                  {rule.lastFiredAt && ` · last fired ${new Date(rule.lastFiredAt).toLocaleString()}`}
+                </p>
+              </div>
+              <button
+                onClick={() => testRule(rule)}
+                disabled={busyId === rule.id || rule.channels.length === 0}
+                className="text-slate-400 hover:text-cyan-400 disabled:opacity-30"
+                title="Send test alert"
+              >
+                <Send className="w-4 h-4" />
+              </button>
+              <button onClick={() => openForm(rule)} className="text-slate-400 hover:text-white" title="Edit">
+                <Edit2 className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => deleteRule(rule)}
+                disabled={busyId === rule.id}
+                className="text-slate-400 hover:text-cyber-red"
+                title="Delete"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
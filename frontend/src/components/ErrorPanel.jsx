@@ -31,7 +31,9 @@ function ErrorPanel({
   generatedFix,
   isAnalyzing,
   isGeneratingFix,
+  analysisJob,
   onGenerateFix,
+  onCancelAnalysis,
   onDismiss
 }) {
   const [showCode, setShowCode] = useState(false);
@@ -92,7 +94,8 @@ function ErrorPanel({
           fixDescription: fixData.explanation || 'Applied fix',
           service: analysis?.analysis?.originService || '',
           filePath: fixData.filePath || '',
-          wasSuccessful: true
+          wasSuccessful: true,
+          incidentId: analysis?.incidentId
         })
       });
       console.log('[Resolution] Stored for future learning');
@@ -131,7 +134,8 @@ function ErrorPanel({
     try {
       const response = await fetch(`${API_URL}/api/generate-targeted-fix`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId: analysis?.jobId })
       });
 
       const data = await response.json();
@@ -167,7 +171,8 @@ function ErrorPanel({
         body: JSON.stringify({
           filePath: targetedFix.filePath,
           oldCode: targetedFix.oldCode,
-          newCode: targetedFix.newCode
+          newCode: targetedFix.newCode,
+          incidentId: analysis?.incidentId
         })
       });
 
@@ -204,7 +209,8 @@ function ErrorPanel({
         body: JSON.stringify({
           fixedCode: generatedFix.fixedCode,
           serviceName: generatedFix.serviceName || analysis?.analysis?.originService,
-          fileName: generatedFix.fileName || 'index.js'
+          fileName: generatedFix.fileName || 'index.js',
+          incidentId: analysis?.incidentId
         })
       });
 
@@ -310,8 +316,27 @@ function ErrorPanel({
           {isAnalyzing && (
             <div className="flex flex-col items-center justify-center py-16">
               <div className="spinner w-12 h-12 mb-4" />
-              <p className="text-white font-medium text-lg">Analyzing error...</p>
-              <p className="text-slate-400 text-sm mt-2">Correlating logs and identifying root cause</p>
+              <p className="text-white font-medium text-lg">
+                {analysisJob?.status === 'queued' ? 'Waiting in queue...' : 'Analyzing error...'}
+              </p>
+              <p className="text-slate-400 text-sm mt-2">
+                {analysisJob?.status === 'queued' && analysisJob.position > 1
+                  ? `${analysisJob.position - 1} analysis${analysisJob.position > 2 ? 'es' : ''} ahead`
+                  : analysisJob?.progress?.message || 'Correlating logs and identifying root cause'}
+              </p>
+              {analysisJob?.progress && (
+                <div className="w-64 h-1.5 bg-white/10 rounded-full mt-4 overflow-hidden">
+                  <div
+                    className="h-full bg-cyan-500 transition-all duration-500"
+                    style={{ width: `${analysisJob.progress.percent}%` }}
+                  />
+                </div>
+              )}
+              {analysisJob?.jobId && onCancelAnalysis && (
+                <button onClick={onCancelAnalysis} className="btn-glass text-xs mt-6">
+                  Cancel analysis
+                </button>
+              )}
             </div>
           )}
 
@@ -373,6 +398,20 @@ function ErrorPanel({
                 <div className="flex items-center gap-2 mb-3">
                   <Target className="w-4 h-4 text-cyber-red" />
                   <span className="font-medium text-white">Root Cause</span>
+                  {errorAnalysis?.outputSource && (
+                    <span
+                      className={`badge ${
+                        errorAnalysis.outputSource === 'model' ? 'badge-success' :
+                        errorAnalysis.outputSource === 'repaired' ? 'badge-warning' :
+                        'badge-info'
+                      }`}
+                      title={errorAnalysis.validationErrors?.join('\n') || errorAnalysis.outputRepairs?.join('\n') || ''}
+                    >
+                      {errorAnalysis.outputSource === 'model' ? 'AI' :
+                       errorAnalysis.outputSource === 'repaired' ? 'AI (repaired)' :
+                       'Heuristic'}
+                    </span>
+                  )}
                 </div>
                 <p className="text-slate-300 text-sm">{errorAnalysis?.rootCause || 'Unable to determine root cause'}</p>
               </div>
@@ -0,0 +1,370 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Layers, Check, AlertCircle, RefreshCw, Plus, Trash2, Edit2, X, Fingerprint, GitMerge, GitBranch } from 'lucide-react';
+import QueryBar from './QueryBar';
+import { parseLogQuery } from '../utils/logQuery';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+const ACTION_LABELS = {
+  merge: { name: 'Merge', icon: GitMerge, description: 'Every matching error gets the fingerprint of the group, whatever its message or stack' },
+  split: { name: 'Split', icon: GitBranch, description: 'Matching errors are also told apart by a value' }
+};
+
+const SPLIT_OPTIONS = [
+  { value: 'level', label: 'Level' },
+  { value: 'message', label: 'Exact message' },
+  { value: 'stack', label: 'Full stack' },
+  { value: 'fields.', label: 'Structured field…' }
+];
+
+const emptyRule = () => ({ name: '', action: 'merge', query: '', group: '', splitBy: 'level', field: '' });
+
+// Form state from a stored rule (fields.<path> splits edit the path separately)
+const toForm = (rule) => ({
+  ...emptyRule(),
+  ...rule,
+  group: rule.group || '',
+  splitBy: rule.splitBy?.startsWith('fields.') ? 'fields.' : rule.splitBy || 'level',
+  field: rule.splitBy?.startsWith('fields.') ? rule.splitBy.slice('fields.'.length) : ''
+});
+
+const describeRule = (rule) => (rule.action === 'merge'
+  ? `Merge into "${rule.group}"`
+  : `Split by ${rule.splitBy.startsWith('fields.') ? rule.splitBy.slice('fields.'.length) : rule.splitBy}`);
+
+/**
+ * Grouping rules that merge or split error fingerprints, with a preview of
+ * the fingerprint an error would get
+ */
+export default function GroupingRules({ services = [] }) {
+  const [rules, setRules] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [sample, setSample] = useState({ service: '', message: '', stackTrace: '' });
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/fingerprints/rules`);
+      const data = await response.json();
+      setRules(data.rules || []);
+    } catch (error) {
+      console.error('Failed to fetch grouping rules:', error);
+    }
+  };
+
+  const request = async (path, method, body) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+  };
+
+  // Query syntax errors, shown under the query bar as it is typed
+  const queryError = useMemo(() => {
+    if (!form?.query) return null;
+    try {
+      parseLogQuery(form.query);
+      return null;
+    } catch (error) {
+      return error;
+    }
+  }, [form?.query]);
+
+  const openForm = (rule = null) => {
+    setMessage(null);
+    setEditingId(rule?.id || null);
+    setForm(rule ? toForm(rule) : emptyRule());
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const toRule = () => ({
+    name: form.name,
+    action: form.action,
+    query: form.query,
+    group: form.action === 'merge' ? form.group : undefined,
+    splitBy: form.action === 'split' ? (form.splitBy === 'fields.' ? `fields.${form.field.trim()}` : form.splitBy) : undefined
+  });
+
+  const saveRule = async () => {
+    setBusyId('form');
+    setMessage(null);
+
+    try {
+      const rule = editingId
+        ? await request(`/api/fingerprints/rules/${editingId}`, 'PUT', toRule())
+        : await request('/api/fingerprints/rules', 'POST', toRule());
+      setMessage({ type: 'success', text: `Rule "${rule.name}" saved. It applies to errors seen from now on` });
+      closeForm();
+      await fetchRules();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    if (!confirm(`Delete grouping rule "${rule.name}"?`)) return;
+
+    setBusyId(rule.id);
+    try {
+      await request(`/api/fingerprints/rules/${rule.id}`, 'DELETE');
+      if (editingId === rule.id) closeForm();
+      await fetchRules();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const runPreview = async () => {
+    setBusyId('preview');
+    try {
+      setPreview(await request('/api/fingerprints/preview', 'POST', sample));
+    } catch (error) {
+      setPreview({ error: error.message });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const splitByField = form?.action === 'split' && form.splitBy === 'fields.';
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+            <Layers className="w-5 h-5 text-cyan-500" />
+            Grouping Rules
+          </h2>
+          <p className="text-xs text-slate-500 mt-1">
+            Errors are grouped by exception type and in-app stack frames, or by their message with IDs, emails, IPs and quoted values ignored. The first matching rule wins.
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <button onClick={fetchRules} className="text-slate-400 hover:text-white" title="Refresh">
+            <RefreshCw className="w-4 h-4" />
+          </button>
+          {!form && (
+            <button onClick={() => openForm()} className="btn-glass text-sm flex items-center gap-1">
+              <Plus className="w-4 h-4" />
+              New Rule
+            </button>
+          )}
+        </div>
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center gap-2 text-sm ${
+          message.type === 'success' ? 'bg-cyber-green/20 text-cyber-green' : 'bg-cyber-red/20 text-cyber-red'
+        }`}>
+          {message.type === 'success' ? <Check className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      {/* Rule editor */}
+      {form && (
+        <div className="p-4 bg-white/5 rounded-lg mb-4 space-y-3">
+          <div className="flex items-center justify-between">
+            <p className="text-sm font-medium text-white">{editingId ? 'Edit Rule' : 'New Rule'}</p>
+            <button onClick={closeForm} className="text-slate-400 hover:text-white" title="Cancel">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              placeholder="Rule name"
+              onChange={(e) => updateForm({ name: e.target.value })}
+              className="input-glass text-sm"
+            />
+            <select
+              value={form.action}
+              onChange={(e) => updateForm({ action: e.target.value })}
+              className="select-glass text-sm"
+            >
+              {Object.entries(ACTION_LABELS).map(([action, { name }]) => (
+                <option key={action} value={action}>{name}</option>
+              ))}
+            </select>
+            {form.action === 'merge' ? (
+              <input
+                type="text"
+                value={form.group}
+                placeholder="Group (defaults to the rule name)"
+                onChange={(e) => updateForm({ group: e.target.value })}
+                className="input-glass text-sm"
+              />
+            ) : (
+              <div className="flex gap-2">
+                <select
+                  value={form.splitBy}
+                  onChange={(e) => updateForm({ splitBy: e.target.value })}
+                  className="select-glass text-sm flex-1"
+                >
+                  {SPLIT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {splitByField && (
+                  <input
+                    type="text"
+                    value={form.field}
+                    placeholder="tenant.id"
+                    onChange={(e) => updateForm({ field: e.target.value })}
+                    className="input-glass text-sm flex-1 font-mono"
+                  />
+                )}
+              </div>
+            )}
+          </div>
+          <p className="text-xs text-slate-500">{ACTION_LABELS[form.action].description}</p>
+
+          <div>
+            <p className="text-xs text-slate-400 mb-1">Errors matching</p>
+            <QueryBar
+              value={form.query}
+              onChange={(query) => updateForm({ query })}
+              error={queryError}
+              services={services}
+            />
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button onClick={closeForm} className="btn-glass text-sm">Cancel</button>
+            <button
+              onClick={saveRule}
+              disabled={busyId === 'form' || Boolean(queryError)}
+              className="btn-glass text-sm flex items-center gap-1 text-cyber-green"
+            >
+              <Check className="w-4 h-4" />
+              {editingId ? 'Save Rule' : 'Create Rule'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rule list */}
+      {rules.length === 0 && !form ? (
+        <p className="text-sm text-slate-500 text-center py-4">
+          No grouping rules yet. Errors are grouped by their fingerprint alone.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {rules.map((rule, index) => {
+            const Icon = ACTION_LABELS[rule.action]?.icon || Layers;
+            return (
+              <div key={rule.id} className="p-3 bg-white/5 rounded-lg flex items-center gap-3">
+                <span className="text-xs text-slate-500 font-mono w-5 text-right">{index + 1}</span>
+                <Icon className="w-4 h-4 text-cyan-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-white truncate">{rule.name}</p>
+                  <p className="text-xs text-slate-400 truncate">
+                    {describeRule(rule)} · <span className="font-mono">{rule.query}</span>
+                  </p>
+                </div>
+                <button onClick={() => openForm(rule)} className="text-slate-400 hover:text-white" title="Edit">
+                  <Edit2 className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => deleteRule(rule)}
+                  disabled={busyId === rule.id}
+                  className="text-slate-400 hover:text-cyber-red"
+                  title="Delete"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Fingerprint preview */}
+      <div className="mt-6 pt-4 border-t border-white/5 space-y-3">
+        <p className="text-sm font-medium text-white flex items-center gap-2">
+          <Fingerprint className="w-4 h-4 text-cyan-400" />
+          Try an error
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            type="text"
+            value={sample.service}
+            placeholder="Service"
+            onChange={(e) => setSample(prev => ({ ...prev, service: e.target.value }))}
+            className="input-glass text-sm"
+          />
+          <input
+            type="text"
+            value={sample.message}
+            placeholder="Error message"
+            onChange={(e) => setSample(prev => ({ ...prev, message: e.target.value }))}
+            className="input-glass text-sm md:col-span-3"
+          />
+        </div>
+        <textarea
+          value={sample.stackTrace}
+          placeholder="Stack trace (optional)"
+          rows={3}
+          onChange={(e) => setSample(prev => ({ ...prev, stackTrace: e.target.value }))}
+          className="input-glass text-xs font-mono w-full"
+        />
+        <div className="flex justify-end">
+          <button
+            onClick={runPreview}
+            disabled={busyId === 'preview' || !sample.message.trim()}
+            className="btn-glass text-sm flex items-center gap-1"
+          >
+            <Fingerprint className="w-4 h-4" />
+            Fingerprint
+          </button>
+        </div>
+
+        {preview && (
+          preview.error ? (
+            <p className="text-xs text-cyber-red">{preview.error}</p>
+          ) : (
+            <div className="p-3 bg-white/5 rounded-lg text-xs space-y-1">
+              <p className="text-slate-400">
+                Fingerprint <span className="font-mono text-white">{preview.hash.slice(0, 12)}</span>
+                {preview.rule && <span className="text-cyan-400"> · {ACTION_LABELS[preview.rule.action]?.name} rule "{preview.rule.name}"</span>}
+              </p>
+              {preview.frames.length > 0 ? (
+                <>
+                  <p className="text-slate-400">By {preview.type || 'message'} and in-app frames:</p>
+                  {preview.frames.map(frame => (
+                    <p key={frame} className="font-mono text-slate-300 pl-3">{frame}</p>
+                  ))}
+                </>
+              ) : (
+                <p className="text-slate-400">By message: <span className="font-mono text-slate-300">{preview.message}</span></p>
+              )}
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
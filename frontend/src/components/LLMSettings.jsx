@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { Brain, Check, AlertCircle, RefreshCw, Cpu } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+const AGENT_LABELS = {
+  analyzer: { name: 'Root Cause Analyzer', description: 'Explains why an error happened' },
+  codeLocator: { name: 'Code Locator', description: 'Finds the file and function at fault' },
+  fixGenerator: { name: 'Fix Generator', description: 'Writes a fix for the located code' },
+  codeFix: { name: 'Targeted Code Fix', description: 'Reads service source and patches it' }
+};
+
+export default function LLMSettings() {
+  const [config, setConfig] = useState(null);
+  const [models, setModels] = useState({});
+  const [savingAgent, setSavingAgent] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchConfig();
+  }, []);
+
+  const fetchConfig = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/llm/config`);
+      const data = await response.json();
+      setConfig(data);
+      setModels(Object.fromEntries(
+        Object.entries(data.agents).map(([agent, assignment]) => [agent, assignment.model || ''])
+      ));
+    } catch (error) {
+      console.error('Failed to fetch LLM config:', error);
+    }
+  };
+
+  const updateAgent = async (agent, changes) => {
+    setSavingAgent(agent);
+    setMessage(null);
+
+    try {
+      const response = await fetch(`${API_URL}/api/llm/agents/${agent}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        setMessage({ type: 'success', text: `${AGENT_LABELS[agent]?.name || agent} now uses ${data.provider || 'the default provider'}` });
+        await fetchConfig();
+      } else {
+        setMessage({ type: 'error', text: data.error || 'Failed to update provider' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    } finally {
+      setSavingAgent(null);
+    }
+  };
+
+  if (!config) {
+    return (
+      <div className="glass-card p-6 text-center text-slate-400">
+        <Brain className="w-10 h-10 mx-auto mb-2 opacity-50" />
+        <p>LLM configuration not available</p>
+      </div>
+    );
+  }
+
+  const usageFor = (agent) => config.usage.byAgent.filter(u => u.agent === agent);
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <Brain className="w-5 h-5 text-cyan-500" />
+          AI Providers
+        </h2>
+        <button onClick={fetchConfig} className="text-slate-400 hover:text-white" title="Refresh">
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg flex items-center gap-2 text-sm ${
+          message.type === 'success' ? 'bg-cyber-green/20 text-cyber-green' : 'bg-cyber-red/20 text-cyber-red'
+        }`}>
+          {message.type === 'success' ? <Check className="w-4 h-4" /> : <AlertCircle className="w-4 h-4" />}
+          {message.text}
+        </div>
+      )}
+
+      {/* Providers */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        {config.providers.map(provider => (
+          <div key={provider.name} className="px-3 py-2 bg-white/5 rounded-lg text-xs">
+            <span className="text-white font-medium">{provider.name}</span>
+            <span className="text-slate-500 ml-2">{provider.model}</span>
+            <span className={`ml-2 badge ${provider.configured ? 'badge-success' : 'badge-error'}`}>
+              {provider.configured ? 'Ready' : 'No key'}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {/* Per-agent assignment */}
+      <div className="space-y-3">
+        {Object.entries(config.agents).map(([agent, assignment]) => {
+          const label = AGENT_LABELS[agent] || { name: agent, description: '' };
+          const usage = usageFor(agent);
+          const tokens = usage.reduce((sum, u) => sum + u.inputTokens + u.outputTokens, 0);
+          const requests = usage.reduce((sum, u) => sum + u.requests, 0);
+
+          return (
+            <div key={agent} className="p-4 bg-white/5 rounded-lg">
+              <div className="flex items-center justify-between mb-3">
+                <div>
+                  <p className="text-sm font-medium text-white">{label.name}</p>
+                  <p className="text-xs text-slate-500">{label.description}</p>
+                </div>
+                <span className={`badge ${assignment.enabled ? 'badge-success' : 'badge-error'}`}>
+                  {assignment.enabled ? assignment.effectiveModel : 'AI off'}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                <select
+                  value={assignment.provider || ''}
+                  disabled={savingAgent === agent}
+                  onChange={(e) => updateAgent(agent, { provider: e.target.value || null })}
+                  className="select-glass text-sm"
+                >
+                  <option value="">Default ({config.defaultProvider || 'none'})</option>
+                  <option value="none">None (rule-based only)</option>
+                  {config.providers.map(provider => (
+                    <option key={provider.name} value={provider.name} disabled={!provider.configured}>
+                      {provider.name}{provider.configured ? '' : ' (not configured)'}
+                    </option>
+                  ))}
+                </select>
+
+                <input
+                  type="text"
+                  value={models[agent] || ''}
+                  placeholder={assignment.effectiveModel ? `Model (default: ${assignment.effectiveModel})` : 'Model'}
+                  disabled={savingAgent === agent || !assignment.enabled}
+                  onChange={(e) => setModels(prev => ({ ...prev, [agent]: e.target.value }))}
+                  onBlur={() => {
+                    if ((models[agent] || '') !== (assignment.model || '')) {
+                      updateAgent(agent, { model: models[agent] || null });
+                    }
+                  }}
+                  className="input-glass text-sm"
+                />
+              </div>
+
+              {requests > 0 && (
+                <p className="text-xs text-slate-500 mt-2 flex items-center gap-1">
+                  <Cpu className="w-3 h-3" />
+                  {requests} request{requests === 1 ? '' : 's'} · {tokens.toLocaleString()} tokens
+                  {usage.some(u => u.failures > 0) && ` · ${usage.reduce((sum, u) => sum + u.failures, 0)} failed`}
+                </p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-slate-500 mt-4">
+        Total: {config.usage.totals.requests} requests, {(config.usage.totals.inputTokens + config.usage.totals.outputTokens).toLocaleString()} tokens
+        {config.retries > 0 && ` · transient failures are retried ${config.retries}×`}
+      </p>
+    </div>
+  );
+}
@@ -1,7 +1,66 @@
-import React from 'react';
-import { Info, AlertTriangle, AlertCircle, Bug, Check } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Info, AlertTriangle, AlertCircle, Bug, Check, Bookmark, Save, X } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+function LogFilters({ filters, onChange, availableServices, query = '', onQueryChange }) {
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [searchName, setSearchName] = useState('');
+  const [searchError, setSearchError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSavedSearches();
+  }, []);
+
+  const fetchSavedSearches = async () => {
+    try {
+      const response = await fetch(`${API_URL}/api/searches`);
+      const data = await response.json();
+      setSavedSearches(data.searches || []);
+    } catch (error) {
+      console.error('Failed to fetch saved searches:', error);
+    }
+  };
+
+  const request = async (path, method, body) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+  };
+
+  // Save the current query; an existing name is overwritten
+  const saveSearch = async () => {
+    setSaving(true);
+    setSearchError(null);
+    try {
+      await request('/api/searches', 'POST', { name: searchName, query });
+      setSearchName('');
+      await fetchSavedSearches();
+    } catch (error) {
+      setSearchError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteSearch = async (search) => {
+    if (!confirm(`Delete saved search "${search.name}"?`)) return;
+
+    setSearchError(null);
+    try {
+      await request(`/api/searches/${search.id}`, 'DELETE');
+      await fetchSavedSearches();
+    } catch (error) {
+      setSearchError(error.message);
+    }
+  };
 
-function LogFilters({ filters, onChange, availableServices }) {
   // Log levels configuration
   const logLevels = [
     { value: 'INFO', label: 'Info', Icon: Info, color: 'text-slate-400' },
@@ -65,6 +124,66 @@ function LogFilters({ filters, onChange, availableServices }) {
 
   return (
     <div className="p-4 space-y-6">
+      {/* Saved Searches */}
+      {onQueryChange && (
+        <div>
+          <span className="text-sm font-medium text-white block mb-3">Saved Searches</span>
+          <div className="space-y-1">
+            {savedSearches.map((search) => (
+              <div
+                key={search.id}
+                className={`group flex items-center gap-2 p-2 rounded-lg hover:bg-white/5 transition-colors ${
+                  search.query === query ? 'bg-electric-500/10' : ''
+                }`}
+              >
+                <button
+                  onClick={() => onQueryChange(search.query)}
+                  className="flex-1 min-w-0 text-left"
+                  title={search.query}
+                >
+                  <div className="flex items-center gap-2 text-sm text-slate-300">
+                    <Bookmark className="w-3.5 h-3.5 flex-shrink-0 text-electric-400" />
+                    <span className="truncate">{search.name}</span>
+                  </div>
+                  <div className="text-xs text-slate-500 font-mono truncate">{search.query}</div>
+                </button>
+                <button
+                  onClick={() => deleteSearch(search)}
+                  className="opacity-0 group-hover:opacity-100 text-slate-500 hover:text-cyber-red transition-opacity"
+                  title="Delete saved search"
+                >
+                  <X className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+            {savedSearches.length === 0 && (
+              <p className="text-xs text-slate-500 text-center py-2">No saved searches</p>
+            )}
+          </div>
+          <div className="flex gap-2 mt-3">
+            <input
+              type="text"
+              placeholder="Name for current query"
+              value={searchName}
+              onChange={(e) => setSearchName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && searchName.trim() && query.trim() && saveSearch()}
+              className="input-glass flex-1 min-w-0 py-2 text-sm"
+            />
+            <button
+              onClick={saveSearch}
+              disabled={saving || !searchName.trim() || !query.trim()}
+              className="btn-glass px-3 disabled:opacity-50"
+              title={query.trim() ? 'Save current query' : 'Type a query to save it'}
+            >
+              <Save className="w-4 h-4" />
+            </button>
+          </div>
+          {searchError && (
+            <p className="text-xs text-cyber-red mt-2">{searchError}</p>
+          )}
+        </div>
+      )}
+
       {/* Services Filter */}
       <div>
         <div className="flex items-center justify-between mb-3">
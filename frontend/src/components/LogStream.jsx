@@ -1,9 +1,33 @@
-import React, { useEffect, useRef, useState } from 'react';
-import { Terminal, Info, AlertTriangle, AlertCircle, Bug, ChevronDown, Search } from 'lucide-react';
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { Terminal, Info, AlertTriangle, AlertCircle, Bug, ChevronDown, ChevronRight, Search, Loader2, History, FastForward } from 'lucide-react';
 
-function LogStream({ logs = [], onErrorClick, isPaused = false }) {
+// Distance from the top (px) at which older logs are requested
+const LOAD_OLDER_THRESHOLD = 200;
+
+/**
+ * Log list that follows new logs. With onLoadOlder it also loads older logs
+ * when scrolled to the top (infinite scroll); history is { loading, hasMore, label }.
+ * { marker: 'skipped', count, reason? } entries show as a divider
+ */
+function LogStream({ logs = [], onErrorClick, isPaused = false, onLoadOlder, history }) {
   const containerRef = useRef(null);
+  const firstLogRef = useRef(null);
+  const scrollHeightRef = useRef(0);
   const [autoScroll, setAutoScroll] = useState(true);
+  const [expandedTraces, setExpandedTraces] = useState(new Set());
+
+  // Keep the visible rows in place when rows are added or dropped above them
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const firstLog = logs[0]?.id ?? null;
+    if (!autoScroll && firstLogRef.current !== null && firstLog !== firstLogRef.current) {
+      container.scrollTop += container.scrollHeight - scrollHeightRef.current;
+    }
+    firstLogRef.current = firstLog;
+    scrollHeightRef.current = container.scrollHeight;
+  }, [logs]);
 
   // Auto-scroll to bottom
   useEffect(() => {
@@ -18,6 +42,10 @@ function LogStream({ logs = [], onErrorClick, isPaused = false }) {
       const { scrollTop, scrollHeight, clientHeight } = containerRef.current;
       const isAtBottom = scrollHeight - scrollTop - clientHeight < 50;
       setAutoScroll(isAtBottom);
+
+      if (onLoadOlder && scrollTop < LOAD_OLDER_THRESHOLD && history?.hasMore && !history.loading) {
+        onLoadOlder();
+      }
     }
   };
 
@@ -63,6 +91,20 @@ function LogStream({ logs = [], onErrorClick, isPaused = false }) {
     }
   };
 
+  // Toggle folded stack trace without triggering analysis
+  const toggleTrace = (e, logId) => {
+    e.stopPropagation();
+    setExpandedTraces(prev => {
+      const next = new Set(prev);
+      if (next.has(logId)) {
+        next.delete(logId);
+      } else {
+        next.add(logId);
+      }
+      return next;
+    });
+  };
+
   // Format timestamp
   const formatTime = (timestamp) => {
     try {
@@ -96,6 +138,24 @@ function LogStream({ logs = [], onErrorClick, isPaused = false }) {
         onScroll={handleScroll}
         className="flex-1 overflow-y-auto log-viewer"
       >
+        {/* History marker */}
+        {onLoadOlder && history && (
+          <div className="flex items-center justify-center gap-2 py-2 text-xs text-slate-500">
+            {history.loading
+              ? <Loader2 className="w-3.5 h-3.5 animate-spin" />
+              : <History className="w-3.5 h-3.5" />}
+            {history.hasMore && !history.loading ? (
+              // Also reachable when the list is too short to scroll
+              <button onClick={onLoadOlder} className="hover:text-white transition-colors">
+                Load older logs
+              </button>
+            ) : (
+              <span>{history.loading ? 'Loading older logs...' : 'Beginning of stored logs'}</span>
+            )}
+            {history.label && <span>· {history.label}</span>}
+          </div>
+        )}
+
         {logs.length === 0 ? (
           <div className="flex flex-col items-center justify-center h-full text-slate-500">
             <Terminal className="w-8 h-8 mb-2" />
@@ -105,6 +165,19 @@ function LogStream({ logs = [], onErrorClick, isPaused = false }) {
         ) : (
           <div className="p-2">
             {logs.map((log) => {
+              if (log.marker === 'skipped') {
+                return (
+                  <div key={log.id} className="flex items-center gap-3 py-1 px-3 mb-1 text-xs text-cyber-yellow">
+                    <div className="flex-1 border-t border-cyber-yellow/20" />
+                    <span className="flex items-center gap-1 whitespace-nowrap" title={log.reason || 'The stream sent logs faster than this browser took them'}>
+                      <FastForward className="w-3 h-3" />
+                      {log.count.toLocaleString()} {log.count === 1 ? 'log' : 'logs'} skipped
+                    </span>
+                    <div className="flex-1 border-t border-cyber-yellow/20" />
+                  </div>
+                );
+              }
+
               const styles = getLevelStyles(log.level);
               const isError = ['ERROR', 'CRITICAL'].includes(log.level);
               const Icon = styles.Icon;
@@ -134,11 +207,38 @@ function LogStream({ logs = [], onErrorClick, isPaused = false }) {
                   </span>
 
                   {/* Message */}
-                  <span className={`text-sm flex-1 break-words ${
-                    isError ? 'text-cyber-red' : 'text-white'
-                  }`}>
-                    {log.message}
-                  </span>
+                  <div className="flex-1 min-w-0">
+                    <span className={`text-sm break-words ${
+                      isError ? 'text-cyber-red' : 'text-white'
+                    }`}>
+                      {log.message}
+                    </span>
+                    {log.duplicateCount > 1 && (
+                      <span className="ml-2 text-xs text-slate-500" title="Stored once, seen this many times">
+                        ×{log.duplicateCount}
+                      </span>
+                    )}
+
+                    {/* Folded stack trace */}
+                    {log.stackTrace && (
+                      <div className="mt-1">
+                        <button
+                          onClick={(e) => toggleTrace(e, log.id)}
+                          className="flex items-center gap-1 text-xs text-slate-500 hover:text-slate-300"
+                        >
+                          {expandedTraces.has(log.id)
+                            ? <ChevronDown className="w-3 h-3" />
+                            : <ChevronRight className="w-3 h-3" />}
+                          Stack trace ({log.stackTrace.split('\n').length} lines)
+                        </button>
+                        {expandedTraces.has(log.id) && (
+                          <pre className="mt-1 p-2 bg-navy-900/60 rounded text-xs text-slate-400 font-mono whitespace-pre-wrap break-all">
+                            {log.stackTrace}
+                          </pre>
+                        )}
+                      </div>
+                    )}
+                  </div>
 
                   {/* Analyze hint for errors */}
                   {isError && (
@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react';
+import { Crosshair, RefreshCw, CheckCircle, XCircle, Clock } from 'lucide-react';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+const WINDOWS = [
+  { hours: 24, label: '24h' },
+  { hours: 168, label: '7 days' },
+  { hours: 720, label: '30 days' }
+];
+
+const STATUS_BADGES = {
+  active: 'badge-info',
+  confirmed: 'badge-success',
+  expired: 'badge-warning',
+  dismissed: 'badge-info'
+};
+
+const formatType = (type) => String(type).replace(/_/g, ' ');
+const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${Math.round(rate * 100)}%`);
+
+export default function PredictionAccuracy() {
+  const [hours, setHours] = useState(168);
+  const [accuracy, setAccuracy] = useState(null);
+  const [predictions, setPredictions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [updatingId, setUpdatingId] = useState(null);
+
+  useEffect(() => {
+    fetchAccuracy();
+    const interval = setInterval(fetchAccuracy, 60000);
+    return () => clearInterval(interval);
+  }, [hours]);
+
+  const fetchAccuracy = async () => {
+    setLoading(true);
+    try {
+      const [accuracyRes, predictionsRes] = await Promise.all([
+        fetch(`${API_URL}/api/predictions/accuracy?hours=${hours}`),
+        fetch(`${API_URL}/api/predictions?status=all&hours=${hours}&limit=20`)
+      ]);
+      if (accuracyRes.ok) setAccuracy(await accuracyRes.json());
+      if (predictionsRes.ok) {
+        const data = await predictionsRes.json();
+        setPredictions(Array.isArray(data) ? data : []);
+      }
+    } catch (error) {
+      console.error('Failed to fetch prediction accuracy:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // User override of the automatic verdict
+  const setStatus = async (id, status) => {
+    setUpdatingId(id);
+    try {
+      const response = await fetch(`${API_URL}/api/predictions/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error);
+      }
+      await fetchAccuracy();
+    } catch (error) {
+      console.error('Failed to update prediction:', error);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const types = Object.entries(accuracy?.byType || {});
+  const overall = accuracy?.overall;
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 rounded-xl bg-cyber-green/20 flex items-center justify-center">
+            <Crosshair className="w-5 h-5 text-cyber-green" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-white">Prediction Accuracy</h2>
+            <p className="text-xs text-slate-400">Predictions checked against the errors and metrics that followed</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <select
+            value={hours}
+            onChange={(e) => setHours(parseInt(e.target.value))}
+            className="select-glass text-sm"
+          >
+            {WINDOWS.map(w => (
+              <option key={w.hours} value={w.hours}>{w.label}</option>
+            ))}
+          </select>
+          <button onClick={fetchAccuracy} className="text-slate-400 hover:text-white" title="Refresh">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {overall && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="p-4 bg-white/5 rounded-xl border border-white/5">
+            <p className="text-xs text-slate-400 mb-1">Precision</p>
+            <p className="text-2xl font-bold text-cyan-400">{formatRate(overall.precision)}</p>
+            <p className="text-xs text-slate-500">{overall.confirmed} of {overall.confirmed + overall.expired} came true</p>
+          </div>
+          <div className="p-4 bg-white/5 rounded-xl border border-white/5">
+            <p className="text-xs text-slate-400 mb-1">Recall</p>
+            <p className="text-2xl font-bold text-cyber-green">{formatRate(overall.recall)}</p>
+            <p className="text-xs text-slate-500">{overall.confirmed} of {overall.confirmed + overall.missed} events foreseen</p>
+          </div>
+          <div className="p-4 bg-white/5 rounded-xl border border-white/5">
+            <p className="text-xs text-slate-400 mb-1">Missed events</p>
+            <p className="text-2xl font-bold text-cyber-yellow">{overall.missed}</p>
+            <p className="text-xs text-slate-500">Not predicted</p>
+          </div>
+          <div className="p-4 bg-white/5 rounded-xl border border-white/5">
+            <p className="text-xs text-slate-400 mb-1">Dismissed</p>
+            <p className="text-2xl font-bold text-slate-300">{overall.dismissed}</p>
+            <p className="text-xs text-slate-500">Left out of accuracy</p>
+          </div>
+        </div>
+      )}
+
+      {/* Precision and recall per prediction type */}
+      {types.length > 0 ? (
+        <div className="space-y-4 mb-6">
+          {types.map(([type, counts]) => (
+            <div key={type}>
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-sm text-white capitalize">{formatType(type)}</span>
+                <span className="text-xs text-slate-500">
+                  {counts.confirmed} confirmed · {counts.expired} expired · {counts.missed} missed
+                </span>
+              </div>
+              <div className="flex items-center gap-2 mb-1">
+                <span className="w-16 text-xs text-slate-400">Precision</span>
+                <div className="flex-1 h-2 rounded-full bg-white/10 overflow-hidden">
+                  <div className="h-full rounded-full bg-cyan-500" style={{ width: `${(counts.precision || 0) * 100}%` }} />
+                </div>
+                <span className="w-10 text-right text-xs text-slate-300 font-mono">{formatRate(counts.precision)}</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="w-16 text-xs text-slate-400">Recall</span>
+                <div className="flex-1 h-2 rounded-full bg-white/10 overflow-hidden">
+                  <div className="h-full rounded-full bg-cyber-green" style={{ width: `${(counts.recall || 0) * 100}%` }} />
+                </div>
+                <span className="w-10 text-right text-xs text-slate-300 font-mono">{formatRate(counts.recall)}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500 text-center py-4 mb-4">No predictions have been verified in this window yet</p>
+      )}
+
+      {/* Recent predictions, with overrides */}
+      {predictions.length > 0 && (
+        <div>
+          <h3 className="text-sm font-medium text-slate-300 mb-2">Recent predictions</h3>
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {predictions.map(prediction => (
+              <div key={prediction.id} className="p-3 bg-white/5 rounded-lg">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span className={`badge ${STATUS_BADGES[prediction.status] || 'badge-info'}`}>{prediction.status}</span>
+                      <span className="text-xs text-slate-400 capitalize">{formatType(prediction.prediction_type)}</span>
+                      <span className="text-xs text-slate-500">{prediction.service}</span>
+                      {prediction.status_source === 'user' && <span className="badge badge-info">by user</span>}
+                    </div>
+                    <p className="text-sm text-white mt-1">{prediction.predicted_issue}</p>
+                    <p className="text-xs text-slate-500 mt-1 flex items-center gap-1">
+                      <Clock className="w-3 h-3" />
+                      {new Date(prediction.created_at).toLocaleString()}
+                      {prediction.evidence && ` · ${prediction.evidence}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    {prediction.status !== 'confirmed' && (
+                      <button
+                        onClick={() => setStatus(prediction.id, 'confirmed')}
+                        disabled={updatingId === prediction.id}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-cyber-green hover:bg-white/10"
+                        title="Mark as came true"
+                      >
+                        <CheckCircle className="w-4 h-4" />
+                      </button>
+                    )}
+                    {prediction.status === 'confirmed' && (
+                      <button
+                        onClick={() => setStatus(prediction.id, 'expired')}
+                        disabled={updatingId === prediction.id}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-cyber-yellow hover:bg-white/10"
+                        title="Mark as did not happen"
+                      >
+                        <Clock className="w-4 h-4" />
+                      </button>
+                    )}
+                    {prediction.status !== 'dismissed' && (
+                      <button
+                        onClick={() => setStatus(prediction.id, 'dismissed')}
+                        disabled={updatingId === prediction.id}
+                        className="p-1.5 rounded-lg text-slate-400 hover:text-cyber-red hover:bg-white/10"
+                        title="Dismiss"
+                      >
+                        <XCircle className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useEffect } from 'react';
 import {
+  Activity,
   TrendingUp,
   TrendingDown,
   AlertTriangle,
@@ -11,11 +12,77 @@ import {
   Minus
 } from 'lucide-react';
 
-function PredictiveInsights({ metrics, metricsHistory, logs }) {
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+const ANOMALY_LABELS = {
+  cpu: 'CPU',
+  memory: 'Memory',
+  network_rx: 'Network In',
+  network_tx: 'Network Out',
+  block_read: 'Disk Read',
+  block_write: 'Disk Write',
+  log_volume: 'Log Volume',
+  error_rate: 'Error Rate'
+};
+
+// Anomalies older than this are no longer shown as insights
+const ANOMALY_MAX_AGE = 30 * 60 * 1000;
+
+const formatAnomalyValue = (metric, value) => {
+  if (metric === 'cpu' || metric === 'memory') return `${value.toFixed(1)}%`;
+  if (metric === 'log_volume' || metric === 'error_rate') return `${value.toFixed(0)}/min`;
+  const units = ['B/s', 'kB/s', 'MB/s', 'GB/s'];
+  let scaled = value;
+  let unit = 0;
+  while (scaled >= 1000 && unit < units.length - 1) {
+    scaled /= 1000;
+    unit++;
+  }
+  return `${scaled.toFixed(1)} ${units[unit]}`;
+};
+
+function PredictiveInsights({ metrics, metricsHistory, logs, latestAnomaly }) {
+  const [anomalies, setAnomalies] = useState([]);
+
+  // Anomalies detected on the backend (z-score, EWMA and seasonal baselines)
+  useEffect(() => {
+    fetch(`${API_URL}/api/anomalies?hours=1&limit=20`)
+      .then(response => response.json())
+      .then(data => setAnomalies(Array.isArray(data) ? data : []))
+      .catch(error => console.error('Failed to fetch anomalies:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!latestAnomaly) return;
+    setAnomalies(prev => [latestAnomaly, ...prev.filter(a => a.id !== latestAnomaly.id)].slice(0, 20));
+  }, [latestAnomaly]);
+
   // Analyze trends and generate insights
   const insights = useMemo(() => {
     const results = [];
 
+    // Most recent anomaly per service and metric comes first
+    const shown = new Set();
+    anomalies
+      .filter(anomaly => Date.now() - new Date(anomaly.detected_at).getTime() < ANOMALY_MAX_AGE)
+      .forEach(anomaly => {
+        const key = `${anomaly.service}|${anomaly.metric}`;
+        if (shown.has(key)) return;
+        shown.add(key);
+
+        const label = ANOMALY_LABELS[anomaly.metric] || anomaly.metric;
+        results.push({
+          type: anomaly.severity === 'critical' ? 'error' : 'warning',
+          service: anomaly.service,
+          metric: label,
+          Icon: Activity,
+          title: `${label} Anomaly`,
+          description: `${anomaly.message}. Flagged by ${(anomaly.methods || []).map(m => m.method).join(', ')} (${anomaly.score}σ).`,
+          value: formatAnomalyValue(anomaly.metric, anomaly.value),
+          trend: anomaly.direction
+        });
+      });
+
     // Analyze each service
     Object.entries(metricsHistory || {}).forEach(([service, history]) => {
       if (history.length < 5) return;
@@ -125,7 +192,7 @@ function PredictiveInsights({ metrics, metricsHistory, logs }) {
     }
 
     return results;
-  }, [metrics, metricsHistory, logs]);
+  }, [metrics, metricsHistory, logs, anomalies]);
 
   const getInsightStyles = (type) => {
     switch (type) {
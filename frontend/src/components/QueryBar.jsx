@@ -0,0 +1,219 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Search, X, AlertCircle } from 'lucide-react';
+import { LEVELS, TIME_KEYS, tokenizeLogQuery } from '../utils/logQuery';
+
+const COLUMN_KEYS = [
+  { key: 'service', hint: 'exact service' },
+  { key: 'level', hint: 'level, e.g. >=WARN' },
+  { key: 'trace', hint: 'trace ID' },
+  { key: 'message', hint: 'text in the message' },
+  { key: 'last', hint: 'time range, e.g. 15m' },
+  { key: 'since', hint: 'duration or date' },
+  { key: 'until', hint: 'duration or date' }
+];
+
+const DURATIONS = ['5m', '15m', '1h', '6h', '24h', '7d'];
+const MAX_SUGGESTIONS = 8;
+
+// Highlighted pieces of a token: [{ text, className }]
+const tokenParts = (token, error) => {
+  const parts = [];
+  let rest = token.text;
+  const take = (length, className) => {
+    parts.push({ text: rest.slice(0, length), className });
+    rest = rest.slice(length);
+  };
+
+  if (token.negate) take(1, 'text-cyber-red');
+  if (token.key) {
+    const isTime = TIME_KEYS.includes(token.key.toLowerCase());
+    take(token.key.length + 1, isTime ? 'text-cyber-yellow' : 'text-cyan-400');
+  }
+  if (token.op) take(token.op.length, 'text-purple-400');
+
+  const valueClass = token.regex ? 'text-orange-400' : token.quoted ? 'text-cyber-green' : 'text-slate-100';
+  parts.push({ text: rest, className: valueClass });
+
+  if (error && error.start < token.end && error.end > token.start) {
+    return parts.map(part => ({ ...part, className: `${part.className} underline decoration-wavy decoration-cyber-red` }));
+  }
+  return parts;
+};
+
+// Token the caret is in, or an empty one where a new token would start
+const tokenAt = (tokens, caret) =>
+  tokens.find(token => token.start <= caret && caret <= token.end) ||
+  { start: caret, end: caret, text: '', negate: false, key: null, op: null, value: '' };
+
+/**
+ * Log query input with syntax highlighting and autocomplete for query keys,
+ * services, structured fields, levels and durations
+ */
+function QueryBar({ value, onChange, error, services = [], fieldNames = [] }) {
+  const inputRef = useRef(null);
+  const overlayRef = useRef(null);
+  const [caret, setCaret] = useState(0);
+  const [focused, setFocused] = useState(false);
+  const [selected, setSelected] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
+
+  const tokens = useMemo(() => tokenizeLogQuery(value), [value]);
+
+  const suggestions = useMemo(() => {
+    const token = tokenAt(tokens, caret);
+    if (token.quoted || token.regex) return [];
+    const prefix = (token.key ? token.value : token.text.replace(/^-/, '')).toLowerCase();
+    const lead = token.negate ? '-' : '';
+
+    if (!token.key) {
+      const keys = [
+        ...COLUMN_KEYS,
+        ...fieldNames.map(name => ({ key: name, hint: 'field' }))
+      ];
+      return keys
+        .filter(({ key }) => key.toLowerCase().startsWith(prefix) && key.toLowerCase() !== prefix)
+        .slice(0, MAX_SUGGESTIONS)
+        .map(({ key, hint }) => ({ label: `${key}:`, hint, text: `${lead}${key}:`, token }));
+    }
+
+    const key = token.key.toLowerCase();
+    const values = key === 'service' ? services
+      : key === 'level' ? LEVELS
+      : TIME_KEYS.includes(key) ? DURATIONS
+      : [];
+    const op = token.op || '';
+
+    return values
+      .filter(option => option.toLowerCase().startsWith(prefix) && option.toLowerCase() !== prefix)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(option => ({ label: option, hint: token.key, text: `${lead}${token.key}:${op}${option} `, token }));
+  }, [tokens, caret, services, fieldNames]);
+
+  const open = focused && !dismissed && suggestions.length > 0;
+
+  const syncCaret = () => {
+    const input = inputRef.current;
+    if (!input) return;
+    setCaret(input.selectionStart ?? input.value.length);
+    if (overlayRef.current) overlayRef.current.scrollLeft = input.scrollLeft;
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    setDismissed(false);
+    setSelected(0);
+    setCaret(e.target.selectionStart ?? e.target.value.length);
+  };
+
+  const accept = (suggestion) => {
+    const { token } = suggestion;
+    const rest = value.slice(token.end);
+    const next = value.slice(0, token.start) + suggestion.text + (suggestion.text.endsWith(' ') ? rest.replace(/^\s/, '') : rest);
+    const position = token.start + suggestion.text.length;
+    onChange(next);
+    setSelected(0);
+    setCaret(position);
+    requestAnimationFrame(() => {
+      inputRef.current?.setSelectionRange(position, position);
+      syncCaret();
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected((selected + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected((selected - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      accept(suggestions[Math.min(selected, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setDismissed(true);
+    }
+  };
+
+  // Token pieces plus the whitespace between them, for the highlight layer
+  const highlighted = [];
+  let position = 0;
+  tokens.forEach((token, index) => {
+    if (token.start > position) highlighted.push({ key: `s${index}`, text: value.slice(position, token.start) });
+    tokenParts(token, error?.position).forEach((part, i) => highlighted.push({ key: `${index}-${i}`, ...part }));
+    position = token.end;
+  });
+  if (position < value.length) highlighted.push({ key: 'end', text: value.slice(position) });
+
+  return (
+    <div>
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-500 z-10" />
+        <input
+          ref={inputRef}
+          type="text"
+          spellCheck={false}
+          placeholder='service:api level:>=WARN "pool exhausted" -healthcheck last:15m'
+          value={value}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onKeyUp={syncCaret}
+          onClick={syncCaret}
+          onSelect={syncCaret}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          className="input-glass w-full pl-10 pr-10 py-2.5 font-mono text-sm"
+          style={{ color: 'transparent', caretColor: '#F1F5F9' }}
+        />
+        <div
+          ref={overlayRef}
+          aria-hidden="true"
+          className="absolute inset-0 pl-10 pr-10 py-2.5 border border-transparent font-mono text-sm whitespace-pre overflow-hidden pointer-events-none"
+        >
+          {highlighted.map(part => (
+            <span key={part.key} className={part.className}>{part.text}</span>
+          ))}
+        </div>
+        {value && (
+          <button
+            onClick={() => onChange('')}
+            className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-500 hover:text-white"
+            title="Clear query"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+
+        {open && (
+          <div className="absolute left-0 right-0 top-full mt-1 z-20 rounded-lg border border-white/10 bg-navy-800 shadow-glass overflow-hidden">
+            {suggestions.map((suggestion, index) => (
+              <button
+                key={suggestion.label}
+                // mousedown keeps the input focused
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  accept(suggestion);
+                }}
+                className={`w-full flex items-center justify-between px-3 py-1.5 text-left text-sm ${
+                  index === selected ? 'bg-electric-500/20 text-white' : 'text-slate-300 hover:bg-white/5'
+                }`}
+              >
+                <span className="font-mono">{suggestion.label}</span>
+                <span className="text-xs text-slate-500">{suggestion.hint}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="mt-2 flex items-center gap-2 text-xs text-cyber-red">
+          <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+          <span>{error.message}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QueryBar;
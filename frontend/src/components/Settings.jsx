@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Settings as SettingsIcon, X, Plus, Trash2, RefreshCw, Server, CheckCircle, AlertCircle } from 'lucide-react';
+import { Settings as SettingsIcon, X, Plus, Trash2, RefreshCw, Server, CheckCircle, AlertCircle, FileText, Radio } from 'lucide-react';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
@@ -8,6 +8,7 @@ function Settings({ isOpen, onClose }) {
   const [manualServices, setManualServices] = useState([]);
   const [patterns, setPatterns] = useState([]);
   const [discoveredServices, setDiscoveredServices] = useState([]);
+  const [sources, setSources] = useState({ files: [], syslog: { listeners: [], senders: [] } });
   const [newService, setNewService] = useState('');
   const [newPattern, setNewPattern] = useState('');
   const [loading, setLoading] = useState(false);
@@ -32,6 +33,7 @@ function Settings({ isOpen, onClose }) {
       setManualServices(data.manualServices || []);
       setPatterns(data.servicePatterns || []);
       setDiscoveredServices(data.discoveredServices || []);
+      if (data.sources) setSources(data.sources);
       setError(null);
     } catch (err) {
       setError('Failed to fetch configuration');
@@ -182,8 +184,8 @@ function Settings({ isOpen, onClose }) {
             <label className="block text-sm font-medium text-white mb-3">
               Discovery Mode
             </label>
-            <div className="grid grid-cols-3 gap-3">
-              {['auto', 'manual', 'pattern'].map((m) => (
+            <div className="grid grid-cols-4 gap-3">
+              {['auto', 'manual', 'pattern', 'kubernetes'].map((m) => (
                 <button
                   key={m}
                   onClick={() => setMode(m)}
@@ -201,6 +203,7 @@ function Settings({ isOpen, onClose }) {
               {mode === 'auto' && 'Automatically discover all running containers'}
               {mode === 'manual' && 'Manually specify container names to monitor'}
               {mode === 'pattern' && 'Use regex patterns to match container names'}
+              {mode === 'kubernetes' && 'Follow pod logs through the Kubernetes API (configured with KUBE_* variables)'}
             </p>
           </div>
 
@@ -334,6 +337,38 @@ function Settings({ isOpen, onClose }) {
             </div>
           </div>
 
+          {/* File and Syslog Sources */}
+          {(sources.files.length > 0 || sources.syslog.listeners.length > 0) && (
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-white mb-3">
+                File &amp; Syslog Sources
+              </label>
+              <div className="bg-white/5 rounded-xl p-4 max-h-48 overflow-y-auto border border-white/10 space-y-2">
+                {sources.files.map((file) => (
+                  <div key={file.container} className="flex items-center gap-2 text-sm">
+                    <FileText className={`w-4 h-4 ${file.status === 'error' ? 'text-cyber-red' : 'text-slate-400'}`} />
+                    <span className="text-white font-mono truncate">{file.path}</span>
+                    <span className="text-slate-500 text-xs">({file.service}, {file.status})</span>
+                  </div>
+                ))}
+                {sources.syslog.listeners.map((listener) => (
+                  <div key={listener.protocol} className="flex items-center gap-2 text-sm">
+                    <Radio className={`w-4 h-4 ${listener.status === 'error' ? 'text-cyber-red' : 'text-slate-400'}`} />
+                    <span className="text-white font-mono">syslog {listener.protocol}/{listener.port}</span>
+                    <span className="text-slate-500 text-xs">({listener.status}, {listener.messagesReceived} messages)</span>
+                  </div>
+                ))}
+                {sources.syslog.senders.map((sender) => (
+                  <div key={sender.container} className="flex items-center gap-2 text-sm pl-6">
+                    <div className="w-2 h-2 bg-cyber-green rounded-full" />
+                    <span className="text-white font-mono">{sender.host}/{sender.service}</span>
+                    <span className="text-slate-500 text-xs">({sender.linesReceived} lines)</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {/* Instructions */}
           <div className="bg-electric-500/10 border border-electric-500/30 rounded-xl p-4">
             <h3 className="text-sm font-medium text-electric-400 mb-2">How to Connect Your Services</h3>
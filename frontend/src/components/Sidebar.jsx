@@ -10,13 +10,15 @@ import {
   Zap,
   ChevronLeft,
   ChevronRight,
-  Settings
+  Settings,
+  Network
 } from 'lucide-react';
 
 const navItems = [
   { path: '/', label: 'Dashboard', icon: LayoutDashboard },
   { path: '/insights', label: 'AI Insights', icon: Zap },
   { path: '/services', label: 'Services', icon: Server },
+  { path: '/topology', label: 'Topology', icon: Network },
   { path: '/logs', label: 'Logs', icon: FileText },
   { path: '/incidents', label: 'Incidents', icon: AlertTriangle },
   { path: '/export', label: 'Export', icon: Download },
@@ -0,0 +1,196 @@
+import React, { useMemo } from 'react';
+import {
+  ReactFlow,
+  Controls,
+  Background,
+  MiniMap,
+  useNodesState,
+  useEdgesState,
+  MarkerType,
+  Handle,
+  Position
+} from '@xyflow/react';
+import '@xyflow/react/dist/style.css';
+import { AlertCircle, Server, Database, Globe, Network } from 'lucide-react';
+
+// Custom node component
+function TopologyNode({ data }) {
+  const getBorderColor = () => {
+    if (data.isFailing) return 'border-red-500 shadow-red-500/30';
+    if (data.isSelected) return 'border-cyan-400 shadow-cyan-400/30';
+    return 'border-gray-600';
+  };
+
+  const getIcon = () => {
+    const serviceName = data.label.toLowerCase();
+    if (serviceName.includes('db') || serviceName.includes('database') || serviceName.includes('postgres') || serviceName.includes('redis')) {
+      return <Database className="w-5 h-5" />;
+    }
+    if (data.dependents === 0 && data.dependencies > 0) {
+      return <Globe className="w-5 h-5" />;
+    }
+    return <Server className="w-5 h-5" />;
+  };
+
+  return (
+    <div
+      className={`
+        px-4 py-3 rounded-lg border-2 bg-dark-800 min-w-[160px]
+        ${getBorderColor()}
+        ${data.isFailing ? 'shadow-lg' : 'shadow-md'}
+        transition-all
+      `}
+    >
+      <Handle type="target" position={Position.Left} className="!bg-gray-500 !border-0" />
+      <div className="flex items-center gap-2">
+        <div className={data.isFailing ? 'text-red-400' : 'text-gray-400'}>
+          {getIcon()}
+        </div>
+        <span className="text-sm font-medium text-white">{data.label}</span>
+        {data.isFailing && <AlertCircle className="w-4 h-4 text-red-400" />}
+      </div>
+      <div className="mt-1 text-xs text-gray-400">
+        {data.logs.toLocaleString()} logs · {data.errors.toLocaleString()} errors
+      </div>
+      <Handle type="source" position={Position.Right} className="!bg-gray-500 !border-0" />
+    </div>
+  );
+}
+
+const nodeTypes = {
+  topologyNode: TopologyNode
+};
+
+/**
+ * Assign each service a column: callers on the left, their dependencies to the right
+ */
+function layoutColumns(services, edges) {
+  const depth = new Map(services.map(s => [s, 0]));
+
+  // Longest-path layering; bounded by the node count so cycles cannot loop forever
+  for (let i = 0; i < services.length; i++) {
+    let changed = false;
+    for (const edge of edges) {
+      const next = (depth.get(edge.source) || 0) + 1;
+      if (next > (depth.get(edge.target) || 0) && next < services.length) {
+        depth.set(edge.target, next);
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  return depth;
+}
+
+function TopologyGraph({ topology, failingServices = [], selectedService, onSelectService }) {
+  const { nodes: initialNodes, edges: initialEdges } = useMemo(() => {
+    if (!topology || topology.nodes.length === 0) {
+      return { nodes: [], edges: [] };
+    }
+
+    const failing = new Set(failingServices);
+    const services = topology.nodes.map(n => n.id);
+    const depth = layoutColumns(services, topology.edges);
+
+    // Stack the services of each column vertically
+    const rowInColumn = new Map();
+    const nodes = topology.nodes.map(node => {
+      const column = depth.get(node.id) || 0;
+      const row = rowInColumn.get(column) || 0;
+      rowInColumn.set(column, row + 1);
+
+      return {
+        id: node.id,
+        type: 'topologyNode',
+        position: { x: 50 + column * 280, y: 50 + row * 110 },
+        data: {
+          label: node.id,
+          logs: node.logs || 0,
+          errors: node.errors || 0,
+          dependencies: node.dependencies.length,
+          dependents: node.dependents.length,
+          isFailing: failing.has(node.id),
+          isSelected: node.id === selectedService
+        }
+      };
+    });
+
+    const maxWeight = Math.max(...topology.edges.map(e => e.weight), 1);
+
+    const edges = topology.edges.map(edge => {
+      // Errors flowing along a dependency are drawn in red
+      const isFailing = failing.has(edge.target);
+      const color = isFailing ? '#ef4444' : '#64748b';
+      const strongest = Object.entries(edge.evidence).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+      return {
+        id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        animated: isFailing,
+        style: { stroke: color, strokeWidth: 1 + 3 * (edge.weight / maxWeight) },
+        markerEnd: {
+          type: MarkerType.ArrowClosed,
+          color
+        },
+        label: strongest,
+        labelStyle: { fill: '#94a3b8', fontSize: 10 },
+        labelBgStyle: { fill: '#0d1117' }
+      };
+    });
+
+    return { nodes, edges };
+  }, [topology, failingServices, selectedService]);
+
+  const [nodes, setNodes, onNodesChange] = useNodesState(initialNodes);
+  const [edges, setEdges, onEdgesChange] = useEdgesState(initialEdges);
+
+  // Update when the topology changes
+  React.useEffect(() => {
+    setNodes(initialNodes);
+    setEdges(initialEdges);
+  }, [initialNodes, initialEdges, setNodes, setEdges]);
+
+  if (initialNodes.length === 0) {
+    return (
+      <div className="h-[560px] flex items-center justify-center bg-dark-800 rounded-lg border border-dark-600">
+        <div className="text-center text-gray-500">
+          <Network className="w-8 h-8 mx-auto mb-2" />
+          <p className="text-sm">No dependencies learned yet</p>
+          <p className="text-xs mt-1">The graph fills in as services log calls, request IDs and traces</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="h-[560px] bg-dark-800 rounded-lg border border-dark-600 overflow-hidden">
+      <ReactFlow
+        nodes={nodes}
+        edges={edges}
+        onNodesChange={onNodesChange}
+        onEdgesChange={onEdgesChange}
+        onNodeClick={(_, node) => onSelectService?.(node.id)}
+        onPaneClick={() => onSelectService?.(null)}
+        nodeTypes={nodeTypes}
+        fitView
+        attributionPosition="bottom-left"
+        proOptions={{ hideAttribution: true }}
+      >
+        <Background color="#30363d" gap={16} />
+        <Controls
+          className="bg-dark-700 border-dark-600 rounded"
+          showInteractive={false}
+        />
+        <MiniMap
+          nodeColor={(n) => n.data?.isFailing ? '#ef4444' : '#64748b'}
+          maskColor="rgba(13, 17, 23, 0.8)"
+          className="bg-dark-800 border border-dark-600 rounded"
+        />
+      </ReactFlow>
+    </div>
+  );
+}
+
+export default TopologyGraph;
@@ -12,10 +12,17 @@ export function useSocket() {
   const [generatedFix, setGeneratedFix] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [isGeneratingFix, setIsGeneratingFix] = useState(false);
+  const [analysisJob, setAnalysisJob] = useState(null); // { jobId, status, position, progress }
+  const [analysisQueue, setAnalysisQueue] = useState(null);
+  const [incidentUpdate, setIncidentUpdate] = useState(null); // Latest incident-updated event
+  const [latestAlert, setLatestAlert] = useState(null); // Latest alert-fired event
+  const [latestAnomaly, setLatestAnomaly] = useState(null); // Latest anomaly-detected event
   const [notification, setNotification] = useState(null);
   const [error, setError] = useState(null);
 
   const logsRef = useRef([]);
+  const jobIdRef = useRef(null); // Analysis job this client is following
+  const tailFilterRef = useRef(null); // Live tail subscription, restored on reconnect
   const maxLogs = 500;
 
   // Initialize socket connection
@@ -31,6 +38,16 @@ export function useSocket() {
       console.log('[Socket] Connected');
       setConnected(true);
       setError(null);
+
+      // A reconnect starts a new server-side client that tails every log
+      if (tailFilterRef.current) {
+        socketInstance.emit('subscribe-logs', tailFilterRef.current, (response) => {
+          if (response?.logs) {
+            logsRef.current = response.logs;
+            setLogs([...response.logs]);
+          }
+        });
+      }
     });
 
     socketInstance.on('disconnect', (reason) => {
@@ -50,16 +67,15 @@ export function useSocket() {
         logsRef.current = state.logs;
         setLogs([...state.logs]);
       }
-      if (state.currentAnalysis) {
-        setCurrentAnalysis(state.currentAnalysis);
-      }
-      setIsAnalyzing(state.status?.isAnalyzing || false);
+      setAnalysisQueue(state.status?.analysisQueue || null);
     });
 
-    // Handle log batches
-    socketInstance.on('logs-batch', (newLogs) => {
+    // Handle log batches; the ack lets the server send the next one, and a
+    // batch may start with a { marker: 'skipped', count } entry
+    socketInstance.on('logs-batch', (newLogs, ack) => {
       logsRef.current = [...logsRef.current, ...newLogs].slice(-maxLogs);
       setLogs([...logsRef.current]);
+      if (typeof ack === 'function') ack();
     });
 
     // Handle metrics updates
@@ -69,6 +85,9 @@ export function useSocket() {
 
     // Handle error detection
     socketInstance.on('error-detected', (errorData) => {
+      // Further occurrences of an incident are counted on it, not announced again
+      if (errorData.incidentId && !errorData.newIncident) return;
+
       setNotification({
         type: 'error',
         title: 'Error Detected',
@@ -77,9 +96,55 @@ export function useSocket() {
       });
     });
 
-    // Handle analysis events
-    socketInstance.on('analysis-started', () => {
+    // Handle analysis events (only for the job this client started)
+    const isOwnJob = (jobId) => jobId && jobId === jobIdRef.current;
+
+    socketInstance.on('incident-updated', (incident) => {
+      setIncidentUpdate(incident);
+    });
+
+    socketInstance.on('alert-fired', (alert) => {
+      setLatestAlert(alert);
+      setNotification({
+        type: alert.severity === 'critical' ? 'error' : alert.severity,
+        title: `Alert: ${alert.ruleName}`,
+        message: alert.title,
+        timestamp: alert.firedAt
+      });
+    });
+
+    socketInstance.on('anomaly-detected', (anomaly) => {
+      setLatestAnomaly(anomaly);
+      if (anomaly.severity === 'critical') {
+        setNotification({
+          type: 'warning',
+          title: 'Anomaly Detected',
+          message: anomaly.message,
+          timestamp: anomaly.detected_at
+        });
+      }
+    });
+
+    socketInstance.on('analysis-queue-updated', (queue) => {
+      setAnalysisQueue(queue);
+    });
+
+    socketInstance.on('analysis-queued', ({ jobId, status, position }) => {
+      if (!isOwnJob(jobId)) return;
+      setAnalysisJob(prev => ({ ...prev, jobId, status, position }));
+      if (position > 1) {
+        setNotification({
+          type: 'info',
+          title: 'Analysis Queued',
+          message: `${position - 1} analysis${position > 2 ? 'es' : ''} ahead of yours`
+        });
+      }
+    });
+
+    socketInstance.on('analysis-started', ({ jobId }) => {
+      if (!isOwnJob(jobId)) return;
       setIsAnalyzing(true);
+      setAnalysisJob(prev => ({ ...prev, jobId, status: 'running', position: null }));
       setNotification({
         type: 'info',
         title: 'Analysis Started',
@@ -87,26 +152,27 @@ export function useSocket() {
       });
     });
 
-    socketInstance.on('analysis-progress', ({ step, message }) => {
-      setNotification({
-        type: 'info',
-        title: 'Analysis Progress',
-        message: `${step}: ${message}`
-      });
+    socketInstance.on('analysis-progress', ({ jobId, step, message, percent }) => {
+      if (!isOwnJob(jobId)) return;
+      setAnalysisJob(prev => ({ ...prev, jobId, progress: { step, message, percent } }));
     });
 
     socketInstance.on('correlation-complete', (data) => {
+      if (!isOwnJob(data.jobId)) return;
       setNotification({
         type: 'info',
         title: 'Correlation Complete',
-        message: `Found ${data.logCount} related logs across ${data.affectedServices.length} services`
+        message: `Found ${data.logCount} related logs across ${data.affectedServices.length} services` +
+          (data.strategy ? ` (${data.strategy}, ${Math.round(data.confidence * 100)}% confidence)` : '')
       });
     });
 
     socketInstance.on('analysis-complete', (analysis) => {
+      if (!isOwnJob(analysis.jobId)) return;
       console.log('[Socket] Analysis complete');
       setCurrentAnalysis(analysis);
       setIsAnalyzing(false);
+      setAnalysisJob(prev => ({ ...prev, status: 'completed' }));
       setNotification({
         type: 'success',
         title: 'Analysis Complete',
@@ -114,8 +180,10 @@ export function useSocket() {
       });
     });
 
-    socketInstance.on('analysis-error', ({ error }) => {
+    socketInstance.on('analysis-error', ({ jobId, error }) => {
+      if (jobId && !isOwnJob(jobId)) return;
       setIsAnalyzing(false);
+      setAnalysisJob(prev => prev && { ...prev, status: 'failed' });
       setError(error);
       setNotification({
         type: 'error',
@@ -124,6 +192,17 @@ export function useSocket() {
       });
     });
 
+    socketInstance.on('analysis-cancelled', ({ jobId }) => {
+      if (!isOwnJob(jobId)) return;
+      setIsAnalyzing(false);
+      setAnalysisJob(prev => ({ ...prev, status: 'cancelled' }));
+      setNotification({
+        type: 'info',
+        title: 'Analysis Cancelled',
+        message: 'The analysis was cancelled'
+      });
+    });
+
     // Handle targeted fix events
     socketInstance.on('targeted-fix-generated', (fix) => {
       console.log('[Socket] Targeted fix generated', fix);
@@ -134,21 +213,6 @@ export function useSocket() {
       });
     });
 
-    // Analysis blocked because previous one is still active
-    socketInstance.on('analysis-blocked', ({ reason }) => {
-      setIsAnalyzing(false);
-      setNotification({
-        type: 'info',
-        title: 'Analysis Locked',
-        message: reason
-      });
-    });
-
-    // Analysis dismissed by user
-    socketInstance.on('analysis-dismissed', () => {
-      console.log('[Socket] Analysis dismissed');
-    });
-
     // Handle fix generation events
     socketInstance.on('fix-generation-started', () => {
       setIsGeneratingFix(true);
@@ -209,6 +273,26 @@ export function useSocket() {
     }
   }, [socket]);
 
+  // Tail only logs matching { services, minLevel, levels, query }; null tails
+  // every log. Resolves to { filter, logs } or { error, position }
+  const subscribeLogs = useCallback((filter) => new Promise((resolve) => {
+    tailFilterRef.current = filter;
+    if (!socket || !socket.connected) {
+      resolve({ filter, logs: null });
+      return;
+    }
+
+    const event = filter ? 'subscribe-logs' : 'unsubscribe-logs';
+    const args = filter ? [filter] : [];
+    socket.emit(event, ...args, (response) => {
+      if (response?.logs) {
+        logsRef.current = response.logs;
+        setLogs([...response.logs]);
+      }
+      resolve(response || {});
+    });
+  }), [socket]);
+
   const requestMetrics = useCallback(() => {
     if (socket) {
       socket.emit('request-metrics');
@@ -221,7 +305,20 @@ export function useSocket() {
       setIsAnalyzing(true); // Set immediately for UI feedback
       setGeneratedFix(null); // Clear previous fix
       setCurrentAnalysis(null); // Clear previous analysis
-      socket.emit('trigger-analysis', errorId);
+
+      // Stop following the previous job; it keeps running for anyone else following it
+      if (jobIdRef.current) {
+        socket.emit('dismiss-analysis', jobIdRef.current);
+      }
+      jobIdRef.current = null;
+      setAnalysisJob(null);
+
+      socket.emit('trigger-analysis', errorId, (response) => {
+        if (response?.jobId) {
+          jobIdRef.current = response.jobId;
+          setAnalysisJob({ jobId: response.jobId, status: response.status, position: response.position, progress: null });
+        }
+      });
     } else {
       console.error('[Socket] No socket connection for trigger-analysis');
       setNotification({
@@ -236,7 +333,7 @@ export function useSocket() {
     if (socket) {
       console.log('[Socket] Emitting generate-fix');
       setIsGeneratingFix(true); // Set immediately for UI feedback
-      socket.emit('generate-fix');
+      socket.emit('generate-fix', { jobId: jobIdRef.current });
     } else {
       console.error('[Socket] No socket connection for generate-fix');
     }
@@ -246,12 +343,21 @@ export function useSocket() {
     setNotification(null);
   }, []);
 
+  const cancelAnalysis = useCallback(() => {
+    if (socket && jobIdRef.current) {
+      console.log('[Socket] Emitting cancel-analysis', jobIdRef.current);
+      socket.emit('cancel-analysis', jobIdRef.current);
+    }
+  }, [socket]);
+
   const clearAnalysis = useCallback(() => {
-    // Tell the server to unlock analysis
-    if (socket) {
+    // Stop following the job; the server keeps its result
+    if (socket && jobIdRef.current) {
       console.log('[Socket] Emitting dismiss-analysis');
-      socket.emit('dismiss-analysis');
+      socket.emit('dismiss-analysis', jobIdRef.current);
     }
+    jobIdRef.current = null;
+    setAnalysisJob(null);
     setCurrentAnalysis(null);
     setGeneratedFix(null);
     setIsAnalyzing(false);
@@ -267,12 +373,19 @@ export function useSocket() {
     generatedFix,
     isAnalyzing,
     isGeneratingFix,
+    analysisJob,
+    analysisQueue,
+    incidentUpdate,
+    latestAlert,
+    latestAnomaly,
     notification,
     error,
     requestLogs,
+    subscribeLogs,
     requestMetrics,
     triggerAnalysis,
     generateFix,
+    cancelAnalysis,
     clearNotification,
     clearAnalysis
   };
@@ -29,6 +29,9 @@ function Dashboard({connected,
   isGeneratingFix,
   triggerAnalysis,
   generateFix,
+  analysisJob,
+  cancelAnalysis,
+  latestAnomaly,
   clearAnalysis, errorHistory = []}) {
   const navigate = useNavigate();
   const [showErrorPanel, setShowErrorPanel] = useState(false);
@@ -251,6 +254,7 @@ function Dashboard({connected,
             metrics={metrics}
             metricsHistory={metricsHistory}
             logs={logs}
+            latestAnomaly={latestAnomaly}
           />
         </section>
       </div>
@@ -276,7 +280,9 @@ function Dashboard({connected,
           generatedFix={generatedFix}
           isAnalyzing={isAnalyzing}
           isGeneratingFix={isGeneratingFix}
+          analysisJob={analysisJob}
           onGenerateFix={generateFix}
+          onCancelAnalysis={cancelAnalysis}
           onDismiss={handleDismissPanel}
         />
       )}
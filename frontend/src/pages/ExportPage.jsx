@@ -3,6 +3,12 @@ import { Download, FileText, Database, Clock, Calendar, CheckCircle, AlertCircle
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
+const STORAGE_LABELS = {
+  supabase: 'Supabase',
+  sqlite: 'SQLite',
+  'in-memory': 'In-Memory'
+};
+
 function ExportPage({ logs, metrics, metricsHistory }) {
   const [exportFormat, setExportFormat] = useState('json');
   const [dateRange, setDateRange] = useState('all');
@@ -91,10 +97,12 @@ function ExportPage({ logs, metrics, metricsHistory }) {
       // For local data exports (logs, metrics, history)
       let data;
       let filename;
+      // Without the live tail's "logs skipped" markers
+      const sessionLogs = logs.filter(l => !l.marker);
 
       switch (exportType) {
         case 'logs':
-          data = logs;
+          data = sessionLogs;
           filename = `loglens-logs-${new Date().toISOString().split('T')[0]}`;
           break;
         case 'metrics':
@@ -106,7 +114,7 @@ function ExportPage({ logs, metrics, metricsHistory }) {
           filename = `loglens-history-${new Date().toISOString().split('T')[0]}`;
           break;
         default:
-          data = { logs, metrics, metricsHistory };
+          data = { logs: sessionLogs, metrics, metricsHistory };
           filename = `loglens-export-${new Date().toISOString().split('T')[0]}`;
       }
 
@@ -172,7 +180,7 @@ function ExportPage({ logs, metrics, metricsHistory }) {
           <div className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/5 border border-white/10">
             <Database className="w-4 h-4 text-electric-400" />
             <span className="text-sm text-slate-300">
-              {dbStats.mode === 'supabase' ? 'Supabase' : 'In-Memory'}: {dbStats.totalLogs} logs, {dbStats.errorCount} errors
+              {STORAGE_LABELS[dbStats.mode] || dbStats.mode}: {dbStats.totalLogs} logs, {dbStats.errorCount} errors
             </span>
           </div>
         )}
@@ -373,11 +381,11 @@ function ExportPage({ logs, metrics, metricsHistory }) {
               </div>
             </div>
 
-            {dbStats?.mode === 'supabase' && (
+            {dbStats?.mode && dbStats.mode !== 'in-memory' && (
               <div className="p-3 bg-emerald-500/10 rounded-xl border border-emerald-500/20">
                 <div className="flex items-center gap-2 text-sm text-emerald-400">
                   <History className="w-4 h-4" />
-                  <span>Full historical data available via Supabase</span>
+                  <span>Full historical data available via {STORAGE_LABELS[dbStats.mode] || dbStats.mode}</span>
                 </div>
               </div>
             )}
@@ -1,44 +1,136 @@
-import React, { useState } from 'react';
-import { AlertTriangle, Clock, CheckCircle, AlertCircle, Search, Filter, Zap } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import {
+  AlertTriangle, Clock, CheckCircle, AlertCircle, Search, Filter, Zap,
+  RefreshCw, ChevronDown, ChevronRight, Activity, Shield, Wrench, FileCode, History, Layers, Fingerprint
+} from 'lucide-react';
+import GroupingRules from '../components/GroupingRules';
 
-function IncidentsPage({ logs, triggerAnalysis }) {
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+const STATUSES = ['open', 'investigating', 'mitigated', 'resolved'];
+
+// Status actions offered per status (LogDatabase also allows moving back to open)
+const TRANSITIONS = {
+  open: ['investigating', 'mitigated', 'resolved'],
+  investigating: ['mitigated', 'resolved'],
+  mitigated: ['investigating', 'resolved'],
+  resolved: ['open']
+};
+
+const STATUS_CONFIG = {
+  open: { badge: 'badge-error', icon: AlertCircle, label: 'Open', action: 'Reopen' },
+  investigating: { badge: 'badge-warning', icon: Activity, label: 'Investigating', action: 'Investigate' },
+  mitigated: { badge: 'badge-info', icon: Shield, label: 'Mitigated', action: 'Mitigate' },
+  resolved: { badge: 'badge-success', icon: CheckCircle, label: 'Resolved', action: 'Resolve' }
+};
+
+const SEVERITY_BADGES = {
+  critical: 'badge-error',
+  high: 'badge-error',
+  medium: 'badge-warning',
+  low: 'badge-info'
+};
+
+function IncidentsPage({ currentAnalysis, incidentUpdate, triggerAnalysis }) {
+  const [incidents, setIncidents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [showRules, setShowRules] = useState(false);
+
+  const fetchIncidents = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/incidents?limit=200`);
+      if (res.ok) {
+        const data = await res.json();
+        setIncidents(data.incidents);
+        setTotal(data.total);
+      }
+    } catch (e) {
+      console.error('Failed to fetch incidents:', e);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchIncidents();
+    const interval = setInterval(fetchIncidents, 15000);
+    return () => clearInterval(interval);
+  }, []);
 
-  // Get error and warning logs as incidents
-  const incidents = logs
-    .filter(l => ['ERROR', 'CRITICAL', 'WARN'].includes(l.level))
-    .map((log, index) => ({
-      id: log.id || index,
-      level: log.level,
-      service: log.service,
-      message: log.message,
-      timestamp: log.timestamp,
-      resolved: false
-    }))
-    .reverse();
+  // A finished analysis opens or updates an incident
+  useEffect(() => {
+    if (currentAnalysis?.incidentId) fetchIncidents();
+  }, [currentAnalysis?.incidentId]);
+
+  // Live occurrence counts from error clustering
+  useEffect(() => {
+    if (!incidentUpdate) return;
+
+    if (incidentUpdate.created || !incidents.some(i => i.id === incidentUpdate.id)) {
+      fetchIncidents();
+      return;
+    }
+
+    setIncidents(prev => prev.map(i => (i.id === incidentUpdate.id ? {
+      ...i,
+      status: incidentUpdate.status,
+      severity: incidentUpdate.severity,
+      error_count: incidentUpdate.errorCount,
+      services: incidentUpdate.services,
+      last_seen: incidentUpdate.lastSeen
+    } : i)));
+  }, [incidentUpdate]);
+
+  const changeStatus = async (incident, status) => {
+    setUpdatingId(incident.id);
+    setError(null);
+
+    try {
+      const res = await fetch(`${API_URL}/api/incidents/${incident.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+      const data = await res.json();
+
+      if (res.ok) {
+        setIncidents(prev => prev.map(i => (i.id === data.id ? data : i)));
+      } else {
+        setError(data.error || 'Failed to update incident');
+      }
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
 
   // Filter incidents
   const filteredIncidents = incidents.filter(incident => {
-    const matchesFilter = filter === 'all' ||
-      (filter === 'errors' && ['ERROR', 'CRITICAL'].includes(incident.level)) ||
-      (filter === 'warnings' && incident.level === 'WARN');
-
-    const matchesSearch = incident.message.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      incident.service.toLowerCase().includes(searchQuery.toLowerCase());
+    const matchesFilter = filter === 'all' || incident.status === filter;
+    const q = searchQuery.toLowerCase();
+    const matchesSearch = incident.title.toLowerCase().includes(q) ||
+      incident.services.some(s => s.toLowerCase().includes(q));
 
     return matchesFilter && matchesSearch;
   });
 
-  const errorCount = incidents.filter(i => ['ERROR', 'CRITICAL'].includes(i.level)).length;
-  const warningCount = incidents.filter(i => i.level === 'WARN').length;
+  const countByStatus = (status) => incidents.filter(i => i.status === status).length;
 
   const formatTime = (timestamp) => {
+    if (!timestamp) return '—';
     const date = new Date(timestamp);
-    return date.toLocaleTimeString('en-US', {
+    return date.toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
       hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
+      minute: '2-digit'
     });
   };
 
@@ -51,18 +143,25 @@ function IncidentsPage({ logs, triggerAnalysis }) {
       ?.join(' ') || 'Unknown';
   };
 
-  const getLevelConfig = (level) => {
-    switch (level) {
-      case 'CRITICAL':
-        return { color: 'cyber-red', bg: 'bg-cyber-red/20', icon: AlertCircle, label: 'Critical' };
-      case 'ERROR':
-        return { color: 'cyber-red', bg: 'bg-cyber-red/20', icon: AlertCircle, label: 'Error' };
-      case 'WARN':
-        return { color: 'cyber-yellow', bg: 'bg-cyber-yellow/20', icon: AlertTriangle, label: 'Warning' };
-      default:
-        return { color: 'slate-400', bg: 'bg-slate-400/20', icon: AlertCircle, label: level };
+  // Full class names so Tailwind keeps them
+  const summaryCards = [
+    {
+      label: 'Open', value: countByStatus('open'), hint: 'Needs attention', icon: AlertCircle,
+      border: 'border-cyber-red', overlay: 'bg-cyber-red/5', iconBox: 'bg-cyber-red/20 ring-cyber-red/30', text: 'text-cyber-red'
+    },
+    {
+      label: 'In Progress', value: countByStatus('investigating') + countByStatus('mitigated'), hint: 'Investigating or mitigated', icon: Activity,
+      border: 'border-cyber-yellow', overlay: 'bg-cyber-yellow/5', iconBox: 'bg-cyber-yellow/20 ring-cyber-yellow/30', text: 'text-cyber-yellow'
+    },
+    {
+      label: 'Resolved', value: countByStatus('resolved'), hint: 'Fixed', icon: CheckCircle,
+      border: 'border-cyber-green', overlay: 'bg-cyber-green/5', iconBox: 'bg-cyber-green/20 ring-cyber-green/30', text: 'text-cyber-green'
+    },
+    {
+      label: 'Total Incidents', value: total, hint: 'All time', icon: Clock,
+      border: 'border-cyan-500', overlay: 'bg-cyan-500/5', iconBox: 'bg-cyan-500/20 ring-cyan-500/30', text: 'text-cyan-400'
     }
-  };
+  ];
 
   return (
     <div className="space-y-6 animate-fade-in">
@@ -75,73 +174,45 @@ function IncidentsPage({ logs, triggerAnalysis }) {
           </h1>
           <p className="text-slate-400 mt-1">Track and resolve system incidents</p>
         </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowRules(!showRules)}
+            className={`btn-glass py-2 px-3 text-sm flex items-center gap-2 ${showRules ? 'border-electric-500/50' : ''}`}
+          >
+            <Layers className="w-4 h-4" />
+            Grouping Rules
+          </button>
+          <button onClick={fetchIncidents} className="btn-glass py-2 px-3 text-sm flex items-center gap-2">
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
       </div>
 
+      {showRules && <GroupingRules services={[...new Set(incidents.flatMap(i => i.services))]} />}
+
       {/* Summary Cards */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-        <div className="metric-card group relative overflow-hidden border-l-4 border-cyber-red">
-          <div className="absolute inset-0 bg-cyber-red/5 opacity-0 group-hover:opacity-100 transition-opacity" />
-          <div className="relative">
-            <div className="flex items-center gap-3 mb-3">
-              <div className="w-10 h-10 rounded-xl bg-cyber-red/20 flex items-center justify-center ring-1 ring-cyber-red/30">
-                <AlertCircle className="w-5 h-5 text-cyber-red" />
-              </div>
-              <div>
-                <p className="text-sm font-medium text-white">Errors</p>
-                <span className="text-xs text-cyber-red">{errorCount > 0 ? 'Needs attention' : 'None'}</span>
-              </div>
-            </div>
-            <p className="text-3xl font-bold text-cyber-red">{errorCount}</p>
-          </div>
-        </div>
-
-        <div className="metric-card group relative overflow-hidden border-l-4 border-cyber-yellow">
-          <div className="absolute inset-0 bg-cyber-yellow/5 opacity-0 group-hover:opacity-100 transition-opacity" />
-          <div className="relative">
-            <div className="flex items-center gap-3 mb-3">
-              <div className="w-10 h-10 rounded-xl bg-cyber-yellow/20 flex items-center justify-center ring-1 ring-cyber-yellow/30">
-                <AlertTriangle className="w-5 h-5 text-cyber-yellow" />
-              </div>
-              <div>
-                <p className="text-sm font-medium text-white">Warnings</p>
-                <span className="text-xs text-cyber-yellow">{warningCount > 0 ? 'Review soon' : 'None'}</span>
-              </div>
-            </div>
-            <p className="text-3xl font-bold text-cyber-yellow">{warningCount}</p>
-          </div>
-        </div>
-
-        <div className="metric-card group relative overflow-hidden border-l-4 border-cyber-green">
-          <div className="absolute inset-0 bg-cyber-green/5 opacity-0 group-hover:opacity-100 transition-opacity" />
-          <div className="relative">
-            <div className="flex items-center gap-3 mb-3">
-              <div className="w-10 h-10 rounded-xl bg-cyber-green/20 flex items-center justify-center ring-1 ring-cyber-green/30">
-                <CheckCircle className="w-5 h-5 text-cyber-green" />
-              </div>
-              <div>
-                <p className="text-sm font-medium text-white">Resolved</p>
-                <span className="text-xs text-cyber-green">Fixed</span>
-              </div>
-            </div>
-            <p className="text-3xl font-bold text-cyber-green">0</p>
-          </div>
-        </div>
-
-        <div className="metric-card group relative overflow-hidden border-l-4 border-cyan-500">
-          <div className="absolute inset-0 bg-cyan-500/5 opacity-0 group-hover:opacity-100 transition-opacity" />
-          <div className="relative">
-            <div className="flex items-center gap-3 mb-3">
-              <div className="w-10 h-10 rounded-xl bg-cyan-500/20 flex items-center justify-center ring-1 ring-cyan-500/30">
-                <Clock className="w-5 h-5 text-cyan-400" />
-              </div>
-              <div>
-                <p className="text-sm font-medium text-white">Total Incidents</p>
-                <span className="text-xs text-cyan-400">All time</span>
+        {summaryCards.map(card => {
+          const Icon = card.icon;
+          return (
+            <div key={card.label} className={`metric-card group relative overflow-hidden border-l-4 ${card.border}`}>
+              <div className={`absolute inset-0 ${card.overlay} opacity-0 group-hover:opacity-100 transition-opacity`} />
+              <div className="relative">
+                <div className="flex items-center gap-3 mb-3">
+                  <div className={`w-10 h-10 rounded-xl flex items-center justify-center ring-1 ${card.iconBox}`}>
+                    <Icon className={`w-5 h-5 ${card.text}`} />
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-white">{card.label}</p>
+                    <span className={`text-xs ${card.text}`}>{card.hint}</span>
+                  </div>
+                </div>
+                <p className={`text-3xl font-bold ${card.label === 'Total Incidents' ? 'text-white' : card.text}`}>{card.value}</p>
               </div>
             </div>
-            <p className="text-3xl font-bold text-white">{incidents.length}</p>
-          </div>
-        </div>
+          );
+        })}
       </div>
 
       {/* Filters */}
@@ -160,7 +231,7 @@ function IncidentsPage({ logs, triggerAnalysis }) {
         <div className="flex items-center gap-2">
           <Filter className="w-4 h-4 text-slate-400" />
           <div className="flex items-center bg-white/5 rounded-lg p-1">
-            {['all', 'errors', 'warnings'].map(f => (
+            {['all', ...STATUSES].map(f => (
               <button
                 key={f}
                 onClick={() => setFilter(f)}
@@ -177,55 +248,93 @@ function IncidentsPage({ logs, triggerAnalysis }) {
         </div>
       </div>
 
+      {error && (
+        <div className="p-3 rounded-lg flex items-center gap-2 text-sm bg-cyber-red/20 text-cyber-red">
+          <AlertCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
       {/* Incidents List */}
       <div className="glass-card overflow-hidden">
         {filteredIncidents.length > 0 ? (
           <div className="divide-y divide-white/5">
             {filteredIncidents.map((incident) => {
-              const config = getLevelConfig(incident.level);
+              const config = STATUS_CONFIG[incident.status];
               const Icon = config.icon;
+              const expanded = expandedId === incident.id;
 
               return (
-                <div
-                  key={incident.id}
-                  className="p-4 hover:bg-white/5 transition-colors group"
-                >
+                <div key={incident.id} className="p-4 hover:bg-white/5 transition-colors group">
                   <div className="flex items-start gap-4">
                     {/* Icon */}
-                    <div className={`w-10 h-10 rounded-xl ${config.bg} flex items-center justify-center flex-shrink-0`}>
-                      <Icon className={`w-5 h-5 text-${config.color}`} />
+                    <div className="w-10 h-10 rounded-xl bg-white/5 flex items-center justify-center flex-shrink-0">
+                      <Icon className="w-5 h-5 text-slate-300" />
                     </div>
 
                     {/* Content */}
                     <div className="flex-1 min-w-0">
-                      <div className="flex items-center gap-3 mb-1">
-                        <span className={`badge badge-${incident.level === 'WARN' ? 'warning' : 'error'}`}>
-                          {config.label}
-                        </span>
-                        <span className="badge badge-info">
-                          {formatServiceName(incident.service)}
+                      <div className="flex items-center gap-2 mb-1 flex-wrap">
+                        <span className={`badge ${config.badge}`}>{config.label}</span>
+                        <span className={`badge ${SEVERITY_BADGES[incident.severity] || 'badge-info'}`}>
+                          {incident.severity}
                         </span>
+                        {incident.services.map(service => (
+                          <span key={service} className="badge badge-info">
+                            {formatServiceName(service)}
+                          </span>
+                        ))}
                       </div>
 
-                      <p className="text-sm text-white font-mono line-clamp-2">
-                        {incident.message}
-                      </p>
+                      <button
+                        onClick={() => setExpandedId(expanded ? null : incident.id)}
+                        className="text-left text-sm text-white font-mono line-clamp-2 flex items-start gap-1"
+                      >
+                        {expanded ? <ChevronDown className="w-4 h-4 mt-0.5 flex-shrink-0" /> : <ChevronRight className="w-4 h-4 mt-0.5 flex-shrink-0" />}
+                        {incident.title}
+                      </button>
 
                       <div className="flex items-center gap-2 mt-2 text-xs text-slate-500">
                         <Clock className="w-3 h-3" />
-                        <span>{formatTime(incident.timestamp)}</span>
+                        <span>First seen {formatTime(incident.first_seen)}</span>
+                        <span>·</span>
+                        <span>Last seen {formatTime(incident.last_seen)}</span>
+                        <span>·</span>
+                        <span>{incident.error_count} error{incident.error_count === 1 ? '' : 's'}</span>
+                        {incident.first_seen_service && (
+                          <>
+                            <span>·</span>
+                            <span>Started in {formatServiceName(incident.first_seen_service)}</span>
+                          </>
+                        )}
                       </div>
                     </div>
 
-                    {/* Action */}
-                    <button
-                      onClick={() => triggerAnalysis(incident.id)}
-                      className="btn-glass py-2 px-3 text-sm opacity-0 group-hover:opacity-100 transition-opacity flex items-center gap-2"
-                    >
-                      <Zap className="w-4 h-4 text-cyber-yellow" />
-                      Analyze
-                    </button>
+                    {/* Actions */}
+                    <div className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
+                      {TRANSITIONS[incident.status].map(status => (
+                        <button
+                          key={status}
+                          onClick={() => changeStatus(incident, status)}
+                          disabled={updatingId === incident.id}
+                          className="btn-glass py-2 px-3 text-sm"
+                        >
+                          {STATUS_CONFIG[status].action}
+                        </button>
+                      ))}
+                      {incident.last_error_id && (
+                        <button
+                          onClick={() => triggerAnalysis(incident.last_error_id)}
+                          className="btn-glass py-2 px-3 text-sm flex items-center gap-2"
+                        >
+                          <Zap className="w-4 h-4 text-cyber-yellow" />
+                          Analyze
+                        </button>
+                      )}
+                    </div>
                   </div>
+
+                  {expanded && <IncidentDetails incident={incident} formatTime={formatTime} />}
                 </div>
               );
             })}
@@ -234,7 +343,9 @@ function IncidentsPage({ logs, triggerAnalysis }) {
           <div className="p-12 text-center">
             <CheckCircle className="w-12 h-12 text-cyber-green mx-auto mb-4" />
             <h3 className="text-lg font-medium text-white mb-2">No incidents</h3>
-            <p className="text-slate-400">All systems are operating normally</p>
+            <p className="text-slate-400">
+              {incidents.length > 0 ? 'No incidents match the current filter' : 'All systems are operating normally'}
+            </p>
           </div>
         )}
       </div>
@@ -242,4 +353,119 @@ function IncidentsPage({ logs, triggerAnalysis }) {
   );
 }
 
+function IncidentDetails({ incident, formatTime }) {
+  const { analysis, code_location: codeLocation, correlation } = incident;
+  const [similarErrors, setSimilarErrors] = useState(null);
+
+  // Stored errors like the incident's: its own fingerprints and near misses that a grouping rule could merge
+  useEffect(() => {
+    const params = new URLSearchParams({ message: incident.title, limit: 8 });
+    if (incident.services.length === 1) params.set('service', incident.services[0]);
+
+    fetch(`${API_URL}/api/database/similar-errors?${params}`)
+      .then(res => (res.ok ? res.json() : []))
+      .then(setSimilarErrors)
+      .catch(() => setSimilarErrors([]));
+  }, [incident.id]);
+
+  return (
+    <div className="mt-4 ml-14 grid grid-cols-1 lg:grid-cols-2 gap-4 text-sm">
+      {/* Analysis */}
+      <div className="p-4 bg-white/5 rounded-lg space-y-2">
+        <p className="text-xs uppercase tracking-wide text-slate-500">Root cause</p>
+        {analysis ? (
+          <>
+            <p className="text-white">{analysis.rootCause}</p>
+            {analysis.technicalDetails && <p className="text-slate-400 text-xs">{analysis.technicalDetails}</p>}
+            {correlation && (
+              <p className="text-xs text-slate-500">
+                {correlation.totalRelatedLogs} related logs across {correlation.affectedServices.length} service{correlation.affectedServices.length === 1 ? '' : 's'}
+                {correlation.strategy && ` · ${correlation.strategy} correlation`}
+              </p>
+            )}
+            {codeLocation?.fileName && (
+              <p className="text-xs text-slate-400 flex items-center gap-1 font-mono">
+                <FileCode className="w-3 h-3" />
+                {codeLocation.filePath || codeLocation.fileName}
+                {codeLocation.lineNumber ? `:${codeLocation.lineNumber}` : ''}
+                {codeLocation.functionName ? ` · ${codeLocation.functionName}` : ''}
+              </p>
+            )}
+          </>
+        ) : (
+          <p className="text-slate-500">Not analyzed yet</p>
+        )}
+      </div>
+
+      {/* Fixes, modifications and resolutions */}
+      <div className="p-4 bg-white/5 rounded-lg space-y-2">
+        <p className="text-xs uppercase tracking-wide text-slate-500">Remediation</p>
+        {incident.fixes.length + incident.modifications.length + incident.resolutions.length === 0 && (
+          <p className="text-slate-500">No fixes yet</p>
+        )}
+        {incident.fixes.map((fix, index) => (
+          <p key={`fix-${index}`} className="text-xs text-slate-300 flex items-center gap-1">
+            <Wrench className="w-3 h-3 text-cyan-400" />
+            {fix.type === 'targeted' ? 'Targeted fix' : 'Fix'} generated for {fix.fileName || fix.filePath || 'unknown file'}
+            <span className="text-slate-500 ml-auto">{formatTime(fix.linked_at)}</span>
+          </p>
+        ))}
+        {incident.modifications.map((modification, index) => (
+          <p key={`mod-${index}`} className="text-xs text-slate-300 flex items-center gap-1">
+            <FileCode className="w-3 h-3 text-cyber-yellow" />
+            Applied to {modification.fileName || modification.filePath}
+            <span className="text-slate-500 ml-auto">{formatTime(modification.linked_at)}</span>
+          </p>
+        ))}
+        {incident.resolutions.map((resolution, index) => (
+          <p key={`res-${index}`} className="text-xs text-slate-300 flex items-center gap-1">
+            <CheckCircle className="w-3 h-3 text-cyber-green" />
+            {resolution.fixDescription || 'Resolution recorded'}
+            <span className="text-slate-500 ml-auto">{formatTime(resolution.linked_at)}</span>
+          </p>
+        ))}
+      </div>
+
+      {/* Errors grouped into the incident, and similar ones */}
+      <div className="p-4 bg-white/5 rounded-lg space-y-1 lg:col-span-2">
+        <p className="text-xs uppercase tracking-wide text-slate-500 flex items-center gap-1 mb-2">
+          <Fingerprint className="w-3 h-3" />
+          Fingerprints · {incident.error_hashes.length} in this incident
+        </p>
+        {similarErrors === null && <p className="text-xs text-slate-500">Loading similar errors...</p>}
+        {similarErrors?.length === 0 && <p className="text-xs text-slate-500">No similar stored errors</p>}
+        {similarErrors?.map(error => {
+          const inIncident = incident.error_hashes.includes(error.error_hash);
+          return (
+            <div key={error.error_hash} className="flex items-center gap-2 text-xs">
+              <span className="font-mono text-slate-500" title={error.error_hash}>{error.error_hash.slice(0, 8)}</span>
+              <span className={`badge ${inIncident ? 'badge-info' : 'badge-warning'}`}>
+                {inIncident ? 'In incident' : `${Math.round(error.similarity * 100)}% similar`}
+              </span>
+              <span className="text-slate-300 truncate flex-1 font-mono" title={error.message}>{error.message}</span>
+              <span className="text-slate-500 whitespace-nowrap">{error.service} · {error.occurrence_count || 1}×</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Status history */}
+      <div className="p-4 bg-white/5 rounded-lg space-y-1 lg:col-span-2">
+        <p className="text-xs uppercase tracking-wide text-slate-500 flex items-center gap-1 mb-2">
+          <History className="w-3 h-3" />
+          Status history
+        </p>
+        {incident.status_history.map((entry, index) => (
+          <p key={index} className="text-xs text-slate-400">
+            <span className="text-slate-500">{formatTime(entry.at)}</span>
+            {' '}
+            {entry.from ? `${STATUS_CONFIG[entry.from].label} → ${STATUS_CONFIG[entry.to].label}` : `Opened as ${STATUS_CONFIG[entry.to].label}`}
+            {entry.note && <span className="text-slate-500"> — {entry.note}</span>}
+          </p>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 export default IncidentsPage;
@@ -5,6 +5,7 @@ import {
   ArrowUpRight, ArrowDownRight, Minus, Target, Lightbulb, History,
   RefreshCw, AlertOctagon
 } from 'lucide-react';
+import PredictionAccuracy from '../components/PredictionAccuracy';
 
 const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
 
@@ -594,6 +595,9 @@ function InsightsPage({ metrics, metricsHistory, logs }) {
         )}
       </div>
 
+      {/* Prediction Accuracy */}
+      <PredictionAccuracy />
+
       {/* Historical Error Trends */}
       {errorTrends && errorTrends.byHour && errorTrends.byHour.length > 0 && (
         <div className="glass-card p-6">
@@ -1,9 +1,8 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   FileText,
   Filter,
-  Search,
   Download,
   Trash2,
   Info,
@@ -11,7 +10,8 @@ import {
   AlertCircle,
   CheckCircle,
   Play,
-  Pause
+  Pause,
+  Radio
 } from 'lucide-react';
 
 import LogStream from '../components/LogStream';
@@ -19,6 +19,62 @@ import LogFilters from '../components/LogFilters';
 import TimelinePlayer from '../components/TimelinePlayer';
 import ErrorPanel from '../components/ErrorPanel';
 import Settings from '../components/Settings';
+import QueryBar from '../components/QueryBar';
+import { parseLogQuery, matchesLogQuery } from '../utils/logQuery';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+// Deepest structured field path offered by the query bar autocomplete
+const MAX_FIELD_DEPTH = 3;
+// Stored logs fetched per scroll to the top
+const HISTORY_PAGE_SIZE = 100;
+// Quiet time after a filter change before the live tail is re-subscribed
+const SUBSCRIBE_DELAY_MS = 300;
+// Live logs kept under the loaded history
+const MAX_RETAINED_LOGS = 2000;
+const RETAINED_MARKER_ID = 'retained-skipped';
+
+const emptyHistory = { logs: [], cursor: null, hasMore: true, loading: false, total: null, totalExact: true, error: null };
+
+// Retained live logs plus the new ones; past MAX_RETAINED_LOGS the oldest are
+// dropped behind a "skipped" marker, so the gap under the history shows
+const retainLogs = (retained, added) => {
+  const marker = retained[0]?.id === RETAINED_MARKER_ID ? retained[0] : null;
+  const kept = [...(marker ? retained.slice(1) : retained), ...added];
+  const overflow = kept.length - MAX_RETAINED_LOGS;
+  if (overflow <= 0) return marker ? [marker, ...kept] : kept;
+
+  return [
+    {
+      id: RETAINED_MARKER_ID,
+      marker: 'skipped',
+      count: (marker?.count || 0) + overflow,
+      reason: 'Live logs dropped while older ones were shown'
+    },
+    ...kept.slice(overflow)
+  ];
+};
+
+// A stored log (/api/database/search) in the shape of a live one
+const fromStoredLog = (row) => ({
+  id: `stored-${row.id}`,
+  timestamp: new Date(row.timestamp).toISOString(),
+  service: row.service,
+  level: row.level,
+  message: row.message,
+  traceId: row.trace_id,
+  fields: row.fields,
+  duplicateCount: row.duplicate_count
+});
+
+// Dotted paths of the structured fields in a log (fields.user.id -> user.id)
+const fieldPaths = (fields, prefix = '', depth = 1) =>
+  Object.entries(fields || {}).flatMap(([key, value]) => {
+    const path = `${prefix}${key}`;
+    return value && typeof value === 'object' && !Array.isArray(value) && depth < MAX_FIELD_DEPTH
+      ? fieldPaths(value, `${path}.`, depth + 1)
+      : [path];
+  });
 
 function LogsView({
   connected,
@@ -30,7 +86,10 @@ function LogsView({
   isGeneratingFix,
   triggerAnalysis,
   generateFix,
-  clearAnalysis
+  analysisJob,
+  cancelAnalysis,
+  clearAnalysis,
+  subscribeLogs
 }) {
   const navigate = useNavigate();
   const [showErrorPanel, setShowErrorPanel] = useState(false);
@@ -47,32 +106,137 @@ function LogsView({
     timeRange: 'all'
   });
 
+  // Stored logs older than the live buffer, loaded by scrolling up
+  const [history, setHistory] = useState(emptyHistory);
+  // Live logs shown under the history; kept after the socket buffer drops them so no rows go missing
+  const [retainedLogs, setRetainedLogs] = useState(null);
+  // Bumped on every reset so responses for an earlier query are ignored
+  const historyGeneration = useRef(0);
+
   // Get unique services
   const availableServices = useMemo(() => {
     const services = new Set(logs.map(l => l.service).filter(Boolean));
     return Array.from(services);
   }, [logs]);
 
+  // Structured fields seen in the buffered logs, for autocomplete
+  const availableFields = useMemo(() => {
+    const paths = new Set(logs.flatMap(l => fieldPaths(l.fields)));
+    return Array.from(paths).sort();
+  }, [logs]);
+
+  // Parsed query; a query with a syntax error filters nothing until it is fixed
+  const parsedQuery = useMemo(() => {
+    try {
+      return { query: parseLogQuery(searchQuery), error: null };
+    } catch (error) {
+      return { query: null, error };
+    }
+  }, [searchQuery]);
+
+  // Have the server send only the logs these filters show; time ranges in the
+  // query still apply here
+  useEffect(() => {
+    if (!subscribeLogs || parsedQuery.error) return;
+    const timer = setTimeout(() => {
+      subscribeLogs({ services: filters.services, levels: filters.levels, query: searchQuery })
+        .then(response => {
+          if (response.error) console.error('Failed to subscribe to logs:', response.error);
+        });
+    }, SUBSCRIBE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [subscribeLogs, searchQuery, parsedQuery.error, filters.services, filters.levels]);
+
+  // Other pages tail every log
+  useEffect(() => () => subscribeLogs?.(null), [subscribeLogs]);
+
+  const resetHistory = () => {
+    historyGeneration.current++;
+    setHistory(emptyHistory);
+    setRetainedLogs(null);
+  };
+
+  // History was loaded for the previous query and filters
+  useEffect(resetHistory, [parsedQuery, filters.services, filters.levels]);
+
+  useEffect(() => {
+    setRetainedLogs(prev => {
+      if (!prev) return prev;
+      const known = new Set(prev.map(l => l.id));
+      const added = logs.filter(l => !known.has(l.id));
+      return added.length > 0 ? retainLogs(prev, added) : prev;
+    });
+  }, [logs]);
+
+  // Load the next page of stored logs: the first starts before the oldest live
+  // log, later ones follow the cursor of the previous page
+  const loadOlder = async () => {
+    if (history.loading || !history.hasMore || parsedQuery.error) return;
+
+    const generation = historyGeneration.current;
+    const live = retainedLogs || logs;
+    const oldestLive = live.find(l => !l.marker);
+    const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE });
+    if (searchQuery.trim()) params.set('q', searchQuery);
+    if (filters.services.length > 0) params.set('service', filters.services.join(','));
+    if (filters.levels.length > 0) params.set('level', filters.levels.join(','));
+    if (history.cursor) {
+      params.set('cursor', history.cursor);
+    } else if (oldestLive) {
+      params.set('before', oldestLive.timestamp);
+    }
+
+    setHistory(prev => ({ ...prev, loading: true, error: null }));
+    try {
+      const response = await fetch(`${API_URL}/api/database/search?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+      if (generation !== historyGeneration.current) return;
+
+      if (!retainedLogs) setRetainedLogs([...live]);
+      setHistory(prev => ({
+        logs: [...data.logs.map(fromStoredLog), ...prev.logs],
+        cursor: data.nextCursor,
+        hasMore: Boolean(data.nextCursor),
+        loading: false,
+        total: data.total ?? prev.total,
+        totalExact: data.totalExact ?? prev.totalExact,
+        error: null
+      }));
+    } catch (error) {
+      if (generation !== historyGeneration.current) return;
+      console.error('Failed to load older logs:', error);
+      setHistory(prev => ({ ...prev, loading: false, error: error.message }));
+    }
+  };
+
+  const historyLabel = history.error
+    ? history.error
+    : history.total !== null
+      ? `${history.logs.length.toLocaleString()} of ${history.totalExact ? '' : '~'}${history.total.toLocaleString()} stored`
+      : null;
+
   // Filter logs
   const filteredLogs = useMemo(() => {
-    let result = [...logs];
+    let result = history.logs.length > 0 ? [...history.logs, ...(retainedLogs || logs)] : [...logs];
 
-    // Filter by services
+    // Filter by services ("logs skipped" markers from the live tail stay in place)
     if (filters.services.length > 0) {
-      result = result.filter(l => filters.services.includes(l.service));
+      result = result.filter(l => l.marker || filters.services.includes(l.service));
     }
 
     // Filter by levels
     if (filters.levels.length > 0) {
-      result = result.filter(l => filters.levels.includes(l.level));
+      result = result.filter(l => l.marker || filters.levels.includes(l.level));
     }
 
-    // Filter by search query
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      result = result.filter(l =>
-        l.message?.toLowerCase().includes(query) ||
-        l.service?.toLowerCase().includes(query)
+    // Filter by the query (same language as /api/database/search)
+    const { query } = parsedQuery;
+    if (query) {
+      result = result.filter(l => l.marker ||
+        (!query.startDate || l.timestamp >= query.startDate) &&
+        (!query.endDate || l.timestamp <= query.endDate) &&
+        matchesLogQuery(l, query.terms)
       );
     }
 
@@ -83,11 +247,11 @@ function LogsView({
     }
 
     return result;
-  }, [logs, filters, searchQuery, timelinePosition]);
+  }, [logs, history.logs, retainedLogs, filters, parsedQuery, timelinePosition]);
 
   // Log statistics
   const stats = useMemo(() => {
-    const total = logs.length;
+    const total = logs.filter(l => !l.marker).length;
     const info = logs.filter(l => l.level === 'INFO').length;
     const warn = logs.filter(l => l.level === 'WARN').length;
     const error = logs.filter(l => ['ERROR', 'CRITICAL'].includes(l.level)).length;
@@ -115,7 +279,7 @@ function LogsView({
 
   // Export logs
   const handleExport = () => {
-    const content = filteredLogs.map(l =>
+    const content = filteredLogs.filter(l => !l.marker).map(l =>
       `[${l.timestamp}] [${l.service}] ${l.level}: ${l.message}`
     ).join('\n');
 
@@ -185,16 +349,25 @@ function LogsView({
         <div className="flex-1 flex flex-col min-w-0">
           {/* Search bar */}
           <div className="p-4 border-b border-white/5">
-            <div className="relative">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-500" />
-              <input
-                type="text"
-                placeholder="Search logs by message or service..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="input-glass w-full pl-10 pr-4 py-2.5"
-              />
-            </div>
+            <QueryBar
+              value={searchQuery}
+              onChange={setSearchQuery}
+              error={parsedQuery.error}
+              services={availableServices}
+              fieldNames={availableFields}
+            />
+            {history.logs.length > 0 && (
+              <div className="mt-2 flex items-center gap-2 text-xs text-slate-400">
+                <span>Showing {history.logs.length.toLocaleString()} stored logs before the live stream</span>
+                <button
+                  onClick={resetHistory}
+                  className="flex items-center gap-1 text-electric-400 hover:text-white transition-colors"
+                >
+                  <Radio className="w-3.5 h-3.5" />
+                  Back to live
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Log stream */}
@@ -203,6 +376,8 @@ function LogsView({
               logs={filteredLogs}
               onErrorClick={handleErrorClick}
               isPaused={!isPlaying}
+              onLoadOlder={loadOlder}
+              history={{ loading: history.loading, hasMore: history.hasMore, label: historyLabel }}
             />
           </div>
         </div>
@@ -222,6 +397,8 @@ function LogsView({
                 filters={filters}
                 onChange={setFilters}
                 availableServices={availableServices}
+                query={searchQuery}
+                onQueryChange={setSearchQuery}
               />
             </div>
 
@@ -279,7 +456,9 @@ function LogsView({
           generatedFix={generatedFix}
           isAnalyzing={isAnalyzing}
           isGeneratingFix={isGeneratingFix}
+          analysisJob={analysisJob}
           onGenerateFix={generateFix}
+          onCancelAnalysis={cancelAnalysis}
           onDismiss={handleDismissPanel}
         />
       )}
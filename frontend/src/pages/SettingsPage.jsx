@@ -19,10 +19,23 @@ import {
   Home,
   ArrowUp
 } from 'lucide-react';
+import LLMSettings from '../components/LLMSettings';
+import AlertRules from '../components/AlertRules';
+import AlertHistory from '../components/AlertHistory';
 
 const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
 
-function SettingsPage() {
+// Retention tiers reported by /api/database/stats (config.retention)
+const RETENTION_TIERS = [
+  { key: 'logsDays', label: 'Logs' },
+  { key: 'errorsDays', label: 'Errors' },
+  { key: 'metricsDays', label: 'Metrics' },
+  { key: 'predictionsDays', label: 'Predictions' },
+  { key: 'hourlyRollupDays', label: 'Hourly rollups' },
+  { key: 'dailyRollupDays', label: 'Daily rollups' }
+];
+
+function SettingsPage({ latestAlert }) {
   const [sourceConfig, setSourceConfig] = useState({
     mode: 'local',
     localPath: '../services',
@@ -37,6 +50,7 @@ function SettingsPage() {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [message, setMessage] = useState(null);
+  const [alertHistoryKey, setAlertHistoryKey] = useState(0);
   const [repos, setRepos] = useState([]);
   const [loadingRepos, setLoadingRepos] = useState(false);
 
@@ -173,7 +187,9 @@ function SettingsPage() {
       });
 
       if (res.ok) {
-        setMessage({ type: 'success', text: 'Database cleanup completed!' });
+        const data = await res.json();
+        const removed = Object.values(data.removed || {}).reduce((sum, count) => sum + count, 0);
+        setMessage({ type: 'success', text: `Database cleanup completed, ${removed.toLocaleString()} rows removed` });
         fetchDbStats();
       } else {
         const data = await res.json();
@@ -517,14 +533,21 @@ function SettingsPage() {
                   </span>
                 </div>
 
-                <div className="flex items-center justify-between text-sm">
-                  <span className="text-slate-400 flex items-center gap-2">
+                <div className="text-sm">
+                  <span className="text-slate-400 flex items-center gap-2 mb-2">
                     <Clock className="w-4 h-4" />
-                    Retention Period
-                  </span>
-                  <span className="text-white">
-                    {dbStats.retentionDays || 7} days
+                    Retention
                   </span>
+                  {dbStats.retention && (
+                    <div className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                      {RETENTION_TIERS.map(({ key, label }) => (
+                        <div key={key} className="flex items-center justify-between">
+                          <span className="text-slate-500">{label}</span>
+                          <span className="text-white">{dbStats.retention[key]} days</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
 
                 <div className="flex items-center justify-between text-sm">
@@ -542,7 +565,7 @@ function SettingsPage() {
                   className="btn-glass w-full flex items-center justify-center gap-2 text-cyber-yellow"
                 >
                   <Trash2 className="w-4 h-4" />
-                  Run Cleanup (Remove Old Logs)
+                  Run Cleanup (Apply Retention)
                 </button>
               </div>
             </div>
@@ -556,6 +579,13 @@ function SettingsPage() {
         </div>
       </div>
 
+      {/* AI Providers */}
+      <LLMSettings />
+
+      {/* Alerting */}
+      <AlertRules onHistoryChange={() => setAlertHistoryKey(key => key + 1)} />
+      <AlertHistory refreshKey={alertHistoryKey} latestAlert={latestAlert} />
+
       {/* Current Status Card */}
       {status && (
         <div className="glass-card p-6">
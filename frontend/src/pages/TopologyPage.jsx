@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Network, RefreshCw, Server, GitBranch, AlertCircle, ArrowRight } from 'lucide-react';
+import TopologyGraph from '../components/TopologyGraph';
+
+const API_URL = import.meta.env.VITE_API_URL || import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+
+// A service with an error this recent is drawn as failing
+const FAILING_WINDOW_MS = 5 * 60 * 1000;
+
+const EVIDENCE_LABELS = {
+  span: 'trace spans',
+  call: 'outbound calls',
+  'request-id': 'shared request IDs',
+  'error-order': 'error order'
+};
+
+function TopologyPage({ logs }) {
+  const [topology, setTopology] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showWeakLinks, setShowWeakLinks] = useState(false);
+  const [selectedService, setSelectedService] = useState(null);
+
+  const fetchTopology = async () => {
+    try {
+      const query = showWeakLinks ? '?minWeight=0' : '';
+      const res = await fetch(`${API_URL}/api/topology${query}`);
+      if (res.ok) {
+        setTopology(await res.json());
+      }
+    } catch (error) {
+      console.error('Failed to fetch topology:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTopology();
+    const interval = setInterval(fetchTopology, 15000);
+    return () => clearInterval(interval);
+  }, [showWeakLinks]);
+
+  // Services that logged an error recently, from the live stream and the learned graph
+  const failingServices = useMemo(() => {
+    const cutoff = Date.now() - FAILING_WINDOW_MS;
+    const failing = new Set(
+      logs
+        .filter(l => ['ERROR', 'CRITICAL'].includes(l.level) && new Date(l.timestamp).getTime() >= cutoff)
+        .map(l => l.service)
+    );
+    for (const node of topology?.nodes || []) {
+      if (node.lastErrorAt && new Date(node.lastErrorAt).getTime() >= cutoff) {
+        failing.add(node.id);
+      }
+    }
+    return Array.from(failing);
+  }, [logs, topology]);
+
+  const selected = topology?.nodes.find(n => n.id === selectedService);
+  const selectedEdges = selected
+    ? topology.edges.filter(e => e.source === selected.id || e.target === selected.id)
+    : [];
+
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-white flex items-center gap-3">
+            <Network className="w-7 h-7 text-electric-400" />
+            Service Topology
+          </h1>
+          <p className="text-slate-400 mt-1">Dependencies learned from calls, request IDs, traces and error propagation</p>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showWeakLinks}
+              onChange={(e) => setShowWeakLinks(e.target.checked)}
+              className="rounded"
+            />
+            Show weak links
+          </label>
+          <button
+            onClick={fetchTopology}
+            className="btn-glass flex items-center gap-2"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="metric-card border-l-4 border-cyan-500">
+          <div className="flex items-center gap-3 mb-3">
+            <div className="w-10 h-10 rounded-xl bg-cyan-500/20 flex items-center justify-center ring-1 ring-cyan-500/30">
+              <Server className="w-5 h-5 text-cyan-400" />
+            </div>
+            <p className="text-sm font-medium text-white">Services</p>
+          </div>
+          <p className="text-3xl font-bold text-white">{topology?.nodes.length || 0}</p>
+        </div>
+
+        <div className="metric-card border-l-4 border-electric-400">
+          <div className="flex items-center gap-3 mb-3">
+            <div className="w-10 h-10 rounded-xl bg-electric-500/20 flex items-center justify-center ring-1 ring-electric-500/30">
+              <GitBranch className="w-5 h-5 text-electric-400" />
+            </div>
+            <p className="text-sm font-medium text-white">Dependencies</p>
+          </div>
+          <p className="text-3xl font-bold text-white">{topology?.edges.length || 0}</p>
+        </div>
+
+        <div className="metric-card border-l-4 border-red-500">
+          <div className="flex items-center gap-3 mb-3">
+            <div className="w-10 h-10 rounded-xl bg-red-500/20 flex items-center justify-center ring-1 ring-red-500/30">
+              <AlertCircle className="w-5 h-5 text-red-400" />
+            </div>
+            <p className="text-sm font-medium text-white">Failing (last 5 min)</p>
+          </div>
+          <p className="text-3xl font-bold text-white">{failingServices.length}</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+        <div className="lg:col-span-3">
+          <TopologyGraph
+            topology={topology}
+            failingServices={failingServices}
+            selectedService={selectedService}
+            onSelectService={setSelectedService}
+          />
+        </div>
+
+        {/* Selected service details */}
+        <div className="glass-card p-4 space-y-4">
+          {selected ? (
+            <>
+              <div>
+                <h2 className="text-lg font-semibold text-white">{selected.id}</h2>
+                <p className="text-xs text-slate-500">
+                  Seen {new Date(selected.firstSeen).toLocaleString()} – {new Date(selected.lastSeen).toLocaleString()}
+                </p>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <div className="text-xs text-gray-400 mb-1">Logs</div>
+                  <div className="text-sm text-white">{selected.logs.toLocaleString()}</div>
+                </div>
+                <div>
+                  <div className="text-xs text-gray-400 mb-1">Errors</div>
+                  <div className="text-sm text-white">{selected.errors.toLocaleString()}</div>
+                </div>
+              </div>
+              <div className="space-y-2">
+                <div className="text-xs text-gray-400">Links</div>
+                {selectedEdges.length === 0 && (
+                  <p className="text-sm text-slate-500">No dependencies learned for this service</p>
+                )}
+                {selectedEdges.map(edge => (
+                  <div key={edge.id} className="bg-white/5 rounded-lg p-2">
+                    <div className="flex items-center gap-1 text-sm text-white">
+                      <span>{edge.source}</span>
+                      <ArrowRight className="w-3 h-3 text-slate-400" />
+                      <span>{edge.target}</span>
+                    </div>
+                    <div className="text-xs text-slate-400 mt-1">
+                      {Object.entries(edge.evidence)
+                        .map(([kind, count]) => `${count}× ${EVIDENCE_LABELS[kind] || kind}`)
+                        .join(', ')}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-slate-500">Select a service to see its dependencies and the evidence behind them.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TopologyPage;
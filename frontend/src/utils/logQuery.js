@@ -0,0 +1,376 @@
+/**
+ * Log query language (client side)
+ * Mirrors backend/database/logQuery.js so the Logs page can highlight, check
+ * and apply a query to live logs exactly as /api/database/search (q) would.
+ * backend/test/database/logQuery.test.js checks that the two parse and match
+ * the same, so change both when the syntax changes
+ */
+
+export const LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'CRITICAL'];
+const LEVEL_ALIASES = { WARNING: 'WARN', FATAL: 'CRITICAL', ERR: 'ERROR' };
+
+// Query keys for log columns; anything else is a structured field
+export const COLUMNS = {
+  service: 'service',
+  level: 'level',
+  trace: 'traceId',
+  traceid: 'traceId',
+  message: 'message',
+  msg: 'message'
+};
+export const TIME_KEYS = ['last', 'since', 'until'];
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const COMPARISONS = ['>=', '<=', '>', '<'];
+// Strings that compare as numbers: decimal, optionally signed, with an exponent
+const NUMERIC_TEXT = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i;
+
+// Regexes run against every candidate log on the event loop, so they are kept
+// short and may not repeat a repeating group (see hasNestedQuantifier)
+const MAX_REGEX_LENGTH = 200;
+const MAX_TERMS = 30;
+
+/**
+ * Split query text into tokens, keeping their positions
+ * @param {string} text - Query text
+ * @returns {object[]} [{ text, start, end, negate, key, op, value, quoted, regex, flags }]
+ */
+export function tokenizeLogQuery(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const token = { start, negate: false, key: null, op: null, value: '', quoted: false, regex: false, flags: '' };
+
+    if (text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+      token.negate = true;
+      i++;
+    }
+
+    // key: (letters, digits, dots, dashes and underscores) before a colon
+    const keyMatch = /^([\w.-]+):/.exec(text.slice(i));
+    if (keyMatch) {
+      token.key = keyMatch[1];
+      i += keyMatch[0].length;
+      const op = COMPARISONS.find(candidate => text.startsWith(candidate, i));
+      if (op) {
+        token.op = op;
+        i += op.length;
+      }
+    }
+
+    if (text[i] === '"') {
+      const end = closingIndex(text, i, '"');
+      token.quoted = true;
+      token.value = unescape(text.slice(i + 1, end < 0 ? text.length : end));
+      token.unterminated = end < 0;
+      i = end < 0 ? text.length : end + 1;
+    } else if (text[i] === '/' && !token.op && regexEnd(text, i) !== null) {
+      const end = closingIndex(text, i, '/');
+      if (end < 0) {
+        token.value = text.slice(i + 1);
+        token.regex = true;
+        token.unterminated = true;
+        i = text.length;
+      } else {
+        token.value = text.slice(i + 1, end).replace(/\\\//g, '/');
+        token.regex = true;
+        token.flags = text.slice(end + 1, regexEnd(text, i));
+        i = end + 1 + token.flags.length;
+      }
+    } else {
+      const valueStart = i;
+      while (i < text.length && !/\s/.test(text[i])) i++;
+      token.value = text.slice(valueStart, i);
+    }
+
+    token.end = i;
+    token.text = text.slice(start, i);
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse query text
+ * @param {string} text - Query text
+ * @param {object} options - Options
+ * @param {number} options.now - Time relative ranges count back from (ms)
+ * @returns {object} { terms: [{ field, op, value, flags, negate }], startDate, endDate }
+ * @throws {Error} With status 400 and position when the query is malformed
+ */
+export function parseLogQuery(text, { now = Date.now() } = {}) {
+  const query = { terms: [], startDate: null, endDate: null };
+  const tokens = tokenizeLogQuery(String(text || ''));
+
+  if (tokens.length > MAX_TERMS) {
+    throw queryError(`Queries are limited to ${MAX_TERMS} terms`, tokens[MAX_TERMS]);
+  }
+
+  for (const token of tokens) {
+    if (token.unterminated) {
+      throw queryError(`Unterminated ${token.regex ? 'regex' : 'quote'} in "${token.text}"`, token);
+    }
+
+    const key = token.key ? token.key.toLowerCase() : null;
+
+    if (key && TIME_KEYS.includes(key)) {
+      if (token.negate || token.op) {
+        throw queryError(`${key}: takes a duration${key === 'last' ? '' : ' or a date'}`, token);
+      }
+      applyTimeRange(query, key, token, now);
+      continue;
+    }
+
+    const term = { ...(key ? fieldTerm(token, key) : textTerm(token)), negate: token.negate };
+    if (term.op === 'regex') compileRegex(term, token);
+    query.terms.push(term);
+  }
+
+  return query;
+}
+
+function textTerm(token) {
+  if (token.regex) return { field: 'message', op: 'regex', value: token.value, flags: token.flags };
+  if (token.quoted) return { field: 'message', op: 'contains', value: token.value };
+  if (!token.value) throw queryError('Empty search term', token);
+  return { field: null, op: 'contains', value: token.value };
+}
+
+function fieldTerm(token, key) {
+  const column = COLUMNS[key];
+  const field = column || `fields.${token.key.replace(/^fields\./, '')}`;
+
+  if (token.regex) return { field, op: 'regex', value: token.value, flags: token.flags };
+  if (token.value === '') throw queryError(`${token.key}: needs a value`, token);
+
+  if (column === 'level') {
+    const level = LEVEL_ALIASES[token.value.toUpperCase()] || token.value.toUpperCase();
+    const rank = LEVELS.indexOf(level);
+    if (rank < 0) {
+      throw queryError(`Unknown level "${token.value}" (expected ${LEVELS.join(', ')})`, token);
+    }
+    const matches = {
+      '>=': (r) => r >= rank,
+      '>': (r) => r > rank,
+      '<=': (r) => r <= rank,
+      '<': (r) => r < rank
+    }[token.op] || ((r) => r === rank);
+    return { field, op: 'in', value: LEVELS.filter((_, r) => matches(r)) };
+  }
+
+  if (token.op) {
+    const number = Number(token.value);
+    if (column || !Number.isFinite(number)) {
+      throw queryError(`${token.key}:${token.op} compares ${column ? 'levels and structured fields' : 'numbers'} only`, token);
+    }
+    return { field, op: token.op, value: number };
+  }
+
+  // Collectors store service names in upper case
+  if (column === 'service') return { field, op: '=', value: token.value.toUpperCase() };
+
+  return { field, op: column === 'message' ? 'contains' : '=', value: token.value };
+}
+
+function compileRegex(term, token) {
+  if (term.value.length > MAX_REGEX_LENGTH) {
+    throw queryError(`Regexes are limited to ${MAX_REGEX_LENGTH} characters`, token);
+  }
+  if (/[^imsu]/.test(term.flags)) {
+    throw queryError(`Unsupported regex flags "${term.flags}" (use i, m, s or u)`, token);
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(term.value, term.flags);
+  } catch (error) {
+    throw queryError(`Invalid regex /${term.value}/: ${error.message}`, token);
+  }
+  if (hasNestedQuantifier(term.value)) {
+    throw queryError(`Regex /${term.value}/ repeats a group that itself repeats, as in (a+)+, which can take exponential time`, token);
+  }
+  // Compiled once per query; not enumerable, so terms stay plain data
+  Object.defineProperty(term, 'pattern', { value: pattern });
+}
+
+/**
+ * Whether a regex repeats a group containing a repetition ((a+)+, (\w*\s)*,
+ * ((ab)+c){2,}). Those backtrack exponentially on text that almost matches
+ * @param {string} source - Regex source
+ * @returns {boolean} Nested quantifier found
+ */
+function hasNestedQuantifier(source) {
+  // Per open group: whether it contains a repetition
+  const groups = [false];
+
+  for (let i = 0; i < source.length; i++) {
+    let groupRepeats = false;
+
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '[') {
+      i = classEnd(source, i);
+    } else if (source[i] === '(') {
+      groups.push(false);
+      continue;
+    } else if (source[i] === ')' && groups.length > 1) {
+      groupRepeats = groups.pop();
+      if (groupRepeats) groups[groups.length - 1] = true;
+    }
+
+    // *, + and {n,} or {n,m} repeat; ? and {n} do not
+    const quantifier = /^(?:[*+]|\{\d*,\d*\})/.exec(source.slice(i + 1));
+    if (quantifier) {
+      if (groupRepeats) return true;
+      groups[groups.length - 1] = true;
+      i += quantifier[0].length;
+    }
+  }
+
+  return false;
+}
+
+// Index of the ] closing a character class opened at from
+function classEnd(source, from) {
+  for (let i = from + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === ']') {
+      return i;
+    }
+  }
+  return source.length;
+}
+
+function applyTimeRange(query, key, token, now) {
+  const duration = parseDuration(token.value);
+  let time = duration !== null ? now - duration : null;
+
+  if (time === null && key !== 'last') {
+    const date = new Date(token.value);
+    if (!Number.isNaN(date.getTime())) time = date.getTime();
+  }
+  if (time === null) {
+    throw queryError(`Invalid ${key}: "${token.value}" (use e.g. 15m, 2h, 7d${key === 'last' ? '' : ' or an ISO date'})`, token);
+  }
+
+  const iso = new Date(time).toISOString();
+  if (key === 'until') {
+    if (!query.endDate || iso < query.endDate) query.endDate = iso;
+  } else if (!query.startDate || iso > query.startDate) {
+    query.startDate = iso;
+  }
+}
+
+/**
+ * @param {string} text - e.g. 15m, 2h, 1.5d
+ * @returns {number|null} Milliseconds
+ */
+export function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([smhdw])$/i.exec(text);
+  return match ? parseFloat(match[1]) * DURATION_UNITS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Check a log against parsed terms
+ * @param {object} log - Stored or live log ({ message, service, level, trace_id or traceId, fields })
+ * @param {object[]} terms - parseLogQuery().terms
+ * @returns {boolean} Every term matches
+ */
+export function matchesLogQuery(log, terms) {
+  return terms.every(term => matchesTerm(log, term) !== term.negate);
+}
+
+function matchesTerm(log, term) {
+  if (term.field === null) {
+    const needle = term.value.toLowerCase();
+    return [log.message, log.service, traceIdOf(log), log.fields ? JSON.stringify(log.fields) : null]
+      .some(value => value && value.toLowerCase().includes(needle));
+  }
+
+  const value = fieldValue(log, term.field);
+  if (value === undefined || value === null) return false;
+
+  switch (term.op) {
+    case 'contains': return String(value).toLowerCase().includes(term.value.toLowerCase());
+    case 'in': return term.value.includes(value);
+    case 'regex': return (term.pattern || new RegExp(term.value, term.flags)).test(String(value));
+    case '=': return String(value) === term.value;
+    default: {
+      const number = numericValue(value);
+      if (number === null) return false;
+      return {
+        '>': number > term.value,
+        '>=': number >= term.value,
+        '<': number < term.value,
+        '<=': number <= term.value
+      }[term.op];
+    }
+  }
+}
+
+/**
+ * Number a field value compares as. Parsers such as logfmt store every value
+ * as a string, so numeric strings count as numbers
+ * @param {*} value - Field value
+ * @returns {number|null} Number, or null when the value is not numeric
+ */
+export function numericValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !NUMERIC_TEXT.test(value)) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function fieldValue(log, field) {
+  if (field === 'traceId') return traceIdOf(log);
+  if (!field.startsWith('fields.')) return log[field];
+
+  return field.slice('fields.'.length).split('.')
+    .reduce((obj, part) => (obj == null ? undefined : obj[part]), log.fields || {});
+}
+
+// Stored logs carry trace_id, live logs traceId
+function traceIdOf(log) {
+  return log.trace_id ?? log.traceId;
+}
+
+// Where a /regex/flags starting at from ends, or null when the slashes are part
+// of a plain value such as path:/api/orders
+function regexEnd(text, from) {
+  const end = closingIndex(text, from, '/');
+  if (end < 0) {
+    return /\s/.test(text.slice(from)) ? null : text.length;
+  }
+  const flags = /^[imsu]*/.exec(text.slice(end + 1))[0];
+  const after = end + 1 + flags.length;
+  return after === text.length || /\s/.test(text[after]) ? after : null;
+}
+
+function closingIndex(text, from, quote) {
+  for (let i = from + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function unescape(text) {
+  return text.replace(/\\(.)/g, '$1');
+}
+
+function queryError(message, token) {
+  const error = new Error(message);
+  if (token) error.position = { start: token.start, end: token.end };
+  return error;
+}